@@ -94,3 +94,55 @@ self.addEventListener('fetch', (event) => {
 
   event.respondWith(cacheFirst(request, STATIC_CACHE));
 });
+
+// Rest timer notifications. Only browsers with Notification Triggers can fire
+// them while the worker is asleep, so the page schedules through here only
+// when TimestampTrigger exists and otherwise shows the alert itself.
+async function closeRestNotifications(tag) {
+  const notifications = await self.registration.getNotifications({ tag, includeTriggered: true });
+  notifications.forEach((notification) => notification.close());
+}
+
+async function scheduleRestNotification({ tag, endsAt, title, body }) {
+  await closeRestNotifications(tag);
+  const endsAtMs = new Date(endsAt).getTime();
+  if (Number.isNaN(endsAtMs) || !('TimestampTrigger' in self)) return;
+  await self.registration.showNotification(title, {
+    tag,
+    body,
+    renotify: true,
+    icon: '/pwa-192.png',
+    badge: '/favicon-32x32.png',
+    data: { url: '/workout' },
+    showTrigger: new self.TimestampTrigger(endsAtMs),
+  });
+}
+
+async function cancelRestNotification({ tag }) {
+  await closeRestNotifications(tag);
+}
+
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  if (data.type === 'rest-timer:schedule') {
+    event.waitUntil(scheduleRestNotification(data));
+    return;
+  }
+  if (data.type === 'rest-timer:cancel') {
+    event.waitUntil(cancelRestNotification(data));
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const targetUrl = event.notification.data?.url || '/workout';
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: 'window', includeUncontrolled: true })
+      .then((clients) => {
+        const existing = clients.find((client) => new URL(client.url).origin === self.location.origin);
+        if (existing) return existing.focus();
+        return self.clients.openWindow(targetUrl);
+      })
+  );
+});
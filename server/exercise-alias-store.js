@@ -0,0 +1,80 @@
+import db from './db.js';
+
+// Aliases per exercise id, for the given exercises or all of them.
+function listExerciseAliasesByExercise(exerciseIds = null) {
+  const ids = exerciseIds ? exerciseIds.map((id) => Number(id)).filter(Boolean) : null;
+  if (ids && !ids.length) return new Map();
+  const rows = ids
+    ? db
+        .prepare(
+          `SELECT exercise_id, alias FROM exercise_aliases
+           WHERE exercise_id IN (${ids.map(() => '?').join(',')})
+           ORDER BY alias COLLATE NOCASE ASC`
+        )
+        .all(...ids)
+    : db.prepare('SELECT exercise_id, alias FROM exercise_aliases ORDER BY alias COLLATE NOCASE ASC').all();
+  const aliasesByExercise = new Map();
+  rows.forEach((row) => {
+    if (!aliasesByExercise.has(row.exercise_id)) aliasesByExercise.set(row.exercise_id, []);
+    aliasesByExercise.get(row.exercise_id).push(row.alias);
+  });
+  return aliasesByExercise;
+}
+
+// Replaces an exercise's aliases with the submitted list. Aliases that were kept stay marked with
+// where they came from, so a merged name edited around stays a merge alias.
+function replaceExerciseAliases(exerciseId, aliases, now = new Date().toISOString()) {
+  const sourceByAlias = new Map(
+    db
+      .prepare('SELECT alias, source FROM exercise_aliases WHERE exercise_id = ?')
+      .all(exerciseId)
+      .map((row) => [row.alias.toLowerCase(), row.source])
+  );
+  db.prepare('DELETE FROM exercise_aliases WHERE exercise_id = ?').run(exerciseId);
+  const insertAlias = db.prepare(
+    `INSERT OR IGNORE INTO exercise_aliases (exercise_id, alias, source, created_at)
+     VALUES (?, ?, ?, ?)`
+  );
+  (aliases || []).forEach((alias) => {
+    insertAlias.run(exerciseId, alias, sourceByAlias.get(alias.toLowerCase()) || 'user', now);
+  });
+}
+
+// Aliases given to exercises added from the library, by library id.
+function listExerciseAliasesByForkId() {
+  const aliasesByForkId = new Map();
+  db.prepare(
+    `SELECT e.fork_id, a.alias
+     FROM exercise_aliases a
+     JOIN exercises e ON e.id = a.exercise_id
+     WHERE e.fork_id IS NOT NULL`
+  )
+    .all()
+    .forEach((row) => {
+      if (!aliasesByForkId.has(row.fork_id)) aliasesByForkId.set(row.fork_id, []);
+      aliasesByForkId.get(row.fork_id).push(row.alias);
+    });
+  return aliasesByForkId;
+}
+
+// The merged name and its aliases keep finding the target. Callers own the transaction.
+function mergeExerciseAliases(source, target, now = new Date().toISOString()) {
+  db.prepare(
+    `UPDATE OR IGNORE exercise_aliases SET exercise_id = ?
+     WHERE exercise_id = ? AND LOWER(alias) <> LOWER(?)`
+  ).run(target.id, source.id, target.name);
+  db.prepare('DELETE FROM exercise_aliases WHERE exercise_id = ?').run(source.id);
+  if (source.name.toLowerCase() !== target.name.toLowerCase()) {
+    db.prepare(
+      `INSERT OR IGNORE INTO exercise_aliases (exercise_id, alias, source, created_at)
+       VALUES (?, ?, 'merge', ?)`
+    ).run(target.id, source.name, now);
+  }
+}
+
+export {
+  listExerciseAliasesByExercise,
+  listExerciseAliasesByForkId,
+  mergeExerciseAliases,
+  replaceExerciseAliases,
+};
@@ -0,0 +1,125 @@
+import { normalizeExerciseName } from './routine-text.js';
+
+// Gym shorthand that shares too few letters with the name it stands for to be found otherwise.
+const EXERCISE_ABBREVIATIONS = {
+  bb: 'barbell',
+  bp: 'bench press',
+  bss: 'bulgarian split squat',
+  cgbp: 'close grip bench press',
+  db: 'dumbbell',
+  ghr: 'glute ham raise',
+  hspu: 'handstand push up',
+  kb: 'kettlebell',
+  ohp: 'overhead press',
+  rdl: 'romanian deadlift',
+  sldl: 'stiff leg deadlift',
+};
+// An alias match ranks just below the same match on the exercise's own name.
+const ALIAS_SCORE_FACTOR = 0.95;
+const KEYWORD_SCORE = 0.5;
+
+// Edit distance that counts a swap of two neighbouring letters as one typo.
+function countTypos(left, right) {
+  const rows = left.length + 1;
+  const columns = right.length + 1;
+  const distance = Array.from({ length: rows }, (_, row) => [row, ...new Array(columns - 1).fill(0)]);
+  for (let column = 0; column < columns; column += 1) distance[0][column] = column;
+  for (let row = 1; row < rows; row += 1) {
+    for (let column = 1; column < columns; column += 1) {
+      const cost = left[row - 1] === right[column - 1] ? 0 : 1;
+      distance[row][column] = Math.min(
+        distance[row - 1][column] + 1,
+        distance[row][column - 1] + 1,
+        distance[row - 1][column - 1] + cost
+      );
+      if (
+        row > 1
+        && column > 1
+        && left[row - 1] === right[column - 2]
+        && left[row - 2] === right[column - 1]
+      ) {
+        distance[row][column] = Math.min(distance[row][column], distance[row - 2][column - 2] + 1);
+      }
+    }
+  }
+  return distance[left.length][right.length];
+}
+
+// Short words have to be spelled right; longer ones may carry one or two typos.
+function scoreWordMatch(token, word) {
+  if (word.startsWith(token)) return 1;
+  const allowedTypos = token.length <= 3 ? 0 : token.length <= 6 ? 1 : 2;
+  if (!allowedTypos) return 0;
+  const typos = Math.min(countTypos(token, word), countTypos(token, word.slice(0, token.length)));
+  if (typos > allowedTypos) return 0;
+  return 1 - typos / Math.max(token.length, word.length);
+}
+
+// 1 for the same name, then a prefix, every word started, a substring or the initials, and finally
+// a typo-tolerant match of every query word. 0 when the text does not match at all.
+function scoreSearchText(tokens, text) {
+  const normalized = normalizeExerciseName(text);
+  if (!normalized || !tokens.length) return 0;
+  const query = tokens.join(' ');
+  const words = normalized.split(' ');
+  if (normalized === query) return 1;
+  if (normalized.startsWith(query)) return 0.95;
+  if (tokens.every((token) => words.some((word) => word.startsWith(token)))) return 0.9;
+  if (normalized.includes(query) || normalized.replace(/ /g, '').includes(query.replace(/ /g, ''))) {
+    return 0.8;
+  }
+  if (tokens.length === 1 && query.length > 1 && words.length > 1) {
+    if (words.map((word) => word[0]).join('') === query) return 0.8;
+  }
+  const wordScores = tokens.map((token) => Math.max(...words.map((word) => scoreWordMatch(token, word))));
+  if (wordScores.some((score) => score <= 0)) return 0;
+  return 0.4 + 0.35 * (wordScores.reduce((sum, score) => sum + score, 0) / wordScores.length);
+}
+
+// The query as typed, plus the same query with abbreviations spelled out.
+function buildQueryVariants(query) {
+  const tokens = normalizeExerciseName(query).split(' ').filter(Boolean);
+  if (!tokens.length) return [];
+  const expanded = tokens.flatMap((token) => (EXERCISE_ABBREVIATIONS[token] || token).split(' '));
+  return expanded.join(' ') === tokens.join(' ') ? [tokens] : [tokens, expanded];
+}
+
+function scoreExerciseSearch(query, { name = '', aliases = [], keywords = [] } = {}) {
+  const variants = buildQueryVariants(query);
+  if (!variants.length) return 0;
+  let best = 0;
+  variants.forEach((tokens) => {
+    best = Math.max(best, scoreSearchText(tokens, name));
+    aliases.forEach((alias) => {
+      best = Math.max(best, scoreSearchText(tokens, alias) * ALIAS_SCORE_FACTOR);
+    });
+  });
+  if (best > 0) return best;
+  const compactQuery = normalizeExerciseName(query);
+  return keywords.some((keyword) => normalizeExerciseName(keyword).includes(compactQuery)) ? KEYWORD_SCORE : 0;
+}
+
+// Items that match the query, best match first; names tie-break alphabetically. An empty query keeps
+// every item in its original order.
+function rankExerciseSearch(query, items, { getName = (item) => item.name, getAliases, getKeywords } = {}) {
+  const source = Array.isArray(items) ? items : [];
+  if (!buildQueryVariants(query).length) return source;
+  return source
+    .map((item) => ({
+      item,
+      score: scoreExerciseSearch(query, {
+        name: getName(item),
+        aliases: getAliases ? getAliases(item) || [] : [],
+        keywords: getKeywords ? getKeywords(item) || [] : [],
+      }),
+    }))
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score || String(getName(a.item)).localeCompare(String(getName(b.item))))
+    .map((entry) => entry.item);
+}
+
+export {
+  EXERCISE_ABBREVIATIONS,
+  rankExerciseSearch,
+  scoreExerciseSearch,
+};
@@ -10,11 +10,71 @@ import SqliteSessionStore from './session-store.js';
 import { createCsrfProtectionMiddleware } from './middleware/csrf-protection.js';
 import { createDevAutologinMiddleware } from './middleware/dev-autologin-middleware.js';
 import { registerAuthRoutes } from './routes/auth-routes.js';
+import { registerExerciseHistoryRoutes } from './routes/exercise-history-routes.js';
+import { registerPersonalRecordRoutes } from './routes/personal-record-routes.js';
+import { registerPrintRoutes } from './routes/print-routes.js';
 import { registerSystemRoutes } from './routes/system-routes.js';
 import {
   resolveAutomaticExportConfig,
   startAutomaticExports,
 } from './auto-export.js';
+import {
+  resolveSessionAutoCloseConfig,
+  startSessionAutoClose,
+} from './session-auto-close.js';
+import {
+  evaluateProgressionRule,
+  normalizeProgressionRule,
+  parseStoredProgressionRule,
+  serializeProgressionRule,
+} from './progression-rules.js';
+import { rankExerciseSearch } from './exercise-search.js';
+import {
+  listExerciseAliasesByExercise,
+  listExerciseAliasesByForkId,
+  mergeExerciseAliases,
+  replaceExerciseAliases,
+} from './exercise-alias-store.js';
+import { buildProgressionOneRepMax } from './personal-records.js';
+import {
+  backfillPersonalRecords,
+  listPersonalRecordsForUser,
+  recomputePersonalRecordsForExercise,
+  recomputePersonalRecordsForUser,
+  recordPersonalRecordsForNewSet,
+  refreshPersonalRecordsForSet,
+  setAffectsPersonalRecords,
+} from './personal-record-store.js';
+import {
+  advanceProgramPointer,
+  applyProgramWeekModifiers,
+  normalizeProgramDefinition,
+  resolveProgramNextDay,
+} from './program-plan.js';
+import {
+  ROUTINE_VERSION_REASONS,
+  buildRoutineSnapshot,
+  diffRoutineSnapshots,
+  hasRoutineSnapshotChanges,
+  parseRoutineSnapshot,
+} from './routine-versions.js';
+import {
+  parseRoutineText,
+  resolveRoutineTextExercises,
+  serializeRoutineText,
+} from './routine-text.js';
+import {
+  normalizeScheduleDefinition,
+  normalizeTimezoneOffset,
+  resolveScheduleRecommendation,
+} from './training-schedule.js';
+import {
+  TARGET_PERCENT_MAX,
+  TARGET_PERCENT_MIN,
+  normalizeTrainingMaxWeight,
+  parseTargetPercentValue,
+  resolvePercentSetTargets,
+} from './training-max.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -40,6 +100,8 @@ const EXERCISE_IMAGE_BASE_URL =
 const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
 const STATS_SESSION_DURATION_CAP_MINUTES = 180;
 const ROUTINE_TARGET_REPS_MIN_MAX = 100;
+const SET_RPE_MIN = 1;
+const SET_RPE_MAX = 10;
 const WINDOW_PATTERNS = {
   short: ['30d', '90d'],
   medium: ['90d', '180d', '365d'],
@@ -47,6 +109,47 @@ const WINDOW_PATTERNS = {
   timeseries: ['90d', '180d', '365d'],
 };
 const ROUTINE_TYPE_VALUES = new Set(['standard', 'rehab']);
+const DEFAULT_SET_TYPE = 'working';
+const SET_TYPE_VALUES = new Set(['warmup', 'working', 'drop', 'failure', 'rest_pause']);
+const DEFAULT_SET_TYPE_FILTER = 'non_warmup';
+// Warm-up and drop sets are inserted in-line around planned sets; they never fill a target slot.
+const INLINE_SET_TYPE_VALUES = new Set(['warmup', 'drop']);
+const ROUTINE_SET_TARGET_TYPE_VALUES = new Set(['working', 'failure', 'rest_pause']);
+const DEFAULT_MEASUREMENT_MODE = 'reps_weight';
+// Every mode records one primary metric per set; pure holds are the only mode without a load.
+const MEASUREMENT_MODE_METRICS = {
+  reps_weight: 'reps',
+  time: 'time',
+  distance_weight: 'distance',
+  time_weight: 'time',
+};
+const MEASUREMENT_MODE_VALUES = new Set(Object.keys(MEASUREMENT_MODE_METRICS));
+const MEASUREMENT_MODE_SET_REQUIRED_ERRORS = {
+  reps_weight: 'Exercise, reps, and weight are required.',
+  time: 'Exercise and duration are required.',
+  distance_weight: 'Exercise, distance, and weight are required.',
+  time_weight: 'Exercise, duration, and weight are required.',
+};
+const SET_TIME_SECONDS_MAX = 3600;
+const SET_DISTANCE_METERS_MAX = 10000;
+const PAST_SESSION_DURATION_MINUTES_MAX = 600;
+const EQUIPMENT_INVENTORY_WEIGHT_MAX = 500;
+const EQUIPMENT_INVENTORY_PLATE_PAIRS_MAX = 20;
+// Used until a user saves their own inventory: a commercial-gym plate tree and dumbbell rack.
+const DEFAULT_EQUIPMENT_INVENTORY = {
+  barWeights: [10, 15, 20],
+  plates: [
+    { weight: 25, pairs: 4 },
+    { weight: 20, pairs: 2 },
+    { weight: 15, pairs: 2 },
+    { weight: 10, pairs: 2 },
+    { weight: 5, pairs: 2 },
+    { weight: 2.5, pairs: 2 },
+    { weight: 1.25, pairs: 2 },
+  ],
+  dumbbells: [2, 4, 6, 8, 10, 12, 14, 16, 18, 20, 22.5, 25, 27.5, 30, 32.5, 35, 37.5, 40],
+  kettlebells: [8, 12, 16, 20, 24, 28, 32],
+};
 const FORCE_VALUES = new Set(['pull', 'push', 'static']);
 const LEVEL_VALUES = new Set(['beginner', 'intermediate', 'expert']);
 const MECHANIC_VALUES = new Set(['isolation', 'compound']);
@@ -95,6 +198,7 @@ const CATEGORY_VALUES = new Set([
 const DEFAULT_EXERCISES = loadSeedExercises();
 const EXERCISE_LIBRARY = loadExerciseLibrary();
 let automaticExportHandle = null;
+let sessionAutoCloseHandle = null;
 
 app.use(express.json({ limit: '10mb' }));
 app.use(
@@ -206,6 +310,44 @@ function normalizeRoutineTypeFilter(value) {
   return 'all';
 }
 
+// Stats leave warm-ups out unless asked otherwise; `working` and every other set type select
+// exactly that type.
+function normalizeSetTypeFilter(value) {
+  const normalized = normalizeText(value).toLowerCase().replace(/[\s-]+/g, '_');
+  if (normalized === 'all') return 'all';
+  if (SET_TYPE_VALUES.has(normalized)) return normalized;
+  return DEFAULT_SET_TYPE_FILTER;
+}
+
+function buildSetTypeFilterSql(setTypeFilter, column = 'ss.set_type') {
+  if (setTypeFilter === 'all') return { sql: '', params: [] };
+  if (setTypeFilter === DEFAULT_SET_TYPE_FILTER) return { sql: ` AND ${column} != ?`, params: ['warmup'] };
+  return { sql: ` AND ${column} = ?`, params: [setTypeFilter] };
+}
+
+function normalizeProgramStatsFilter(query) {
+  const programId = normalizeNumber(query?.programId);
+  if (!programId || !Number.isInteger(programId)) {
+    return { programId: null, programWeek: null };
+  }
+  const programWeek = normalizeNumber(query?.programWeek);
+  return {
+    programId,
+    programWeek: Number.isInteger(programWeek) && programWeek > 0 ? programWeek : null,
+  };
+}
+
+function buildProgramFilterSql(programFilter, prefix = 's.') {
+  if (!programFilter.programId) return { sql: '', params: [] };
+  if (!programFilter.programWeek) {
+    return { sql: ` AND ${prefix}program_id = ?`, params: [programFilter.programId] };
+  }
+  return {
+    sql: ` AND ${prefix}program_id = ? AND ${prefix}program_week = ?`,
+    params: [programFilter.programId, programFilter.programWeek],
+  };
+}
+
 function normalizeEquipmentLabel(value) {
   return normalizeText(value).toLowerCase();
 }
@@ -251,6 +393,10 @@ function normalizeExercisePayload(body = {}, { requireName = true, requirePrimar
   if (requirePrimary && !primaryMuscles.length) {
     return { error: 'Primary muscle is required.' };
   }
+  const { measurementMode, valid: validMeasurementMode } = parseMeasurementModeValue(body.measurementMode);
+  if (!validMeasurementMode) {
+    return { error: 'Measurement mode must be reps_weight, time, distance_weight, or time_weight.' };
+  }
   return {
     error: null,
     exercise: {
@@ -274,6 +420,9 @@ function normalizeExercisePayload(body = {}, { requireName = true, requirePrimar
         lowercase: false,
       }),
       notes: normalizeText(body.notes) || null,
+      measurementMode,
+      aliases: normalizeStringArray(body.aliases, { maxLength: 120, lowercase: false })
+        .filter((alias) => alias.toLowerCase() !== name.toLowerCase()),
     },
   };
 }
@@ -282,7 +431,7 @@ function firstPrimaryMuscle(value) {
   return parseJsonArray(value)[0] || null;
 }
 
-function exerciseRowToApi(row, lastSetByExercise = new Map()) {
+function exerciseRowToApi(row, lastSetByExercise = new Map(), aliasesByExercise = new Map()) {
   return {
     id: row.id,
     forkId: row.fork_id,
@@ -297,6 +446,8 @@ function exerciseRowToApi(row, lastSetByExercise = new Map()) {
     category: row.category,
     images: parseJsonArray(row.images_json),
     notes: row.notes,
+    measurementMode: row.measurement_mode || DEFAULT_MEASUREMENT_MODE,
+    aliases: aliasesByExercise.get(row.id) || [],
     mergedIntoId: row.merged_into_id,
     mergedIntoName: row.merged_into_name,
     mergedAt: row.merged_at,
@@ -375,6 +526,23 @@ registerAuthRoutes(app, {
   getCsrfToken,
   requireAuth,
 });
+registerPrintRoutes(app, {
+  listRoutines,
+  buildExerciseLastPerformance,
+  nowIso,
+  requireAuth,
+});
+registerPersonalRecordRoutes(app, { requireAuth });
+registerExerciseHistoryRoutes(app, {
+  db,
+  exerciseRowToApi,
+  getExerciseImpactSummary,
+  mapSetSideColumns,
+  resolveSetVolume,
+  compareSessionSetOrder,
+  toFixedNumber,
+  requireAuth,
+});
 
 function requireAuth(req, res, next) {
   if (!req.session.userId) {
@@ -459,38 +627,316 @@ function parseTargetRestSecondsValue(value) {
   return { targetRestSeconds: numeric, valid: true };
 }
 
-function normalizeRoutineSetTargets(item, fallbackTargetSets, fallbackTargetReps) {
+function parseSetTargetWeightValue(value) {
+  const numeric = normalizeNumber(value);
+  if (numeric === null) {
+    return { targetWeight: null, valid: true };
+  }
+  if (numeric <= 0) {
+    return { targetWeight: null, valid: false };
+  }
+  return { targetWeight: Math.round(numeric * 100) / 100, valid: true };
+}
+
+function parseSetRpeValue(value) {
+  const numeric = normalizeNumber(value);
+  if (numeric === null) {
+    return { rpe: null, valid: true };
+  }
+  if (numeric < SET_RPE_MIN || numeric > SET_RPE_MAX || !Number.isInteger(numeric * 2)) {
+    return { rpe: null, valid: false };
+  }
+  return { rpe: numeric, valid: true };
+}
+
+function parseSetTypeValue(value, allowed = SET_TYPE_VALUES) {
+  const normalized = normalizeText(value).toLowerCase().replace(/[\s-]+/g, '_');
+  if (!normalized) {
+    return { setType: DEFAULT_SET_TYPE, valid: true };
+  }
+  if (!allowed.has(normalized)) {
+    return { setType: null, valid: false };
+  }
+  return { setType: normalized, valid: true };
+}
+
+function isInlineSetType(setType) {
+  return INLINE_SET_TYPE_VALUES.has(setType);
+}
+
+function parseMeasurementModeValue(value) {
+  const normalized = normalizeText(value).toLowerCase().replace(/[\s-]+/g, '_');
+  if (!normalized) {
+    return { measurementMode: DEFAULT_MEASUREMENT_MODE, valid: true };
+  }
+  if (!MEASUREMENT_MODE_VALUES.has(normalized)) {
+    return { measurementMode: null, valid: false };
+  }
+  return { measurementMode: normalized, valid: true };
+}
+
+function resolveMeasurementMetric(measurementMode) {
+  return MEASUREMENT_MODE_METRICS[measurementMode] || MEASUREMENT_MODE_METRICS[DEFAULT_MEASUREMENT_MODE];
+}
+
+function parseSetTimeSecondsValue(value) {
+  const numeric = normalizeNumber(value);
+  if (numeric === null) {
+    return { timeSeconds: null, valid: true };
+  }
+  if (!Number.isInteger(numeric) || numeric < 1 || numeric > SET_TIME_SECONDS_MAX) {
+    return { timeSeconds: null, valid: false };
+  }
+  return { timeSeconds: numeric, valid: true };
+}
+
+function parseSetDistanceMetersValue(value) {
+  const numeric = normalizeNumber(value);
+  if (numeric === null) {
+    return { distanceMeters: null, valid: true };
+  }
+  if (numeric < 1 || numeric > SET_DISTANCE_METERS_MAX) {
+    return { distanceMeters: null, valid: false };
+  }
+  return { distanceMeters: Math.round(numeric * 100) / 100, valid: true };
+}
+
+// A set target carries exactly one metric: the one its exercise's measurement mode records.
+function parseSetTargetMetrics(measurementMode, target = {}) {
+  const metric = resolveMeasurementMetric(measurementMode);
+  const metrics = { targetReps: null, targetTimeSeconds: null, targetDistanceMeters: null };
+  if (metric === 'time') {
+    const parsed = parseSetTimeSecondsValue(target?.targetTimeSeconds ?? target?.timeSeconds);
+    metrics.targetTimeSeconds = parsed.timeSeconds;
+    return { ...metrics, valid: parsed.valid && parsed.timeSeconds !== null };
+  }
+  if (metric === 'distance') {
+    const parsed = parseSetDistanceMetersValue(target?.targetDistanceMeters ?? target?.distanceMeters);
+    metrics.targetDistanceMeters = parsed.distanceMeters;
+    return { ...metrics, valid: parsed.valid && parsed.distanceMeters !== null };
+  }
+  const targetReps = normalizeNumber(target?.targetReps ?? target?.reps);
+  const validReps = Number.isInteger(targetReps) && targetReps >= 1 && targetReps <= ROUTINE_TARGET_REPS_MIN_MAX;
+  metrics.targetReps = validReps ? targetReps : null;
+  return { ...metrics, valid: validReps };
+}
+
+function resolveSetMetricsForMode(measurementMode, payload = {}) {
+  const mode = MEASUREMENT_MODE_VALUES.has(measurementMode) ? measurementMode : DEFAULT_MEASUREMENT_MODE;
+  const metric = resolveMeasurementMetric(mode);
+  const weight = normalizeNumber(payload?.weight);
+  const metrics = { reps: null, timeSeconds: null, distanceMeters: null, weight };
+  if (metric === 'time') {
+    const parsed = parseSetTimeSecondsValue(payload?.timeSeconds);
+    if (!parsed.valid) {
+      throw new Error(`Duration must be 1-${SET_TIME_SECONDS_MAX} seconds.`);
+    }
+    metrics.timeSeconds = parsed.timeSeconds;
+  } else if (metric === 'distance') {
+    const parsed = parseSetDistanceMetersValue(payload?.distanceMeters);
+    if (!parsed.valid) {
+      throw new Error(`Distance must be 1-${SET_DISTANCE_METERS_MAX} meters.`);
+    }
+    metrics.distanceMeters = parsed.distanceMeters;
+  } else {
+    metrics.reps = normalizeNumber(payload?.reps);
+  }
+  const hasMetric = Boolean(metrics.reps || metrics.timeSeconds || metrics.distanceMeters);
+  // Holds without a load still store 0 kg so volume queries can keep treating weight as required.
+  if (mode === 'time' && metrics.weight === null) {
+    metrics.weight = 0;
+  }
+  if (!hasMetric || metrics.weight === null) {
+    throw new Error(MEASUREMENT_MODE_SET_REQUIRED_ERRORS[mode]);
+  }
+  return metrics;
+}
+
+const SET_SIDE_FIELDS = ['leftReps', 'leftWeight', 'rightReps', 'rightWeight'];
+
+function hasSetSideFields(payload = {}) {
+  return SET_SIDE_FIELDS.some((field) => normalizeNumber(payload?.[field]) !== null);
+}
+
+// Unilateral sets keep both sides; reps and weight mirror the stronger side so top-set stats
+// stay comparable with bilateral sets.
+function resolveSetSides(measurementMode, payload = {}) {
+  if (!hasSetSideFields(payload)) return null;
+  if (resolveMeasurementMetric(measurementMode) !== 'reps') {
+    throw new Error('Left and right sides can only be logged for rep-based exercises.');
+  }
+  const fallbackWeight = normalizeNumber(payload?.weight);
+  const [left, right] = ['left', 'right'].map((side) => ({
+    reps: normalizeNumber(payload?.[`${side}Reps`]),
+    weight: normalizeNumber(payload?.[`${side}Weight`]) ?? fallbackWeight,
+  }));
+  const validReps = [left, right].every(
+    ({ reps }) => Number.isInteger(reps) && reps >= 0 && reps <= ROUTINE_TARGET_REPS_MIN_MAX
+  );
+  if (!validReps || (left.reps === 0 && right.reps === 0)) {
+    throw new Error('Left and right reps must be 0-100 with at least one side above 0.');
+  }
+  if ([left, right].some(({ weight }) => weight === null || weight < 0)) {
+    throw new Error('Left and right weight must be zero or more.');
+  }
+  const top = [left, right]
+    .filter(({ reps }) => reps > 0)
+    .sort((a, b) => b.weight - a.weight || b.reps - a.reps)[0];
+  return {
+    leftReps: left.reps,
+    leftWeight: left.weight,
+    rightReps: right.reps,
+    rightWeight: right.weight,
+    reps: top.reps,
+    weight: top.weight,
+  };
+}
+
+// Unilateral volume counts the work done on both sides.
+function buildSetVolumeSql(alias = 'ss') {
+  const prefix = alias ? `${alias}.` : '';
+  return `CASE WHEN ${prefix}left_reps IS NOT NULL
+    THEN ${prefix}left_reps * ${prefix}left_weight + ${prefix}right_reps * ${prefix}right_weight
+    ELSE ${prefix}reps * ${prefix}weight END`;
+}
+
+function resolveSetVolume(row = {}) {
+  if (row.left_reps !== null && row.left_reps !== undefined) {
+    return Number(row.left_reps || 0) * Number(row.left_weight || 0)
+      + Number(row.right_reps || 0) * Number(row.right_weight || 0);
+  }
+  return Number(row.reps || 0) * Number(row.weight || 0);
+}
+
+// Compares sides by volume when the work was loaded and by reps otherwise (bodyweight rehab work).
+function buildSideAsymmetry({ leftReps = 0, rightReps = 0, leftVolume = 0, rightVolume = 0 } = {}) {
+  const basis = leftVolume + rightVolume > 0 ? 'volume' : 'reps';
+  const left = basis === 'volume' ? leftVolume : leftReps;
+  const right = basis === 'volume' ? rightVolume : rightReps;
+  const stronger = Math.max(left, right);
+  if (stronger <= 0) return null;
+  return {
+    leftReps,
+    rightReps,
+    leftVolume,
+    rightVolume,
+    basis,
+    percent: toFixedNumber((Math.abs(left - right) / stronger) * 100),
+    weakerSide: left === right ? null : left < right ? 'left' : 'right',
+  };
+}
+
+function mapSetSideColumns(row = {}) {
+  return {
+    leftReps: row.left_reps ?? null,
+    leftWeight: row.left_weight ?? null,
+    rightReps: row.right_reps ?? null,
+    rightWeight: row.right_weight ?? null,
+  };
+}
+
+function listExerciseMeasurementModes(exerciseIds) {
+  const ids = Array.from(new Set(
+    (exerciseIds || [])
+      .map((id) => Number(id))
+      .filter((id) => Number.isFinite(id) && id > 0)
+  ));
+  if (!ids.length) return new Map();
+  const placeholders = ids.map(() => '?').join(',');
+  return new Map(
+    db
+      .prepare(`SELECT id, measurement_mode FROM exercises WHERE id IN (${placeholders})`)
+      .all(...ids)
+      .map((row) => [row.id, row.measurement_mode || DEFAULT_MEASUREMENT_MODE])
+  );
+}
+
+function compareSessionSetOrder(a, b) {
+  const indexDiff = Number(a?.setIndex || 0) - Number(b?.setIndex || 0);
+  if (indexDiff !== 0) return indexDiff;
+  const rank = (set) => (set?.setType === 'warmup' ? 0 : set?.setType === 'drop' ? 2 : 1);
+  const rankDiff = rank(a) - rank(b);
+  if (rankDiff !== 0) return rankDiff;
+  return Number(a?.id || 0) - Number(b?.id || 0);
+}
+
+function resolveSetRpeFromPayload(body = {}) {
+  const hasRpe = Object.prototype.hasOwnProperty.call(body, 'rpe');
+  const hasRir = Object.prototype.hasOwnProperty.call(body, 'rir');
+  if (!hasRpe && !hasRir) {
+    return { provided: false, rpe: null };
+  }
+  // A blank value clears the RPE; anything else has to be a number.
+  const rawValue = hasRpe ? body.rpe : body.rir;
+  if (rawValue !== null && rawValue !== undefined && rawValue !== '' && normalizeNumber(rawValue) === null) {
+    throw new Error('RPE must be between 1 and 10 in steps of 0.5.');
+  }
+  // Reps in reserve is stored on the RPE scale (RIR 2 == RPE 8).
+  const rir = hasRpe ? null : normalizeNumber(body.rir);
+  const rawRpe = hasRpe ? body.rpe : rir === null ? null : SET_RPE_MAX - rir;
+  const parsed = parseSetRpeValue(rawRpe);
+  if (!parsed.valid) {
+    throw new Error('RPE must be between 1 and 10 in steps of 0.5.');
+  }
+  return { provided: true, rpe: parsed.rpe };
+}
+
+function normalizeRoutineSetTargets(
+  item,
+  fallbackTargetSets,
+  fallbackTarget,
+  measurementMode = DEFAULT_MEASUREMENT_MODE
+) {
   const explicitTargets = Array.isArray(item?.setTargets) ? item.setTargets : null;
   const rows = [];
 
   if (explicitTargets?.length) {
     explicitTargets.forEach((target, index) => {
       const setIndex = normalizeNumber(target?.setIndex) || index + 1;
-      const targetReps = normalizeNumber(target?.targetReps ?? target?.reps);
+      const metrics = parseSetTargetMetrics(measurementMode, target);
+      const setType = parseSetTypeValue(target?.setType, ROUTINE_SET_TARGET_TYPE_VALUES);
       if (
         !Number.isInteger(setIndex)
         || setIndex < 1
         || setIndex > 3
-        || !Number.isInteger(targetReps)
-        || targetReps < 1
-        || targetReps > ROUTINE_TARGET_REPS_MIN_MAX
+        || !metrics.valid
+        || !setType.valid
       ) {
         return;
       }
       rows.push({
         id: normalizeNumber(target?.id),
         setIndex,
-        targetReps,
+        targetReps: metrics.targetReps,
+        targetTimeSeconds: metrics.targetTimeSeconds,
+        targetDistanceMeters: metrics.targetDistanceMeters,
+        targetPercent: parseTargetPercentValue(target?.targetPercent).targetPercent,
+        targetWeight: parseSetTargetWeightValue(target?.targetWeight).targetWeight,
+        targetBandLabel: normalizeText(target?.targetBandLabel) || null,
+        setType: setType.setType,
       });
     });
-  } else if (
-    Number.isInteger(fallbackTargetSets)
-    && fallbackTargetSets > 0
-    && Number.isInteger(fallbackTargetReps)
-    && fallbackTargetReps > 0
-  ) {
-    for (let setIndex = 1; setIndex <= fallbackTargetSets; setIndex += 1) {
-      rows.push({ id: null, setIndex, targetReps: fallbackTargetReps });
+  } else if (Number.isInteger(fallbackTargetSets) && fallbackTargetSets > 0) {
+    const metrics = parseSetTargetMetrics(
+      measurementMode,
+      typeof fallbackTarget === 'object' && fallbackTarget !== null
+        ? fallbackTarget
+        : { targetReps: fallbackTarget }
+    );
+    if (metrics.valid) {
+      for (let setIndex = 1; setIndex <= fallbackTargetSets; setIndex += 1) {
+        rows.push({
+          id: null,
+          setIndex,
+          targetReps: metrics.targetReps,
+          targetTimeSeconds: metrics.targetTimeSeconds,
+          targetDistanceMeters: metrics.targetDistanceMeters,
+          targetPercent: null,
+          targetWeight: null,
+          targetBandLabel: null,
+          setType: DEFAULT_SET_TYPE,
+        });
+      }
     }
   }
 
@@ -522,16 +968,41 @@ function deriveTargetRepsFromSetTargets(setTargets) {
   return reps.length ? Math.max(...reps) : null;
 }
 
+// Per-set weights describe top sets and back-off sets; the heaviest one is the exercise's target weight.
+function deriveTargetWeightFromSetTargets(setTargets) {
+  const weights = (setTargets || [])
+    .map((target) => (target?.targetWeight === null || target?.targetWeight === undefined ? NaN : Number(target.targetWeight)))
+    .filter((value) => Number.isFinite(value) && value > 0);
+  return weights.length ? Math.max(...weights) : null;
+}
+
+function deriveTargetTimeSecondsFromSetTargets(setTargets) {
+  const seconds = (setTargets || [])
+    .map((target) => Number(target?.targetTimeSeconds))
+    .filter((value) => Number.isInteger(value) && value > 0);
+  return seconds.length ? Math.max(...seconds) : null;
+}
+
+function deriveTargetDistanceMetersFromSetTargets(setTargets) {
+  const meters = (setTargets || [])
+    .map((target) => Number(target?.targetDistanceMeters))
+    .filter((value) => Number.isFinite(value) && value > 0);
+  return meters.length ? Math.max(...meters) : null;
+}
+
 function normalizeRoutineExerciseRows(
   exercises,
   { requireEquipment = true, skipInvalidItems = false, sanitizeSupersets = false } = {}
 ) {
   const rows = [];
   const source = Array.isArray(exercises) ? exercises : [];
+  const measurementModes = listExerciseMeasurementModes(source.map((item) => item?.exerciseId));
 
   for (const [index, item] of source.entries()) {
     const exerciseId = Number(item.exerciseId);
     if (!exerciseId) continue;
+    const measurementMode = measurementModes.get(exerciseId) || DEFAULT_MEASUREMENT_MODE;
+    const metric = resolveMeasurementMetric(measurementMode);
 
     const equipment = normalizeText(item.equipment) || null;
     if (requireEquipment && !equipment) {
@@ -545,23 +1016,60 @@ function normalizeRoutineExerciseRows(
       return { rows: [], error: 'Target sets must be an integer between 1 and 3.' };
     }
 
-    const hasTargetReps = Object.prototype.hasOwnProperty.call(item, 'targetReps');
-    const targetReps = parseTargetRepsValue(
-      hasTargetReps ? item.targetReps : item.targetRepsRange
-    );
-    if (!targetReps.valid) {
+    let fallbackTarget = null;
+    if (metric === 'reps') {
+      const hasTargetReps = Object.prototype.hasOwnProperty.call(item, 'targetReps');
+      const targetReps = parseTargetRepsValue(
+        hasTargetReps ? item.targetReps : item.targetRepsRange
+      );
+      if (!targetReps.valid) {
+        if (skipInvalidItems) continue;
+        return { rows: [], error: 'Target reps must be 1-100.' };
+      }
+      fallbackTarget = targetReps.targetReps;
+    } else if (metric === 'time') {
+      const targetTime = parseSetTimeSecondsValue(item.targetTimeSeconds);
+      if (!targetTime.valid) {
+        if (skipInvalidItems) continue;
+        return { rows: [], error: `Target duration must be 1-${SET_TIME_SECONDS_MAX} seconds.` };
+      }
+      fallbackTarget = { targetTimeSeconds: targetTime.timeSeconds };
+    } else {
+      const targetDistance = parseSetDistanceMetersValue(item.targetDistanceMeters);
+      if (!targetDistance.valid) {
+        if (skipInvalidItems) continue;
+        return { rows: [], error: `Target distance must be 1-${SET_DISTANCE_METERS_MAX} meters.` };
+      }
+      fallbackTarget = { targetDistanceMeters: targetDistance.distanceMeters };
+    }
+
+    const hasInvalidTargetPercent = (Array.isArray(item.setTargets) ? item.setTargets : [])
+      .some((target) => !parseTargetPercentValue(target?.targetPercent).valid);
+    if (hasInvalidTargetPercent) {
+      if (skipInvalidItems) continue;
+      return {
+        rows: [],
+        error: `Training max percentages must be ${TARGET_PERCENT_MIN}-${TARGET_PERCENT_MAX}% in steps of 0.5.`,
+      };
+    }
+
+    const hasInvalidSetTargetWeight = (Array.isArray(item.setTargets) ? item.setTargets : [])
+      .some((target) => !parseSetTargetWeightValue(target?.targetWeight).valid);
+    if (hasInvalidSetTargetWeight) {
       if (skipInvalidItems) continue;
-      return { rows: [], error: 'Target reps must be 1-100.' };
+      return { rows: [], error: 'Set target weights must be greater than zero.' };
     }
 
     const setTargets = normalizeRoutineSetTargets(
       item,
       targetSets.targetSets,
-      targetReps.targetReps
+      fallbackTarget,
+      measurementMode
     );
     if (!setTargets.valid || (targetSets.targetSets && setTargets.setTargets.length !== targetSets.targetSets)) {
       if (skipInvalidItems) continue;
-      return { rows: [], error: 'Set targets must include 1-3 valid rep targets.' };
+      const targetLabel = metric === 'time' ? 'duration' : metric === 'distance' ? 'distance' : 'rep';
+      return { rows: [], error: `Set targets must include 1-3 valid ${targetLabel} targets.` };
     }
 
     const targetRest = parseTargetRestSecondsValue(item.targetRestSeconds);
@@ -570,25 +1078,62 @@ function normalizeRoutineExerciseRows(
       return { rows: [], error: 'Rest time must be 0-59 minutes and 0-59 seconds.' };
     }
 
-    const targetWeight =
-      equipment === 'Bodyweight' || equipment === 'Band'
-        ? null
-        : normalizeNumber(item.targetWeight);
+    const isUnloaded = equipment === 'Bodyweight' || equipment === 'Band';
+    // Band sets carry a band instead of a weight; everything else carries a weight instead of a band.
+    setTargets.setTargets.forEach((target) => {
+      if (isUnloaded) {
+        target.targetWeight = null;
+      }
+      if (equipment !== 'Band') {
+        target.targetBandLabel = null;
+      }
+    });
+    const targetWeight = isUnloaded
+      ? null
+      : deriveTargetWeightFromSetTargets(setTargets.setTargets) ?? normalizeNumber(item.targetWeight);
     const targetBandLabel = equipment === 'Band' ? normalizeText(item.targetBandLabel) || null : null;
 
+    const progressionRule = normalizeProgressionRule(item.progressionRule);
+    let progressionRuleError = progressionRule.error;
+    if (progressionRule.rule && metric !== 'reps') {
+      progressionRuleError = 'Progression rules are only supported for rep-based exercises.';
+    } else if (progressionRule.rule && (equipment === 'Bodyweight' || equipment === 'Band')) {
+      progressionRuleError = 'Progression rules are only supported for weighted exercises.';
+    }
+    // Imports keep the exercise and drop a rule that no longer fits it.
+    if (progressionRuleError && !skipInvalidItems) {
+      return { rows: [], error: progressionRuleError };
+    }
+
+    const usesTargetPercent = setTargets.setTargets.some((target) => target.targetPercent !== null);
+    if (usesTargetPercent && (metric !== 'reps' || equipment === 'Bodyweight' || equipment === 'Band')) {
+      if (!skipInvalidItems) {
+        return { rows: [], error: 'Training max percentages are only supported for weighted rep-based exercises.' };
+      }
+      setTargets.setTargets.forEach((target) => {
+        target.targetPercent = null;
+      });
+    }
+
     rows.push({
       id: normalizeNumber(item.id),
       exerciseId,
       equipment,
       position: Number.isFinite(item.position) ? Number(item.position) : index,
       targetSets: deriveTargetSetsFromSetTargets(setTargets.setTargets),
+      measurementMode,
       targetReps: deriveTargetRepsFromSetTargets(setTargets.setTargets),
+      targetTimeSeconds: deriveTargetTimeSecondsFromSetTargets(setTargets.setTargets),
+      targetDistanceMeters: deriveTargetDistanceMetersFromSetTargets(setTargets.setTargets),
       setTargets: setTargets.setTargets,
       targetRestSeconds: targetRest.targetRestSeconds,
       targetWeight,
       targetBandLabel,
       notes: normalizeText(item.notes) || null,
       supersetGroup: normalizeText(item.supersetGroup) || null,
+      // Per-side logging only applies to rep-based work.
+      unilateral: metric === 'reps' && item.unilateral === true,
+      progressionRule: progressionRuleError ? null : progressionRule.rule,
       originalIndex: index,
     });
   }
@@ -646,6 +1191,111 @@ function normalizeRoutineExerciseRows(
   };
 }
 
+const ROUTINE_TEXT_MAX_LENGTH = 20000;
+
+function hasSameValueForEverySet(setTargets, field) {
+  return setTargets.every((target) => target[field] === setTargets[0][field]);
+}
+
+// Reads a routine pasted as text and resolves its exercise names against the catalog. Exercises
+// come back shaped like routine exercises so the editor can load them; names that did not resolve
+// keep their closest matches so they can be mapped by hand.
+function parseRoutineTextImport(text) {
+  const parsed = parseRoutineText(text);
+  const catalog = db
+    .prepare(
+      `SELECT id, name, equipment, measurement_mode
+       FROM exercises
+       WHERE merged_into_id IS NULL AND archived_at IS NULL
+       ORDER BY name ASC`
+    )
+    .all();
+  const measurementModeById = new Map(
+    catalog.map((row) => [row.id, row.measurement_mode || DEFAULT_MEASUREMENT_MODE])
+  );
+
+  const exercises = resolveRoutineTextExercises(parsed.exercises, catalog).map((item) => {
+    const metric = item.exerciseId
+      ? resolveMeasurementMetric(measurementModeById.get(item.exerciseId))
+      : 'reps';
+    let setTargets = item.setTargets.map((target, index) => {
+      // A bare number on a timed or distance exercise is read in its unit: "Plank 3x45" holds 45 s.
+      const bareValue = target.targetReps ?? null;
+      return {
+        setIndex: index + 1,
+        targetReps: metric === 'reps' ? bareValue : null,
+        targetTimeSeconds: target.targetTimeSeconds ?? (metric === 'time' ? bareValue : null),
+        targetDistanceMeters: target.targetDistanceMeters ?? (metric === 'distance' ? bareValue : null),
+        targetPercent: target.targetPercent ?? null,
+        targetWeight: target.targetWeight ?? null,
+        targetBandLabel: target.targetBandLabel ?? null,
+        setType: 'working',
+      };
+    });
+    // One load for every set is the exercise's load rather than a per-set plan.
+    const targetWeight = deriveTargetWeightFromSetTargets(setTargets);
+    const targetBandLabel = setTargets[0]?.targetBandLabel || null;
+    if (hasSameValueForEverySet(setTargets, 'targetWeight')) {
+      setTargets = setTargets.map((target) => ({ ...target, targetWeight: null }));
+    }
+    if (hasSameValueForEverySet(setTargets, 'targetBandLabel')) {
+      setTargets = setTargets.map((target) => ({ ...target, targetBandLabel: null }));
+    }
+    return {
+      line: item.line,
+      text: item.text,
+      name: item.writtenName,
+      exerciseId: item.exerciseId,
+      exerciseName: item.exerciseName,
+      candidates: item.candidates,
+      equipment: item.equipment,
+      targetSets: deriveTargetSetsFromSetTargets(setTargets),
+      targetReps: deriveTargetRepsFromSetTargets(setTargets),
+      targetTimeSeconds: deriveTargetTimeSecondsFromSetTargets(setTargets),
+      targetDistanceMeters: deriveTargetDistanceMetersFromSetTargets(setTargets),
+      targetWeight,
+      targetBandLabel,
+      targetRestSeconds: item.targetRestSeconds,
+      supersetGroup: item.supersetGroup,
+      unilateral: item.unilateral,
+      setTargets,
+    };
+  });
+
+  return {
+    name: parsed.name,
+    notes: parsed.notes,
+    exercises,
+    errors: parsed.errors,
+    warnings: parsed.warnings,
+  };
+}
+
+// Writes a routine, saved or still in the editor, as text. Rows the editor has not finished are
+// left out instead of failing the copy.
+function formatRoutineTextExport(routine) {
+  const normalizedExercises = normalizeRoutineExerciseRows(
+    Array.isArray(routine?.exercises) ? routine.exercises : [],
+    { requireEquipment: false, skipInvalidItems: true, sanitizeSupersets: true }
+  );
+  const exerciseIds = normalizedExercises.rows.map((row) => row.exerciseId);
+  const nameById = new Map(
+    exerciseIds.length
+      ? db
+        .prepare(`SELECT id, name FROM exercises WHERE id IN (${exerciseIds.map(() => '?').join(',')})`)
+        .all(...exerciseIds)
+        .map((row) => [row.id, row.name])
+      : []
+  );
+  return serializeRoutineText({
+    name: normalizeText(routine?.name),
+    notes: normalizeText(routine?.notes),
+    exercises: normalizedExercises.rows
+      .filter((row) => nameById.has(row.exerciseId))
+      .map((row) => ({ ...row, name: nameById.get(row.exerciseId) })),
+  });
+}
+
 function listRoutineSetTargetsByExerciseIds(routineExerciseIds) {
   const ids = (routineExerciseIds || [])
     .map((id) => Number(id))
@@ -654,7 +1304,8 @@ function listRoutineSetTargetsByExerciseIds(routineExerciseIds) {
   const placeholders = ids.map(() => '?').join(',');
   const rows = db
     .prepare(
-      `SELECT id, routine_exercise_id, set_index, target_reps
+      `SELECT id, routine_exercise_id, set_index, target_reps, target_time_seconds, target_distance_meters,
+              target_percent, target_weight, target_band_label, set_type
        FROM routine_exercise_set_targets
        WHERE routine_exercise_id IN (${placeholders}) AND archived_at IS NULL
        ORDER BY routine_exercise_id ASC, set_index ASC`
@@ -668,7 +1319,13 @@ function listRoutineSetTargetsByExerciseIds(routineExerciseIds) {
     byRoutineExerciseId.get(row.routine_exercise_id).push({
       id: row.id,
       setIndex: row.set_index,
-      targetReps: row.target_reps,
+      targetReps: row.target_reps ?? null,
+      targetTimeSeconds: row.target_time_seconds ?? null,
+      targetDistanceMeters: row.target_distance_meters ?? null,
+      targetPercent: row.target_percent ?? null,
+      targetWeight: row.target_weight ?? null,
+      targetBandLabel: row.target_band_label || null,
+      setType: row.set_type || DEFAULT_SET_TYPE,
     });
   });
   return byRoutineExerciseId;
@@ -676,31 +1333,54 @@ function listRoutineSetTargetsByExerciseIds(routineExerciseIds) {
 
 function replaceRoutineExerciseSetTargets(routineExerciseId, setTargets, now = nowIso()) {
   const normalizedTargets = (setTargets || [])
-    .map((target, index) => ({
-      setIndex: normalizeNumber(target?.setIndex) || index + 1,
-      targetReps: normalizeNumber(target?.targetReps ?? target?.reps),
-    }))
+    .map((target, index) => {
+      const targetReps = normalizeNumber(target?.targetReps ?? target?.reps);
+      return {
+        setIndex: normalizeNumber(target?.setIndex) || index + 1,
+        targetReps: Number.isInteger(targetReps)
+          && targetReps >= 1
+          && targetReps <= ROUTINE_TARGET_REPS_MIN_MAX
+          ? targetReps
+          : null,
+        targetTimeSeconds: parseSetTimeSecondsValue(target?.targetTimeSeconds).timeSeconds,
+        targetDistanceMeters: parseSetDistanceMetersValue(target?.targetDistanceMeters).distanceMeters,
+        targetPercent: parseTargetPercentValue(target?.targetPercent).targetPercent,
+        targetWeight: parseSetTargetWeightValue(target?.targetWeight).targetWeight,
+        targetBandLabel: normalizeText(target?.targetBandLabel) || null,
+        setType: parseSetTypeValue(target?.setType, ROUTINE_SET_TARGET_TYPE_VALUES).setType,
+      };
+    })
     .filter((target) => (
-      Number.isInteger(target.setIndex)
+      target.setType
+      && Number.isInteger(target.setIndex)
       && target.setIndex >= 1
       && target.setIndex <= 3
-      && Number.isInteger(target.targetReps)
-      && target.targetReps >= 1
-      && target.targetReps <= ROUTINE_TARGET_REPS_MIN_MAX
+      && (
+        target.targetReps !== null
+        || target.targetTimeSeconds !== null
+        || target.targetDistanceMeters !== null
+      )
     ))
     .sort((a, b) => a.setIndex - b.setIndex);
 
   db.prepare('DELETE FROM routine_exercise_set_targets WHERE routine_exercise_id = ?').run(routineExerciseId);
   const insertTarget = db.prepare(
     `INSERT INTO routine_exercise_set_targets
-     (routine_exercise_id, set_index, target_reps, archived_at, created_at, updated_at)
-     VALUES (?, ?, ?, NULL, ?, ?)`
+     (routine_exercise_id, set_index, target_reps, target_time_seconds, target_distance_meters, target_percent,
+      target_weight, target_band_label, set_type, archived_at, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, ?, ?)`
   );
   normalizedTargets.forEach((target) => {
     insertTarget.run(
       routineExerciseId,
       target.setIndex,
       target.targetReps,
+      target.targetTimeSeconds,
+      target.targetDistanceMeters,
+      target.targetPercent,
+      target.targetWeight,
+      target.targetBandLabel,
+      target.setType,
       now,
       now
     );
@@ -826,6 +1506,17 @@ function toFixedNumber(value, digits = 1) {
   return Number(value.toFixed(digits));
 }
 
+// Minutes a finished session spent paused, for duration queries over the sessions table. Like
+// calculatePausedMilliseconds, only the part of each pause inside the session window counts.
+const SESSION_PAUSED_MINUTES_SQL = `COALESCE((
+  SELECT SUM(MAX(0,
+    MIN(julianday(COALESCE(sp.resumed_at, sessions.ended_at)), julianday(sessions.ended_at))
+    - MAX(julianday(sp.paused_at), julianday(sessions.started_at))
+  )) * 24 * 60
+  FROM session_pauses sp
+  WHERE sp.session_id = sessions.id
+), 0)`;
+
 function computeDurationStats(minutes, { capMinutes = STATS_SESSION_DURATION_CAP_MINUTES } = {}) {
   const normalized = (Array.isArray(minutes) ? minutes : [])
     .map((value) => Number(value))
@@ -913,7 +1604,7 @@ app.get('/api/exercises', requireAuth, (req, res) => {
     .prepare(
       `SELECT e.id, e.fork_id, e.name, e.force, e.level, e.mechanic, e.equipment,
               e.primary_muscles_json, e.secondary_muscles_json, e.instructions_json, e.category, e.images_json,
-              e.notes, e.merged_into_id, e.merged_at, e.archived_at, e.created_at, e.updated_at,
+              e.notes, e.measurement_mode, e.merged_into_id, e.merged_at, e.archived_at, e.created_at, e.updated_at,
               m.name AS merged_into_name
        FROM exercises e
        LEFT JOIN exercises m ON m.id = e.merged_into_id
@@ -924,7 +1615,7 @@ app.get('/api/exercises', requireAuth, (req, res) => {
 
   const setRows = db
     .prepare(
-      `SELECT ss.exercise_id, ss.weight, ss.reps, s.started_at, ss.created_at
+      `SELECT ss.exercise_id, ss.weight, ss.reps, ss.time_seconds, ss.distance_meters, s.started_at, ss.created_at
        FROM session_sets ss
        JOIN sessions s ON s.id = ss.session_id
        WHERE s.user_id = ?
@@ -938,12 +1629,19 @@ app.get('/api/exercises', requireAuth, (req, res) => {
       lastSetByExercise.set(row.exercise_id, {
         weight: row.weight,
         reps: row.reps,
+        timeSeconds: row.time_seconds ?? null,
+        distanceMeters: row.distance_meters ?? null,
         loggedAt: row.created_at,
       });
     }
   });
 
-  const exercises = rows.map((row) => exerciseRowToApi(row, lastSetByExercise));
+  const aliasesByExercise = listExerciseAliasesByExercise();
+  const exercises = rankExerciseSearch(
+    normalizeText(req.query.q),
+    rows.map((row) => exerciseRowToApi(row, lastSetByExercise, aliasesByExercise)),
+    { getAliases: (exercise) => exercise.aliases }
+  );
 
   return res.json({ exercises });
 });
@@ -990,8 +1688,8 @@ app.post('/api/exercises', requireAuth, (req, res) => {
     const result = db
       .prepare(
         `INSERT INTO exercises
-         (fork_id, name, force, level, mechanic, equipment, primary_muscles_json, secondary_muscles_json, instructions_json, category, images_json, notes, merged_into_id, merged_at, archived_at, created_at, updated_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+         (fork_id, name, force, level, mechanic, equipment, primary_muscles_json, secondary_muscles_json, instructions_json, category, images_json, notes, measurement_mode, merged_into_id, merged_at, archived_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
       )
       .run(
         exercise.forkId,
@@ -1006,6 +1704,7 @@ app.post('/api/exercises', requireAuth, (req, res) => {
         exercise.category,
         stringifyJsonArray(exercise.images),
         exercise.notes,
+        exercise.measurementMode,
         null,
         null,
         null,
@@ -1013,6 +1712,7 @@ app.post('/api/exercises', requireAuth, (req, res) => {
         now
       );
     const id = Number(result.lastInsertRowid);
+    replaceExerciseAliases(id, exercise.aliases, now);
     return res.json({
       exercise: exerciseRowToApi({
         id,
@@ -1028,13 +1728,14 @@ app.post('/api/exercises', requireAuth, (req, res) => {
         category: exercise.category,
         images_json: stringifyJsonArray(exercise.images),
         notes: exercise.notes,
+        measurement_mode: exercise.measurementMode,
         merged_into_id: null,
         merged_into_name: null,
         merged_at: null,
         archived_at: null,
         created_at: now,
         updated_at: now,
-      }),
+      }, new Map(), listExerciseAliasesByExercise([id])),
     });
   } catch (error) {
     if (String(error?.message || '').includes('UNIQUE')) {
@@ -1054,6 +1755,9 @@ app.put('/api/exercises/:id', requireAuth, (req, res) => {
     return res.status(400).json({ error: normalized.error });
   }
   const exercise = normalized.exercise;
+  // Clients that predate measurement modes omit the field; keep the stored mode for them.
+  const hasMeasurementMode = Object.prototype.hasOwnProperty.call(req.body || {}, 'measurementMode');
+  const hasAliases = Array.isArray(req.body?.aliases);
   const now = nowIso();
   try {
     const result = db
@@ -1061,7 +1765,9 @@ app.put('/api/exercises/:id', requireAuth, (req, res) => {
         `UPDATE exercises
          SET fork_id = ?, name = ?, force = ?, level = ?, mechanic = ?, equipment = ?,
              primary_muscles_json = ?, secondary_muscles_json = ?, instructions_json = ?,
-             category = ?, images_json = ?, notes = ?, updated_at = ?
+             category = ?, images_json = ?, notes = ?,
+             measurement_mode = CASE WHEN ? THEN ? ELSE measurement_mode END,
+             updated_at = ?
          WHERE id = ?`
       )
       .run(
@@ -1077,6 +1783,8 @@ app.put('/api/exercises/:id', requireAuth, (req, res) => {
         exercise.category,
         stringifyJsonArray(exercise.images),
         exercise.notes,
+        hasMeasurementMode ? 1 : 0,
+        exercise.measurementMode,
         now,
         exerciseId
       );
@@ -1084,6 +1792,9 @@ app.put('/api/exercises/:id', requireAuth, (req, res) => {
     if (result.changes === 0) {
       return res.status(404).json({ error: 'Exercise not found.' });
     }
+    if (hasAliases) {
+      replaceExerciseAliases(exerciseId, exercise.aliases, now);
+    }
     return res.json({ ok: true });
   } catch (error) {
     if (String(error?.message || '').includes('UNIQUE')) {
@@ -1094,7 +1805,7 @@ app.put('/api/exercises/:id', requireAuth, (req, res) => {
 });
 
 app.get('/api/exercise-library', requireAuth, (req, res) => {
-  const query = normalizeText(req.query.q).toLowerCase();
+  const query = normalizeText(req.query.q);
   const primaryMuscle = normalizeEnum(req.query.primaryMuscle, MUSCLE_VALUES);
   const category = normalizeEnum(req.query.category, CATEGORY_VALUES);
   const level = normalizeEnum(req.query.level, LEVEL_VALUES);
@@ -1102,9 +1813,7 @@ app.get('/api/exercise-library', requireAuth, (req, res) => {
   const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 25));
   const offset = Math.max(0, Number(req.query.offset) || 0);
 
-  const filtered = EXERCISE_LIBRARY.exercises.filter((item) => {
-    const name = normalizeText(item?.name).toLowerCase();
-    if (query && !name.includes(query)) return false;
+  const matching = EXERCISE_LIBRARY.exercises.filter((item) => {
     if (primaryMuscle && !normalizeStringArray(item?.primaryMuscles, { allowed: MUSCLE_VALUES }).includes(primaryMuscle)) {
       return false;
     }
@@ -1113,6 +1822,12 @@ app.get('/api/exercise-library', requireAuth, (req, res) => {
     if (equipment && normalizeEnum(item?.equipment, EQUIPMENT_VALUES) !== equipment) return false;
     return true;
   });
+  // Aliases given to exercises added from the library find their library entry too.
+  const aliasesByForkId = query ? listExerciseAliasesByForkId() : new Map();
+  const filtered = rankExerciseSearch(query, matching, {
+    getName: (item) => normalizeText(item?.name),
+    getAliases: (item) => aliasesByForkId.get(item?.id),
+  });
 
   const page = filtered.slice(offset, offset + limit);
   const forkIds = page.map((item) => normalizeText(item.id)).filter(Boolean);
@@ -1166,7 +1881,7 @@ app.post('/api/exercise-library/:forkId/add', requireAuth, (req, res) => {
   const existingByForkId = db
     .prepare(
       `SELECT id, fork_id, name, force, level, mechanic, equipment, primary_muscles_json, secondary_muscles_json, instructions_json, category, images_json,
-              notes, merged_into_id, merged_at, archived_at, created_at, updated_at
+              notes, measurement_mode, merged_into_id, merged_at, archived_at, created_at, updated_at
        FROM exercises
        WHERE fork_id = ?`
     )
@@ -1256,7 +1971,7 @@ app.post('/api/exercise-library/:forkId/add', requireAuth, (req, res) => {
     const updated = db
       .prepare(
         `SELECT id, fork_id, name, force, level, mechanic, equipment, primary_muscles_json, secondary_muscles_json, instructions_json, category, images_json,
-                notes, merged_into_id, merged_at, archived_at, created_at, updated_at
+                notes, measurement_mode, merged_into_id, merged_at, archived_at, created_at, updated_at
          FROM exercises
          WHERE id = ?`
       )
@@ -1397,7 +2112,7 @@ app.post('/api/exercises/merge', requireAuth, (req, res) => {
 
   const source = db
     .prepare(
-      `SELECT id, fork_id, force, level, mechanic, equipment, primary_muscles_json, secondary_muscles_json, instructions_json, category, images_json,
+      `SELECT id, fork_id, name, force, level, mechanic, equipment, primary_muscles_json, secondary_muscles_json, instructions_json, category, images_json,
               archived_at, merged_into_id
        FROM exercises
        WHERE id = ?`
@@ -1405,7 +2120,7 @@ app.post('/api/exercises/merge', requireAuth, (req, res) => {
     .get(sourceId);
   const target = db
     .prepare(
-      `SELECT id, fork_id, force, level, mechanic, equipment, primary_muscles_json, secondary_muscles_json, instructions_json, category, images_json,
+      `SELECT id, fork_id, name, force, level, mechanic, equipment, primary_muscles_json, secondary_muscles_json, instructions_json, category, images_json,
               archived_at, merged_into_id
        FROM exercises
        WHERE id = ?`
@@ -1453,12 +2168,24 @@ app.post('/api/exercises/merge', requireAuth, (req, res) => {
         return res.status(409).json({ error: 'Source exercise changed before merge could complete.' });
       }
     }
+    const affectedRoutineIds = db
+      .prepare('SELECT DISTINCT routine_id FROM routine_exercises WHERE exercise_id = ? AND archived_at IS NULL')
+      .all(sourceId)
+      .map((row) => Number(row.routine_id));
+    affectedRoutineIds.forEach((routineId) => ensureRoutineVersion(routineId, now));
     movedRoutineLinks = db
       .prepare('UPDATE routine_exercises SET exercise_id = ? WHERE exercise_id = ?')
       .run(targetId, sourceId).changes;
+    affectedRoutineIds.forEach((routineId) => recordRoutineVersion(routineId, 'exercise_merged', { now }));
     movedSetLinks = db
       .prepare('UPDATE session_sets SET exercise_id = ? WHERE exercise_id = ?')
       .run(targetId, sourceId).changes;
+    db.prepare('DELETE FROM personal_records WHERE exercise_id = ?').run(sourceId);
+    recomputePersonalRecordsForExercise(targetId);
+    mergeExerciseAliases(source, target, now);
+    // A training max already set on the target wins over the merged exercise's one.
+    db.prepare('UPDATE OR IGNORE training_maxes SET exercise_id = ? WHERE exercise_id = ?').run(targetId, sourceId);
+    db.prepare('DELETE FROM training_maxes WHERE exercise_id = ?').run(sourceId);
     db.prepare(
       `UPDATE exercises
        SET fork_id = ?, force = ?, level = ?, mechanic = ?, equipment = ?,
@@ -1508,15 +2235,23 @@ app.post('/api/exercises/merge', requireAuth, (req, res) => {
   });
 });
 
-function listRoutines(userId) {
+function listRoutines(userId, { routineId = null } = {}) {
   const routines = db
     .prepare(
-      `SELECT id, name, notes, routine_type, created_at, updated_at
-       FROM routines
-       WHERE user_id = ?
-       ORDER BY updated_at DESC`
+      `SELECT r.id, r.name, r.notes, r.routine_type, r.shared_at, r.origin_routine_id, r.origin_version_id,
+              r.created_at, r.updated_at,
+              origin.name AS origin_name, origin.shared_at AS origin_shared_at, origin_user.username AS origin_author,
+              (SELECT rv.id FROM routine_versions rv
+               WHERE rv.routine_id = r.origin_routine_id
+               ORDER BY rv.version_number DESC
+               LIMIT 1) AS origin_latest_version_id
+       FROM routines r
+       LEFT JOIN routines origin ON origin.id = r.origin_routine_id
+       LEFT JOIN users origin_user ON origin_user.id = origin.user_id
+       WHERE r.user_id = ? AND (? IS NULL OR r.id = ?)
+       ORDER BY r.updated_at DESC`
     )
-    .all(userId);
+    .all(userId, routineId, routineId);
 
   if (!routines.length) {
     return [];
@@ -1576,7 +2311,7 @@ function listRoutines(userId) {
     .prepare(
       `SELECT re.id, re.routine_id, re.exercise_id, re.position,
               re.target_sets, re.target_reps, re.target_rest_seconds, re.target_weight, re.target_band_label, re.notes, re.equipment, re.superset_group,
-              e.name AS exercise_name, e.primary_muscles_json
+              re.unilateral, re.progression_rule_json, e.name AS exercise_name, e.primary_muscles_json, e.measurement_mode
        FROM routine_exercises re
        JOIN exercises e ON e.id = re.exercise_id
        WHERE re.routine_id IN (${placeholders}) AND re.archived_at IS NULL
@@ -1600,14 +2335,19 @@ function listRoutines(userId) {
       primaryMuscles: parseJsonArray(row.primary_muscles_json),
       equipment: row.equipment,
       position: row.position,
+      measurementMode: row.measurement_mode || DEFAULT_MEASUREMENT_MODE,
       targetSets: setTargets.length || row.target_sets,
       targetReps: deriveTargetRepsFromSetTargets(setTargets) || row.target_reps,
+      targetTimeSeconds: deriveTargetTimeSecondsFromSetTargets(setTargets),
+      targetDistanceMeters: deriveTargetDistanceMetersFromSetTargets(setTargets),
       setTargets,
       targetRestSeconds: row.target_rest_seconds,
       targetWeight: row.target_weight,
       targetBandLabel: row.target_band_label,
       notes: row.notes,
       supersetGroup: row.superset_group,
+      unilateral: Boolean(row.unilateral),
+      progressionRule: parseStoredProgressionRule(row.progression_rule_json),
     });
   });
 
@@ -1616,6 +2356,8 @@ function listRoutines(userId) {
     name: routine.name,
     notes: routine.notes,
     routineType: normalizeRoutineType(routine.routine_type, { fallback: 'standard' }),
+    sharedAt: routine.shared_at || null,
+    origin: mapRoutineOrigin(routine),
     createdAt: routine.created_at,
     updatedAt: routine.updated_at,
     lastUsedAt: lastUsedByRoutine.get(routine.id) || null,
@@ -1623,142 +2365,181 @@ function listRoutines(userId) {
   }));
 }
 
-app.get('/api/routines', requireAuth, (req, res) => {
-  const routines = listRoutines(req.session.userId);
-  res.json({ routines });
-});
+// A copied routine remembers the shared routine it came from and the version it was last synced
+// with; the author saving a newer version makes an update available until they stop sharing.
+function mapRoutineOrigin(row) {
+  if (!row.origin_routine_id) return null;
+  const available = Boolean(row.origin_shared_at);
+  return {
+    routineId: row.origin_routine_id,
+    name: row.origin_name,
+    authorName: row.origin_author,
+    available,
+    updateAvailable: available
+      && Boolean(row.origin_latest_version_id)
+      && row.origin_latest_version_id !== row.origin_version_id,
+  };
+}
 
-app.get('/api/routines/:id', requireAuth, (req, res) => {
-  const routineId = Number(req.params.id);
-  if (!routineId) {
-    return res.status(400).json({ error: 'Invalid routine id.' });
-  }
-  const routines = listRoutines(req.session.userId).filter(
-    (routine) => routine.id === routineId
-  );
-  if (!routines.length) {
-    return res.status(404).json({ error: 'Routine not found.' });
-  }
-  return res.json({ routine: routines[0] });
-});
+function getLatestRoutineVersion(routineId) {
+  return db
+    .prepare(
+      `SELECT id, version_number, snapshot_json
+       FROM routine_versions
+       WHERE routine_id = ?
+       ORDER BY version_number DESC
+       LIMIT 1`
+    )
+    .get(routineId);
+}
 
-app.post('/api/routines', requireAuth, (req, res) => {
-  const name = normalizeText(req.body?.name);
-  if (!name) {
-    return res.status(400).json({ error: 'Routine name is required.' });
-  }
-  const routineType = normalizeRoutineType(req.body?.routineType, { fallback: 'standard' });
-  if (!routineType) {
-    return res.status(400).json({ error: 'Routine type must be "standard" or "rehab".' });
-  }
-  const notes = normalizeText(req.body?.notes) || null;
-  const exercises = Array.isArray(req.body?.exercises) ? req.body.exercises : [];
-  const normalizedExercises = normalizeRoutineExerciseRows(exercises);
-  if (normalizedExercises.error) {
-    return res.status(400).json({ error: normalizedExercises.error });
+// Snapshots the routine as it is now and returns the version id. When nothing changed since the
+// latest version (a target update that kept the same weight, a reorder back and forth) that version
+// is reused instead of adding an identical one.
+function recordRoutineVersion(routineId, reason, { now = nowIso(), restoredFromVersionId = null } = {}) {
+  if (!ROUTINE_VERSION_REASONS.includes(reason)) {
+    throw new Error(`Unknown routine version reason "${reason}".`);
+  }
+  const owner = db.prepare('SELECT user_id FROM routines WHERE id = ?').get(routineId);
+  if (!owner) return null;
+  const routine = listRoutines(owner.user_id, { routineId })[0];
+  const snapshot = buildRoutineSnapshot(routine);
+  const latest = getLatestRoutineVersion(routineId);
+  if (latest && !hasRoutineSnapshotChanges(parseRoutineSnapshot(latest.snapshot_json), snapshot)) {
+    return Number(latest.id);
   }
-  const now = nowIso();
-
   const result = db
     .prepare(
-      `INSERT INTO routines (user_id, name, notes, routine_type, created_at, updated_at)
+      `INSERT INTO routine_versions (routine_id, version_number, reason, snapshot_json, restored_from_version_id, created_at)
        VALUES (?, ?, ?, ?, ?, ?)`
     )
-    .run(req.session.userId, name, notes, routineType, now, now);
-  const routineId = Number(result.lastInsertRowid);
-
-  const insertExercise = db.prepare(
-    `INSERT INTO routine_exercises
-     (routine_id, exercise_id, equipment, position, target_sets, target_reps, target_rest_seconds, target_weight, target_band_label, notes, superset_group)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
-  );
-
-  for (const item of normalizedExercises.rows) {
-    const insertResult = insertExercise.run(
+    .run(
       routineId,
-      item.exerciseId,
-      item.equipment,
-      item.position,
-      item.targetSets,
-      item.targetReps,
-      item.targetRestSeconds,
-      item.targetWeight,
-      item.targetBandLabel,
-      item.notes,
-      item.supersetGroup
+      (Number(latest?.version_number) || 0) + 1,
+      reason,
+      JSON.stringify(snapshot),
+      restoredFromVersionId,
+      now
     );
-    replaceRoutineExerciseSetTargets(Number(insertResult.lastInsertRowid), item.setTargets, now);
-  }
+  return Number(result.lastInsertRowid);
+}
 
-  const routines = listRoutines(req.session.userId).filter(
-    (routine) => routine.id === routineId
-  );
-  return res.json({ routine: routines[0] });
-});
+// Routines saved before version history existed get their first version on demand.
+function ensureRoutineVersion(routineId, now = nowIso()) {
+  return recordRoutineVersion(routineId, 'baseline', { now });
+}
 
-app.put('/api/routines/:id', requireAuth, (req, res) => {
-  const routineId = Number(req.params.id);
-  if (!routineId) {
-    return res.status(400).json({ error: 'Invalid routine id.' });
-  }
-  const name = normalizeText(req.body?.name);
-  if (!name) {
-    return res.status(400).json({ error: 'Routine name is required.' });
-  }
-  const notes = normalizeText(req.body?.notes) || null;
-  const exercises = Array.isArray(req.body?.exercises) ? req.body.exercises : [];
-  const normalizedExercises = normalizeRoutineExerciseRows(exercises);
-  if (normalizedExercises.error) {
-    return res.status(400).json({ error: normalizedExercises.error });
-  }
-  const existingRoutine = db
-    .prepare('SELECT id, routine_type FROM routines WHERE id = ? AND user_id = ?')
-    .get(routineId, req.session.userId);
-  if (!existingRoutine) {
-    return res.status(404).json({ error: 'Routine not found.' });
+function mapRoutineVersionRow(row) {
+  return {
+    id: row.id,
+    routineId: row.routine_id,
+    versionNumber: row.version_number,
+    reason: row.reason,
+    restoredFromVersionNumber: row.restored_from_version_number ?? null,
+    exerciseCount: parseRoutineSnapshot(row.snapshot_json)?.exercises.length ?? 0,
+    sessionCount: Number(row.session_count) || 0,
+    createdAt: row.created_at,
+  };
+}
+
+function listRoutineVersionRows(routineId, { versionId = null } = {}) {
+  return db
+    .prepare(
+      `SELECT rv.id, rv.routine_id, rv.version_number, rv.reason, rv.snapshot_json, rv.created_at,
+              source.version_number AS restored_from_version_number,
+              (SELECT COUNT(*) FROM sessions s WHERE s.routine_version_id = rv.id) AS session_count
+       FROM routine_versions rv
+       LEFT JOIN routine_versions source ON source.id = rv.restored_from_version_id
+       WHERE rv.routine_id = ? AND (? IS NULL OR rv.id = ?)
+       ORDER BY rv.version_number DESC`
+    )
+    .all(routineId, versionId, versionId);
+}
+
+function requireRoutineForUser(userId, routineId) {
+  const routine = db
+    .prepare('SELECT id FROM routines WHERE id = ? AND user_id = ?')
+    .get(routineId, userId);
+  if (!routine) {
+    throw new Error('Routine not found.');
   }
-  const hasRoutineTypeInput = Object.prototype.hasOwnProperty.call(req.body || {}, 'routineType');
-  const routineType = normalizeRoutineType(
-    hasRoutineTypeInput ? req.body?.routineType : existingRoutine.routine_type,
-    { fallback: 'standard' }
-  );
-  if (!routineType) {
-    return res.status(400).json({ error: 'Routine type must be "standard" or "rehab".' });
+  return routine;
+}
+
+function listRoutineVersionsForUser(userId, routineId) {
+  requireRoutineForUser(userId, routineId);
+  ensureRoutineVersion(routineId);
+  return listRoutineVersionRows(routineId).map(mapRoutineVersionRow);
+}
+
+function getRoutineVersionRowForUser(userId, routineId, versionId) {
+  requireRoutineForUser(userId, routineId);
+  const row = listRoutineVersionRows(routineId, { versionId })[0];
+  if (!row) {
+    throw new Error('Routine version not found.');
   }
-  const activeSession = db
+  return row;
+}
+
+function getRoutineVersionForUser(userId, routineId, versionId) {
+  const row = getRoutineVersionRowForUser(userId, routineId, versionId);
+  return {
+    ...mapRoutineVersionRow(row),
+    snapshot: parseRoutineSnapshot(row.snapshot_json),
+  };
+}
+
+// Compares two versions; without a "to" version the older one is compared with the latest.
+function compareRoutineVersionsForUser(userId, routineId, fromVersionId, toVersionId = null) {
+  const fromRow = getRoutineVersionRowForUser(userId, routineId, fromVersionId);
+  const toRow = toVersionId
+    ? getRoutineVersionRowForUser(userId, routineId, toVersionId)
+    : listRoutineVersionRows(routineId)[0];
+  return {
+    from: mapRoutineVersionRow(fromRow),
+    to: mapRoutineVersionRow(toRow),
+    diff: diffRoutineSnapshots(
+      parseRoutineSnapshot(fromRow.snapshot_json),
+      parseRoutineSnapshot(toRow.snapshot_json)
+    ),
+  };
+}
+
+function getActiveRoutineSession(userId, routineId) {
+  return db
     .prepare(
       `SELECT id FROM sessions
        WHERE user_id = ? AND routine_id = ? AND ended_at IS NULL
        ORDER BY started_at DESC
        LIMIT 1`
     )
-    .get(req.session.userId, routineId);
-  if (activeSession) {
-    return res.status(409).json({
-      error:
-        'Finish or discard your active workout for this routine before saving routine changes.',
-    });
-  }
-  const now = nowIso();
-
-  const result = db
-    .prepare(
-      `UPDATE routines
-       SET name = ?, notes = ?, routine_type = ?, updated_at = ?
-       WHERE id = ? AND user_id = ?`
-    )
-    .run(name, notes, routineType, now, routineId, req.session.userId);
+    .get(userId, routineId);
+}
 
-  if (result.changes === 0) {
-    return res.status(404).json({ error: 'Routine not found.' });
-  }
+// Older versions can point at exercises that were merged away since; follow the merge to the
+// exercise that is in use now.
+function resolveMergedExerciseId(exerciseId) {
+  let currentId = Number(exerciseId);
+  const seenIds = new Set();
+  while (currentId && !seenIds.has(currentId)) {
+    seenIds.add(currentId);
+    const row = db.prepare('SELECT merged_into_id FROM exercises WHERE id = ?').get(currentId);
+    if (!row?.merged_into_id) break;
+    currentId = Number(row.merged_into_id);
+  }
+  return currentId;
+}
 
+// Saves the submitted slots over the routine's current ones and returns their ids in order. Slots
+// that are not submitted are archived, not deleted, so past sessions and older versions can still
+// point at them.
+function writeRoutineExerciseRows(routineId, rows, now = nowIso()) {
   const existingExerciseRows = db
     .prepare('SELECT id FROM routine_exercises WHERE routine_id = ?')
     .all(routineId);
   const existingExerciseIds = new Set(existingExerciseRows.map((row) => Number(row.id)));
   const submittedExistingIds = new Set(
-    normalizedExercises.rows
+    rows
       .map((item) => Number(item.id))
       .filter((id) => existingExerciseIds.has(id))
   );
@@ -1776,16 +2557,18 @@ app.put('/api/routines/:id', requireAuth, (req, res) => {
     `UPDATE routine_exercises
      SET exercise_id = ?, equipment = ?, position = ?, target_sets = ?, target_reps = ?,
          target_rest_seconds = ?, target_weight = ?, target_band_label = ?, notes = ?,
-         superset_group = ?, archived_at = NULL
+         superset_group = ?, unilateral = ?, progression_rule_json = ?, archived_at = NULL
      WHERE id = ? AND routine_id = ?`
   );
   const insertExercise = db.prepare(
     `INSERT INTO routine_exercises
-     (routine_id, exercise_id, equipment, position, target_sets, target_reps, target_rest_seconds, target_weight, target_band_label, notes, superset_group)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+     (routine_id, exercise_id, equipment, position, target_sets, target_reps, target_rest_seconds, target_weight, target_band_label, notes, superset_group, unilateral,
+      progression_rule_json)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
   );
 
-  for (const item of normalizedExercises.rows) {
+  const savedIds = [];
+  for (const item of rows) {
     const existingId = Number(item.id);
     if (existingExerciseIds.has(existingId)) {
       updateExercise.run(
@@ -1799,10 +2582,13 @@ app.put('/api/routines/:id', requireAuth, (req, res) => {
         item.targetBandLabel,
         item.notes,
         item.supersetGroup,
+        item.unilateral ? 1 : 0,
+        serializeProgressionRule(item.progressionRule),
         existingId,
         routineId
       );
       replaceRoutineExerciseSetTargets(existingId, item.setTargets, now);
+      savedIds.push(existingId);
     } else {
       const insertResult = insertExercise.run(
         routineId,
@@ -1815,11 +2601,216 @@ app.put('/api/routines/:id', requireAuth, (req, res) => {
         item.targetWeight,
         item.targetBandLabel,
         item.notes,
-        item.supersetGroup
+        item.supersetGroup,
+        item.unilateral ? 1 : 0,
+        serializeProgressionRule(item.progressionRule)
       );
       replaceRoutineExerciseSetTargets(Number(insertResult.lastInsertRowid), item.setTargets, now);
+      savedIds.push(Number(insertResult.lastInsertRowid));
     }
   }
+  return savedIds;
+}
+
+const ACTIVE_ROUTINE_SESSION_RESTORE_ERROR =
+  'Finish or discard your active workout for this routine before restoring a version.';
+
+// Writes an older version back over the routine. Slots keep their ids, so slots that were removed
+// since come back from the archive, and the restore itself becomes the newest version.
+function restoreRoutineVersionForUser(userId, routineId, versionId) {
+  const row = getRoutineVersionRowForUser(userId, routineId, versionId);
+  const snapshot = parseRoutineSnapshot(row.snapshot_json);
+  if (!snapshot) {
+    throw new Error('Routine version could not be read.');
+  }
+  if (getActiveRoutineSession(userId, routineId)) {
+    throw new Error(ACTIVE_ROUTINE_SESSION_RESTORE_ERROR);
+  }
+  const normalizedExercises = normalizeRoutineExerciseRows(
+    snapshot.exercises.map((item, index) => ({
+      ...item,
+      exerciseId: resolveMergedExerciseId(item.exerciseId),
+      position: index,
+    }))
+  );
+  if (normalizedExercises.error) {
+    throw new Error(normalizedExercises.error);
+  }
+
+  const now = nowIso();
+  let restoredVersionId = null;
+  db.exec('BEGIN IMMEDIATE;');
+  try {
+    ensureRoutineVersion(routineId, now);
+    db.prepare(
+      `UPDATE routines
+       SET name = ?, notes = ?, routine_type = ?, updated_at = ?
+       WHERE id = ? AND user_id = ?`
+    ).run(
+      normalizeText(snapshot.name) || 'Routine',
+      normalizeText(snapshot.notes) || null,
+      normalizeRoutineType(snapshot.routineType, { fallback: 'standard' }),
+      now,
+      routineId,
+      userId
+    );
+    writeRoutineExerciseRows(routineId, normalizedExercises.rows, now);
+    restoredVersionId = recordRoutineVersion(routineId, 'restored', { now, restoredFromVersionId: row.id });
+    db.exec('COMMIT;');
+  } catch (error) {
+    db.exec('ROLLBACK;');
+    throw error;
+  }
+  return {
+    routine: listRoutines(userId, { routineId })[0],
+    version: mapRoutineVersionRow(listRoutineVersionRows(routineId, { versionId: restoredVersionId })[0]),
+  };
+}
+
+app.get('/api/routines', requireAuth, (req, res) => {
+  const routines = listRoutines(req.session.userId);
+  res.json({ routines });
+});
+
+app.post('/api/routines/text/parse', requireAuth, (req, res) => {
+  const text = typeof req.body?.text === 'string' ? req.body.text : '';
+  if (!text.trim()) {
+    return res.status(400).json({ error: 'Paste a routine to read.' });
+  }
+  if (text.length > ROUTINE_TEXT_MAX_LENGTH) {
+    return res.status(400).json({ error: 'Routine text is too long.' });
+  }
+  return res.json(parseRoutineTextImport(text));
+});
+
+app.post('/api/routines/text/serialize', requireAuth, (req, res) => {
+  res.json({ text: formatRoutineTextExport(req.body || {}) });
+});
+
+app.get('/api/routines/:id', requireAuth, (req, res) => {
+  const routineId = Number(req.params.id);
+  if (!routineId) {
+    return res.status(400).json({ error: 'Invalid routine id.' });
+  }
+  const routines = listRoutines(req.session.userId).filter(
+    (routine) => routine.id === routineId
+  );
+  if (!routines.length) {
+    return res.status(404).json({ error: 'Routine not found.' });
+  }
+  return res.json({ routine: routines[0] });
+});
+
+app.post('/api/routines', requireAuth, (req, res) => {
+  const name = normalizeText(req.body?.name);
+  if (!name) {
+    return res.status(400).json({ error: 'Routine name is required.' });
+  }
+  const routineType = normalizeRoutineType(req.body?.routineType, { fallback: 'standard' });
+  if (!routineType) {
+    return res.status(400).json({ error: 'Routine type must be "standard" or "rehab".' });
+  }
+  const notes = normalizeText(req.body?.notes) || null;
+  const exercises = Array.isArray(req.body?.exercises) ? req.body.exercises : [];
+  const normalizedExercises = normalizeRoutineExerciseRows(exercises);
+  if (normalizedExercises.error) {
+    return res.status(400).json({ error: normalizedExercises.error });
+  }
+  const now = nowIso();
+
+  const result = db
+    .prepare(
+      `INSERT INTO routines (user_id, name, notes, routine_type, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .run(req.session.userId, name, notes, routineType, now, now);
+  const routineId = Number(result.lastInsertRowid);
+
+  const insertExercise = db.prepare(
+    `INSERT INTO routine_exercises
+     (routine_id, exercise_id, equipment, position, target_sets, target_reps, target_rest_seconds, target_weight, target_band_label, notes, superset_group, unilateral,
+      progression_rule_json)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+
+  for (const item of normalizedExercises.rows) {
+    const insertResult = insertExercise.run(
+      routineId,
+      item.exerciseId,
+      item.equipment,
+      item.position,
+      item.targetSets,
+      item.targetReps,
+      item.targetRestSeconds,
+      item.targetWeight,
+      item.targetBandLabel,
+      item.notes,
+      item.supersetGroup,
+      item.unilateral ? 1 : 0,
+      serializeProgressionRule(item.progressionRule)
+    );
+    replaceRoutineExerciseSetTargets(Number(insertResult.lastInsertRowid), item.setTargets, now);
+  }
+  recordRoutineVersion(routineId, 'created', { now });
+
+  const routines = listRoutines(req.session.userId).filter(
+    (routine) => routine.id === routineId
+  );
+  return res.json({ routine: routines[0] });
+});
+
+app.put('/api/routines/:id', requireAuth, (req, res) => {
+  const routineId = Number(req.params.id);
+  if (!routineId) {
+    return res.status(400).json({ error: 'Invalid routine id.' });
+  }
+  const name = normalizeText(req.body?.name);
+  if (!name) {
+    return res.status(400).json({ error: 'Routine name is required.' });
+  }
+  const notes = normalizeText(req.body?.notes) || null;
+  const exercises = Array.isArray(req.body?.exercises) ? req.body.exercises : [];
+  const normalizedExercises = normalizeRoutineExerciseRows(exercises);
+  if (normalizedExercises.error) {
+    return res.status(400).json({ error: normalizedExercises.error });
+  }
+  const existingRoutine = db
+    .prepare('SELECT id, routine_type FROM routines WHERE id = ? AND user_id = ?')
+    .get(routineId, req.session.userId);
+  if (!existingRoutine) {
+    return res.status(404).json({ error: 'Routine not found.' });
+  }
+  const hasRoutineTypeInput = Object.prototype.hasOwnProperty.call(req.body || {}, 'routineType');
+  const routineType = normalizeRoutineType(
+    hasRoutineTypeInput ? req.body?.routineType : existingRoutine.routine_type,
+    { fallback: 'standard' }
+  );
+  if (!routineType) {
+    return res.status(400).json({ error: 'Routine type must be "standard" or "rehab".' });
+  }
+  if (getActiveRoutineSession(req.session.userId, routineId)) {
+    return res.status(409).json({
+      error:
+        'Finish or discard your active workout for this routine before saving routine changes.',
+    });
+  }
+  const now = nowIso();
+  ensureRoutineVersion(routineId, now);
+
+  const result = db
+    .prepare(
+      `UPDATE routines
+       SET name = ?, notes = ?, routine_type = ?, updated_at = ?
+       WHERE id = ? AND user_id = ?`
+    )
+    .run(name, notes, routineType, now, routineId, req.session.userId);
+
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Routine not found.' });
+  }
+
+  writeRoutineExerciseRows(routineId, normalizedExercises.rows, now);
+  recordRoutineVersion(routineId, 'edited', { now });
 
   const routines = listRoutines(req.session.userId).filter(
     (routine) => routine.id === routineId
@@ -1888,7 +2879,8 @@ app.post('/api/routines/:id/duplicate', requireAuth, (req, res) => {
 
   const sourceExercises = db
     .prepare(
-      `SELECT id, exercise_id, equipment, target_sets, target_reps, target_rest_seconds, target_weight, target_band_label, notes, position, superset_group
+      `SELECT id, exercise_id, equipment, target_sets, target_reps, target_rest_seconds, target_weight, target_band_label, notes, position, superset_group,
+              unilateral, progression_rule_json
        FROM routine_exercises
        WHERE routine_id = ? AND archived_at IS NULL
        ORDER BY position ASC`
@@ -1917,8 +2909,9 @@ app.post('/api/routines/:id/duplicate', requireAuth, (req, res) => {
 
   const insertExercise = db.prepare(
     `INSERT INTO routine_exercises
-     (routine_id, exercise_id, equipment, position, target_sets, target_reps, target_rest_seconds, target_weight, target_band_label, notes, superset_group)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+     (routine_id, exercise_id, equipment, position, target_sets, target_reps, target_rest_seconds, target_weight, target_band_label, notes, superset_group, unilateral,
+      progression_rule_json)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
   );
   sourceExercises.forEach((item, index) => {
     const insertResult = insertExercise.run(
@@ -1932,7 +2925,9 @@ app.post('/api/routines/:id/duplicate', requireAuth, (req, res) => {
       item.target_weight,
       item.target_band_label,
       item.notes || null,
-      item.superset_group || null
+      item.superset_group || null,
+      item.unilateral ? 1 : 0,
+      item.progression_rule_json || null
     );
     replaceRoutineExerciseSetTargets(
       Number(insertResult.lastInsertRowid),
@@ -1940,6 +2935,7 @@ app.post('/api/routines/:id/duplicate', requireAuth, (req, res) => {
       now
     );
   });
+  recordRoutineVersion(duplicateId, 'duplicated', { now });
 
   const routines = listRoutines(req.session.userId).filter(
     (routine) => routine.id === duplicateId
@@ -2008,13 +3004,16 @@ app.put('/api/routines/:id/reorder', requireAuth, (req, res) => {
 
   db.exec('BEGIN IMMEDIATE;');
   try {
+    ensureRoutineVersion(routineId);
     const updatePosition = db.prepare(
       'UPDATE routine_exercises SET position = ? WHERE id = ? AND routine_id = ?'
     );
     orderedIds.forEach((exerciseRowId, index) => {
       updatePosition.run(index, exerciseRowId, routineId);
     });
-    db.prepare('UPDATE routines SET updated_at = ? WHERE id = ?').run(nowIso(), routineId);
+    const now = nowIso();
+    db.prepare('UPDATE routines SET updated_at = ? WHERE id = ?').run(now, routineId);
+    recordRoutineVersion(routineId, 'reordered', { now });
     db.exec('COMMIT;');
   } catch (error) {
     db.exec('ROLLBACK;');
@@ -2041,28 +3040,828 @@ app.delete('/api/routines/:id', requireAuth, (req, res) => {
   return res.json({ ok: true });
 });
 
-function getSessionById(sessionId, userId) {
+app.get('/api/routines/:id/versions', requireAuth, (req, res) => {
+  const routineId = Number(req.params.id);
+  if (!routineId) {
+    return res.status(400).json({ error: 'Invalid routine id.' });
+  }
+  try {
+    return res.json({ versions: listRoutineVersionsForUser(req.session.userId, routineId) });
+  } catch (error) {
+    const notFoundErrors = new Set(['Routine not found.', 'Routine version not found.']);
+    return res.status(notFoundErrors.has(error.message) ? 404 : 400).json({ error: error.message || 'Failed to load routine versions.' });
+  }
+});
+
+app.get('/api/routines/:id/versions/compare', requireAuth, (req, res) => {
+  const routineId = Number(req.params.id);
+  const fromVersionId = normalizeNumber(req.query?.from);
+  const toVersionId = normalizeNumber(req.query?.to);
+  if (!routineId || !fromVersionId) {
+    return res.status(400).json({ error: 'Invalid routine or version id.' });
+  }
+  try {
+    return res.json(compareRoutineVersionsForUser(req.session.userId, routineId, fromVersionId, toVersionId));
+  } catch (error) {
+    const notFoundErrors = new Set(['Routine not found.', 'Routine version not found.']);
+    return res.status(notFoundErrors.has(error.message) ? 404 : 400).json({ error: error.message || 'Failed to compare routine versions.' });
+  }
+});
+
+app.get('/api/routines/:id/versions/:versionId', requireAuth, (req, res) => {
+  const routineId = Number(req.params.id);
+  const versionId = Number(req.params.versionId);
+  if (!routineId || !versionId) {
+    return res.status(400).json({ error: 'Invalid routine or version id.' });
+  }
+  try {
+    return res.json({ version: getRoutineVersionForUser(req.session.userId, routineId, versionId) });
+  } catch (error) {
+    const notFoundErrors = new Set(['Routine not found.', 'Routine version not found.']);
+    return res.status(notFoundErrors.has(error.message) ? 404 : 400).json({ error: error.message || 'Failed to load routine version.' });
+  }
+});
+
+app.post('/api/routines/:id/versions/:versionId/restore', requireAuth, (req, res) => {
+  const routineId = Number(req.params.id);
+  const versionId = Number(req.params.versionId);
+  if (!routineId || !versionId) {
+    return res.status(400).json({ error: 'Invalid routine or version id.' });
+  }
+  try {
+    return res.json(restoreRoutineVersionForUser(req.session.userId, routineId, versionId));
+  } catch (error) {
+    const notFoundErrors = new Set(['Routine not found.', 'Routine version not found.']);
+    let status = notFoundErrors.has(error.message) ? 404 : 400;
+    if (error.message === ACTIVE_ROUTINE_SESSION_RESTORE_ERROR) {
+      status = 409;
+    }
+    return res.status(status).json({ error: error.message || 'Failed to restore routine version.' });
+  }
+});
+
+function setRoutineSharedForUser(userId, routineId, shared) {
+  requireRoutineForUser(userId, routineId);
+  const now = nowIso();
+  // Copies link to a version of the routine, so a routine shared before it had one gets it now.
+  if (shared) {
+    ensureRoutineVersion(routineId, now);
+  }
+  db.prepare(
+    `UPDATE routines
+     SET shared_at = CASE WHEN ? THEN COALESCE(shared_at, ?) ELSE NULL END
+     WHERE id = ? AND user_id = ?`
+  ).run(shared ? 1 : 0, now, routineId, userId);
+  return listRoutines(userId, { routineId })[0];
+}
+
+function getSharedRoutineRow(routineId) {
+  const row = db
+    .prepare(
+      `SELECT r.id, r.user_id, r.shared_at, u.username
+       FROM routines r
+       JOIN users u ON u.id = r.user_id
+       WHERE r.id = ? AND r.shared_at IS NOT NULL`
+    )
+    .get(routineId);
+  if (!row) {
+    throw new Error('Shared routine not found.');
+  }
+  return row;
+}
+
+function listSharedRoutines(userId) {
+  const rows = db
+    .prepare(
+      `SELECT r.id, r.user_id, r.shared_at, u.username
+       FROM routines r
+       JOIN users u ON u.id = r.user_id
+       WHERE r.shared_at IS NOT NULL
+       ORDER BY r.shared_at DESC, r.id DESC`
+    )
+    .all();
+  const copiedRoutineIdByOrigin = new Map(
+    db
+      .prepare(
+        `SELECT id, origin_routine_id
+         FROM routines
+         WHERE user_id = ? AND origin_routine_id IS NOT NULL
+         ORDER BY created_at ASC`
+      )
+      .all(userId)
+      .map((row) => [row.origin_routine_id, row.id])
+  );
+  return rows
+    .map((row) => {
+      const routine = listRoutines(row.user_id, { routineId: row.id })[0];
+      if (!routine) return null;
+      return {
+        id: routine.id,
+        name: routine.name,
+        notes: routine.notes,
+        routineType: routine.routineType,
+        authorName: row.username,
+        isOwn: row.user_id === userId,
+        copiedRoutineId: copiedRoutineIdByOrigin.get(row.id) || null,
+        sharedAt: row.shared_at,
+        updatedAt: routine.updatedAt,
+        exercises: routine.exercises,
+      };
+    })
+    .filter(Boolean);
+}
+
+// Writes the origin's latest version over a copied routine. Each copied slot keeps the id of the
+// origin slot it came from, so pulling updates edits those slots in place and their workout history
+// stays attached; slots added to the copy by hand are archived.
+function applyRoutineOriginSnapshot(routineId, snapshot, now) {
+  const copiedSlotIdByOrigin = new Map();
+  db.prepare(
+    `SELECT id, origin_routine_exercise_id
+     FROM routine_exercises
+     WHERE routine_id = ? AND origin_routine_exercise_id IS NOT NULL
+     ORDER BY archived_at IS NULL DESC, id ASC`
+  )
+    .all(routineId)
+    .forEach((row) => {
+      if (!copiedSlotIdByOrigin.has(row.origin_routine_exercise_id)) {
+        copiedSlotIdByOrigin.set(row.origin_routine_exercise_id, row.id);
+      }
+    });
+  const normalizedExercises = normalizeRoutineExerciseRows(
+    snapshot.exercises.map((item, index) => ({
+      ...item,
+      id: copiedSlotIdByOrigin.get(item.id) || null,
+      exerciseId: resolveMergedExerciseId(item.exerciseId),
+      position: index,
+    }))
+  );
+  if (normalizedExercises.error) {
+    throw new Error(normalizedExercises.error);
+  }
+
+  db.prepare(
+    `UPDATE routines
+     SET name = ?, notes = ?, routine_type = ?, updated_at = ?
+     WHERE id = ?`
+  ).run(
+    normalizeText(snapshot.name) || 'Routine',
+    normalizeText(snapshot.notes) || null,
+    normalizeRoutineType(snapshot.routineType, { fallback: 'standard' }),
+    now,
+    routineId
+  );
+  const savedIds = writeRoutineExerciseRows(routineId, normalizedExercises.rows, now);
+  const linkOriginSlot = db.prepare(
+    'UPDATE routine_exercises SET origin_routine_exercise_id = ? WHERE id = ?'
+  );
+  normalizedExercises.rows.forEach((row, index) => {
+    linkOriginSlot.run(snapshot.exercises[row.position]?.id || null, savedIds[index]);
+  });
+}
+
+function getLatestRoutineSnapshot(routineId) {
+  const snapshot = parseRoutineSnapshot(getLatestRoutineVersion(routineId)?.snapshot_json);
+  if (!snapshot) {
+    throw new Error('Routine version could not be read.');
+  }
+  return snapshot;
+}
+
+function copySharedRoutineForUser(userId, sharedRoutineId) {
+  const source = getSharedRoutineRow(sharedRoutineId);
+  const now = nowIso();
+  let routineId = null;
+  db.exec('BEGIN IMMEDIATE;');
+  try {
+    const originVersionId = ensureRoutineVersion(source.id, now);
+    const snapshot = getLatestRoutineSnapshot(source.id);
+    const created = db
+      .prepare(
+        `INSERT INTO routines (user_id, name, notes, routine_type, origin_routine_id, origin_version_id, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        userId,
+        normalizeText(snapshot.name) || 'Routine',
+        normalizeText(snapshot.notes) || null,
+        normalizeRoutineType(snapshot.routineType, { fallback: 'standard' }),
+        source.id,
+        originVersionId,
+        now,
+        now
+      );
+    routineId = Number(created.lastInsertRowid);
+    applyRoutineOriginSnapshot(routineId, snapshot, now);
+    recordRoutineVersion(routineId, 'copied', { now });
+    db.exec('COMMIT;');
+  } catch (error) {
+    db.exec('ROLLBACK;');
+    throw error;
+  }
+  return listRoutines(userId, { routineId })[0];
+}
+
+const ACTIVE_ROUTINE_SESSION_PULL_ERROR =
+  'Finish or discard your active workout for this routine before pulling updates.';
+
+// Brings a copied routine up to date with the routine it was copied from. What the copy looked like
+// before stays in its version history, so local changes that get replaced can be restored.
+function pullRoutineOriginForUser(userId, routineId) {
+  const routine = db
+    .prepare('SELECT id, origin_routine_id, origin_version_id FROM routines WHERE id = ? AND user_id = ?')
+    .get(routineId, userId);
+  if (!routine) {
+    throw new Error('Routine not found.');
+  }
+  if (!routine.origin_routine_id) {
+    throw new Error('Routine was not copied from a shared routine.');
+  }
+  const origin = db
+    .prepare('SELECT id FROM routines WHERE id = ? AND shared_at IS NOT NULL')
+    .get(routine.origin_routine_id);
+  if (!origin) {
+    throw new Error('The original routine is no longer shared.');
+  }
+  if (getActiveRoutineSession(userId, routineId)) {
+    throw new Error(ACTIVE_ROUTINE_SESSION_PULL_ERROR);
+  }
+
+  const now = nowIso();
+  let updated = false;
+  db.exec('BEGIN IMMEDIATE;');
+  try {
+    const originVersionId = ensureRoutineVersion(origin.id, now);
+    if (originVersionId !== routine.origin_version_id) {
+      ensureRoutineVersion(routineId, now);
+      applyRoutineOriginSnapshot(routineId, getLatestRoutineSnapshot(origin.id), now);
+      db.prepare('UPDATE routines SET origin_version_id = ? WHERE id = ?').run(originVersionId, routineId);
+      recordRoutineVersion(routineId, 'pulled', { now });
+      updated = true;
+    }
+    db.exec('COMMIT;');
+  } catch (error) {
+    db.exec('ROLLBACK;');
+    throw error;
+  }
+  return { routine: listRoutines(userId, { routineId })[0], updated };
+}
+
+app.post('/api/routines/:id/share', requireAuth, (req, res) => {
+  const routineId = Number(req.params.id);
+  if (!routineId) {
+    return res.status(400).json({ error: 'Invalid routine id.' });
+  }
+  try {
+    return res.json({ routine: setRoutineSharedForUser(req.session.userId, routineId, true) });
+  } catch (error) {
+    const status = error.message === 'Routine not found.' ? 404 : 400;
+    return res.status(status).json({ error: error.message || 'Failed to share routine.' });
+  }
+});
+
+app.delete('/api/routines/:id/share', requireAuth, (req, res) => {
+  const routineId = Number(req.params.id);
+  if (!routineId) {
+    return res.status(400).json({ error: 'Invalid routine id.' });
+  }
+  try {
+    return res.json({ routine: setRoutineSharedForUser(req.session.userId, routineId, false) });
+  } catch (error) {
+    const status = error.message === 'Routine not found.' ? 404 : 400;
+    return res.status(status).json({ error: error.message || 'Failed to stop sharing routine.' });
+  }
+});
+
+app.post('/api/routines/:id/origin/pull', requireAuth, (req, res) => {
+  const routineId = Number(req.params.id);
+  if (!routineId) {
+    return res.status(400).json({ error: 'Invalid routine id.' });
+  }
+  try {
+    return res.json(pullRoutineOriginForUser(req.session.userId, routineId));
+  } catch (error) {
+    let status = error.message === 'Routine not found.' ? 404 : 400;
+    if (error.message === ACTIVE_ROUTINE_SESSION_PULL_ERROR) {
+      status = 409;
+    }
+    return res.status(status).json({ error: error.message || 'Failed to pull routine updates.' });
+  }
+});
+
+app.get('/api/shared-routines', requireAuth, (req, res) => {
+  res.json({ routines: listSharedRoutines(req.session.userId) });
+});
+
+app.post('/api/shared-routines/:id/copy', requireAuth, (req, res) => {
+  const routineId = Number(req.params.id);
+  if (!routineId) {
+    return res.status(400).json({ error: 'Invalid routine id.' });
+  }
+  try {
+    return res.json({ routine: copySharedRoutineForUser(req.session.userId, routineId) });
+  } catch (error) {
+    const status = error.message === 'Shared routine not found.' ? 404 : 400;
+    return res.status(status).json({ error: error.message || 'Failed to copy shared routine.' });
+  }
+});
+
+function listPrograms(userId, { programId = null } = {}) {
+  const programs = db
+    .prepare(
+      `SELECT id, name, notes, week_count, current_week, current_day, completed_at, created_at, updated_at
+       FROM programs
+       WHERE user_id = ?${programId ? ' AND id = ?' : ''}
+       ORDER BY updated_at DESC`
+    )
+    .all(userId, ...(programId ? [programId] : []));
+  if (!programs.length) {
+    return [];
+  }
+
+  const programIds = programs.map((program) => program.id);
+  const placeholders = programIds.map(() => '?').join(',');
+  const weekRows = db
+    .prepare(
+      `SELECT program_id, week_number, volume_percent, intensity_percent, is_deload
+       FROM program_weeks
+       WHERE program_id IN (${placeholders})
+       ORDER BY week_number ASC`
+    )
+    .all(...programIds);
+  const dayRows = db
+    .prepare(
+      `SELECT pd.id, pd.program_id, pd.day_number, pd.routine_id, pd.label, r.name AS routine_name
+       FROM program_days pd
+       JOIN routines r ON r.id = pd.routine_id
+       WHERE pd.program_id IN (${placeholders})
+       ORDER BY pd.day_number ASC, pd.id ASC`
+    )
+    .all(...programIds);
+  const sessionCountRows = db
+    .prepare(
+      `SELECT program_id, COUNT(*) AS count
+       FROM sessions
+       WHERE program_id IN (${placeholders}) AND ended_at IS NOT NULL
+       GROUP BY program_id`
+    )
+    .all(...programIds);
+  const completedWorkoutsByProgram = new Map(
+    sessionCountRows.map((row) => [row.program_id, Number(row.count) || 0])
+  );
+
+  return programs.map((program) => {
+    const weeks = weekRows
+      .filter((row) => row.program_id === program.id)
+      .map((row) => ({
+        weekNumber: row.week_number,
+        volumePercent: row.volume_percent,
+        intensityPercent: row.intensity_percent,
+        deload: Boolean(row.is_deload),
+      }));
+    // Days of a deleted routine disappear, so day numbers are re-counted from the remaining rows.
+    const days = dayRows
+      .filter((row) => row.program_id === program.id)
+      .map((row, index) => ({
+        id: row.id,
+        dayNumber: index + 1,
+        routineId: row.routine_id,
+        routineName: row.routine_name,
+        label: row.label || null,
+      }));
+    const pointer = resolveProgramNextDay(
+      {
+        weekCount: program.week_count,
+        currentWeek: program.current_week,
+        currentDay: program.current_day,
+        completedAt: program.completed_at,
+      },
+      days.length
+    );
+    const nextDay = pointer ? days[pointer.dayNumber - 1] : null;
+    const nextWeek = pointer ? weeks.find((week) => week.weekNumber === pointer.weekNumber) : null;
+    return {
+      id: program.id,
+      name: program.name,
+      notes: program.notes,
+      weekCount: program.week_count,
+      currentWeek: program.current_week,
+      currentDay: program.current_day,
+      completedAt: program.completed_at,
+      createdAt: program.created_at,
+      updatedAt: program.updated_at,
+      completedWorkouts: completedWorkoutsByProgram.get(program.id) || 0,
+      weeks,
+      days,
+      nextWorkout: nextDay
+        ? {
+          weekNumber: pointer.weekNumber,
+          dayNumber: pointer.dayNumber,
+          routineId: nextDay.routineId,
+          routineName: nextDay.routineName,
+          label: nextDay.label,
+          volumePercent: nextWeek?.volumePercent ?? 100,
+          intensityPercent: nextWeek?.intensityPercent ?? 100,
+          deload: Boolean(nextWeek?.deload),
+        }
+        : null,
+    };
+  });
+}
+
+function getProgramForUser(userId, programId) {
+  return listPrograms(userId, { programId })[0] || null;
+}
+
+function saveProgramForUser(userId, programId, payload) {
+  const definition = normalizeProgramDefinition(payload);
+  const routineIds = Array.from(new Set(definition.days.map((day) => day.routineId)));
+  const ownedRoutineCount = db
+    .prepare(
+      `SELECT COUNT(*) AS count
+       FROM routines
+       WHERE user_id = ? AND id IN (${routineIds.map(() => '?').join(',')})`
+    )
+    .get(userId, ...routineIds)?.count;
+  if (Number(ownedRoutineCount) !== routineIds.length) {
+    throw new Error('Routine not found.');
+  }
+
+  const now = nowIso();
+  let savedProgramId = programId;
+  db.exec('BEGIN IMMEDIATE;');
+  try {
+    if (programId) {
+      const existing = db
+        .prepare('SELECT id, current_week, current_day, completed_at FROM programs WHERE id = ? AND user_id = ?')
+        .get(programId, userId);
+      if (!existing) {
+        throw new Error('Program not found.');
+      }
+      // The pointer survives edits but is pulled back inside a shortened program.
+      const currentWeek = Math.min(existing.current_week, definition.weekCount);
+      const currentDay = Math.min(existing.current_day, definition.days.length);
+      db.prepare(
+        `UPDATE programs
+         SET name = ?, notes = ?, week_count = ?, current_week = ?, current_day = ?, updated_at = ?
+         WHERE id = ?`
+      ).run(definition.name, definition.notes, definition.weekCount, currentWeek, currentDay, now, programId);
+      db.prepare('DELETE FROM program_weeks WHERE program_id = ?').run(programId);
+      db.prepare('DELETE FROM program_days WHERE program_id = ?').run(programId);
+    } else {
+      const result = db
+        .prepare(
+          `INSERT INTO programs (user_id, name, notes, week_count, current_week, current_day, created_at, updated_at)
+           VALUES (?, ?, ?, ?, 1, 1, ?, ?)`
+        )
+        .run(userId, definition.name, definition.notes, definition.weekCount, now, now);
+      savedProgramId = Number(result.lastInsertRowid);
+    }
+
+    const insertWeek = db.prepare(
+      `INSERT INTO program_weeks (program_id, week_number, volume_percent, intensity_percent, is_deload)
+       VALUES (?, ?, ?, ?, ?)`
+    );
+    definition.weeks.forEach((week) => {
+      insertWeek.run(savedProgramId, week.weekNumber, week.volumePercent, week.intensityPercent, week.deload ? 1 : 0);
+    });
+    const insertDay = db.prepare(
+      `INSERT INTO program_days (program_id, day_number, routine_id, label)
+       VALUES (?, ?, ?, ?)`
+    );
+    definition.days.forEach((day) => {
+      insertDay.run(savedProgramId, day.dayNumber, day.routineId, day.label);
+    });
+    db.exec('COMMIT;');
+  } catch (error) {
+    db.exec('ROLLBACK;');
+    throw error;
+  }
+  return getProgramForUser(userId, savedProgramId);
+}
+
+function moveProgramPointer(program, now = nowIso()) {
+  const next = advanceProgramPointer(
+    {
+      weekCount: program.week_count,
+      currentWeek: program.current_week,
+      currentDay: program.current_day,
+      completedAt: program.completed_at,
+    },
+    program.day_count
+  );
+  db.prepare(
+    `UPDATE programs
+     SET current_week = ?, current_day = ?, completed_at = ?, updated_at = ?
+     WHERE id = ?`
+  ).run(next.currentWeek, next.currentDay, next.completed ? now : null, now, program.id);
+}
+
+function getProgramPointerRow(programId, userId = null) {
+  return db
+    .prepare(
+      `SELECT p.id, p.week_count, p.current_week, p.current_day, p.completed_at,
+              (SELECT COUNT(*) FROM program_days pd WHERE pd.program_id = p.id) AS day_count
+       FROM programs p
+       WHERE p.id = ?${userId ? ' AND p.user_id = ?' : ''}`
+    )
+    .get(programId, ...(userId ? [userId] : []));
+}
+
+function skipProgramDayForUser(userId, programId) {
+  const program = getProgramPointerRow(programId, userId);
+  if (!program) {
+    throw new Error('Program not found.');
+  }
+  if (program.completed_at) {
+    throw new Error('Program is already completed.');
+  }
+  moveProgramPointer(program);
+  return getProgramForUser(userId, programId);
+}
+
+// Ending the workout for the day the program expects moves the pointer on; workouts for
+// a day that was skipped in the meantime leave it alone.
+function advanceProgramAfterSession(sessionId, now = nowIso()) {
+  const session = db
+    .prepare('SELECT program_id, program_week, program_day FROM sessions WHERE id = ?')
+    .get(sessionId);
+  if (!session?.program_id) return;
+  const program = getProgramPointerRow(session.program_id);
+  if (!program) return;
+  const pointer = resolveProgramNextDay(
+    {
+      weekCount: program.week_count,
+      currentWeek: program.current_week,
+      currentDay: program.current_day,
+      completedAt: program.completed_at,
+    },
+    program.day_count
+  );
+  if (
+    !pointer
+    || pointer.weekNumber !== Number(session.program_week)
+    || pointer.dayNumber !== Number(session.program_day)
+  ) {
+    return;
+  }
+  moveProgramPointer(program, now);
+}
+
+function getSessionProgramWeek(sessionId) {
+  return db
+    .prepare(
+      `SELECT s.program_id, s.program_week, s.program_day, p.name AS program_name,
+              pw.volume_percent, pw.intensity_percent, pw.is_deload
+       FROM sessions s
+       JOIN programs p ON p.id = s.program_id
+       LEFT JOIN program_weeks pw ON pw.program_id = s.program_id AND pw.week_number = s.program_week
+       WHERE s.id = ?`
+    )
+    .get(sessionId) || null;
+}
+
+app.get('/api/programs', requireAuth, (req, res) => {
+  res.json({ programs: listPrograms(req.session.userId) });
+});
+
+app.post('/api/programs', requireAuth, (req, res) => {
+  try {
+    return res.json({ program: saveProgramForUser(req.session.userId, null, req.body || {}) });
+  } catch (error) {
+    const status = error.message === 'Routine not found.' ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+app.put('/api/programs/:id', requireAuth, (req, res) => {
+  const programId = Number(req.params.id);
+  if (!programId) {
+    return res.status(400).json({ error: 'Invalid program id.' });
+  }
+  try {
+    return res.json({ program: saveProgramForUser(req.session.userId, programId, req.body || {}) });
+  } catch (error) {
+    const notFoundErrors = new Set(['Program not found.', 'Routine not found.']);
+    return res.status(notFoundErrors.has(error.message) ? 404 : 400).json({ error: error.message });
+  }
+});
+
+app.post('/api/programs/:id/skip', requireAuth, (req, res) => {
+  const programId = Number(req.params.id);
+  if (!programId) {
+    return res.status(400).json({ error: 'Invalid program id.' });
+  }
+  try {
+    return res.json({ program: skipProgramDayForUser(req.session.userId, programId) });
+  } catch (error) {
+    const status = error.message === 'Program not found.' ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+app.delete('/api/programs/:id', requireAuth, (req, res) => {
+  const programId = Number(req.params.id);
+  if (!programId) {
+    return res.status(400).json({ error: 'Invalid program id.' });
+  }
+  const result = db
+    .prepare('DELETE FROM programs WHERE id = ? AND user_id = ?')
+    .run(programId, req.session.userId);
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Program not found.' });
+  }
+  return res.json({ ok: true });
+});
+
+function getTrainingScheduleForUser(userId) {
+  const row = db
+    .prepare('SELECT mode, interval_days, updated_at FROM training_schedules WHERE user_id = ?')
+    .get(userId);
+  const slots = db
+    .prepare(
+      `SELECT ts.id, ts.position, ts.weekday, ts.routine_id, r.name AS routine_name
+       FROM training_schedule_slots ts
+       JOIN routines r ON r.id = ts.routine_id
+       WHERE ts.user_id = ?
+       ORDER BY ts.position ASC, ts.id ASC`
+    )
+    .all(userId);
+  return {
+    mode: row?.mode || 'weekdays',
+    intervalDays: row?.interval_days || 2,
+    updatedAt: row?.updated_at || null,
+    // Positions are re-counted because deleting a routine removes its slots.
+    slots: slots.map((slot, index) => ({
+      id: slot.id,
+      position: index + 1,
+      weekday: slot.weekday,
+      routineId: slot.routine_id,
+      routineName: slot.routine_name,
+    })),
+  };
+}
+
+function saveTrainingScheduleForUser(userId, payload) {
+  const definition = normalizeScheduleDefinition(payload);
+  const routineIds = Array.from(new Set(definition.slots.map((slot) => slot.routineId)));
+  if (routineIds.length) {
+    const ownedRoutineCount = db
+      .prepare(
+        `SELECT COUNT(*) AS count
+         FROM routines
+         WHERE user_id = ? AND id IN (${routineIds.map(() => '?').join(',')})`
+      )
+      .get(userId, ...routineIds)?.count;
+    if (Number(ownedRoutineCount) !== routineIds.length) {
+      throw new Error('Routine not found.');
+    }
+  }
+
+  db.exec('BEGIN IMMEDIATE;');
+  try {
+    db.prepare(
+      `INSERT INTO training_schedules (user_id, mode, interval_days, updated_at)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(user_id) DO UPDATE SET
+         mode = excluded.mode,
+         interval_days = excluded.interval_days,
+         updated_at = excluded.updated_at`
+    ).run(userId, definition.mode, definition.intervalDays, nowIso());
+    db.prepare('DELETE FROM training_schedule_slots WHERE user_id = ?').run(userId);
+    const insertSlot = db.prepare(
+      `INSERT INTO training_schedule_slots (user_id, position, weekday, routine_id)
+       VALUES (?, ?, ?, ?)`
+    );
+    definition.slots.forEach((slot) => {
+      insertSlot.run(userId, slot.position, slot.weekday, slot.routineId);
+    });
+    db.exec('COMMIT;');
+  } catch (error) {
+    db.exec('ROLLBACK;');
+    throw error;
+  }
+  return getTrainingScheduleForUser(userId);
+}
+
+// Only recent completed routine workouts matter: the current week for weekday schedules and
+// the last few rotation workouts.
+function getScheduleRecommendationForUser(userId, { timezoneOffsetMinutes = 0, now = new Date() } = {}) {
+  const schedule = getTrainingScheduleForUser(userId);
+  const sessions = db
+    .prepare(
+      `SELECT routine_id, started_at
+       FROM sessions
+       WHERE user_id = ? AND routine_id IS NOT NULL AND ended_at IS NOT NULL
+       ORDER BY started_at DESC
+       LIMIT 60`
+    )
+    .all(userId)
+    .map((row) => ({ routineId: row.routine_id, startedAt: row.started_at }));
+  return {
+    mode: schedule.mode,
+    ...resolveScheduleRecommendation(schedule, sessions, { now, timezoneOffsetMinutes }),
+  };
+}
+
+app.get('/api/schedule', requireAuth, (req, res) => {
+  res.json({ schedule: getTrainingScheduleForUser(req.session.userId) });
+});
+
+app.put('/api/schedule', requireAuth, (req, res) => {
+  try {
+    return res.json({ schedule: saveTrainingScheduleForUser(req.session.userId, req.body || {}) });
+  } catch (error) {
+    const status = error.message === 'Routine not found.' ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+app.get('/api/schedule/next', requireAuth, (req, res) => {
+  try {
+    const timezoneOffsetMinutes = normalizeTimezoneOffset(req.query.tzOffset);
+    return res.json(getScheduleRecommendationForUser(req.session.userId, { timezoneOffsetMinutes }));
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+});
+
+function getSessionById(sessionId, userId) {
   return db
     .prepare(
       `SELECT s.id, s.routine_id, s.routine_type, s.name, s.started_at, s.ended_at, s.notes,
-              s.warmup_started_at, s.warmup_completed_at,
+              s.warmup_started_at, s.warmup_completed_at, s.auto_closed_at, s.auto_close_reviewed_at,
+              s.routine_version_id,
               r.name AS routine_name,
-              r.notes AS routine_notes
+              r.notes AS routine_notes,
+              rv.version_number AS routine_version_number
        FROM sessions s
        LEFT JOIN routines r ON r.id = s.routine_id
+       LEFT JOIN routine_versions rv ON rv.id = s.routine_version_id
        WHERE s.id = ? AND s.user_id = ?`
     )
     .get(sessionId, userId);
 }
 
-function calculateDurationSeconds(startedAt, completedAt) {
+function calculateDurationSeconds(startedAt, completedAt, pauses = []) {
   if (!startedAt || !completedAt) return null;
   const startMs = new Date(startedAt).getTime();
   const endMs = new Date(completedAt).getTime();
   if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || endMs < startMs) {
     return null;
   }
-  return Math.round((endMs - startMs) / 1000);
+  const pausedMs = calculatePausedMilliseconds(pauses, startMs, endMs);
+  return Math.round(Math.max(0, endMs - startMs - pausedMs) / 1000);
+}
+
+// Only the part of each pause inside [startMs, endMs] counts; a pause still open runs to endMs.
+function calculatePausedMilliseconds(pauses, startMs, endMs) {
+  return (Array.isArray(pauses) ? pauses : []).reduce((total, pause) => {
+    const pausedMs = new Date(pause?.pausedAt).getTime();
+    const resumedMs = pause?.resumedAt ? new Date(pause.resumedAt).getTime() : endMs;
+    if (!Number.isFinite(pausedMs) || !Number.isFinite(resumedMs)) return total;
+    const overlapMs = Math.min(resumedMs, endMs) - Math.max(pausedMs, startMs);
+    return overlapMs > 0 ? total + overlapMs : total;
+  }, 0);
+}
+
+function mapSessionPauseRow(row) {
+  return {
+    pausedAt: row.paused_at,
+    resumedAt: row.resumed_at || null,
+  };
+}
+
+function listSessionPauses(sessionId) {
+  return db
+    .prepare(
+      `SELECT paused_at, resumed_at
+       FROM session_pauses
+       WHERE session_id = ?
+       ORDER BY paused_at ASC, id ASC`
+    )
+    .all(sessionId)
+    .map(mapSessionPauseRow);
+}
+
+function listSessionPausesBySession(sessionIds) {
+  const pausesBySession = new Map();
+  if (!sessionIds.length) return pausesBySession;
+  db
+    .prepare(
+      `SELECT session_id, paused_at, resumed_at
+       FROM session_pauses
+       WHERE session_id IN (${sessionIds.map(() => '?').join(',')})
+       ORDER BY paused_at ASC, id ASC`
+    )
+    .all(...sessionIds)
+    .forEach((row) => {
+      if (!pausesBySession.has(row.session_id)) {
+        pausesBySession.set(row.session_id, []);
+      }
+      pausesBySession.get(row.session_id).push(mapSessionPauseRow(row));
+    });
+  return pausesBySession;
 }
 
 function buildSessionExerciseKey(exerciseId, routineExerciseId = null) {
@@ -2073,13 +3872,20 @@ function buildSessionExerciseKey(exerciseId, routineExerciseId = null) {
   return `exercise:${normalizeNumber(exerciseId) || 0}`;
 }
 
-function seedSessionExerciseProgress(sessionId, routineId) {
+// Program workouts snapshot the routine with the week's volume and intensity modifiers applied.
+// Percentage set targets are resolved against the user's training maxes here, so later changes
+// to a training max never rewrite the weights of a workout that already started.
+function seedSessionExerciseProgress(sessionId, routineId, programWeek = null) {
   if (!routineId) return;
+  const sessionOwner = db.prepare('SELECT user_id FROM sessions WHERE id = ?').get(sessionId);
+  const trainingMaxes = sessionOwner ? listTrainingMaxWeightsByExercise(sessionOwner.user_id) : new Map();
+  const inventory = sessionOwner && trainingMaxes.size ? getEquipmentInventoryForUser(sessionOwner.user_id) : null;
+  const intensityPercent = Number(programWeek?.intensityPercent) || 100;
   const rows = db
     .prepare(
       `SELECT re.id AS routine_exercise_id, re.exercise_id, re.position,
               re.equipment, re.target_sets, re.target_reps, re.target_rest_seconds,
-              re.target_weight, re.target_band_label, re.notes, re.superset_group,
+              re.target_weight, re.target_band_label, re.notes, re.superset_group, re.unilateral,
               e.name AS exercise_name
        FROM routine_exercises re
        JOIN exercises e ON e.id = re.exercise_id
@@ -2092,19 +3898,32 @@ function seedSessionExerciseProgress(sessionId, routineId) {
      (session_id, exercise_id, routine_exercise_id, position, status, started_at, completed_at,
       created_at, updated_at, snapshot_name, snapshot_equipment, snapshot_target_sets,
       snapshot_target_reps, snapshot_target_rest_seconds, snapshot_target_weight,
-      snapshot_target_band_label, snapshot_notes, snapshot_superset_group)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      snapshot_target_band_label, snapshot_notes, snapshot_superset_group, snapshot_unilateral)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
   );
   const insertSetTarget = db.prepare(
     `INSERT OR IGNORE INTO session_exercise_set_targets
-     (session_id, exercise_id, routine_exercise_id, set_index, target_reps, created_at)
-     VALUES (?, ?, ?, ?, ?, ?)`
+     (session_id, exercise_id, routine_exercise_id, set_index, target_reps, target_time_seconds, target_distance_meters,
+      target_percent, target_weight, target_band_label, set_type, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
   );
   const now = nowIso();
   const setTargetsByRoutineExercise = listRoutineSetTargetsByExerciseIds(
     rows.map((row) => row.routine_exercise_id)
   );
   rows.forEach((row) => {
+    const baseTargets = {
+      targetSets: row.target_sets,
+      targetWeight: row.target_weight,
+      setTargets: setTargetsByRoutineExercise.get(row.routine_exercise_id) || [],
+    };
+    const targets = programWeek ? applyProgramWeekModifiers(baseTargets, programWeek) : baseTargets;
+    const trainingMax = trainingMaxes.get(row.exercise_id);
+    const percentTargets = resolvePercentSetTargets(targets.setTargets, {
+      trainingMax: trainingMax ? (trainingMax * intensityPercent) / 100 : null,
+      equipment: row.equipment,
+      inventory,
+    });
     insert.run(
       sessionId,
       row.exercise_id,
@@ -2117,21 +3936,28 @@ function seedSessionExerciseProgress(sessionId, routineId) {
       now,
       row.exercise_name,
       row.equipment,
-      row.target_sets,
+      targets.targetSets,
       row.target_reps,
       row.target_rest_seconds,
-      row.target_weight,
+      percentTargets.topWeight ?? targets.targetWeight,
       row.target_band_label,
       row.notes,
-      row.superset_group
+      row.superset_group,
+      row.unilateral ? 1 : 0
     );
-    (setTargetsByRoutineExercise.get(row.routine_exercise_id) || []).forEach((target) => {
+    percentTargets.setTargets.forEach((target) => {
       insertSetTarget.run(
         sessionId,
         row.exercise_id,
         row.routine_exercise_id,
         target.setIndex,
         target.targetReps,
+        target.targetTimeSeconds,
+        target.targetDistanceMeters,
+        target.targetPercent ?? null,
+        target.targetWeight ?? null,
+        target.targetBandLabel ?? null,
+        target.setType,
         now
       );
     });
@@ -2143,7 +3969,8 @@ function getSessionExerciseProgressRow(sessionId, exerciseId, routineExerciseId
   if (normalizedRoutineExerciseId) {
     return db
       .prepare(
-        `SELECT id, session_id, exercise_id, routine_exercise_id, position, status, started_at, completed_at, created_at, updated_at
+        `SELECT id, session_id, exercise_id, routine_exercise_id, position, status, started_at, completed_at, created_at, updated_at,
+                original_exercise_id, substituted_at
          FROM session_exercise_progress
          WHERE session_id = ? AND routine_exercise_id = ?`
       )
@@ -2151,7 +3978,8 @@ function getSessionExerciseProgressRow(sessionId, exerciseId, routineExerciseId
   }
   return db
     .prepare(
-      `SELECT id, session_id, exercise_id, routine_exercise_id, position, status, started_at, completed_at, created_at, updated_at
+      `SELECT id, session_id, exercise_id, routine_exercise_id, position, status, started_at, completed_at, created_at, updated_at,
+              original_exercise_id, substituted_at
        FROM session_exercise_progress
        WHERE session_id = ? AND exercise_id = ? AND routine_exercise_id IS NULL`
     )
@@ -2169,7 +3997,9 @@ function buildExerciseProgressPayload(row) {
     status: row.status,
     startedAt: row.started_at,
     completedAt: row.completed_at,
-    durationSeconds: calculateDurationSeconds(row.started_at, row.completed_at),
+    durationSeconds: calculateDurationSeconds(row.started_at, row.completed_at, listSessionPauses(row.session_id)),
+    originalExerciseId: normalizeNumber(row.original_exercise_id),
+    substitutedAt: row.substituted_at || null,
     createdAt: row.created_at,
     updatedAt: row.updated_at,
   };
@@ -2181,8 +4011,23 @@ function resolveSessionExerciseRef(session, exerciseId, routineExerciseId = null
     throw new Error('Exercise not found.');
   }
   const normalizedRoutineExerciseId = normalizeNumber(routineExerciseId);
+  const adHocRow = db
+    .prepare(
+      `SELECT position, snapshot_target_sets
+       FROM session_exercise_progress
+       WHERE session_id = ? AND exercise_id = ? AND routine_exercise_id IS NULL
+       LIMIT 1`
+    )
+    .get(session.id, exerciseId);
+  const adHocRef = adHocRow
+    ? {
+        position: Number(adHocRow.position),
+        routineExerciseId: null,
+        targetSets: normalizeNumber(adHocRow.snapshot_target_sets),
+      }
+    : null;
   if (!session.routine_id) {
-    return {
+    return adHocRef || {
       position: Number.MAX_SAFE_INTEGER,
       routineExerciseId: null,
       targetSets: null,
@@ -2205,6 +4050,17 @@ function resolveSessionExerciseRef(session, exerciseId, routineExerciseId = null
         targetSets: normalizeNumber(snapshotRow.snapshot_target_sets),
       };
     }
+    const substitutedSlot = db
+      .prepare(
+        `SELECT id
+         FROM session_exercise_progress
+         WHERE session_id = ? AND routine_exercise_id = ? AND original_exercise_id IS NOT NULL
+         LIMIT 1`
+      )
+      .get(session.id, normalizedRoutineExerciseId);
+    if (substitutedSlot) {
+      throw new Error('Exercise not found in workout.');
+    }
     const row = db
       .prepare(
         `SELECT id, position, target_sets
@@ -2242,6 +4098,29 @@ function resolveSessionExerciseRef(session, exerciseId, routineExerciseId = null
   if (routineRows.length > 1) {
     throw new Error('Routine exercise id is required.');
   }
+  const substitutedRows = db
+    .prepare(
+      `SELECT routine_exercise_id, position, snapshot_target_sets
+       FROM session_exercise_progress
+       WHERE session_id = ? AND exercise_id = ? AND routine_exercise_id IS NOT NULL
+         AND original_exercise_id IS NOT NULL
+       ORDER BY position ASC`
+    )
+    .all(session.id, exerciseId);
+  if (substitutedRows.length === 1) {
+    const row = substitutedRows[0];
+    return {
+      position: Number(row.position),
+      routineExerciseId: Number(row.routine_exercise_id),
+      targetSets: normalizeNumber(row.snapshot_target_sets),
+    };
+  }
+  if (substitutedRows.length > 1) {
+    throw new Error('Routine exercise id is required.');
+  }
+  if (adHocRef) {
+    return adHocRef;
+  }
 
   const existingSet = db
     .prepare('SELECT id FROM session_sets WHERE session_id = ? AND exercise_id = ? LIMIT 1')
@@ -2287,7 +4166,7 @@ function upsertSessionExerciseProgressFromSet(
   }
 
   const targetSets = resolved.targetSets;
-  const shouldComplete = targetSets !== null && setIndex >= targetSets;
+  const shouldComplete = targetSets !== null && setIndex !== null && setIndex >= targetSets;
 
   const progress = getSessionExerciseProgressRow(session.id, exerciseId, resolved.routineExerciseId);
   const nextStatus = shouldComplete ? 'completed' : progress?.status === 'completed' ? 'completed' : 'in_progress';
@@ -2446,15 +4325,316 @@ function completeSessionExerciseForUser(userId, sessionId, exerciseId, payload)
     }
   }
 
-  return buildExerciseProgressPayload(
-    getSessionExerciseProgressRow(sessionId, exerciseId, resolved.routineExerciseId)
-  );
+  return buildExerciseProgressPayload(
+    getSessionExerciseProgressRow(sessionId, exerciseId, resolved.routineExerciseId)
+  );
+}
+
+// Appends an exercise picked mid-workout (freestyle sessions or ad-hoc additions) with its own
+// snapshot targets, so it runs through the same checklist flow as routine exercises.
+function addSessionExerciseForUser(userId, sessionId, payload) {
+  const session = getSessionById(sessionId, userId);
+  if (!session) {
+    throw new Error('Workout not found.');
+  }
+  if (session.ended_at) {
+    throw new Error('Workout has already ended.');
+  }
+  const { rows, error } = normalizeRoutineExerciseRows([{ ...(payload || {}), supersetGroup: null }]);
+  if (error) {
+    throw new Error(error);
+  }
+  const row = rows[0];
+  if (!row) {
+    throw new Error('Exercise is required.');
+  }
+  const exercise = db
+    .prepare('SELECT id, name FROM exercises WHERE id = ? AND merged_into_id IS NULL')
+    .get(row.exerciseId);
+  if (!exercise) {
+    throw new Error('Exercise not found.');
+  }
+  const alreadyInWorkout = db
+    .prepare(
+      `SELECT id FROM session_exercise_progress
+       WHERE session_id = ? AND exercise_id = ? AND routine_exercise_id IS NULL`
+    )
+    .get(sessionId, row.exerciseId)
+    || (
+      session.routine_id
+        ? db
+            .prepare(
+              `SELECT id FROM routine_exercises
+               WHERE routine_id = ? AND exercise_id = ? AND archived_at IS NULL`
+            )
+            .get(session.routine_id, row.exerciseId)
+        : null
+    );
+  if (alreadyInWorkout) {
+    throw new Error('Exercise is already in this workout.');
+  }
+
+  const { position } = db
+    .prepare(
+      `SELECT COALESCE(MAX(position) + 1, 0) AS position
+       FROM session_exercise_progress
+       WHERE session_id = ?`
+    )
+    .get(sessionId);
+  const trainingMax = listTrainingMaxWeightsByExercise(userId).get(row.exerciseId);
+  const percentTargets = resolvePercentSetTargets(row.setTargets, {
+    trainingMax: trainingMax ?? null,
+    equipment: row.equipment,
+    inventory: trainingMax ? getEquipmentInventoryForUser(userId) : null,
+  });
+  const now = nowIso();
+  db.prepare(
+    `INSERT INTO session_exercise_progress
+     (session_id, exercise_id, routine_exercise_id, position, status, started_at, completed_at,
+      created_at, updated_at, snapshot_name, snapshot_equipment, snapshot_target_sets,
+      snapshot_target_reps, snapshot_target_rest_seconds, snapshot_target_weight,
+      snapshot_target_band_label, snapshot_notes, snapshot_superset_group, snapshot_unilateral)
+     VALUES (?, ?, NULL, ?, ?, NULL, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, ?)`
+  ).run(
+    sessionId,
+    row.exerciseId,
+    position,
+    'pending',
+    now,
+    now,
+    exercise.name,
+    row.equipment,
+    row.targetSets,
+    row.targetReps,
+    row.targetRestSeconds,
+    percentTargets.topWeight ?? row.targetWeight,
+    row.targetBandLabel,
+    row.notes,
+    row.unilateral ? 1 : 0
+  );
+  const insertSetTarget = db.prepare(
+    `INSERT INTO session_exercise_set_targets
+     (session_id, exercise_id, routine_exercise_id, set_index, target_reps, target_time_seconds, target_distance_meters,
+      target_percent, target_weight, target_band_label, set_type, created_at)
+     VALUES (?, ?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  percentTargets.setTargets.forEach((target) => {
+    insertSetTarget.run(
+      sessionId,
+      row.exerciseId,
+      target.setIndex,
+      target.targetReps,
+      target.targetTimeSeconds,
+      target.targetDistanceMeters,
+      target.targetPercent ?? null,
+      target.targetWeight ?? null,
+      target.targetBandLabel ?? null,
+      target.setType,
+      now
+    );
+  });
+
+  const exerciseKey = buildSessionExerciseKey(row.exerciseId, null);
+  const detail = getSessionDetail(sessionId, userId);
+  return {
+    exercise: (detail?.exercises || []).find((item) => item.sessionExerciseKey === exerciseKey) || null,
+    exerciseProgress: buildExerciseProgressPayload(
+      getSessionExerciseProgressRow(sessionId, row.exerciseId, null)
+    ),
+  };
+}
+
+function resolveExerciseSimilarityProfile(row = {}) {
+  const libraryItem = row.fork_id ? EXERCISE_LIBRARY.byId.get(row.fork_id) : null;
+  const libraryPrimaryMuscles = normalizeStringArray(libraryItem?.primaryMuscles, { allowed: MUSCLE_VALUES });
+  return {
+    primaryMuscles: libraryPrimaryMuscles.length
+      ? libraryPrimaryMuscles
+      : normalizeStringArray(parseJsonArray(row.primary_muscles_json), { allowed: MUSCLE_VALUES }),
+    mechanic: normalizeEnum(libraryItem?.mechanic, MECHANIC_VALUES) || normalizeEnum(row.mechanic, MECHANIC_VALUES),
+    equipment: normalizeEnum(libraryItem?.equipment, EQUIPMENT_VALUES) || normalizeEnum(row.equipment, EQUIPMENT_VALUES),
+  };
+}
+
+function scoreExerciseAlternative(target, candidate) {
+  const sharedMuscles = candidate.primaryMuscles.filter((muscle) => target.primaryMuscles.includes(muscle));
+  if (!sharedMuscles.length) return null;
+  const matches = {
+    primaryMuscles:
+      sharedMuscles.length === target.primaryMuscles.length
+      && candidate.primaryMuscles.length === target.primaryMuscles.length,
+    mechanic: Boolean(target.mechanic) && candidate.mechanic === target.mechanic,
+    equipment: Boolean(target.equipment) && candidate.equipment === target.equipment,
+  };
+  const score = (matches.primaryMuscles ? 4 : 2) + (matches.mechanic ? 2 : 0) + (matches.equipment ? 1 : 0);
+  return { score, matches };
+}
+
+// Locates the progress row a swap applies to; the row keeps its routine slot, position and
+// snapshot targets while only the performed exercise changes.
+function resolveSubstitutableProgressRow(session, exerciseId, routineExerciseId = null) {
+  const resolved = resolveSessionExerciseRef(session, exerciseId, normalizeNumber(routineExerciseId));
+  const progress = getSessionExerciseProgressRow(session.id, exerciseId, resolved.routineExerciseId);
+  if (!progress || Number(progress.exercise_id) !== Number(exerciseId)) {
+    throw new Error('Exercise not found in workout.');
+  }
+  return progress;
+}
+
+function listSessionExerciseAlternativesForUser(userId, sessionId, exerciseId, query = {}) {
+  const session = getSessionById(sessionId, userId);
+  if (!session) {
+    throw new Error('Workout not found.');
+  }
+  resolveSubstitutableProgressRow(session, exerciseId, query.routineExerciseId);
+  const limit = Math.min(25, Math.max(1, Number(query.limit) || 8));
+  const exerciseColumns = `id, fork_id, name, mechanic, equipment, primary_muscles_json`;
+  const current = db.prepare(`SELECT ${exerciseColumns} FROM exercises WHERE id = ?`).get(exerciseId);
+  if (!current) {
+    throw new Error('Exercise not found.');
+  }
+  const target = resolveExerciseSimilarityProfile(current);
+  const inWorkout = new Set(
+    db
+      .prepare('SELECT exercise_id FROM session_exercise_progress WHERE session_id = ?')
+      .all(sessionId)
+      .map((row) => Number(row.exercise_id))
+  );
+  const catalogRows = db
+    .prepare(
+      `SELECT ${exerciseColumns}, archived_at, merged_into_id
+       FROM exercises`
+    )
+    .all();
+  const knownForkIds = new Set(catalogRows.map((row) => row.fork_id).filter(Boolean));
+  const knownNames = new Set(catalogRows.map((row) => normalizeText(row.name).toLowerCase()));
+
+  const alternatives = [];
+  catalogRows.forEach((row) => {
+    if (row.archived_at || row.merged_into_id || inWorkout.has(Number(row.id))) return;
+    const profile = resolveExerciseSimilarityProfile(row);
+    const scored = scoreExerciseAlternative(target, profile);
+    if (!scored) return;
+    alternatives.push({
+      exerciseId: row.id,
+      forkId: row.fork_id || null,
+      name: row.name,
+      ...profile,
+      ...scored,
+      inCatalog: true,
+    });
+  });
+  EXERCISE_LIBRARY.exercises.forEach((item) => {
+    const forkId = normalizeText(item?.id);
+    const name = normalizeText(item?.name);
+    if (!forkId || !name || knownForkIds.has(forkId) || knownNames.has(name.toLowerCase())) return;
+    const profile = resolveExerciseSimilarityProfile({ fork_id: forkId });
+    const scored = scoreExerciseAlternative(target, profile);
+    if (!scored) return;
+    alternatives.push({
+      exerciseId: null,
+      forkId,
+      name,
+      ...profile,
+      ...scored,
+      inCatalog: false,
+    });
+  });
+
+  alternatives.sort((left, right) => {
+    if (left.score !== right.score) return right.score - left.score;
+    if (left.inCatalog !== right.inCatalog) return left.inCatalog ? -1 : 1;
+    return left.name.localeCompare(right.name);
+  });
+
+  return {
+    exercise: { id: current.id, name: current.name, ...target },
+    alternatives: alternatives.slice(0, limit),
+  };
+}
+
+function substituteSessionExerciseForUser(userId, sessionId, exerciseId, payload) {
+  const session = getSessionById(sessionId, userId);
+  if (!session) {
+    throw new Error('Workout not found.');
+  }
+  if (session.ended_at) {
+    throw new Error('Workout has already ended.');
+  }
+  const substituteExerciseId = normalizeNumber(payload?.substituteExerciseId);
+  if (!substituteExerciseId) {
+    throw new Error('Substitute exercise is required.');
+  }
+  const substitute = db
+    .prepare('SELECT id, name FROM exercises WHERE id = ? AND merged_into_id IS NULL')
+    .get(substituteExerciseId);
+  if (!substitute) {
+    throw new Error('Substitute exercise not found.');
+  }
+  const progress = resolveSubstitutableProgressRow(session, exerciseId, payload?.routineExerciseId);
+  if (substituteExerciseId === Number(exerciseId)) {
+    throw new Error('Pick a different exercise to swap in.');
+  }
+  const routineExerciseId = normalizeNumber(progress.routine_exercise_id);
+  const loggedSet = db
+    .prepare(
+      routineExerciseId
+        ? 'SELECT id FROM session_sets WHERE session_id = ? AND routine_exercise_id = ? LIMIT 1'
+        : 'SELECT id FROM session_sets WHERE session_id = ? AND exercise_id = ? AND routine_exercise_id IS NULL LIMIT 1'
+    )
+    .get(sessionId, routineExerciseId || exerciseId);
+  if (loggedSet || progress.status === 'completed' || progress.status === 'skipped') {
+    throw new Error('Only exercises without logged sets can be swapped.');
+  }
+  if (!routineExerciseId && getSessionExerciseProgressRow(sessionId, substituteExerciseId, null)) {
+    throw new Error('Exercise is already in this workout.');
+  }
+
+  // Swapping back to the planned exercise clears the substitution instead of chaining it.
+  const plannedExerciseId = normalizeNumber(progress.original_exercise_id) || Number(exerciseId);
+  const restoresPlanned = plannedExerciseId === substituteExerciseId;
+  const now = nowIso();
+  db.prepare(
+    `UPDATE session_exercise_progress
+     SET exercise_id = ?, original_exercise_id = ?, substituted_at = ?, snapshot_name = ?, updated_at = ?
+     WHERE id = ?`
+  ).run(
+    substituteExerciseId,
+    restoresPlanned ? null : plannedExerciseId,
+    restoresPlanned ? null : now,
+    substitute.name,
+    now,
+    progress.id
+  );
+  if (routineExerciseId) {
+    db.prepare(
+      `UPDATE session_exercise_set_targets
+       SET exercise_id = ?
+       WHERE session_id = ? AND routine_exercise_id = ?`
+    ).run(substituteExerciseId, sessionId, routineExerciseId);
+  } else {
+    db.prepare(
+      `UPDATE session_exercise_set_targets
+       SET exercise_id = ?
+       WHERE session_id = ? AND exercise_id = ? AND routine_exercise_id IS NULL`
+    ).run(substituteExerciseId, sessionId, exerciseId);
+  }
+
+  const exerciseKey = buildSessionExerciseKey(substituteExerciseId, routineExerciseId);
+  const detail = getSessionDetail(sessionId, userId);
+  return {
+    exercise: (detail?.exercises || []).find((item) => item.sessionExerciseKey === exerciseKey) || null,
+    exerciseProgress: buildExerciseProgressPayload(
+      getSessionExerciseProgressRow(sessionId, substituteExerciseId, routineExerciseId)
+    ),
+  };
 }
 
 function getSessionDetail(sessionId, userId) {
   const session = getSessionById(sessionId, userId);
   if (!session) return null;
   const isActiveSession = !session.ended_at;
+  const pauses = listSessionPauses(session.id);
 
   const toSessionExerciseMetadata = (row = {}) => ({
     force: row.force || null,
@@ -2465,14 +4645,16 @@ function getSessionDetail(sessionId, userId) {
     secondaryMuscles: parseJsonArray(row.secondary_muscles_json),
     instructions: parseJsonArray(row.instructions_json),
     images: parseJsonArray(row.images_json),
+    measurementMode: row.measurement_mode || DEFAULT_MEASUREMENT_MODE,
   });
 
   const routineRows = session.routine_id
     ? db
         .prepare(
       `SELECT re.id AS routine_exercise_id, re.exercise_id, re.position, re.equipment, re.target_sets, re.target_reps,
-                  re.target_rest_seconds, re.target_weight, re.target_band_label, re.notes, re.superset_group, e.name AS exercise_name,
-                  e.force, e.level, e.mechanic, e.category,
+                  re.target_rest_seconds, re.target_weight, re.target_band_label, re.notes, re.superset_group, re.unilateral,
+                  e.name AS exercise_name,
+                  e.force, e.level, e.mechanic, e.category, e.measurement_mode,
                   e.primary_muscles_json, e.secondary_muscles_json, e.instructions_json, e.images_json
            FROM routine_exercises re
            JOIN exercises e ON e.id = re.exercise_id
@@ -2484,18 +4666,22 @@ function getSessionDetail(sessionId, userId) {
 
   const progressRows = db
     .prepare(
-      `SELECT id, session_id, exercise_id, routine_exercise_id, position, status, started_at, completed_at, created_at, updated_at,
-              snapshot_name, snapshot_equipment, snapshot_target_sets, snapshot_target_reps,
-              snapshot_target_rest_seconds, snapshot_target_weight, snapshot_target_band_label,
-              snapshot_notes, snapshot_superset_group
-       FROM session_exercise_progress
-       WHERE session_id = ?
-       ORDER BY position ASC`
+      `SELECT sep.id, sep.session_id, sep.exercise_id, sep.routine_exercise_id, sep.position, sep.status,
+              sep.started_at, sep.completed_at, sep.created_at, sep.updated_at,
+              sep.snapshot_name, sep.snapshot_equipment, sep.snapshot_target_sets, sep.snapshot_target_reps,
+              sep.snapshot_target_rest_seconds, sep.snapshot_target_weight, sep.snapshot_target_band_label,
+              sep.snapshot_notes, sep.snapshot_superset_group, sep.snapshot_unilateral,
+              sep.original_exercise_id, sep.substituted_at, oe.name AS original_exercise_name
+       FROM session_exercise_progress sep
+       LEFT JOIN exercises oe ON oe.id = sep.original_exercise_id
+       WHERE sep.session_id = ?
+       ORDER BY sep.position ASC`
     )
     .all(sessionId);
   const setTargetRows = db
     .prepare(
-      `SELECT id, exercise_id, routine_exercise_id, set_index, target_reps
+      `SELECT id, exercise_id, routine_exercise_id, set_index, target_reps, target_time_seconds, target_distance_meters,
+              target_percent, target_weight, target_band_label, set_type
        FROM session_exercise_set_targets
        WHERE session_id = ?
        ORDER BY set_index ASC`
@@ -2504,8 +4690,10 @@ function getSessionDetail(sessionId, userId) {
 
   const setRows = db
     .prepare(
-      `SELECT ss.id, ss.exercise_id, ss.routine_exercise_id, ss.set_index, ss.reps, ss.weight, ss.band_label, ss.started_at, ss.completed_at, ss.created_at,
-              e.name AS exercise_name, e.force, e.level, e.mechanic, e.category,
+      `SELECT ss.id, ss.exercise_id, ss.routine_exercise_id, ss.set_index, ss.set_type, ss.reps, ss.weight,
+              ss.time_seconds, ss.distance_meters, ss.left_reps, ss.left_weight, ss.right_reps, ss.right_weight,
+              ss.rpe, ss.band_label, ss.started_at, ss.completed_at, ss.created_at,
+              e.name AS exercise_name, e.force, e.level, e.mechanic, e.category, e.measurement_mode,
               e.primary_muscles_json, e.secondary_muscles_json, e.instructions_json, e.images_json
        FROM session_sets ss
        JOIN exercises e ON e.id = ss.exercise_id
@@ -2531,7 +4719,13 @@ function getSessionDetail(sessionId, userId) {
     sessionSetTargetsByKey.get(key).push({
       id: row.id,
       setIndex: row.set_index,
-      targetReps: row.target_reps,
+      targetReps: row.target_reps ?? null,
+      targetTimeSeconds: row.target_time_seconds ?? null,
+      targetDistanceMeters: row.target_distance_meters ?? null,
+      targetPercent: row.target_percent ?? null,
+      targetWeight: row.target_weight ?? null,
+      targetBandLabel: row.target_band_label || null,
+      setType: row.set_type || DEFAULT_SET_TYPE,
     });
   });
   routineRows.forEach((row) => {
@@ -2560,6 +4754,7 @@ function getSessionDetail(sessionId, userId) {
       targetBandLabel: row.target_band_label,
       notes: row.notes || null,
       supersetGroup: row.superset_group,
+      unilateral: Boolean(row.unilateral),
       ...toSessionExerciseMetadata(row),
       sets: [],
     });
@@ -2570,17 +4765,25 @@ function getSessionDetail(sessionId, userId) {
     const key = resolveExerciseInstanceKey(row.exercise_id, routineExerciseId);
     const existing = exercisesById.get(key);
     const snapshotSetTargets = sessionSetTargetsByKey.get(key) || [];
+    const substitution = {
+      originalExerciseId: normalizeNumber(row.original_exercise_id),
+      originalExerciseName: row.original_exercise_id ? row.original_exercise_name || null : null,
+      substitutedAt: row.substituted_at || null,
+    };
+    const loadExerciseRow = () => db
+      .prepare(
+        `SELECT name, force, level, mechanic, category, measurement_mode,
+                primary_muscles_json, secondary_muscles_json, instructions_json, images_json
+         FROM exercises
+         WHERE id = ?`
+      )
+      .get(row.exercise_id);
     if (!existing) {
       const routineRow = routineRowsByKey.get(key);
-      const exerciseRow = db
-        .prepare(
-          `SELECT name, force, level, mechanic, category,
-                  primary_muscles_json, secondary_muscles_json, instructions_json, images_json
-           FROM exercises
-           WHERE id = ?`
-        )
-        .get(row.exercise_id);
-      const metadataRow = routineRow || exerciseRow;
+      const exerciseRow = loadExerciseRow();
+      const metadataRow = routineRow && Number(routineRow.exercise_id) === Number(row.exercise_id)
+        ? routineRow
+        : exerciseRow;
       exercisesById.set(key, {
         exerciseId: row.exercise_id,
         routineExerciseId,
@@ -2590,7 +4793,7 @@ function getSessionDetail(sessionId, userId) {
         status: row.status || 'pending',
         startedAt: row.started_at,
         completedAt: row.completed_at,
-        durationSeconds: calculateDurationSeconds(row.started_at, row.completed_at),
+        durationSeconds: calculateDurationSeconds(row.started_at, row.completed_at, pauses),
         equipment: row.snapshot_equipment || routineRow?.equipment || null,
         targetSets: snapshotSetTargets.length || row.snapshot_target_sets || routineRow?.target_sets || null,
         targetReps: deriveTargetRepsFromSetTargets(snapshotSetTargets) || row.snapshot_target_reps || routineRow?.target_reps || null,
@@ -2600,16 +4803,23 @@ function getSessionDetail(sessionId, userId) {
         targetBandLabel: row.snapshot_target_band_label ?? routineRow?.target_band_label ?? null,
         notes: row.snapshot_notes || routineRow?.notes || null,
         supersetGroup: row.snapshot_superset_group || routineRow?.superset_group || null,
+        unilateral: Boolean(row.snapshot_unilateral ?? routineRow?.unilateral),
         ...toSessionExerciseMetadata(metadataRow),
+        ...substitution,
         sets: [],
       });
       return;
     }
+    if (Number(existing.exerciseId) !== Number(row.exercise_id)) {
+      existing.exerciseId = row.exercise_id;
+      Object.assign(existing, toSessionExerciseMetadata(loadExerciseRow()));
+    }
+    Object.assign(existing, substitution);
     existing.position = Number(row.position);
     existing.status = row.status || existing.status;
     existing.startedAt = row.started_at || existing.startedAt;
     existing.completedAt = row.completed_at || existing.completedAt;
-    existing.durationSeconds = calculateDurationSeconds(existing.startedAt, existing.completedAt);
+    existing.durationSeconds = calculateDurationSeconds(existing.startedAt, existing.completedAt, pauses);
     existing.name = row.snapshot_name || existing.name;
     existing.equipment = row.snapshot_equipment || existing.equipment;
     existing.setTargets = snapshotSetTargets.length ? snapshotSetTargets : existing.setTargets || [];
@@ -2620,6 +4830,7 @@ function getSessionDetail(sessionId, userId) {
     existing.targetBandLabel = row.snapshot_target_band_label ?? existing.targetBandLabel;
     existing.notes = row.snapshot_notes || existing.notes;
     existing.supersetGroup = row.snapshot_superset_group || existing.supersetGroup;
+    existing.unilateral = Boolean(row.snapshot_unilateral ?? existing.unilateral);
   });
 
   setRows.forEach((row) => {
@@ -2644,6 +4855,7 @@ function getSessionDetail(sessionId, userId) {
         targetWeight: null,
         targetBandLabel: null,
         supersetGroup: null,
+        unilateral: row.left_reps !== null,
         ...toSessionExerciseMetadata(row),
         sets: [],
       });
@@ -2670,19 +4882,25 @@ function getSessionDetail(sessionId, userId) {
       routineExerciseId,
       sessionExerciseKey: key,
       setIndex: row.set_index,
+      setType: row.set_type || DEFAULT_SET_TYPE,
       reps: row.reps,
       weight: row.weight,
+      timeSeconds: row.time_seconds ?? null,
+      distanceMeters: row.distance_meters ?? null,
+      ...mapSetSideColumns(row),
+      rpe: row.rpe ?? null,
       bandLabel: row.band_label,
       startedAt: row.started_at,
       completedAt: row.completed_at,
-      durationSeconds: calculateDurationSeconds(row.started_at, row.completed_at),
+      durationSeconds: calculateDurationSeconds(row.started_at, row.completed_at, pauses),
       createdAt: row.created_at,
     });
   });
 
   const exercises = Array.from(exercisesById.values())
     .map((exercise) => {
-      const sets = [...(exercise.sets || [])].sort((a, b) => a.setIndex - b.setIndex);
+      const sets = [...(exercise.sets || [])].sort(compareSessionSetOrder);
+      const plannedSetCount = sets.filter((set) => !isInlineSetType(set.setType)).length;
       const startedAt =
         exercise.startedAt
         || sets.find((set) => set.startedAt || set.completedAt || set.createdAt)?.startedAt
@@ -2694,7 +4912,7 @@ function getSessionDetail(sessionId, userId) {
       if (!status || status === 'pending') {
         status = sets.length ? 'in_progress' : 'pending';
       }
-      if (exercise.targetSets !== null && exercise.targetSets !== undefined && sets.length >= Number(exercise.targetSets)) {
+      if (exercise.targetSets !== null && exercise.targetSets !== undefined && plannedSetCount >= Number(exercise.targetSets)) {
         status = 'completed';
         if (!completedAt) {
           const lastSet = sets[sets.length - 1];
@@ -2703,11 +4921,16 @@ function getSessionDetail(sessionId, userId) {
       }
       return {
         ...exercise,
+        originalExerciseId: exercise.originalExerciseId ?? null,
+        originalExerciseName: exercise.originalExerciseName ?? null,
+        substitutedAt: exercise.substitutedAt ?? null,
+        targetTimeSeconds: deriveTargetTimeSecondsFromSetTargets(exercise.setTargets),
+        targetDistanceMeters: deriveTargetDistanceMetersFromSetTargets(exercise.setTargets),
         sets,
         status,
         startedAt,
         completedAt,
-        durationSeconds: calculateDurationSeconds(startedAt, completedAt),
+        durationSeconds: calculateDurationSeconds(startedAt, completedAt, pauses),
       };
     })
     .sort((a, b) => {
@@ -2721,98 +4944,788 @@ function getSessionDetail(sessionId, userId) {
     routineType: normalizeRoutineType(session.routine_type, { fallback: 'standard' }),
     routineName: session.routine_name,
     routineNotes: session.routine_notes,
+    routineVersion: mapSessionRoutineVersion(session),
     name: session.name,
     startedAt: session.started_at,
     endedAt: session.ended_at,
     warmupStartedAt: session.warmup_started_at || null,
     warmupCompletedAt: session.warmup_completed_at || null,
-    warmupDurationSeconds: calculateDurationSeconds(session.warmup_started_at, session.warmup_completed_at),
-    durationSeconds: calculateDurationSeconds(session.started_at, session.ended_at),
+    warmupDurationSeconds: calculateDurationSeconds(session.warmup_started_at, session.warmup_completed_at, pauses),
+    durationSeconds: calculateDurationSeconds(session.started_at, session.ended_at, pauses),
+    pausedAt: isActiveSession ? pauses.find((pause) => !pause.resumedAt)?.pausedAt || null : null,
+    pauses,
+    autoClosedAt: session.auto_closed_at || null,
+    autoCloseReviewedAt: session.auto_close_reviewed_at || null,
     notes: session.notes,
+    program: mapSessionProgram(getSessionProgramWeek(session.id)),
+    progressions: listSessionProgressions(session.id),
     exercises,
   };
 }
 
-function updateSessionForUser(userId, sessionId, payload) {
-  const body = payload || {};
-  const hasName = Object.prototype.hasOwnProperty.call(body, 'name');
-  const hasNotes = Object.prototype.hasOwnProperty.call(body, 'notes');
-  const hasEndedAt = Object.prototype.hasOwnProperty.call(body, 'endedAt');
-  const hasWarmupStartedAt = Object.prototype.hasOwnProperty.call(body, 'warmupStartedAt');
-  const hasWarmupCompletedAt = Object.prototype.hasOwnProperty.call(body, 'warmupCompletedAt');
-  if (!hasName && !hasNotes && !hasEndedAt && !hasWarmupStartedAt && !hasWarmupCompletedAt) {
-    throw new Error('No session fields provided.');
+function mapSessionRoutineVersion(row) {
+  if (!row?.routine_version_id) return null;
+  return {
+    id: row.routine_version_id,
+    versionNumber: row.routine_version_number,
+  };
+}
+
+function mapSessionProgram(row) {
+  if (!row) return null;
+  return {
+    id: row.program_id,
+    name: row.program_name,
+    weekNumber: row.program_week,
+    dayNumber: row.program_day,
+    volumePercent: row.volume_percent ?? 100,
+    intensityPercent: row.intensity_percent ?? 100,
+    deload: Boolean(row.is_deload),
+  };
+}
+
+function mapLastPerformanceSetRow(row) {
+  return {
+    id: row.id,
+    setIndex: row.set_index,
+    setType: row.set_type || DEFAULT_SET_TYPE,
+    reps: row.reps,
+    weight: row.weight,
+    timeSeconds: row.time_seconds ?? null,
+    distanceMeters: row.distance_meters ?? null,
+    ...mapSetSideColumns(row),
+    rpe: row.rpe ?? null,
+    bandLabel: row.band_label,
+  };
+}
+
+// The previous performance of one exercise in a workout: every set from the most recent
+// earlier session that ran the same routine slot (falling back to any session with the
+// exercise), plus the best working set ever logged outside this workout.
+function buildExerciseLastPerformance(userId, session, exercise) {
+  const setColumns = `ss.id, ss.set_index, ss.set_type, ss.reps, ss.weight, ss.time_seconds, ss.distance_meters,
+                      ss.left_reps, ss.left_weight, ss.right_reps, ss.right_weight, ss.rpe, ss.band_label`;
+  const findPreviousSession = (slotFilter, params) => db
+    .prepare(
+      `SELECT s.id, s.started_at
+       FROM sessions s
+       WHERE s.user_id = ? AND s.id != ? AND s.started_at < ?
+         AND EXISTS (
+           SELECT 1 FROM session_sets ss
+           WHERE ss.session_id = s.id AND ss.exercise_id = ? ${slotFilter}
+         )
+       ORDER BY s.started_at DESC, s.id DESC
+       LIMIT 1`
+    )
+    .get(userId, session.id, session.started_at, exercise.exerciseId, ...params);
+
+  const routineExerciseId = normalizeNumber(exercise.routineExerciseId);
+  const slotSession = routineExerciseId
+    ? findPreviousSession('AND ss.routine_exercise_id = ?', [routineExerciseId])
+    : null;
+  const previousSession = slotSession || findPreviousSession('', []);
+  const matchedBy = slotSession ? 'routineExercise' : 'exercise';
+  const lastSets = previousSession
+    ? db
+        .prepare(
+          `SELECT ${setColumns}
+           FROM session_sets ss
+           WHERE ss.session_id = ? AND ss.exercise_id = ? ${matchedBy === 'routineExercise' ? 'AND ss.routine_exercise_id = ?' : ''}`
+        )
+        .all(previousSession.id, exercise.exerciseId, ...(matchedBy === 'routineExercise' ? [routineExerciseId] : []))
+        .map(mapLastPerformanceSetRow)
+        .sort(compareSessionSetOrder)
+    : [];
+
+  const bestRow = db
+    .prepare(
+      `SELECT ${setColumns}, s.id AS session_id, s.started_at AS session_started_at
+       FROM session_sets ss
+       JOIN sessions s ON s.id = ss.session_id
+       WHERE s.user_id = ? AND s.id != ? AND ss.exercise_id = ? AND ss.set_type != 'warmup'
+       ORDER BY ss.weight DESC, ss.reps DESC, ss.time_seconds DESC, ss.distance_meters DESC, s.started_at ASC, ss.id ASC
+       LIMIT 1`
+    )
+    .get(userId, session.id, exercise.exerciseId);
+
+  return {
+    exerciseId: exercise.exerciseId,
+    routineExerciseId,
+    sessionExerciseKey: exercise.sessionExerciseKey,
+    lastSession: previousSession
+      ? {
+          sessionId: previousSession.id,
+          startedAt: previousSession.started_at,
+          matchedBy,
+          sets: lastSets,
+        }
+      : null,
+    bestSet: bestRow
+      ? {
+          ...mapLastPerformanceSetRow(bestRow),
+          sessionId: bestRow.session_id,
+          startedAt: bestRow.session_started_at,
+        }
+      : null,
+  };
+}
+
+function getSessionLastPerformanceForUser(userId, sessionId) {
+  const session = getSessionById(sessionId, userId);
+  if (!session) {
+    throw new Error('Workout not found.');
+  }
+  const detail = getSessionDetail(sessionId, userId);
+  return {
+    sessionId: session.id,
+    exercises: detail.exercises.map((exercise) => buildExerciseLastPerformance(userId, session, exercise)),
+  };
+}
+
+function updateSessionForUser(userId, sessionId, payload) {
+  const body = payload || {};
+  const hasName = Object.prototype.hasOwnProperty.call(body, 'name');
+  const hasNotes = Object.prototype.hasOwnProperty.call(body, 'notes');
+  const hasEndedAt = Object.prototype.hasOwnProperty.call(body, 'endedAt');
+  const hasWarmupStartedAt = Object.prototype.hasOwnProperty.call(body, 'warmupStartedAt');
+  const hasWarmupCompletedAt = Object.prototype.hasOwnProperty.call(body, 'warmupCompletedAt');
+  if (!hasName && !hasNotes && !hasEndedAt && !hasWarmupStartedAt && !hasWarmupCompletedAt) {
+    throw new Error('No session fields provided.');
+  }
+
+  const name = hasName ? normalizeText(body.name) || null : null;
+  const notes = hasNotes ? normalizeText(body.notes) || null : null;
+  const endedAt = hasEndedAt ? normalizeText(body.endedAt) || null : null;
+  const warmupStartedAt = hasWarmupStartedAt ? normalizeText(body.warmupStartedAt) || null : null;
+  const warmupCompletedAt = hasWarmupCompletedAt ? normalizeText(body.warmupCompletedAt) || null : null;
+
+  const wasActive = hasEndedAt && endedAt
+    ? Boolean(
+        db
+          .prepare('SELECT 1 AS active FROM sessions WHERE id = ? AND user_id = ? AND ended_at IS NULL')
+          .get(sessionId, userId)
+      )
+    : false;
+
+  if (hasEndedAt && endedAt) {
+    const setCount = Number(
+      db.prepare('SELECT COUNT(*) AS count FROM session_sets WHERE session_id = ?').get(sessionId)?.count || 0
+    );
+    const hasCompletionSignal = Boolean(
+      db
+        .prepare(
+          `SELECT CASE
+                    WHEN EXISTS (
+                      SELECT 1
+                      FROM session_exercise_progress sep
+                      WHERE sep.session_id = s.id
+                        AND (
+                          sep.status = 'completed'
+                          OR (sep.completed_at IS NOT NULL AND sep.status != 'skipped')
+                        )
+                    )
+                    OR s.warmup_completed_at IS NOT NULL
+                    THEN 1
+                    ELSE 0
+                  END AS has_completion_signal
+           FROM sessions s
+           WHERE s.id = ? AND s.user_id = ?`
+        )
+        .get(sessionId, userId)?.has_completion_signal
+    );
+    if (setCount === 0 && !hasCompletionSignal) {
+      const deleteResult = db
+        .prepare('DELETE FROM sessions WHERE id = ? AND user_id = ?')
+        .run(sessionId, userId);
+      if (deleteResult.changes === 0) {
+        throw new Error('Workout not found.');
+      }
+      return null;
+    }
+  }
+
+  const result = db
+    .prepare(
+      `UPDATE sessions
+       SET name = CASE WHEN ? THEN ? ELSE name END,
+           notes = CASE WHEN ? THEN ? ELSE notes END,
+           ended_at = CASE WHEN ? THEN ? ELSE ended_at END,
+           warmup_started_at = CASE WHEN ? THEN ? ELSE warmup_started_at END,
+           warmup_completed_at = CASE WHEN ? THEN ? ELSE warmup_completed_at END
+       WHERE id = ? AND user_id = ?`
+    )
+    .run(
+      hasName ? 1 : 0,
+      name,
+      hasNotes ? 1 : 0,
+      notes,
+      hasEndedAt ? 1 : 0,
+      endedAt,
+      hasWarmupStartedAt ? 1 : 0,
+      warmupStartedAt,
+      hasWarmupCompletedAt ? 1 : 0,
+      warmupCompletedAt,
+      sessionId,
+      userId
+    );
+  if (result.changes === 0) {
+    throw new Error('Workout not found.');
+  }
+  if (hasEndedAt && endedAt) {
+    db
+      .prepare(
+        `UPDATE session_pauses
+         SET resumed_at = MAX(paused_at, ?)
+         WHERE session_id = ? AND resumed_at IS NULL`
+      )
+      .run(endedAt, sessionId);
+  }
+  if (wasActive) {
+    runSessionCompletionHooks(sessionId);
+  }
+  return getSessionDetail(sessionId, userId);
+}
+
+// Everything that follows a finished workout, whether it was ended by hand, logged afterwards or
+// closed by the idle sweeper.
+function runSessionCompletionHooks(sessionId) {
+  evaluateSessionProgressions(sessionId);
+  advanceProgramAfterSession(sessionId);
+}
+
+function mapSessionProgressionRow(row) {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    routineExerciseId: row.routine_exercise_id,
+    exerciseId: row.exercise_id,
+    exerciseName: row.exercise_name || null,
+    ruleType: row.rule_type,
+    kind: row.kind,
+    status: row.status,
+    previousTargetWeight: row.previous_target_weight ?? null,
+    nextTargetWeight: row.next_target_weight ?? null,
+    previousSetTargets: parseJsonArray(row.previous_set_targets_json),
+    nextSetTargets: parseJsonArray(row.next_set_targets_json),
+    updatedAt: row.updated_at,
+  };
+}
+
+function listSessionProgressions(sessionId, { progressionId = null } = {}) {
+  return db
+    .prepare(
+      `SELECT sp.id, sp.session_id, sp.routine_exercise_id, sp.exercise_id, sp.rule_type, sp.kind, sp.status,
+              sp.previous_target_weight, sp.next_target_weight, sp.previous_set_targets_json, sp.next_set_targets_json,
+              sp.updated_at, e.name AS exercise_name
+       FROM session_progressions sp
+       JOIN exercises e ON e.id = sp.exercise_id
+       LEFT JOIN routine_exercises re ON re.id = sp.routine_exercise_id
+       WHERE sp.session_id = ? AND (? IS NULL OR sp.id = ?)
+       ORDER BY re.position ASC, sp.id ASC`
+    )
+    .all(sessionId, progressionId, progressionId)
+    .map(mapSessionProgressionRow);
+}
+
+// Progression rules look at rep targets and per-set weights; set types and bands ride along so
+// they survive a rewrite.
+function resolveProgressionSetTargets(routineExercise, storedSetTargets = []) {
+  if (storedSetTargets.length) {
+    return storedSetTargets.map((target) => ({
+      setIndex: target.setIndex,
+      targetReps: target.targetReps,
+      ...(target.targetWeight !== null && target.targetWeight !== undefined
+        ? { targetWeight: target.targetWeight }
+        : {}),
+      ...(target.targetBandLabel ? { targetBandLabel: target.targetBandLabel } : {}),
+      setType: target.setType || DEFAULT_SET_TYPE,
+    }));
+  }
+  return Array.from({ length: Number(routineExercise.target_sets) || 1 }, (_, index) => ({
+    setIndex: index + 1,
+    targetReps: routineExercise.target_reps ?? null,
+    setType: DEFAULT_SET_TYPE,
+  }));
+}
+
+function writeRoutineExerciseProgressionTargets(routineExerciseId, targetWeight, setTargets, now = nowIso()) {
+  db.prepare(
+    `UPDATE routine_exercises
+     SET target_weight = ?, target_reps = ?
+     WHERE id = ?`
+  ).run(targetWeight, deriveTargetRepsFromSetTargets(setTargets), routineExerciseId);
+  replaceRoutineExerciseSetTargets(routineExerciseId, setTargets, now);
+  db.prepare(
+    `UPDATE routines
+     SET updated_at = ?
+     WHERE id = (SELECT routine_id FROM routine_exercises WHERE id = ?)`
+  ).run(now, routineExerciseId);
+}
+
+// Runs each routine exercise's progression rule against the workout that just ended. Slots
+// whose weight or reps were changed by hand during the workout are left alone so the rule
+// does not stack on top of the user's own adjustment.
+function evaluateSessionProgressions(sessionId, now = nowIso()) {
+  const session = db.prepare('SELECT id, routine_id FROM sessions WHERE id = ?').get(sessionId);
+  if (!session?.routine_id) return;
+  // Deload weeks are planned to be lighter, so they never count towards progression.
+  if (getSessionProgramWeek(sessionId)?.is_deload) return;
+  const routineRows = db
+    .prepare(
+      `SELECT id, exercise_id, target_sets, target_reps, target_weight, progression_rule_json
+       FROM routine_exercises
+       WHERE routine_id = ? AND archived_at IS NULL AND progression_rule_json IS NOT NULL`
+    )
+    .all(session.routine_id);
+  if (!routineRows.length) return;
+
+  const setTargetsByRoutineExercise = listRoutineSetTargetsByExerciseIds(routineRows.map((row) => row.id));
+  const insertProgression = db.prepare(
+    `INSERT OR IGNORE INTO session_progressions
+     (session_id, routine_exercise_id, exercise_id, rule_type, kind, status, previous_target_weight, next_target_weight,
+      previous_set_targets_json, next_set_targets_json, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  ensureRoutineVersion(session.routine_id, now);
+  let hasAppliedProgression = false;
+  routineRows.forEach((row) => {
+    const rule = parseStoredProgressionRule(row.progression_rule_json);
+    if (!rule) return;
+    // Percentage loads follow the training max, so the rule has no weight of its own to move.
+    if ((setTargetsByRoutineExercise.get(row.id) || []).some((target) => target.targetPercent !== null)) return;
+    const snapshot = db
+      .prepare(
+        `SELECT snapshot_target_weight
+         FROM session_exercise_progress
+         WHERE session_id = ? AND routine_exercise_id = ?`
+      )
+      .get(sessionId, row.id);
+    if (
+      snapshot?.snapshot_target_weight !== null
+      && snapshot?.snapshot_target_weight !== undefined
+      && Number(snapshot.snapshot_target_weight) !== Number(row.target_weight)
+    ) {
+      return;
+    }
+    const setTargets = resolveProgressionSetTargets(row, setTargetsByRoutineExercise.get(row.id));
+    const snapshotRepsChanged = db
+      .prepare(
+        `SELECT set_index, target_reps
+         FROM session_exercise_set_targets
+         WHERE session_id = ? AND routine_exercise_id = ?`
+      )
+      .all(sessionId, row.id)
+      .some((snapshotTarget) => {
+        const current = setTargets.find((target) => target.setIndex === snapshotTarget.set_index);
+        return current && snapshotTarget.target_reps !== null
+          && Number(current.targetReps) !== Number(snapshotTarget.target_reps);
+      });
+    if (snapshotRepsChanged) return;
+
+    const sets = db
+      .prepare(
+        `SELECT set_index, set_type, reps, weight, left_reps, left_weight, right_reps, right_weight
+         FROM session_sets
+         WHERE session_id = ? AND routine_exercise_id = ? AND exercise_id = ?`
+      )
+      .all(sessionId, row.id, row.exercise_id)
+      .map((set) => ({
+        setIndex: set.set_index,
+        setType: set.set_type || DEFAULT_SET_TYPE,
+        reps: set.reps,
+        weight: set.weight,
+        ...mapSetSideColumns(set),
+      }));
+    const outcome = evaluateProgressionRule(rule, {
+      targetWeight: row.target_weight,
+      setTargets,
+      sets,
+    });
+    if (!outcome) return;
+
+    insertProgression.run(
+      sessionId,
+      row.id,
+      row.exercise_id,
+      rule.type,
+      outcome.kind,
+      rule.autoApply ? 'applied' : 'proposed',
+      row.target_weight,
+      outcome.nextTargetWeight,
+      JSON.stringify(setTargets),
+      JSON.stringify(outcome.nextSetTargets),
+      now,
+      now
+    );
+    if (rule.autoApply) {
+      writeRoutineExerciseProgressionTargets(row.id, outcome.nextTargetWeight, outcome.nextSetTargets, now);
+      hasAppliedProgression = true;
+    }
+  });
+  if (hasAppliedProgression) {
+    recordRoutineVersion(session.routine_id, 'progression', { now });
+  }
+}
+
+function resolveSessionProgressionForUser(userId, sessionId, progressionId) {
+  const progression = db
+    .prepare(
+      `SELECT sp.id, sp.status, sp.routine_exercise_id, sp.previous_target_weight, sp.next_target_weight,
+              sp.previous_set_targets_json, sp.next_set_targets_json, re.routine_id, re.archived_at
+       FROM session_progressions sp
+       JOIN sessions s ON s.id = sp.session_id
+       LEFT JOIN routine_exercises re ON re.id = sp.routine_exercise_id
+       WHERE sp.id = ? AND sp.session_id = ? AND s.user_id = ?`
+    )
+    .get(progressionId, sessionId, userId);
+  if (!progression) {
+    throw new Error('Progression not found.');
+  }
+  if (!progression.routine_id || progression.archived_at) {
+    throw new Error('Exercise is no longer in the routine.');
+  }
+  return progression;
+}
+
+function buildProgressionTargetsSignature(targetWeight, setTargets) {
+  return JSON.stringify([
+    normalizeNumber(targetWeight),
+    (setTargets || []).map((target) => [
+      normalizeNumber(target.setIndex),
+      normalizeNumber(target.targetReps),
+      normalizeNumber(target.targetWeight),
+      target.targetBandLabel || null,
+      target.setType || DEFAULT_SET_TYPE,
+    ]),
+  ]);
+}
+
+// Whether the slot still holds exactly the targets a progression expects to replace.
+function routineExerciseHasProgressionTargets(routineExerciseId, targetWeight, setTargets) {
+  const row = db
+    .prepare('SELECT id, target_sets, target_reps, target_weight FROM routine_exercises WHERE id = ?')
+    .get(routineExerciseId);
+  if (!row) return false;
+  const currentSetTargets = resolveProgressionSetTargets(
+    row,
+    listRoutineSetTargetsByExerciseIds([row.id]).get(row.id) || []
+  );
+  return buildProgressionTargetsSignature(row.target_weight, currentSetTargets)
+    === buildProgressionTargetsSignature(targetWeight, setTargets);
+}
+
+// Applying writes the proposed targets; undoing puts back the targets the workout started
+// from. Both return the refreshed routine so the client can replace it in place. Either one is
+// refused once the slot has moved on, by a later progression or by hand, so it never overwrites
+// targets it did not set.
+function setSessionProgressionStatusForUser(userId, sessionId, progressionId, nextStatus) {
+  const progression = resolveSessionProgressionForUser(userId, sessionId, progressionId);
+  if (nextStatus === 'applied' && progression.status === 'applied') {
+    throw new Error('Progression is already applied.');
+  }
+  if (nextStatus === 'reverted' && progression.status !== 'applied') {
+    throw new Error('Only applied progressions can be undone.');
+  }
+  const now = nowIso();
+  db.exec('BEGIN IMMEDIATE;');
+  try {
+    const expectedTargets = nextStatus === 'applied'
+      ? [progression.previous_target_weight, parseJsonArray(progression.previous_set_targets_json)]
+      : [progression.next_target_weight, parseJsonArray(progression.next_set_targets_json)];
+    if (!routineExerciseHasProgressionTargets(progression.routine_exercise_id, ...expectedTargets)) {
+      throw new Error('Routine targets have changed since this workout.');
+    }
+    ensureRoutineVersion(progression.routine_id, now);
+    if (nextStatus === 'applied') {
+      writeRoutineExerciseProgressionTargets(
+        progression.routine_exercise_id,
+        progression.next_target_weight,
+        parseJsonArray(progression.next_set_targets_json),
+        now
+      );
+    } else {
+      writeRoutineExerciseProgressionTargets(
+        progression.routine_exercise_id,
+        progression.previous_target_weight,
+        parseJsonArray(progression.previous_set_targets_json),
+        now
+      );
+    }
+    db.prepare('UPDATE session_progressions SET status = ?, updated_at = ? WHERE id = ?')
+      .run(nextStatus, now, progression.id);
+    recordRoutineVersion(progression.routine_id, 'progression', { now });
+    db.exec('COMMIT;');
+  } catch (error) {
+    db.exec('ROLLBACK;');
+    throw error;
+  }
+  return {
+    progression: listSessionProgressions(sessionId, { progressionId: progression.id })[0],
+    routine: listRoutines(userId).find((routine) => routine.id === progression.routine_id) || null,
+  };
+}
+
+function getOpenSessionPause(sessionId) {
+  return db
+    .prepare(
+      `SELECT id, paused_at
+       FROM session_pauses
+       WHERE session_id = ? AND resumed_at IS NULL
+       ORDER BY paused_at DESC
+       LIMIT 1`
+    )
+    .get(sessionId);
+}
+
+function resolveActiveSessionForPause(userId, sessionId) {
+  const session = getSessionById(sessionId, userId);
+  if (!session) {
+    throw new Error('Workout not found.');
+  }
+  if (session.ended_at) {
+    throw new Error('Workout has already ended.');
   }
+  return session;
+}
 
-  const name = hasName ? normalizeText(body.name) || null : null;
-  const notes = hasNotes ? normalizeText(body.notes) || null : null;
-  const endedAt = hasEndedAt ? normalizeText(body.endedAt) || null : null;
-  const warmupStartedAt = hasWarmupStartedAt ? normalizeText(body.warmupStartedAt) || null : null;
-  const warmupCompletedAt = hasWarmupCompletedAt ? normalizeText(body.warmupCompletedAt) || null : null;
+// Timestamps are optional so queued offline pauses keep the time the user tapped; they are
+// clamped into the workout so a skewed device clock cannot produce negative intervals.
+function pauseSessionForUser(userId, sessionId, payload) {
+  const session = resolveActiveSessionForPause(userId, sessionId);
+  if (getOpenSessionPause(sessionId)) {
+    throw new Error('Workout is already paused.');
+  }
+  const pausedAt = normalizeText(payload?.pausedAt) || nowIso();
+  const pausedAtMs = new Date(pausedAt).getTime();
+  if (!Number.isFinite(pausedAtMs)) {
+    throw new Error('Pause time is invalid.');
+  }
+  const safePausedAtMs = Math.max(pausedAtMs, new Date(session.started_at).getTime() || pausedAtMs);
+  db
+    .prepare(
+      `INSERT INTO session_pauses (session_id, paused_at, resumed_at, created_at)
+       VALUES (?, ?, NULL, ?)`
+    )
+    .run(sessionId, new Date(safePausedAtMs).toISOString(), nowIso());
+  return getSessionDetail(sessionId, userId);
+}
 
-  if (hasEndedAt && endedAt) {
-    const setCount = Number(
-      db.prepare('SELECT COUNT(*) AS count FROM session_sets WHERE session_id = ?').get(sessionId)?.count || 0
-    );
-    const hasCompletionSignal = Boolean(
-      db
-        .prepare(
-          `SELECT CASE
-                    WHEN EXISTS (
-                      SELECT 1
-                      FROM session_exercise_progress sep
-                      WHERE sep.session_id = s.id
-                        AND (
-                          sep.status = 'completed'
-                          OR (sep.completed_at IS NOT NULL AND sep.status != 'skipped')
-                        )
-                    )
-                    OR s.warmup_completed_at IS NOT NULL
-                    THEN 1
-                    ELSE 0
-                  END AS has_completion_signal
-           FROM sessions s
-           WHERE s.id = ? AND s.user_id = ?`
-        )
-        .get(sessionId, userId)?.has_completion_signal
-    );
-    if (setCount === 0 && !hasCompletionSignal) {
-      const deleteResult = db
-        .prepare('DELETE FROM sessions WHERE id = ? AND user_id = ?')
-        .run(sessionId, userId);
-      if (deleteResult.changes === 0) {
-        throw new Error('Workout not found.');
-      }
-      return null;
+function resumeSessionForUser(userId, sessionId, payload) {
+  resolveActiveSessionForPause(userId, sessionId);
+  const openPause = getOpenSessionPause(sessionId);
+  if (!openPause) {
+    throw new Error('Workout is not paused.');
+  }
+  const resumedAt = normalizeText(payload?.resumedAt) || nowIso();
+  const resumedAtMs = new Date(resumedAt).getTime();
+  if (!Number.isFinite(resumedAtMs)) {
+    throw new Error('Resume time is invalid.');
+  }
+  const safeResumedAtMs = Math.max(resumedAtMs, new Date(openPause.paused_at).getTime());
+  db
+    .prepare('UPDATE session_pauses SET resumed_at = ? WHERE id = ?')
+    .run(new Date(safeResumedAtMs).toISOString(), openPause.id);
+  return getSessionDetail(sessionId, userId);
+}
+
+function listUnreviewedAutoClosedSessionsForUser(userId) {
+  return db
+    .prepare(
+      `SELECT id FROM sessions
+       WHERE user_id = ? AND auto_closed_at IS NOT NULL AND auto_close_reviewed_at IS NULL
+       ORDER BY started_at DESC`
+    )
+    .all(userId)
+    .map((row) => getSessionDetail(row.id, userId))
+    .filter(Boolean);
+}
+
+// The sweeper guesses the end time from the last logged set; the user confirms it or
+// corrects it once, after which the notice is not shown again.
+function reviewAutoClosedSessionForUser(userId, sessionId, payload) {
+  const session = getSessionById(sessionId, userId);
+  if (!session) {
+    throw new Error('Workout not found.');
+  }
+  if (!session.auto_closed_at) {
+    throw new Error('Workout was not closed automatically.');
+  }
+  const endedAtInput = normalizeText(payload?.endedAt);
+  let endedAt = session.ended_at;
+  if (endedAtInput) {
+    const endedAtMs = new Date(endedAtInput).getTime();
+    if (!Number.isFinite(endedAtMs)) {
+      throw new Error('End time is invalid.');
+    }
+    if (endedAtMs < new Date(session.started_at).getTime()) {
+      throw new Error('End time must be after the workout started.');
+    }
+    if (endedAtMs > Date.now()) {
+      throw new Error('End time cannot be in the future.');
+    }
+    endedAt = new Date(endedAtMs).toISOString();
+  }
+  db.exec('BEGIN IMMEDIATE;');
+  try {
+    db
+      .prepare(
+        `UPDATE sessions
+         SET ended_at = ?, auto_close_reviewed_at = ?
+         WHERE id = ? AND user_id = ?`
+      )
+      .run(endedAt, nowIso(), sessionId, userId);
+    if (endedAt !== session.ended_at) {
+      clipSessionPausesToEnd(sessionId, endedAt);
     }
+    db.exec('COMMIT;');
+  } catch (error) {
+    db.exec('ROLLBACK;');
+    throw error;
   }
+  return getSessionDetail(sessionId, userId);
+}
 
-  const result = db
+// Keeps paused time inside the session when its end moves earlier: pauses that start after the
+// new end are dropped and the rest resume by then at the latest.
+function clipSessionPausesToEnd(sessionId, endedAt) {
+  db.prepare('DELETE FROM session_pauses WHERE session_id = ? AND paused_at >= ?').run(sessionId, endedAt);
+  db
     .prepare(
-      `UPDATE sessions
-       SET name = CASE WHEN ? THEN ? ELSE name END,
-           notes = CASE WHEN ? THEN ? ELSE notes END,
-           ended_at = CASE WHEN ? THEN ? ELSE ended_at END,
-           warmup_started_at = CASE WHEN ? THEN ? ELSE warmup_started_at END,
-           warmup_completed_at = CASE WHEN ? THEN ? ELSE warmup_completed_at END
-       WHERE id = ? AND user_id = ?`
+      `UPDATE session_pauses
+       SET resumed_at = ?
+       WHERE session_id = ? AND (resumed_at IS NULL OR resumed_at > ?)`
     )
-    .run(
-      hasName ? 1 : 0,
-      name,
-      hasNotes ? 1 : 0,
-      notes,
-      hasEndedAt ? 1 : 0,
+    .run(endedAt, sessionId, endedAt);
+}
+
+// Retroactive workouts arrive complete in one payload. Sets are spread evenly over the
+// given duration so exercise and session timestamps look like a live session's.
+function logPastSessionForUser(userId, payload) {
+  const body = payload || {};
+  const startedAtMs = new Date(normalizeText(body.startedAt)).getTime();
+  if (!Number.isFinite(startedAtMs)) {
+    throw new Error('Start time is required.');
+  }
+  const durationMinutes = normalizeNumber(body.durationMinutes);
+  if (
+    !Number.isInteger(durationMinutes)
+    || durationMinutes < 1
+    || durationMinutes > PAST_SESSION_DURATION_MINUTES_MAX
+  ) {
+    throw new Error(`Duration must be 1-${PAST_SESSION_DURATION_MINUTES_MAX} minutes.`);
+  }
+  const endedAtMs = startedAtMs + durationMinutes * 60 * 1000;
+  if (endedAtMs > Date.now()) {
+    throw new Error('A past workout must end before now.');
+  }
+
+  const routineId = normalizeNumber(body.routineId);
+  const freestyle = body.freestyle === true && !routineId;
+  let routine = null;
+  if (!freestyle) {
+    if (!routineId || !Number.isInteger(routineId)) {
+      throw new Error('Routine is required.');
+    }
+    routine = db
+      .prepare('SELECT id, routine_type FROM routines WHERE id = ? AND user_id = ?')
+      .get(routineId, userId);
+    if (!routine) {
+      throw new Error('Routine not found.');
+    }
+  }
+  // A past log can stand in for the program's next workout, exactly like starting it would.
+  const programId = normalizeNumber(body.programId);
+  let programWorkout = null;
+  if (programId && routine) {
+    const program = getProgramForUser(userId, programId);
+    if (!program) {
+      throw new Error('Program not found.');
+    }
+    if (!program.nextWorkout || program.nextWorkout.routineId !== routine.id) {
+      throw new Error('Routine is not the next workout in this program.');
+    }
+    programWorkout = program.nextWorkout;
+  }
+
+  const exercises = (Array.isArray(body.exercises) ? body.exercises : [])
+    .map((item) => ({
+      ...item,
+      exerciseId: normalizeNumber(item?.exerciseId),
+      routineExerciseId: normalizeNumber(item?.routineExerciseId),
+      sets: Array.isArray(item?.sets) ? item.sets : [],
+    }))
+    .filter((item) => item.exerciseId && item.sets.length);
+  const setCount = exercises.reduce((sum, item) => sum + item.sets.length, 0);
+  if (!setCount) {
+    throw new Error('Log at least one set.');
+  }
+  const slotMs = (endedAtMs - startedAtMs) / setCount;
+  const slotIso = (slot) => new Date(Math.round(startedAtMs + slot * slotMs)).toISOString();
+  const startedAt = slotIso(0);
+  const endedAt = new Date(endedAtMs).toISOString();
+
+  let sessionId = null;
+  db.exec('BEGIN IMMEDIATE;');
+  try {
+    const result = db
+      .prepare(
+        `INSERT INTO sessions (user_id, routine_id, routine_type, name, started_at, program_id, program_week,
+                               program_day, routine_version_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        userId,
+        routine ? routine.id : null,
+        routine ? normalizeRoutineType(routine.routine_type, { fallback: 'standard' }) : 'standard',
+        normalizeText(body.name) || (freestyle ? 'Freestyle workout' : null),
+        startedAt,
+        programWorkout ? programId : null,
+        programWorkout?.weekNumber ?? null,
+        programWorkout?.dayNumber ?? null,
+        routine ? ensureRoutineVersion(routine.id) : null
+      );
+    sessionId = Number(result.lastInsertRowid);
+    if (routine) {
+      seedSessionExerciseProgress(sessionId, routine.id, programWorkout);
+    }
+
+    let slot = 0;
+    exercises.forEach((item) => {
+      if (freestyle) {
+        addSessionExerciseForUser(userId, sessionId, {
+          exerciseId: item.exerciseId,
+          equipment: item.equipment,
+          targetBandLabel: item.targetBandLabel,
+          unilateral: item.unilateral === true,
+        });
+      }
+      item.sets.forEach((set) => {
+        createSetForSession(userId, sessionId, {
+          ...set,
+          exerciseId: item.exerciseId,
+          routineExerciseId: item.routineExerciseId,
+          startedAt: slotIso(slot),
+          completedAt: slotIso(slot + 1),
+        });
+        slot += 1;
+      });
+      completeSessionExerciseForUser(userId, sessionId, item.exerciseId, {
+        routineExerciseId: item.routineExerciseId,
+        completedAt: slotIso(slot),
+      });
+    });
+
+    db.prepare('UPDATE sessions SET ended_at = ?, notes = ? WHERE id = ?').run(
       endedAt,
-      hasWarmupStartedAt ? 1 : 0,
-      warmupStartedAt,
-      hasWarmupCompletedAt ? 1 : 0,
-      warmupCompletedAt,
-      sessionId,
-      userId
+      normalizeText(body.notes) || null,
+      sessionId
     );
-  if (result.changes === 0) {
-    throw new Error('Workout not found.');
+    // Same completion hooks as ending a live workout, so a late log still progresses the routine.
+    runSessionCompletionHooks(sessionId);
+    db.exec('COMMIT;');
+  } catch (error) {
+    db.exec('ROLLBACK;');
+    throw error;
   }
   return getSessionDetail(sessionId, userId);
 }
@@ -2820,12 +5733,29 @@ function updateSessionForUser(userId, sessionId, payload) {
 function createSetForSession(userId, sessionId, payload) {
   const exerciseId = normalizeNumber(payload?.exerciseId);
   const routineExerciseId = normalizeNumber(payload?.routineExerciseId);
-  const reps = normalizeNumber(payload?.reps);
-  const weight = normalizeNumber(payload?.weight);
   const bandLabel = normalizeText(payload?.bandLabel) || null;
-  if (!exerciseId || !reps || weight === null) {
-    throw new Error('Exercise, reps, and weight are required.');
+  if (!exerciseId) {
+    throw new Error(MEASUREMENT_MODE_SET_REQUIRED_ERRORS[DEFAULT_MEASUREMENT_MODE]);
+  }
+  const measurementMode = listExerciseMeasurementModes([exerciseId]).get(exerciseId)
+    || DEFAULT_MEASUREMENT_MODE;
+  const sides = resolveSetSides(measurementMode, payload || {});
+  const { reps, timeSeconds, distanceMeters, weight } = resolveSetMetricsForMode(
+    measurementMode,
+    sides ? { ...payload, reps: sides.reps, weight: sides.weight } : payload || {}
+  );
+  const sideColumns = {
+    leftReps: sides?.leftReps ?? null,
+    leftWeight: sides?.leftWeight ?? null,
+    rightReps: sides?.rightReps ?? null,
+    rightWeight: sides?.rightWeight ?? null,
+  };
+  const { rpe } = resolveSetRpeFromPayload(payload || {});
+  const { setType, valid: validSetType } = parseSetTypeValue(payload?.setType);
+  if (!validSetType) {
+    throw new Error('Set type must be warmup, working, drop, failure, or rest_pause.');
   }
+  const inlineSet = isInlineSetType(setType);
 
   const session = getSessionById(sessionId, userId);
   if (!session) {
@@ -2842,10 +5772,11 @@ function createSetForSession(userId, sessionId, payload) {
   const existingSetIndexes = db
     .prepare(
       resolvedRoutineExerciseId
-        ? 'SELECT set_index FROM session_sets WHERE session_id = ? AND routine_exercise_id = ?'
-        : 'SELECT set_index FROM session_sets WHERE session_id = ? AND exercise_id = ? AND routine_exercise_id IS NULL'
+        ? 'SELECT set_index, set_type FROM session_sets WHERE session_id = ? AND routine_exercise_id = ?'
+        : 'SELECT set_index, set_type FROM session_sets WHERE session_id = ? AND exercise_id = ? AND routine_exercise_id IS NULL'
     )
     .all(sessionId, resolvedRoutineExerciseId || exerciseId)
+    .filter((row) => !isInlineSetType(row?.set_type))
     .map((row) => Number(row?.set_index))
     .filter((setIndex) => Number.isInteger(setIndex) && setIndex > 0);
   const currentSetCount = existingSetIndexes.length;
@@ -2853,8 +5784,14 @@ function createSetForSession(userId, sessionId, payload) {
     (max, setIndex) => (setIndex > max ? setIndex : max),
     0
   );
-  const nextSetIndex = maxSetIndex + 1;
-  if (resolvedExercise.targetSets !== null && currentSetCount >= resolvedExercise.targetSets) {
+  // Planned sets take the next slot. In-line sets borrow the index of the planned set they
+  // sit next to: a warm-up precedes the upcoming slot, a drop set follows the last one.
+  const nextSetIndex = setType === 'drop' ? Math.max(maxSetIndex, 1) : maxSetIndex + 1;
+  if (
+    !inlineSet
+    && resolvedExercise.targetSets !== null
+    && currentSetCount >= resolvedExercise.targetSets
+  ) {
     throw new Error('Target set count reached for this exercise.');
   }
   const startedAt = normalizeText(payload?.startedAt) || null;
@@ -2863,16 +5800,25 @@ function createSetForSession(userId, sessionId, payload) {
   const result = db
     .prepare(
       `INSERT INTO session_sets
-       (session_id, exercise_id, routine_exercise_id, set_index, reps, weight, band_label, started_at, completed_at, created_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+       (session_id, exercise_id, routine_exercise_id, set_index, set_type, reps, weight, time_seconds, distance_meters,
+        left_reps, left_weight, right_reps, right_weight, rpe, band_label, started_at, completed_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
     )
     .run(
       sessionId,
       exerciseId,
       resolvedRoutineExerciseId,
       nextSetIndex,
+      setType,
       reps,
       weight,
+      timeSeconds,
+      distanceMeters,
+      sideColumns.leftReps,
+      sideColumns.leftWeight,
+      sideColumns.rightReps,
+      sideColumns.rightWeight,
+      rpe,
       bandLabel,
       startedAt,
       completedAt,
@@ -2883,28 +5829,36 @@ function createSetForSession(userId, sessionId, payload) {
     session,
     exerciseId,
     resolvedRoutineExerciseId,
-    setIndex,
+    inlineSet ? null : setIndex,
     startedAt,
     completedAt,
     resolvedExercise
   );
+  const setId = Number(result.lastInsertRowid);
+  const personalRecords = recordPersonalRecordsForNewSet(userId, exerciseId, setId);
 
   return {
     set: {
-      id: Number(result.lastInsertRowid),
+      id: setId,
       sessionId,
       exerciseId,
       routineExerciseId: resolvedRoutineExerciseId,
       sessionExerciseKey: buildSessionExerciseKey(exerciseId, resolvedRoutineExerciseId),
       setIndex,
+      setType,
       reps,
       weight,
+      timeSeconds,
+      distanceMeters,
+      ...sideColumns,
+      rpe,
       bandLabel,
       startedAt,
       completedAt,
       createdAt,
     },
     exerciseProgress,
+    personalRecords,
   };
 }
 
@@ -2912,29 +5866,123 @@ function updateSetForUser(userId, setId, payload) {
   const body = payload || {};
   const hasReps = Object.prototype.hasOwnProperty.call(body, 'reps');
   const hasWeight = Object.prototype.hasOwnProperty.call(body, 'weight');
+  const hasTimeSeconds = Object.prototype.hasOwnProperty.call(body, 'timeSeconds');
+  const hasDistanceMeters = Object.prototype.hasOwnProperty.call(body, 'distanceMeters');
   const hasBandLabel = Object.prototype.hasOwnProperty.call(body, 'bandLabel');
-  if (!hasReps && !hasWeight && !hasBandLabel) {
+  const hasSetType = Object.prototype.hasOwnProperty.call(body, 'setType');
+  const hasSides = hasSetSideFields(body);
+  const { provided: hasRpe, rpe } = resolveSetRpeFromPayload(body);
+  if (
+    !hasReps
+    && !hasSides
+    && !hasWeight
+    && !hasTimeSeconds
+    && !hasDistanceMeters
+    && !hasBandLabel
+    && !hasRpe
+    && !hasSetType
+  ) {
     throw new Error('No set fields provided.');
   }
-  const reps = hasReps ? normalizeNumber(body.reps) : null;
-  const weight = hasWeight ? normalizeNumber(body.weight) : null;
+  let sides = null;
+  if (hasSides) {
+    const existing = db
+      .prepare(
+        `SELECT ss.weight, ss.left_reps, ss.left_weight, ss.right_reps, ss.right_weight, e.measurement_mode
+         FROM session_sets ss
+         JOIN sessions s ON s.id = ss.session_id
+         JOIN exercises e ON e.id = ss.exercise_id
+         WHERE ss.id = ? AND s.user_id = ?`
+      )
+      .get(setId, userId);
+    if (!existing) {
+      throw new Error('Set not found.');
+    }
+    sides = resolveSetSides(existing.measurement_mode, {
+      ...mapSetSideColumns(existing),
+      weight: hasWeight ? body.weight : existing.weight,
+      ...Object.fromEntries(
+        SET_SIDE_FIELDS
+          .filter((field) => normalizeNumber(body[field]) !== null)
+          .map((field) => [field, body[field]])
+      ),
+    });
+  }
+  const reps = sides ? sides.reps : hasReps ? normalizeNumber(body.reps) : null;
+  const weight = sides ? sides.weight : hasWeight ? normalizeNumber(body.weight) : null;
+  const { timeSeconds, valid: validTimeSeconds } = hasTimeSeconds
+    ? parseSetTimeSecondsValue(body.timeSeconds)
+    : { timeSeconds: null, valid: true };
+  if (!validTimeSeconds) {
+    throw new Error(`Duration must be 1-${SET_TIME_SECONDS_MAX} seconds.`);
+  }
+  const { distanceMeters, valid: validDistanceMeters } = hasDistanceMeters
+    ? parseSetDistanceMetersValue(body.distanceMeters)
+    : { distanceMeters: null, valid: true };
+  if (!validDistanceMeters) {
+    throw new Error(`Distance must be 1-${SET_DISTANCE_METERS_MAX} meters.`);
+  }
   const bandLabel = hasBandLabel ? normalizeText(body.bandLabel) || null : null;
+  const { setType, valid: validSetType } = hasSetType
+    ? parseSetTypeValue(body.setType)
+    : { setType: null, valid: true };
+  if (!validSetType) {
+    throw new Error('Set type must be warmup, working, drop, failure, or rest_pause.');
+  }
+  if (hasSetType) {
+    const existing = db
+      .prepare(
+        `SELECT ss.set_type
+         FROM session_sets ss
+         JOIN sessions s ON s.id = ss.session_id
+         WHERE ss.id = ? AND s.user_id = ?`
+      )
+      .get(setId, userId);
+    if (existing && isInlineSetType(existing.set_type) !== isInlineSetType(setType)) {
+      throw new Error('Warm-up and drop sets cannot be converted to or from planned sets.');
+    }
+  }
 
+  const affectedRecords = setAffectsPersonalRecords(userId, setId);
   const result = db
     .prepare(
       `UPDATE session_sets
        SET reps = CASE WHEN ? THEN ? ELSE reps END,
            weight = CASE WHEN ? THEN ? ELSE weight END,
-           band_label = CASE WHEN ? THEN ? ELSE band_label END
+           time_seconds = CASE WHEN ? THEN ? ELSE time_seconds END,
+           distance_meters = CASE WHEN ? THEN ? ELSE distance_meters END,
+           left_reps = CASE WHEN ? THEN ? ELSE left_reps END,
+           left_weight = CASE WHEN ? THEN ? ELSE left_weight END,
+           right_reps = CASE WHEN ? THEN ? ELSE right_reps END,
+           right_weight = CASE WHEN ? THEN ? ELSE right_weight END,
+           band_label = CASE WHEN ? THEN ? ELSE band_label END,
+           rpe = CASE WHEN ? THEN ? ELSE rpe END,
+           set_type = CASE WHEN ? THEN ? ELSE set_type END
        WHERE id = ? AND session_id IN (SELECT id FROM sessions WHERE user_id = ?)`
     )
     .run(
-      hasReps ? 1 : 0,
+      hasReps || hasSides ? 1 : 0,
       reps,
-      hasWeight ? 1 : 0,
+      hasWeight || hasSides ? 1 : 0,
       weight,
+      hasTimeSeconds ? 1 : 0,
+      timeSeconds,
+      hasDistanceMeters ? 1 : 0,
+      distanceMeters,
+      hasSides ? 1 : 0,
+      sides?.leftReps ?? null,
+      hasSides ? 1 : 0,
+      sides?.leftWeight ?? null,
+      hasSides ? 1 : 0,
+      sides?.rightReps ?? null,
+      hasSides ? 1 : 0,
+      sides?.rightWeight ?? null,
       hasBandLabel ? 1 : 0,
       bandLabel,
+      hasRpe ? 1 : 0,
+      rpe,
+      hasSetType ? 1 : 0,
+      setType,
       setId,
       userId
     );
@@ -2943,29 +5991,51 @@ function updateSetForUser(userId, setId, payload) {
   }
   const updated = db
     .prepare(
-      `SELECT ss.id, ss.session_id, ss.exercise_id, ss.routine_exercise_id, ss.set_index, ss.reps, ss.weight, ss.band_label, ss.started_at, ss.completed_at, ss.created_at
+      `SELECT ss.id, ss.session_id, ss.exercise_id, ss.routine_exercise_id, ss.set_index, ss.set_type, ss.reps, ss.weight,
+              ss.time_seconds, ss.distance_meters, ss.left_reps, ss.left_weight, ss.right_reps, ss.right_weight,
+              ss.rpe, ss.band_label, ss.started_at, ss.completed_at, ss.created_at
        FROM session_sets ss
        WHERE ss.id = ?`
     )
     .get(setId);
+  // A set that held nothing can be checked again like a new one; otherwise the records it held
+  // may have been hiding others, so they are rebuilt.
+  const personalRecords = affectedRecords
+    ? refreshPersonalRecordsForSet(userId, updated.exercise_id, setId)
+    : recordPersonalRecordsForNewSet(userId, updated.exercise_id, setId);
 
-  return {
+  const set = {
     id: updated.id,
     sessionId: updated.session_id,
     exerciseId: updated.exercise_id,
     routineExerciseId: normalizeNumber(updated.routine_exercise_id),
     sessionExerciseKey: buildSessionExerciseKey(updated.exercise_id, updated.routine_exercise_id),
     setIndex: updated.set_index,
+    setType: updated.set_type || DEFAULT_SET_TYPE,
     reps: updated.reps,
     weight: updated.weight,
+    timeSeconds: updated.time_seconds ?? null,
+    distanceMeters: updated.distance_meters ?? null,
+    ...mapSetSideColumns(updated),
+    rpe: updated.rpe ?? null,
     bandLabel: updated.band_label,
     startedAt: updated.started_at,
     completedAt: updated.completed_at,
     createdAt: updated.created_at,
   };
+  return { set, personalRecords };
 }
 
 function deleteSetForUser(userId, setId) {
+  const existing = db
+    .prepare(
+      `SELECT ss.exercise_id
+       FROM session_sets ss
+       JOIN sessions s ON s.id = ss.session_id
+       WHERE ss.id = ? AND s.user_id = ?`
+    )
+    .get(setId, userId);
+  const affectedRecords = setAffectsPersonalRecords(userId, setId);
   const result = db
     .prepare(
       'DELETE FROM session_sets WHERE id = ? AND session_id IN (SELECT id FROM sessions WHERE user_id = ?)'
@@ -2974,6 +6044,9 @@ function deleteSetForUser(userId, setId) {
   if (result.changes === 0) {
     throw new Error('Set not found.');
   }
+  if (affectedRecords) {
+    recomputePersonalRecordsForUser(userId, [existing.exercise_id]);
+  }
 }
 
 function updateRoutineExerciseTargetWeightForUser(
@@ -2985,6 +6058,7 @@ function updateRoutineExerciseTargetWeightForUser(
 ) {
   const targetWeight = normalizeNumber(payload?.targetWeight);
   const routineExerciseId = normalizeNumber(payload?.routineExerciseId);
+  const setIndex = normalizeNumber(payload?.setIndex);
   if (targetWeight === null || targetWeight <= 0) {
     throw new Error('Target weight must be greater than zero.');
   }
@@ -3041,12 +6115,54 @@ function updateRoutineExerciseTargetWeightForUser(
   }
 
   const updatedAt = nowIso();
+  // Ramping schemes store a weight per set. A per-set update rewrites that one set; an exercise
+  // update moves every per-set weight by the same amount so the scheme keeps its shape.
+  const writeSetTargetWeights = () => {
+    const existingTargets = listRoutineSetTargetsByExerciseIds([matchedFallback.id]).get(matchedFallback.id) || [];
+    const hasSetWeights = existingTargets.some((target) => target.targetWeight !== null);
+    if (Number.isInteger(setIndex) && setIndex >= 1 && setIndex <= 3) {
+      const routineExercise = db
+        .prepare('SELECT target_reps, target_weight FROM routine_exercises WHERE id = ?')
+        .get(matchedFallback.id);
+      // The first per-set weight pins the other sets to the weight they were using until now.
+      const nextTargets = existingTargets.map((target) => ({
+        ...target,
+        targetWeight: hasSetWeights ? target.targetWeight : routineExercise?.target_weight ?? null,
+      }));
+      const match = nextTargets.find((target) => target.setIndex === setIndex);
+      if (match) {
+        match.targetWeight = targetWeight;
+      } else {
+        nextTargets.push({ setIndex, targetReps: routineExercise?.target_reps ?? null, targetWeight });
+      }
+      replaceRoutineExerciseSetTargets(matchedFallback.id, nextTargets, updatedAt);
+      return deriveTargetWeightFromSetTargets(nextTargets) ?? targetWeight;
+    }
+    if (hasSetWeights) {
+      const currentTopWeight = deriveTargetWeightFromSetTargets(existingTargets) ?? targetWeight;
+      const delta = targetWeight - currentTopWeight;
+      replaceRoutineExerciseSetTargets(
+        matchedFallback.id,
+        existingTargets.map((target) => ({
+          ...target,
+          targetWeight: target.targetWeight === null
+            ? null
+            : Math.max(0.5, Math.round((target.targetWeight + delta) * 100) / 100),
+        })),
+        updatedAt
+      );
+    }
+    return targetWeight;
+  };
+  let exerciseTargetWeight = targetWeight;
   const applyUpdate = () => {
+    ensureRoutineVersion(routineId, updatedAt);
+    exerciseTargetWeight = writeSetTargetWeights();
     db.prepare(
       `UPDATE routine_exercises
        SET target_weight = ?
        WHERE id = ? AND routine_id = ?`
-    ).run(targetWeight, matchedFallback.id, routineId);
+    ).run(exerciseTargetWeight, matchedFallback.id, routineId);
     const updateRoutine = db
       .prepare(
         `UPDATE routines
@@ -3057,6 +6173,7 @@ function updateRoutineExerciseTargetWeightForUser(
     if (!updateRoutine.changes) {
       throw new Error('Routine not found.');
     }
+    recordRoutineVersion(routineId, 'workout_target', { now: updatedAt });
   };
 
   if (withinTransaction) {
@@ -3077,7 +6194,9 @@ function updateRoutineExerciseTargetWeightForUser(
     exerciseId,
     routineExerciseId: Number(matchedFallback.id),
     equipment: matchedFallback.equipment || equipment,
-    targetWeight,
+    setIndex: Number.isInteger(setIndex) ? setIndex : null,
+    targetWeight: Number.isInteger(setIndex) ? targetWeight : exerciseTargetWeight,
+    exerciseTargetWeight,
     updatedAt,
   };
 }
@@ -3129,6 +6248,7 @@ function updateRoutineExerciseTargetRepsForUser(
 
   const updatedAt = nowIso();
   const applyUpdate = () => {
+    ensureRoutineVersion(routineId, updatedAt);
     db.prepare(
       `UPDATE routine_exercises
        SET target_reps = ?
@@ -3151,9 +6271,20 @@ function updateRoutineExerciseTargetRepsForUser(
       const targetCount = normalizeNumber(
         db.prepare('SELECT target_sets FROM routine_exercises WHERE id = ?').get(matchedFallback.id)?.target_sets
       );
+      const existingTargets = new Map(
+        (listRoutineSetTargetsByExerciseIds([matchedFallback.id]).get(matchedFallback.id) || [])
+          .map((target) => [target.setIndex, target])
+      );
       const setTargets = [];
       for (let index = 1; index <= (targetCount || 1); index += 1) {
-        setTargets.push({ setIndex: index, targetReps });
+        setTargets.push({
+          setIndex: index,
+          targetReps,
+          targetPercent: existingTargets.get(index)?.targetPercent ?? null,
+          targetWeight: existingTargets.get(index)?.targetWeight ?? null,
+          targetBandLabel: existingTargets.get(index)?.targetBandLabel ?? null,
+          setType: existingTargets.get(index)?.setType,
+        });
       }
       replaceRoutineExerciseSetTargets(matchedFallback.id, setTargets, updatedAt);
     }
@@ -3167,6 +6298,7 @@ function updateRoutineExerciseTargetRepsForUser(
     if (!updateRoutine.changes) {
       throw new Error('Routine not found.');
     }
+    recordRoutineVersion(routineId, 'workout_target', { now: updatedAt });
   };
 
   if (withinTransaction) {
@@ -3214,6 +6346,166 @@ function createWeightForUser(userId, payload) {
   };
 }
 
+function parseInventoryWeightList(value) {
+  if (!Array.isArray(value)) {
+    return { weights: null, valid: false };
+  }
+  const weights = new Set();
+  for (const entry of value) {
+    const weight = normalizeNumber(entry);
+    if (weight === null || weight <= 0 || weight > EQUIPMENT_INVENTORY_WEIGHT_MAX) {
+      return { weights: null, valid: false };
+    }
+    weights.add(Math.round(weight * 100) / 100);
+  }
+  return { weights: [...weights].sort((left, right) => left - right), valid: true };
+}
+
+function parseInventoryPlates(value) {
+  if (!Array.isArray(value)) {
+    return { plates: null, valid: false };
+  }
+  const pairsByWeight = new Map();
+  for (const entry of value) {
+    const weight = normalizeNumber(entry?.weight);
+    const pairs = normalizeNumber(entry?.pairs);
+    if (
+      weight === null ||
+      weight <= 0 ||
+      weight > EQUIPMENT_INVENTORY_WEIGHT_MAX ||
+      !Number.isInteger(pairs) ||
+      pairs < 1 ||
+      pairs > EQUIPMENT_INVENTORY_PLATE_PAIRS_MAX
+    ) {
+      return { plates: null, valid: false };
+    }
+    const key = Math.round(weight * 100) / 100;
+    pairsByWeight.set(key, Math.min(EQUIPMENT_INVENTORY_PLATE_PAIRS_MAX, (pairsByWeight.get(key) || 0) + pairs));
+  }
+  const plates = [...pairsByWeight.entries()]
+    .map(([weight, pairs]) => ({ weight, pairs }))
+    .sort((left, right) => right.weight - left.weight);
+  return { plates, valid: true };
+}
+
+function mapEquipmentInventoryRow(row) {
+  if (!row) {
+    return { ...DEFAULT_EQUIPMENT_INVENTORY, updatedAt: null };
+  }
+  return {
+    barWeights: parseJsonArray(row.bar_weights_json),
+    plates: parseJsonArray(row.plates_json),
+    dumbbells: parseJsonArray(row.dumbbells_json),
+    kettlebells: parseJsonArray(row.kettlebells_json),
+    updatedAt: row.updated_at,
+  };
+}
+
+function getEquipmentInventoryForUser(userId) {
+  const row = db
+    .prepare(
+      `SELECT bar_weights_json, plates_json, dumbbells_json, kettlebells_json, updated_at
+       FROM user_equipment_inventory
+       WHERE user_id = ?`
+    )
+    .get(userId);
+  return mapEquipmentInventoryRow(row);
+}
+
+// Fields left out of the payload keep their saved (or default) values.
+function saveEquipmentInventoryForUser(userId, payload) {
+  const current = getEquipmentInventoryForUser(userId);
+  const barWeights = parseInventoryWeightList(payload?.barWeights ?? current.barWeights);
+  if (!barWeights.valid || !barWeights.weights.length) {
+    throw new Error(`Bar weights must be a non-empty list of weights up to ${EQUIPMENT_INVENTORY_WEIGHT_MAX} kg.`);
+  }
+  const plates = parseInventoryPlates(payload?.plates ?? current.plates);
+  if (!plates.valid) {
+    throw new Error(
+      `Plates must list a weight up to ${EQUIPMENT_INVENTORY_WEIGHT_MAX} kg and 1-${EQUIPMENT_INVENTORY_PLATE_PAIRS_MAX} pairs each.`
+    );
+  }
+  const dumbbells = parseInventoryWeightList(payload?.dumbbells ?? current.dumbbells);
+  if (!dumbbells.valid) {
+    throw new Error(`Dumbbells must be a list of weights up to ${EQUIPMENT_INVENTORY_WEIGHT_MAX} kg.`);
+  }
+  const kettlebells = parseInventoryWeightList(payload?.kettlebells ?? current.kettlebells);
+  if (!kettlebells.valid) {
+    throw new Error(`Kettlebells must be a list of weights up to ${EQUIPMENT_INVENTORY_WEIGHT_MAX} kg.`);
+  }
+  const updatedAt = nowIso();
+  db.prepare(
+    `INSERT INTO user_equipment_inventory (
+       user_id, bar_weights_json, plates_json, dumbbells_json, kettlebells_json, updated_at
+     )
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(user_id) DO UPDATE SET
+       bar_weights_json = excluded.bar_weights_json,
+       plates_json = excluded.plates_json,
+       dumbbells_json = excluded.dumbbells_json,
+       kettlebells_json = excluded.kettlebells_json,
+       updated_at = excluded.updated_at`
+  ).run(
+    userId,
+    stringifyJsonArray(barWeights.weights),
+    stringifyJsonArray(plates.plates),
+    stringifyJsonArray(dumbbells.weights),
+    stringifyJsonArray(kettlebells.weights),
+    updatedAt
+  );
+  return {
+    barWeights: barWeights.weights,
+    plates: plates.plates,
+    dumbbells: dumbbells.weights,
+    kettlebells: kettlebells.weights,
+    updatedAt,
+  };
+}
+
+function listTrainingMaxesForUser(userId) {
+  return db
+    .prepare(
+      `SELECT tm.exercise_id, tm.weight, tm.updated_at, e.name AS exercise_name
+       FROM training_maxes tm
+       JOIN exercises e ON e.id = tm.exercise_id
+       WHERE tm.user_id = ?
+       ORDER BY e.name COLLATE NOCASE ASC`
+    )
+    .all(userId)
+    .map((row) => ({
+      exerciseId: row.exercise_id,
+      exerciseName: row.exercise_name,
+      weight: row.weight,
+      updatedAt: row.updated_at,
+    }));
+}
+
+function listTrainingMaxWeightsByExercise(userId) {
+  const rows = db
+    .prepare('SELECT exercise_id, weight FROM training_maxes WHERE user_id = ?')
+    .all(userId);
+  return new Map(rows.map((row) => [row.exercise_id, row.weight]));
+}
+
+function saveTrainingMaxForUser(userId, exerciseId, payload) {
+  const exercise = db
+    .prepare('SELECT id FROM exercises WHERE id = ? AND merged_into_id IS NULL AND archived_at IS NULL')
+    .get(exerciseId);
+  if (!exercise) {
+    throw new Error('Exercise not found.');
+  }
+  const weight = normalizeTrainingMaxWeight(payload?.weight);
+  const now = nowIso();
+  db.prepare(
+    `INSERT INTO training_maxes (user_id, exercise_id, weight, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(user_id, exercise_id) DO UPDATE SET
+       weight = excluded.weight,
+       updated_at = excluded.updated_at`
+  ).run(userId, exerciseId, weight, now, now);
+  return listTrainingMaxesForUser(userId).find((item) => item.exerciseId === exerciseId) || null;
+}
+
 function parseStoredSyncResult(value) {
   if (!value) return null;
   try {
@@ -3238,6 +6530,20 @@ function applySyncOperation(userId, operationType, payload) {
     }
     return { session: updateSessionForUser(userId, sessionId, payload) };
   }
+  if (operationType === 'session.pause') {
+    const sessionId = normalizeNumber(payload?.sessionId);
+    if (!sessionId) {
+      throw new Error('sessionId is required for session.pause.');
+    }
+    return { session: pauseSessionForUser(userId, sessionId, payload) };
+  }
+  if (operationType === 'session.resume') {
+    const sessionId = normalizeNumber(payload?.sessionId);
+    if (!sessionId) {
+      throw new Error('sessionId is required for session.resume.');
+    }
+    return { session: resumeSessionForUser(userId, sessionId, payload) };
+  }
   if (operationType === 'bodyweight.create') {
     return { entry: createWeightForUser(userId, payload) };
   }
@@ -3246,7 +6552,7 @@ function applySyncOperation(userId, operationType, payload) {
     if (!setId) {
       throw new Error('setId is required for session_set.update.');
     }
-    return { set: updateSetForUser(userId, setId, payload) };
+    return updateSetForUser(userId, setId, payload);
   }
   if (operationType === 'session_set.delete') {
     const setId = normalizeNumber(payload?.setId);
@@ -3292,6 +6598,21 @@ function applySyncOperation(userId, operationType, payload) {
       ),
     };
   }
+  if (operationType === 'session_exercise.add') {
+    const sessionId = normalizeNumber(payload?.sessionId);
+    if (!sessionId) {
+      throw new Error('sessionId is required for session_exercise.add.');
+    }
+    return addSessionExerciseForUser(userId, sessionId, payload);
+  }
+  if (operationType === 'session_exercise.substitute') {
+    const sessionId = normalizeNumber(payload?.sessionId);
+    const exerciseId = normalizeNumber(payload?.exerciseId);
+    if (!sessionId || !exerciseId) {
+      throw new Error('sessionId and exerciseId are required for session_exercise.substitute.');
+    }
+    return substituteSessionExerciseForUser(userId, sessionId, exerciseId, payload);
+  }
   if (operationType === 'session_exercise.start') {
     const sessionId = normalizeNumber(payload?.sessionId);
     const exerciseId = normalizeNumber(payload?.exerciseId);
@@ -3320,21 +6641,23 @@ app.get('/api/sessions', requireAuth, (req, res) => {
   const rows = db
     .prepare(
       `SELECT s.id, s.routine_id, s.name, s.started_at, s.ended_at, s.notes,
-              s.warmup_started_at, s.warmup_completed_at,
-              s.routine_type,
+              s.warmup_started_at, s.warmup_completed_at, s.auto_closed_at,
+              s.routine_type, s.routine_version_id,
               r.name AS routine_name,
               r.notes AS routine_notes,
+              rv.version_number AS routine_version_number,
               COALESCE(set_stats.total_sets, 0) AS total_sets,
               COALESCE(set_stats.total_reps, 0) AS total_reps,
               COALESCE(set_stats.total_volume, 0) AS total_volume,
               COALESCE(progress_stats.completed_exercises, 0) AS completed_exercises
        FROM sessions s
        LEFT JOIN routines r ON r.id = s.routine_id
+       LEFT JOIN routine_versions rv ON rv.id = s.routine_version_id
        LEFT JOIN (
          SELECT session_id,
                 COUNT(*) AS total_sets,
-                COALESCE(SUM(reps), 0) AS total_reps,
-                COALESCE(SUM(reps * weight), 0) AS total_volume
+                COALESCE(SUM(COALESCE(left_reps + right_reps, reps)), 0) AS total_reps,
+                COALESCE(SUM(${buildSetVolumeSql('')}), 0) AS total_volume
          FROM session_sets
          GROUP BY session_id
        ) set_stats ON set_stats.session_id = s.id
@@ -3374,6 +6697,7 @@ app.get('/api/sessions', requireAuth, (req, res) => {
        LIMIT ?`
     )
     .all(req.session.userId, limit);
+  const pausesBySession = listSessionPausesBySession(rows.map((row) => row.id));
 
   const sessions = rows.map((row) => ({
     id: row.id,
@@ -3381,11 +6705,14 @@ app.get('/api/sessions', requireAuth, (req, res) => {
     routineType: normalizeRoutineType(row.routine_type, { fallback: 'standard' }),
     routineName: row.routine_name,
     routineNotes: row.routine_notes,
+    routineVersion: mapSessionRoutineVersion(row),
     name: row.name,
     startedAt: row.started_at,
     endedAt: row.ended_at,
     warmupStartedAt: row.warmup_started_at,
     warmupCompletedAt: row.warmup_completed_at,
+    durationSeconds: calculateDurationSeconds(row.started_at, row.ended_at, pausesBySession.get(row.id)),
+    autoClosedAt: row.auto_closed_at || null,
     notes: row.notes,
     totalSets: row.total_sets,
     totalReps: row.total_reps,
@@ -3396,6 +6723,23 @@ app.get('/api/sessions', requireAuth, (req, res) => {
   return res.json({ sessions });
 });
 
+app.get('/api/sessions/auto-closed', requireAuth, (req, res) => {
+  return res.json({ sessions: listUnreviewedAutoClosedSessionsForUser(req.session.userId) });
+});
+
+app.post('/api/sessions/:id/auto-close/review', requireAuth, (req, res) => {
+  const sessionId = Number(req.params.id);
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Invalid workout id.' });
+  }
+  try {
+    return res.json({ session: reviewAutoClosedSessionForUser(req.session.userId, sessionId, req.body || {}) });
+  } catch (error) {
+    const status = error.message === 'Workout not found.' ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
 app.get('/api/sessions/active', requireAuth, (req, res) => {
   const session = db
     .prepare(
@@ -3426,6 +6770,18 @@ app.get('/api/sessions/:id', requireAuth, (req, res) => {
 
 app.post('/api/sessions', requireAuth, (req, res) => {
   const routineId = normalizeNumber(req.body?.routineId);
+  if (req.body?.freestyle === true && !routineId) {
+    const name = normalizeText(req.body?.name) || null;
+    const startedAt = normalizeText(req.body?.startedAt) || nowIso();
+    const result = db
+      .prepare(
+        `INSERT INTO sessions (user_id, routine_id, routine_type, name, started_at)
+         VALUES (?, NULL, ?, ?, ?)`
+      )
+      .run(req.session.userId, 'standard', name, startedAt);
+    const detail = getSessionDetail(Number(result.lastInsertRowid), req.session.userId);
+    return res.json({ session: detail });
+  }
   if (!routineId || !Number.isInteger(routineId)) {
     return res.status(400).json({ error: 'Routine is required.' });
   }
@@ -3435,38 +6791,94 @@ app.post('/api/sessions', requireAuth, (req, res) => {
   if (!routine) {
     return res.status(404).json({ error: 'Routine not found.' });
   }
+  const programId = normalizeNumber(req.body?.programId);
+  let programWorkout = null;
+  if (programId) {
+    const program = getProgramForUser(req.session.userId, programId);
+    if (!program) {
+      return res.status(404).json({ error: 'Program not found.' });
+    }
+    if (!program.nextWorkout || program.nextWorkout.routineId !== routineId) {
+      return res.status(400).json({ error: 'Routine is not the next workout in this program.' });
+    }
+    programWorkout = program.nextWorkout;
+  }
   const name = normalizeText(req.body?.name) || null;
   const startedAt = normalizeText(req.body?.startedAt) || nowIso();
   const result = db
     .prepare(
-      `INSERT INTO sessions (user_id, routine_id, routine_type, name, started_at)
-       VALUES (?, ?, ?, ?, ?)`
+      `INSERT INTO sessions (user_id, routine_id, routine_type, name, started_at, program_id, program_week, program_day,
+                             routine_version_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
     )
     .run(
       req.session.userId,
       routineId,
       normalizeRoutineType(routine.routine_type, { fallback: 'standard' }),
       name,
-      startedAt
+      startedAt,
+      programWorkout ? programId : null,
+      programWorkout?.weekNumber ?? null,
+      programWorkout?.dayNumber ?? null,
+      ensureRoutineVersion(routineId)
     );
 
   const sessionId = Number(result.lastInsertRowid);
-  seedSessionExerciseProgress(sessionId, routineId);
+  seedSessionExerciseProgress(sessionId, routineId, programWorkout);
   const detail = getSessionDetail(sessionId, req.session.userId);
   return res.json({ session: detail });
 });
 
+app.post('/api/sessions/past', requireAuth, (req, res) => {
+  try {
+    const session = logPastSessionForUser(req.session.userId, req.body || {});
+    return res.json({ session });
+  } catch (error) {
+    const notFoundErrors = new Set(['Routine not found.', 'Exercise not found.', 'Program not found.']);
+    return res.status(notFoundErrors.has(error.message) ? 404 : 400).json({ error: error.message });
+  }
+});
+
 app.put('/api/sessions/:id', requireAuth, (req, res) => {
   const sessionId = Number(req.params.id);
   if (!sessionId) {
     return res.status(400).json({ error: 'Invalid workout id.' });
   }
+  db.exec('BEGIN IMMEDIATE;');
   try {
     const detail = updateSessionForUser(req.session.userId, sessionId, req.body || {});
+    db.exec('COMMIT;');
     if (!detail) {
       return res.json({ session: null, discarded: true });
     }
     return res.json({ session: detail });
+  } catch (error) {
+    db.exec('ROLLBACK;');
+    const status = error.message === 'Workout not found.' ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+app.post('/api/sessions/:id/pause', requireAuth, (req, res) => {
+  const sessionId = Number(req.params.id);
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Invalid workout id.' });
+  }
+  try {
+    return res.json({ session: pauseSessionForUser(req.session.userId, sessionId, req.body || {}) });
+  } catch (error) {
+    const status = error.message === 'Workout not found.' ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+app.post('/api/sessions/:id/resume', requireAuth, (req, res) => {
+  const sessionId = Number(req.params.id);
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Invalid workout id.' });
+  }
+  try {
+    return res.json({ session: resumeSessionForUser(req.session.userId, sessionId, req.body || {}) });
   } catch (error) {
     const status = error.message === 'Workout not found.' ? 404 : 400;
     return res.status(status).json({ error: error.message });
@@ -3478,15 +6890,131 @@ app.delete('/api/sessions/:id', requireAuth, (req, res) => {
   if (!sessionId) {
     return res.status(400).json({ error: 'Invalid workout id.' });
   }
-  const result = db
-    .prepare('DELETE FROM sessions WHERE id = ? AND user_id = ?')
-    .run(sessionId, req.session.userId);
-  if (result.changes === 0) {
-    return res.status(404).json({ error: 'Workout not found.' });
+  db.exec('BEGIN IMMEDIATE;');
+  try {
+    const loggedExerciseIds = db
+      .prepare('SELECT DISTINCT exercise_id FROM session_sets WHERE session_id = ?')
+      .all(sessionId)
+      .map((row) => row.exercise_id);
+    const result = db
+      .prepare('DELETE FROM sessions WHERE id = ? AND user_id = ?')
+      .run(sessionId, req.session.userId);
+    if (result.changes === 0) {
+      db.exec('ROLLBACK;');
+      return res.status(404).json({ error: 'Workout not found.' });
+    }
+    recomputePersonalRecordsForUser(req.session.userId, loggedExerciseIds);
+    db.exec('COMMIT;');
+  } catch (error) {
+    db.exec('ROLLBACK;');
+    return res.status(400).json({ error: error.message });
   }
   return res.json({ ok: true });
 });
 
+app.post('/api/sessions/:id/exercises', requireAuth, (req, res) => {
+  const sessionId = Number(req.params.id);
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Invalid workout id.' });
+  }
+  try {
+    return res.json(addSessionExerciseForUser(req.session.userId, sessionId, req.body || {}));
+  } catch (error) {
+    const notFoundErrors = new Set(['Workout not found.', 'Exercise not found.']);
+    return res.status(notFoundErrors.has(error.message) ? 404 : 400).json({ error: error.message });
+  }
+});
+
+app.post('/api/sessions/:id/progressions/:progressionId/apply', requireAuth, (req, res) => {
+  const sessionId = Number(req.params.id);
+  const progressionId = Number(req.params.progressionId);
+  if (!sessionId || !progressionId) {
+    return res.status(400).json({ error: 'Invalid workout or progression id.' });
+  }
+  try {
+    return res.json(setSessionProgressionStatusForUser(req.session.userId, sessionId, progressionId, 'applied'));
+  } catch (error) {
+    const status = error.message === 'Progression not found.'
+      ? 404
+      : error.message === 'Routine targets have changed since this workout.'
+        ? 409
+        : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+app.post('/api/sessions/:id/progressions/:progressionId/undo', requireAuth, (req, res) => {
+  const sessionId = Number(req.params.id);
+  const progressionId = Number(req.params.progressionId);
+  if (!sessionId || !progressionId) {
+    return res.status(400).json({ error: 'Invalid workout or progression id.' });
+  }
+  try {
+    return res.json(setSessionProgressionStatusForUser(req.session.userId, sessionId, progressionId, 'reverted'));
+  } catch (error) {
+    const status = error.message === 'Progression not found.'
+      ? 404
+      : error.message === 'Routine targets have changed since this workout.'
+        ? 409
+        : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+app.get('/api/sessions/:id/last-performance', requireAuth, (req, res) => {
+  const sessionId = Number(req.params.id);
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Invalid workout id.' });
+  }
+  try {
+    return res.json(getSessionLastPerformanceForUser(req.session.userId, sessionId));
+  } catch (error) {
+    const status = error.message === 'Workout not found.' ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+app.get('/api/sessions/:id/exercises/:exerciseId/alternatives', requireAuth, (req, res) => {
+  const sessionId = Number(req.params.id);
+  const exerciseId = Number(req.params.exerciseId);
+  if (!sessionId || !exerciseId) {
+    return res.status(400).json({ error: 'Invalid workout or exercise id.' });
+  }
+  try {
+    return res.json(
+      listSessionExerciseAlternativesForUser(req.session.userId, sessionId, exerciseId, req.query || {})
+    );
+  } catch (error) {
+    const notFoundErrors = new Set([
+      'Workout not found.',
+      'Exercise not found.',
+      'Exercise not found in workout.',
+    ]);
+    return res.status(notFoundErrors.has(error.message) ? 404 : 400).json({ error: error.message });
+  }
+});
+
+app.post('/api/sessions/:id/exercises/:exerciseId/substitute', requireAuth, (req, res) => {
+  const sessionId = Number(req.params.id);
+  const exerciseId = Number(req.params.exerciseId);
+  if (!sessionId || !exerciseId) {
+    return res.status(400).json({ error: 'Invalid workout or exercise id.' });
+  }
+  try {
+    return res.json(
+      substituteSessionExerciseForUser(req.session.userId, sessionId, exerciseId, req.body || {})
+    );
+  } catch (error) {
+    const notFoundErrors = new Set([
+      'Workout not found.',
+      'Exercise not found.',
+      'Exercise not found in workout.',
+      'Substitute exercise not found.',
+    ]);
+    return res.status(notFoundErrors.has(error.message) ? 404 : 400).json({ error: error.message });
+  }
+});
+
 app.post('/api/sessions/:id/exercises/:exerciseId/start', requireAuth, (req, res) => {
   const sessionId = Number(req.params.id);
   const exerciseId = Number(req.params.exerciseId);
@@ -3540,10 +7068,13 @@ app.post('/api/sessions/:id/sets', requireAuth, (req, res) => {
   if (!sessionId) {
     return res.status(400).json({ error: 'Invalid workout id.' });
   }
+  db.exec('BEGIN IMMEDIATE;');
   try {
     const result = createSetForSession(req.session.userId, sessionId, req.body || {});
+    db.exec('COMMIT;');
     return res.json(result);
   } catch (error) {
+    db.exec('ROLLBACK;');
     const status =
       error.message === 'Workout not found.'
       || error.message === 'Exercise not found.'
@@ -3559,10 +7090,13 @@ app.put('/api/sets/:id', requireAuth, (req, res) => {
   if (!setId) {
     return res.status(400).json({ error: 'Invalid set id.' });
   }
+  db.exec('BEGIN IMMEDIATE;');
   try {
-    const set = updateSetForUser(req.session.userId, setId, req.body || {});
-    return res.json({ set });
+    const result = updateSetForUser(req.session.userId, setId, req.body || {});
+    db.exec('COMMIT;');
+    return res.json(result);
   } catch (error) {
+    db.exec('ROLLBACK;');
     const status = error.message === 'Set not found.' ? 404 : 400;
     return res.status(status).json({ error: error.message });
   }
@@ -3573,10 +7107,13 @@ app.delete('/api/sets/:id', requireAuth, (req, res) => {
   if (!setId) {
     return res.status(400).json({ error: 'Invalid set id.' });
   }
+  db.exec('BEGIN IMMEDIATE;');
   try {
     deleteSetForUser(req.session.userId, setId);
+    db.exec('COMMIT;');
     return res.json({ ok: true });
   } catch (error) {
+    db.exec('ROLLBACK;');
     if (error.message === 'Set not found.') {
       return res.status(404).json({ error: error.message });
     }
@@ -3711,6 +7248,48 @@ app.delete('/api/bands/:id', requireAuth, (req, res) => {
   return res.json({ ok: true });
 });
 
+app.get('/api/equipment-inventory', requireAuth, (req, res) => {
+  return res.json({ inventory: getEquipmentInventoryForUser(req.session.userId) });
+});
+
+app.put('/api/equipment-inventory', requireAuth, (req, res) => {
+  try {
+    const inventory = saveEquipmentInventoryForUser(req.session.userId, req.body || {});
+    return res.json({ inventory });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/training-maxes', requireAuth, (req, res) => {
+  return res.json({ trainingMaxes: listTrainingMaxesForUser(req.session.userId) });
+});
+
+app.put('/api/training-maxes/:exerciseId', requireAuth, (req, res) => {
+  const exerciseId = Number(req.params.exerciseId);
+  if (!Number.isInteger(exerciseId) || exerciseId <= 0) {
+    return res.status(400).json({ error: 'Invalid exercise id.' });
+  }
+  try {
+    const trainingMax = saveTrainingMaxForUser(req.session.userId, exerciseId, req.body || {});
+    return res.json({ trainingMax });
+  } catch (error) {
+    const status = error.message === 'Exercise not found.' ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+app.delete('/api/training-maxes/:exerciseId', requireAuth, (req, res) => {
+  const exerciseId = Number(req.params.exerciseId);
+  const result = db
+    .prepare('DELETE FROM training_maxes WHERE user_id = ? AND exercise_id = ?')
+    .run(req.session.userId, exerciseId);
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Training max not found.' });
+  }
+  return res.json({ ok: true });
+});
+
 app.post('/api/sync/batch', requireAuth, (req, res) => {
   const operations = Array.isArray(req.body?.operations) ? req.body.operations : [];
   if (!operations.length) {
@@ -3818,10 +7397,23 @@ app.get('/api/stats/overview', requireAuth, (req, res) => {
   const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000).toISOString();
   const setTimestampSql = "COALESCE(ss.completed_at, ss.created_at, s.started_at)";
   const routineTypeFilter = normalizeRoutineTypeFilter(req.query.routineType);
-  const routineFilterSql = routineTypeFilter === 'all' ? '' : ' AND routine_type = ?';
-  const routineFilterParams = routineTypeFilter === 'all' ? [] : [routineTypeFilter];
-  const setRoutineFilterSql = routineTypeFilter === 'all' ? '' : ' AND s.routine_type = ?';
-  const setRoutineFilterParams = routineTypeFilter === 'all' ? [] : [routineTypeFilter];
+  const setTypeFilter = normalizeSetTypeFilter(req.query.setType);
+  const setTypeFilterSql = buildSetTypeFilterSql(setTypeFilter);
+  const programFilter = normalizeProgramStatsFilter(req.query);
+  const programFilterSql = buildProgramFilterSql(programFilter, '');
+  const sessionProgramFilterSql = buildProgramFilterSql(programFilter);
+  const routineFilterSql = (routineTypeFilter === 'all' ? '' : ' AND routine_type = ?') + programFilterSql.sql;
+  const routineFilterParams = [
+    ...(routineTypeFilter === 'all' ? [] : [routineTypeFilter]),
+    ...programFilterSql.params,
+  ];
+  const setRoutineFilterSql =
+    (routineTypeFilter === 'all' ? '' : ' AND s.routine_type = ?') + sessionProgramFilterSql.sql + setTypeFilterSql.sql;
+  const setRoutineFilterParams = [
+    ...(routineTypeFilter === 'all' ? [] : [routineTypeFilter]),
+    ...sessionProgramFilterSql.params,
+    ...setTypeFilterSql.params,
+  ];
 
   const totalSessions = db
     .prepare(`SELECT COUNT(*) AS count FROM sessions WHERE user_id = ?${routineFilterSql}`)
@@ -3884,7 +7476,7 @@ app.get('/api/stats/overview', requireAuth, (req, res) => {
     .get(userId, monthAgo, ...setRoutineFilterParams)?.count;
   const volumeWeek = db
     .prepare(
-      `SELECT COALESCE(SUM(ss.reps * ss.weight), 0) AS volume
+      `SELECT COALESCE(SUM(${buildSetVolumeSql()}), 0) AS volume
        FROM session_sets ss
        JOIN sessions s ON s.id = ss.session_id
        WHERE s.user_id = ? AND ${setTimestampSql} >= ?${setRoutineFilterSql}`
@@ -3892,7 +7484,7 @@ app.get('/api/stats/overview', requireAuth, (req, res) => {
     .get(userId, weekAgo, ...setRoutineFilterParams)?.volume;
   const volumeMonth = db
     .prepare(
-      `SELECT COALESCE(SUM(ss.reps * ss.weight), 0) AS volume
+      `SELECT COALESCE(SUM(${buildSetVolumeSql()}), 0) AS volume
        FROM session_sets ss
        JOIN sessions s ON s.id = ss.session_id
        WHERE s.user_id = ? AND ${setTimestampSql} >= ?${setRoutineFilterSql}`
@@ -3962,7 +7554,7 @@ app.get('/api/stats/overview', requireAuth, (req, res) => {
     .get(userId, monthAgo, ...routineFilterParams)?.count;
   const sessionDurationRowsWeek = db
     .prepare(
-      `SELECT MAX(0, (julianday(ended_at) - julianday(started_at)) * 24 * 60) AS minutes
+      `SELECT MAX(0, (julianday(ended_at) - julianday(started_at)) * 24 * 60 - ${SESSION_PAUSED_MINUTES_SQL}) AS minutes
        FROM sessions
        WHERE user_id = ?
          AND started_at >= ?
@@ -3972,7 +7564,7 @@ app.get('/api/stats/overview', requireAuth, (req, res) => {
     .all(userId, weekAgo, ...routineFilterParams);
   const sessionDurationRowsMonth = db
     .prepare(
-      `SELECT MAX(0, (julianday(ended_at) - julianday(started_at)) * 24 * 60) AS minutes
+      `SELECT MAX(0, (julianday(ended_at) - julianday(started_at)) * 24 * 60 - ${SESSION_PAUSED_MINUTES_SQL}) AS minutes
        FROM sessions
        WHERE user_id = ?
          AND started_at >= ?
@@ -4033,7 +7625,7 @@ app.get('/api/stats/overview', requireAuth, (req, res) => {
   const weeklyVolume = db
     .prepare(
       `SELECT strftime('%Y-W%W', ${setTimestampSql}) AS week,
-              SUM(ss.reps * ss.weight) AS volume
+              SUM(${buildSetVolumeSql()}) AS volume
        FROM session_sets ss
        JOIN sessions s ON s.id = ss.session_id
        WHERE s.user_id = ?${setRoutineFilterSql}
@@ -4096,24 +7688,41 @@ app.get('/api/stats/overview', requireAuth, (req, res) => {
     maxReps: row.max_reps,
   }));
 
-  res.json({ routineType: routineTypeFilter, summary, topExercises, weeklyVolume, weeklySets });
+  res.json({
+    routineType: routineTypeFilter,
+    setType: setTypeFilter,
+    ...programFilter,
+    summary,
+    topExercises,
+    weeklyVolume,
+    weeklySets,
+  });
 });
 
 app.get('/api/stats/timeseries', requireAuth, (req, res) => {
   const bucket = normalizeTimeseriesBucket(req.query.bucket);
   const windowDays = parseWindowDays(req.query.window, WINDOW_PATTERNS.timeseries);
   const routineTypeFilter = normalizeRoutineTypeFilter(req.query.routineType);
+  const setTypeFilter = normalizeSetTypeFilter(req.query.setType);
+  const setTypeFilterSql = buildSetTypeFilterSql(setTypeFilter);
   const now = new Date();
   const since = new Date(now.getTime() - windowDays * 24 * 60 * 60 * 1000);
   const sinceIso = since.toISOString();
   const setTimestampSql = "COALESCE(ss.completed_at, ss.created_at, s.started_at)";
-  const setRoutineFilterSql = routineTypeFilter === 'all' ? '' : ' AND s.routine_type = ?';
-  const setRoutineFilterParams = routineTypeFilter === 'all' ? [] : [routineTypeFilter];
+  const programFilter = normalizeProgramStatsFilter(req.query);
+  const programFilterSql = buildProgramFilterSql(programFilter);
+  const setRoutineFilterSql =
+    (routineTypeFilter === 'all' ? '' : ' AND s.routine_type = ?') + programFilterSql.sql + setTypeFilterSql.sql;
+  const setRoutineFilterParams = [
+    ...(routineTypeFilter === 'all' ? [] : [routineTypeFilter]),
+    ...programFilterSql.params,
+    ...setTypeFilterSql.params,
+  ];
 
   const rows = db
     .prepare(
-      `SELECT ss.exercise_id, ss.reps, ss.weight, ss.session_id,
-              ${setTimestampSql} AS set_timestamp
+      `SELECT ss.exercise_id, ss.reps, ss.weight, ss.left_reps, ss.left_weight, ss.right_reps, ss.right_weight,
+              ss.session_id, ${setTimestampSql} AS set_timestamp
        FROM session_sets ss
        JOIN sessions s ON s.id = ss.session_id
        WHERE s.user_id = ? AND ${setTimestampSql} >= ?${setRoutineFilterSql}
@@ -4155,10 +7764,9 @@ app.get('/api/stats/timeseries', requireAuth, (req, res) => {
     const target = bucketMap.get(bucketKey);
     if (!target) return;
 
-    const reps = Number(row.reps || 0);
     const weight = Number(row.weight || 0);
     target.sets += 1;
-    target.volume += reps * weight;
+    target.volume += resolveSetVolume(row);
     target.sessionIds.add(row.session_id);
     target.exerciseIds.add(row.exercise_id);
     if (Number.isFinite(weight)) {
@@ -4192,6 +7800,8 @@ app.get('/api/stats/timeseries', requireAuth, (req, res) => {
     bucket,
     windowDays,
     routineType: routineTypeFilter,
+    setType: setTypeFilter,
+    ...programFilter,
     points,
     summary: {
       totalSets,
@@ -4209,12 +7819,20 @@ app.get('/api/stats/progression', requireAuth, (req, res) => {
   }
   const windowDays = parseWindowDays(req.query.window, WINDOW_PATTERNS.medium);
   const routineTypeFilter = normalizeRoutineTypeFilter(req.query.routineType);
+  const setTypeFilter = normalizeSetTypeFilter(req.query.setType);
+  const setTypeFilterSql = buildSetTypeFilterSql(setTypeFilter);
+  const topSetTypeFilterSql = buildSetTypeFilterSql(setTypeFilter, 'top_set.set_type');
   const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString();
-  const sessionRoutineFilterSql = routineTypeFilter === 'all' ? '' : ' AND s.routine_type = ?';
-  const sessionRoutineFilterParams = routineTypeFilter === 'all' ? [] : [routineTypeFilter];
+  const programFilter = normalizeProgramStatsFilter(req.query);
+  const programFilterSql = buildProgramFilterSql(programFilter);
+  const sessionRoutineFilterSql = (routineTypeFilter === 'all' ? '' : ' AND s.routine_type = ?') + programFilterSql.sql;
+  const sessionRoutineFilterParams = [
+    ...(routineTypeFilter === 'all' ? [] : [routineTypeFilter]),
+    ...programFilterSql.params,
+  ];
 
   const exercise = db
-    .prepare('SELECT id, name FROM exercises WHERE id = ?')
+    .prepare('SELECT id, name, measurement_mode FROM exercises WHERE id = ?')
     .get(exerciseId);
   if (!exercise) {
     return res.status(404).json({ error: 'Exercise not found.' });
@@ -4225,27 +7843,125 @@ app.get('/api/stats/progression', requireAuth, (req, res) => {
       `SELECT s.id AS session_id, s.started_at,
               MAX(ss.weight) AS top_weight,
               MAX(ss.reps) AS top_reps,
-              MAX(ss.reps * ss.weight) AS top_volume
+              MAX(${buildSetVolumeSql()}) AS top_volume,
+              MAX(ss.time_seconds) AS top_time_seconds,
+              MAX(ss.distance_meters) AS top_distance_meters,
+              COUNT(ss.left_reps) AS unilateral_sets,
+              SUM(ss.left_reps) AS left_reps,
+              SUM(ss.right_reps) AS right_reps,
+              SUM(ss.left_reps * ss.left_weight) AS left_volume,
+              SUM(ss.right_reps * ss.right_weight) AS right_volume,
+              AVG(ss.rpe) AS avg_rpe,
+              MAX(ss.rpe) AS max_rpe,
+              (
+                SELECT top_set.rpe
+                FROM session_sets top_set
+                WHERE top_set.session_id = s.id AND top_set.exercise_id = ?${topSetTypeFilterSql.sql}
+                ORDER BY top_set.weight DESC, top_set.reps DESC, top_set.time_seconds DESC,
+                         top_set.distance_meters DESC, top_set.id ASC
+                LIMIT 1
+              ) AS top_weight_rpe
        FROM session_sets ss
        JOIN sessions s ON s.id = ss.session_id
-       WHERE s.user_id = ? AND ss.exercise_id = ? AND s.started_at >= ?${sessionRoutineFilterSql}
+       WHERE s.user_id = ? AND ss.exercise_id = ? AND s.started_at >= ?${sessionRoutineFilterSql}${setTypeFilterSql.sql}
        GROUP BY s.id
        ORDER BY s.started_at ASC`
     )
-    .all(req.session.userId, exerciseId, since, ...sessionRoutineFilterParams)
+    .all(
+      exerciseId,
+      ...topSetTypeFilterSql.params,
+      req.session.userId,
+      exerciseId,
+      since,
+      ...sessionRoutineFilterParams,
+      ...setTypeFilterSql.params
+    )
     .map((row) => ({
       sessionId: row.session_id,
       startedAt: row.started_at,
       topWeight: Number(row.top_weight || 0),
       topReps: Number(row.top_reps || 0),
       topVolume: Number(row.top_volume || 0),
+      topTimeSeconds: Number(row.top_time_seconds || 0),
+      topDistanceMeters: Number(row.top_distance_meters || 0),
+      topWeightRpe: row.top_weight_rpe === null ? null : Number(row.top_weight_rpe),
+      avgRpe: row.avg_rpe === null ? null : toFixedNumber(row.avg_rpe),
+      maxRpe: row.max_rpe === null ? null : Number(row.max_rpe),
+      asymmetry: Number(row.unilateral_sets) > 0
+        ? buildSideAsymmetry({
+          leftReps: Number(row.left_reps || 0),
+          rightReps: Number(row.right_reps || 0),
+          leftVolume: Number(row.left_volume || 0),
+          rightVolume: Number(row.right_volume || 0),
+        })
+        : null,
+    }));
+  const strengthSets = db
+    .prepare(
+      `SELECT ss.id, ss.session_id, ss.set_type, ss.reps, ss.weight, ss.completed_at, ss.created_at,
+              s.started_at AS session_started_at
+       FROM session_sets ss
+       JOIN sessions s ON s.id = ss.session_id
+       WHERE s.user_id = ? AND ss.exercise_id = ? AND s.started_at >= ?${sessionRoutineFilterSql}${setTypeFilterSql.sql}
+       ORDER BY s.started_at ASC, ss.id ASC`
+    )
+    .all(
+      req.session.userId,
+      exerciseId,
+      since,
+      ...sessionRoutineFilterParams,
+      ...setTypeFilterSql.params
+    )
+    .map((row) => ({
+      id: row.id,
+      sessionId: row.session_id,
+      sessionStartedAt: row.session_started_at,
+      setType: row.set_type || DEFAULT_SET_TYPE,
+      reps: row.reps,
+      weight: row.weight,
+      completedAt: row.completed_at,
+      createdAt: row.created_at,
     }));
+  const oneRepMax = buildProgressionOneRepMax(strengthSets, {
+    formula: req.query.formula,
+    targetReps: req.query.targetReps,
+  });
+  points.forEach((point) => {
+    point.estimatedOneRepMax = oneRepMax.bySessionId.get(point.sessionId) ?? null;
+  });
+  const asymmetryPoints = points.filter((point) => point.asymmetry);
+  const asymmetry = asymmetryPoints.length
+    ? buildSideAsymmetry(
+      asymmetryPoints.reduce(
+        (totals, point) => ({
+          leftReps: totals.leftReps + point.asymmetry.leftReps,
+          rightReps: totals.rightReps + point.asymmetry.rightReps,
+          leftVolume: totals.leftVolume + point.asymmetry.leftVolume,
+          rightVolume: totals.rightVolume + point.asymmetry.rightVolume,
+        }),
+        { leftReps: 0, rightReps: 0, leftVolume: 0, rightVolume: 0 }
+      )
+    )
+    : null;
 
   return res.json({
     routineType: routineTypeFilter,
-    exercise: { id: exercise.id, name: exercise.name },
+    setType: setTypeFilter,
+    ...programFilter,
+    exercise: {
+      id: exercise.id,
+      name: exercise.name,
+      measurementMode: exercise.measurement_mode || DEFAULT_MEASUREMENT_MODE,
+    },
     windowDays,
     points,
+    asymmetry,
+    oneRepMax: {
+      formula: oneRepMax.formula,
+      best: oneRepMax.best,
+      repMaxes: oneRepMax.repMaxes,
+      projection: oneRepMax.projection,
+    },
   });
 });
 
@@ -4253,19 +7969,27 @@ app.get('/api/stats/distribution', requireAuth, (req, res) => {
   const metric = normalizeText(req.query.metric).toLowerCase() === 'frequency' ? 'frequency' : 'volume';
   const windowDays = parseWindowDays(req.query.window, WINDOW_PATTERNS.short);
   const routineTypeFilter = normalizeRoutineTypeFilter(req.query.routineType);
+  const setTypeFilter = normalizeSetTypeFilter(req.query.setType);
+  const setTypeFilterSql = buildSetTypeFilterSql(setTypeFilter);
   const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString();
-  const sessionRoutineFilterSql = routineTypeFilter === 'all' ? '' : ' AND s.routine_type = ?';
-  const sessionRoutineFilterParams = routineTypeFilter === 'all' ? [] : [routineTypeFilter];
+  const programFilter = normalizeProgramStatsFilter(req.query);
+  const programFilterSql = buildProgramFilterSql(programFilter);
+  const sessionRoutineFilterSql = (routineTypeFilter === 'all' ? '' : ' AND s.routine_type = ?') + programFilterSql.sql;
+  const sessionRoutineFilterParams = [
+    ...(routineTypeFilter === 'all' ? [] : [routineTypeFilter]),
+    ...programFilterSql.params,
+  ];
 
   const rawRows = db
     .prepare(
-      `SELECT ss.reps, ss.weight, e.primary_muscles_json
+      `SELECT ss.reps, ss.weight, ss.left_reps, ss.left_weight, ss.right_reps, ss.right_weight,
+              e.primary_muscles_json
        FROM session_sets ss
        JOIN sessions s ON s.id = ss.session_id
        JOIN exercises e ON e.id = ss.exercise_id
-       WHERE s.user_id = ? AND s.started_at >= ?${sessionRoutineFilterSql}`
+       WHERE s.user_id = ? AND s.started_at >= ?${sessionRoutineFilterSql}${setTypeFilterSql.sql}`
     )
-    .all(req.session.userId, since, ...sessionRoutineFilterParams);
+    .all(req.session.userId, since, ...sessionRoutineFilterParams, ...setTypeFilterSql.params);
 
   const bucketMap = new Map();
   rawRows.forEach((row) => {
@@ -4275,7 +7999,7 @@ app.get('/api/stats/distribution', requireAuth, (req, res) => {
     }
     const target = bucketMap.get(bucket);
     target.setCount += 1;
-    target.volume += Number(row.reps || 0) * Number(row.weight || 0);
+    target.volume += resolveSetVolume(row);
   });
   const rows = Array.from(bucketMap.values())
     .map((row) => ({
@@ -4290,7 +8014,15 @@ app.get('/api/stats/distribution', requireAuth, (req, res) => {
     share: total > 0 ? row.value / total : 0,
   }));
 
-  return res.json({ routineType: routineTypeFilter, metric, windowDays, total, rows: distribution });
+  return res.json({
+    routineType: routineTypeFilter,
+    setType: setTypeFilter,
+    ...programFilter,
+    metric,
+    windowDays,
+    total,
+    rows: distribution,
+  });
 });
 
 app.get('/api/stats/distribution/drilldown', requireAuth, (req, res) => {
@@ -4301,19 +8033,27 @@ app.get('/api/stats/distribution/drilldown', requireAuth, (req, res) => {
   const metric = normalizeText(req.query.metric).toLowerCase() === 'frequency' ? 'frequency' : 'volume';
   const windowDays = parseWindowDays(req.query.window, WINDOW_PATTERNS.short);
   const routineTypeFilter = normalizeRoutineTypeFilter(req.query.routineType);
+  const setTypeFilter = normalizeSetTypeFilter(req.query.setType);
+  const setTypeFilterSql = buildSetTypeFilterSql(setTypeFilter);
   const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString();
-  const sessionRoutineFilterSql = routineTypeFilter === 'all' ? '' : ' AND s.routine_type = ?';
-  const sessionRoutineFilterParams = routineTypeFilter === 'all' ? [] : [routineTypeFilter];
+  const programFilter = normalizeProgramStatsFilter(req.query);
+  const programFilterSql = buildProgramFilterSql(programFilter);
+  const sessionRoutineFilterSql = (routineTypeFilter === 'all' ? '' : ' AND s.routine_type = ?') + programFilterSql.sql;
+  const sessionRoutineFilterParams = [
+    ...(routineTypeFilter === 'all' ? [] : [routineTypeFilter]),
+    ...programFilterSql.params,
+  ];
 
   const rawRows = db
     .prepare(
-      `SELECT ss.exercise_id, ss.reps, ss.weight, e.name, e.primary_muscles_json
+      `SELECT ss.exercise_id, ss.reps, ss.weight, ss.left_reps, ss.left_weight, ss.right_reps, ss.right_weight,
+              e.name, e.primary_muscles_json
        FROM session_sets ss
        JOIN sessions s ON s.id = ss.session_id
        JOIN exercises e ON e.id = ss.exercise_id
-       WHERE s.user_id = ? AND s.started_at >= ?${sessionRoutineFilterSql}`
+       WHERE s.user_id = ? AND s.started_at >= ?${sessionRoutineFilterSql}${setTypeFilterSql.sql}`
     )
-    .all(req.session.userId, since, ...sessionRoutineFilterParams);
+    .all(req.session.userId, since, ...sessionRoutineFilterParams, ...setTypeFilterSql.params);
 
   const rowsByExercise = new Map();
   rawRows.forEach((row) => {
@@ -4327,18 +8067,27 @@ app.get('/api/stats/distribution/drilldown', requireAuth, (req, res) => {
         name: String(row.name || 'Exercise'),
         setCount: 0,
         volume: 0,
+        sides: null,
       });
     }
 
     const target = rowsByExercise.get(exerciseId);
     target.setCount += 1;
-    target.volume += Number(row.reps || 0) * Number(row.weight || 0);
+    target.volume += resolveSetVolume(row);
+    if (row.left_reps !== null) {
+      target.sides = target.sides || { leftReps: 0, rightReps: 0, leftVolume: 0, rightVolume: 0 };
+      target.sides.leftReps += Number(row.left_reps || 0);
+      target.sides.rightReps += Number(row.right_reps || 0);
+      target.sides.leftVolume += Number(row.left_reps || 0) * Number(row.left_weight || 0);
+      target.sides.rightVolume += Number(row.right_reps || 0) * Number(row.right_weight || 0);
+    }
   });
 
   const rows = Array.from(rowsByExercise.values())
-    .map((row) => ({
+    .map(({ sides, ...row }) => ({
       ...row,
       value: metric === 'frequency' ? row.setCount : row.volume,
+      asymmetry: sides ? buildSideAsymmetry(sides) : null,
     }))
     .sort((a, b) => {
       const diff = Number(b.value || 0) - Number(a.value || 0);
@@ -4352,6 +8101,8 @@ app.get('/api/stats/distribution/drilldown', requireAuth, (req, res) => {
 
   return res.json({
     routineType: routineTypeFilter,
+    setType: setTypeFilter,
+    ...programFilter,
     metric,
     muscle,
     windowDays,
@@ -4520,12 +8271,16 @@ function buildRoutineSignaturePayload(
       position: Number.isFinite(item.position) ? Number(item.position) : 0,
       targetSets: item.targetSets ?? null,
       targetReps: item.targetReps ?? null,
+      targetTimeSeconds: item.targetTimeSeconds ?? null,
+      targetDistanceMeters: item.targetDistanceMeters ?? null,
       setTargets: item.setTargets || [],
       targetRestSeconds: item.targetRestSeconds ?? 0,
       targetWeight: item.targetWeight ?? null,
       targetBandLabel: normalizeText(item.targetBandLabel) || null,
       notes: normalizeText(item.notes) || null,
       supersetGroup: normalizeText(item.supersetGroup) || null,
+      unilateral: Boolean(item.unilateral),
+      progressionRule: item.progressionRule || null,
     })),
   };
 }
@@ -4556,13 +8311,24 @@ function buildSessionSignaturePayload(
     const mappedExerciseId = resolveImportMappedId(set?.exerciseId, exerciseIdMap);
     if (!mappedExerciseId) return;
     const completedAt = normalizeText(set?.completedAt) || normalizeText(set?.createdAt) || null;
+    const timeSeconds = parseSetTimeSecondsValue(set?.timeSeconds).timeSeconds;
+    const distanceMeters = parseSetDistanceMetersValue(set?.distanceMeters).distanceMeters;
+    const hasAlternateMetric = timeSeconds !== null || distanceMeters !== null;
     normalizedSets.push({
       exerciseId: mappedExerciseId,
       routineExerciseId: resolveMappedRoutineExerciseId(set?.routineExerciseId),
       setIndex: Number(set?.setIndex) || 1,
-      reps: normalizeNumber(set?.reps) || 0,
+      setType: parseSetTypeValue(set?.setType).setType || DEFAULT_SET_TYPE,
+      reps: hasAlternateMetric ? normalizeNumber(set?.reps) : normalizeNumber(set?.reps) || 0,
       weight: normalizeNumber(set?.weight) || 0,
+      timeSeconds,
+      distanceMeters,
+      rpe: parseSetRpeValue(set?.rpe).rpe,
       bandLabel: normalizeText(set?.bandLabel) || null,
+      leftReps: normalizeNumber(set?.leftReps),
+      leftWeight: normalizeNumber(set?.leftWeight),
+      rightReps: normalizeNumber(set?.rightReps),
+      rightWeight: normalizeNumber(set?.rightWeight),
       startedAt: normalizeText(set?.startedAt) || null,
       completedAt,
       createdAt: completedAt,
@@ -4575,9 +8341,17 @@ function buildSessionSignaturePayload(
       compareImportSignatureValues(left.exerciseId, right.exerciseId),
       compareImportSignatureValues(left.routineExerciseId, right.routineExerciseId),
       compareImportSignatureValues(left.setIndex, right.setIndex),
+      compareImportSignatureValues(left.setType, right.setType),
       compareImportSignatureValues(left.reps, right.reps),
       compareImportSignatureValues(left.weight, right.weight),
+      compareImportSignatureValues(left.timeSeconds, right.timeSeconds),
+      compareImportSignatureValues(left.distanceMeters, right.distanceMeters),
+      compareImportSignatureValues(left.rpe, right.rpe),
       compareImportSignatureValues(left.bandLabel, right.bandLabel),
+      compareImportSignatureValues(left.leftReps, right.leftReps),
+      compareImportSignatureValues(left.leftWeight, right.leftWeight),
+      compareImportSignatureValues(left.rightReps, right.rightReps),
+      compareImportSignatureValues(left.rightWeight, right.rightWeight),
       compareImportSignatureValues(left.startedAt, right.startedAt),
       compareImportSignatureValues(left.completedAt, right.completedAt),
     ];
@@ -4611,6 +8385,8 @@ function buildSessionSignaturePayload(
       targetBandLabel: normalizeText(entry?.targetBandLabel) || null,
       notes: normalizeText(entry?.notes) || null,
       supersetGroup: normalizeText(entry?.supersetGroup) || null,
+      unilateral: entry?.unilateral === true,
+      originalExerciseId: resolveImportMappedId(entry?.originalExerciseId, exerciseIdMap),
     });
   });
 
@@ -4684,7 +8460,9 @@ function buildExistingImportSignatureIndexes(userId) {
     const placeholders = sessionIds.map(() => '?').join(',');
     const setRows = db
       .prepare(
-        `SELECT session_id, exercise_id, routine_exercise_id, set_index, reps, weight, band_label, started_at, completed_at, created_at
+        `SELECT session_id, exercise_id, routine_exercise_id, set_index, set_type, reps, weight, time_seconds, distance_meters,
+                rpe, band_label, left_reps, left_weight, right_reps, right_weight,
+                started_at, completed_at, created_at
          FROM session_sets
          WHERE session_id IN (${placeholders})`
       )
@@ -4697,9 +8475,14 @@ function buildExistingImportSignatureIndexes(userId) {
         exerciseId: row.exercise_id,
         routineExerciseId: normalizeNumber(row.routine_exercise_id),
         setIndex: row.set_index,
+        setType: row.set_type,
         reps: row.reps,
         weight: row.weight,
+        timeSeconds: row.time_seconds,
+        distanceMeters: row.distance_meters,
+        rpe: row.rpe,
         bandLabel: row.band_label,
+        ...mapSetSideColumns(row),
         startedAt: row.started_at,
         completedAt: row.completed_at,
         createdAt: row.created_at,
@@ -4711,7 +8494,7 @@ function buildExistingImportSignatureIndexes(userId) {
         `SELECT session_id, exercise_id, routine_exercise_id, position, status, started_at, completed_at, created_at, updated_at,
                 snapshot_name, snapshot_equipment, snapshot_target_sets, snapshot_target_reps,
                 snapshot_target_rest_seconds, snapshot_target_weight, snapshot_target_band_label,
-                snapshot_notes, snapshot_superset_group
+                snapshot_notes, snapshot_superset_group, snapshot_unilateral, original_exercise_id
          FROM session_exercise_progress
          WHERE session_id IN (${placeholders})`
       )
@@ -4738,6 +8521,8 @@ function buildExistingImportSignatureIndexes(userId) {
         targetBandLabel: row.snapshot_target_band_label,
         notes: row.snapshot_notes,
         supersetGroup: row.snapshot_superset_group,
+        unilateral: Boolean(row.snapshot_unilateral),
+        originalExerciseId: normalizeNumber(row.original_exercise_id),
       });
     });
   }
@@ -4787,8 +8572,8 @@ function buildExistingImportSignatureIndexes(userId) {
 function validateImportPayload(userId, payload) {
   const errors = [];
   const warnings = [];
-  const expectedVersion = 10;
-  const supportedVersions = new Set([3, 4, 5, 6, 7, 8, 9, 10]);
+  const expectedVersion = 14;
+  const supportedVersions = new Set([3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14]);
 
   if (!payload || typeof payload !== 'object') {
     return {
@@ -4982,7 +8767,7 @@ function buildExport(userId) {
   const exercises = db
     .prepare(
       `SELECT id, fork_id, name, force, level, mechanic, equipment, primary_muscles_json, secondary_muscles_json, instructions_json, category, images_json,
-              notes, merged_into_id, merged_at, archived_at, created_at, updated_at
+              notes, measurement_mode, merged_into_id, merged_at, archived_at, created_at, updated_at
        FROM exercises`
     )
     .all();
@@ -5002,7 +8787,9 @@ function buildExport(userId) {
   const sets = sessionIds.length
     ? db
         .prepare(
-          `SELECT id, session_id, exercise_id, routine_exercise_id, set_index, reps, weight, band_label, started_at, completed_at, created_at
+          `SELECT id, session_id, exercise_id, routine_exercise_id, set_index, set_type, reps, weight, time_seconds, distance_meters,
+                  rpe, band_label, left_reps, left_weight, right_reps, right_weight,
+                  started_at, completed_at, created_at
            FROM session_sets
            WHERE session_id IN (${sessionIds.map(() => '?').join(',')})`
         )
@@ -5014,7 +8801,7 @@ function buildExport(userId) {
           `SELECT session_id, exercise_id, routine_exercise_id, position, status, started_at, completed_at, created_at, updated_at,
                   snapshot_name, snapshot_equipment, snapshot_target_sets, snapshot_target_reps,
                   snapshot_target_rest_seconds, snapshot_target_weight, snapshot_target_band_label,
-                  snapshot_notes, snapshot_superset_group
+                  snapshot_notes, snapshot_superset_group, snapshot_unilateral, original_exercise_id
            FROM session_exercise_progress
            WHERE session_id IN (${sessionIds.map(() => '?').join(',')})
            ORDER BY position ASC`
@@ -5022,6 +8809,8 @@ function buildExport(userId) {
         .all(...sessionIds)
     : [];
 
+  const pausesBySession = listSessionPausesBySession(sessionIds);
+
   const weights = db
     .prepare(
       `SELECT id, weight, measured_at, notes
@@ -5031,7 +8820,7 @@ function buildExport(userId) {
     .all(userId);
 
   return {
-    version: 10,
+    version: 14,
     exportedAt: nowIso(),
     user: user ? { username: user.username, createdAt: user.created_at } : null,
     exercises: exercises.map((exercise) => ({
@@ -5048,6 +8837,7 @@ function buildExport(userId) {
       category: exercise.category,
       images: parseJsonArray(exercise.images_json),
       notes: exercise.notes,
+      measurementMode: exercise.measurement_mode || DEFAULT_MEASUREMENT_MODE,
       mergedIntoId: exercise.merged_into_id,
       mergedAt: exercise.merged_at,
       archivedAt: exercise.archived_at,
@@ -5093,6 +8883,8 @@ function buildExport(userId) {
           targetBandLabel: progress.snapshot_target_band_label,
           notes: progress.snapshot_notes,
           supersetGroup: progress.snapshot_superset_group,
+          unilateral: Boolean(progress.snapshot_unilateral),
+          originalExerciseId: normalizeNumber(progress.original_exercise_id),
         })),
       sets: sets
         .filter((set) => set.session_id === session.id)
@@ -5101,13 +8893,19 @@ function buildExport(userId) {
           exerciseId: set.exercise_id,
           routineExerciseId: normalizeNumber(set.routine_exercise_id),
           setIndex: set.set_index,
+          setType: set.set_type || DEFAULT_SET_TYPE,
           reps: set.reps,
           weight: set.weight,
+          timeSeconds: set.time_seconds ?? null,
+          distanceMeters: set.distance_meters ?? null,
+          rpe: set.rpe ?? null,
           bandLabel: set.band_label,
+          ...mapSetSideColumns(set),
           startedAt: set.started_at,
           completedAt: set.completed_at,
           createdAt: set.created_at,
         })),
+      pauses: pausesBySession.get(session.id) || [],
     })),
     weights: weights.map((entry) => ({
       id: entry.id,
@@ -5234,6 +9032,7 @@ async function importPayload(userId, payload) {
   const routineIdMap = new Map();
   const routineExerciseIdMapsByRoutineId = new Map();
   const sessionIdMap = new Map();
+  const importedSetExerciseIds = new Set();
   const importedCount = {
     exercises: 0,
     routines: 0,
@@ -5249,8 +9048,8 @@ async function importPayload(userId, payload) {
 
   const insertExercise = db.prepare(
     `INSERT INTO exercises
-     (fork_id, name, force, level, mechanic, equipment, primary_muscles_json, secondary_muscles_json, instructions_json, category, images_json, notes, merged_into_id, merged_at, archived_at, created_at, updated_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+     (fork_id, name, force, level, mechanic, equipment, primary_muscles_json, secondary_muscles_json, instructions_json, category, images_json, notes, measurement_mode, merged_into_id, merged_at, archived_at, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
   );
   const insertRoutine = db.prepare(
     `INSERT INTO routines (user_id, name, notes, routine_type, created_at, updated_at)
@@ -5258,8 +9057,9 @@ async function importPayload(userId, payload) {
   );
   const insertRoutineExercise = db.prepare(
     `INSERT INTO routine_exercises
-     (routine_id, exercise_id, equipment, position, target_sets, target_reps, target_rest_seconds, target_weight, target_band_label, notes, superset_group)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+     (routine_id, exercise_id, equipment, position, target_sets, target_reps, target_rest_seconds, target_weight, target_band_label, notes, superset_group, unilateral,
+      progression_rule_json)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
   );
   const insertSession = db.prepare(
     `INSERT INTO sessions (user_id, routine_id, routine_type, name, started_at, ended_at, notes, warmup_started_at, warmup_completed_at)
@@ -5267,21 +9067,26 @@ async function importPayload(userId, payload) {
   );
   const insertSet = db.prepare(
     `INSERT INTO session_sets
-     (session_id, exercise_id, routine_exercise_id, set_index, reps, weight, band_label, started_at, completed_at, created_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+     (session_id, exercise_id, routine_exercise_id, set_index, set_type, reps, weight, time_seconds, distance_meters, rpe, band_label,
+      left_reps, left_weight, right_reps, right_weight, started_at, completed_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
   );
   const insertSessionSetTarget = db.prepare(
     `INSERT OR IGNORE INTO session_exercise_set_targets
-     (session_id, exercise_id, routine_exercise_id, set_index, target_reps, created_at)
-     VALUES (?, ?, ?, ?, ?, ?)`
+     (session_id, exercise_id, routine_exercise_id, set_index, target_reps, target_time_seconds, target_distance_meters, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
   );
   const insertExerciseProgress = db.prepare(
     `INSERT INTO session_exercise_progress
      (session_id, exercise_id, routine_exercise_id, position, status, started_at, completed_at,
       created_at, updated_at, snapshot_name, snapshot_equipment, snapshot_target_sets,
       snapshot_target_reps, snapshot_target_rest_seconds, snapshot_target_weight,
-      snapshot_target_band_label, snapshot_notes, snapshot_superset_group)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      snapshot_target_band_label, snapshot_notes, snapshot_superset_group, snapshot_unilateral, original_exercise_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  const insertSessionPause = db.prepare(
+    `INSERT INTO session_pauses (session_id, paused_at, resumed_at, created_at)
+     VALUES (?, ?, ?, ?)`
   );
   const insertWeight = db.prepare(
     `INSERT INTO bodyweight_entries (user_id, weight, measured_at, notes)
@@ -5370,6 +9175,9 @@ async function importPayload(userId, payload) {
           category: exercise.category || 'strength',
           images: exercise.images || [],
           notes: exercise.notes,
+          measurementMode: MEASUREMENT_MODE_VALUES.has(exercise.measurementMode)
+            ? exercise.measurementMode
+            : DEFAULT_MEASUREMENT_MODE,
         },
         { requirePrimary: false }
       ).exercise;
@@ -5391,6 +9199,7 @@ async function importPayload(userId, payload) {
           normalizedExercise.category,
           stringifyJsonArray(normalizedExercise.images),
           normalizeText(normalizedExercise.notes) || null,
+          normalizedExercise.measurementMode,
           null,
           null,
           exercise.archivedAt || null,
@@ -5446,10 +9255,13 @@ async function importPayload(userId, payload) {
           item.targetWeight,
           item.targetBandLabel,
           item.notes,
-          item.supersetGroup
+          item.supersetGroup,
+          item.unilateral ? 1 : 0,
+          serializeProgressionRule(item.progressionRule)
         );
         replaceRoutineExerciseSetTargets(Number(insertResult.lastInsertRowid), item.setTargets, nowIso());
       });
+      recordRoutineVersion(routineId, 'imported');
       const routineExerciseIdMap = buildRoutineExerciseIdMapForRoutine(routine, routineId);
       setImportMapping(routineExerciseIdMapsByRoutineId, routine?.id, routineExerciseIdMap);
     });
@@ -5486,14 +9298,23 @@ async function importPayload(userId, payload) {
 
       signaturePayload.sets.forEach((set) => {
         const completedAt = set.completedAt || nowIso();
+        importedSetExerciseIds.add(set.exerciseId);
         insertSet.run(
           sessionId,
           set.exerciseId,
           set.routineExerciseId,
           set.setIndex,
+          set.setType,
           set.reps,
           set.weight,
+          set.timeSeconds,
+          set.distanceMeters,
+          set.rpe,
           set.bandLabel,
+          set.leftReps,
+          set.leftWeight,
+          set.rightReps,
+          set.rightWeight,
           set.startedAt,
           completedAt,
           completedAt
@@ -5521,7 +9342,9 @@ async function importPayload(userId, payload) {
           progress.targetWeight,
           progress.targetBandLabel,
           progress.notes,
-          progress.supersetGroup
+          progress.supersetGroup,
+          progress.unilateral ? 1 : 0,
+          progress.originalExerciseId
         );
         const targetSets = normalizeNumber(progress.targetSets);
         const targetReps = normalizeNumber(progress.targetReps);
@@ -5533,11 +9356,24 @@ async function importPayload(userId, payload) {
               progress.routineExerciseId,
               setIndex,
               targetReps,
+              null,
+              null,
               createdAt
             );
           }
         }
       });
+
+      (Array.isArray(session?.pauses) ? session.pauses : []).forEach((pause) => {
+        const pausedAt = normalizeText(pause?.pausedAt);
+        if (!pausedAt || !Number.isFinite(new Date(pausedAt).getTime())) return;
+        insertSessionPause.run(
+          sessionId,
+          pausedAt,
+          normalizeText(pause?.resumedAt) || signaturePayload.endedAt || null,
+          nowIso()
+        );
+      });
     });
 
     weights.forEach((entry) => {
@@ -5554,6 +9390,7 @@ async function importPayload(userId, payload) {
       importedCount.weights += 1;
     });
 
+    recomputePersonalRecordsForUser(userId, [...importedSetExerciseIds]);
     db.exec('COMMIT;');
   } catch (error) {
     db.exec('ROLLBACK;');
@@ -5587,6 +9424,13 @@ function startServer() {
       ...automaticExportConfig,
     });
   }
+  if (!sessionAutoCloseHandle) {
+    sessionAutoCloseHandle = startSessionAutoClose({
+      db,
+      ...resolveSessionAutoCloseConfig(),
+      onSessionClosed: runSessionCompletionHooks,
+    });
+  }
 
   app.listen(port, host, () => {
     const displayHost = host === '0.0.0.0' ? 'localhost' : host;
@@ -5599,9 +9443,10 @@ if (process.env.NODE_ENV !== 'test') {
     await maybeSeedDevData();
     ensureDefaultExercises();
     backfillExerciseMetadataFromLibrary();
+    backfillPersonalRecords();
     startServer();
   };
   start();
 }
 
-export { app, startServer };
+export { app, runSessionCompletionHooks, startServer };
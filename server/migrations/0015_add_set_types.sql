@@ -0,0 +1,11 @@
+-- migrate:up
+ALTER TABLE session_sets ADD COLUMN set_type TEXT NOT NULL DEFAULT 'working';
+ALTER TABLE routine_exercise_set_targets ADD COLUMN set_type TEXT NOT NULL DEFAULT 'working';
+ALTER TABLE session_exercise_set_targets ADD COLUMN set_type TEXT NOT NULL DEFAULT 'working';
+
+CREATE INDEX IF NOT EXISTS idx_session_sets_set_type
+ON session_sets(set_type);
+
+-- migrate:down
+-- SQLite migrations keep this as a no-op to avoid unsafe table rebuilds.
+SELECT 1;
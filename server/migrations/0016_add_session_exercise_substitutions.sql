@@ -0,0 +1,7 @@
+-- migrate:up
+ALTER TABLE session_exercise_progress ADD COLUMN original_exercise_id INTEGER REFERENCES exercises(id) ON DELETE SET NULL;
+ALTER TABLE session_exercise_progress ADD COLUMN substituted_at TEXT;
+
+-- migrate:down
+-- SQLite migrations keep this as a no-op to avoid unsafe table rebuilds.
+SELECT 1;
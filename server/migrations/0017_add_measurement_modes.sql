@@ -0,0 +1,176 @@
+-- migrate:up
+ALTER TABLE exercises ADD COLUMN measurement_mode TEXT NOT NULL DEFAULT 'reps_weight';
+
+CREATE TABLE IF NOT EXISTS session_sets_next (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id INTEGER NOT NULL,
+  exercise_id INTEGER NOT NULL,
+  set_index INTEGER NOT NULL,
+  reps INTEGER,
+  weight REAL NOT NULL,
+  time_seconds INTEGER,
+  distance_meters REAL,
+  rpe REAL,
+  created_at TEXT NOT NULL,
+  band_label TEXT,
+  started_at TEXT,
+  completed_at TEXT,
+  routine_exercise_id INTEGER,
+  set_type TEXT NOT NULL DEFAULT 'working',
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (exercise_id) REFERENCES exercises(id) ON DELETE CASCADE
+);
+
+INSERT INTO session_sets_next (
+  id,
+  session_id,
+  exercise_id,
+  set_index,
+  reps,
+  weight,
+  time_seconds,
+  distance_meters,
+  rpe,
+  created_at,
+  band_label,
+  started_at,
+  completed_at,
+  routine_exercise_id,
+  set_type
+)
+SELECT
+  id,
+  session_id,
+  exercise_id,
+  set_index,
+  reps,
+  weight,
+  NULL,
+  NULL,
+  rpe,
+  created_at,
+  band_label,
+  started_at,
+  completed_at,
+  routine_exercise_id,
+  set_type
+FROM session_sets;
+
+DROP TABLE session_sets;
+ALTER TABLE session_sets_next RENAME TO session_sets;
+
+CREATE INDEX IF NOT EXISTS idx_session_sets_session_id
+ON session_sets(session_id);
+
+CREATE INDEX IF NOT EXISTS idx_session_sets_exercise_id
+ON session_sets(exercise_id);
+
+CREATE INDEX IF NOT EXISTS idx_session_sets_session_routine_exercise
+ON session_sets(session_id, routine_exercise_id);
+
+CREATE INDEX IF NOT EXISTS idx_session_sets_session_exercise
+ON session_sets(session_id, exercise_id);
+
+CREATE INDEX IF NOT EXISTS idx_session_sets_set_type
+ON session_sets(set_type);
+
+CREATE TABLE IF NOT EXISTS routine_exercise_set_targets_next (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  routine_exercise_id INTEGER NOT NULL,
+  set_index INTEGER NOT NULL,
+  target_reps INTEGER,
+  target_time_seconds INTEGER,
+  target_distance_meters REAL,
+  set_type TEXT NOT NULL DEFAULT 'working',
+  archived_at TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (routine_exercise_id) REFERENCES routine_exercises(id) ON DELETE CASCADE
+);
+
+INSERT INTO routine_exercise_set_targets_next (
+  id,
+  routine_exercise_id,
+  set_index,
+  target_reps,
+  target_time_seconds,
+  target_distance_meters,
+  set_type,
+  archived_at,
+  created_at,
+  updated_at
+)
+SELECT
+  id,
+  routine_exercise_id,
+  set_index,
+  target_reps,
+  NULL,
+  NULL,
+  set_type,
+  archived_at,
+  created_at,
+  updated_at
+FROM routine_exercise_set_targets;
+
+DROP TABLE routine_exercise_set_targets;
+ALTER TABLE routine_exercise_set_targets_next RENAME TO routine_exercise_set_targets;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_routine_exercise_set_targets_active
+ON routine_exercise_set_targets(routine_exercise_id, set_index)
+WHERE archived_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS session_exercise_set_targets_next (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id INTEGER NOT NULL,
+  exercise_id INTEGER NOT NULL,
+  routine_exercise_id INTEGER,
+  set_index INTEGER NOT NULL,
+  target_reps INTEGER,
+  target_time_seconds INTEGER,
+  target_distance_meters REAL,
+  set_type TEXT NOT NULL DEFAULT 'working',
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (exercise_id) REFERENCES exercises(id) ON DELETE CASCADE
+);
+
+INSERT INTO session_exercise_set_targets_next (
+  id,
+  session_id,
+  exercise_id,
+  routine_exercise_id,
+  set_index,
+  target_reps,
+  target_time_seconds,
+  target_distance_meters,
+  set_type,
+  created_at
+)
+SELECT
+  id,
+  session_id,
+  exercise_id,
+  routine_exercise_id,
+  set_index,
+  target_reps,
+  NULL,
+  NULL,
+  set_type,
+  created_at
+FROM session_exercise_set_targets;
+
+DROP TABLE session_exercise_set_targets;
+ALTER TABLE session_exercise_set_targets_next RENAME TO session_exercise_set_targets;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_session_exercise_set_targets_instance
+ON session_exercise_set_targets(session_id, routine_exercise_id, set_index)
+WHERE routine_exercise_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_session_exercise_set_targets_fallback
+ON session_exercise_set_targets(session_id, exercise_id, set_index)
+WHERE routine_exercise_id IS NULL;
+
+-- migrate:down
+-- SQLite migrations keep this as a no-op to avoid unsafe table rebuilds.
+SELECT 1;
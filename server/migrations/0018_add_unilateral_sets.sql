@@ -0,0 +1,11 @@
+-- migrate:up
+ALTER TABLE routine_exercises ADD COLUMN unilateral INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE session_exercise_progress ADD COLUMN snapshot_unilateral INTEGER;
+ALTER TABLE session_sets ADD COLUMN left_reps INTEGER;
+ALTER TABLE session_sets ADD COLUMN left_weight REAL;
+ALTER TABLE session_sets ADD COLUMN right_reps INTEGER;
+ALTER TABLE session_sets ADD COLUMN right_weight REAL;
+
+-- migrate:down
+-- SQLite migrations keep this as a no-op to avoid unsafe table rebuilds.
+SELECT 1;
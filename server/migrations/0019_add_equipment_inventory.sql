@@ -0,0 +1,14 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS user_equipment_inventory (
+  user_id INTEGER PRIMARY KEY,
+  bar_weights_json TEXT NOT NULL DEFAULT '[]',
+  plates_json TEXT NOT NULL DEFAULT '[]',
+  dumbbells_json TEXT NOT NULL DEFAULT '[]',
+  kettlebells_json TEXT NOT NULL DEFAULT '[]',
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- migrate:down
+-- SQLite migrations keep this as a no-op to avoid unsafe table rebuilds.
+SELECT 1;
@@ -0,0 +1,7 @@
+-- migrate:up
+ALTER TABLE sessions ADD COLUMN auto_closed_at TEXT;
+ALTER TABLE sessions ADD COLUMN auto_close_reviewed_at TEXT;
+
+-- migrate:down
+-- SQLite migrations keep this as a no-op to avoid unsafe table rebuilds.
+SELECT 1;
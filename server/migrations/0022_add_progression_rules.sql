@@ -0,0 +1,28 @@
+-- migrate:up
+ALTER TABLE routine_exercises ADD COLUMN progression_rule_json TEXT;
+
+CREATE TABLE IF NOT EXISTS session_progressions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id INTEGER NOT NULL,
+  routine_exercise_id INTEGER NOT NULL,
+  exercise_id INTEGER NOT NULL,
+  rule_type TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  status TEXT NOT NULL,
+  previous_target_weight REAL,
+  next_target_weight REAL,
+  previous_set_targets_json TEXT NOT NULL,
+  next_set_targets_json TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (routine_exercise_id) REFERENCES routine_exercises(id) ON DELETE CASCADE,
+  FOREIGN KEY (exercise_id) REFERENCES exercises(id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_session_progressions_slot
+ON session_progressions(session_id, routine_exercise_id);
+
+-- migrate:down
+-- SQLite migrations keep this as a no-op to avoid unsafe table rebuilds.
+SELECT 1;
@@ -0,0 +1,47 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS programs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  notes TEXT,
+  week_count INTEGER NOT NULL,
+  current_week INTEGER NOT NULL DEFAULT 1,
+  current_day INTEGER NOT NULL DEFAULT 1,
+  completed_at TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS program_weeks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  program_id INTEGER NOT NULL,
+  week_number INTEGER NOT NULL,
+  volume_percent INTEGER NOT NULL DEFAULT 100,
+  intensity_percent INTEGER NOT NULL DEFAULT 100,
+  is_deload INTEGER NOT NULL DEFAULT 0,
+  FOREIGN KEY (program_id) REFERENCES programs(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS program_days (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  program_id INTEGER NOT NULL,
+  day_number INTEGER NOT NULL,
+  routine_id INTEGER NOT NULL,
+  label TEXT,
+  FOREIGN KEY (program_id) REFERENCES programs(id) ON DELETE CASCADE,
+  FOREIGN KEY (routine_id) REFERENCES routines(id) ON DELETE CASCADE
+);
+
+ALTER TABLE sessions ADD COLUMN program_id INTEGER REFERENCES programs(id) ON DELETE SET NULL;
+ALTER TABLE sessions ADD COLUMN program_week INTEGER;
+ALTER TABLE sessions ADD COLUMN program_day INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_programs_user_id ON programs(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_program_weeks_number ON program_weeks(program_id, week_number);
+CREATE INDEX IF NOT EXISTS idx_program_days_program_id ON program_days(program_id, day_number);
+CREATE INDEX IF NOT EXISTS idx_sessions_program_id ON sessions(program_id, program_week);
+
+-- migrate:down
+-- SQLite migrations keep this as a no-op to avoid unsafe table rebuilds.
+SELECT 1;
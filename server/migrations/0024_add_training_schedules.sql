@@ -0,0 +1,24 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS training_schedules (
+  user_id INTEGER PRIMARY KEY,
+  mode TEXT NOT NULL DEFAULT 'weekdays',
+  interval_days INTEGER NOT NULL DEFAULT 2,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS training_schedule_slots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  position INTEGER NOT NULL,
+  weekday INTEGER,
+  routine_id INTEGER NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (routine_id) REFERENCES routines(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_training_schedule_slots_user_id ON training_schedule_slots(user_id, position);
+
+-- migrate:down
+-- SQLite migrations keep this as a no-op to avoid unsafe table rebuilds.
+SELECT 1;
@@ -0,0 +1,23 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS training_maxes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  exercise_id INTEGER NOT NULL,
+  weight REAL NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (exercise_id) REFERENCES exercises(id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_training_maxes_user_exercise ON training_maxes(user_id, exercise_id);
+
+ALTER TABLE routine_exercise_set_targets ADD COLUMN target_percent REAL;
+
+ALTER TABLE session_exercise_set_targets ADD COLUMN target_percent REAL;
+
+ALTER TABLE session_exercise_set_targets ADD COLUMN target_weight REAL;
+
+-- migrate:down
+-- SQLite migrations keep this as a no-op to avoid unsafe table rebuilds.
+SELECT 1;
@@ -0,0 +1,10 @@
+-- migrate:up
+ALTER TABLE routine_exercise_set_targets ADD COLUMN target_weight REAL;
+
+ALTER TABLE routine_exercise_set_targets ADD COLUMN target_band_label TEXT;
+
+ALTER TABLE session_exercise_set_targets ADD COLUMN target_band_label TEXT;
+
+-- migrate:down
+-- SQLite migrations keep this as a no-op to avoid unsafe table rebuilds.
+SELECT 1;
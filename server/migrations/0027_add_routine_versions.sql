@@ -0,0 +1,22 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS routine_versions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  routine_id INTEGER NOT NULL,
+  version_number INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  snapshot_json TEXT NOT NULL,
+  restored_from_version_id INTEGER,
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (routine_id) REFERENCES routines(id) ON DELETE CASCADE,
+  FOREIGN KEY (restored_from_version_id) REFERENCES routine_versions(id) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_routine_versions_number ON routine_versions(routine_id, version_number);
+
+ALTER TABLE sessions ADD COLUMN routine_version_id INTEGER REFERENCES routine_versions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_routine_version_id ON sessions(routine_version_id);
+
+-- migrate:down
+-- SQLite migrations keep this as a no-op to avoid unsafe table rebuilds.
+SELECT 1;
@@ -0,0 +1,12 @@
+-- migrate:up
+ALTER TABLE routines ADD COLUMN shared_at TEXT;
+ALTER TABLE routines ADD COLUMN origin_routine_id INTEGER REFERENCES routines(id) ON DELETE SET NULL;
+ALTER TABLE routines ADD COLUMN origin_version_id INTEGER REFERENCES routine_versions(id) ON DELETE SET NULL;
+ALTER TABLE routine_exercises ADD COLUMN origin_routine_exercise_id INTEGER REFERENCES routine_exercises(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_routines_shared_at ON routines(shared_at);
+CREATE INDEX IF NOT EXISTS idx_routines_origin_routine_id ON routines(origin_routine_id);
+
+-- migrate:down
+-- SQLite migrations keep this as a no-op to avoid unsafe table rebuilds.
+SELECT 1;
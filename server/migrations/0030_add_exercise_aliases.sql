@@ -0,0 +1,35 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS exercise_aliases (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  exercise_id INTEGER NOT NULL,
+  alias TEXT NOT NULL,
+  source TEXT NOT NULL DEFAULT 'user',
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (exercise_id) REFERENCES exercises(id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_exercise_aliases_exercise_alias
+  ON exercise_aliases(exercise_id, alias COLLATE NOCASE);
+
+-- Every merged exercise's name becomes an alias of the exercise it ended up in, following chains of
+-- merges to the exercise that is still in use.
+WITH RECURSIVE merge_chain(source_id, alias, merged_at, target_id) AS (
+  SELECT id, name, COALESCE(merged_at, updated_at), merged_into_id
+  FROM exercises
+  WHERE merged_into_id IS NOT NULL
+  UNION ALL
+  SELECT mc.source_id, mc.alias, mc.merged_at, e.merged_into_id
+  FROM merge_chain mc
+  JOIN exercises e ON e.id = mc.target_id
+  WHERE e.merged_into_id IS NOT NULL
+)
+INSERT OR IGNORE INTO exercise_aliases (exercise_id, alias, source, created_at)
+SELECT mc.target_id, mc.alias, 'merge', mc.merged_at
+FROM merge_chain mc
+JOIN exercises target ON target.id = mc.target_id
+WHERE target.merged_into_id IS NULL
+  AND LOWER(target.name) <> LOWER(mc.alias);
+
+-- migrate:down
+-- SQLite migrations keep this as a no-op to avoid unsafe table rebuilds.
+SELECT 1;
@@ -0,0 +1,242 @@
+import db from './db.js';
+import {
+  computePersonalRecordEvents,
+  computePersonalRecordEventsForNewSet,
+  summarizePersonalRecords,
+} from './personal-records.js';
+
+function mapPersonalRecordRow(row) {
+  return {
+    id: row.id,
+    exerciseId: row.exercise_id,
+    recordType: row.record_type,
+    weight: row.weight ?? null,
+    value: row.value,
+    previousValue: row.previous_value ?? null,
+    sessionId: row.session_id,
+    setId: row.set_id,
+    achievedAt: row.achieved_at,
+  };
+}
+
+function listPersonalRecordSets(userId, exerciseId, { sessionId = null } = {}) {
+  return db
+    .prepare(
+      `SELECT ss.id, ss.session_id, ss.set_type, ss.reps, ss.weight, ss.completed_at, ss.created_at,
+              s.started_at AS session_started_at
+       FROM session_sets ss
+       JOIN sessions s ON s.id = ss.session_id
+       WHERE s.user_id = ? AND ss.exercise_id = ? AND (? IS NULL OR ss.session_id = ?)
+       ORDER BY s.started_at ASC, s.id ASC, COALESCE(ss.completed_at, ss.created_at) ASC, ss.id ASC`
+    )
+    .all(userId, exerciseId, sessionId, sessionId)
+    .map((row) => ({
+      id: row.id,
+      sessionId: row.session_id,
+      sessionStartedAt: row.session_started_at,
+      setType: row.set_type || 'working',
+      reps: row.reps,
+      weight: row.weight,
+      completedAt: row.completed_at,
+      createdAt: row.created_at,
+    }));
+}
+
+function insertPersonalRecordEvents(userId, exerciseId, events, now = new Date().toISOString()) {
+  const insertRecord = db.prepare(
+    `INSERT INTO personal_records
+     (user_id, exercise_id, record_type, weight, value, previous_value, session_id, set_id, achieved_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  return events.map((event) => Number(insertRecord.run(
+    userId,
+    exerciseId,
+    event.recordType,
+    event.weight,
+    event.value,
+    event.previousValue,
+    event.sessionId,
+    event.setId,
+    event.achievedAt || now,
+    now
+  ).lastInsertRowid));
+}
+
+// Rebuilds an exercise's records from all of its sets, for changes that can move records around:
+// deleting or editing a record-holding set restores whichever record it had been hiding. Callers
+// own the transaction.
+function recomputePersonalRecordsForUser(userId, exerciseIds) {
+  const deleteRecords = db.prepare('DELETE FROM personal_records WHERE user_id = ? AND exercise_id = ?');
+  const now = new Date().toISOString();
+  const uniqueExerciseIds = new Set(
+    (exerciseIds || [])
+      .map((exerciseId) => Number(exerciseId))
+      .filter((exerciseId) => Number.isFinite(exerciseId) && exerciseId)
+  );
+  uniqueExerciseIds.forEach((exerciseId) => {
+    deleteRecords.run(userId, exerciseId);
+    insertPersonalRecordEvents(
+      userId,
+      exerciseId,
+      computePersonalRecordEvents(listPersonalRecordSets(userId, exerciseId)),
+      now
+    );
+  });
+}
+
+// Whether changing or removing the set can change any record: it holds one, or it counts towards a
+// session volume record.
+function setAffectsPersonalRecords(userId, setId) {
+  return Boolean(
+    db
+      .prepare(
+        `SELECT 1
+         FROM session_sets ss
+         JOIN personal_records pr ON pr.user_id = ? AND pr.exercise_id = ss.exercise_id
+         WHERE ss.id = ?
+           AND (pr.set_id = ss.id OR (pr.record_type = 'volume' AND pr.session_id = ss.session_id))
+         LIMIT 1`
+      )
+      .get(userId, setId)
+  );
+}
+
+// Checks a set logged after every other set of the exercise against the stored records and only
+// writes what it raised; a set that lands earlier in the history falls back to a rebuild. Returns
+// the records the set has just raised. Callers own the transaction.
+function recordPersonalRecordsForNewSet(userId, exerciseId, setId) {
+  const latest = db
+    .prepare(
+      `SELECT ss.id, ss.session_id
+       FROM session_sets ss
+       JOIN sessions s ON s.id = ss.session_id
+       WHERE s.user_id = ? AND ss.exercise_id = ?
+       ORDER BY s.started_at DESC, s.id DESC, COALESCE(ss.completed_at, ss.created_at) DESC, ss.id DESC
+       LIMIT 1`
+    )
+    .get(userId, exerciseId);
+  if (Number(latest?.id) !== setId) {
+    return refreshPersonalRecordsForSet(userId, exerciseId, setId);
+  }
+  const storedEvents = db
+    .prepare(
+      `SELECT id, exercise_id, record_type, weight, value, previous_value, session_id, set_id, achieved_at
+       FROM personal_records
+       WHERE user_id = ? AND exercise_id = ?
+       ORDER BY id ASC`
+    )
+    .all(userId, exerciseId)
+    .map(mapPersonalRecordRow);
+  const sessionSets = listPersonalRecordSets(userId, exerciseId, { sessionId: latest.session_id });
+  const set = sessionSets.find((item) => item.id === setId);
+  const { events, updates } = computePersonalRecordEventsForNewSet(storedEvents, sessionSets, set);
+  const now = new Date().toISOString();
+  const ids = insertPersonalRecordEvents(userId, exerciseId, events, now);
+  const updateRecord = db.prepare('UPDATE personal_records SET value = ?, set_id = ?, achieved_at = ? WHERE id = ?');
+  updates.forEach((event) => updateRecord.run(event.value, event.setId, event.achievedAt || now, event.id));
+  // Records taken over from an earlier set of the session were already celebrated there.
+  return events
+    .map((event, index) => ({ ...event, id: ids[index], exerciseId, achievedAt: event.achievedAt || now }))
+    .filter((event) => event.previousValue !== null);
+}
+
+function recomputePersonalRecordsForExercise(exerciseId) {
+  db.prepare(
+    `SELECT s.user_id
+     FROM session_sets ss
+     JOIN sessions s ON s.id = ss.session_id
+     WHERE ss.exercise_id = ?
+     UNION
+     SELECT user_id FROM personal_records WHERE exercise_id = ?`
+  )
+    .all(exerciseId, exerciseId)
+    .forEach((row) => recomputePersonalRecordsForUser(row.user_id, [exerciseId]));
+}
+
+// Returns the records this set has just raised. A session celebrates each kind of record once: a
+// record the set took over from another set of its session stays quiet, and so does one the set
+// already held when it is edited.
+function refreshPersonalRecordsForSet(userId, exerciseId, setId) {
+  const selectSessionRecords = db.prepare(
+    `SELECT pr.id, pr.exercise_id, pr.record_type, pr.weight, pr.value, pr.previous_value, pr.session_id,
+            pr.set_id, pr.achieved_at
+     FROM personal_records pr
+     JOIN session_sets ss ON ss.session_id = pr.session_id AND ss.exercise_id = pr.exercise_id
+     WHERE pr.user_id = ? AND ss.id = ? AND pr.previous_value IS NOT NULL
+     ORDER BY pr.id ASC`
+  );
+  const recordKey = (row) => `${row.record_type}:${row.weight ?? ''}`;
+  const signature = (row) => `${recordKey(row)}:${row.value}`;
+  const before = selectSessionRecords.all(userId, setId);
+  const heldBefore = new Set(before.filter((row) => row.set_id === setId).map(signature));
+  const celebratedBefore = new Set(before.filter((row) => row.set_id !== setId).map(recordKey));
+  recomputePersonalRecordsForUser(userId, [exerciseId]);
+  return selectSessionRecords
+    .all(userId, setId)
+    .filter((row) => (
+      row.set_id === setId && !heldBefore.has(signature(row)) && !celebratedBefore.has(recordKey(row))
+    ))
+    .map(mapPersonalRecordRow);
+}
+
+function listPersonalRecordsForUser(userId, { exerciseId = null } = {}) {
+  const rows = db
+    .prepare(
+      `SELECT pr.id, pr.exercise_id, pr.record_type, pr.weight, pr.value, pr.previous_value, pr.session_id,
+              pr.set_id, pr.achieved_at, e.name AS exercise_name
+       FROM personal_records pr
+       JOIN exercises e ON e.id = pr.exercise_id
+       WHERE pr.user_id = ? AND (? IS NULL OR pr.exercise_id = ?)
+       ORDER BY pr.exercise_id ASC, pr.id ASC`
+    )
+    .all(userId, exerciseId, exerciseId);
+  const eventsByExerciseId = new Map();
+  rows.forEach((row) => {
+    const events = eventsByExerciseId.get(row.exercise_id) || [];
+    events.push({
+      ...mapPersonalRecordRow(row),
+      exerciseName: row.exercise_name,
+    });
+    eventsByExerciseId.set(row.exercise_id, events);
+  });
+  const records = [...eventsByExerciseId.values()].flatMap((events) => summarizePersonalRecords(events));
+  if (!exerciseId) return { records };
+  return { records, history: eventsByExerciseId.get(exerciseId) || [] };
+}
+
+// Rebuilds records for anyone whose sets were logged before records existed (or came in through
+// the dev seed); exercises that already have records are left alone.
+function backfillPersonalRecords() {
+  const pairs = db
+    .prepare(
+      `SELECT DISTINCT s.user_id, ss.exercise_id
+       FROM session_sets ss
+       JOIN sessions s ON s.id = ss.session_id
+       WHERE ss.reps > 0
+         AND COALESCE(ss.set_type, 'working') != 'warmup'
+         AND NOT EXISTS (
+           SELECT 1 FROM personal_records pr
+           WHERE pr.user_id = s.user_id AND pr.exercise_id = ss.exercise_id
+         )`
+    )
+    .all();
+  if (!pairs.length) return;
+  db.exec('BEGIN IMMEDIATE;');
+  try {
+    pairs.forEach((pair) => recomputePersonalRecordsForUser(pair.user_id, [pair.exercise_id]));
+    db.exec('COMMIT;');
+  } catch (error) {
+    db.exec('ROLLBACK;');
+    throw error;
+  }
+}
+
+export {
+  backfillPersonalRecords,
+  listPersonalRecordsForUser,
+  recomputePersonalRecordsForExercise,
+  recomputePersonalRecordsForUser,
+  recordPersonalRecordsForNewSet,
+  refreshPersonalRecordsForSet,
+  setAffectsPersonalRecords,
+};
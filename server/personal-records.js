@@ -0,0 +1,334 @@
+const PERSONAL_RECORD_TYPES = ['weight', 'reps', 'e1rm', 'volume'];
+const ONE_REP_MAX_FORMULAS = ['epley', 'brzycki', 'lombardi'];
+const DEFAULT_ONE_REP_MAX_FORMULA = 'epley';
+// Rep-max formulas drift badly past a dozen reps, so longer sets never set an estimated 1RM.
+const E1RM_REPS_MAX = 12;
+const REP_MAX_TABLE_REPS = 15;
+const DEFAULT_PROJECTION_TARGET_REPS = 5;
+// Projected working weights are rounded to the nearest half kilogram.
+const PROJECTED_WEIGHT_STEP = 0.5;
+
+function roundRecordValue(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+function normalizeOneRepMaxFormula(value) {
+  const formula = String(value || '').trim().toLowerCase();
+  return ONE_REP_MAX_FORMULAS.includes(formula) ? formula : DEFAULT_ONE_REP_MAX_FORMULA;
+}
+
+// Ratio of the one-rep max to the weight lifted for `reps`.
+function resolveOneRepMaxRatio(reps, formula) {
+  if (formula === 'brzycki') return 36 / (37 - reps);
+  if (formula === 'lombardi') return reps ** 0.1;
+  return 1 + reps / 30;
+}
+
+// A single rep is its own one-rep max under every formula.
+function estimateOneRepMax(weight, reps, formula = DEFAULT_ONE_REP_MAX_FORMULA) {
+  const load = Number(weight);
+  const count = Number(reps);
+  if (
+    !Number.isFinite(load)
+    || load <= 0
+    || !Number.isInteger(count)
+    || count < 1
+    || count > E1RM_REPS_MAX
+  ) {
+    return null;
+  }
+  if (count === 1) return roundRecordValue(load);
+  return roundRecordValue(load * resolveOneRepMaxRatio(count, normalizeOneRepMaxFormula(formula)));
+}
+
+// The weight the formula expects for `reps` clean reps off a given one-rep max.
+function projectWeightForReps(oneRepMax, reps, formula = DEFAULT_ONE_REP_MAX_FORMULA) {
+  const max = Number(oneRepMax);
+  const count = Number(reps);
+  if (
+    !Number.isFinite(max)
+    || max <= 0
+    || !Number.isInteger(count)
+    || count < 1
+    || count > REP_MAX_TABLE_REPS
+  ) {
+    return null;
+  }
+  const weight = max / resolveOneRepMaxRatio(count, normalizeOneRepMaxFormula(formula));
+  return Math.round(weight / PROJECTED_WEIGHT_STEP) * PROJECTED_WEIGHT_STEP;
+}
+
+// Best weight moved for 1..15 reps. A set counts for every rep count up to its own, so 100 kg for
+// 8 also stands as the 5-rep max until something heavier is done for five or more.
+function buildRepMaxTable(sets) {
+  const table = Array.from({ length: REP_MAX_TABLE_REPS }, (_, index) => ({
+    reps: index + 1,
+    weight: null,
+    setReps: null,
+    sessionId: null,
+    achievedAt: null,
+  }));
+  (sets || []).forEach((set) => {
+    if (set.setType === 'warmup') return;
+    const reps = Number(set.reps);
+    const weight = roundRecordValue(Number(set.weight) || 0);
+    if (!Number.isInteger(reps) || reps < 1 || weight <= 0) return;
+    table.slice(0, Math.min(reps, REP_MAX_TABLE_REPS)).forEach((entry) => {
+      if (entry.weight !== null && weight <= entry.weight) return;
+      entry.weight = weight;
+      entry.setReps = reps;
+      entry.sessionId = set.sessionId;
+      entry.achievedAt = set.completedAt || set.createdAt || set.sessionStartedAt || null;
+    });
+  });
+  return table;
+}
+
+// Estimated 1RM per session, the best estimate in the window, the window's rep maxes and the
+// working weight the best estimate projects for the requested rep count.
+function buildProgressionOneRepMax(sets, { formula: rawFormula, targetReps: rawTargetReps } = {}) {
+  const formula = normalizeOneRepMaxFormula(rawFormula);
+  const parsedTargetReps = Number(rawTargetReps);
+  const targetReps = Number.isInteger(parsedTargetReps)
+    && parsedTargetReps >= 1
+    && parsedTargetReps <= REP_MAX_TABLE_REPS
+    ? parsedTargetReps
+    : DEFAULT_PROJECTION_TARGET_REPS;
+  const bySessionId = new Map();
+  let best = null;
+  sets.forEach((set) => {
+    if (set.setType === 'warmup') return;
+    const estimate = estimateOneRepMax(set.weight, set.reps, formula);
+    if (estimate === null) return;
+    if (!bySessionId.has(set.sessionId) || estimate > bySessionId.get(set.sessionId)) {
+      bySessionId.set(set.sessionId, estimate);
+    }
+    if (!best || estimate > best.value) {
+      best = {
+        value: estimate,
+        weight: Number(set.weight),
+        reps: Number(set.reps),
+        sessionId: set.sessionId,
+        startedAt: set.sessionStartedAt,
+      };
+    }
+  });
+  return {
+    formula,
+    bySessionId,
+    best,
+    repMaxes: buildRepMaxTable(sets),
+    projection: {
+      targetReps,
+      weight: best ? projectWeightForReps(best.value, targetReps, formula) : null,
+    },
+  };
+}
+
+// Reps and weight of a set that can count towards records, or null for warm-ups and empty sets.
+function resolveRecordSetLoad(set) {
+  if (set.setType === 'warmup') return null;
+  const reps = Number(set.reps);
+  if (!Number.isInteger(reps) || reps < 1) return null;
+  const weight = roundRecordValue(Number(set.weight) || 0);
+  if (weight < 0) return null;
+  return { reps, weight };
+}
+
+function resolveRecordAchievedAt(set) {
+  return set.completedAt || set.createdAt || set.sessionStartedAt || null;
+}
+
+function createRecordBests() {
+  return { repsByWeight: new Map(), weight: null, e1rm: null };
+}
+
+function resolveRecordKey(event) {
+  return event.recordType === 'reps' ? `reps:${roundRecordValue(event.weight)}` : event.recordType;
+}
+
+// Folds a record into the bests that later sessions have to beat.
+function raiseRecordBests(bests, event) {
+  const value = Number(event.value);
+  if (event.recordType === 'reps') {
+    const weight = roundRecordValue(event.weight);
+    bests.repsByWeight.set(weight, Math.max(bests.repsByWeight.get(weight) ?? value, value));
+  } else if (event.recordType === 'weight' || event.recordType === 'e1rm') {
+    bests[event.recordType] = Math.max(bests[event.recordType] ?? value, value);
+  }
+}
+
+// Checks one set against the bests from earlier sessions for every kind except session volume. A
+// session holds at most one record of each kind, on its best set: the first set to beat the old
+// best opens it through pushEvent, and a better set later in the session takes it over through
+// takeOverEvent, keeping the old best as previousValue.
+function checkSetLoadRecords(bests, sessionRecords, set, { reps, weight }, { pushEvent, takeOverEvent }) {
+  const check = (recordType, value, previousValue, recordWeight = null) => {
+    if (previousValue !== null && value <= previousValue) return;
+    const key = recordType === 'reps' ? `reps:${recordWeight}` : recordType;
+    const sessionEvent = sessionRecords.get(key);
+    if (!sessionEvent) {
+      sessionRecords.set(key, pushEvent(recordType, set, value, previousValue, recordWeight));
+    } else if (value > sessionEvent.value) {
+      takeOverEvent(sessionEvent, set, value);
+    }
+  };
+  check('reps', reps, bests.repsByWeight.get(weight) ?? null, weight);
+  if (weight === 0) return;
+  check('weight', weight, bests.weight);
+  const e1rm = estimateOneRepMax(weight, reps);
+  if (e1rm !== null) check('e1rm', e1rm, bests.e1rm);
+}
+
+function takeOverRecordEvent(event, set, value) {
+  Object.assign(event, { value, setId: set.id, achievedAt: resolveRecordAchievedAt(set) });
+}
+
+// Replays one exercise's sets in the order they were performed (sets of a session kept together)
+// and returns every time a record was raised. Sets only compete with earlier sessions, so each
+// session adds at most one record of each kind. The first value of each kind is recorded with a
+// null previousValue: it is a baseline, not something to celebrate. Warm-ups never count, and a
+// record has to beat the previous best outright; matching it is not a new record.
+function computePersonalRecordEvents(sets) {
+  const events = [];
+  const bests = createRecordBests();
+  let bestVolume = null;
+  let currentSession = null;
+
+  const pushEvent = (recordType, set, value, previousValue, weight = null) => {
+    const event = {
+      recordType,
+      weight,
+      value,
+      previousValue,
+      sessionId: set.sessionId,
+      setId: set.id,
+      achievedAt: resolveRecordAchievedAt(set),
+    };
+    events.push(event);
+    return event;
+  };
+
+  // Session volume is only known once the session's last set is in; the record belongs to the set
+  // that first pushed the running total past the old best.
+  const closeSession = () => {
+    if (!currentSession) return;
+    currentSession.records.forEach((event) => raiseRecordBests(bests, event));
+    if (currentSession.volume <= 0) return;
+    const volume = roundRecordValue(currentSession.volume);
+    if (currentSession.event) {
+      currentSession.event.value = volume;
+    }
+    if (bestVolume === null || volume > bestVolume) {
+      bestVolume = volume;
+    }
+  };
+
+  (sets || []).forEach((set) => {
+    if (!currentSession || currentSession.sessionId !== set.sessionId) {
+      closeSession();
+      currentSession = { sessionId: set.sessionId, volume: 0, event: null, records: new Map() };
+    }
+    const load = resolveRecordSetLoad(set);
+    if (!load) return;
+    checkSetLoadRecords(bests, currentSession.records, set, load, {
+      pushEvent,
+      takeOverEvent: takeOverRecordEvent,
+    });
+    const { reps, weight } = load;
+    if (weight === 0) return;
+    currentSession.volume += weight * reps;
+    if (!currentSession.event && currentSession.volume > (bestVolume ?? 0)) {
+      currentSession.event = pushEvent('volume', set, roundRecordValue(currentSession.volume), bestVolume);
+    }
+  });
+  closeSession();
+
+  return events;
+}
+
+// The records a set appended after every other set of the exercise raises, worked out from the
+// stored events instead of a replay; gives the same result as computePersonalRecordEvents over the
+// whole history. sessionSets are the exercise's sets in the new set's session, including it.
+// `events` are new records to store; `updates` are the session's stored records (with their `id`)
+// that the set took over or, for volume, grew.
+function computePersonalRecordEventsForNewSet(events, sessionSets, set) {
+  const bests = createRecordBests();
+  const sessionRecords = new Map();
+  let bestVolume = null;
+  let sessionVolumeEvent = null;
+  (events || []).forEach((event) => {
+    if (event.sessionId !== set.sessionId) {
+      if (event.recordType === 'volume') {
+        bestVolume = Math.max(bestVolume ?? Number(event.value), Number(event.value));
+      } else {
+        raiseRecordBests(bests, event);
+      }
+    } else if (event.recordType === 'volume') {
+      sessionVolumeEvent = event;
+    } else {
+      sessionRecords.set(resolveRecordKey(event), { ...event });
+    }
+  });
+
+  const created = [];
+  const updates = [];
+  const pushEvent = (recordType, recordSet, value, previousValue, weight = null) => {
+    const event = {
+      recordType,
+      weight,
+      value,
+      previousValue,
+      sessionId: recordSet.sessionId,
+      setId: recordSet.id,
+      achievedAt: resolveRecordAchievedAt(recordSet),
+    };
+    created.push(event);
+    return event;
+  };
+  const takeOverEvent = (event, recordSet, value) => {
+    takeOverRecordEvent(event, recordSet, value);
+    updates.push(event);
+  };
+  const load = resolveRecordSetLoad(set);
+  if (!load) return { events: created, updates };
+  checkSetLoadRecords(bests, sessionRecords, set, load, { pushEvent, takeOverEvent });
+  if (load.weight === 0) return { events: created, updates };
+
+  const sessionVolume = (sessionSets || []).reduce((total, sessionSet) => {
+    const sessionLoad = resolveRecordSetLoad(sessionSet);
+    return sessionLoad ? total + sessionLoad.weight * sessionLoad.reps : total;
+  }, 0);
+  if (sessionVolumeEvent) {
+    updates.push({ ...sessionVolumeEvent, value: roundRecordValue(sessionVolume) });
+  } else if (sessionVolume > (bestVolume ?? 0)) {
+    pushEvent('volume', set, roundRecordValue(sessionVolume), bestVolume);
+  }
+  return { events: created, updates };
+}
+
+// Current best per record kind; reps records are kept per weight.
+function summarizePersonalRecords(events) {
+  const bestByKey = new Map();
+  (events || []).forEach((event) => {
+    const key = event.recordType === 'reps' ? `reps:${event.weight}` : event.recordType;
+    bestByKey.set(key, event);
+  });
+  return [...bestByKey.values()];
+}
+
+export {
+  DEFAULT_ONE_REP_MAX_FORMULA,
+  E1RM_REPS_MAX,
+  ONE_REP_MAX_FORMULAS,
+  PERSONAL_RECORD_TYPES,
+  REP_MAX_TABLE_REPS,
+  buildProgressionOneRepMax,
+  buildRepMaxTable,
+  computePersonalRecordEvents,
+  computePersonalRecordEventsForNewSet,
+  estimateOneRepMax,
+  normalizeOneRepMaxFormula,
+  projectWeightForReps,
+  summarizePersonalRecords,
+};
@@ -0,0 +1,158 @@
+const PROGRAM_WEEKS_MAX = 16;
+const PROGRAM_DAYS_MAX = 14;
+const PROGRAM_PERCENT_MIN = 10;
+const PROGRAM_PERCENT_MAX = 200;
+const DELOAD_VOLUME_PERCENT = 50;
+const DELOAD_INTENSITY_PERCENT = 80;
+const DEFAULT_SET_TYPE = 'working';
+
+function normalizeOptionalText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+function normalizeProgramPercent(value, fallback, label) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const percent = Number(value);
+  if (!Number.isInteger(percent) || percent < PROGRAM_PERCENT_MIN || percent > PROGRAM_PERCENT_MAX) {
+    throw new Error(`${label} must be a whole percentage from ${PROGRAM_PERCENT_MIN} to ${PROGRAM_PERCENT_MAX}.`);
+  }
+  return percent;
+}
+
+// Deload weeks fall back to lighter defaults when no explicit percentages are given.
+function normalizeProgramWeek(value, weekNumber) {
+  const week = value && typeof value === 'object' ? value : {};
+  const deload = week.deload === true;
+  return {
+    weekNumber,
+    volumePercent: normalizeProgramPercent(
+      week.volumePercent,
+      deload ? DELOAD_VOLUME_PERCENT : 100,
+      `Week ${weekNumber} volume`
+    ),
+    intensityPercent: normalizeProgramPercent(
+      week.intensityPercent,
+      deload ? DELOAD_INTENSITY_PERCENT : 100,
+      `Week ${weekNumber} intensity`
+    ),
+    deload,
+  };
+}
+
+// Validates the shape of a program; routine ownership is checked by the caller.
+function normalizeProgramDefinition(payload) {
+  const body = payload && typeof payload === 'object' ? payload : {};
+  const name = normalizeOptionalText(body.name);
+  if (!name) {
+    throw new Error('Program name is required.');
+  }
+  const weekInputs = Array.isArray(body.weeks) ? body.weeks : [];
+  const weekCount = weekInputs.length || Number(body.weekCount);
+  if (!Number.isInteger(weekCount) || weekCount < 1 || weekCount > PROGRAM_WEEKS_MAX) {
+    throw new Error(`Programs must run for 1-${PROGRAM_WEEKS_MAX} weeks.`);
+  }
+  const dayInputs = Array.isArray(body.days) ? body.days : [];
+  if (!dayInputs.length || dayInputs.length > PROGRAM_DAYS_MAX) {
+    throw new Error(`Programs need 1-${PROGRAM_DAYS_MAX} workout days.`);
+  }
+  const days = dayInputs.map((day, index) => {
+    const routineId = Number(day?.routineId);
+    if (!Number.isInteger(routineId) || routineId <= 0) {
+      throw new Error('Each program day needs a routine.');
+    }
+    return {
+      dayNumber: index + 1,
+      routineId,
+      label: normalizeOptionalText(day?.label),
+    };
+  });
+  return {
+    name,
+    notes: normalizeOptionalText(body.notes),
+    weekCount,
+    weeks: Array.from({ length: weekCount }, (_, index) => normalizeProgramWeek(weekInputs[index], index + 1)),
+    days,
+  };
+}
+
+function roundToHalf(value) {
+  return Math.round(Number(value) * 2) / 2;
+}
+
+// Scales one routine exercise for a program week. Volume changes the planned set count
+// (extra sets repeat the last set as a working set, removed sets come off the end) and
+// intensity scales the target weight.
+function applyProgramWeekModifiers({ targetSets, targetWeight, setTargets }, week) {
+  const volumePercent = Number(week?.volumePercent) || 100;
+  const intensityPercent = Number(week?.intensityPercent) || 100;
+  const baseTargets = Array.isArray(setTargets) ? setTargets : [];
+  const baseSetCount = baseTargets.length || Number(targetSets) || 0;
+  const nextSetCount = baseSetCount
+    ? Math.max(1, Math.round((baseSetCount * volumePercent) / 100))
+    : baseSetCount;
+
+  let nextSetTargets = baseTargets.slice(0, nextSetCount);
+  if (baseTargets.length && nextSetCount > baseTargets.length) {
+    const template = baseTargets[baseTargets.length - 1];
+    nextSetTargets = [
+      ...baseTargets,
+      ...Array.from({ length: nextSetCount - baseTargets.length }, () => ({
+        ...template,
+        setType: DEFAULT_SET_TYPE,
+      })),
+    ];
+  }
+  const scaleWeight = (value) => {
+    const weight = Number(value);
+    return value === null || value === undefined || !Number.isFinite(weight)
+      ? value ?? null
+      : roundToHalf((weight * intensityPercent) / 100);
+  };
+  // Per-set weights scale with the week's intensity just like the exercise's target weight.
+  nextSetTargets = nextSetTargets.map((target, index) => ({
+    ...target,
+    setIndex: index + 1,
+    ...(target.targetWeight === null || target.targetWeight === undefined
+      ? {}
+      : { targetWeight: scaleWeight(target.targetWeight) }),
+  }));
+
+  return {
+    targetSets: nextSetCount || targetSets || null,
+    targetWeight: scaleWeight(targetWeight),
+    setTargets: nextSetTargets,
+  };
+}
+
+// Returns the week/day the program expects next, or null once it has been completed.
+function resolveProgramNextDay(program, dayCount) {
+  if (!program || program.completedAt || !dayCount) return null;
+  const weekNumber = Math.min(Math.max(Number(program.currentWeek) || 1, 1), program.weekCount);
+  const dayNumber = Math.min(Math.max(Number(program.currentDay) || 1, 1), dayCount);
+  return { weekNumber, dayNumber };
+}
+
+function advanceProgramPointer(program, dayCount) {
+  const next = resolveProgramNextDay(program, dayCount);
+  if (!next) {
+    return { currentWeek: program.currentWeek, currentDay: program.currentDay, completed: Boolean(program.completedAt) };
+  }
+  if (next.dayNumber < dayCount) {
+    return { currentWeek: next.weekNumber, currentDay: next.dayNumber + 1, completed: false };
+  }
+  if (next.weekNumber < program.weekCount) {
+    return { currentWeek: next.weekNumber + 1, currentDay: 1, completed: false };
+  }
+  return { currentWeek: next.weekNumber, currentDay: next.dayNumber, completed: true };
+}
+
+export {
+  PROGRAM_DAYS_MAX,
+  PROGRAM_WEEKS_MAX,
+  advanceProgramPointer,
+  applyProgramWeekModifiers,
+  normalizeProgramDefinition,
+  resolveProgramNextDay,
+};
@@ -0,0 +1,152 @@
+const PROGRESSION_RULE_TYPES = ['double', 'reps_then_load'];
+const PROGRESSION_REPS_MAX = 100;
+const PROGRESSION_WEIGHT_INCREMENT_MAX = 50;
+const INLINE_SET_TYPES = new Set(['warmup', 'drop']);
+
+function roundWeight(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+function isWholeRepCount(value) {
+  return Number.isInteger(value) && value >= 1 && value <= PROGRESSION_REPS_MAX;
+}
+
+// Returns { valid, rule, error }; an empty value clears the rule.
+function normalizeProgressionRule(value) {
+  if (value === undefined || value === null || value === '') {
+    return { valid: true, rule: null, error: null };
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { valid: false, rule: null, error: 'Progression rule is invalid.' };
+  }
+  const type = String(value.type || '').trim();
+  if (!type) {
+    return { valid: true, rule: null, error: null };
+  }
+  if (!PROGRESSION_RULE_TYPES.includes(type)) {
+    return { valid: false, rule: null, error: 'Progression rule must be "double" or "reps_then_load".' };
+  }
+  const repMin = Number(value.repMin);
+  const repMax = Number(value.repMax);
+  if (!isWholeRepCount(repMin) || !isWholeRepCount(repMax) || repMin >= repMax) {
+    return {
+      valid: false,
+      rule: null,
+      error: `Progression rep range must be two whole numbers from low to high (1-${PROGRESSION_REPS_MAX}).`,
+    };
+  }
+  const weightIncrement = roundWeight(value.weightIncrement);
+  if (!Number.isFinite(weightIncrement) || weightIncrement <= 0 || weightIncrement > PROGRESSION_WEIGHT_INCREMENT_MAX) {
+    return {
+      valid: false,
+      rule: null,
+      error: `Progression weight increment must be above 0 and at most ${PROGRESSION_WEIGHT_INCREMENT_MAX} kg.`,
+    };
+  }
+  return {
+    valid: true,
+    rule: {
+      type,
+      repMin,
+      repMax,
+      weightIncrement,
+      autoApply: value.autoApply === true,
+    },
+    error: null,
+  };
+}
+
+function parseStoredProgressionRule(json) {
+  if (!json) return null;
+  try {
+    return normalizeProgressionRule(JSON.parse(json)).rule;
+  } catch {
+    return null;
+  }
+}
+
+function serializeProgressionRule(rule) {
+  return rule ? JSON.stringify(rule) : null;
+}
+
+// Unilateral sets only count as far as the weaker side got.
+function resolveSetReps(set) {
+  if (set?.leftReps !== null && set?.leftReps !== undefined) {
+    return Math.min(Number(set.leftReps) || 0, Number(set.rightReps) || 0);
+  }
+  return Number(set?.reps) || 0;
+}
+
+function resolveSetWeight(set) {
+  if (set?.leftReps !== null && set?.leftReps !== undefined) {
+    return Math.min(Number(set.leftWeight) || 0, Number(set.rightWeight) || 0);
+  }
+  return Number(set?.weight) || 0;
+}
+
+function hasSetTargetWeight(target) {
+  return target?.targetWeight !== null && target?.targetWeight !== undefined && Number(target.targetWeight) > 0;
+}
+
+// Decides the next targets for one routine exercise from the sets logged against it.
+// Every planned set has to be logged at (at least) its target weight, which is the set's own
+// weight for ramping schemes; otherwise the rule waits for the next workout. Adding load moves
+// every per-set weight by the same increment so the scheme keeps its shape. Returns null when
+// the targets stay as they are.
+function evaluateProgressionRule(rule, { targetWeight, setTargets, sets }) {
+  const weight = Number(targetWeight);
+  if (!rule || !Number.isFinite(weight) || weight <= 0 || !setTargets?.length) {
+    return null;
+  }
+  const workingSets = (sets || []).filter((set) => !INLINE_SET_TYPES.has(set?.setType));
+  const results = [];
+  for (const target of setTargets) {
+    const set = workingSets.find((entry) => Number(entry.setIndex) === Number(target.setIndex));
+    const requiredWeight = hasSetTargetWeight(target) ? Number(target.targetWeight) : weight;
+    if (!set || resolveSetWeight(set) < requiredWeight) {
+      return null;
+    }
+    results.push({ target, reps: resolveSetReps(set) });
+  }
+
+  const resetTargets = () => setTargets.map((target) => ({
+    ...target,
+    targetReps: rule.repMin,
+    ...(hasSetTargetWeight(target)
+      ? { targetWeight: roundWeight(Number(target.targetWeight) + rule.weightIncrement) }
+      : {}),
+  }));
+  const addLoad = () => ({
+    kind: 'load',
+    nextTargetWeight: roundWeight(weight + rule.weightIncrement),
+    nextSetTargets: resetTargets(),
+  });
+
+  if (rule.type === 'double') {
+    return results.every(({ reps }) => reps >= rule.repMax) ? addLoad() : null;
+  }
+
+  const hitTargets = results.every(({ target, reps }) => reps >= (Number(target.targetReps) || rule.repMin));
+  if (!hitTargets) {
+    return null;
+  }
+  if (results.every(({ target }) => Number(target.targetReps) >= rule.repMax)) {
+    return addLoad();
+  }
+  return {
+    kind: 'reps',
+    nextTargetWeight: weight,
+    nextSetTargets: setTargets.map((target) => ({
+      ...target,
+      targetReps: Math.min(rule.repMax, Math.max(rule.repMin, (Number(target.targetReps) || rule.repMin) + 1)),
+    })),
+  };
+}
+
+export {
+  PROGRESSION_RULE_TYPES,
+  evaluateProgressionRule,
+  normalizeProgressionRule,
+  parseStoredProgressionRule,
+  serializeProgressionRule,
+};
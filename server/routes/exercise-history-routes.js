@@ -0,0 +1,173 @@
+import { listExerciseAliasesByExercise } from '../exercise-alias-store.js';
+import { listPersonalRecordsForUser } from '../personal-record-store.js';
+
+const EXERCISE_HISTORY_PAGE_SIZE = 10;
+const EXERCISE_HISTORY_MAX_PAGE_SIZE = 50;
+
+export function registerExerciseHistoryRoutes(app, {
+  db,
+  exerciseRowToApi,
+  getExerciseImpactSummary,
+  mapSetSideColumns,
+  resolveSetVolume,
+  compareSessionSetOrder,
+  toFixedNumber,
+  requireAuth,
+}) {
+  // Exercises merged into this one, directly or through an earlier merge.
+  function listMergedSourceExercises(exerciseId) {
+    return db
+      .prepare(
+        `WITH RECURSIVE merged(id) AS (
+           SELECT id FROM exercises WHERE merged_into_id = ?
+           UNION
+           SELECT e.id FROM exercises e JOIN merged m ON e.merged_into_id = m.id
+         )
+         SELECT e.id, e.name, e.merged_at
+         FROM exercises e
+         JOIN merged ON merged.id = e.id
+         ORDER BY e.merged_at ASC, e.id ASC`
+      )
+      .all(exerciseId)
+      .map((row) => ({ id: row.id, name: row.name, mergedAt: row.merged_at }));
+  }
+
+  // Everything one user has done with an exercise: its details, the routines that use it, current
+  // personal bests and a page of sessions (newest first) with their sets. A merge moves sets onto the
+  // target, but sets still filed under a merged exercise are picked up as well.
+  function getExerciseHistoryForUser(
+    userId,
+    exerciseId,
+    { limit = EXERCISE_HISTORY_PAGE_SIZE, offset = 0 } = {}
+  ) {
+    const row = db
+      .prepare(
+        `SELECT e.id, e.fork_id, e.name, e.force, e.level, e.mechanic, e.equipment,
+                e.primary_muscles_json, e.secondary_muscles_json, e.instructions_json, e.category, e.images_json,
+                e.notes, e.measurement_mode, e.merged_into_id, e.merged_at, e.archived_at, e.created_at, e.updated_at,
+                m.name AS merged_into_name
+         FROM exercises e
+         LEFT JOIN exercises m ON m.id = e.merged_into_id
+         WHERE e.id = ?`
+      )
+      .get(exerciseId);
+    if (!row) return null;
+
+    const mergedExercises = listMergedSourceExercises(exerciseId);
+    const exerciseIds = [exerciseId, ...mergedExercises.map((exercise) => exercise.id)];
+    const exerciseNamesById = new Map([
+      [row.id, row.name],
+      ...mergedExercises.map((exercise) => [exercise.id, exercise.name]),
+    ]);
+    const placeholders = exerciseIds.map(() => '?').join(',');
+
+    const total = Number(
+      db
+        .prepare(
+          `SELECT COUNT(DISTINCT ss.session_id) AS count
+           FROM session_sets ss
+           JOIN sessions s ON s.id = ss.session_id
+           WHERE s.user_id = ? AND ss.exercise_id IN (${placeholders})`
+        )
+        .get(userId, ...exerciseIds)?.count || 0
+    );
+    const sessionRows = db
+      .prepare(
+        `SELECT s.id, s.name, s.routine_id, s.started_at, s.ended_at, r.name AS routine_name
+         FROM sessions s
+         LEFT JOIN routines r ON r.id = s.routine_id
+         WHERE s.user_id = ?
+           AND EXISTS (
+             SELECT 1 FROM session_sets ss
+             WHERE ss.session_id = s.id AND ss.exercise_id IN (${placeholders})
+           )
+         ORDER BY s.started_at DESC, s.id DESC
+         LIMIT ? OFFSET ?`
+      )
+      .all(userId, ...exerciseIds, limit, offset);
+
+    const setsBySessionId = new Map(sessionRows.map((session) => [session.id, []]));
+    if (sessionRows.length) {
+      const sessionPlaceholders = sessionRows.map(() => '?').join(',');
+      db.prepare(
+        `SELECT id, session_id, exercise_id, set_index, set_type, reps, weight, time_seconds, distance_meters,
+                left_reps, left_weight, right_reps, right_weight, rpe, band_label, completed_at, created_at
+         FROM session_sets
+         WHERE session_id IN (${sessionPlaceholders}) AND exercise_id IN (${placeholders})
+         ORDER BY created_at ASC, id ASC`
+      )
+        .all(...sessionRows.map((session) => session.id), ...exerciseIds)
+        .forEach((setRow) => {
+          setsBySessionId.get(setRow.session_id).push({
+            id: setRow.id,
+            exerciseId: setRow.exercise_id,
+            loggedAs: setRow.exercise_id === row.id ? null : exerciseNamesById.get(setRow.exercise_id) || null,
+            setIndex: setRow.set_index,
+            setType: setRow.set_type || 'working',
+            reps: setRow.reps,
+            weight: setRow.weight,
+            timeSeconds: setRow.time_seconds ?? null,
+            distanceMeters: setRow.distance_meters ?? null,
+            ...mapSetSideColumns(setRow),
+            rpe: setRow.rpe ?? null,
+            bandLabel: setRow.band_label,
+            completedAt: setRow.completed_at,
+            createdAt: setRow.created_at,
+            volume: toFixedNumber(resolveSetVolume(setRow)),
+          });
+        });
+    }
+
+    const routines = db
+      .prepare(
+        `SELECT DISTINCT r.id, r.name
+         FROM routine_exercises re
+         JOIN routines r ON r.id = re.routine_id
+         WHERE r.user_id = ? AND re.exercise_id = ? AND re.archived_at IS NULL
+         ORDER BY r.name ASC`
+      )
+      .all(userId, exerciseId)
+      .map((routine) => ({ id: routine.id, name: routine.name }));
+
+    return {
+      exercise: exerciseRowToApi(row, new Map(), listExerciseAliasesByExercise([row.id])),
+      mergedExercises,
+      impact: getExerciseImpactSummary(exerciseId),
+      routines,
+      personalRecords: listPersonalRecordsForUser(userId, { exerciseId }).records,
+      total,
+      limit,
+      offset,
+      sessions: sessionRows.map((session) => {
+        const sets = [...setsBySessionId.get(session.id)].sort(compareSessionSetOrder);
+        return {
+          id: session.id,
+          name: session.name,
+          routineId: session.routine_id,
+          routineName: session.routine_name,
+          startedAt: session.started_at,
+          endedAt: session.ended_at,
+          totalVolume: toFixedNumber(sets.reduce((sum, set) => sum + set.volume, 0)),
+          sets,
+        };
+      }),
+    };
+  }
+
+  app.get('/api/exercises/:id/history', requireAuth, (req, res) => {
+    const exerciseId = Number(req.params.id);
+    if (!exerciseId) {
+      return res.status(400).json({ error: 'Invalid exercise id.' });
+    }
+    const limit = Math.min(
+      EXERCISE_HISTORY_MAX_PAGE_SIZE,
+      Math.max(1, Number(req.query.limit) || EXERCISE_HISTORY_PAGE_SIZE)
+    );
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+    const history = getExerciseHistoryForUser(req.session.userId, exerciseId, { limit, offset });
+    if (!history) {
+      return res.status(404).json({ error: 'Exercise not found.' });
+    }
+    return res.json(history);
+  });
+}
@@ -0,0 +1,12 @@
+import { listPersonalRecordsForUser } from '../personal-record-store.js';
+
+export function registerPersonalRecordRoutes(app, { requireAuth }) {
+  app.get('/api/personal-records', requireAuth, (req, res) => {
+    const hasExerciseId = req.query.exerciseId !== undefined && req.query.exerciseId !== '';
+    const exerciseId = hasExerciseId ? Number(req.query.exerciseId) : null;
+    if (hasExerciseId && !Number.isInteger(exerciseId)) {
+      return res.status(400).json({ error: 'Invalid exercise id.' });
+    }
+    return res.json(listPersonalRecordsForUser(req.session.userId, { exerciseId }));
+  });
+}
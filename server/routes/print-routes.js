@@ -0,0 +1,41 @@
+// A routine laid out for printing, with each slot's previous sets as hints next to the blank
+// boxes. No workout is running, so every earlier workout counts as the last one.
+function buildRoutinePrintSheet(userId, routineId, { listRoutines, buildExerciseLastPerformance, nowIso }) {
+  const routine = listRoutines(userId, { routineId })[0];
+  if (!routine) {
+    throw new Error('Routine not found.');
+  }
+  const cutoff = { id: 0, started_at: nowIso() };
+  return {
+    routine,
+    lastPerformance: routine.exercises.map((exercise) => buildExerciseLastPerformance(userId, cutoff, {
+      exerciseId: exercise.exerciseId,
+      routineExerciseId: exercise.id,
+      sessionExerciseKey: null,
+    })),
+  };
+}
+
+export function registerPrintRoutes(app, {
+  listRoutines,
+  buildExerciseLastPerformance,
+  nowIso,
+  requireAuth,
+}) {
+  app.get('/api/routines/:id/print', requireAuth, (req, res) => {
+    const routineId = Number(req.params.id);
+    if (!routineId) {
+      return res.status(400).json({ error: 'Invalid routine id.' });
+    }
+    try {
+      return res.json(buildRoutinePrintSheet(req.session.userId, routineId, {
+        listRoutines,
+        buildExerciseLastPerformance,
+        nowIso,
+      }));
+    } catch (error) {
+      const status = error.message === 'Routine not found.' ? 404 : 400;
+      return res.status(status).json({ error: error.message });
+    }
+  });
+}
@@ -0,0 +1,445 @@
+const ROUTINE_TEXT_MAX_SETS = 3;
+const ROUTINE_TEXT_MAX_REPS = 100;
+const ROUTINE_TEXT_EQUIPMENT = [
+  'Ab wheel',
+  'Band',
+  'Barbell',
+  'Bodyweight',
+  'Dumbbell',
+  'Kettlebell',
+  'Weight vest',
+  'Weight plate',
+];
+// Library equipment names that map onto a routine equipment choice.
+const CATALOG_EQUIPMENT_TO_ROUTINE = {
+  barbell: 'Barbell',
+  'e-z curl bar': 'Barbell',
+  dumbbell: 'Dumbbell',
+  kettlebells: 'Kettlebell',
+  bands: 'Band',
+  'body only': 'Bodyweight',
+};
+const BODYWEIGHT_LOADS = new Set(['bw', 'bodyweight', 'body weight']);
+const EXERCISE_MATCH_THRESHOLD = 0.8;
+const EXERCISE_CANDIDATE_THRESHOLD = 0.4;
+const EXERCISE_CANDIDATE_LIMIT = 3;
+
+const LINE_PREFIX_PATTERN = /^(?:[-*•]\s+|\d+\s*[.)]\s+)/;
+const SUPERSET_LABEL_PATTERN = /^([a-z])(\d)\s*[:.)]?\s+/i;
+const SETS_BY_REPS_PATTERN = /^(\d+)\s*[x×]\s*(\d+(?:[.,]\d+)?)\s*(s|sec|secs|m)?$/i;
+const PER_SET_PATTERN = /^\d+(?:[.,]\d+)?\s*(?:s|sec|secs|m)?(?:\s*\/\s*\d+(?:[.,]\d+)?\s*(?:s|sec|secs|m)?)+$/i;
+const REST_PATTERN = /^rest\s+(?:(\d+):(\d{2})|(\d+)\s*(s|sec|secs|seconds|m|min|mins|minutes)?)$/i;
+const SIDE_PATTERN = /^(?:each|per)\s+(?:side|leg|arm)$/i;
+
+function parseDecimal(value) {
+  const numeric = Number(String(value).trim().replace(',', '.'));
+  return Number.isFinite(numeric) ? numeric : null;
+}
+
+// "30s" is a duration, "40m" a distance, a bare number a rep count.
+function parseSchemeValue(raw) {
+  const match = String(raw).trim().match(/^(\d+(?:[.,]\d+)?)\s*(s|sec|secs|m)?$/i);
+  if (!match) return null;
+  const value = parseDecimal(match[1]);
+  const unit = (match[2] || '').toLowerCase();
+  if (unit === 'm') return { targetDistanceMeters: value };
+  if (unit) return { targetTimeSeconds: value };
+  return { targetReps: value };
+}
+
+function parseScheme(raw) {
+  const text = String(raw).trim();
+  const setsByReps = text.match(SETS_BY_REPS_PATTERN);
+  if (setsByReps) {
+    const metric = parseSchemeValue(`${setsByReps[2]}${setsByReps[3] || ''}`);
+    return Array.from({ length: Number(setsByReps[1]) }, () => ({ ...metric }));
+  }
+  if (PER_SET_PATTERN.test(text)) {
+    return text.split('/').map(parseSchemeValue);
+  }
+  return null;
+}
+
+// Splits "Bench press 3x8" into the name and the set scheme at its end.
+function splitNameAndScheme(text) {
+  const words = text.trim().split(/\s+/);
+  for (let start = 1; start < words.length; start += 1) {
+    const sets = parseScheme(words.slice(start).join(' '));
+    if (sets) {
+      return { name: words.slice(0, start).join(' '), sets };
+    }
+  }
+  return null;
+}
+
+function parseLoad(raw) {
+  const text = String(raw).trim();
+  if (BODYWEIGHT_LOADS.has(text.toLowerCase())) {
+    return { bodyweight: true, values: [] };
+  }
+  const unitMatch = text.match(/^(.*?)\s*(kg|%)$/i);
+  const body = unitMatch ? unitMatch[1] : text;
+  const unit = unitMatch ? unitMatch[2].toLowerCase() : '';
+  const parts = body.split('/').map((part) => part.trim());
+  if (unit === '%') {
+    const percents = parts.map(parseDecimal);
+    return percents.some((value) => value === null) ? null : { percents, values: percents };
+  }
+  const weights = parts.map((part) => (part === '-' ? null : parseDecimal(part)));
+  if (weights.every((value, index) => value !== null || parts[index] === '-')) {
+    return { weights, values: weights };
+  }
+  if (unit) return null;
+  return { bandLabels: parts, values: parts };
+}
+
+function parseRestSeconds(match) {
+  if (match[1] !== undefined) {
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+  const value = Number(match[3]);
+  const unit = (match[4] || 's').toLowerCase();
+  return unit.startsWith('m') ? value * 60 : value;
+}
+
+function splitEquipmentPrefix(name) {
+  const lowerName = name.toLowerCase();
+  const equipment = ROUTINE_TEXT_EQUIPMENT.find((option) => (
+    lowerName.startsWith(`${option.toLowerCase()} `)
+  ));
+  if (!equipment) return { equipment: null, name };
+  return { equipment, name: name.slice(equipment.length).trim() };
+}
+
+// Reads one exercise line; returns { exercise } or { error } for lines that look like an exercise.
+function parseExerciseLine(rawLine) {
+  let text = rawLine.replace(LINE_PREFIX_PATTERN, '');
+  let supersetLabel = null;
+  const labelMatch = text.match(SUPERSET_LABEL_PATTERN);
+  if (labelMatch) {
+    supersetLabel = labelMatch[1].toUpperCase();
+    text = text.slice(labelMatch[0].length);
+  }
+  // Commas split the line into parts, except decimal commas such as "62,5 kg".
+  const [head, ...modifiers] = text.split(/[;,](?!\d)/).map((part) => part.trim()).filter(Boolean);
+  if (!head) return null;
+  const [beforeLoad, ...loadParts] = head.split('@');
+  const parsed = splitNameAndScheme(beforeLoad);
+  if (!parsed) return null;
+
+  const { equipment, name } = splitEquipmentPrefix(parsed.name);
+  const exercise = {
+    name,
+    writtenName: parsed.name,
+    equipment,
+    supersetLabel,
+    targetRestSeconds: null,
+    unilateral: false,
+    setTargets: parsed.sets,
+  };
+  const setCount = parsed.sets.length;
+  if (parsed.sets.some((set) => set === null)) {
+    return { error: 'Could not read the sets.' };
+  }
+  if (setCount < 1 || setCount > ROUTINE_TEXT_MAX_SETS) {
+    return { error: `Use 1-${ROUTINE_TEXT_MAX_SETS} sets.` };
+  }
+  const invalidReps = parsed.sets.some((set) => (
+    set.targetReps !== undefined
+    && (!Number.isInteger(set.targetReps) || set.targetReps < 1 || set.targetReps > ROUTINE_TEXT_MAX_REPS)
+  ));
+  if (invalidReps) {
+    return { error: `Reps must be 1-${ROUTINE_TEXT_MAX_REPS}.` };
+  }
+
+  const loadText = loadParts.join('@').trim();
+  if (loadText) {
+    const load = parseLoad(loadText);
+    if (!load) {
+      return { error: `Could not read the load "${loadText}".` };
+    }
+    if (load.values.length > 1 && load.values.length !== setCount) {
+      return { error: 'Give one load for all sets or one per set.' };
+    }
+    const valueForSet = (index) => (load.values.length > 1 ? load.values[index] : load.values[0]);
+    exercise.setTargets = exercise.setTargets.map((set, index) => ({
+      ...set,
+      ...(load.weights ? { targetWeight: valueForSet(index) } : {}),
+      ...(load.percents ? { targetPercent: valueForSet(index) } : {}),
+      ...(load.bandLabels ? { targetBandLabel: valueForSet(index) } : {}),
+    }));
+    if (load.bodyweight) {
+      exercise.equipment = exercise.equipment || 'Bodyweight';
+    } else if (load.bandLabels) {
+      exercise.equipment = 'Band';
+    }
+  }
+
+  for (const modifier of modifiers) {
+    const restMatch = modifier.match(REST_PATTERN);
+    if (restMatch) {
+      exercise.targetRestSeconds = parseRestSeconds(restMatch);
+    } else if (SIDE_PATTERN.test(modifier)) {
+      exercise.unilateral = true;
+    } else {
+      return { error: `Could not read "${modifier}".` };
+    }
+  }
+  return { exercise };
+}
+
+// Superset markers only pair two adjacent exercises, like the routine editor does.
+function applySupersetLabels(exercises, warnings) {
+  const indexesByLabel = new Map();
+  exercises.forEach((exercise, index) => {
+    if (!exercise.supersetLabel) return;
+    if (!indexesByLabel.has(exercise.supersetLabel)) {
+      indexesByLabel.set(exercise.supersetLabel, []);
+    }
+    indexesByLabel.get(exercise.supersetLabel).push(index);
+  });
+  indexesByLabel.forEach((indexes, label) => {
+    const isPair = indexes.length === 2 && indexes[1] - indexes[0] === 1;
+    if (!isPair && indexes.length > 1) {
+      warnings.push(`Superset ${label} needs exactly two exercises next to each other, so they were kept as separate exercises.`);
+    }
+    indexes.forEach((index) => {
+      exercises[index].supersetGroup = isPair ? label : null;
+    });
+  });
+  return exercises.map(({ supersetLabel, ...exercise }) => ({
+    ...exercise,
+    supersetGroup: exercise.supersetGroup ?? null,
+  }));
+}
+
+// Reads a routine written as plain text:
+//
+//   Upper A
+//   Notes: Heavy day
+//   A1: Bench press 3x8 @ 60kg, rest 90s
+//   A2: Barbell row 3x8 @ 50kg
+//   Squat 5/3/1 @ 100/110/120 kg
+//
+// The first line that is not an exercise is the name, "Notes:" lines become notes, and each
+// exercise line is "<name> <sets>x<reps> [@ <load>][, rest <time>][, each side]". Loads can be
+// kilograms, training max percentages ("@ 65/75/85%"), band labels or "bw".
+function parseRoutineText(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  let name = '';
+  const notes = [];
+  const exercises = [];
+  const errors = [];
+  const warnings = [];
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+    const lineNumber = index + 1;
+    const notesMatch = line.match(/^notes?\s*:\s*(.*)$/i);
+    if (notesMatch) {
+      if (notesMatch[1]) notes.push(notesMatch[1].trim());
+      return;
+    }
+    const parsed = parseExerciseLine(line);
+    if (parsed?.exercise) {
+      exercises.push({ ...parsed.exercise, line: lineNumber, text: line });
+      return;
+    }
+    if (parsed?.error) {
+      errors.push({ line: lineNumber, text: line, message: parsed.error });
+      return;
+    }
+    if (!exercises.length && !name) {
+      name = line.replace(/^#+\s*/, '');
+      return;
+    }
+    if (!exercises.length) {
+      notes.push(line);
+      return;
+    }
+    errors.push({ line: lineNumber, text: line, message: 'Add sets and reps, for example "3x8".' });
+  });
+
+  return {
+    name,
+    notes: notes.join('\n'),
+    exercises: applySupersetLabels(exercises, warnings),
+    errors,
+    warnings,
+  };
+}
+
+function normalizeExerciseName(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+    .join(' ');
+}
+
+function buildBigrams(value) {
+  const compact = value.replace(/\s+/g, ' ');
+  const bigrams = new Map();
+  for (let index = 0; index < compact.length - 1; index += 1) {
+    const bigram = compact.slice(index, index + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  return bigrams;
+}
+
+// Dice similarity over character pairs, so "bench pres" and "bench press" stay close.
+function scoreNameSimilarity(left, right) {
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  const leftBigrams = buildBigrams(left);
+  const rightBigrams = buildBigrams(right);
+  let shared = 0;
+  let total = 0;
+  leftBigrams.forEach((count, bigram) => {
+    shared += Math.min(count, rightBigrams.get(bigram) || 0);
+    total += count;
+  });
+  rightBigrams.forEach((count) => {
+    total += count;
+  });
+  return total ? (2 * shared) / total : 0;
+}
+
+function rankExerciseMatches(name, exercises) {
+  const normalizedName = normalizeExerciseName(name);
+  return exercises
+    .map((exercise) => ({
+      exercise,
+      score: scoreNameSimilarity(normalizedName, normalizeExerciseName(exercise.name)),
+    }))
+    .filter((item) => item.score >= EXERCISE_CANDIDATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score || String(a.exercise.name).localeCompare(String(b.exercise.name)));
+}
+
+// Picks the catalog exercise a written name refers to. A name only resolves on its own when one
+// exercise is clearly the closest; otherwise the closest ones are offered for manual mapping.
+function matchExerciseName(name, exercises) {
+  const ranked = rankExerciseMatches(name, exercises);
+  const [best, second] = ranked;
+  const isConfident = best
+    && best.score >= EXERCISE_MATCH_THRESHOLD
+    && (!second || second.score < best.score);
+  return {
+    exercise: isConfident ? best.exercise : null,
+    score: best?.score ?? 0,
+    candidates: ranked.slice(0, EXERCISE_CANDIDATE_LIMIT).map((item) => item.exercise),
+  };
+}
+
+// Resolves parsed exercise names against the catalog. Written names that start with an equipment
+// ("Barbell row") are also tried without it, and the equipment defaults to the catalog's.
+function resolveRoutineTextExercises(parsedExercises, catalog) {
+  return parsedExercises.map((parsed) => {
+    const fullMatch = matchExerciseName(parsed.writtenName, catalog);
+    const strippedMatch = parsed.name !== parsed.writtenName ? matchExerciseName(parsed.name, catalog) : null;
+    const match = strippedMatch && strippedMatch.score >= fullMatch.score ? strippedMatch : fullMatch;
+    const candidates = match.candidates;
+    const exercise = match.exercise;
+    return {
+      ...parsed,
+      exerciseId: exercise?.id ?? null,
+      exerciseName: exercise?.name ?? null,
+      candidates: candidates.map((item) => ({ id: item.id, name: item.name })),
+      equipment: parsed.equipment
+        || CATALOG_EQUIPMENT_TO_ROUTINE[String(exercise?.equipment || '').toLowerCase()]
+        || null,
+    };
+  });
+}
+
+function formatTextNumber(value) {
+  return String(Math.round(Number(value) * 100) / 100);
+}
+
+function formatSchemeValue(target) {
+  if (target.targetTimeSeconds) return `${formatTextNumber(target.targetTimeSeconds)}s`;
+  if (target.targetDistanceMeters) return `${formatTextNumber(target.targetDistanceMeters)}m`;
+  return target.targetReps ? formatTextNumber(target.targetReps) : '';
+}
+
+function joinPerSet(values, suffix = '') {
+  if (values.every((value) => value === null || value === undefined)) return '';
+  if (values.every((value) => value === values[0])) return `${values[0]}${suffix}`;
+  return `${values.map((value) => value ?? '-').join('/')}${suffix}`;
+}
+
+function formatExerciseLoad(exercise) {
+  const setTargets = exercise.setTargets || [];
+  const percents = setTargets.map((target) => target.targetPercent ?? null);
+  if (percents.some((value) => value !== null)) {
+    return joinPerSet(percents.map((value) => (value === null ? null : formatTextNumber(value))), '%');
+  }
+  if (exercise.equipment === 'Band') {
+    const bands = setTargets.map((target) => target.targetBandLabel || exercise.targetBandLabel || null);
+    return joinPerSet(bands.length ? bands : [exercise.targetBandLabel || null]);
+  }
+  const weights = setTargets.map((target) => target.targetWeight ?? null);
+  if (weights.some((value) => value !== null)) {
+    return joinPerSet(weights.map((value) => (value === null ? null : formatTextNumber(value))), ' kg');
+  }
+  return exercise.targetWeight ? `${formatTextNumber(exercise.targetWeight)} kg` : '';
+}
+
+function formatExerciseScheme(exercise) {
+  const values = (exercise.setTargets || []).map(formatSchemeValue);
+  if (!values.length) {
+    const fallback = formatSchemeValue(exercise);
+    return fallback ? `${exercise.targetSets || 1}x${fallback}` : '';
+  }
+  return values.every((value) => value === values[0])
+    ? `${values.length}x${values[0]}`
+    : values.join('/');
+}
+
+// Writes a routine in the format parseRoutineText reads. Supersets get letter labels (A1/A2) in
+// the order they appear.
+function serializeRoutineText(routine) {
+  const lines = [routine?.name || 'Routine'];
+  String(routine?.notes || '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => lines.push(`Notes: ${line}`));
+
+  const labelByGroup = new Map();
+  const countByGroup = new Map();
+  (routine?.exercises || []).forEach((exercise) => {
+    let label = '';
+    if (exercise.supersetGroup) {
+      if (!labelByGroup.has(exercise.supersetGroup)) {
+        labelByGroup.set(exercise.supersetGroup, String.fromCharCode(65 + (labelByGroup.size % 26)));
+      }
+      const count = (countByGroup.get(exercise.supersetGroup) || 0) + 1;
+      countByGroup.set(exercise.supersetGroup, count);
+      label = `${labelByGroup.get(exercise.supersetGroup)}${count}: `;
+    }
+    // "Barbell Row" already names its equipment.
+    const name = exercise.equipment && !String(exercise.name || '').toLowerCase().startsWith(exercise.equipment.toLowerCase())
+      ? `${exercise.equipment} ${exercise.name}`
+      : exercise.name;
+    const head = [name, formatExerciseScheme(exercise)].filter(Boolean).join(' ');
+    const load = formatExerciseLoad(exercise);
+    const parts = [load ? `${head} @ ${load}` : head];
+    if (exercise.targetRestSeconds) parts.push(`rest ${formatTextNumber(exercise.targetRestSeconds)}s`);
+    if (exercise.unilateral) parts.push('each side');
+    lines.push(`${label}${parts.join(', ')}`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+export {
+  matchExerciseName,
+  normalizeExerciseName,
+  parseRoutineText,
+  resolveRoutineTextExercises,
+  serializeRoutineText,
+};
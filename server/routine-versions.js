@@ -0,0 +1,150 @@
+const ROUTINE_VERSION_REASONS = [
+  'baseline',
+  'created',
+  'edited',
+  'reordered',
+  'workout_target',
+  'progression',
+  'duplicated',
+  'restored',
+  'exercise_merged',
+  'imported',
+  'copied',
+  'pulled',
+];
+const SNAPSHOT_SET_TARGET_FIELDS = [
+  'setIndex',
+  'targetReps',
+  'targetTimeSeconds',
+  'targetDistanceMeters',
+  'targetPercent',
+  'targetWeight',
+  'targetBandLabel',
+  'setType',
+];
+const DIFF_ROUTINE_FIELDS = ['name', 'notes', 'routineType'];
+const DIFF_EXERCISE_FIELDS = [
+  'equipment',
+  'targetSets',
+  'setTargets',
+  'targetRestSeconds',
+  'targetWeight',
+  'targetBandLabel',
+  'notes',
+  'supersetGroup',
+  'unilateral',
+  'progressionRule',
+];
+
+function pickSetTarget(target) {
+  return Object.fromEntries(SNAPSHOT_SET_TARGET_FIELDS.map((field) => [field, target?.[field] ?? null]));
+}
+
+// Keeps what the routine plans rather than how it is stored: set target rows get new ids on every
+// save, so they are left out and two snapshots of an unchanged routine compare equal.
+function buildRoutineSnapshot(routine) {
+  return {
+    name: routine?.name || '',
+    notes: routine?.notes ?? null,
+    routineType: routine?.routineType || 'standard',
+    exercises: (routine?.exercises || []).map((exercise) => ({
+      id: exercise.id,
+      exerciseId: exercise.exerciseId,
+      name: exercise.name,
+      equipment: exercise.equipment ?? null,
+      position: exercise.position,
+      targetSets: exercise.targetSets ?? null,
+      targetReps: exercise.targetReps ?? null,
+      targetTimeSeconds: exercise.targetTimeSeconds ?? null,
+      targetDistanceMeters: exercise.targetDistanceMeters ?? null,
+      targetRestSeconds: exercise.targetRestSeconds ?? null,
+      targetWeight: exercise.targetWeight ?? null,
+      targetBandLabel: exercise.targetBandLabel ?? null,
+      notes: exercise.notes ?? null,
+      supersetGroup: exercise.supersetGroup ?? null,
+      unilateral: Boolean(exercise.unilateral),
+      progressionRule: exercise.progressionRule ?? null,
+      setTargets: (exercise.setTargets || []).map(pickSetTarget),
+    })),
+  };
+}
+
+function parseRoutineSnapshot(json) {
+  if (!json) return null;
+  try {
+    const snapshot = JSON.parse(json);
+    if (!snapshot || typeof snapshot !== 'object' || !Array.isArray(snapshot.exercises)) return null;
+    return snapshot;
+  } catch {
+    return null;
+  }
+}
+
+function isSameValue(left, right) {
+  return JSON.stringify(left ?? null) === JSON.stringify(right ?? null);
+}
+
+function diffFields(from, to, fields) {
+  return fields
+    .filter((field) => !isSameValue(from?.[field], to?.[field]))
+    .map((field) => ({ field, from: from?.[field] ?? null, to: to?.[field] ?? null }));
+}
+
+function describeSlot(exercise) {
+  return {
+    id: exercise.id,
+    exerciseId: exercise.exerciseId,
+    name: exercise.name,
+    equipment: exercise.equipment ?? null,
+  };
+}
+
+// Slots are matched by their routine exercise id, which survives edits, so swapping the exercise
+// in a slot shows up as a change to that slot rather than a removal plus an addition.
+function diffRoutineSnapshots(from, to) {
+  const fromExercises = from?.exercises || [];
+  const toExercises = to?.exercises || [];
+  const fromById = new Map(fromExercises.map((exercise) => [exercise.id, exercise]));
+  const toIds = new Set(toExercises.map((exercise) => exercise.id));
+
+  const changed = toExercises
+    .filter((exercise) => fromById.has(exercise.id))
+    .map((exercise) => {
+      const previous = fromById.get(exercise.id);
+      const changes = diffFields(previous, exercise, DIFF_EXERCISE_FIELDS);
+      if (previous.exerciseId !== exercise.exerciseId) {
+        changes.unshift({ field: 'exercise', from: previous.name, to: exercise.name });
+      }
+      return { ...describeSlot(exercise), changes };
+    })
+    .filter((item) => item.changes.length);
+  const keptFromOrder = fromExercises.filter((exercise) => toIds.has(exercise.id)).map((exercise) => exercise.id);
+  const keptToOrder = toExercises.filter((exercise) => fromById.has(exercise.id)).map((exercise) => exercise.id);
+
+  return {
+    changes: diffFields(from, to, DIFF_ROUTINE_FIELDS),
+    added: toExercises.filter((exercise) => !fromById.has(exercise.id)).map(describeSlot),
+    removed: fromExercises.filter((exercise) => !toIds.has(exercise.id)).map(describeSlot),
+    changed,
+    reordered: keptFromOrder.some((id, index) => id !== keptToOrder[index]),
+  };
+}
+
+function hasRoutineSnapshotChanges(from, to) {
+  const diff = diffRoutineSnapshots(from, to);
+  return Boolean(
+    diff.changes.length
+    || diff.added.length
+    || diff.removed.length
+    || diff.changed.length
+    || diff.reordered
+  );
+}
+
+export {
+  ROUTINE_VERSION_REASONS,
+  buildRoutineSnapshot,
+  diffRoutineSnapshots,
+  hasRoutineSnapshotChanges,
+  parseRoutineSnapshot,
+};
@@ -0,0 +1,240 @@
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_IDLE_HOURS = 6;
+const DEFAULT_CHECK_INTERVAL_MINUTES = 15;
+const DEFAULT_IDLE_MS = DEFAULT_IDLE_HOURS * HOUR_MS;
+const DEFAULT_CHECK_INTERVAL_MS = DEFAULT_CHECK_INTERVAL_MINUTES * 60 * 1000;
+
+function parseBoolean(value, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'on'].includes(normalized)) {
+    return true;
+  }
+  if (['false', '0', 'no', 'off'].includes(normalized)) {
+    return false;
+  }
+  return fallback;
+}
+
+function parsePositiveNumber(value, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    return fallback;
+  }
+  return parsed;
+}
+
+function resolveNowMs(now) {
+  if (now instanceof Date) {
+    return now.getTime();
+  }
+  const parsed = Number(now);
+  if (Number.isFinite(parsed)) {
+    return parsed;
+  }
+  return Date.now();
+}
+
+function toTimestampMs(value) {
+  if (!value) return null;
+  const parsed = new Date(value).getTime();
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function latestTimestampMs(values) {
+  return values
+    .map(toTimestampMs)
+    .filter((value) => value !== null)
+    .reduce((latest, value) => (latest === null || value > latest ? value : latest), null);
+}
+
+function resolveSessionAutoCloseConfig({ env = process.env } = {}) {
+  const idleHours = parsePositiveNumber(env.SESSION_AUTO_CLOSE_IDLE_HOURS, DEFAULT_IDLE_HOURS);
+  const checkIntervalMinutes = parsePositiveNumber(
+    env.SESSION_AUTO_CLOSE_CHECK_INTERVAL_MINUTES,
+    DEFAULT_CHECK_INTERVAL_MINUTES
+  );
+
+  return {
+    enabled: parseBoolean(env.SESSION_AUTO_CLOSE_ENABLED, true),
+    idleMs: idleHours * HOUR_MS,
+    checkIntervalMs: checkIntervalMinutes * 60 * 1000,
+  };
+}
+
+// Everything a user can do during a workout leaves a timestamp; the newest one is when
+// the session was last touched.
+function loadSessionActivity(db, session) {
+  const lastSet = db
+    .prepare(
+      `SELECT MAX(COALESCE(completed_at, created_at)) AS last_set_at, COUNT(*) AS set_count
+       FROM session_sets
+       WHERE session_id = ?`
+    )
+    .get(session.id);
+  const progress = db
+    .prepare(
+      `SELECT MAX(started_at) AS last_started_at,
+              MAX(completed_at) AS last_completed_at,
+              SUM(CASE WHEN status = 'completed' OR (completed_at IS NOT NULL AND status != 'skipped') THEN 1 ELSE 0 END)
+                AS completed_count
+       FROM session_exercise_progress
+       WHERE session_id = ?`
+    )
+    .get(session.id);
+  const pauses = db
+    .prepare(
+      `SELECT MAX(paused_at) AS last_paused_at, MAX(resumed_at) AS last_resumed_at
+       FROM session_pauses
+       WHERE session_id = ?`
+    )
+    .get(session.id);
+  const lastSetMs = toTimestampMs(lastSet?.last_set_at);
+  return {
+    setCount: Number(lastSet?.set_count || 0),
+    lastSetMs,
+    hasCompletionSignal: Number(progress?.completed_count || 0) > 0 || Boolean(session.warmup_completed_at),
+    lastActivityMs: latestTimestampMs([
+      session.started_at,
+      session.warmup_started_at,
+      session.warmup_completed_at,
+      lastSet?.last_set_at,
+      progress?.last_started_at,
+      progress?.last_completed_at,
+      pauses?.last_paused_at,
+      pauses?.last_resumed_at,
+    ]),
+  };
+}
+
+// Ends sessions nobody has touched for idleMs. The end time is the last logged set rather
+// than now so durations stay honest; sessions with nothing tracked are discarded the same
+// way ending an empty workout discards it. onSessionClosed runs the same completion hooks as
+// ending a workout by hand. Each session gets its own transaction, so one that fails is left
+// open and reported in `failed` while the others still close.
+function runSessionAutoCloseCycle({
+  db,
+  idleMs = DEFAULT_IDLE_MS,
+  now = Date.now(),
+  onSessionClosed = null,
+} = {}) {
+  if (!db || typeof db.prepare !== 'function') {
+    throw new Error('A database instance with prepare(sql) is required.');
+  }
+
+  const nowMs = resolveNowMs(now);
+  const cutoffMs = nowMs - idleMs;
+  const activeSessions = db
+    .prepare(
+      `SELECT id, user_id, started_at, warmup_started_at, warmup_completed_at
+       FROM sessions
+       WHERE ended_at IS NULL`
+    )
+    .all();
+
+  const closed = [];
+  const discarded = [];
+  const failed = [];
+  const closedAt = new Date(nowMs).toISOString();
+  const closeSession = db.prepare(
+    `UPDATE sessions
+     SET ended_at = ?, auto_closed_at = ?, auto_close_reviewed_at = NULL
+     WHERE id = ? AND ended_at IS NULL`
+  );
+  const closeOpenPauses = db.prepare(
+    `UPDATE session_pauses
+     SET resumed_at = MAX(paused_at, ?)
+     WHERE session_id = ? AND resumed_at IS NULL`
+  );
+  const deleteSession = db.prepare('DELETE FROM sessions WHERE id = ? AND ended_at IS NULL');
+
+  activeSessions.forEach((session) => {
+    db.exec('BEGIN IMMEDIATE;');
+    try {
+      const activity = loadSessionActivity(db, session);
+      if (activity.lastActivityMs === null || activity.lastActivityMs > cutoffMs) {
+        db.exec('COMMIT;');
+        return;
+      }
+      if (!activity.setCount && !activity.hasCompletionSignal) {
+        deleteSession.run(session.id);
+        db.exec('COMMIT;');
+        discarded.push(session.id);
+        return;
+      }
+      const endedAt = new Date(activity.lastSetMs ?? activity.lastActivityMs).toISOString();
+      closeSession.run(endedAt, closedAt, session.id);
+      closeOpenPauses.run(endedAt, session.id);
+      onSessionClosed?.(session.id);
+      db.exec('COMMIT;');
+      closed.push({ sessionId: session.id, userId: session.user_id, endedAt });
+    } catch (error) {
+      db.exec('ROLLBACK;');
+      failed.push({ sessionId: session.id, error });
+    }
+  });
+
+  return { closed, discarded, failed };
+}
+
+function startSessionAutoClose({
+  db,
+  enabled = true,
+  idleMs = DEFAULT_IDLE_MS,
+  checkIntervalMs = DEFAULT_CHECK_INTERVAL_MS,
+  now = () => Date.now(),
+  logger = console,
+  onSessionClosed = null,
+} = {}) {
+  if (!enabled) {
+    return null;
+  }
+
+  const runOnce = () => {
+    try {
+      const result = runSessionAutoCloseCycle({
+        db,
+        idleMs,
+        now: now(),
+        onSessionClosed,
+      });
+      if (result.closed.length > 0) {
+        logger.info(`Automatically closed ${result.closed.length} abandoned workout(s).`);
+      }
+      if (result.discarded.length > 0) {
+        logger.info(`Discarded ${result.discarded.length} abandoned empty workout(s).`);
+      }
+      result.failed.forEach(({ sessionId, error }) => {
+        logger.warn(`Could not close abandoned workout ${sessionId}.`, error);
+      });
+      return result;
+    } catch (error) {
+      logger.warn('Automatic workout close cycle failed.', error);
+      return null;
+    }
+  };
+
+  runOnce();
+  const timer = setInterval(runOnce, checkIntervalMs);
+  timer.unref?.();
+
+  return {
+    stop() {
+      clearInterval(timer);
+    },
+    runOnce,
+  };
+}
+
+export {
+  DEFAULT_CHECK_INTERVAL_MS,
+  DEFAULT_IDLE_MS,
+  resolveSessionAutoCloseConfig,
+  runSessionAutoCloseCycle,
+  startSessionAutoClose,
+};
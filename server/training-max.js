@@ -0,0 +1,110 @@
+const TARGET_PERCENT_MIN = 10;
+const TARGET_PERCENT_MAX = 150;
+const TRAINING_MAX_WEIGHT_MAX = 1000;
+// Equipment without an inventory (machines, cables) rounds to whole kilograms.
+const FALLBACK_WEIGHT_STEP = 1;
+// Plate sums are tracked in hundredths of a kilogram so 1.25 kg plates add up exactly.
+const WEIGHT_UNITS_PER_KG = 100;
+
+function roundWeight(value) {
+  return Math.round(Number(value) * WEIGHT_UNITS_PER_KG) / WEIGHT_UNITS_PER_KG;
+}
+
+// Returns { targetPercent, valid }; an empty value means the set has no percentage.
+function parseTargetPercentValue(value) {
+  if (value === undefined || value === null || value === '') {
+    return { targetPercent: null, valid: true };
+  }
+  const percent = Number(value);
+  if (
+    !Number.isFinite(percent)
+    || percent < TARGET_PERCENT_MIN
+    || percent > TARGET_PERCENT_MAX
+    || !Number.isInteger(percent * 2)
+  ) {
+    return { targetPercent: null, valid: false };
+  }
+  return { targetPercent: percent, valid: true };
+}
+
+function normalizeTrainingMaxWeight(value) {
+  const weight = roundWeight(value);
+  if (value === null || value === '' || !Number.isFinite(weight) || weight <= 0 || weight > TRAINING_MAX_WEIGHT_MAX) {
+    throw new Error(`Training max must be above 0 and at most ${TRAINING_MAX_WEIGHT_MAX} kg.`);
+  }
+  return weight;
+}
+
+function listPerSidePlateUnits(plates) {
+  let sums = new Set([0]);
+  (plates || []).forEach(({ weight, pairs }) => {
+    const units = Math.round(Number(weight) * WEIGHT_UNITS_PER_KG);
+    const next = new Set(sums);
+    sums.forEach((sum) => {
+      for (let count = 1; count <= pairs; count += 1) {
+        next.add(sum + units * count);
+      }
+    });
+    sums = next;
+  });
+  return [...sums].sort((left, right) => left - right);
+}
+
+// Mirrors the client's plate math: barbells load plate pairs on the heaviest bar, dumbbells and
+// kettlebells come from their racks. Returns null for equipment the inventory does not describe.
+function listLoadableWeights(equipment, inventory) {
+  const kind = String(equipment || '').trim().toLowerCase();
+  if (kind === 'barbell') {
+    const barWeights = inventory?.barWeights || [];
+    if (!barWeights.length) return null;
+    const barUnits = Math.round(Math.max(...barWeights) * WEIGHT_UNITS_PER_KG);
+    return listPerSidePlateUnits(inventory.plates)
+      .map((sideUnits) => (barUnits + sideUnits * 2) / WEIGHT_UNITS_PER_KG);
+  }
+  if (kind === 'dumbbell') return inventory?.dumbbells?.length ? inventory.dumbbells : null;
+  if (kind === 'kettlebell') return inventory?.kettlebells?.length ? inventory.kettlebells : null;
+  return null;
+}
+
+function snapToLoadableWeight(weight, equipment, inventory) {
+  const numeric = Number(weight);
+  if (!Number.isFinite(numeric)) return null;
+  const loadable = listLoadableWeights(equipment, inventory);
+  if (!loadable?.length) {
+    return roundWeight(Math.round(numeric / FALLBACK_WEIGHT_STEP) * FALLBACK_WEIGHT_STEP);
+  }
+  return loadable.reduce((closest, candidate) => (
+    Math.abs(candidate - numeric) < Math.abs(closest - numeric) ? candidate : closest
+  ), loadable[0]);
+}
+
+// Turns percentage set targets into concrete loadable weights. Without a training max the
+// percentages are kept but no weight is prescribed, so the routine's own target weight applies.
+// Returns { setTargets, topWeight } where topWeight is the heaviest prescribed set.
+function resolvePercentSetTargets(setTargets, { trainingMax = null, equipment = null, inventory = null } = {}) {
+  const max = Number(trainingMax);
+  const hasTrainingMax = trainingMax !== null && Number.isFinite(max) && max > 0;
+  let topWeight = null;
+  const resolved = (Array.isArray(setTargets) ? setTargets : []).map((target) => {
+    const percent = Number(target?.targetPercent);
+    if (!hasTrainingMax || target?.targetPercent === null || target?.targetPercent === undefined || !Number.isFinite(percent)) {
+      return { ...target, targetWeight: target?.targetWeight ?? null };
+    }
+    const targetWeight = snapToLoadableWeight((max * percent) / 100, equipment, inventory);
+    if (targetWeight !== null && (topWeight === null || targetWeight > topWeight)) {
+      topWeight = targetWeight;
+    }
+    return { ...target, targetWeight };
+  });
+  return { setTargets: resolved, topWeight };
+}
+
+export {
+  TARGET_PERCENT_MAX,
+  TARGET_PERCENT_MIN,
+  TRAINING_MAX_WEIGHT_MAX,
+  normalizeTrainingMaxWeight,
+  parseTargetPercentValue,
+  resolvePercentSetTargets,
+  snapToLoadableWeight,
+};
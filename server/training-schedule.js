@@ -0,0 +1,209 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEDULE_MODES = ['weekdays', 'rotation'];
+const SCHEDULE_ROTATION_MAX = 14;
+const SCHEDULE_INTERVAL_DAYS_MAX = 7;
+const DEFAULT_INTERVAL_DAYS = 2;
+const TIMEZONE_OFFSET_MAX_MINUTES = 14 * 60;
+
+function normalizeScheduleIntervalDays(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_INTERVAL_DAYS;
+  const intervalDays = Number(value);
+  if (!Number.isInteger(intervalDays) || intervalDays < 1 || intervalDays > SCHEDULE_INTERVAL_DAYS_MAX) {
+    throw new Error(`Days between workouts must be 1-${SCHEDULE_INTERVAL_DAYS_MAX}.`);
+  }
+  return intervalDays;
+}
+
+function normalizeScheduleRoutineId(value) {
+  const routineId = Number(value);
+  if (!Number.isInteger(routineId) || routineId <= 0) {
+    throw new Error('Each scheduled workout needs a routine.');
+  }
+  return routineId;
+}
+
+// Validates the shape of a schedule; routine ownership is checked by the caller.
+// Weekdays follow ISO numbering (1 = Monday, 7 = Sunday).
+function normalizeScheduleDefinition(payload) {
+  const body = payload && typeof payload === 'object' ? payload : {};
+  const mode = body.mode === undefined ? 'weekdays' : body.mode;
+  if (!SCHEDULE_MODES.includes(mode)) {
+    throw new Error('Schedule mode must be weekdays or rotation.');
+  }
+  const slotInputs = Array.isArray(body.slots) ? body.slots : [];
+  const intervalDays = normalizeScheduleIntervalDays(body.intervalDays);
+
+  if (mode === 'rotation') {
+    if (slotInputs.length > SCHEDULE_ROTATION_MAX) {
+      throw new Error(`Rotations can hold up to ${SCHEDULE_ROTATION_MAX} workouts.`);
+    }
+    return {
+      mode,
+      intervalDays,
+      slots: slotInputs.map((slot, index) => ({
+        position: index + 1,
+        weekday: null,
+        routineId: normalizeScheduleRoutineId(slot?.routineId),
+      })),
+    };
+  }
+
+  const seenWeekdays = new Set();
+  const slots = slotInputs.map((slot) => {
+    const weekday = Number(slot?.weekday);
+    if (!Number.isInteger(weekday) || weekday < 1 || weekday > 7) {
+      throw new Error('Scheduled weekdays must be 1 (Monday) to 7 (Sunday).');
+    }
+    if (seenWeekdays.has(weekday)) {
+      throw new Error('Each weekday can only hold one routine.');
+    }
+    seenWeekdays.add(weekday);
+    return { weekday, routineId: normalizeScheduleRoutineId(slot?.routineId) };
+  });
+  return {
+    mode,
+    intervalDays,
+    slots: slots
+      .sort((a, b) => a.weekday - b.weekday)
+      .map((slot, index) => ({ position: index + 1, ...slot })),
+  };
+}
+
+function normalizeTimezoneOffset(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  const offset = Number(value);
+  if (!Number.isInteger(offset) || Math.abs(offset) > TIMEZONE_OFFSET_MAX_MINUTES) {
+    throw new Error('Invalid timezone offset.');
+  }
+  return offset;
+}
+
+// Days are counted in the user's local calendar; the offset follows Date#getTimezoneOffset.
+function toLocalDayNumber(value, timezoneOffsetMinutes) {
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  if (!Number.isFinite(time)) return null;
+  return Math.floor((time - timezoneOffsetMinutes * 60 * 1000) / DAY_MS);
+}
+
+function formatDayNumber(dayNumber) {
+  return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Day 0 (1970-01-01) was a Thursday.
+function resolveIsoWeekday(dayNumber) {
+  return (((dayNumber + 3) % 7) + 7) % 7 + 1;
+}
+
+function buildScheduledWorkout(slot, dueDay, today) {
+  let status = 'upcoming';
+  if (dueDay < today) status = 'missed';
+  if (dueDay === today) status = 'today';
+  return {
+    routineId: slot.routineId,
+    routineName: slot.routineName || null,
+    weekday: slot.weekday ?? null,
+    position: slot.position,
+    dueDate: formatDayNumber(dueDay),
+    status,
+  };
+}
+
+// A weekday slot counts as done once its routine was trained on or after that day in the
+// current week, and before the routine's next slot. Today's workout wins over missed ones,
+// then the earliest missed workout, then the next one on the calendar.
+function resolveWeekdayRecommendation(slots, sessionDays, today) {
+  const weekStart = today - (resolveIsoWeekday(today) - 1);
+  const dueSlots = slots
+    .map((slot) => ({ slot, dueDay: weekStart + slot.weekday - 1 }))
+    .sort((a, b) => a.dueDay - b.dueDay);
+
+  const pending = dueSlots.filter(({ slot, dueDay }, index) => {
+    if (dueDay > today) return false;
+    const nextSameRoutine = dueSlots
+      .slice(index + 1)
+      .find((entry) => entry.slot.routineId === slot.routineId);
+    const windowEnd = nextSameRoutine ? nextSameRoutine.dueDay : weekStart + 7;
+    return !sessionDays.some(
+      (session) => session.routineId === slot.routineId && session.day >= dueDay && session.day < windowEnd
+    );
+  });
+  const missed = pending
+    .filter(({ dueDay }) => dueDay < today)
+    .map(({ slot, dueDay }) => buildScheduledWorkout(slot, dueDay, today));
+  const dueToday = pending.find(({ dueDay }) => dueDay === today);
+  if (dueToday) {
+    return { next: buildScheduledWorkout(dueToday.slot, dueToday.dueDay, today), missed };
+  }
+  if (missed.length) {
+    return { next: missed[0], missed };
+  }
+  const upcoming = dueSlots.find(({ dueDay }) => dueDay > today)
+    || { slot: dueSlots[0].slot, dueDay: dueSlots[0].dueDay + 7 };
+  return { next: buildScheduledWorkout(upcoming.slot, upcoming.dueDay, today), missed };
+}
+
+// Rotations are replayed from the oldest recent workout so repeated routines (A/B/A/C)
+// resolve to the right slot. Every interval that passes without a workout is one missed slot.
+function resolveRotationRecommendation(slots, sessionDays, intervalDays, today) {
+  const rotationSessions = sessionDays
+    .filter((session) => slots.some((slot) => slot.routineId === session.routineId))
+    .sort((a, b) => a.day - b.day);
+  if (!rotationSessions.length) {
+    return { next: buildScheduledWorkout(slots[0], today, today), missed: [] };
+  }
+  let pointer = 0;
+  rotationSessions.forEach((session) => {
+    for (let step = 0; step < slots.length; step += 1) {
+      const index = (pointer + step) % slots.length;
+      if (slots[index].routineId === session.routineId) {
+        pointer = (index + 1) % slots.length;
+        return;
+      }
+    }
+  });
+  const lastDay = rotationSessions[rotationSessions.length - 1].day;
+  const missed = [];
+  for (let step = 0; step < slots.length; step += 1) {
+    const dueDay = lastDay + intervalDays * (step + 1);
+    if (dueDay >= today) break;
+    missed.push(buildScheduledWorkout(slots[(pointer + step) % slots.length], dueDay, today));
+  }
+  return {
+    next: missed[0] || buildScheduledWorkout(slots[pointer], lastDay + intervalDays, today),
+    missed,
+  };
+}
+
+// Computes the next due workout and any missed ones from completed sessions
+// ({ routineId, startedAt }). Returns { next: null, missed: [] } for an empty schedule.
+function resolveScheduleRecommendation(schedule, sessions, { now = new Date(), timezoneOffsetMinutes = 0 } = {}) {
+  const slots = Array.isArray(schedule?.slots) ? schedule.slots : [];
+  if (!slots.length) {
+    return { next: null, missed: [] };
+  }
+  const today = toLocalDayNumber(now, timezoneOffsetMinutes);
+  const sessionDays = (Array.isArray(sessions) ? sessions : [])
+    .map((session) => ({
+      routineId: Number(session.routineId),
+      day: toLocalDayNumber(session.startedAt, timezoneOffsetMinutes),
+    }))
+    .filter((session) => session.day !== null && session.day <= today);
+  if (schedule.mode === 'rotation') {
+    const orderedSlots = [...slots].sort((a, b) => a.position - b.position);
+    return resolveRotationRecommendation(
+      orderedSlots,
+      sessionDays,
+      Number(schedule.intervalDays) || DEFAULT_INTERVAL_DAYS,
+      today
+    );
+  }
+  return resolveWeekdayRecommendation(slots, sessionDays, today);
+}
+
+export {
+  SCHEDULE_INTERVAL_DAYS_MAX,
+  SCHEDULE_ROTATION_MAX,
+  normalizeScheduleDefinition,
+  normalizeTimezoneOffset,
+  resolveScheduleRecommendation,
+};
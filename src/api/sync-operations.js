@@ -20,6 +20,19 @@ export function parseJsonBody(body) {
   }
 }
 
+const SET_SIDE_FIELDS = ['leftReps', 'leftWeight', 'rightReps', 'rightWeight'];
+
+function pickSetSideFields(body) {
+  return Object.fromEntries(
+    SET_SIDE_FIELDS.map((field) => [
+      field,
+      body[field] === null || body[field] === undefined || body[field] === ''
+        ? null
+        : Number(body[field]),
+    ])
+  );
+}
+
 export function toSyncOperation(path, method, body) {
   if (method === 'POST') {
     const createSetMatch = path.match(/^\/api\/sessions\/(\d+)\/sets$/);
@@ -31,11 +44,28 @@ export function toSyncOperation(path, method, body) {
           sessionId,
           exerciseId: Number(body.exerciseId),
           routineExerciseId: Number(body.routineExerciseId) || null,
-          reps: Number(body.reps),
+          reps:
+            body.reps === null || body.reps === undefined || body.reps === ''
+              ? null
+              : Number(body.reps),
           weight:
             body.weight === null || body.weight === undefined || body.weight === ''
               ? 0
               : Number(body.weight),
+          timeSeconds:
+            body.timeSeconds === null || body.timeSeconds === undefined || body.timeSeconds === ''
+              ? null
+              : Number(body.timeSeconds),
+          distanceMeters:
+            body.distanceMeters === null || body.distanceMeters === undefined || body.distanceMeters === ''
+              ? null
+              : Number(body.distanceMeters),
+          ...pickSetSideFields(body),
+          rpe:
+            body.rpe === null || body.rpe === undefined || body.rpe === ''
+              ? null
+              : Number(body.rpe),
+          setType: body.setType || 'working',
           bandLabel: body.bandLabel || null,
           startedAt: body.startedAt || null,
           completedAt: body.completedAt || body.createdAt || nowIso(),
@@ -43,6 +73,46 @@ export function toSyncOperation(path, method, body) {
       };
     }
 
+    const addExerciseMatch = path.match(/^\/api\/sessions\/(\d+)\/exercises$/);
+    if (addExerciseMatch) {
+      return {
+        operationType: 'session_exercise.add',
+        payload: {
+          sessionId: Number(addExerciseMatch[1]),
+          exerciseId: Number(body.exerciseId),
+          equipment: body.equipment || null,
+          targetSets: Number(body.targetSets) || null,
+          targetReps: Number(body.targetReps) || null,
+          targetTimeSeconds: Number(body.targetTimeSeconds) || null,
+          targetDistanceMeters: Number(body.targetDistanceMeters) || null,
+          targetRestSeconds:
+            body.targetRestSeconds === null || body.targetRestSeconds === undefined || body.targetRestSeconds === ''
+              ? null
+              : Number(body.targetRestSeconds),
+          targetWeight:
+            body.targetWeight === null || body.targetWeight === undefined || body.targetWeight === ''
+              ? null
+              : Number(body.targetWeight),
+          targetBandLabel: body.targetBandLabel || null,
+          notes: body.notes ?? null,
+          unilateral: body.unilateral === true,
+        },
+      };
+    }
+
+    const substituteExerciseMatch = path.match(/^\/api\/sessions\/(\d+)\/exercises\/(\d+)\/substitute$/);
+    if (substituteExerciseMatch) {
+      return {
+        operationType: 'session_exercise.substitute',
+        payload: {
+          sessionId: Number(substituteExerciseMatch[1]),
+          exerciseId: Number(substituteExerciseMatch[2]),
+          routineExerciseId: Number(body.routineExerciseId) || null,
+          substituteExerciseId: Number(body.substituteExerciseId),
+        },
+      };
+    }
+
     const startExerciseMatch = path.match(/^\/api\/sessions\/(\d+)\/exercises\/(\d+)\/start$/);
     if (startExerciseMatch) {
       return {
@@ -69,6 +139,28 @@ export function toSyncOperation(path, method, body) {
       };
     }
 
+    const pauseSessionMatch = path.match(/^\/api\/sessions\/(\d+)\/pause$/);
+    if (pauseSessionMatch) {
+      return {
+        operationType: 'session.pause',
+        payload: {
+          sessionId: Number(pauseSessionMatch[1]),
+          pausedAt: body.pausedAt || nowIso(),
+        },
+      };
+    }
+
+    const resumeSessionMatch = path.match(/^\/api\/sessions\/(\d+)\/resume$/);
+    if (resumeSessionMatch) {
+      return {
+        operationType: 'session.resume',
+        payload: {
+          sessionId: Number(resumeSessionMatch[1]),
+          resumedAt: body.resumedAt || nowIso(),
+        },
+      };
+    }
+
     if (path === '/api/weights') {
       return {
         operationType: 'bodyweight.create',
@@ -116,9 +208,26 @@ export function toSyncOperation(path, method, body) {
       if (Object.prototype.hasOwnProperty.call(body, 'weight')) {
         payload.weight = body.weight;
       }
+      if (Object.prototype.hasOwnProperty.call(body, 'timeSeconds')) {
+        payload.timeSeconds = body.timeSeconds;
+      }
+      if (Object.prototype.hasOwnProperty.call(body, 'distanceMeters')) {
+        payload.distanceMeters = body.distanceMeters;
+      }
+      SET_SIDE_FIELDS.forEach((field) => {
+        if (Object.prototype.hasOwnProperty.call(body, field)) {
+          payload[field] = body[field];
+        }
+      });
       if (Object.prototype.hasOwnProperty.call(body, 'bandLabel')) {
         payload.bandLabel = body.bandLabel;
       }
+      if (Object.prototype.hasOwnProperty.call(body, 'rpe')) {
+        payload.rpe = body.rpe;
+      }
+      if (Object.prototype.hasOwnProperty.call(body, 'setType')) {
+        payload.setType = body.setType;
+      }
       return {
         operationType: 'session_set.update',
         payload,
@@ -136,6 +245,7 @@ export function toSyncOperation(path, method, body) {
           exerciseId: Number(updateRoutineExerciseTargetMatch[2]),
           routineExerciseId: Number(body.routineExerciseId) || null,
           equipment: body.equipment,
+          setIndex: Number(body.setIndex) || null,
           targetWeight: Number(body.targetWeight),
         },
       };
@@ -151,6 +261,7 @@ export function toSyncOperation(path, method, body) {
           routineId: Number(updateRoutineExerciseTargetRepsMatch[1]),
           exerciseId: Number(updateRoutineExerciseTargetRepsMatch[2]),
           routineExerciseId: Number(body.routineExerciseId) || null,
+          setIndex: Number(body.setIndex) || null,
           targetReps: Number(body.targetReps),
         },
       };
@@ -187,8 +298,16 @@ export function buildQueuedResponse(operation, operationId) {
           ? `routine:${operation.payload.routineExerciseId}`
           : `exercise:${operation.payload.exerciseId}`,
         setIndex: 1,
+        setType: operation.payload.setType || 'working',
         reps: operation.payload.reps,
         weight: operation.payload.weight,
+        timeSeconds: operation.payload.timeSeconds ?? null,
+        distanceMeters: operation.payload.distanceMeters ?? null,
+        leftReps: operation.payload.leftReps ?? null,
+        leftWeight: operation.payload.leftWeight ?? null,
+        rightReps: operation.payload.rightReps ?? null,
+        rightWeight: operation.payload.rightWeight ?? null,
+        rpe: operation.payload.rpe ?? null,
         bandLabel: operation.payload.bandLabel || null,
         startedAt: operation.payload.startedAt || null,
         completedAt,
@@ -209,6 +328,75 @@ export function buildQueuedResponse(operation, operationId) {
     };
   }
 
+  if (operation.operationType === 'session_exercise.add') {
+    const {
+      exerciseId,
+      targetSets,
+      targetReps,
+      targetTimeSeconds = null,
+      targetDistanceMeters = null,
+    } = operation.payload;
+    return {
+      queued: true,
+      offline: true,
+      exercise: {
+        exerciseId,
+        routineExerciseId: null,
+        sessionExerciseKey: `exercise:${exerciseId}`,
+        equipment: operation.payload.equipment || null,
+        targetSets,
+        targetReps,
+        targetTimeSeconds,
+        targetDistanceMeters,
+        setTargets: Array.from({ length: targetSets || 0 }, (_, index) => ({
+          setIndex: index + 1,
+          targetReps,
+          targetTimeSeconds,
+          targetDistanceMeters,
+          setType: 'working',
+        })),
+        targetRestSeconds: operation.payload.targetRestSeconds ?? null,
+        targetWeight: operation.payload.targetWeight ?? null,
+        targetBandLabel: operation.payload.targetBandLabel || null,
+        notes: operation.payload.notes || null,
+        supersetGroup: null,
+        unilateral: Boolean(operation.payload.unilateral),
+        status: 'pending',
+        startedAt: null,
+        completedAt: null,
+        sets: [],
+        pending: true,
+      },
+      exerciseProgress: {
+        exerciseId,
+        routineExerciseId: null,
+        sessionExerciseKey: `exercise:${exerciseId}`,
+        status: 'pending',
+        startedAt: null,
+        completedAt: null,
+        pending: true,
+      },
+    };
+  }
+
+  if (operation.operationType === 'session_exercise.substitute') {
+    const { exerciseId, routineExerciseId, substituteExerciseId } = operation.payload;
+    return {
+      queued: true,
+      offline: true,
+      exercise: null,
+      exerciseProgress: {
+        exerciseId: substituteExerciseId,
+        routineExerciseId: routineExerciseId || null,
+        sessionExerciseKey: routineExerciseId
+          ? `routine:${routineExerciseId}`
+          : `exercise:${substituteExerciseId}`,
+        originalExerciseId: exerciseId,
+        pending: true,
+      },
+    };
+  }
+
   if (operation.operationType === 'session_exercise.start') {
     return {
       queued: true,
@@ -272,15 +460,40 @@ export function buildQueuedResponse(operation, operationId) {
     };
   }
 
+  if (operation.operationType === 'session.pause') {
+    return {
+      queued: true,
+      offline: true,
+      session: {
+        id: operation.payload.sessionId,
+        pausedAt: operation.payload.pausedAt,
+        pending: true,
+      },
+    };
+  }
+
+  if (operation.operationType === 'session.resume') {
+    return {
+      queued: true,
+      offline: true,
+      session: {
+        id: operation.payload.sessionId,
+        pausedAt: null,
+        resumedAt: operation.payload.resumedAt,
+        pending: true,
+      },
+    };
+  }
+
   if (operation.operationType === 'session_set.update') {
+    // Only echo the fields that were sent so partial edits do not blank the rest of the set.
+    const { setId, ...setChanges } = operation.payload;
     return {
       queued: true,
       offline: true,
       set: {
-        id: operation.payload.setId,
-        reps: operation.payload.reps,
-        weight: operation.payload.weight,
-        bandLabel: operation.payload.bandLabel || null,
+        ...setChanges,
+        id: setId,
         pending: true,
       },
     };
@@ -294,6 +507,7 @@ export function buildQueuedResponse(operation, operationId) {
         routineId: operation.payload.routineId,
         exerciseId: operation.payload.exerciseId,
         equipment: operation.payload.equipment || null,
+        setIndex: operation.payload.setIndex ?? null,
         targetWeight: operation.payload.targetWeight,
         updatedAt: nowIso(),
         pending: true,
@@ -308,6 +522,7 @@ export function buildQueuedResponse(operation, operationId) {
       target: {
         routineId: operation.payload.routineId,
         exerciseId: operation.payload.exerciseId,
+        setIndex: operation.payload.setIndex ?? null,
         targetReps: operation.payload.targetReps,
         updatedAt: nowIso(),
         pending: true,
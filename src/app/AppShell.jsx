@@ -8,8 +8,11 @@ import AnimatedNavLink from '../ui/nav/AnimatedNavLink.jsx';
 import WorkoutPage from '../pages/WorkoutPage.jsx';
 import RoutinesPage from '../pages/RoutinesPage.jsx';
 import ExercisesPage from '../pages/ExercisesPage.jsx';
+import ExerciseDetailPage from '../pages/ExerciseDetailPage.jsx';
 import StatsPage from '../pages/StatsPage.jsx';
 import SettingsPage from '../pages/SettingsPage.jsx';
+import RoutinePrintPage from '../pages/RoutinePrintPage.jsx';
+import SessionPrintPage from '../pages/SessionPrintPage.jsx';
 
 function AppShell({ user, onLogout, error }) {
   const location = useLocation();
@@ -190,9 +193,12 @@ function AppShell({ user, onLogout, error }) {
             <Routes location={location}>
               <Route path="/" element={<Navigate to="/workout" replace />} />
               <Route path="/workout" element={<WorkoutPage />} />
+              <Route path="/workout/sessions/:id/print" element={<SessionPrintPage />} />
               <Route path="/log" element={<Navigate to="/workout" replace />} />
               <Route path="/routines" element={<RoutinesPage />} />
+              <Route path="/routines/:id/print" element={<RoutinePrintPage />} />
               <Route path="/exercises" element={<ExercisesPage />} />
+              <Route path="/exercises/:id" element={<ExerciseDetailPage />} />
               <Route path="/stats" element={<StatsPage />} />
               <Route path="/settings" element={<SettingsPage user={user} onLogout={onLogout} />} />
             </Routes>
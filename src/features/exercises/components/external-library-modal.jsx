@@ -10,6 +10,7 @@ function ExternalLibraryModal({
   libraryResults,
   onAddFromLibrary,
   formatMuscleLabel,
+  catalogMatches = [],
 }) {
   if (!open) return null;
 
@@ -39,6 +40,11 @@ function ExternalLibraryModal({
             onChange={(event) => onLibraryQueryChange(event.target.value)}
           />
         </div>
+        {catalogMatches.length ? (
+          <div className="muted">
+            {`Already in your exercises: ${catalogMatches.map((exercise) => exercise.name).join(', ')}`}
+          </div>
+        ) : null}
         {libraryLoading ? <div className="muted">Searching library…</div> : null}
         {!libraryLoading && libraryQuery.trim() && !libraryResults.length ? (
           <div className="muted">No external library matches.</div>
@@ -0,0 +1,76 @@
+import { FaForwardStep, FaPenToSquare, FaTrashCan } from 'react-icons/fa6';
+import {
+  formatProgramNextWorkoutLabel,
+  formatProgramWeekModifiers,
+} from '../routine-utils.js';
+
+function ProgramCard({ program, onEdit, onSkip, onDelete }) {
+  const programNotes = typeof program.notes === 'string' ? program.notes.trim() : '';
+  return (
+    <div className="card program-card">
+      <div className="routine-card-header">
+        <div>
+          <div className="section-title">{program.name}</div>
+          {programNotes ? <div className="muted">{programNotes}</div> : null}
+          <div className="muted">
+            Next: {formatProgramNextWorkoutLabel(program)}
+          </div>
+        </div>
+        <div className="inline routine-card-actions">
+          <button
+            className="button ghost icon-button"
+            type="button"
+            aria-label={`Edit program ${program.name}`}
+            title="Edit program"
+            onClick={() => onEdit(program)}
+          >
+            <FaPenToSquare aria-hidden="true" />
+          </button>
+          <button
+            className="button ghost icon-button"
+            type="button"
+            aria-label={`Skip next workout in ${program.name}`}
+            title="Skip next workout"
+            disabled={!program.nextWorkout}
+            onClick={() => onSkip(program)}
+          >
+            <FaForwardStep aria-hidden="true" />
+          </button>
+          <button
+            className="button ghost icon-button"
+            type="button"
+            aria-label={`Delete program ${program.name}`}
+            title="Delete program"
+            onClick={() => onDelete(program)}
+          >
+            <FaTrashCan aria-hidden="true" />
+          </button>
+        </div>
+      </div>
+      <div className="inline program-card-weeks">
+        {program.weeks.map((week) => {
+          const isCurrent = program.nextWorkout?.weekNumber === week.weekNumber;
+          const modifiers = formatProgramWeekModifiers(week);
+          return (
+            <span
+              key={week.weekNumber}
+              className={`badge${isCurrent ? ' badge-superset' : ''}`}
+              aria-current={isCurrent ? 'step' : undefined}
+            >
+              {modifiers ? `W${week.weekNumber} · ${modifiers}` : `W${week.weekNumber}`}
+            </span>
+          );
+        })}
+      </div>
+      <ol className="program-card-days">
+        {program.days.map((day) => (
+          <li key={day.id}>
+            {day.label ? `${day.label} · ${day.routineName}` : day.routineName}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default ProgramCard;
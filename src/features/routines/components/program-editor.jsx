@@ -0,0 +1,177 @@
+import { useState } from 'react';
+import { FaTrashCan } from 'react-icons/fa6';
+import {
+  PROGRAM_DAYS_MAX,
+  PROGRAM_WEEKS_MAX,
+  buildProgramPayload,
+  createProgramDayDraft,
+  createProgramDraft,
+  resizeProgramWeekDrafts,
+  toggleProgramWeekDeload,
+} from '../routine-utils.js';
+
+const WEEK_COUNT_OPTIONS = Array.from({ length: PROGRAM_WEEKS_MAX }, (_, index) => String(index + 1));
+
+function ProgramEditor({ program, routines, onSave }) {
+  const [draft, setDraft] = useState(() => createProgramDraft(program));
+  const [formError, setFormError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const updateDraft = (changes) => {
+    setDraft((prev) => ({ ...prev, ...changes }));
+    setFormError(null);
+  };
+
+  const updateWeek = (index, changeWeek) => {
+    updateDraft({
+      weeks: draft.weeks.map((week, weekIndex) => (weekIndex === index ? changeWeek(week) : week)),
+    });
+  };
+
+  const updateDay = (index, key, value) => {
+    updateDraft({
+      days: draft.days.map((day, dayIndex) => (dayIndex === index ? { ...day, [key]: value } : day)),
+    });
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (isSaving) return;
+    const { payload, error } = buildProgramPayload(draft);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    setIsSaving(true);
+    try {
+      await onSave({ ...payload, id: program?.id });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="stack program-editor-form" onSubmit={handleSubmit}>
+      <input
+        className="input"
+        aria-label="Program name"
+        placeholder="Program name"
+        value={draft.name}
+        onChange={(event) => updateDraft({ name: event.target.value })}
+      />
+      <input
+        className="input"
+        aria-label="Program notes"
+        placeholder="Notes"
+        value={draft.notes}
+        onChange={(event) => updateDraft({ notes: event.target.value })}
+      />
+
+      <div className="section-title">Workout days</div>
+      <div className="muted">Each week runs these routines in order.</div>
+      {draft.days.map((day, index) => (
+        <div key={day.key} className="form-row program-editor-day">
+          <select
+            aria-label={`Day ${index + 1} routine`}
+            value={day.routineId}
+            onChange={(event) => updateDay(index, 'routineId', event.target.value)}
+          >
+            <option value="">Routine</option>
+            {routines.map((routine) => (
+              <option key={routine.id} value={String(routine.id)}>
+                {routine.name}
+              </option>
+            ))}
+          </select>
+          <input
+            className="input"
+            aria-label={`Day ${index + 1} label`}
+            placeholder={`Day ${index + 1}`}
+            value={day.label}
+            onChange={(event) => updateDay(index, 'label', event.target.value)}
+          />
+          <button
+            className="button ghost icon-button"
+            type="button"
+            aria-label={`Remove day ${index + 1}`}
+            title="Remove day"
+            disabled={draft.days.length === 1}
+            onClick={() => updateDraft({ days: draft.days.filter((_, dayIndex) => dayIndex !== index) })}
+          >
+            <FaTrashCan aria-hidden="true" />
+          </button>
+        </div>
+      ))}
+      <button
+        className="button ghost"
+        type="button"
+        disabled={draft.days.length >= PROGRAM_DAYS_MAX}
+        onClick={() => updateDraft({ days: [...draft.days, createProgramDayDraft()] })}
+      >
+        Add day
+      </button>
+
+      <div className="split">
+        <div className="section-title">Weeks</div>
+        <div className="input-suffix-wrap program-editor-week-count">
+          <select
+            aria-label="Program weeks"
+            className="input-suffix-select input-suffix-select-wide"
+            value={String(draft.weeks.length)}
+            onChange={(event) => updateDraft({ weeks: resizeProgramWeekDrafts(draft.weeks, event.target.value) })}
+          >
+            {WEEK_COUNT_OPTIONS.map((value) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+          <span className="input-suffix" aria-hidden="true">weeks</span>
+        </div>
+      </div>
+      {draft.weeks.map((week, index) => (
+        <div key={week.key} className="form-row program-editor-week">
+          <span className="program-editor-week-label">Week {index + 1}</span>
+          <div className="input-suffix-wrap">
+            <input
+              className="input"
+              type="number"
+              inputMode="numeric"
+              aria-label={`Week ${index + 1} volume`}
+              value={week.volumePercent}
+              onChange={(event) => updateWeek(index, (current) => ({ ...current, volumePercent: event.target.value }))}
+            />
+            <span className="input-suffix" aria-hidden="true">% sets</span>
+          </div>
+          <div className="input-suffix-wrap">
+            <input
+              className="input"
+              type="number"
+              inputMode="numeric"
+              aria-label={`Week ${index + 1} intensity`}
+              value={week.intensityPercent}
+              onChange={(event) => updateWeek(index, (current) => ({ ...current, intensityPercent: event.target.value }))}
+            />
+            <span className="input-suffix" aria-hidden="true">% load</span>
+          </div>
+          <button
+            type="button"
+            className={`button ghost program-editor-deload-toggle ${week.deload ? 'active' : ''}`}
+            aria-pressed={week.deload}
+            aria-label={`Week ${index + 1} deload`}
+            onClick={() => updateWeek(index, toggleProgramWeekDeload)}
+          >
+            Deload
+          </button>
+        </div>
+      ))}
+
+      {formError ? <div className="notice">{formError}</div> : null}
+      <button className="button" type="submit" disabled={isSaving}>
+        {program?.id ? 'Save program' : 'Create program'}
+      </button>
+    </form>
+  );
+}
+
+export default ProgramEditor;
@@ -10,16 +10,42 @@ import {
   ROUTINE_REST_OPTION_VALUES,
   DEFAULT_TARGET_REST_SECONDS,
   DEFAULT_TARGET_SETS,
+  DEFAULT_TARGET_TIME_SECONDS,
+  DEFAULT_TARGET_DISTANCE_METERS,
+  DEFAULT_MEASUREMENT_MODE,
+  SET_TIME_SECONDS_MAX,
+  SET_DISTANCE_METERS_MAX,
+  DEFAULT_SET_TYPE,
+  ROUTINE_SET_TARGET_TYPES,
+  SET_TYPE_OPTIONS,
+  PROGRESSION_RULE_OPTIONS,
   normalizeRoutineType,
   normalizeExercisePrimaryMuscles,
   formatMuscleLabel,
   resolveTargetRepBounds,
   resolveRoutineRestOptionValue,
   createRoutineEditorItem,
+  createProgressionRuleDraft,
+  buildProgressionRulePayload,
+  createTargetPercentDraft,
+  resizeSetPercentDrafts,
+  parseTargetPercentInput,
+  TARGET_PERCENT_MIN,
+  TARGET_PERCENT_MAX,
+  createSetTargetGridDraft,
+  resizeSetTargetGridRows,
+  parseSetTargetWeightInput,
   encodeRoutineEquipmentValue,
   decodeRoutineEquipmentValue,
   normalizeSupersetGroup,
+  resolveMeasurementMetric,
+  measurementModeUsesWeight,
+  buildSetMetricSelectOptions,
+  isValidSetMetricValue,
+  rankExercisesBySearch,
 } from '../../routines/routine-utils.js';
+import { useRoutineText } from '../hooks/use-routine-text.js';
+import RoutineTextImport from './routine-text-import.jsx';
 
 function buildRoutineEditorBlocks(sourceItems) {
   const blocks = [];
@@ -48,6 +74,10 @@ function RoutineEditor({ routine, exercises, onSave, motionConfig }) {
   const [isSaving, setIsSaving] = useState(false);
   const [dragIndex, setDragIndex] = useState(null);
   const [pendingScrollItemId, setPendingScrollItemId] = useState(null);
+  const [isTextImportOpen, setIsTextImportOpen] = useState(false);
+  const [textExport, setTextExport] = useState(null);
+  const [exerciseSearchByItemId, setExerciseSearchByItemId] = useState({});
+  const { formatRoutineText } = useRoutineText();
   const nextEditorIdRef = useRef(1);
   const scrollContainerRef = useRef(null);
   const createEditorItemId = () => {
@@ -78,11 +108,9 @@ function RoutineEditor({ routine, exercises, onSave, motionConfig }) {
         return a.localeCompare(b);
       });
   }, [exercises]);
-  const [items, setItems] = useState(() => {
-    if (!routine?.exercises?.length) {
-      return isCreateMode ? [createRoutineEditorItem({ editorId: createEditorItemId() })] : [];
-    }
-    const sourceItems = routine.exercises.map((item) => {
+  // Saved routine exercises and pasted text lines share one shape, so both load the same way.
+  const buildEditorItems = (routineExercises) => {
+    const sourceItems = routineExercises.map((item) => {
       const repBounds = resolveTargetRepBounds(item.targetReps, item.targetRepsRange);
       return {
         editorId: createEditorItemId(),
@@ -91,10 +119,21 @@ function RoutineEditor({ routine, exercises, onSave, motionConfig }) {
         equipment: item.equipment || '',
         originalTargetSets: item.targetSets ? String(item.targetSets) : DEFAULT_TARGET_SETS,
         originalTargetRepsMin: repBounds.min,
+        originalTargetTimeSeconds: item.targetTimeSeconds ? String(item.targetTimeSeconds) : null,
+        originalTargetDistanceMeters: item.targetDistanceMeters ? String(item.targetDistanceMeters) : null,
         setTargets: Array.isArray(item.setTargets) ? item.setTargets : [],
+        lastSetType: item.setTargets?.length
+          ? item.setTargets[item.setTargets.length - 1]?.setType || DEFAULT_SET_TYPE
+          : DEFAULT_SET_TYPE,
         targetSets: item.targetSets ? String(item.targetSets) : DEFAULT_TARGET_SETS,
         targetRepsMin: repBounds.min,
         targetRepsMax: repBounds.max,
+        targetTimeSeconds: item.targetTimeSeconds
+          ? String(item.targetTimeSeconds)
+          : DEFAULT_TARGET_TIME_SECONDS,
+        targetDistanceMeters: item.targetDistanceMeters
+          ? String(item.targetDistanceMeters)
+          : DEFAULT_TARGET_DISTANCE_METERS,
         targetRestSeconds: resolveRoutineRestOptionValue(item.targetRestSeconds),
         targetWeight:
           item.equipment === 'Bodyweight' || item.equipment === 'Band'
@@ -108,6 +147,10 @@ function RoutineEditor({ routine, exercises, onSave, motionConfig }) {
         notes: item.notes || '',
         position: item.position || 0,
         supersetGroup: normalizeSupersetGroup(item.supersetGroup),
+        unilateral: Boolean(item.unilateral),
+        ...createProgressionRuleDraft(item.progressionRule),
+        ...createTargetPercentDraft(item.setTargets),
+        ...createSetTargetGridDraft(item.setTargets),
         pairWithNext: false,
       };
     });
@@ -117,6 +160,12 @@ function RoutineEditor({ routine, exercises, onSave, motionConfig }) {
         Boolean(item.supersetGroup)
         && sourceItems[index + 1]?.supersetGroup === item.supersetGroup,
     }));
+  };
+  const [items, setItems] = useState(() => {
+    if (!routine?.exercises?.length) {
+      return isCreateMode ? [createRoutineEditorItem({ editorId: createEditorItemId() })] : [];
+    }
+    return buildEditorItems(routine.exercises);
   });
 
   const normalizePairings = (nextItems) =>
@@ -233,6 +282,36 @@ function RoutineEditor({ routine, exercises, onSave, motionConfig }) {
       .trim() || `exercise ${index + 1}`;
   };
 
+  const resolveItemMeasurementMode = (item) => (
+    exercises.find((exercise) => String(exercise.id) === String(item.exerciseId))?.measurementMode
+    || DEFAULT_MEASUREMENT_MODE
+  );
+
+  // Progression rules move the target weight, so they only make sense for weighted rep work.
+  const supportsProgressionRule = (item) => {
+    const measurementMode = resolveItemMeasurementMode(item);
+    return resolveMeasurementMetric(measurementMode) === 'reps'
+      && measurementModeUsesWeight(measurementMode)
+      && item.equipment !== 'Bodyweight'
+      && item.equipment !== 'Band'
+      && item.equipment !== 'Ab wheel';
+  };
+  // Percentages of a training max resolve to a weight, so they need the same kind of exercise.
+  const supportsTargetPercent = (item) => supportsProgressionRule(item);
+  const supportsSetTargetGrid = (item) => (
+    resolveMeasurementMetric(resolveItemMeasurementMode(item)) === 'reps'
+  );
+  const usesSetTargetGrid = (item) => Boolean(item.perSetTargets) && supportsSetTargetGrid(item);
+  // Percentage sets get their weight from the training max, so the grid only plans fixed weights.
+  const usesSetTargetGridWeights = (item) => (
+    usesSetTargetGrid(item) && supportsProgressionRule(item) && !(item.percentLoad && supportsTargetPercent(item))
+  );
+  const resolveSetTargetGridRows = (item) => resizeSetTargetGridRows(item.setRows, item.targetSets, {
+    reps: item.targetRepsMin,
+    weight: item.targetWeight,
+    bandLabel: item.targetBandLabel,
+  });
+
   const addItem = () => {
     const nextItemId = createEditorItemId();
     updateItems((prev) => {
@@ -261,6 +340,76 @@ function RoutineEditor({ routine, exercises, onSave, motionConfig }) {
     setFormError(null);
   };
 
+  const updateProgressionType = (index, type) => {
+    updateItems((prev) =>
+      prev.map((item, idx) => {
+        if (idx !== index) return item;
+        const repMin = item.progressionRepMin || item.targetRepsMin || '';
+        return {
+          ...item,
+          progressionType: type,
+          progressionRepMin: repMin,
+          progressionRepMax: item.progressionRepMax || (repMin ? String(Number(repMin) + 4) : ''),
+        };
+      })
+    );
+    setFormError(null);
+  };
+
+  const toggleTargetPercent = (index) => {
+    updateItems((prev) =>
+      prev.map((item, idx) => (
+        idx === index
+          ? {
+            ...item,
+            percentLoad: !item.percentLoad,
+            setPercents: resizeSetPercentDrafts(item.setPercents, item.targetSets),
+          }
+          : item
+      ))
+    );
+    setFormError(null);
+  };
+
+  const updateSetPercent = (index, setOffset, value) => {
+    updateItems((prev) =>
+      prev.map((item, idx) => {
+        if (idx !== index) return item;
+        const setPercents = resizeSetPercentDrafts(item.setPercents, item.targetSets);
+        setPercents[setOffset] = value;
+        return { ...item, setPercents };
+      })
+    );
+    setFormError(null);
+  };
+
+  const toggleSetTargetGrid = (index) => {
+    updateItems((prev) =>
+      prev.map((item, idx) => (
+        idx === index
+          ? {
+            ...item,
+            perSetTargets: !item.perSetTargets,
+            setRows: resolveSetTargetGridRows(item),
+          }
+          : item
+      ))
+    );
+    setFormError(null);
+  };
+
+  const updateSetTargetRow = (index, setOffset, key, value) => {
+    updateItems((prev) =>
+      prev.map((item, idx) => {
+        if (idx !== index) return item;
+        const setRows = resolveSetTargetGridRows(item);
+        setRows[setOffset] = { ...setRows[setOffset], [key]: value };
+        return { ...item, setRows };
+      })
+    );
+    setFormError(null);
+  };
+
   const updateTargetRepsMin = (index, minValue) => {
     updateItems((prev) =>
       prev.map((item, idx) => {
@@ -397,6 +546,7 @@ function RoutineEditor({ routine, exercises, onSave, motionConfig }) {
     const invalidReps = items.some(
       (item) => {
         if (!item.exerciseId) return false;
+        if (resolveMeasurementMetric(resolveItemMeasurementMode(item)) !== 'reps') return false;
         const repsValue = Number(item.targetRepsMin);
         return (
           !TARGET_REP_MIN_OPTIONS.includes(String(item.targetRepsMin)) ||
@@ -409,6 +559,24 @@ function RoutineEditor({ routine, exercises, onSave, motionConfig }) {
       setFormError('Target reps must be 1-100.');
       return;
     }
+    const invalidDuration = items.some((item) => (
+      item.exerciseId
+      && resolveMeasurementMetric(resolveItemMeasurementMode(item)) === 'time'
+      && !isValidSetMetricValue(resolveItemMeasurementMode(item), item.targetTimeSeconds)
+    ));
+    if (invalidDuration) {
+      setFormError(`Target duration must be 1-${SET_TIME_SECONDS_MAX} seconds.`);
+      return;
+    }
+    const invalidDistance = items.some((item) => (
+      item.exerciseId
+      && resolveMeasurementMetric(resolveItemMeasurementMode(item)) === 'distance'
+      && !isValidSetMetricValue(resolveItemMeasurementMode(item), item.targetDistanceMeters)
+    ));
+    if (invalidDistance) {
+      setFormError(`Target distance must be 1-${SET_DISTANCE_METERS_MAX} meters.`);
+      return;
+    }
     const invalidTargetWeight = items.some(
       (item) =>
         item.equipment !== 'Bodyweight' &&
@@ -457,7 +625,46 @@ function RoutineEditor({ routine, exercises, onSave, motionConfig }) {
       return;
     }
 
+    const progressionError = items
+      .filter((item) => item.exerciseId && supportsProgressionRule(item))
+      .map((item) => buildProgressionRulePayload(item).error)
+      .find(Boolean);
+    if (progressionError) {
+      setFormError(progressionError);
+      return;
+    }
+    const invalidTargetPercent = items.some((item) => (
+      item.exerciseId
+      && item.percentLoad
+      && supportsTargetPercent(item)
+      && resizeSetPercentDrafts(item.setPercents, item.targetSets)
+        .some((value) => !parseTargetPercentInput(value).valid)
+    ));
+    if (invalidTargetPercent) {
+      setFormError(`Training max percentages must be ${TARGET_PERCENT_MIN}-${TARGET_PERCENT_MAX}% in steps of 0.5.`);
+      return;
+    }
+    const invalidSetTargetWeight = items.some((item) => (
+      item.exerciseId
+      && usesSetTargetGridWeights(item)
+      && resolveSetTargetGridRows(item).some((row) => !parseSetTargetWeightInput(row.weight).valid)
+    ));
+    if (invalidSetTargetWeight) {
+      setFormError('Set target weights must be greater than zero.');
+      return;
+    }
+
     setFormError(null);
+    const payload = buildRoutinePayload(trimmedName);
+    setIsSaving(true);
+    try {
+      await onSave(payload);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const buildRoutinePayload = (trimmedName) => {
     const activeItems = items.filter((item) => item.exerciseId);
     const supersetGroupByIndex = new Map();
     let groupCounter = 1;
@@ -469,213 +676,570 @@ function RoutineEditor({ routine, exercises, onSave, motionConfig }) {
       supersetGroupByIndex.set(index + 1, group);
       index += 1;
     }
-    const payload = {
+    return {
       id: routine?.id,
       name: trimmedName,
       notes,
       routineType: normalizeRoutineType(routineType),
       exercises: activeItems
         .map((item, index) => {
-          const targetReps = Number(item.targetRepsMin);
+          const measurementMode = resolveItemMeasurementMode(item);
+          const metric = resolveMeasurementMetric(measurementMode);
+          const usesWeight = measurementModeUsesWeight(measurementMode);
+          // Each target only carries the metric the exercise is measured in.
+          const targetMetrics = {
+            targetReps: metric === 'reps' ? Number(item.targetRepsMin) : null,
+            targetTimeSeconds: metric === 'time' ? Number(item.targetTimeSeconds) : null,
+            targetDistanceMeters: metric === 'distance' ? Number(item.targetDistanceMeters) : null,
+          };
           const targetRestSeconds = Number(item.targetRestSeconds);
+          const isTargetMetricUnchanged = metric === 'time'
+            ? String(item.targetTimeSeconds) === String(item.originalTargetTimeSeconds)
+            : metric === 'distance'
+              ? String(item.targetDistanceMeters) === String(item.originalTargetDistanceMeters)
+              : String(item.targetRepsMin) === String(item.originalTargetRepsMin);
           const shouldPreserveSetTargets =
             item.id
             && String(item.targetSets) === String(item.originalTargetSets)
-            && String(item.targetRepsMin) === String(item.originalTargetRepsMin)
+            && isTargetMetricUnchanged
             && Array.isArray(item.setTargets)
             && item.setTargets.length;
-          const setTargets = shouldPreserveSetTargets
-            ? item.setTargets.map((target, targetIndex) => ({
-              id: target.id || null,
-              setIndex: Number(target.setIndex) || targetIndex + 1,
-              targetReps: Number(target.targetReps) || targetReps,
-            }))
-            : Array.from({ length: Number(item.targetSets) || 0 }, (_, targetIndex) => ({
-              setIndex: targetIndex + 1,
-              targetReps,
-            }));
+          const gridRows = usesSetTargetGrid(item) ? resolveSetTargetGridRows(item) : null;
+          const targetSetCount = gridRows
+            ? gridRows.length
+            : shouldPreserveSetTargets
+              ? item.setTargets.length
+              : Number(item.targetSets) || 0;
+          const targetPercents = item.percentLoad && supportsTargetPercent(item)
+            ? resizeSetPercentDrafts(item.setPercents, targetSetCount)
+              .map((value) => parseTargetPercentInput(value).percent)
+            : [];
+          const resolveTargetSetType = (targetIndex, currentSetType) => (
+            targetIndex === targetSetCount - 1
+              ? item.lastSetType || DEFAULT_SET_TYPE
+              : currentSetType || DEFAULT_SET_TYPE
+          );
+          const buildGridSetTarget = (row, targetIndex) => ({
+            id: item.id ? item.setTargets?.[targetIndex]?.id || null : null,
+            setIndex: targetIndex + 1,
+            ...targetMetrics,
+            targetReps: Number(row.reps) || targetMetrics.targetReps,
+            targetPercent: targetPercents[targetIndex] ?? null,
+            targetWeight: usesSetTargetGridWeights(item) ? parseSetTargetWeightInput(row.weight).weight : null,
+            targetBandLabel: item.equipment === 'Band'
+              ? row.bandLabel || item.targetBandLabel || ROUTINE_BAND_OPTIONS[0]
+              : null,
+            setType: resolveTargetSetType(targetIndex, item.setTargets?.[targetIndex]?.setType),
+          });
+          const setTargets = gridRows
+            ? gridRows.map(buildGridSetTarget)
+            : shouldPreserveSetTargets
+              ? item.setTargets.map((target, targetIndex) => ({
+                id: target.id || null,
+                setIndex: Number(target.setIndex) || targetIndex + 1,
+                targetReps: metric === 'reps' ? Number(target.targetReps) || targetMetrics.targetReps : null,
+                targetTimeSeconds: metric === 'time'
+                  ? Number(target.targetTimeSeconds) || targetMetrics.targetTimeSeconds
+                  : null,
+                targetDistanceMeters: metric === 'distance'
+                  ? Number(target.targetDistanceMeters) || targetMetrics.targetDistanceMeters
+                  : null,
+                targetPercent: targetPercents[targetIndex] ?? null,
+                setType: resolveTargetSetType(targetIndex, target.setType),
+              }))
+              : Array.from({ length: targetSetCount }, (_, targetIndex) => ({
+                setIndex: targetIndex + 1,
+                ...targetMetrics,
+                targetPercent: targetPercents[targetIndex] ?? null,
+                setType: resolveTargetSetType(targetIndex, DEFAULT_SET_TYPE),
+              }));
+          // The exercise weight follows the heaviest planned set, matching what the server stores.
+          const setTargetWeights = setTargets
+            .map((target) => target.targetWeight)
+            .filter((weight) => weight !== null && weight !== undefined);
+          const topSetTargetWeight = setTargetWeights.length ? Math.max(...setTargetWeights) : null;
           return {
             id: item.id || null,
             exerciseId: Number(item.exerciseId),
             equipment: item.equipment || null,
             targetSets: item.targetSets ? Number(item.targetSets) : null,
-            targetReps,
+            ...targetMetrics,
             setTargets,
             targetRestSeconds,
             targetWeight:
               item.equipment === 'Bodyweight' || item.equipment === 'Band'
-              || item.equipment === 'Ab wheel'
+              || item.equipment === 'Ab wheel' || !usesWeight
                 ? null
-                : item.targetWeight
-                  ? Number(item.targetWeight)
-                  : null,
+                : topSetTargetWeight ?? (item.targetWeight ? Number(item.targetWeight) : null),
             targetBandLabel:
               item.equipment === 'Band' ? item.targetBandLabel || ROUTINE_BAND_OPTIONS[0] : null,
             notes: item.notes || null,
             position: index,
             supersetGroup: supersetGroupByIndex.get(index) || null,
+            unilateral: metric === 'reps' && Boolean(item.unilateral),
+            progressionRule: supportsProgressionRule(item)
+              ? buildProgressionRulePayload(item).rule
+              : null,
           };
         }),
     };
-    setIsSaving(true);
+  };
+
+  const handleImportText = (imported) => {
+    const currentCount = items.filter((item) => item.exerciseId).length;
+    if (currentCount) {
+      const confirmed = window.confirm(
+        `Replace the ${currentCount} ${currentCount === 1 ? 'exercise' : 'exercises'} in this routine with the pasted ones?`
+      );
+      if (!confirmed) return;
+    }
+    updateItems(buildEditorItems(imported.exercises));
+    // Pasted names and notes only fill empty fields; what is already typed stays.
+    if (!name.trim() && imported.name) setName(imported.name);
+    if (!notes.trim() && imported.notes) setNotes(imported.notes);
+    setIsTextImportOpen(false);
+    setTextExport(null);
+    setFormError(null);
+  };
+
+  const handleCopyAsText = async () => {
+    setFormError(null);
+    setTextExport(null);
+    let text;
     try {
-      await onSave(payload);
-    } finally {
-      setIsSaving(false);
+      text = await formatRoutineText(buildRoutinePayload(name.trim()));
+    } catch (err) {
+      setFormError(err.message);
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(text);
+      setTextExport({ text, copied: true });
+    } catch {
+      // Without clipboard access the text is shown for copying by hand.
+      setTextExport({ text, copied: false });
     }
   };
 
-  const renderRoutineEditorItemFields = (item, index) => (
-    <div className="stack routine-editor-block-item-fields">
-      <div className="form-row routine-editor-row">
-        <div className="routine-exercise-field">
-          <select
-            aria-label="Exercise"
-            value={item.exerciseId}
-            onChange={(event) => updateItem(index, 'exerciseId', event.target.value)}
-          >
-            <option value="">Exercise</option>
-            {exerciseOptionsByGroup.flatMap(([group, groupedExercises]) => [
-              <option key={`group-${group}`} value="" disabled>
-                {`— ${formatMuscleLabel(group)} —`}
-              </option>,
-              ...groupedExercises.map((exercise) => (
-                <option key={exercise.id} value={exercise.id}>
-                  {exercise.name}
-                </option>
-              )),
-            ])}
-          </select>
-        </div>
-        <div className="routine-equipment-field">
-          <select
-            aria-label="Equipment"
-            value={encodeRoutineEquipmentValue(item.equipment, item.targetBandLabel)}
-            onChange={(event) => {
-              const { equipment: nextEquipment, targetBandLabel } =
-                decodeRoutineEquipmentValue(event.target.value);
-              updateItems((prev) =>
-                prev.map((entry, entryIndex) => {
-                  if (entryIndex !== index) return entry;
-                  return {
-                    ...entry,
-                    equipment: nextEquipment,
-                    targetWeight:
-                      nextEquipment === 'Bodyweight'
-                      || nextEquipment === 'Band'
-                      || nextEquipment === 'Ab wheel'
-                        ? ''
-                        : entry.targetWeight,
-                    targetBandLabel: nextEquipment === 'Band' ? targetBandLabel : '',
-                  };
-                })
-              );
-              setFormError(null);
-            }}
-          >
-            <option value="">Equipment</option>
-            {BASE_EQUIPMENT_TYPES.map((equipment) => (
-              <option key={equipment} value={`equipment:${equipment}`}>
-                {equipment}
-              </option>
-            ))}
-            <option disabled value="">
-              -- Band --
-            </option>
-            {item.targetBandLabel &&
-            !ROUTINE_BAND_OPTIONS.includes(item.targetBandLabel) ? (
-              <option value={`band:${item.targetBandLabel}`}>
-                {`Band · ${item.targetBandLabel}`}
-              </option>
-            ) : null}
-            {ROUTINE_BAND_OPTIONS.map((bandLabel) => (
-              <option key={bandLabel} value={`band:${bandLabel}`}>
-                {`Band · ${bandLabel}`}
-              </option>
-            ))}
-          </select>
-        </div>
-        {item.equipment !== 'Bodyweight'
-        && item.equipment !== 'Band'
-        && item.equipment !== 'Ab wheel' ? (
-          <div className="routine-weight-field">
-            <div className="input-suffix-wrap">
-              <input
-                className="input"
-                type="number"
-                inputMode="decimal"
-                step="0.5"
-                aria-label="Weight"
-                placeholder="Weight"
-                value={item.targetWeight}
-                onChange={(event) => updateItem(index, 'targetWeight', event.target.value)}
-              />
-              <span className="input-suffix" aria-hidden="true">kg</span>
-            </div>
+  const setExerciseSearch = (item, query) => {
+    setExerciseSearchByItemId((prev) => ({ ...prev, [item.editorId]: query }));
+  };
+
+  const selectExercise = (item, index, exerciseId) => {
+    updateItem(index, 'exerciseId', exerciseId);
+    setExerciseSearch(item, '');
+  };
+
+  // While a search is typed the picker lists the best matches (names, aliases and gym shorthand)
+  // instead of the muscle groups; Enter takes the top one.
+  const renderExerciseOptions = (item, searchMatches) => {
+    if (!searchMatches) {
+      return exerciseOptionsByGroup.flatMap(([group, groupedExercises]) => [
+        <option key={`group-${group}`} value="" disabled>
+          {`— ${formatMuscleLabel(group)} —`}
+        </option>,
+        ...groupedExercises.map((exercise) => (
+          <option key={exercise.id} value={exercise.id}>
+            {exercise.name}
+          </option>
+        )),
+      ]);
+    }
+    const selected = exercises.find((exercise) => String(exercise.id) === String(item.exerciseId));
+    const options = selected && !searchMatches.includes(selected) ? [selected, ...searchMatches] : searchMatches;
+    return [
+      <option key="matches" value="" disabled>
+        {searchMatches.length ? '— Matches —' : '— No matches —'}
+      </option>,
+      ...options.map((exercise) => (
+        <option key={exercise.id} value={exercise.id}>
+          {exercise.name}
+        </option>
+      )),
+    ];
+  };
+
+  const renderRoutineEditorItemFields = (item, index) => {
+    const measurementMode = resolveItemMeasurementMode(item);
+    const metric = resolveMeasurementMetric(measurementMode);
+    const exerciseSearch = exerciseSearchByItemId[item.editorId] || '';
+    const searchMatches = exerciseSearch.trim() ? rankExercisesBySearch(exerciseSearch, exercises) : null;
+    return (
+      <div className="stack routine-editor-block-item-fields">
+        <div className="form-row routine-editor-row">
+          <div className="routine-exercise-field">
+            <input
+              className="input routine-exercise-search"
+              type="search"
+              aria-label="Search exercises"
+              placeholder="Find exercise (e.g. RDL)"
+              value={exerciseSearch}
+              onChange={(event) => setExerciseSearch(item, event.target.value)}
+              onKeyDown={(event) => {
+                if (event.key !== 'Enter') return;
+                event.preventDefault();
+                if (searchMatches?.length) {
+                  selectExercise(item, index, String(searchMatches[0].id));
+                }
+              }}
+            />
+            <select
+              aria-label="Exercise"
+              value={item.exerciseId}
+              onChange={(event) => selectExercise(item, index, event.target.value)}
+            >
+              <option value="">Exercise</option>
+              {renderExerciseOptions(item, searchMatches)}
+            </select>
           </div>
-        ) : null}
-        <div className="routine-sets-field">
-          <div className="input-suffix-wrap">
+          <div className="routine-equipment-field">
             <select
-              aria-label="Sets"
-              className="input-suffix-select input-suffix-select-wide"
-              value={item.targetSets}
-              onChange={(event) => updateTargetSets(index, event.target.value)}
+              aria-label="Equipment"
+              value={encodeRoutineEquipmentValue(item.equipment, item.targetBandLabel)}
+              onChange={(event) => {
+                const { equipment: nextEquipment, targetBandLabel } =
+                  decodeRoutineEquipmentValue(event.target.value);
+                updateItems((prev) =>
+                  prev.map((entry, entryIndex) => {
+                    if (entryIndex !== index) return entry;
+                    return {
+                      ...entry,
+                      equipment: nextEquipment,
+                      targetWeight:
+                        nextEquipment === 'Bodyweight'
+                        || nextEquipment === 'Band'
+                        || nextEquipment === 'Ab wheel'
+                          ? ''
+                          : entry.targetWeight,
+                      targetBandLabel: nextEquipment === 'Band' ? targetBandLabel : '',
+                    };
+                  })
+                );
+                setFormError(null);
+              }}
             >
-              {TARGET_SET_OPTIONS.map((value) => (
-                <option key={value} value={value}>
-                  {value}
+              <option value="">Equipment</option>
+              {BASE_EQUIPMENT_TYPES.map((equipment) => (
+                <option key={equipment} value={`equipment:${equipment}`}>
+                  {equipment}
+                </option>
+              ))}
+              <option disabled value="">
+                -- Band --
+              </option>
+              {item.targetBandLabel &&
+              !ROUTINE_BAND_OPTIONS.includes(item.targetBandLabel) ? (
+                <option value={`band:${item.targetBandLabel}`}>
+                  {`Band · ${item.targetBandLabel}`}
+                </option>
+              ) : null}
+              {ROUTINE_BAND_OPTIONS.map((bandLabel) => (
+                <option key={bandLabel} value={`band:${bandLabel}`}>
+                  {`Band · ${bandLabel}`}
                 </option>
               ))}
             </select>
-            <span className="input-suffix" aria-hidden="true">sets</span>
           </div>
-        </div>
-        <div className="routine-reps-field">
-          <div className="rep-range-controls">
+          {item.equipment !== 'Bodyweight'
+          && item.equipment !== 'Band'
+          && item.equipment !== 'Ab wheel'
+          && measurementModeUsesWeight(measurementMode)
+          && !usesSetTargetGridWeights(item) ? (
+            <div className="routine-weight-field">
+              <div className="input-suffix-wrap">
+                <input
+                  className="input"
+                  type="number"
+                  inputMode="decimal"
+                  step="0.5"
+                  aria-label="Weight"
+                  placeholder="Weight"
+                  value={item.targetWeight}
+                  onChange={(event) => updateItem(index, 'targetWeight', event.target.value)}
+                />
+                <span className="input-suffix" aria-hidden="true">kg</span>
+              </div>
+            </div>
+          ) : null}
+          <div className="routine-sets-field">
             <div className="input-suffix-wrap">
               <select
+                aria-label="Sets"
                 className="input-suffix-select input-suffix-select-wide"
-                value={item.targetRepsMin}
-                onChange={(event) => updateTargetRepsMin(index, event.target.value)}
-                aria-label="Reps"
+                value={item.targetSets}
+                onChange={(event) => updateTargetSets(index, event.target.value)}
               >
-                {TARGET_REP_MIN_OPTIONS.map((value) => (
+                {TARGET_SET_OPTIONS.map((value) => (
                   <option key={value} value={value}>
                     {value}
                   </option>
                 ))}
               </select>
-              <span className="input-suffix" aria-hidden="true">reps</span>
+              <span className="input-suffix" aria-hidden="true">sets</span>
+            </div>
+          </div>
+          <div className="routine-reps-field">
+            <div className="rep-range-controls">
+              {metric === 'time' ? (
+                <div className="input-suffix-wrap">
+                  <select
+                    className="input-suffix-select input-suffix-select-wide"
+                    value={item.targetTimeSeconds}
+                    onChange={(event) => updateItem(index, 'targetTimeSeconds', event.target.value)}
+                    aria-label="Duration"
+                  >
+                    {buildSetMetricSelectOptions(measurementMode, item.targetTimeSeconds).map((value) => (
+                      <option key={value} value={value}>
+                        {value}
+                      </option>
+                    ))}
+                  </select>
+                  <span className="input-suffix" aria-hidden="true">s</span>
+                </div>
+              ) : metric === 'distance' ? (
+                <div className="input-suffix-wrap">
+                  <select
+                    className="input-suffix-select input-suffix-select-wide"
+                    value={item.targetDistanceMeters}
+                    onChange={(event) => updateItem(index, 'targetDistanceMeters', event.target.value)}
+                    aria-label="Distance"
+                  >
+                    {buildSetMetricSelectOptions(measurementMode, item.targetDistanceMeters).map((value) => (
+                      <option key={value} value={value}>
+                        {value}
+                      </option>
+                    ))}
+                  </select>
+                  <span className="input-suffix" aria-hidden="true">m</span>
+                </div>
+              ) : usesSetTargetGrid(item) ? null : (
+                <div className="input-suffix-wrap">
+                  <select
+                    className="input-suffix-select input-suffix-select-wide"
+                    value={item.targetRepsMin}
+                    onChange={(event) => updateTargetRepsMin(index, event.target.value)}
+                    aria-label="Reps"
+                  >
+                    {TARGET_REP_MIN_OPTIONS.map((value) => (
+                      <option key={value} value={value}>
+                        {value}
+                      </option>
+                    ))}
+                  </select>
+                  <span className="input-suffix" aria-hidden="true">reps</span>
+                </div>
+              )}
+            </div>
+          </div>
+          <div className="routine-rest-field">
+            <div className="input-suffix-wrap">
+              <select
+                className="input-suffix-select input-suffix-select-wide"
+                value={item.targetRestSeconds}
+                onChange={(event) => updateItem(index, 'targetRestSeconds', event.target.value)}
+                aria-label="Rest"
+              >
+                {ROUTINE_REST_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <span className="input-suffix" aria-hidden="true">rest</span>
             </div>
           </div>
         </div>
-        <div className="routine-rest-field">
+        <div className="routine-last-set-type-field">
           <div className="input-suffix-wrap">
             <select
               className="input-suffix-select input-suffix-select-wide"
-              value={item.targetRestSeconds}
-              onChange={(event) => updateItem(index, 'targetRestSeconds', event.target.value)}
-              aria-label="Rest"
+              value={item.lastSetType || DEFAULT_SET_TYPE}
+              onChange={(event) => updateItem(index, 'lastSetType', event.target.value)}
+              aria-label="Last set type"
+            >
+              {SET_TYPE_OPTIONS
+                .filter((option) => ROUTINE_SET_TARGET_TYPES.includes(option.value))
+                .map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+            </select>
+            <span className="input-suffix" aria-hidden="true">last set</span>
+          </div>
+        </div>
+        {metric === 'reps' ? (
+          <button
+            type="button"
+            className={`button ghost routine-unilateral-toggle ${item.unilateral ? 'active' : ''}`}
+            aria-pressed={Boolean(item.unilateral)}
+            onClick={() => updateItem(index, 'unilateral', !item.unilateral)}
+          >
+            Log left/right sides
+          </button>
+        ) : null}
+        {supportsProgressionRule(item) ? (
+          <div className="routine-progression-fields">
+            <select
+              aria-label="Progression"
+              value={item.progressionType}
+              onChange={(event) => updateProgressionType(index, event.target.value)}
             >
-              {ROUTINE_REST_OPTIONS.map((option) => (
-                <option key={option.value} value={option.value}>
+              {PROGRESSION_RULE_OPTIONS.map((option) => (
+                <option key={option.value || 'none'} value={option.value}>
                   {option.label}
                 </option>
               ))}
             </select>
-            <span className="input-suffix" aria-hidden="true">rest</span>
+            {item.progressionType ? (
+              <>
+                <div className="input-suffix-wrap">
+                  <input
+                    className="input"
+                    type="number"
+                    inputMode="numeric"
+                    aria-label="Progression reps from"
+                    value={item.progressionRepMin}
+                    onChange={(event) => updateItem(index, 'progressionRepMin', event.target.value)}
+                  />
+                  <span className="input-suffix" aria-hidden="true">min</span>
+                </div>
+                <div className="input-suffix-wrap">
+                  <input
+                    className="input"
+                    type="number"
+                    inputMode="numeric"
+                    aria-label="Progression reps to"
+                    value={item.progressionRepMax}
+                    onChange={(event) => updateItem(index, 'progressionRepMax', event.target.value)}
+                  />
+                  <span className="input-suffix" aria-hidden="true">max</span>
+                </div>
+                <div className="input-suffix-wrap">
+                  <input
+                    className="input"
+                    type="number"
+                    inputMode="decimal"
+                    step="0.5"
+                    aria-label="Progression weight increment"
+                    value={item.progressionWeightIncrement}
+                    onChange={(event) => updateItem(index, 'progressionWeightIncrement', event.target.value)}
+                  />
+                  <span className="input-suffix" aria-hidden="true">+kg</span>
+                </div>
+                <button
+                  type="button"
+                  className={`button ghost routine-progression-auto-toggle ${item.progressionAutoApply ? 'active' : ''}`}
+                  aria-pressed={Boolean(item.progressionAutoApply)}
+                  onClick={() => updateItem(index, 'progressionAutoApply', !item.progressionAutoApply)}
+                >
+                  Apply automatically
+                </button>
+              </>
+            ) : null}
           </div>
-        </div>
+        ) : null}
+        {supportsTargetPercent(item) ? (
+          <div className="routine-percent-fields">
+            <button
+              type="button"
+              className={`button ghost routine-percent-toggle ${item.percentLoad ? 'active' : ''}`}
+              aria-pressed={Boolean(item.percentLoad)}
+              onClick={() => toggleTargetPercent(index)}
+            >
+              % of training max
+            </button>
+            {item.percentLoad
+              ? resizeSetPercentDrafts(item.setPercents, item.targetSets).map((value, setOffset) => (
+                <div key={setOffset} className="input-suffix-wrap">
+                  <input
+                    className="input"
+                    type="number"
+                    inputMode="decimal"
+                    step="0.5"
+                    aria-label={`Set ${setOffset + 1} percent of training max`}
+                    value={value}
+                    onChange={(event) => updateSetPercent(index, setOffset, event.target.value)}
+                  />
+                  <span className="input-suffix" aria-hidden="true">%</span>
+                </div>
+              ))
+              : null}
+          </div>
+        ) : null}
+        {supportsSetTargetGrid(item) ? (
+          <div className="routine-set-grid-fields">
+            <button
+              type="button"
+              className={`button ghost routine-set-grid-toggle ${item.perSetTargets ? 'active' : ''}`}
+              aria-pressed={Boolean(item.perSetTargets)}
+              onClick={() => toggleSetTargetGrid(index)}
+            >
+              Per-set targets
+            </button>
+            {usesSetTargetGrid(item) ? (
+              <div className="routine-set-grid">
+                {resolveSetTargetGridRows(item).map((row, setOffset) => (
+                  <div key={setOffset} className="routine-set-grid-row">
+                    <span className="routine-set-grid-label">{`Set ${setOffset + 1}`}</span>
+                    <div className="input-suffix-wrap">
+                      <select
+                        className="input-suffix-select input-suffix-select-wide"
+                        value={row.reps || item.targetRepsMin}
+                        onChange={(event) => updateSetTargetRow(index, setOffset, 'reps', event.target.value)}
+                        aria-label={`Set ${setOffset + 1} reps`}
+                      >
+                        {TARGET_REP_MIN_OPTIONS.map((value) => (
+                          <option key={value} value={value}>
+                            {value}
+                          </option>
+                        ))}
+                      </select>
+                      <span className="input-suffix" aria-hidden="true">reps</span>
+                    </div>
+                    {usesSetTargetGridWeights(item) ? (
+                      <div className="input-suffix-wrap">
+                        <input
+                          className="input"
+                          type="number"
+                          inputMode="decimal"
+                          step="0.5"
+                          aria-label={`Set ${setOffset + 1} weight`}
+                          placeholder="Weight"
+                          value={row.weight}
+                          onChange={(event) => updateSetTargetRow(index, setOffset, 'weight', event.target.value)}
+                        />
+                        <span className="input-suffix" aria-hidden="true">kg</span>
+                      </div>
+                    ) : null}
+                    {item.equipment === 'Band' ? (
+                      <select
+                        aria-label={`Set ${setOffset + 1} band`}
+                        value={row.bandLabel || item.targetBandLabel || ROUTINE_BAND_OPTIONS[0]}
+                        onChange={(event) => updateSetTargetRow(index, setOffset, 'bandLabel', event.target.value)}
+                      >
+                        {ROUTINE_BAND_OPTIONS.map((bandLabel) => (
+                          <option key={bandLabel} value={bandLabel}>
+                            {bandLabel}
+                          </option>
+                        ))}
+                      </select>
+                    ) : null}
+                  </div>
+                ))}
+              </div>
+            ) : null}
+          </div>
+        ) : null}
+        <input
+          className="input"
+          value={item.notes}
+          onChange={(event) => updateItem(index, 'notes', event.target.value)}
+          placeholder="Notes or cues"
+        />
       </div>
-      <input
-        className="input"
-        value={item.notes}
-        onChange={(event) => updateItem(index, 'notes', event.target.value)}
-        placeholder="Notes or cues"
-      />
-    </div>
-  );
+    );
+  };
 
   return (
     <form className="routine-editor-form" onSubmit={handleSubmit}>
@@ -747,6 +1311,39 @@ function RoutineEditor({ routine, exercises, onSave, motionConfig }) {
             </div>
           </div>
         </motion.div>
+        <motion.div className="stack" variants={motionConfig.variants.listItem}>
+          <div className="inline routine-text-actions">
+            <button
+              type="button"
+              className={`button ghost ${isTextImportOpen ? 'active' : ''}`}
+              aria-pressed={isTextImportOpen}
+              onClick={() => setIsTextImportOpen((prev) => !prev)}
+            >
+              Paste routine
+            </button>
+            <button type="button" className="button ghost" onClick={handleCopyAsText}>
+              Copy as text
+            </button>
+          </div>
+          {isTextImportOpen ? (
+            <RoutineTextImport exercises={exercises} onImport={handleImportText} />
+          ) : null}
+          {textExport?.copied ? (
+            <div className="muted" role="status">Copied the routine as text.</div>
+          ) : null}
+          {textExport && !textExport.copied ? (
+            <div className="stack">
+              <div className="muted">Copying is not available here; select the text below instead.</div>
+              <textarea
+                className="input routine-text-input"
+                aria-label="Routine as text"
+                rows={6}
+                readOnly
+                value={textExport.text}
+              />
+            </div>
+          ) : null}
+        </motion.div>
         <motion.div className="stack" layout>
           {itemBlocks.map((block, blockIndex) => {
             const blockItems = items.slice(block.startIndex, block.endIndex + 1);
@@ -0,0 +1,167 @@
+import { useMemo, useState } from 'react';
+import { useRoutineText } from '../hooks/use-routine-text.js';
+
+const ROUTINE_TEXT_PLACEHOLDER = [
+  'Push Day',
+  'A1: Barbell Bench Press 3x5 @ 80kg, rest 2 min',
+  'A2: Pull Up 3x8',
+  'Overhead Press 5/3/1 @ 60/65/70 kg',
+].join('\n');
+
+function RoutineTextImport({ exercises, onImport }) {
+  const { parseRoutineText } = useRoutineText();
+  const [text, setText] = useState('');
+  const [result, setResult] = useState(null);
+  // Chosen exercise per parsed line; the matched exercise until someone picks another.
+  const [mappedExerciseIds, setMappedExerciseIds] = useState({});
+  const [error, setError] = useState(null);
+  const [isReading, setIsReading] = useState(false);
+
+  const sortedExercises = useMemo(
+    () => [...exercises].sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''))),
+    [exercises]
+  );
+
+  const resolveMappedExerciseId = (item) => (
+    Object.prototype.hasOwnProperty.call(mappedExerciseIds, item.line)
+      ? mappedExerciseIds[item.line]
+      : item.exerciseId ? String(item.exerciseId) : ''
+  );
+
+  const handleRead = async () => {
+    if (isReading) return;
+    setError(null);
+    setIsReading(true);
+    try {
+      const data = await parseRoutineText(text);
+      setResult(data);
+      setMappedExerciseIds({});
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const handleUse = () => {
+    if (!result) return;
+    const mappedExercises = result.exercises
+      .map((item) => ({ ...item, exerciseId: resolveMappedExerciseId(item) }))
+      .filter((item) => item.exerciseId);
+    if (!mappedExercises.length) {
+      setError('Choose an exercise for at least one line.');
+      return;
+    }
+    onImport({ name: result.name, notes: result.notes, exercises: mappedExercises });
+  };
+
+  const unresolvedCount = result
+    ? result.exercises.filter((item) => !resolveMappedExerciseId(item)).length
+    : 0;
+
+  return (
+    <div className="card stack routine-text-import">
+      {error ? <div className="notice">{error}</div> : null}
+      <textarea
+        className="input routine-text-input"
+        aria-label="Routine text"
+        rows={6}
+        value={text}
+        placeholder={ROUTINE_TEXT_PLACEHOLDER}
+        onChange={(event) => {
+          setText(event.target.value);
+          setError(null);
+        }}
+      />
+      <div className="inline">
+        <button
+          className="button ghost"
+          type="button"
+          disabled={isReading || !text.trim()}
+          onClick={handleRead}
+        >
+          {isReading ? 'Reading…' : 'Read text'}
+        </button>
+      </div>
+      {result ? (
+        <div className="stack">
+          {result.errors.length || result.warnings.length ? (
+            <ul className="routine-text-problems">
+              {result.errors.map((problem) => (
+                <li key={`error-${problem.line}`}>
+                  {`Line ${problem.line}: ${problem.message}`}
+                  <span className="muted">{` "${problem.text}"`}</span>
+                </li>
+              ))}
+              {result.warnings.map((warning) => (
+                <li key={`warning-${warning}`} className="muted">
+                  {warning}
+                </li>
+              ))}
+            </ul>
+          ) : null}
+          {result.exercises.length ? (
+            <>
+              <div className="muted">
+                {unresolvedCount
+                  ? `${unresolvedCount} ${unresolvedCount === 1 ? 'name needs' : 'names need'} an exercise. Lines left without one are skipped.`
+                  : 'Every line matched an exercise.'}
+              </div>
+              <ul className="routine-text-matches">
+                {result.exercises.map((item) => {
+                  const candidateIds = new Set(item.candidates.map((candidate) => String(candidate.id)));
+                  const mappedExerciseId = resolveMappedExerciseId(item);
+                  return (
+                    <li
+                      key={item.line}
+                      className={`routine-text-match ${mappedExerciseId ? '' : 'unresolved'}`}
+                    >
+                      <span className="routine-text-match-name">{item.name}</span>
+                      <select
+                        aria-label={`Exercise for "${item.name}"`}
+                        value={mappedExerciseId}
+                        onChange={(event) => setMappedExerciseIds((prev) => ({
+                          ...prev,
+                          [item.line]: event.target.value,
+                        }))}
+                      >
+                        <option value="">Skip this line</option>
+                        {item.candidates.length ? (
+                          <optgroup label="Closest matches">
+                            {item.candidates.map((candidate) => (
+                              <option key={candidate.id} value={String(candidate.id)}>
+                                {candidate.name}
+                              </option>
+                            ))}
+                          </optgroup>
+                        ) : null}
+                        <optgroup label="All exercises">
+                          {sortedExercises
+                            .filter((exercise) => !candidateIds.has(String(exercise.id)))
+                            .map((exercise) => (
+                              <option key={exercise.id} value={String(exercise.id)}>
+                                {exercise.name}
+                              </option>
+                            ))}
+                        </optgroup>
+                      </select>
+                    </li>
+                  );
+                })}
+              </ul>
+              <div className="inline">
+                <button className="button" type="button" onClick={handleUse}>
+                  Use these exercises
+                </button>
+              </div>
+            </>
+          ) : (
+            <div className="muted">No exercise lines found.</div>
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+export default RoutineTextImport;
@@ -0,0 +1,213 @@
+import { useEffect, useState } from 'react';
+import {
+  formatDateTime,
+  formatRoutineVersionChange,
+  formatRoutineVersionExercise,
+  formatRoutineVersionReason,
+  hasRoutineVersionDiff,
+} from '../routine-utils.js';
+import { useRoutineVersions } from '../hooks/use-routine-versions.js';
+
+function RoutineVersionHistory({ routine, initialVersionId = null, onRestored }) {
+  const {
+    versions,
+    loading,
+    error,
+    loadVersion,
+    compareVersions,
+    restoreVersion,
+  } = useRoutineVersions(routine.id);
+  const [selectedVersionId, setSelectedVersionId] = useState(initialVersionId);
+  const [compareVersionId, setCompareVersionId] = useState(null);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const latestVersion = versions[0] || null;
+  const activeVersion = versions.find((version) => version.id === selectedVersionId) || latestVersion;
+  const compareOptions = versions.filter((version) => version.id !== activeVersion?.id);
+  // Older versions are compared with the current one; the current one with the version before it.
+  const compareVersion = compareOptions.find((version) => version.id === compareVersionId)
+    || (activeVersion?.id === latestVersion?.id ? compareOptions[0] : latestVersion)
+    || null;
+
+  useEffect(() => {
+    if (!activeVersion) return undefined;
+    let active = true;
+    loadVersion(activeVersion.id)
+      .then((version) => {
+        if (active) setSelectedVersion(version);
+      })
+      .catch((err) => {
+        if (active) setActionError(err.message);
+      });
+    return () => {
+      active = false;
+    };
+  }, [activeVersion?.id, loadVersion]);
+
+  useEffect(() => {
+    if (!activeVersion || !compareVersion) {
+      setComparison(null);
+      return undefined;
+    }
+    let active = true;
+    const [older, newer] = activeVersion.versionNumber < compareVersion.versionNumber
+      ? [activeVersion, compareVersion]
+      : [compareVersion, activeVersion];
+    compareVersions(older.id, newer.id)
+      .then((data) => {
+        if (active) setComparison(data);
+      })
+      .catch((err) => {
+        if (active) setActionError(err.message);
+      });
+    return () => {
+      active = false;
+    };
+  }, [activeVersion?.id, compareVersion?.id, compareVersions]);
+
+  const handleSelectVersion = (versionId) => {
+    setActionError(null);
+    setSelectedVersionId(versionId);
+    setCompareVersionId(null);
+  };
+
+  const handleRestore = async () => {
+    if (!activeVersion || isRestoring) return;
+    const confirmed = window.confirm(
+      `Restore version ${activeVersion.versionNumber} of "${routine.name}"?\n\nThe routine as it is now stays in the history.`
+    );
+    if (!confirmed) return;
+    setActionError(null);
+    setIsRestoring(true);
+    try {
+      const restored = await restoreVersion(activeVersion.id);
+      setSelectedVersionId(null);
+      setCompareVersionId(null);
+      onRestored?.(restored);
+    } catch (err) {
+      setActionError(err.message);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  if (loading && !versions.length) {
+    return <div className="muted">Loading versions…</div>;
+  }
+
+  const diff = comparison?.diff;
+
+  return (
+    <div className="stack routine-version-history">
+      {error || actionError ? <div className="notice">{error || actionError}</div> : null}
+      <div className="routine-version-list">
+        {versions.map((version) => {
+          const isActive = version.id === activeVersion?.id;
+          return (
+            <button
+              key={version.id}
+              className={`routine-version-row ${isActive ? 'active' : ''}`}
+              type="button"
+              aria-pressed={isActive}
+              onClick={() => handleSelectVersion(version.id)}
+            >
+              <span className="routine-version-title">
+                {`Version ${version.versionNumber}`}
+                {version.id === latestVersion?.id ? ' · Current' : ''}
+              </span>
+              <span className="muted">
+                {formatRoutineVersionReason(version)} · {formatDateTime(version.createdAt)}
+                {version.sessionCount
+                  ? ` · ${version.sessionCount} ${version.sessionCount === 1 ? 'workout' : 'workouts'}`
+                  : ''}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+
+      {selectedVersion?.snapshot && selectedVersion.id === activeVersion?.id ? (
+        <div className="card stack routine-version-detail">
+          <div className="split">
+            <div className="section-title" style={{ marginBottom: 0 }}>
+              {`Version ${selectedVersion.versionNumber} · ${selectedVersion.snapshot.name}`}
+            </div>
+            {activeVersion.id !== latestVersion?.id ? (
+              <button className="button" type="button" disabled={isRestoring} onClick={handleRestore}>
+                Restore this version
+              </button>
+            ) : null}
+          </div>
+          {selectedVersion.snapshot.exercises.length ? (
+            <ol className="routine-version-exercises">
+              {selectedVersion.snapshot.exercises.map((exercise) => (
+                <li key={exercise.id}>{formatRoutineVersionExercise(exercise)}</li>
+              ))}
+            </ol>
+          ) : (
+            <div className="muted">No exercises.</div>
+          )}
+
+          {compareOptions.length ? (
+            <div className="split">
+              <span className="section-title" style={{ marginBottom: 0 }}>Compare with</span>
+              <select
+                aria-label="Compare with version"
+                value={compareVersion ? String(compareVersion.id) : ''}
+                onChange={(event) => setCompareVersionId(Number(event.target.value))}
+              >
+                {compareOptions.map((version) => (
+                  <option key={version.id} value={String(version.id)}>
+                    {`Version ${version.versionNumber}`}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ) : null}
+          {comparison ? (
+            <div className="stack routine-version-diff">
+              <div className="muted">
+                {`Changes from version ${comparison.from.versionNumber} to version ${comparison.to.versionNumber}`}
+              </div>
+              {hasRoutineVersionDiff(diff) ? (
+                <ul className="routine-version-diff-list">
+                  {diff.changes.map((change) => (
+                    <li key={change.field}>{formatRoutineVersionChange(change)}</li>
+                  ))}
+                  {diff.added.map((item) => (
+                    <li key={`added-${item.id}`} className="routine-version-diff-added">
+                      {`Added ${item.name}`}
+                    </li>
+                  ))}
+                  {diff.removed.map((item) => (
+                    <li key={`removed-${item.id}`} className="routine-version-diff-removed">
+                      {`Removed ${item.name}`}
+                    </li>
+                  ))}
+                  {diff.changed.map((item) => (
+                    <li key={`changed-${item.id}`}>
+                      {item.name}
+                      <ul>
+                        {item.changes.map((change) => (
+                          <li key={change.field}>{formatRoutineVersionChange(change)}</li>
+                        ))}
+                      </ul>
+                    </li>
+                  ))}
+                  {diff.reordered ? <li>Exercise order changed</li> : null}
+                </ul>
+              ) : (
+                <div className="muted">No differences.</div>
+              )}
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+export default RoutineVersionHistory;
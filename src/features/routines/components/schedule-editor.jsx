@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import { FaTrashCan } from 'react-icons/fa6';
+import {
+  SCHEDULE_INTERVAL_DAY_OPTIONS,
+  SCHEDULE_ROTATION_MAX,
+  SCHEDULE_WEEKDAY_OPTIONS,
+  buildSchedulePayload,
+  createScheduleDraft,
+  createScheduleRotationRow,
+} from '../routine-utils.js';
+
+function ScheduleEditor({ schedule, routines, onSave }) {
+  const [draft, setDraft] = useState(() => createScheduleDraft(schedule));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const updateDraft = (changes) => {
+    setDraft((prev) => ({ ...prev, ...changes }));
+  };
+
+  const updateRotationRow = (index, routineId) => {
+    updateDraft({
+      rotation: draft.rotation.map((row, rowIndex) => (rowIndex === index ? { ...row, routineId } : row)),
+    });
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (isSaving) return;
+    setIsSaving(true);
+    try {
+      await onSave(buildSchedulePayload(draft));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const routineOptions = routines.map((routine) => (
+    <option key={routine.id} value={String(routine.id)}>
+      {routine.name}
+    </option>
+  ));
+
+  return (
+    <form className="stack schedule-editor-form" onSubmit={handleSubmit}>
+      <select
+        aria-label="Schedule type"
+        value={draft.mode}
+        onChange={(event) => updateDraft({ mode: event.target.value })}
+      >
+        <option value="weekdays">Fixed weekdays</option>
+        <option value="rotation">Rotation</option>
+      </select>
+
+      {draft.mode === 'weekdays' ? (
+        <>
+          <div className="muted">Pick a routine for each training day; leave rest days empty.</div>
+          {SCHEDULE_WEEKDAY_OPTIONS.map((option) => (
+            <div key={option.value} className="form-row schedule-editor-row">
+              <span className="schedule-editor-label">{option.label}</span>
+              <select
+                aria-label={`${option.label} routine`}
+                value={draft.weekdayRoutineIds[option.value]}
+                onChange={(event) => updateDraft({
+                  weekdayRoutineIds: { ...draft.weekdayRoutineIds, [option.value]: event.target.value },
+                })}
+              >
+                <option value="">Rest day</option>
+                {routineOptions}
+              </select>
+            </div>
+          ))}
+        </>
+      ) : (
+        <>
+          <div className="muted">Routines run in this order, one workout every few days.</div>
+          {draft.rotation.map((row, index) => (
+            <div key={row.key} className="form-row schedule-editor-row">
+              <span className="schedule-editor-label">{index + 1}.</span>
+              <select
+                aria-label={`Rotation workout ${index + 1}`}
+                value={row.routineId}
+                onChange={(event) => updateRotationRow(index, event.target.value)}
+              >
+                <option value="">Routine</option>
+                {routineOptions}
+              </select>
+              <button
+                className="button ghost icon-button"
+                type="button"
+                aria-label={`Remove rotation workout ${index + 1}`}
+                title="Remove workout"
+                disabled={draft.rotation.length === 1}
+                onClick={() => updateDraft({ rotation: draft.rotation.filter((_, rowIndex) => rowIndex !== index) })}
+              >
+                <FaTrashCan aria-hidden="true" />
+              </button>
+            </div>
+          ))}
+          <button
+            className="button ghost"
+            type="button"
+            disabled={draft.rotation.length >= SCHEDULE_ROTATION_MAX}
+            onClick={() => updateDraft({ rotation: [...draft.rotation, createScheduleRotationRow()] })}
+          >
+            Add workout
+          </button>
+          <div className="split">
+            <span className="section-title">Days between workouts</span>
+            <select
+              aria-label="Days between workouts"
+              value={draft.intervalDays}
+              onChange={(event) => updateDraft({ intervalDays: event.target.value })}
+            >
+              {SCHEDULE_INTERVAL_DAY_OPTIONS.map((value) => (
+                <option key={value} value={value}>
+                  {value}
+                </option>
+              ))}
+            </select>
+          </div>
+        </>
+      )}
+
+      <button className="button" type="submit" disabled={isSaving}>
+        Save schedule
+      </button>
+    </form>
+  );
+}
+
+export default ScheduleEditor;
@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import {
+  formatRoutineTypeLabel,
+  formatRoutineVersionExercise,
+  formatSharedRoutineAuthor,
+} from '../routine-utils.js';
+import { useSharedRoutines } from '../hooks/use-shared-routines.js';
+
+function SharedRoutineBrowser({ onCopied }) {
+  const { sharedRoutines, loading, error, copySharedRoutine } = useSharedRoutines();
+  const [copyingId, setCopyingId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+
+  const handleCopy = async (sharedRoutine) => {
+    if (copyingId) return;
+    setActionError(null);
+    setCopyingId(sharedRoutine.id);
+    try {
+      const copy = await copySharedRoutine(sharedRoutine.id);
+      onCopied?.(copy);
+    } catch (err) {
+      setActionError(err.message);
+    } finally {
+      setCopyingId(null);
+    }
+  };
+
+  if (loading && !sharedRoutines.length) {
+    return <div className="muted">Loading shared routines…</div>;
+  }
+
+  return (
+    <div className="stack shared-routine-browser">
+      {error || actionError ? <div className="notice">{error || actionError}</div> : null}
+      {sharedRoutines.length ? (
+        sharedRoutines.map((sharedRoutine) => (
+          <div key={sharedRoutine.id} className="card stack shared-routine-card">
+            <div className="split">
+              <div>
+                <div className="section-title" style={{ marginBottom: 0 }}>
+                  {sharedRoutine.name}
+                </div>
+                <div className="muted">
+                  {formatSharedRoutineAuthor(sharedRoutine)} · {formatRoutineTypeLabel(sharedRoutine.routineType)}
+                </div>
+              </div>
+              {sharedRoutine.isOwn ? null : (
+                <button
+                  className="button"
+                  type="button"
+                  aria-label={`Copy ${sharedRoutine.name}`}
+                  disabled={copyingId === sharedRoutine.id}
+                  onClick={() => handleCopy(sharedRoutine)}
+                >
+                  {sharedRoutine.copiedRoutineId ? 'Copy again' : 'Copy'}
+                </button>
+              )}
+            </div>
+            {sharedRoutine.notes ? <div className="muted">{sharedRoutine.notes}</div> : null}
+            {sharedRoutine.exercises.length ? (
+              <ol className="routine-version-exercises">
+                {sharedRoutine.exercises.map((exercise) => (
+                  <li key={exercise.id}>{formatRoutineVersionExercise(exercise)}</li>
+                ))}
+              </ol>
+            ) : (
+              <div className="muted">No exercises.</div>
+            )}
+            {sharedRoutine.copiedRoutineId ? (
+              <div className="muted">In your routines</div>
+            ) : null}
+          </div>
+        ))
+      ) : (
+        <div className="empty">No shared routines yet. Share one of yours from its card.</div>
+      )}
+    </div>
+  );
+}
+
+export default SharedRoutineBrowser;
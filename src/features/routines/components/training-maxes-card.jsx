@@ -0,0 +1,141 @@
+import { useMemo, useState } from 'react';
+import { FaTrashCan } from 'react-icons/fa6';
+import {
+  formatNumber,
+  formatTargetWeightInputValue,
+  parseTrainingMaxInput,
+  TRAINING_MAX_WEIGHT_MAX,
+} from '../routine-utils.js';
+
+function TrainingMaxesCard({ trainingMaxes, exercises, onSave, onRemove }) {
+  const [exerciseId, setExerciseId] = useState('');
+  const [weight, setWeight] = useState('');
+  const [formError, setFormError] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const exerciseOptions = useMemo(
+    () => [...exercises].sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''))),
+    [exercises]
+  );
+
+  const handleExerciseChange = (value) => {
+    setExerciseId(value);
+    setFormError(null);
+    const existing = trainingMaxes.find((item) => String(item.exerciseId) === value);
+    setWeight(existing ? formatTargetWeightInputValue(existing.weight) : '');
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setExerciseId('');
+    setWeight('');
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!exerciseId) {
+      setFormError('Select an exercise.');
+      return;
+    }
+    const parsed = parseTrainingMaxInput(weight);
+    if (!parsed.valid) {
+      setFormError(`Training max must be above 0 and at most ${TRAINING_MAX_WEIGHT_MAX} kg.`);
+      return;
+    }
+    setFormError(null);
+    setIsSaving(true);
+    try {
+      await onSave(Number(exerciseId), parsed.weight);
+      closeForm();
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemove = async (trainingMax) => {
+    setFormError(null);
+    try {
+      await onRemove(trainingMax.exerciseId);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  return (
+    <div className="card stack training-maxes-card">
+      {trainingMaxes.length ? (
+        <ul className="training-maxes-list">
+          {trainingMaxes.map((trainingMax) => (
+            <li key={trainingMax.exerciseId} className="split">
+              <span>
+                {trainingMax.exerciseName} · {formatNumber(trainingMax.weight)} kg
+              </span>
+              <button
+                className="button ghost icon-button"
+                type="button"
+                aria-label={`Remove training max for ${trainingMax.exerciseName}`}
+                title="Remove training max"
+                onClick={() => handleRemove(trainingMax)}
+              >
+                <FaTrashCan aria-hidden="true" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="muted">No training maxes yet.</div>
+      )}
+      {isFormOpen ? (
+        <form className="form-row training-maxes-form" onSubmit={handleSubmit}>
+          <select
+            aria-label="Training max exercise"
+            value={exerciseId}
+            onChange={(event) => handleExerciseChange(event.target.value)}
+          >
+            <option value="">Exercise</option>
+            {exerciseOptions.map((exercise) => (
+              <option key={exercise.id} value={String(exercise.id)}>
+                {exercise.name}
+              </option>
+            ))}
+          </select>
+          <div className="input-suffix-wrap">
+            <input
+              className="input"
+              type="number"
+              inputMode="decimal"
+              step="0.5"
+              aria-label="Training max weight"
+              placeholder="Training max"
+              value={weight}
+              onChange={(event) => setWeight(event.target.value)}
+            />
+            <span className="input-suffix" aria-hidden="true">kg</span>
+          </div>
+          <button className="button" type="submit" disabled={isSaving}>
+            Save training max
+          </button>
+          <button
+            className="button ghost"
+            type="button"
+            onClick={() => {
+              setFormError(null);
+              closeForm();
+            }}
+          >
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <button className="button ghost" type="button" onClick={() => setIsFormOpen(true)}>
+          Add training max
+        </button>
+      )}
+      {formError ? <div className="notice">{formError}</div> : null}
+    </div>
+  );
+}
+
+export default TrainingMaxesCard;
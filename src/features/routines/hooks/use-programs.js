@@ -0,0 +1,26 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../../../api.js';
+
+// Programs are optional on every page that shows them, so a failed load leaves the list empty.
+export function usePrograms() {
+  const [programs, setPrograms] = useState([]);
+
+  const refreshPrograms = useCallback(async () => {
+    try {
+      const data = await apiFetch('/api/programs');
+      setPrograms(Array.isArray(data?.programs) ? data.programs : []);
+    } catch {
+      // Keep the current list.
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshPrograms();
+  }, [refreshPrograms]);
+
+  return {
+    programs,
+    setPrograms,
+    refreshPrograms,
+  };
+}
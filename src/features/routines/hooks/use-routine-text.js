@@ -0,0 +1,23 @@
+import { useCallback } from 'react';
+import { apiFetch } from '../../../api.js';
+
+// Reading and writing routines as plain text; the server owns the format and the exercise matching.
+export function useRoutineText() {
+  const parseRoutineText = useCallback(async (text) => apiFetch('/api/routines/text/parse', {
+    method: 'POST',
+    body: JSON.stringify({ text }),
+  }), []);
+
+  const formatRoutineText = useCallback(async (routine) => {
+    const data = await apiFetch('/api/routines/text/serialize', {
+      method: 'POST',
+      body: JSON.stringify(routine),
+    });
+    return data?.text || '';
+  }, []);
+
+  return {
+    parseRoutineText,
+    formatRoutineText,
+  };
+}
@@ -0,0 +1,55 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../../../api.js';
+
+// Newest version first; the first entry is what the routine looks like now.
+export function useRoutineVersions(routineId) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const refreshVersions = useCallback(async () => {
+    if (!routineId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await apiFetch(`/api/routines/${routineId}/versions`);
+      setVersions(Array.isArray(data?.versions) ? data.versions : []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [routineId]);
+
+  useEffect(() => {
+    refreshVersions();
+  }, [refreshVersions]);
+
+  const loadVersion = useCallback(async (versionId) => {
+    const data = await apiFetch(`/api/routines/${routineId}/versions/${versionId}`);
+    return data?.version || null;
+  }, [routineId]);
+
+  const compareVersions = useCallback(async (fromVersionId, toVersionId) => {
+    const params = new URLSearchParams({ from: String(fromVersionId) });
+    if (toVersionId) params.set('to', String(toVersionId));
+    return apiFetch(`/api/routines/${routineId}/versions/compare?${params.toString()}`);
+  }, [routineId]);
+
+  const restoreVersion = useCallback(async (versionId) => {
+    const data = await apiFetch(`/api/routines/${routineId}/versions/${versionId}/restore`, {
+      method: 'POST',
+    });
+    await refreshVersions();
+    return data?.routine || null;
+  }, [routineId, refreshVersions]);
+
+  return {
+    versions,
+    loading,
+    error,
+    loadVersion,
+    compareVersions,
+    restoreVersion,
+  };
+}
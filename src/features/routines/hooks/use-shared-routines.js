@@ -0,0 +1,46 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../../../api.js';
+
+// Routines published by anyone on this instance, newest first.
+export function useSharedRoutines() {
+  const [sharedRoutines, setSharedRoutines] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const refreshSharedRoutines = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await apiFetch('/api/shared-routines');
+      setSharedRoutines(Array.isArray(data?.routines) ? data.routines : []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshSharedRoutines();
+  }, [refreshSharedRoutines]);
+
+  const copySharedRoutine = useCallback(async (sharedRoutineId) => {
+    const data = await apiFetch(`/api/shared-routines/${sharedRoutineId}/copy`, {
+      method: 'POST',
+    });
+    const copy = data?.routine || null;
+    if (copy) {
+      setSharedRoutines((prev) => prev.map((item) => (
+        item.id === sharedRoutineId ? { ...item, copiedRoutineId: copy.id } : item
+      )));
+    }
+    return copy;
+  }, []);
+
+  return {
+    sharedRoutines,
+    loading,
+    error,
+    copySharedRoutine,
+  };
+}
@@ -0,0 +1,46 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../../../api.js';
+
+// Training maxes are optional, so a failed load leaves the list empty.
+export function useTrainingMaxes() {
+  const [trainingMaxes, setTrainingMaxes] = useState([]);
+
+  const refreshTrainingMaxes = useCallback(async () => {
+    try {
+      const data = await apiFetch('/api/training-maxes');
+      setTrainingMaxes(data?.trainingMaxes || []);
+    } catch {
+      // Keep the current list.
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshTrainingMaxes();
+  }, [refreshTrainingMaxes]);
+
+  const saveTrainingMax = useCallback(async (exerciseId, weight) => {
+    const data = await apiFetch(`/api/training-maxes/${exerciseId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ weight }),
+    });
+    const saved = data?.trainingMax || null;
+    if (saved) {
+      setTrainingMaxes((prev) => [
+        ...prev.filter((item) => item.exerciseId !== saved.exerciseId),
+        saved,
+      ].sort((a, b) => String(a.exerciseName || '').localeCompare(String(b.exerciseName || ''))));
+    }
+    return saved;
+  }, []);
+
+  const removeTrainingMax = useCallback(async (exerciseId) => {
+    await apiFetch(`/api/training-maxes/${exerciseId}`, { method: 'DELETE' });
+    setTrainingMaxes((prev) => prev.filter((item) => item.exerciseId !== exerciseId));
+  }, []);
+
+  return {
+    trainingMaxes,
+    saveTrainingMax,
+    removeTrainingMax,
+  };
+}
@@ -0,0 +1,35 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../../../api.js';
+
+// The schedule is optional, so a failed load leaves it empty.
+export function useTrainingSchedule() {
+  const [schedule, setSchedule] = useState(null);
+
+  const refreshSchedule = useCallback(async () => {
+    try {
+      const data = await apiFetch('/api/schedule');
+      setSchedule(data?.schedule || null);
+    } catch {
+      // Keep the current schedule.
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshSchedule();
+  }, [refreshSchedule]);
+
+  const saveSchedule = useCallback(async (payload) => {
+    const data = await apiFetch('/api/schedule', {
+      method: 'PUT',
+      body: JSON.stringify(payload),
+    });
+    setSchedule(data?.schedule || null);
+    return data?.schedule || null;
+  }, []);
+
+  return {
+    schedule,
+    refreshSchedule,
+    saveSchedule,
+  };
+}
@@ -1,5 +1,6 @@
 import { useEffect, useRef, useState } from 'react';
 import { apiFetch } from '../../../api.js';
+import { buildProgramStatsQuery } from '../stats-utils.js';
 
 export function useStatsAnalyticsData() {
   const [stats, setStats] = useState(null);
@@ -7,9 +8,13 @@ export function useStatsAnalyticsData() {
   const [exerciseOptions, setExerciseOptions] = useState([]);
   const [selectedExerciseId, setSelectedExerciseId] = useState('');
   const [statsRoutineType, setStatsRoutineType] = useState('all');
+  const [statsProgramId, setStatsProgramId] = useState('');
+  const [statsProgramWeek, setStatsProgramWeek] = useState('');
   const [timeseriesBucket, setTimeseriesBucket] = useState('week');
   const [timeseriesWindow, setTimeseriesWindow] = useState('180d');
   const [progressionWindow, setProgressionWindow] = useState('90d');
+  const [oneRepMaxFormula, setOneRepMaxFormula] = useState('epley');
+  const [projectionReps, setProjectionReps] = useState('5');
   const [distributionMetric, setDistributionMetric] = useState('frequency');
   const [distributionWindow, setDistributionWindow] = useState('30d');
   const [distributionDrilldownMuscle, setDistributionDrilldownMuscle] = useState('');
@@ -27,6 +32,7 @@ export function useStatsAnalyticsData() {
   const [analyticsLoading, setAnalyticsLoading] = useState(false);
   const [chartAnimationMode, setChartAnimationMode] = useState('initial');
   const hasLoadedAnalyticsRef = useRef(false);
+  const programQuery = buildProgramStatsQuery(statsProgramId, statsProgramWeek);
 
   useEffect(() => {
     let active = true;
@@ -35,7 +41,7 @@ export function useStatsAnalyticsData() {
       setError(null);
       try {
         const [statsData, weightData, exerciseData] = await Promise.all([
-          apiFetch(`/api/stats/overview?routineType=${statsRoutineType}`),
+          apiFetch(`/api/stats/overview?routineType=${statsRoutineType}${programQuery}`),
           apiFetch('/api/weights?limit=8'),
           apiFetch('/api/exercises'),
         ]);
@@ -58,7 +64,7 @@ export function useStatsAnalyticsData() {
     return () => {
       active = false;
     };
-  }, [statsRoutineType]);
+  }, [statsRoutineType, programQuery]);
 
   useEffect(() => {
     let active = true;
@@ -67,12 +73,13 @@ export function useStatsAnalyticsData() {
       setError(null);
       try {
         const progressionPath = selectedExerciseId
-          ? `/api/stats/progression?exerciseId=${selectedExerciseId}&window=${progressionWindow}&routineType=${statsRoutineType}`
+          ? `/api/stats/progression?exerciseId=${selectedExerciseId}&window=${progressionWindow}&routineType=${statsRoutineType}${programQuery}`
+            + `&formula=${oneRepMaxFormula}&targetReps=${projectionReps}`
           : null;
         const requests = await Promise.all([
-          apiFetch(`/api/stats/timeseries?bucket=${timeseriesBucket}&window=${timeseriesWindow}&routineType=${statsRoutineType}`),
+          apiFetch(`/api/stats/timeseries?bucket=${timeseriesBucket}&window=${timeseriesWindow}&routineType=${statsRoutineType}${programQuery}`),
           progressionPath ? apiFetch(progressionPath) : Promise.resolve(null),
-          apiFetch(`/api/stats/distribution?metric=${distributionMetric}&window=${distributionWindow}&routineType=${statsRoutineType}`),
+          apiFetch(`/api/stats/distribution?metric=${distributionMetric}&window=${distributionWindow}&routineType=${statsRoutineType}${programQuery}`),
           apiFetch(`/api/stats/bodyweight-trend?window=${bodyweightWindow}`),
         ]);
         if (!active) return;
@@ -98,7 +105,10 @@ export function useStatsAnalyticsData() {
   }, [
     selectedExerciseId,
     progressionWindow,
+    oneRepMaxFormula,
+    projectionReps,
     statsRoutineType,
+    programQuery,
     distributionMetric,
     distributionWindow,
     bodyweightWindow,
@@ -122,7 +132,7 @@ export function useStatsAnalyticsData() {
       setDistributionDrilldownError(null);
       try {
         const data = await apiFetch(
-          `/api/stats/distribution/drilldown?muscle=${encodeURIComponent(distributionDrilldownMuscle)}&metric=${distributionMetric}&window=${distributionWindow}&routineType=${statsRoutineType}`
+          `/api/stats/distribution/drilldown?muscle=${encodeURIComponent(distributionDrilldownMuscle)}&metric=${distributionMetric}&window=${distributionWindow}&routineType=${statsRoutineType}${programQuery}`
         );
         if (!active) return;
         setDistributionDrilldown(data);
@@ -139,7 +149,7 @@ export function useStatsAnalyticsData() {
     return () => {
       active = false;
     };
-  }, [distributionDrilldownMuscle, distributionMetric, distributionWindow, statsRoutineType]);
+  }, [distributionDrilldownMuscle, distributionMetric, distributionWindow, statsRoutineType, programQuery]);
 
   return {
     stats,
@@ -149,12 +159,20 @@ export function useStatsAnalyticsData() {
     setSelectedExerciseId,
     statsRoutineType,
     setStatsRoutineType,
+    statsProgramId,
+    setStatsProgramId,
+    statsProgramWeek,
+    setStatsProgramWeek,
     timeseriesBucket,
     setTimeseriesBucket,
     timeseriesWindow,
     setTimeseriesWindow,
     progressionWindow,
     setProgressionWindow,
+    oneRepMaxFormula,
+    setOneRepMaxFormula,
+    projectionReps,
+    setProjectionReps,
     distributionMetric,
     setDistributionMetric,
     distributionWindow,
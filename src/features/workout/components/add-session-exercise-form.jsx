@@ -0,0 +1,269 @@
+import { useMemo, useState } from 'react';
+import {
+  BASE_EQUIPMENT_TYPES,
+  TARGET_SET_OPTIONS,
+  TARGET_REP_MIN_OPTIONS,
+  ROUTINE_BAND_OPTIONS,
+  ROUTINE_REST_OPTIONS,
+  DEFAULT_TARGET_REST_SECONDS,
+  DEFAULT_TARGET_SETS,
+  DEFAULT_TARGET_REPS_MIN,
+  DEFAULT_MEASUREMENT_MODE,
+  DEFAULT_TARGET_TIME_SECONDS,
+  DEFAULT_TARGET_DISTANCE_METERS,
+  TARGET_TIME_SECONDS_OPTIONS,
+  TARGET_DISTANCE_METERS_OPTIONS,
+  resolveMeasurementMetric,
+  measurementModeUsesWeight,
+  normalizeExercisePrimaryMuscles,
+  formatMuscleLabel,
+  encodeRoutineEquipmentValue,
+  decodeRoutineEquipmentValue,
+} from '../workout-utils.js';
+
+function AddSessionExerciseForm({
+  exercises,
+  excludedExerciseIds = [],
+  loading = false,
+  saving = false,
+  onSubmit,
+  onCancel,
+}) {
+  const [exerciseId, setExerciseId] = useState('');
+  const [equipment, setEquipment] = useState('');
+  const [targetBandLabel, setTargetBandLabel] = useState('');
+  const [targetWeight, setTargetWeight] = useState('');
+  const [targetSets, setTargetSets] = useState(DEFAULT_TARGET_SETS);
+  const [targetReps, setTargetReps] = useState(DEFAULT_TARGET_REPS_MIN);
+  const [targetTimeSeconds, setTargetTimeSeconds] = useState(DEFAULT_TARGET_TIME_SECONDS);
+  const [targetDistanceMeters, setTargetDistanceMeters] = useState(DEFAULT_TARGET_DISTANCE_METERS);
+  const [targetRestSeconds, setTargetRestSeconds] = useState(DEFAULT_TARGET_REST_SECONDS);
+  const [unilateral, setUnilateral] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const exerciseOptionsByGroup = useMemo(() => {
+    const excluded = new Set(excludedExerciseIds.map((id) => Number(id)));
+    const grouped = new Map();
+    (exercises || []).forEach((exercise) => {
+      if (excluded.has(Number(exercise.id))) return;
+      const group = normalizeExercisePrimaryMuscles(exercise)[0] || 'uncategorized';
+      if (!grouped.has(group)) {
+        grouped.set(group, []);
+      }
+      grouped.get(group).push(exercise);
+    });
+    return Array.from(grouped.entries())
+      .map(([group, groupedExercises]) => [
+        group,
+        [...groupedExercises].sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''))),
+      ])
+      .sort(([a], [b]) => {
+        if (a === 'uncategorized' && b !== 'uncategorized') return 1;
+        if (b === 'uncategorized' && a !== 'uncategorized') return -1;
+        return a.localeCompare(b);
+      });
+  }, [exercises, excludedExerciseIds]);
+
+  const measurementMode = (
+    (exercises || []).find((exercise) => String(exercise.id) === exerciseId)?.measurementMode
+    || DEFAULT_MEASUREMENT_MODE
+  );
+  const metric = resolveMeasurementMetric(measurementMode);
+  const showWeightInput = (
+    equipment !== 'Bodyweight'
+    && equipment !== 'Band'
+    && equipment !== 'Ab wheel'
+    && measurementModeUsesWeight(measurementMode)
+  );
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!exerciseId) {
+      setFormError('Pick an exercise to add.');
+      return;
+    }
+    if (!equipment) {
+      setFormError('Pick the equipment for this exercise.');
+      return;
+    }
+    setFormError(null);
+    onSubmit({
+      exerciseId: Number(exerciseId),
+      equipment,
+      targetSets: Number(targetSets),
+      targetReps: metric === 'reps' ? Number(targetReps) : null,
+      targetTimeSeconds: metric === 'time' ? Number(targetTimeSeconds) : null,
+      targetDistanceMeters: metric === 'distance' ? Number(targetDistanceMeters) : null,
+      targetRestSeconds: Number(targetRestSeconds),
+      targetWeight: showWeightInput && targetWeight !== '' ? Number(targetWeight) : null,
+      targetBandLabel: equipment === 'Band' ? targetBandLabel || ROUTINE_BAND_OPTIONS[0] : null,
+      unilateral: metric === 'reps' && unilateral,
+    });
+  };
+
+  return (
+    <form className="stack add-session-exercise-form" onSubmit={handleSubmit}>
+      {loading ? <div className="muted">Loading exercises…</div> : null}
+      <select
+        aria-label="Exercise to add"
+        value={exerciseId}
+        onChange={(event) => setExerciseId(event.target.value)}
+        disabled={loading}
+      >
+        <option value="">Exercise</option>
+        {exerciseOptionsByGroup.flatMap(([group, groupedExercises]) => [
+          <option key={`group-${group}`} value="" disabled>
+            {`— ${formatMuscleLabel(group)} —`}
+          </option>,
+          ...groupedExercises.map((exercise) => (
+            <option key={exercise.id} value={exercise.id}>
+              {exercise.name}
+            </option>
+          )),
+        ])}
+      </select>
+      <div className="form-row add-session-exercise-targets">
+        <select
+          aria-label="Equipment for added exercise"
+          value={encodeRoutineEquipmentValue(equipment, targetBandLabel)}
+          onChange={(event) => {
+            const decoded = decodeRoutineEquipmentValue(event.target.value);
+            setEquipment(decoded.equipment);
+            setTargetBandLabel(decoded.targetBandLabel);
+          }}
+        >
+          <option value="">Equipment</option>
+          {BASE_EQUIPMENT_TYPES.map((value) => (
+            <option key={value} value={`equipment:${value}`}>
+              {value}
+            </option>
+          ))}
+          <option disabled value="">
+            -- Band --
+          </option>
+          {ROUTINE_BAND_OPTIONS.map((bandLabel) => (
+            <option key={bandLabel} value={`band:${bandLabel}`}>
+              {`Band · ${bandLabel}`}
+            </option>
+          ))}
+        </select>
+        {showWeightInput ? (
+          <div className="input-suffix-wrap">
+            <input
+              className="input"
+              type="number"
+              inputMode="decimal"
+              step="0.5"
+              min="0"
+              aria-label="Weight for added exercise"
+              placeholder="Weight"
+              value={targetWeight}
+              onChange={(event) => setTargetWeight(event.target.value)}
+            />
+            <span className="input-suffix" aria-hidden="true">kg</span>
+          </div>
+        ) : null}
+        <div className="input-suffix-wrap">
+          <select
+            aria-label="Sets for added exercise"
+            className="input-suffix-select input-suffix-select-wide"
+            value={targetSets}
+            onChange={(event) => setTargetSets(event.target.value)}
+          >
+            {TARGET_SET_OPTIONS.map((value) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+          <span className="input-suffix" aria-hidden="true">sets</span>
+        </div>
+        {metric === 'time' ? (
+          <div className="input-suffix-wrap">
+            <select
+              aria-label="Duration for added exercise"
+              className="input-suffix-select input-suffix-select-wide"
+              value={targetTimeSeconds}
+              onChange={(event) => setTargetTimeSeconds(event.target.value)}
+            >
+              {TARGET_TIME_SECONDS_OPTIONS.map((value) => (
+                <option key={value} value={value}>
+                  {value}
+                </option>
+              ))}
+            </select>
+            <span className="input-suffix" aria-hidden="true">s</span>
+          </div>
+        ) : metric === 'distance' ? (
+          <div className="input-suffix-wrap">
+            <select
+              aria-label="Distance for added exercise"
+              className="input-suffix-select input-suffix-select-wide"
+              value={targetDistanceMeters}
+              onChange={(event) => setTargetDistanceMeters(event.target.value)}
+            >
+              {TARGET_DISTANCE_METERS_OPTIONS.map((value) => (
+                <option key={value} value={value}>
+                  {value}
+                </option>
+              ))}
+            </select>
+            <span className="input-suffix" aria-hidden="true">m</span>
+          </div>
+        ) : (
+          <div className="input-suffix-wrap">
+            <select
+              aria-label="Reps for added exercise"
+              className="input-suffix-select input-suffix-select-wide"
+              value={targetReps}
+              onChange={(event) => setTargetReps(event.target.value)}
+            >
+              {TARGET_REP_MIN_OPTIONS.map((value) => (
+                <option key={value} value={value}>
+                  {value}
+                </option>
+              ))}
+            </select>
+            <span className="input-suffix" aria-hidden="true">reps</span>
+          </div>
+        )}
+        <div className="input-suffix-wrap">
+          <select
+            aria-label="Rest for added exercise"
+            className="input-suffix-select input-suffix-select-wide"
+            value={targetRestSeconds}
+            onChange={(event) => setTargetRestSeconds(event.target.value)}
+          >
+            {ROUTINE_REST_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <span className="input-suffix" aria-hidden="true">rest</span>
+        </div>
+      </div>
+      {metric === 'reps' ? (
+        <button
+          type="button"
+          className={`button ghost routine-unilateral-toggle ${unilateral ? 'active' : ''}`}
+          aria-pressed={unilateral}
+          onClick={() => setUnilateral((prev) => !prev)}
+        >
+          Log left/right sides
+        </button>
+      ) : null}
+      {formError ? <div className="notice">{formError}</div> : null}
+      <div className="inline">
+        <button className="button" type="submit" disabled={saving || loading}>
+          {saving ? 'Adding…' : 'Add to workout'}
+        </button>
+        <button className="button ghost" type="button" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default AddSessionExerciseForm;
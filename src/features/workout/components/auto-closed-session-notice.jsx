@@ -0,0 +1,64 @@
+import { useState } from 'react';
+import { formatDateTime, formatDateTimeLocalInputValue } from '../workout-utils.js';
+
+function AutoClosedSessionNotice({ sessions, onReview }) {
+  const [endedAtInputs, setEndedAtInputs] = useState({});
+  const [savingId, setSavingId] = useState(null);
+
+  if (!sessions?.length) return null;
+
+  const handleReview = async (session, adjustEnd) => {
+    setSavingId(session.id);
+    try {
+      const input = endedAtInputs[session.id];
+      const endedAt = adjustEnd && input ? new Date(input) : null;
+      await onReview(session.id, endedAt && !Number.isNaN(endedAt.getTime()) ? endedAt.toISOString() : null);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <div className="card auto-closed-notice">
+      <div className="section-title">Workouts closed automatically</div>
+      {sessions.map((session) => {
+        const name = session.routineName || session.name || 'Workout';
+        return (
+          <div key={session.id} className="stack auto-closed-notice-item">
+            <div className="muted">
+              {name} from {formatDateTime(session.startedAt)} was left open, so it was ended at the last
+              logged set ({formatDateTime(session.endedAt)}). Adjust the end time if that is off.
+            </div>
+            <div className="form-row">
+              <input
+                className="input"
+                type="datetime-local"
+                aria-label={`End time for ${name}`}
+                value={endedAtInputs[session.id] ?? formatDateTimeLocalInputValue(session.endedAt)}
+                onChange={(event) => setEndedAtInputs((prev) => ({ ...prev, [session.id]: event.target.value }))}
+              />
+              <button
+                className="button secondary"
+                type="button"
+                disabled={savingId === session.id}
+                onClick={() => handleReview(session, true)}
+              >
+                Save end time
+              </button>
+              <button
+                className="button ghost"
+                type="button"
+                disabled={savingId === session.id}
+                onClick={() => handleReview(session, false)}
+              >
+                Keep
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default AutoClosedSessionNotice;
@@ -0,0 +1,116 @@
+import { useState } from 'react';
+import {
+  formatInventoryPlates,
+  formatInventoryWeightList,
+  parseInventoryPlates,
+  parseInventoryWeightList,
+} from '../workout-utils.js';
+import { useEquipmentInventory } from '../hooks/use-equipment-inventory.js';
+
+const WEIGHT_LIST_FIELDS = [
+  { key: 'barWeights', label: 'Bars (kg)', placeholder: '10, 15, 20' },
+  { key: 'dumbbells', label: 'Dumbbells (kg)', placeholder: '2, 4, 6, 8' },
+  { key: 'kettlebells', label: 'Kettlebells (kg)', placeholder: '8, 12, 16' },
+];
+
+function buildInventoryDrafts(inventory) {
+  return {
+    barWeights: formatInventoryWeightList(inventory.barWeights),
+    plates: formatInventoryPlates(inventory.plates),
+    dumbbells: formatInventoryWeightList(inventory.dumbbells),
+    kettlebells: formatInventoryWeightList(inventory.kettlebells),
+  };
+}
+
+function EquipmentInventoryCard() {
+  const { inventory, loading, saveInventory } = useEquipmentInventory();
+  const [drafts, setDrafts] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const values = drafts ?? buildInventoryDrafts(inventory);
+
+  const handleChange = (key, value) => {
+    setSaved(false);
+    setDrafts((prev) => ({ ...(prev ?? buildInventoryDrafts(inventory)), [key]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setFormError(null);
+    const payload = {};
+    for (const field of WEIGHT_LIST_FIELDS) {
+      const parsed = parseInventoryWeightList(values[field.key]);
+      if (!parsed.valid) {
+        setFormError(`${field.label} must be a comma-separated list of weights.`);
+        return;
+      }
+      payload[field.key] = parsed.weights;
+    }
+    if (!payload.barWeights.length) {
+      setFormError('Add at least one bar weight.');
+      return;
+    }
+    const plates = parseInventoryPlates(values.plates);
+    if (!plates.valid) {
+      setFormError('Plates must be listed as weight x pairs, e.g. 25x4, 1.25x2.');
+      return;
+    }
+    payload.plates = plates.plates;
+    setSaving(true);
+    try {
+      await saveInventory(payload);
+      setDrafts(null);
+      setSaved(true);
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="section-title">Equipment</div>
+      <form className="stack" onSubmit={handleSubmit}>
+        <p className="muted">
+          Target weights step through what you can actually load, and barbell exercises show plates per side.
+        </p>
+        <div>
+          <label htmlFor="equipment-inventory-plates">Plates (kg x pairs)</label>
+          <input
+            id="equipment-inventory-plates"
+            className="input"
+            type="text"
+            placeholder="25x4, 20x2, 1.25x2"
+            value={values.plates}
+            onChange={(event) => handleChange('plates', event.target.value)}
+            disabled={loading}
+          />
+        </div>
+        {WEIGHT_LIST_FIELDS.map((field) => (
+          <div key={field.key}>
+            <label htmlFor={`equipment-inventory-${field.key}`}>{field.label}</label>
+            <input
+              id={`equipment-inventory-${field.key}`}
+              className="input"
+              type="text"
+              inputMode="decimal"
+              placeholder={field.placeholder}
+              value={values[field.key]}
+              onChange={(event) => handleChange(field.key, event.target.value)}
+              disabled={loading}
+            />
+          </div>
+        ))}
+        {formError ? <div className="notice">{formError}</div> : null}
+        {saved ? <div className="tag">Equipment saved.</div> : null}
+        <button className="button" type="submit" disabled={loading || saving}>
+          {saving ? 'Saving…' : 'Save equipment'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default EquipmentInventoryCard;
@@ -0,0 +1,312 @@
+import { useMemo, useState } from 'react';
+import { FaPlus, FaXmark } from 'react-icons/fa6';
+import {
+  BASE_EQUIPMENT_TYPES,
+  ROUTINE_BAND_OPTIONS,
+  PAST_WORKOUT_DEFAULT_DURATION_MINUTES,
+  PAST_WORKOUT_FREESTYLE_VALUE,
+  buildPastWorkoutExerciseRows,
+  buildPastWorkoutPayload,
+  createPastWorkoutExerciseRow,
+  createPastWorkoutSetRow,
+  decodeRoutineEquipmentValue,
+  encodeRoutineEquipmentValue,
+  formatDateTimeLocalInputValue,
+  formatProgramPosition,
+  listPastWorkoutPrograms,
+  pastWorkoutUsesWeight,
+  resolveSetMetricHeading,
+  resolveSetMetricUnit,
+} from '../workout-utils.js';
+
+function PastWorkoutForm({
+  routines,
+  programs = [],
+  exercises,
+  loading = false,
+  saving = false,
+  onSubmit,
+  onCancel,
+}) {
+  const [routineValue, setRoutineValue] = useState('');
+  const [programValue, setProgramValue] = useState('');
+  const [startedAtInput, setStartedAtInput] = useState(() => formatDateTimeLocalInputValue(
+    new Date(Date.now() - PAST_WORKOUT_DEFAULT_DURATION_MINUTES * 60 * 1000)
+  ));
+  const [durationMinutes, setDurationMinutes] = useState(String(PAST_WORKOUT_DEFAULT_DURATION_MINUTES));
+  const [notes, setNotes] = useState('');
+  const [exerciseRows, setExerciseRows] = useState([]);
+  const [freestyleExerciseId, setFreestyleExerciseId] = useState('');
+  const [freestyleEquipment, setFreestyleEquipment] = useState('');
+  const [freestyleBandLabel, setFreestyleBandLabel] = useState('');
+  const [formError, setFormError] = useState(null);
+  const isFreestyle = routineValue === PAST_WORKOUT_FREESTYLE_VALUE;
+  const routinePrograms = listPastWorkoutPrograms(programs, routineValue);
+
+  const sortedExercises = useMemo(
+    () => [...(exercises || [])].sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''))),
+    [exercises]
+  );
+
+  const handleRoutineChange = (value) => {
+    setRoutineValue(value);
+    // Logging the program's next workout counts as that day unless the user opts out.
+    setProgramValue(String(listPastWorkoutPrograms(programs, value)[0]?.id || ''));
+    setFormError(null);
+    const routine = (routines || []).find((item) => String(item.id) === value);
+    setExerciseRows(routine ? buildPastWorkoutExerciseRows(routine) : []);
+  };
+
+  const updateExerciseRow = (rowKey, update) => {
+    setExerciseRows((prev) => prev.map((row) => (row.key === rowKey ? update(row) : row)));
+  };
+
+  const handleSetChange = (rowKey, setKey, field, value) => {
+    updateExerciseRow(rowKey, (row) => ({
+      ...row,
+      sets: row.sets.map((set) => (set.key === setKey ? { ...set, [field]: value } : set)),
+    }));
+  };
+
+  const handleAddSet = (rowKey) => {
+    updateExerciseRow(rowKey, (row) => {
+      const previous = row.sets.at(-1);
+      const next = createPastWorkoutSetRow(row, row.sets.length + 1);
+      return {
+        ...row,
+        sets: [...row.sets, previous ? { ...next, value: previous.value, weight: previous.weight } : next],
+      };
+    });
+  };
+
+  const handleRemoveSet = (rowKey, setKey) => {
+    updateExerciseRow(rowKey, (row) => ({
+      ...row,
+      sets: row.sets.filter((set) => set.key !== setKey),
+    }));
+  };
+
+  const handleAddFreestyleExercise = () => {
+    const exercise = sortedExercises.find((item) => String(item.id) === freestyleExerciseId);
+    if (!exercise) {
+      setFormError('Pick an exercise to add.');
+      return;
+    }
+    if (!freestyleEquipment) {
+      setFormError('Pick the equipment for this exercise.');
+      return;
+    }
+    if (exerciseRows.some((row) => row.exerciseId === Number(exercise.id))) {
+      setFormError('Exercise is already in this workout.');
+      return;
+    }
+    setFormError(null);
+    setExerciseRows((prev) => [
+      ...prev,
+      createPastWorkoutExerciseRow({
+        exerciseId: exercise.id,
+        name: exercise.name,
+        measurementMode: exercise.measurementMode,
+        equipment: freestyleEquipment,
+        targetBandLabel: freestyleEquipment === 'Band' ? freestyleBandLabel || ROUTINE_BAND_OPTIONS[0] : null,
+      }),
+    ]);
+    setFreestyleExerciseId('');
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const { payload, error } = buildPastWorkoutPayload({
+      routineValue,
+      startedAtInput,
+      durationMinutes,
+      notes,
+      exerciseRows,
+      programValue,
+    });
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    setFormError(null);
+    onSubmit(payload);
+  };
+
+  return (
+    <form className="stack past-workout-form" onSubmit={handleSubmit}>
+      <select
+        aria-label="Routine for past workout"
+        value={routineValue}
+        onChange={(event) => handleRoutineChange(event.target.value)}
+      >
+        <option value="">Routine</option>
+        {(routines || []).map((routine) => (
+          <option key={routine.id} value={routine.id}>
+            {routine.name}
+          </option>
+        ))}
+        <option value={PAST_WORKOUT_FREESTYLE_VALUE}>Freestyle</option>
+      </select>
+      {routinePrograms.length ? (
+        <select
+          aria-label="Program day for past workout"
+          value={programValue}
+          onChange={(event) => setProgramValue(event.target.value)}
+        >
+          {routinePrograms.map((program) => (
+            <option key={program.id} value={program.id}>
+              {`${program.name} · ${formatProgramPosition(program.nextWorkout.weekNumber, program.nextWorkout.dayNumber)}`}
+            </option>
+          ))}
+          <option value="">Not part of a program</option>
+        </select>
+      ) : null}
+      <div className="form-row past-workout-timing">
+        <input
+          className="input"
+          type="datetime-local"
+          aria-label="Past workout start time"
+          value={startedAtInput}
+          onChange={(event) => setStartedAtInput(event.target.value)}
+        />
+        <div className="input-suffix-wrap">
+          <input
+            className="input"
+            type="number"
+            inputMode="numeric"
+            min="1"
+            step="1"
+            aria-label="Past workout duration"
+            value={durationMinutes}
+            onChange={(event) => setDurationMinutes(event.target.value)}
+          />
+          <span className="input-suffix" aria-hidden="true">min</span>
+        </div>
+      </div>
+
+      {exerciseRows.map((row) => {
+        const heading = resolveSetMetricHeading(row.measurementMode);
+        const usesWeight = pastWorkoutUsesWeight(row);
+        return (
+          <div key={row.key} className="past-workout-exercise">
+            <div className="past-workout-exercise-title">
+              {[row.equipment, row.name].filter(Boolean).join(' ')}
+            </div>
+            {row.sets.map((set, index) => (
+              <div key={set.key} className="past-workout-set-row">
+                <span className="muted past-workout-set-label">Set {index + 1}</span>
+                <div className="input-suffix-wrap">
+                  <input
+                    className="input"
+                    type="number"
+                    inputMode="decimal"
+                    min="0"
+                    aria-label={`Set ${index + 1} ${heading.toLowerCase()} for ${row.name}`}
+                    value={set.value}
+                    onChange={(event) => handleSetChange(row.key, set.key, 'value', event.target.value)}
+                  />
+                  <span className="input-suffix" aria-hidden="true">{resolveSetMetricUnit(row.measurementMode)}</span>
+                </div>
+                {usesWeight ? (
+                  <div className="input-suffix-wrap">
+                    <input
+                      className="input"
+                      type="number"
+                      inputMode="decimal"
+                      step="0.5"
+                      min="0"
+                      aria-label={`Set ${index + 1} weight for ${row.name}`}
+                      value={set.weight}
+                      onChange={(event) => handleSetChange(row.key, set.key, 'weight', event.target.value)}
+                    />
+                    <span className="input-suffix" aria-hidden="true">kg</span>
+                  </div>
+                ) : null}
+                <button
+                  className="button ghost icon-button"
+                  type="button"
+                  aria-label={`Remove set ${index + 1} for ${row.name}`}
+                  title="Remove set"
+                  onClick={() => handleRemoveSet(row.key, set.key)}
+                >
+                  <FaXmark aria-hidden="true" />
+                </button>
+              </div>
+            ))}
+            <button className="button ghost" type="button" onClick={() => handleAddSet(row.key)}>
+              <FaPlus aria-hidden="true" />
+              Add set
+            </button>
+          </div>
+        );
+      })}
+
+      {isFreestyle ? (
+        <div className="form-row past-workout-add-exercise">
+          <select
+            aria-label="Exercise for past workout"
+            value={freestyleExerciseId}
+            onChange={(event) => setFreestyleExerciseId(event.target.value)}
+            disabled={loading}
+          >
+            <option value="">{loading ? 'Loading exercises…' : 'Exercise'}</option>
+            {sortedExercises.map((exercise) => (
+              <option key={exercise.id} value={exercise.id}>
+                {exercise.name}
+              </option>
+            ))}
+          </select>
+          <select
+            aria-label="Equipment for past workout exercise"
+            value={encodeRoutineEquipmentValue(freestyleEquipment, freestyleBandLabel)}
+            onChange={(event) => {
+              const decoded = decodeRoutineEquipmentValue(event.target.value);
+              setFreestyleEquipment(decoded.equipment);
+              setFreestyleBandLabel(decoded.targetBandLabel);
+            }}
+          >
+            <option value="">Equipment</option>
+            {BASE_EQUIPMENT_TYPES.map((value) => (
+              <option key={value} value={`equipment:${value}`}>
+                {value}
+              </option>
+            ))}
+            <option disabled value="">
+              -- Band --
+            </option>
+            {ROUTINE_BAND_OPTIONS.map((bandLabel) => (
+              <option key={bandLabel} value={`band:${bandLabel}`}>
+                {`Band · ${bandLabel}`}
+              </option>
+            ))}
+          </select>
+          <button className="button secondary" type="button" onClick={handleAddFreestyleExercise}>
+            <FaPlus aria-hidden="true" />
+            Add exercise
+          </button>
+        </div>
+      ) : null}
+
+      {routineValue ? (
+        <textarea
+          rows="2"
+          aria-label="Past workout notes"
+          placeholder="Notes"
+          value={notes}
+          onChange={(event) => setNotes(event.target.value)}
+        />
+      ) : null}
+      {formError ? <div className="notice">{formError}</div> : null}
+      <div className="inline">
+        <button className="button" type="submit" disabled={saving || !routineValue}>
+          {saving ? 'Saving…' : 'Save workout'}
+        </button>
+        <button className="button ghost" type="button" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default PastWorkoutForm;
@@ -0,0 +1,29 @@
+import { FaXmark } from 'react-icons/fa6';
+
+function PersonalRecordNotice({ notice, onDismiss }) {
+  if (!notice) return null;
+
+  return (
+    <div className="card workout-record-card" role="status">
+      <div>
+        <div className="section-title">
+          {notice.exerciseName ? `New personal record · ${notice.exerciseName}` : 'New personal record'}
+        </div>
+        {notice.labels.map((label) => (
+          <div key={label} className="muted">{label}</div>
+        ))}
+      </div>
+      <button
+        className="button ghost icon-button"
+        type="button"
+        aria-label="Dismiss personal record"
+        title="Dismiss personal record"
+        onClick={onDismiss}
+      >
+        <FaXmark aria-hidden="true" />
+      </button>
+    </div>
+  );
+}
+
+export default PersonalRecordNotice;
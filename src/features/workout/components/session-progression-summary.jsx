@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import { formatProgressionChange } from '../workout-utils.js';
+
+const PROGRESSION_STATUS_LABELS = {
+  applied: 'Applied',
+  proposed: 'Suggested',
+  reverted: 'Undone',
+};
+
+function SessionProgressionSummary({ progressions, onChangeStatus }) {
+  const [savingId, setSavingId] = useState(null);
+
+  if (!progressions?.length) return null;
+
+  const handleChange = async (progression, action) => {
+    setSavingId(progression.id);
+    try {
+      await onChangeStatus(progression, action);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <div className="card session-progression-summary">
+      <div className="section-title">Routine progression</div>
+      {progressions.map((progression) => {
+        const isApplied = progression.status === 'applied';
+        return (
+          <div key={progression.id} className="session-progression-item">
+            <div className="stack">
+              <div>{progression.exerciseName || 'Exercise'}</div>
+              <div className="muted">
+                {formatProgressionChange(progression)} · {PROGRESSION_STATUS_LABELS[progression.status] || progression.status}
+              </div>
+            </div>
+            <button
+              className={`button ${isApplied ? 'ghost' : 'secondary'}`}
+              type="button"
+              disabled={savingId === progression.id}
+              aria-label={`${isApplied ? 'Undo' : 'Apply'} progression for ${progression.exerciseName || 'exercise'}`}
+              onClick={() => handleChange(progression, isApplied ? 'undo' : 'apply')}
+            >
+              {isApplied ? 'Undo' : 'Apply'}
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default SessionProgressionSummary;
@@ -1,16 +1,108 @@
 import { formatRoutineLastUsedDaysAgo } from '../../../date-labels.js';
-import { formatRoutineTypeLabel } from '../workout-utils.js';
+import {
+  formatProgramPosition,
+  formatProgramWeekModifiers,
+  formatRoutineTypeLabel,
+  formatScheduleDueLabel,
+  formatScheduleDueWeekday,
+} from '../workout-utils.js';
 
-function StartWorkoutRoutineList({ routines, onStartSession }) {
+const SCHEDULE_STATUS_BADGES = {
+  today: 'Today',
+  missed: 'Missed',
+  upcoming: 'Next',
+};
+
+function StartWorkoutRoutineList({
+  routines,
+  programs = [],
+  scheduleRecommendation = null,
+  onStartSession,
+}) {
   if (!routines.length) {
     return (
       <div className="muted">
-        Create a routine in the Routines tab before starting a workout.
+        Create a routine in the Routines tab, or start a freestyle workout below.
       </div>
     );
   }
 
-  return routines.map((routine) => {
+  // The program workout due next is pinned above the routine list.
+  const programWorkouts = programs
+    .filter((program) => program.nextWorkout)
+    .map((program) => ({
+      program,
+      routine: routines.find((routine) => routine.id === program.nextWorkout.routineId),
+    }))
+    .filter(({ routine }) => routine);
+
+  const programButtons = programWorkouts.map(({ program, routine }) => {
+    const { weekNumber, dayNumber, label } = program.nextWorkout;
+    const modifiers = formatProgramWeekModifiers(program.nextWorkout);
+    return (
+      <button
+        key={`program-${program.id}`}
+        className="button start-workout-routine-button start-workout-program-button"
+        type="button"
+        aria-label={`${program.name}: ${routine.name}`}
+        onClick={() => onStartSession(routine.id, program.id)}
+      >
+        <span className="start-workout-routine-content">
+          <span className="start-workout-routine-title-row">
+            <span className="start-workout-routine-name">{label || routine.name}</span>
+            <span className="start-workout-routine-note">— {program.name}</span>
+          </span>
+          <span className="start-workout-routine-meta">
+            {[formatProgramPosition(weekNumber, dayNumber), modifiers].filter(Boolean).join(' · ')}
+          </span>
+        </span>
+        <span className="start-workout-routine-actions">
+          <span className="badge start-workout-routine-type-badge">Today</span>
+          <span className="start-workout-routine-chevron" aria-hidden="true">→</span>
+        </span>
+      </button>
+    );
+  });
+
+  // The schedule's next due workout comes first, with any other missed workouts listed under it.
+  const scheduledWorkout = scheduleRecommendation?.next || null;
+  const scheduledRoutine = scheduledWorkout
+    ? routines.find((routine) => routine.id === scheduledWorkout.routineId)
+    : null;
+  const otherMissedWorkouts = (scheduleRecommendation?.missed || []).filter(
+    (workout) => workout.position !== scheduledWorkout?.position || workout.dueDate !== scheduledWorkout?.dueDate
+  );
+  const scheduleButtons = scheduledRoutine ? [
+    <button
+      key={`schedule-${scheduledRoutine.id}`}
+      className={`button start-workout-routine-button start-workout-schedule-button ${scheduledWorkout.status}`}
+      type="button"
+      aria-label={`Scheduled: ${scheduledRoutine.name}`}
+      onClick={() => onStartSession(scheduledRoutine.id)}
+    >
+      <span className="start-workout-routine-content">
+        <span className="start-workout-routine-title-row">
+          <span className="start-workout-routine-name">{scheduledRoutine.name}</span>
+          <span className="start-workout-routine-note">— {formatScheduleDueLabel(scheduledWorkout)}</span>
+        </span>
+        <span className="start-workout-routine-meta">
+          {otherMissedWorkouts.length
+            ? `Also missed: ${otherMissedWorkouts
+              .map((workout) => `${workout.routineName} (${formatScheduleDueWeekday(workout)})`)
+              .join(', ')}`
+            : formatRoutineLastUsedDaysAgo(scheduledRoutine.lastUsedAt)}
+        </span>
+      </span>
+      <span className="start-workout-routine-actions">
+        <span className="badge start-workout-routine-type-badge">
+          {SCHEDULE_STATUS_BADGES[scheduledWorkout.status] || 'Next'}
+        </span>
+        <span className="start-workout-routine-chevron" aria-hidden="true">→</span>
+      </span>
+    </button>,
+  ] : [];
+
+  const routineButtons = routines.map((routine) => {
     const routineNote = typeof routine.notes === 'string' ? routine.notes.trim() : '';
     const routineLastUsedLabel = formatRoutineLastUsedDaysAgo(routine.lastUsedAt);
     const routineTypeLabel = formatRoutineTypeLabel(routine.routineType);
@@ -40,6 +132,8 @@ function StartWorkoutRoutineList({ routines, onStartSession }) {
       </button>
     );
   });
+
+  return [...scheduleButtons, ...programButtons, ...routineButtons];
 }
 
 export default StartWorkoutRoutineList;
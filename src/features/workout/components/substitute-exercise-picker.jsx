@@ -0,0 +1,112 @@
+import { useMemo, useState } from 'react';
+import { formatMuscleLabel } from '../workout-utils.js';
+
+function formatAlternativeMatchLabels(alternative) {
+  const labels = [];
+  if (alternative.matches?.primaryMuscles) {
+    labels.push('Same muscles');
+  } else if (alternative.primaryMuscles?.length) {
+    labels.push(alternative.primaryMuscles.map((muscle) => formatMuscleLabel(muscle)).join(', '));
+  }
+  if (alternative.matches?.mechanic) labels.push('Same mechanic');
+  if (alternative.matches?.equipment) labels.push('Same equipment');
+  return labels;
+}
+
+function SubstituteExercisePicker({
+  exercise,
+  alternatives = [],
+  catalog = [],
+  loading = false,
+  saving = false,
+  onSelect,
+  onCancel,
+}) {
+  const [catalogExerciseId, setCatalogExerciseId] = useState('');
+
+  const catalogOptions = useMemo(
+    () => [...(catalog || [])]
+      .filter((item) => Number(item.id) !== Number(exercise?.exerciseId) && !item.mergedIntoId)
+      .sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''))),
+    [catalog, exercise?.exerciseId]
+  );
+
+  const handleCatalogSubmit = (event) => {
+    event.preventDefault();
+    const selected = catalogOptions.find((item) => String(item.id) === catalogExerciseId);
+    if (!selected) return;
+    onSelect({ exerciseId: selected.id, forkId: null, name: selected.name, inCatalog: true });
+  };
+
+  return (
+    <div className="stack substitute-exercise-picker">
+      {exercise?.originalExerciseId ? (
+        <div className="inline substitute-exercise-planned">
+          <span className="muted">Planned: {exercise.originalExerciseName || 'Exercise'}</span>
+          <button
+            className="button ghost"
+            type="button"
+            disabled={saving}
+            onClick={() => onSelect({
+              exerciseId: exercise.originalExerciseId,
+              forkId: null,
+              name: exercise.originalExerciseName,
+              inCatalog: true,
+            })}
+          >
+            Swap back
+          </button>
+        </div>
+      ) : null}
+      <div className="section-title substitute-exercise-heading">Suggested alternatives</div>
+      {loading ? <div className="muted">Finding alternatives…</div> : null}
+      {!loading && !alternatives.length ? (
+        <div className="muted">No close matches. Pick any exercise below.</div>
+      ) : null}
+      {alternatives.length ? (
+        <div className="substitute-exercise-list">
+          {alternatives.map((alternative) => (
+            <button
+              key={alternative.exerciseId ? `exercise-${alternative.exerciseId}` : `library-${alternative.forkId}`}
+              className="button ghost substitute-exercise-option"
+              type="button"
+              aria-label={`Swap to ${alternative.name}`}
+              disabled={saving}
+              onClick={() => onSelect(alternative)}
+            >
+              <span className="substitute-exercise-option-name">{alternative.name}</span>
+              <span className="inline substitute-exercise-option-badges">
+                {formatAlternativeMatchLabels(alternative).map((label) => (
+                  <span key={label} className="badge">{label}</span>
+                ))}
+                {!alternative.inCatalog ? <span className="badge badge-group">Library</span> : null}
+              </span>
+            </button>
+          ))}
+        </div>
+      ) : null}
+      <form className="inline substitute-exercise-catalog" onSubmit={handleCatalogSubmit}>
+        <select
+          aria-label="Exercise to swap in"
+          value={catalogExerciseId}
+          onChange={(event) => setCatalogExerciseId(event.target.value)}
+        >
+          <option value="">Any exercise</option>
+          {catalogOptions.map((item) => (
+            <option key={item.id} value={item.id}>
+              {item.name}
+            </option>
+          ))}
+        </select>
+        <button className="button" type="submit" disabled={saving || !catalogExerciseId}>
+          {saving ? 'Swapping…' : 'Swap'}
+        </button>
+        <button className="button ghost" type="button" onClick={onCancel}>
+          Cancel
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default SubstituteExercisePicker;
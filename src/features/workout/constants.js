@@ -36,6 +36,41 @@ export const BASE_EQUIPMENT_TYPES = EQUIPMENT_TYPES.filter((equipment) => equipm
 export const TARGET_SET_OPTIONS = ['1', '2', '3'];
 export const TARGET_REP_MIN_OPTIONS = Array.from({ length: 100 }, (_, index) => `${index + 1}`);
 export const TARGET_REP_MAX_OPTIONS = Array.from({ length: 100 }, (_, index) => `${index + 1}`);
+export const SET_RPE_MAX = 10;
+export const SET_RPE_OPTIONS = Array.from({ length: 11 }, (_, index) => `${5 + index * 0.5}`);
+export const DEFAULT_SET_TYPE = 'working';
+export const SET_TYPE_OPTIONS = [
+  { value: 'warmup', label: 'Warm-up', shortLabel: 'W' },
+  { value: 'working', label: 'Working', shortLabel: '' },
+  { value: 'drop', label: 'Drop set', shortLabel: 'D' },
+  { value: 'failure', label: 'To failure', shortLabel: 'F' },
+  { value: 'rest_pause', label: 'Rest-pause', shortLabel: 'RP' },
+];
+export const INLINE_SET_TYPES = ['warmup', 'drop'];
+export const ROUTINE_SET_TARGET_TYPES = ['working', 'failure', 'rest_pause'];
+export const PROGRESSION_RULE_OPTIONS = [
+  { value: '', label: 'No progression' },
+  { value: 'double', label: 'Double progression' },
+  { value: 'reps_then_load', label: 'Add reps, then load' },
+];
+export const DEFAULT_PROGRESSION_WEIGHT_INCREMENT = '2.5';
+export const DEFAULT_MEASUREMENT_MODE = 'reps_weight';
+export const MEASUREMENT_MODE_OPTIONS = [
+  { value: 'reps_weight', label: 'Reps × weight' },
+  { value: 'time', label: 'Duration' },
+  { value: 'distance_weight', label: 'Distance × weight' },
+  { value: 'time_weight', label: 'Duration × weight' },
+];
+export const SET_TIME_SECONDS_MAX = 3600;
+export const SET_DISTANCE_METERS_MAX = 10000;
+export const TARGET_TIME_SECONDS_OPTIONS = [
+  '10', '15', '20', '30', '45', '60', '75', '90', '120', '150', '180', '240', '300',
+];
+export const TARGET_DISTANCE_METERS_OPTIONS = [
+  '10', '20', '25', '30', '40', '50', '75', '100', '150', '200', '400',
+];
+export const DEFAULT_TARGET_TIME_SECONDS = '30';
+export const DEFAULT_TARGET_DISTANCE_METERS = '20';
 
 export const ROUTINE_BAND_OPTIONS = [
   'Red',
@@ -76,6 +111,21 @@ export const REDUCED_MOTION_FEEDBACK_MS = 120;
 export const TARGET_WEIGHT_MIN = 0.5;
 export const TARGET_WEIGHT_STEP_DEFAULT = 1;
 export const TARGET_WEIGHT_STEP_BARBELL = 2.5;
+// Mirrors the server default that applies until the user saves their own inventory.
+export const DEFAULT_EQUIPMENT_INVENTORY = {
+  barWeights: [10, 15, 20],
+  plates: [
+    { weight: 25, pairs: 4 },
+    { weight: 20, pairs: 2 },
+    { weight: 15, pairs: 2 },
+    { weight: 10, pairs: 2 },
+    { weight: 5, pairs: 2 },
+    { weight: 2.5, pairs: 2 },
+    { weight: 1.25, pairs: 2 },
+  ],
+  dumbbells: [2, 4, 6, 8, 10, 12, 14, 16, 18, 20, 22.5, 25, 27.5, 30, 32.5, 35, 37.5, 40],
+  kettlebells: [8, 12, 16, 20, 24, 28, 32],
+};
 export const TARGET_WEIGHT_STATUS_CLEAR_MS = 1800;
 
 export const ROUTINE_TYPES = ['standard', 'rehab'];
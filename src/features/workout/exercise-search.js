@@ -0,0 +1,30 @@
+// The exercise list and routine editor picker rank with the same module as `GET /api/exercises?q=`,
+// so a search orders results the same wherever it is typed. It lives in server/ because the
+// production image only ships that directory.
+import { rankExerciseSearch } from '../../../server/exercise-search.js';
+
+// Exercises matching the query, best first. Aliases are searched like names; keywords (muscles)
+// only keep an exercise in the list below every name match.
+export function rankExercisesBySearch(query, exercises, { getKeywords } = {}) {
+  return rankExerciseSearch(query, exercises, {
+    getAliases: (exercise) => (Array.isArray(exercise?.aliases) ? exercise.aliases : []),
+    getKeywords,
+  });
+}
+
+export function formatAliasesForInput(aliases) {
+  return Array.isArray(aliases) ? aliases.filter(Boolean).join(', ') : '';
+}
+
+export function parseAliasesFromInput(value) {
+  const seen = new Set();
+  return String(value || '')
+    .split(',')
+    .map((alias) => alias.trim())
+    .filter((alias) => {
+      const key = alias.toLowerCase();
+      if (!alias || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
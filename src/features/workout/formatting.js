@@ -1,4 +1,4 @@
-import { LOCALE } from './constants.js';
+import { DEFAULT_SET_TYPE, LOCALE, SET_RPE_MAX, SET_TYPE_OPTIONS } from './constants.js';
 
 const RELEASE_TIMESTAMP_WITHOUT_TZ_REGEX =
   /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(?:\.\d{1,3})?$/;
@@ -93,6 +93,28 @@ export function formatDurationSeconds(value) {
   return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
 }
 
+export function formatSetRpeLabel(rpe, { includeRir = false } = {}) {
+  if (rpe === null || rpe === undefined || rpe === '') return null;
+  const value = Number(rpe);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  const label = `RPE ${formatNumber(value)}`;
+  if (!includeRir) return label;
+  return `${label} · ${formatNumber(Math.max(0, SET_RPE_MAX - value))} RIR`;
+}
+
+export function formatSetTypeLabel(setType, { short = false } = {}) {
+  const option = SET_TYPE_OPTIONS.find((entry) => entry.value === (setType || DEFAULT_SET_TYPE));
+  if (!option) return null;
+  return short ? option.shortLabel : option.label;
+}
+
+export function formatSetChipLabel(setIndex, setType) {
+  if (setType === 'warmup') return formatSetTypeLabel(setType);
+  const label = `Set ${setIndex}`;
+  if (!setType || setType === DEFAULT_SET_TYPE) return label;
+  return `${label} · ${formatSetTypeLabel(setType)}`;
+}
+
 export function resolveTargetWeightSaveStatusLabel(status) {
   if (status === 'pending') return 'Save on finish';
   if (status === 'saving') return 'Saving';
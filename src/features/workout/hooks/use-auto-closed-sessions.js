@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../../../api.js';
+
+// Workouts the server closed after they were left open, still waiting for the user to confirm the end time.
+export function useAutoClosedSessions() {
+  const [sessions, setSessions] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    const load = async () => {
+      try {
+        const data = await apiFetch('/api/sessions/auto-closed');
+        if (active && Array.isArray(data?.sessions)) {
+          setSessions(data.sessions);
+        }
+      } catch {
+        // The notice is optional; the workouts are already closed either way.
+      }
+    };
+    load();
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const reviewSession = useCallback(async (sessionId, endedAt = null) => {
+    const data = await apiFetch(`/api/sessions/${sessionId}/auto-close/review`, {
+      method: 'POST',
+      body: JSON.stringify(endedAt ? { endedAt } : {}),
+    });
+    setSessions((prev) => prev.filter((session) => session.id !== sessionId));
+    return data?.session || null;
+  }, []);
+
+  return {
+    sessions,
+    reviewSession,
+  };
+}
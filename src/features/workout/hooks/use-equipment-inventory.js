@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../../../api.js';
+import { DEFAULT_EQUIPMENT_INVENTORY, normalizeEquipmentInventory } from '../workout-utils.js';
+
+// Weight snapping and plate breakdowns keep working on the defaults when the inventory cannot be loaded.
+export function useEquipmentInventory() {
+  const [inventory, setInventory] = useState(DEFAULT_EQUIPMENT_INVENTORY);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let active = true;
+    const load = async () => {
+      try {
+        const data = await apiFetch('/api/equipment-inventory');
+        if (active && data?.inventory) {
+          setInventory(normalizeEquipmentInventory(data.inventory));
+        }
+      } catch {
+        // Keep the defaults.
+      } finally {
+        if (active) setLoading(false);
+      }
+    };
+    load();
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const saveInventory = useCallback(async (nextInventory) => {
+    const data = await apiFetch('/api/equipment-inventory', {
+      method: 'PUT',
+      body: JSON.stringify(nextInventory),
+    });
+    const saved = normalizeEquipmentInventory(data?.inventory);
+    setInventory(saved);
+    return saved;
+  }, []);
+
+  return {
+    inventory,
+    loading,
+    saveInventory,
+  };
+}
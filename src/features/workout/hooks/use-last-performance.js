@@ -0,0 +1,33 @@
+import { useEffect, useState } from 'react';
+import { apiFetch } from '../../../api.js';
+import { buildLastPerformanceByKey } from '../workout-utils.js';
+
+// Reloads whenever the workout's exercise list changes (added or swapped exercises), keyed by
+// a signature of its session exercise keys.
+export function useLastPerformance(sessionId, exerciseSignature = '') {
+  const [byKey, setByKey] = useState({});
+
+  useEffect(() => {
+    if (!sessionId) {
+      setByKey({});
+      return undefined;
+    }
+    let active = true;
+    const load = async () => {
+      try {
+        const data = await apiFetch(`/api/sessions/${sessionId}/last-performance`);
+        if (active) {
+          setByKey(buildLastPerformanceByKey(data?.exercises));
+        }
+      } catch {
+        // Previous performance is a hint; the workout works without it.
+      }
+    };
+    load();
+    return () => {
+      active = false;
+    };
+  }, [sessionId, exerciseSignature]);
+
+  return byKey;
+}
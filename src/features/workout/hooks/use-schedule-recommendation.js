@@ -0,0 +1,32 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../../../api.js';
+
+const EMPTY_RECOMMENDATION = { mode: 'weekdays', next: null, missed: [] };
+
+// The server counts due days in the browser's calendar, so the local offset is sent along.
+export function useScheduleRecommendation() {
+  const [recommendation, setRecommendation] = useState(EMPTY_RECOMMENDATION);
+
+  const refreshRecommendation = useCallback(async () => {
+    try {
+      const tzOffset = new Date().getTimezoneOffset();
+      const data = await apiFetch(`/api/schedule/next?tzOffset=${tzOffset}`);
+      setRecommendation({
+        mode: data?.mode || EMPTY_RECOMMENDATION.mode,
+        next: data?.next || null,
+        missed: Array.isArray(data?.missed) ? data.missed : [],
+      });
+    } catch {
+      // The start screen works without a recommendation.
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshRecommendation();
+  }, [refreshRecommendation]);
+
+  return {
+    recommendation,
+    refreshRecommendation,
+  };
+}
@@ -0,0 +1,32 @@
+import { formatDate, formatSetChipLabel } from './formatting.js';
+import { formatLoggedSetSummary } from './measurement.js';
+import { resolveSessionExerciseKey } from './session-keys.js';
+
+// Indexes the GET /api/sessions/:id/last-performance payload by session exercise key.
+export function buildLastPerformanceByKey(entries) {
+  return (entries || []).reduce((byKey, entry) => {
+    const key = resolveSessionExerciseKey(entry);
+    if (key) {
+      byKey[key] = entry;
+    }
+    return byKey;
+  }, {});
+}
+
+export function formatLastPerformanceHeading(lastSession) {
+  if (!lastSession) return null;
+  return `Last time · ${formatDate(lastSession.startedAt)}`;
+}
+
+export function buildLastPerformanceSetItems(lastSession, exercise) {
+  return (lastSession?.sets || []).map((set) => ({
+    key: String(set.id ?? `${set.setType}-${set.setIndex}`),
+    label: formatSetChipLabel(set.setIndex, set.setType),
+    summary: formatLoggedSetSummary(set, exercise),
+  }));
+}
+
+export function formatBestSetLabel(bestSet, exercise) {
+  if (!bestSet) return null;
+  return `Best · ${formatLoggedSetSummary(bestSet, exercise)} (${formatDate(bestSet.startedAt)})`;
+}
@@ -0,0 +1,250 @@
+import {
+  measurementModeUsesWeight,
+  resolveMeasurementMetric,
+  resolveSetMetricField,
+  resolveTargetMetricValue,
+} from '../../workout-flow.js';
+import {
+  DEFAULT_MEASUREMENT_MODE,
+  MEASUREMENT_MODE_OPTIONS,
+  SET_DISTANCE_METERS_MAX,
+  SET_TIME_SECONDS_MAX,
+  TARGET_DISTANCE_METERS_OPTIONS,
+  TARGET_REP_MAX_OPTIONS,
+  TARGET_TIME_SECONDS_OPTIONS,
+} from './constants.js';
+import { formatNumber } from './formatting.js';
+
+export {
+  measurementModeUsesWeight,
+  resolveMeasurementMetric,
+  resolveSetMetricField,
+  resolveTargetMetricValue,
+};
+
+const SET_METRIC_UNITS = {
+  reps: 'reps',
+  time: 's',
+  distance: 'm',
+};
+
+const SET_METRIC_LABELS = {
+  reps: 'reps',
+  time: 'duration',
+  distance: 'distance',
+};
+
+const SET_METRIC_HEADINGS = {
+  reps: 'Reps',
+  time: 'Duration',
+  distance: 'Distance',
+};
+
+export function normalizeMeasurementMode(value) {
+  return MEASUREMENT_MODE_OPTIONS.some((option) => option.value === value)
+    ? value
+    : DEFAULT_MEASUREMENT_MODE;
+}
+
+export function formatMeasurementModeLabel(measurementMode) {
+  const option = MEASUREMENT_MODE_OPTIONS.find(
+    (entry) => entry.value === normalizeMeasurementMode(measurementMode)
+  );
+  return option ? option.label : null;
+}
+
+export function resolveSetMetricUnit(measurementMode) {
+  return SET_METRIC_UNITS[resolveMeasurementMetric(measurementMode)];
+}
+
+export function resolveSetMetricLabel(measurementMode) {
+  return SET_METRIC_LABELS[resolveMeasurementMetric(measurementMode)];
+}
+
+export function resolveSetMetricHeading(measurementMode) {
+  return SET_METRIC_HEADINGS[resolveMeasurementMetric(measurementMode)];
+}
+
+export function resolveSetMetricOptions(measurementMode) {
+  const metric = resolveMeasurementMetric(measurementMode);
+  if (metric === 'time') return TARGET_TIME_SECONDS_OPTIONS;
+  if (metric === 'distance') return TARGET_DISTANCE_METERS_OPTIONS;
+  return TARGET_REP_MAX_OPTIONS;
+}
+
+// Keeps a selector's current value visible even when it is not one of the preset options.
+export function buildSetMetricSelectOptions(measurementMode, selectedValue = null) {
+  const options = resolveSetMetricOptions(measurementMode);
+  const selected = selectedValue === null || selectedValue === undefined ? '' : String(selectedValue);
+  if (!selected || options.includes(selected)) return options;
+  return [...options, selected].sort((left, right) => Number(left) - Number(right));
+}
+
+export function isValidSetMetricValue(measurementMode, value) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric <= 0) return false;
+  const metric = resolveMeasurementMetric(measurementMode);
+  if (metric === 'time') return Number.isInteger(numeric) && numeric <= SET_TIME_SECONDS_MAX;
+  if (metric === 'distance') return numeric >= 1 && numeric <= SET_DISTANCE_METERS_MAX;
+  return Number.isInteger(numeric) && numeric <= Number(TARGET_REP_MAX_OPTIONS.at(-1));
+}
+
+export function resolveSetMetricValue(set, measurementMode) {
+  const value = Number(set?.[resolveSetMetricField(measurementMode)]);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+export function buildSetMetricPayload(measurementMode, value) {
+  return { [resolveSetMetricField(measurementMode)]: value };
+}
+
+// Copies whichever metric a logged set carries, e.g. to re-create it on undo.
+export function pickSetMetricFields(set) {
+  return {
+    reps: set?.reps ?? null,
+    timeSeconds: set?.timeSeconds ?? null,
+    distanceMeters: set?.distanceMeters ?? null,
+    ...(hasSetSides(set) ? pickSetSideFields(set) : {}),
+  };
+}
+
+export function hasSetSides(set) {
+  return set?.leftReps !== null && set?.leftReps !== undefined;
+}
+
+export function pickSetSideFields(set) {
+  return {
+    leftReps: set?.leftReps ?? null,
+    leftWeight: set?.leftWeight ?? null,
+    rightReps: set?.rightReps ?? null,
+    rightWeight: set?.rightWeight ?? null,
+  };
+}
+
+// Fills in whichever side the user has not touched from the set's planned reps and weight.
+export function resolveSetSideValues(sides, { reps, weight }) {
+  return {
+    leftReps: Number(sides?.leftReps ?? reps),
+    leftWeight: Number(sides?.leftWeight ?? weight ?? 0),
+    rightReps: Number(sides?.rightReps ?? reps),
+    rightWeight: Number(sides?.rightWeight ?? weight ?? 0),
+  };
+}
+
+export function isValidSetSideValues(sides) {
+  if (!sides) return false;
+  const reps = [sides.leftReps, sides.rightReps];
+  const weights = [sides.leftWeight, sides.rightWeight];
+  return (
+    reps.every((value) => Number.isInteger(value) && value >= 0 && value <= Number(TARGET_REP_MAX_OPTIONS.at(-1)))
+    && reps.some((value) => value > 0)
+    && weights.every((value) => Number.isFinite(value) && value >= 0)
+  );
+}
+
+// Unilateral sets count the reps and load of both sides.
+export function resolveLoggedSetReps(set) {
+  if (hasSetSides(set)) return Number(set.leftReps || 0) + Number(set.rightReps || 0);
+  const reps = Number(set?.reps);
+  return Number.isFinite(reps) ? reps : 0;
+}
+
+export function resolveLoggedSetVolume(set) {
+  if (hasSetSides(set)) {
+    return Number(set.leftReps || 0) * Number(set.leftWeight || 0)
+      + Number(set.rightReps || 0) * Number(set.rightWeight || 0);
+  }
+  const reps = Number(set?.reps);
+  const weight = Number(set?.weight);
+  return Number.isFinite(reps) && Number.isFinite(weight) ? reps * weight : 0;
+}
+
+export function formatSetMetricValue(value, measurementMode) {
+  if (value === null || value === undefined || value === '') return null;
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) return null;
+  return `${formatNumber(numeric)} ${resolveSetMetricUnit(measurementMode)}`;
+}
+
+// Warm-up and drop sets always log reps, so a set that carries reps is shown as reps whatever the mode.
+export function formatSetMetricLabel(set, measurementMode) {
+  if (!set) return null;
+  const mode = Number(set.reps) > 0 ? DEFAULT_MEASUREMENT_MODE : measurementMode;
+  return formatSetMetricValue(set[resolveSetMetricField(mode)], mode);
+}
+
+export function formatLoggedSetSummary(set, exercise) {
+  if (!set) return '';
+  if (hasSetSides(set)) return formatSetSidesSummary(set, exercise);
+  const measurementMode = normalizeMeasurementMode(exercise?.measurementMode);
+  const metricLabel = formatSetMetricLabel(set, measurementMode) || '—';
+  if (!measurementModeUsesWeight(measurementMode) || exercise?.equipment === 'Bodyweight') {
+    return metricLabel;
+  }
+  if (exercise?.equipment === 'Band') {
+    return `${set.bandLabel || exercise.targetBandLabel || 'Band'} × ${metricLabel}`;
+  }
+  return `${formatNumber(set.weight)} kg × ${metricLabel}`;
+}
+
+export function formatSetSidesSummary(set, exercise) {
+  const showWeight = exercise?.equipment !== 'Bodyweight' && exercise?.equipment !== 'Band';
+  const formatSide = (label, reps, weight) => (
+    showWeight
+      ? `${label} ${formatNumber(weight)} kg × ${formatNumber(reps)}`
+      : `${label} ${formatNumber(reps)} reps`
+  );
+  return [
+    formatSide('L', set.leftReps, set.leftWeight),
+    formatSide('R', set.rightReps, set.rightWeight),
+  ].join(' · ');
+}
+
+export function formatSideAsymmetry(asymmetry) {
+  if (!asymmetry) return null;
+  if (!asymmetry.weakerSide || !Number(asymmetry.percent)) return 'Even';
+  const side = asymmetry.weakerSide === 'left' ? 'Left' : 'Right';
+  return `${side} ${formatNumber(asymmetry.percent)}% behind`;
+}
+
+export function formatSideAsymmetryTotals(asymmetry) {
+  if (!asymmetry) return null;
+  const format = asymmetry.basis === 'volume'
+    ? (value) => `${formatNumber(value)} kg`
+    : (value) => `${formatNumber(value)} reps`;
+  const left = asymmetry.basis === 'volume' ? asymmetry.leftVolume : asymmetry.leftReps;
+  const right = asymmetry.basis === 'volume' ? asymmetry.rightVolume : asymmetry.rightReps;
+  return `Left ${format(left)} · Right ${format(right)}`;
+}
+
+export function createHoldTimer({
+  exerciseKey,
+  setIndex,
+  durationSeconds,
+  nowMs = Date.now(),
+}) {
+  const seconds = Number(durationSeconds);
+  if (!Number.isInteger(seconds) || seconds <= 0) return null;
+  return {
+    exerciseKey: String(exerciseKey),
+    setIndex: Number(setIndex) || null,
+    durationSeconds: seconds,
+    startedAt: new Date(nowMs).toISOString(),
+    endsAt: new Date(nowMs + seconds * 1000).toISOString(),
+  };
+}
+
+export function resolveHoldTimerRemainingSeconds(timer, nowMs = Date.now()) {
+  if (!timer) return 0;
+  const endsAtMs = new Date(timer.endsAt).getTime();
+  if (Number.isNaN(endsAtMs)) return 0;
+  return Math.max(0, Math.ceil((endsAtMs - nowMs) / 1000));
+}
+
+export function resolveHoldTimerElapsedSeconds(timer, nowMs = Date.now()) {
+  if (!timer) return 0;
+  const startedAtMs = new Date(timer.startedAt).getTime();
+  if (Number.isNaN(startedAtMs)) return 0;
+  const elapsedSeconds = Math.floor((nowMs - startedAtMs) / 1000);
+  return Math.min(timer.durationSeconds, Math.max(0, elapsedSeconds));
+}
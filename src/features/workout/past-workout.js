@@ -0,0 +1,148 @@
+import { resolveSetTargetMetricValue, resolveSetTargetWeightValue } from '../../workout-flow.js';
+import {
+  isValidSetMetricValue,
+  measurementModeUsesWeight,
+  normalizeMeasurementMode,
+  resolveSetMetricField,
+  resolveSetMetricLabel,
+} from './measurement.js';
+
+export const PAST_WORKOUT_FREESTYLE_VALUE = 'freestyle';
+export const PAST_WORKOUT_DEFAULT_DURATION_MINUTES = 60;
+
+let pastWorkoutRowSequence = 0;
+
+function nextPastWorkoutRowKey(prefix) {
+  pastWorkoutRowSequence += 1;
+  return `${prefix}-${pastWorkoutRowSequence}`;
+}
+
+function formatInputNumber(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? String(numeric) : '';
+}
+
+export function pastWorkoutUsesWeight(exercise) {
+  return measurementModeUsesWeight(exercise?.measurementMode)
+    && exercise?.equipment !== 'Bodyweight'
+    && exercise?.equipment !== 'Band';
+}
+
+// datetime-local inputs take local wall-clock time without a zone suffix.
+export function formatDateTimeLocalInputValue(date) {
+  const value = date instanceof Date ? date : new Date(date);
+  if (Number.isNaN(value.getTime())) return '';
+  const pad = (part) => String(part).padStart(2, '0');
+  return [
+    `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`,
+    `${pad(value.getHours())}:${pad(value.getMinutes())}`,
+  ].join('T');
+}
+
+export function createPastWorkoutSetRow(exercise, setIndex = 1) {
+  return {
+    key: nextPastWorkoutRowKey('past-set'),
+    value: formatInputNumber(resolveSetTargetMetricValue(exercise, setIndex)),
+    weight: pastWorkoutUsesWeight(exercise) ? formatInputNumber(resolveSetTargetWeightValue(exercise, setIndex)) : '',
+  };
+}
+
+export function createPastWorkoutExerciseRow(exercise, { routineExerciseId = null } = {}) {
+  const targetSets = Math.max(1, Number(exercise?.targetSets) || 1);
+  return {
+    key: nextPastWorkoutRowKey('past-exercise'),
+    exerciseId: Number(exercise?.exerciseId),
+    routineExerciseId,
+    name: exercise?.name || 'Exercise',
+    equipment: exercise?.equipment || null,
+    measurementMode: normalizeMeasurementMode(exercise?.measurementMode),
+    targetBandLabel: exercise?.targetBandLabel || null,
+    targetWeight: exercise?.targetWeight ?? null,
+    sets: Array.from({ length: targetSets }, (_, index) => createPastWorkoutSetRow(exercise, index + 1)),
+  };
+}
+
+// One row per planned routine slot, pre-filled with the routine's current targets.
+export function buildPastWorkoutExerciseRows(routine) {
+  return (routine?.exercises || []).map((exercise) => (
+    createPastWorkoutExerciseRow(exercise, { routineExerciseId: exercise.id ?? null })
+  ));
+}
+
+// Programs whose next workout is this routine; a past log of it can count as that program day.
+export function listPastWorkoutPrograms(programs, routineValue) {
+  const routineId = Number(routineValue);
+  if (!routineId) return [];
+  return (programs || []).filter((program) => program.nextWorkout?.routineId === routineId);
+}
+
+// Turns the form state into the POST /api/sessions/past payload. Set rows left blank are
+// treated as not performed; everything else must be a valid set.
+export function buildPastWorkoutPayload({
+  routineValue,
+  startedAtInput,
+  durationMinutes,
+  notes,
+  exerciseRows,
+  programValue = '',
+}) {
+  const freestyle = routineValue === PAST_WORKOUT_FREESTYLE_VALUE;
+  const routineId = Number(routineValue);
+  if (!freestyle && !routineId) {
+    return { payload: null, error: 'Pick a routine or freestyle.' };
+  }
+  const programId = freestyle ? null : Number(programValue) || null;
+  const startedAt = new Date(startedAtInput);
+  if (!startedAtInput || Number.isNaN(startedAt.getTime())) {
+    return { payload: null, error: 'Pick when the workout started.' };
+  }
+  const duration = Number(durationMinutes);
+  if (!Number.isInteger(duration) || duration <= 0) {
+    return { payload: null, error: 'Duration must be a whole number of minutes.' };
+  }
+
+  const exercises = [];
+  for (const row of exerciseRows || []) {
+    const usesWeight = pastWorkoutUsesWeight(row);
+    const sets = [];
+    for (const set of row.sets) {
+      if (String(set.value).trim() === '') continue;
+      const metricValue = Number(set.value);
+      if (!isValidSetMetricValue(row.measurementMode, metricValue)) {
+        return { payload: null, error: `Check the ${resolveSetMetricLabel(row.measurementMode)} for ${row.name}.` };
+      }
+      const weight = usesWeight ? Number(set.weight) : 0;
+      if (usesWeight && (String(set.weight).trim() === '' || !Number.isFinite(weight) || weight < 0)) {
+        return { payload: null, error: `Check the weight for ${row.name}.` };
+      }
+      sets.push({
+        [resolveSetMetricField(row.measurementMode)]: metricValue,
+        weight,
+        ...(row.equipment === 'Band' && row.targetBandLabel ? { bandLabel: row.targetBandLabel } : {}),
+      });
+    }
+    if (!sets.length) continue;
+    exercises.push({
+      exerciseId: row.exerciseId,
+      ...(freestyle
+        ? { equipment: row.equipment, targetBandLabel: row.targetBandLabel }
+        : { routineExerciseId: row.routineExerciseId }),
+      sets,
+    });
+  }
+  if (!exercises.length) {
+    return { payload: null, error: 'Log at least one set.' };
+  }
+
+  return {
+    payload: {
+      ...(freestyle ? { freestyle: true } : { routineId }),
+      ...(programId ? { programId } : {}),
+      startedAt: startedAt.toISOString(),
+      durationMinutes: duration,
+      notes: String(notes || '').trim() || null,
+      exercises,
+    },
+    error: null,
+  };
+}
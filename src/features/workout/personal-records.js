@@ -0,0 +1,53 @@
+import { formatDate, formatNumber } from './formatting.js';
+
+export const ONE_REP_MAX_FORMULA_OPTIONS = [
+  { value: 'epley', label: 'Epley' },
+  { value: 'brzycki', label: 'Brzycki' },
+  { value: 'lombardi', label: 'Lombardi' },
+];
+
+export const REP_MAX_TABLE_REPS = 15;
+
+const PERSONAL_RECORD_LABELS = {
+  weight: 'Heaviest weight',
+  e1rm: 'Best estimated 1RM',
+  volume: 'Best session volume',
+};
+
+export function formatPersonalRecordValue(record) {
+  if (!record) return null;
+  if (record.recordType === 'reps') {
+    return `${formatNumber(record.value)} reps`;
+  }
+  return `${formatNumber(record.value)} kg`;
+}
+
+// "Most reps at 100 kg: 6 reps (was 5 reps)"; baselines have nothing to compare with.
+export function formatPersonalRecordLabel(record) {
+  if (!record) return null;
+  const title = record.recordType === 'reps'
+    ? Number(record.weight) > 0
+      ? `Most reps at ${formatNumber(record.weight)} kg`
+      : 'Most reps'
+    : PERSONAL_RECORD_LABELS[record.recordType];
+  if (!title) return null;
+  const value = formatPersonalRecordValue(record);
+  if (record.previousValue === null || record.previousValue === undefined) {
+    return `${title}: ${value}`;
+  }
+  const previous = formatPersonalRecordValue({ ...record, value: record.previousValue });
+  return `${title}: ${value} (was ${previous})`;
+}
+
+// Session exercise key + set index -> labels, for the sets that raised a record this workout.
+export function mergePersonalRecordsBySetKey(previous, setKey, records) {
+  const labels = (records || []).map(formatPersonalRecordLabel).filter(Boolean);
+  if (!setKey || !labels.length) return previous;
+  return { ...(previous || {}), [setKey]: labels };
+}
+
+// "100 kg × 5 · Jan 2" for the set a one-rep max was estimated from.
+export function formatOneRepMaxSourceLabel(best) {
+  if (!best) return null;
+  return `${formatNumber(best.weight)} kg × ${formatNumber(best.reps)} · ${formatDate(best.startedAt)}`;
+}
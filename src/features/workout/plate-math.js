@@ -0,0 +1,179 @@
+import { DEFAULT_EQUIPMENT_INVENTORY } from './constants.js';
+import { formatNumber } from './formatting.js';
+import {
+  formatTargetWeightInputValue,
+  normalizeEquipmentForComparison,
+  resolveWeightStepForEquipment,
+  roundWeight,
+} from './session-keys.js';
+
+// Plate sums are tracked in hundredths of a kilogram so 1.25 kg plates add up exactly.
+const WEIGHT_UNITS_PER_KG = 100;
+
+function toWeightUnits(value) {
+  return Math.round(Number(value) * WEIGHT_UNITS_PER_KG);
+}
+
+function fromWeightUnits(value) {
+  return roundWeight(value / WEIGHT_UNITS_PER_KG);
+}
+
+function normalizeWeightList(value) {
+  if (!Array.isArray(value)) return null;
+  const weights = value
+    .map((entry) => roundWeight(entry))
+    .filter((entry) => Number.isFinite(entry) && entry > 0);
+  return [...new Set(weights)].sort((left, right) => left - right);
+}
+
+function normalizePlateList(value) {
+  if (!Array.isArray(value)) return null;
+  return value
+    .map((entry) => ({
+      weight: roundWeight(entry?.weight),
+      pairs: Number(entry?.pairs),
+    }))
+    .filter((entry) => Number.isFinite(entry.weight) && entry.weight > 0
+      && Number.isInteger(entry.pairs) && entry.pairs > 0)
+    .sort((left, right) => right.weight - left.weight);
+}
+
+export function normalizeEquipmentInventory(inventory) {
+  const barWeights = normalizeWeightList(inventory?.barWeights);
+  return {
+    barWeights: barWeights?.length ? barWeights : DEFAULT_EQUIPMENT_INVENTORY.barWeights,
+    plates: normalizePlateList(inventory?.plates) ?? DEFAULT_EQUIPMENT_INVENTORY.plates,
+    dumbbells: normalizeWeightList(inventory?.dumbbells) ?? DEFAULT_EQUIPMENT_INVENTORY.dumbbells,
+    kettlebells: normalizeWeightList(inventory?.kettlebells) ?? DEFAULT_EQUIPMENT_INVENTORY.kettlebells,
+  };
+}
+
+// Barbell exercises are loaded on the heaviest bar in the inventory.
+export function resolveDefaultBarWeight(inventory) {
+  return normalizeEquipmentInventory(inventory).barWeights.at(-1);
+}
+
+function listPerSidePlateSums(plates) {
+  let sums = new Set([0]);
+  plates.forEach(({ weight, pairs }) => {
+    const units = toWeightUnits(weight);
+    const next = new Set(sums);
+    sums.forEach((sum) => {
+      for (let count = 1; count <= pairs; count += 1) {
+        next.add(sum + units * count);
+      }
+    });
+    sums = next;
+  });
+  return [...sums].sort((left, right) => left - right);
+}
+
+// Returns null for equipment the inventory does not describe; callers fall back to fixed steps.
+export function listLoadableWeights(equipment, inventory) {
+  const normalized = normalizeEquipmentInventory(inventory);
+  const kind = normalizeEquipmentForComparison(equipment);
+  if (kind === 'barbell') {
+    const barUnits = toWeightUnits(resolveDefaultBarWeight(normalized));
+    return listPerSidePlateSums(normalized.plates)
+      .map((sideUnits) => fromWeightUnits(barUnits + sideUnits * 2));
+  }
+  if (kind === 'dumbbell') return normalized.dumbbells.length ? normalized.dumbbells : null;
+  if (kind === 'kettlebell') return normalized.kettlebells.length ? normalized.kettlebells : null;
+  return null;
+}
+
+export function snapToLoadableWeight(weight, equipment, inventory) {
+  const numeric = roundWeight(weight);
+  if (!Number.isFinite(numeric)) return null;
+  const loadable = listLoadableWeights(equipment, inventory);
+  if (!loadable?.length) return numeric;
+  return loadable.reduce((closest, candidate) => (
+    Math.abs(candidate - numeric) < Math.abs(closest - numeric) ? candidate : closest
+  ), loadable[0]);
+}
+
+// Steps to the next loadable weight in the given direction; past either end of the
+// inventory (e.g. below an empty bar) it falls back to the fixed equipment step.
+export function resolveNextLoadableWeight(weight, direction, equipment, inventory) {
+  const numeric = roundWeight(weight);
+  if (!Number.isFinite(numeric)) return null;
+  const goingDown = Number(direction) < 0;
+  const loadable = listLoadableWeights(equipment, inventory) || [];
+  const next = goingDown
+    ? [...loadable].reverse().find((candidate) => candidate < numeric)
+    : loadable.find((candidate) => candidate > numeric);
+  if (next !== undefined) return next;
+  const step = resolveWeightStepForEquipment(equipment);
+  return roundWeight(numeric + (goingDown ? -step : step));
+}
+
+// Greedy per-side loading, heaviest plates first; remainder is what the inventory cannot make up.
+export function buildPlateBreakdown(totalWeight, inventory) {
+  const normalized = normalizeEquipmentInventory(inventory);
+  const total = roundWeight(totalWeight);
+  if (!Number.isFinite(total)) return null;
+  const barWeight = resolveDefaultBarWeight(normalized);
+  const sideUnits = (toWeightUnits(total) - toWeightUnits(barWeight)) / 2;
+  if (sideUnits < 0) return null;
+  let remainingUnits = Math.floor(sideUnits);
+  const plates = [];
+  normalized.plates.forEach(({ weight, pairs }) => {
+    const units = toWeightUnits(weight);
+    const count = Math.min(pairs, Math.floor(remainingUnits / units));
+    if (count <= 0) return;
+    plates.push({ weight, count });
+    remainingUnits -= units * count;
+  });
+  return {
+    barWeight,
+    plates,
+    remainder: fromWeightUnits(remainingUnits + (sideUnits - Math.floor(sideUnits))),
+  };
+}
+
+export function formatPlateBreakdown(breakdown) {
+  if (!breakdown) return null;
+  const plates = breakdown.plates.flatMap(({ weight, count }) => (
+    Array.from({ length: count }, () => formatNumber(weight))
+  ));
+  const loading = plates.length
+    ? `${plates.join(' + ')} per side`
+    : 'Empty bar';
+  const remainder = breakdown.remainder > 0
+    ? ` (${formatNumber(breakdown.remainder)} kg per side short)`
+    : '';
+  return `${loading} on ${formatNumber(breakdown.barWeight)} kg bar${remainder}`;
+}
+
+export function formatInventoryWeightList(weights) {
+  return (weights || []).map((weight) => formatTargetWeightInputValue(weight)).join(', ');
+}
+
+// Accepts "10, 15, 20"; decimal commas are not supported since commas separate entries.
+export function parseInventoryWeightList(value) {
+  const entries = String(value || '').split(/[,\s]+/).filter(Boolean);
+  const weights = entries.map((entry) => roundWeight(entry));
+  if (weights.some((weight) => !Number.isFinite(weight) || weight <= 0)) {
+    return { weights: null, valid: false };
+  }
+  return { weights, valid: true };
+}
+
+export function formatInventoryPlates(plates) {
+  return (plates || []).map(({ weight, pairs }) => `${formatTargetWeightInputValue(weight)}x${pairs}`).join(', ');
+}
+
+// Accepts "25x4, 20x2, 1.25"; a plate without a pair count is one pair.
+export function parseInventoryPlates(value) {
+  const entries = String(value || '').split(/[,\s]+/).filter(Boolean);
+  const plates = entries.map((entry) => {
+    const [weight, pairs = '1'] = entry.toLowerCase().split(/[x×*]/);
+    return { weight: roundWeight(weight), pairs: Number(pairs) };
+  });
+  if (plates.some(({ weight, pairs }) => (
+    !Number.isFinite(weight) || weight <= 0 || !Number.isInteger(pairs) || pairs < 1
+  ))) {
+    return { plates: null, valid: false };
+  }
+  return { plates, valid: true };
+}
@@ -0,0 +1,110 @@
+import {
+  formatRestTime,
+  formatSessionDetailExerciseStateLabel,
+  formatSetChipLabel,
+} from './formatting.js';
+import {
+  buildLastPerformanceSetItems,
+  formatBestSetLabel,
+  formatLastPerformanceHeading,
+} from './last-performance.js';
+import { resolveSetMetricHeading } from './measurement.js';
+import { formatRoutineSetTarget } from './routine-versions.js';
+import { buildWorkoutPreviewBlocks } from './routine-domain.js';
+import {
+  buildSessionDetailSetRows,
+  formatSessionDetailSetMetric,
+  formatSessionDetailSetWeight,
+  resolveSessionDetailExerciseState,
+} from './session-details.js';
+
+// Planned sets as printed on a card: each set's own load, or the exercise load when the set
+// has none, so the paper copy reads without the app.
+function buildRoutinePrintSetRows(exercise) {
+  const setTargets = Array.isArray(exercise?.setTargets) && exercise.setTargets.length
+    ? exercise.setTargets
+    : Array.from({ length: Number(exercise?.targetSets) || 0 }, (_, index) => ({
+      setIndex: index + 1,
+      targetReps: exercise?.targetReps ?? null,
+      targetTimeSeconds: exercise?.targetTimeSeconds ?? null,
+      targetDistanceMeters: exercise?.targetDistanceMeters ?? null,
+    }));
+  return setTargets.map((target, index) => {
+    const setIndex = Number(target.setIndex) || index + 1;
+    const hasOwnLoad = Boolean(target.targetPercent || target.targetWeight || target.targetBandLabel);
+    return {
+      key: `${setIndex}-${target.setType || 'working'}`,
+      label: formatSetChipLabel(setIndex, target.setType),
+      target: formatRoutineSetTarget(hasOwnLoad ? target : {
+        ...target,
+        targetWeight: exercise?.targetWeight ?? null,
+        targetBandLabel: exercise?.targetBandLabel ?? null,
+      }),
+    };
+  });
+}
+
+function formatRoutinePrintDetails(exercise) {
+  const restLabel = formatRestTime(exercise?.targetRestSeconds);
+  return [
+    restLabel ? `Rest ${restLabel}` : null,
+    exercise?.unilateral ? 'Log left and right' : null,
+  ].filter(Boolean).join(' · ');
+}
+
+// Blocks of printable exercise cards for GET /api/routines/:id/print, supersets kept together.
+export function buildRoutinePrintBlocks(sheet) {
+  const exercises = Array.isArray(sheet?.routine?.exercises) ? sheet.routine.exercises : [];
+  const hintBySlotId = new Map(
+    (sheet?.lastPerformance || []).map((entry) => [entry.routineExerciseId, entry])
+  );
+  const cards = exercises.map((exercise) => {
+    const hint = hintBySlotId.get(exercise.id) || null;
+    return {
+      key: String(exercise.id),
+      title: [exercise.equipment, exercise.name].filter(Boolean).join(' '),
+      details: formatRoutinePrintDetails(exercise),
+      notes: exercise.notes || null,
+      unilateral: Boolean(exercise.unilateral),
+      metricHeading: resolveSetMetricHeading(exercise.measurementMode),
+      sets: buildRoutinePrintSetRows(exercise),
+      lastHeading: formatLastPerformanceHeading(hint?.lastSession),
+      lastSets: buildLastPerformanceSetItems(hint?.lastSession, exercise),
+      bestLabel: formatBestSetLabel(hint?.bestSet, exercise),
+    };
+  });
+  return buildWorkoutPreviewBlocks(exercises).map((block) => ({
+    key: cards.slice(block.startIndex, block.endIndex + 1).map((card) => card.key).join('|'),
+    isSuperset: block.isSuperset,
+    cards: cards.slice(block.startIndex, block.endIndex + 1),
+  }));
+}
+
+// Blocks of logged exercises for printing a workout from its session summary.
+export function buildSessionPrintBlocks(summary) {
+  const exercises = Array.isArray(summary?.exercises) ? summary.exercises : [];
+  const sessionEnded = Boolean(summary?.endedAt);
+  const cards = exercises.map((exercise, index) => {
+    const exerciseState = resolveSessionDetailExerciseState(exercise, { sessionEnded });
+    const setRows = buildSessionDetailSetRows(exercise, { exerciseState });
+    return {
+      key: `${exercise.exerciseId}-${exercise.position ?? index}-${index}`,
+      title: [exercise.equipment, exercise.name].filter(Boolean).join(' '),
+      substitutedFor: exercise.originalExerciseName || null,
+      metricHeading: resolveSetMetricHeading(exercise.measurementMode),
+      stateLabel: setRows.length ? null : formatSessionDetailExerciseStateLabel(exerciseState),
+      sets: setRows.map((row, setIndex) => ({
+        key: `${row.kind}-${row.set?.id ?? row.setIndex}-${setIndex}`,
+        label: formatSetChipLabel(row.setIndex, row.set?.setType),
+        weight: formatSessionDetailSetWeight(row, exercise),
+        metric: formatSessionDetailSetMetric(row, exercise),
+        rpe: row.kind === 'logged' ? row.set?.rpe ?? null : null,
+      })),
+    };
+  });
+  return buildWorkoutPreviewBlocks(exercises).map((block) => ({
+    key: cards.slice(block.startIndex, block.endIndex + 1).map((card) => card.key).join('|'),
+    isSuperset: block.isSuperset,
+    cards: cards.slice(block.startIndex, block.endIndex + 1),
+  }));
+}
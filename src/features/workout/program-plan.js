@@ -0,0 +1,128 @@
+export const PROGRAM_WEEKS_MAX = 16;
+export const PROGRAM_DAYS_MAX = 14;
+export const PROGRAM_DEFAULT_WEEK_COUNT = 4;
+export const PROGRAM_DELOAD_VOLUME_PERCENT = 50;
+export const PROGRAM_DELOAD_INTENSITY_PERCENT = 80;
+
+let programRowSequence = 0;
+
+function nextProgramRowKey(prefix) {
+  programRowSequence += 1;
+  return `${prefix}-${programRowSequence}`;
+}
+
+export function createProgramWeekDraft(week = null) {
+  return {
+    key: nextProgramRowKey('week'),
+    volumePercent: String(week?.volumePercent ?? 100),
+    intensityPercent: String(week?.intensityPercent ?? 100),
+    deload: Boolean(week?.deload),
+  };
+}
+
+export function createProgramDayDraft(day = null) {
+  return {
+    key: nextProgramRowKey('day'),
+    routineId: day?.routineId ? String(day.routineId) : '',
+    label: day?.label || '',
+  };
+}
+
+export function createProgramDraft(program = null) {
+  const weeks = program?.weeks?.length
+    ? program.weeks.map((week) => createProgramWeekDraft(week))
+    : Array.from({ length: PROGRAM_DEFAULT_WEEK_COUNT }, () => createProgramWeekDraft());
+  return {
+    name: program?.name || '',
+    notes: program?.notes || '',
+    weeks,
+    days: program?.days?.length
+      ? program.days.map((day) => createProgramDayDraft(day))
+      : [createProgramDayDraft()],
+  };
+}
+
+// Turning a week into a deload lightens untouched modifiers the same way the server defaults do.
+export function toggleProgramWeekDeload(week) {
+  if (week.deload) return { ...week, deload: false };
+  return {
+    ...week,
+    deload: true,
+    volumePercent: Number(week.volumePercent) === 100 ? String(PROGRAM_DELOAD_VOLUME_PERCENT) : week.volumePercent,
+    intensityPercent: Number(week.intensityPercent) === 100
+      ? String(PROGRAM_DELOAD_INTENSITY_PERCENT)
+      : week.intensityPercent,
+  };
+}
+
+// Resizes the week list while keeping the modifiers of the weeks that stay.
+export function resizeProgramWeekDrafts(weeks, weekCount) {
+  const count = Math.min(Math.max(Number(weekCount) || 1, 1), PROGRAM_WEEKS_MAX);
+  if (weeks.length >= count) return weeks.slice(0, count);
+  return [
+    ...weeks,
+    ...Array.from({ length: count - weeks.length }, () => createProgramWeekDraft()),
+  ];
+}
+
+export function buildProgramPayload(draft) {
+  const name = String(draft?.name || '').trim();
+  if (!name) {
+    return { payload: null, error: 'Program name is required.' };
+  }
+  const days = (draft.days || []).filter((day) => day.routineId);
+  if (!days.length) {
+    return { payload: null, error: 'Add at least one routine to the program.' };
+  }
+  return {
+    payload: {
+      name,
+      notes: String(draft.notes || '').trim() || null,
+      weeks: (draft.weeks || []).map((week) => ({
+        volumePercent: Number(week.volumePercent),
+        intensityPercent: Number(week.intensityPercent),
+        deload: Boolean(week.deload),
+      })),
+      days: days.map((day) => ({
+        routineId: Number(day.routineId),
+        label: String(day.label || '').trim() || null,
+      })),
+    },
+    error: null,
+  };
+}
+
+export function formatProgramWeekModifiers(week) {
+  if (!week) return '';
+  const parts = [];
+  if (week.deload) parts.push('Deload');
+  if (Number(week.volumePercent) !== 100) parts.push(`${week.volumePercent}% volume`);
+  if (Number(week.intensityPercent) !== 100) parts.push(`${week.intensityPercent}% load`);
+  return parts.join(' · ');
+}
+
+export function formatProgramPosition(weekNumber, dayNumber) {
+  return `Week ${weekNumber} · Day ${dayNumber}`;
+}
+
+export function formatProgramNextWorkoutLabel(program) {
+  if (!program) return '';
+  if (!program.nextWorkout) {
+    return program.completedAt ? 'Completed' : 'No workouts planned';
+  }
+  const { weekNumber, dayNumber, routineName, label } = program.nextWorkout;
+  const modifiers = formatProgramWeekModifiers(program.nextWorkout);
+  return [
+    formatProgramPosition(weekNumber, dayNumber),
+    label ? `${label} (${routineName})` : routineName,
+    modifiers,
+  ].filter(Boolean).join(' · ');
+}
+
+// Stats requests only carry the program filter when one is selected.
+export function buildProgramStatsQuery(programId, programWeek) {
+  if (!programId) return '';
+  return programWeek
+    ? `&programId=${programId}&programWeek=${programWeek}`
+    : `&programId=${programId}`;
+}
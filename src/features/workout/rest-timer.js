@@ -0,0 +1,159 @@
+export const REST_TIMER_ADJUST_SECONDS = 15;
+export const REST_TIMER_NOTIFICATION_TAG = 'trainbook-rest-timer';
+
+function normalizeRestSeconds(value) {
+  const seconds = Number(value);
+  return Number.isInteger(seconds) && seconds > 0 ? seconds : null;
+}
+
+// Supersets alternate exercises without a break, so rest only starts once the
+// same set has been checked off on both exercises of the pair.
+export function resolveRestTimerDurationSeconds({
+  exercise,
+  partner = null,
+  setIndex,
+  isSetChecked = () => false,
+}) {
+  if (!exercise || exercise.isWarmupStep) return null;
+  if (!partner) {
+    return normalizeRestSeconds(exercise.targetRestSeconds);
+  }
+  if (!isSetChecked(partner, setIndex)) return null;
+  const restSeconds = [exercise.targetRestSeconds, partner.targetRestSeconds]
+    .map((value) => normalizeRestSeconds(value))
+    .filter((value) => value !== null);
+  return restSeconds.length ? Math.max(...restSeconds) : null;
+}
+
+export function createRestTimer({
+  exerciseKey,
+  exerciseName,
+  setIndex,
+  durationSeconds,
+  nowMs = Date.now(),
+}) {
+  const seconds = normalizeRestSeconds(durationSeconds);
+  if (!seconds) return null;
+  return {
+    exerciseKey: String(exerciseKey),
+    exerciseName: exerciseName || null,
+    setIndex: Number(setIndex) || null,
+    durationSeconds: seconds,
+    startedAt: new Date(nowMs).toISOString(),
+    endsAt: new Date(nowMs + seconds * 1000).toISOString(),
+  };
+}
+
+export function extendRestTimer(timer, deltaSeconds, nowMs = Date.now()) {
+  if (!timer) return null;
+  const endsAtMs = new Date(timer.endsAt).getTime();
+  if (Number.isNaN(endsAtMs)) return null;
+  const nextEndsAtMs = Math.max(nowMs, endsAtMs + deltaSeconds * 1000);
+  return {
+    ...timer,
+    durationSeconds: Math.max(0, timer.durationSeconds + deltaSeconds),
+    endsAt: new Date(nextEndsAtMs).toISOString(),
+  };
+}
+
+export function resolveRestTimerRemainingSeconds(timer, nowMs = Date.now()) {
+  if (!timer) return 0;
+  const endsAtMs = new Date(timer.endsAt).getTime();
+  if (Number.isNaN(endsAtMs)) return 0;
+  return Math.max(0, Math.ceil((endsAtMs - nowMs) / 1000));
+}
+
+// Restores a timer from `trainbook.workoutRuntimeState.*`; rests that already ran out are dropped.
+export function normalizeStoredRestTimer(value, nowMs = Date.now()) {
+  if (!value || typeof value !== 'object') return null;
+  const durationSeconds = normalizeRestSeconds(value.durationSeconds);
+  const startedAtMs = new Date(value.startedAt || '').getTime();
+  const endsAtMs = new Date(value.endsAt || '').getTime();
+  if (!durationSeconds || Number.isNaN(startedAtMs) || Number.isNaN(endsAtMs)) return null;
+  if (endsAtMs <= nowMs || typeof value.exerciseKey !== 'string') return null;
+  return {
+    exerciseKey: value.exerciseKey,
+    exerciseName: typeof value.exerciseName === 'string' ? value.exerciseName : null,
+    setIndex: Number.isInteger(Number(value.setIndex)) ? Number(value.setIndex) : null,
+    durationSeconds,
+    startedAt: new Date(startedAtMs).toISOString(),
+    endsAt: new Date(endsAtMs).toISOString(),
+  };
+}
+
+export function requestRestNotificationPermission() {
+  if (typeof window === 'undefined' || !('Notification' in window)) return;
+  if (window.Notification.permission !== 'default') return;
+  try {
+    Promise.resolve(window.Notification.requestPermission()).catch(() => undefined);
+  } catch {
+    // Older Safari builds only support the callback form; a missed prompt is not fatal.
+  }
+}
+
+async function resolveServiceWorkerRegistration() {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+  try {
+    return (await navigator.serviceWorker.getRegistration()) || null;
+  } catch {
+    return null;
+  }
+}
+
+function canShowRestNotification() {
+  return typeof window !== 'undefined'
+    && 'Notification' in window
+    && window.Notification.permission === 'granted';
+}
+
+function buildRestNotificationBody(timer) {
+  return timer.exerciseName
+    ? `Time for your next set of ${timer.exerciseName}.`
+    : 'Time for your next set.';
+}
+
+// Only Notification Triggers can fire while the page is in the background: browsers stop an idle
+// service worker long before most rests end, so without them the page alerts when it next runs.
+export function supportsScheduledRestNotifications() {
+  return typeof window !== 'undefined' && 'TimestampTrigger' in window;
+}
+
+export async function scheduleRestNotification(timer) {
+  if (!timer || !canShowRestNotification() || !supportsScheduledRestNotifications()) return false;
+  const worker = (await resolveServiceWorkerRegistration())?.active;
+  if (!worker) return false;
+  worker.postMessage({
+    type: 'rest-timer:schedule',
+    tag: REST_TIMER_NOTIFICATION_TAG,
+    endsAt: timer.endsAt,
+    title: 'Rest complete',
+    body: buildRestNotificationBody(timer),
+  });
+  return true;
+}
+
+// Fallback for browsers without Notification Triggers, called once the page notices rest is over.
+export async function showRestNotification(timer) {
+  if (!timer || !canShowRestNotification()) return false;
+  const registration = await resolveServiceWorkerRegistration();
+  if (!registration) return false;
+  try {
+    await registration.showNotification('Rest complete', {
+      tag: REST_TIMER_NOTIFICATION_TAG,
+      body: buildRestNotificationBody(timer),
+      renotify: true,
+      icon: '/pwa-192.png',
+      badge: '/favicon-32x32.png',
+      data: { url: '/workout' },
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export async function cancelRestNotification() {
+  const worker = (await resolveServiceWorkerRegistration())?.active;
+  if (!worker) return;
+  worker.postMessage({ type: 'rest-timer:cancel', tag: REST_TIMER_NOTIFICATION_TAG });
+}
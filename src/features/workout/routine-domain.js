@@ -1,13 +1,21 @@
 import {
+  DEFAULT_PROGRESSION_WEIGHT_INCREMENT,
+  DEFAULT_SET_TYPE,
+  DEFAULT_TARGET_DISTANCE_METERS,
   DEFAULT_TARGET_REPS_MAX,
   DEFAULT_TARGET_REPS_MIN,
   DEFAULT_TARGET_REST_SECONDS,
   DEFAULT_TARGET_SETS,
+  DEFAULT_TARGET_TIME_SECONDS,
+  PROGRESSION_RULE_OPTIONS,
   ROUTINE_BAND_OPTIONS,
   ROUTINE_REST_OPTIONS,
   ROUTINE_TYPES,
 } from './constants.js';
+import { formatNumber } from './formatting.js';
 import { resolveSessionExerciseKey } from './session-keys.js';
+import { createSetTargetGridDraft } from './set-target-grid.js';
+import { createTargetPercentDraft } from './training-max.js';
 
 export function normalizeRoutineType(value, fallback = 'standard') {
   const normalized = String(value || '').trim().toLowerCase();
@@ -123,16 +131,83 @@ export function createRoutineEditorItem({
     targetSets: DEFAULT_TARGET_SETS,
     targetRepsMin: DEFAULT_TARGET_REPS_MIN,
     targetRepsMax: DEFAULT_TARGET_REPS_MIN,
+    targetTimeSeconds: DEFAULT_TARGET_TIME_SECONDS,
+    targetDistanceMeters: DEFAULT_TARGET_DISTANCE_METERS,
+    lastSetType: DEFAULT_SET_TYPE,
     targetRestSeconds,
     targetWeight: '',
     targetBandLabel: '',
     notes: '',
     position,
     supersetGroup: null,
+    unilateral: false,
+    ...createProgressionRuleDraft(null),
+    ...createTargetPercentDraft(null),
+    ...createSetTargetGridDraft(null),
     pairWithNext: false,
   };
 }
 
+// Routine editor fields for a progression rule; an empty type means the exercise has none.
+export function createProgressionRuleDraft(rule) {
+  return {
+    progressionType: rule?.type || '',
+    progressionRepMin: rule?.repMin ? String(rule.repMin) : '',
+    progressionRepMax: rule?.repMax ? String(rule.repMax) : '',
+    progressionWeightIncrement: rule?.weightIncrement
+      ? String(rule.weightIncrement)
+      : DEFAULT_PROGRESSION_WEIGHT_INCREMENT,
+    progressionAutoApply: Boolean(rule?.autoApply),
+  };
+}
+
+export function buildProgressionRulePayload(item) {
+  if (!item?.progressionType) return { rule: null, error: null };
+  const repMin = Number(item.progressionRepMin);
+  const repMax = Number(item.progressionRepMax);
+  if (!Number.isInteger(repMin) || !Number.isInteger(repMax) || repMin < 1 || repMin >= repMax) {
+    return { rule: null, error: 'Progression rep range must go from a lower to a higher rep count.' };
+  }
+  const weightIncrement = Number(String(item.progressionWeightIncrement).replace(',', '.'));
+  if (!Number.isFinite(weightIncrement) || weightIncrement <= 0) {
+    return { rule: null, error: 'Progression weight increment must be greater than zero.' };
+  }
+  return {
+    rule: {
+      type: item.progressionType,
+      repMin,
+      repMax,
+      weightIncrement,
+      autoApply: Boolean(item.progressionAutoApply),
+    },
+    error: null,
+  };
+}
+
+export function formatProgressionRuleLabel(rule) {
+  const option = PROGRESSION_RULE_OPTIONS.find((entry) => entry.value && entry.value === rule?.type);
+  if (!option) return null;
+  return `${option.label} ${rule.repMin}–${rule.repMax} · +${formatNumber(rule.weightIncrement)} kg`;
+}
+
+function resolveProgressionTopReps(setTargets) {
+  const reps = (setTargets || [])
+    .map((target) => Number(target?.targetReps))
+    .filter((value) => Number.isInteger(value) && value > 0);
+  return reps.length ? Math.max(...reps) : null;
+}
+
+export function formatProgressionChange(progression) {
+  if (!progression) return '';
+  const previousReps = resolveProgressionTopReps(progression.previousSetTargets);
+  const nextReps = resolveProgressionTopReps(progression.nextSetTargets);
+  if (progression.kind === 'load') {
+    const load = `${formatNumber(progression.previousTargetWeight)} → ${formatNumber(progression.nextTargetWeight)} kg`;
+    return nextReps ? `${load}, reps reset to ${nextReps}` : load;
+  }
+  return `${previousReps ?? '—'} → ${nextReps ?? '—'} reps per set`;
+}
+
 export function encodeRoutineEquipmentValue(equipment, targetBandLabel) {
   if (!equipment) return '';
   if (equipment === 'Band') {
@@ -0,0 +1,12 @@
+export function formatSharedRoutineAuthor(sharedRoutine) {
+  if (sharedRoutine?.isOwn) return 'Shared by you';
+  return sharedRoutine?.authorName ? `Shared by ${sharedRoutine.authorName}` : 'Shared';
+}
+
+// "Copied from Upper by sam"; copies of a routine that is no longer shared say so.
+export function formatRoutineOriginLabel(origin) {
+  if (!origin) return '';
+  const author = origin.authorName ? ` by ${origin.authorName}` : '';
+  const label = `Copied from ${origin.name || 'a shared routine'}${author}`;
+  return origin.available ? label : `${label} · no longer shared`;
+}
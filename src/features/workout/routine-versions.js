@@ -0,0 +1,95 @@
+import { formatNumber, formatRestTime } from './formatting.js';
+import { formatProgressionRuleLabel, formatRoutineTypeLabel } from './routine-domain.js';
+import { formatTargetPercent } from './training-max.js';
+
+const ROUTINE_VERSION_REASON_LABELS = {
+  baseline: 'Earliest saved version',
+  created: 'Created',
+  edited: 'Edited',
+  reordered: 'Reordered',
+  workout_target: 'Target updated in a workout',
+  progression: 'Progression',
+  duplicated: 'Duplicated',
+  restored: 'Restored',
+  exercise_merged: 'Exercise merged',
+  imported: 'Imported',
+  copied: 'Copied from a shared routine',
+  pulled: 'Updated from the original',
+};
+
+const ROUTINE_VERSION_FIELD_LABELS = {
+  name: 'Name',
+  notes: 'Notes',
+  routineType: 'Type',
+  exercise: 'Exercise',
+  equipment: 'Equipment',
+  targetSets: 'Sets',
+  setTargets: 'Set targets',
+  targetRestSeconds: 'Rest',
+  targetWeight: 'Weight',
+  targetBandLabel: 'Band',
+  supersetGroup: 'Superset',
+  unilateral: 'Left/right',
+  progressionRule: 'Progression',
+};
+
+export function formatRoutineVersionReason(version) {
+  if (version?.reason === 'restored' && version.restoredFromVersionNumber) {
+    return `Restored version ${version.restoredFromVersionNumber}`;
+  }
+  return ROUTINE_VERSION_REASON_LABELS[version?.reason] || 'Changed';
+}
+
+// "5 @ 100 kg"; one planned set with its metric and, when it has one, its load.
+export function formatRoutineSetTarget(target) {
+  const parts = [];
+  if (target?.targetReps) parts.push(String(target.targetReps));
+  if (target?.targetTimeSeconds) parts.push(`${formatNumber(target.targetTimeSeconds)} s`);
+  if (target?.targetDistanceMeters) parts.push(`${formatNumber(target.targetDistanceMeters)} m`);
+  if (target?.targetPercent) {
+    parts.push(formatTargetPercent(target.targetPercent));
+  } else if (target?.targetWeight) {
+    parts.push(`${formatNumber(target.targetWeight)} kg`);
+  } else if (target?.targetBandLabel) {
+    parts.push(target.targetBandLabel);
+  }
+  return parts.join(' @ ') || '—';
+}
+
+// "5 @ 100 kg / 5 @ 90 kg"; each set shows its metric and, when it plans one, its own load.
+export function formatRoutineVersionSetTargets(setTargets) {
+  const targets = Array.isArray(setTargets) ? setTargets : [];
+  return targets.length ? targets.map(formatRoutineSetTarget).join(' / ') : '—';
+}
+
+function formatRoutineVersionValue(field, value) {
+  if (field === 'setTargets') return formatRoutineVersionSetTargets(value);
+  if (field === 'unilateral') return value ? 'On' : 'Off';
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'routineType') return formatRoutineTypeLabel(value);
+  if (field === 'targetWeight') return `${formatNumber(value)} kg`;
+  if (field === 'targetRestSeconds') return formatRestTime(value) || '—';
+  if (field === 'progressionRule') return formatProgressionRuleLabel(value) || '—';
+  return String(value);
+}
+
+// "Weight: 100 kg → 110 kg" for one changed field of a version diff.
+export function formatRoutineVersionChange(change) {
+  const label = ROUTINE_VERSION_FIELD_LABELS[change?.field] || change?.field || '';
+  return `${label}: ${formatRoutineVersionValue(change?.field, change?.from)} → ${formatRoutineVersionValue(change?.field, change?.to)}`;
+}
+
+export function formatRoutineVersionExercise(exercise) {
+  const name = [exercise?.equipment, exercise?.name].filter(Boolean).join(' ');
+  return `${name} · ${formatRoutineVersionSetTargets(exercise?.setTargets)}`;
+}
+
+export function hasRoutineVersionDiff(diff) {
+  return Boolean(
+    diff?.changes?.length
+    || diff?.added?.length
+    || diff?.removed?.length
+    || diff?.changed?.length
+    || diff?.reordered
+  );
+}
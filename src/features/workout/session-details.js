@@ -1,9 +1,21 @@
-import { resolveTargetRepsValue } from '../../workout-flow.js';
+import {
+  isInlineSetType,
+  resolveTargetMetricValue,
+  resolveTargetRepsValue,
+} from '../../workout-flow.js';
 import { WARMUP_STEP_ID, WARMUP_STEP_NAME } from './constants.js';
 import {
   buildSessionExerciseKey,
 } from './session-keys.js';
-import { formatNumber } from './formatting.js';
+import { formatDurationSeconds, formatNumber } from './formatting.js';
+import {
+  formatSetMetricLabel,
+  formatSetMetricValue,
+  formatSetSidesSummary,
+  hasSetSides,
+  resolveLoggedSetReps,
+  resolveLoggedSetVolume,
+} from './measurement.js';
 
 export function buildSessionSummary(detail) {
   if (!detail) return detail;
@@ -13,14 +25,8 @@ export function buildSessionSummary(detail) {
   (detail.exercises || []).forEach((exercise) => {
     (exercise.sets || []).forEach((set) => {
       totalSets += 1;
-      const reps = Number(set.reps);
-      const weight = Number(set.weight);
-      if (Number.isFinite(reps)) {
-        totalReps += reps;
-        if (Number.isFinite(weight)) {
-          totalVolume += reps * weight;
-        }
-      }
+      totalReps += resolveLoggedSetReps(set);
+      totalVolume += resolveLoggedSetVolume(set);
     });
   });
   const explicitWarmupSeconds = Number(detail.warmupDurationSeconds);
@@ -121,11 +127,27 @@ export function resolveSessionDetailPlaceholderWeight(exercise) {
 }
 
 export function resolveSessionDetailPlaceholderReps(exercise) {
-  const targetReps = Number(exercise?.targetReps);
-  if (Number.isFinite(targetReps) && targetReps > 0) {
-    return `${formatNumber(targetReps)} reps`;
-  }
-  return 'Completed';
+  return formatSetMetricValue(resolveTargetMetricValue(exercise), exercise?.measurementMode) || 'Completed';
+}
+
+// Weight and metric cells of one set row in the workout details table and the printed log.
+export function formatSessionDetailSetWeight(row, exercise) {
+  if (row?.kind === 'skipped') return '—';
+  if (row?.kind === 'completed_unlogged') return resolveSessionDetailPlaceholderWeight(exercise);
+  if (row?.set?.bandLabel) return row.set.bandLabel;
+  if (Number(row?.set?.weight) === 0) return 'Bodyweight';
+  return `${formatNumber(row?.set?.weight)} kg`;
+}
+
+export function formatSessionDetailSetMetric(row, exercise) {
+  if (row?.kind === 'skipped') return 'Skipped';
+  if (row?.kind === 'completed_unlogged') return resolveSessionDetailPlaceholderReps(exercise);
+  const metricLabel = hasSetSides(row?.set)
+    ? formatSetSidesSummary(row.set, exercise)
+    : formatSetMetricLabel(row?.set, exercise?.measurementMode) || '—';
+  return row?.set?.durationSeconds
+    ? `${metricLabel} · ${formatDurationSeconds(row.set.durationSeconds)}`
+    : metricLabel;
 }
 
 export function buildSessionDetailSetRows(exercise, { exerciseState = 'skipped' } = {}) {
@@ -173,6 +195,7 @@ export function buildSessionDetailSetRows(exercise, { exerciseState = 'skipped'
   if (shouldAddTargetRows) {
     const loggedIndexes = new Set(
       normalizedPersistedRows
+        .filter((row) => !isInlineSetType(row.set?.setType))
         .map((row) => row.setIndex)
         .filter((setIndex) => setIndex >= 1 && setIndex <= targetSets)
     );
@@ -228,13 +251,9 @@ export function resolveSessionDetailAggregateMetrics(session) {
       totalSets += 1;
 
       if (row.kind === 'logged') {
-        const reps = Number(row.set?.reps);
-        const weight = Number(row.set?.weight);
-        if (Number.isFinite(reps) && reps > 0) {
-          totalReps += reps;
-          if (Number.isFinite(weight)) {
-            totalVolume += reps * weight;
-          }
+        if (resolveLoggedSetReps(row.set) > 0) {
+          totalReps += resolveLoggedSetReps(row.set);
+          totalVolume += resolveLoggedSetVolume(row.set);
         }
         return;
       }
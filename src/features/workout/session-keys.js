@@ -1,3 +1,4 @@
+import { measurementModeUsesWeight } from '../../workout-flow.js';
 import {
   TARGET_WEIGHT_STEP_BARBELL,
   TARGET_WEIGHT_STEP_DEFAULT,
@@ -65,8 +66,23 @@ export function parseTargetWeightInput(value) {
   return roundWeight(normalized);
 }
 
+export function isSubstitutedSessionExercise(exercise) {
+  return Boolean(normalizeRoutineExerciseId(exercise?.originalExerciseId));
+}
+
+// A slot can be swapped until something is logged against it; afterwards the sets
+// already belong to the exercise that was performed.
+export function canSubstituteSessionExercise(exercise) {
+  if (!exercise || exercise.isWarmupStep) return false;
+  if (exercise.status === 'completed' || exercise.status === 'skipped') return false;
+  return !(exercise.sets || []).length;
+}
+
 export function isWeightedTargetEditable(exercise) {
   if (!exercise || exercise.isWarmupStep) return false;
+  // Routine targets belong to the planned exercise, so a swapped-in one never writes them back.
+  if (isSubstitutedSessionExercise(exercise)) return false;
+  if (!measurementModeUsesWeight(exercise.measurementMode)) return false;
   const equipment = normalizeEquipmentForComparison(exercise.equipment);
   if (!equipment || equipment === 'bodyweight' || equipment === 'band' || equipment === 'ab wheel') {
     return false;
@@ -85,5 +101,42 @@ export function resolveSessionDurationSeconds(session) {
   if (!Number.isFinite(startedAt) || !Number.isFinite(endedAt) || endedAt < startedAt) {
     return null;
   }
-  return Math.round((endedAt - startedAt) / 1000);
+  return Math.round((endedAt - startedAt - resolveSessionPausedMs(session, endedAt)) / 1000);
+}
+
+// Paused time up to endMs; a pause that is still open runs until endMs.
+function resolveSessionPausedMs(session, endMs) {
+  return (Array.isArray(session?.pauses) ? session.pauses : []).reduce((total, pause) => {
+    const pausedMs = new Date(pause?.pausedAt || '').getTime();
+    const resumedMs = pause?.resumedAt ? new Date(pause.resumedAt).getTime() : endMs;
+    if (!Number.isFinite(pausedMs) || !Number.isFinite(resumedMs)) return total;
+    return total + Math.max(0, Math.min(resumedMs, endMs) - pausedMs);
+  }, 0);
+}
+
+// Active (unpaused) time of a workout in progress; frozen while the workout is paused.
+export function resolveSessionActiveSeconds(session, nowMs = Date.now()) {
+  const startedAt = new Date(session?.startedAt || '').getTime();
+  if (!Number.isFinite(startedAt)) return null;
+  const pausedAt = session?.pausedAt ? new Date(session.pausedAt).getTime() : NaN;
+  const endMs = Number.isFinite(pausedAt) ? Math.min(pausedAt, nowMs) : nowMs;
+  return Math.max(0, Math.round((endMs - startedAt - resolveSessionPausedMs(session, endMs)) / 1000));
+}
+
+// Mirrors the server's pause bookkeeping so the workout reflects a pause even while it is queued offline.
+export function applySessionPauseChange(session, { pausedAt = null, resumedAt = null } = {}) {
+  if (!session) return session;
+  const pauses = Array.isArray(session.pauses) ? session.pauses : [];
+  if (pausedAt) {
+    return {
+      ...session,
+      pausedAt,
+      pauses: [...pauses, { pausedAt, resumedAt: null }],
+    };
+  }
+  return {
+    ...session,
+    pausedAt: null,
+    pauses: pauses.map((pause) => (pause.resumedAt ? pause : { ...pause, resumedAt })),
+  };
 }
@@ -0,0 +1,70 @@
+import { formatNumber } from './formatting.js';
+import { formatTargetWeightInputValue } from './session-keys.js';
+
+function hasValue(value) {
+  return value !== null && value !== undefined && value !== '';
+}
+
+// Percentage sets also carry a weight once a workout starts; only fixed weights count here.
+function hasFixedSetWeight(target) {
+  return hasValue(target?.targetWeight) && !hasValue(target?.targetPercent);
+}
+
+export function exerciseUsesSetTargetWeights(exercise) {
+  return (exercise?.setTargets || []).some((target) => hasFixedSetWeight(target));
+}
+
+// Routine editor fields for the per-set grid. The grid opens by itself for routines that already
+// plan different weights, bands, or reps per set.
+export function createSetTargetGridDraft(setTargets) {
+  const targets = Array.isArray(setTargets) ? setTargets : [];
+  const repValues = new Set(targets.map((target) => String(target?.targetReps ?? '')));
+  const perSetTargets = targets.some((target) => hasFixedSetWeight(target) || Boolean(target?.targetBandLabel))
+    || repValues.size > 1;
+  return {
+    perSetTargets,
+    setRows: perSetTargets
+      ? targets.map((target) => ({
+        reps: hasValue(target?.targetReps) ? String(target.targetReps) : '',
+        weight: hasFixedSetWeight(target) ? formatTargetWeightInputValue(target.targetWeight) : '',
+        bandLabel: target?.targetBandLabel || '',
+      }))
+      : [],
+  };
+}
+
+// Added sets repeat the last row; an empty grid starts from the exercise's own targets.
+export function resizeSetTargetGridRows(setRows, count, seed = {}) {
+  const rows = Array.isArray(setRows) ? setRows : [];
+  const fill = rows.length
+    ? rows[rows.length - 1]
+    : { reps: seed.reps ?? '', weight: seed.weight ?? '', bandLabel: seed.bandLabel ?? '' };
+  return Array.from({ length: Math.max(0, Number(count) || 0) }, (_, index) => (
+    index < rows.length ? rows[index] : { ...fill }
+  ));
+}
+
+export function parseSetTargetWeightInput(value) {
+  if (String(value ?? '').trim() === '') {
+    return { weight: null, valid: true };
+  }
+  const weight = Number(String(value).replace(',', '.').trim());
+  if (!Number.isFinite(weight) || weight <= 0) {
+    return { weight: null, valid: false };
+  }
+  return { weight: Math.round(weight * 100) / 100, valid: true };
+}
+
+// "3×140 / 6×120 kg" for routine summaries; null unless a set has its own weight or band.
+export function formatSetTargetSchemeSummary(setTargets) {
+  const targets = Array.isArray(setTargets) ? setTargets : [];
+  const usesWeights = targets.some((target) => hasFixedSetWeight(target));
+  if (!usesWeights && !targets.some((target) => target?.targetBandLabel)) return null;
+  const parts = targets.map((target) => {
+    const load = usesWeights
+      ? (hasFixedSetWeight(target) ? formatNumber(target.targetWeight) : '—')
+      : target.targetBandLabel || '—';
+    return hasValue(target?.targetReps) ? `${target.targetReps}×${load}` : load;
+  });
+  return `${parts.join(' / ')}${usesWeights ? ' kg' : ''}`;
+}
@@ -0,0 +1,91 @@
+import { formatNumber } from './formatting.js';
+
+export const TARGET_PERCENT_MIN = 10;
+export const TARGET_PERCENT_MAX = 150;
+export const TRAINING_MAX_WEIGHT_MAX = 1000;
+export const DEFAULT_TARGET_PERCENT = '75';
+
+function hasTargetPercent(target) {
+  return target?.targetPercent !== null
+    && target?.targetPercent !== undefined
+    && target?.targetPercent !== ''
+    && Number.isFinite(Number(target.targetPercent));
+}
+
+export function exerciseUsesTargetPercent(exercise) {
+  return (exercise?.setTargets || []).some((target) => hasTargetPercent(target));
+}
+
+// Routine editor fields for percentage loading; one draft per planned set.
+export function createTargetPercentDraft(setTargets) {
+  const targets = Array.isArray(setTargets) ? setTargets : [];
+  const percentLoad = targets.some((target) => hasTargetPercent(target));
+  return {
+    percentLoad,
+    setPercents: percentLoad
+      ? targets.map((target) => (hasTargetPercent(target) ? String(target.targetPercent) : ''))
+      : [],
+  };
+}
+
+// Added sets repeat the last percentage so a 3x5 at 80% only needs one value typed.
+export function resizeSetPercentDrafts(setPercents, count) {
+  const drafts = Array.isArray(setPercents) ? setPercents : [];
+  const fill = drafts.length ? drafts[drafts.length - 1] : DEFAULT_TARGET_PERCENT;
+  return Array.from({ length: Math.max(0, Number(count) || 0) }, (_, index) => (
+    index < drafts.length ? drafts[index] : fill
+  ));
+}
+
+export function parseTargetPercentInput(value) {
+  const percent = Number(String(value ?? '').replace(',', '.').trim());
+  if (
+    String(value ?? '').trim() === ''
+    || !Number.isFinite(percent)
+    || percent < TARGET_PERCENT_MIN
+    || percent > TARGET_PERCENT_MAX
+    || !Number.isInteger(percent * 2)
+  ) {
+    return { percent: null, valid: false };
+  }
+  return { percent, valid: true };
+}
+
+export function parseTrainingMaxInput(value) {
+  const weight = Number(String(value ?? '').replace(',', '.').trim());
+  if (String(value ?? '').trim() === '' || !Number.isFinite(weight) || weight <= 0 || weight > TRAINING_MAX_WEIGHT_MAX) {
+    return { weight: null, valid: false };
+  }
+  return { weight: Math.round(weight * 100) / 100, valid: true };
+}
+
+export function formatTargetPercent(percent) {
+  return `${formatNumber(percent)}%`;
+}
+
+// "65/75/85% TM" for routine summaries; null when no set is percentage based.
+export function formatTargetPercentSummary(setTargets) {
+  const percents = (setTargets || []).filter((target) => hasTargetPercent(target));
+  if (!percents.length) return null;
+  const values = [...new Set(percents.map((target) => formatNumber(target.targetPercent)))];
+  return `${values.join('/')}% TM`;
+}
+
+// Checklist hint for a set that plans its own load: a percentage set shows the weight resolved at
+// workout start (or just the percentage when no training max was set); a ramping set shows its
+// own weight or band.
+export function formatSetTargetLoadLabel(target) {
+  const weight = Number(target?.targetWeight);
+  const hasWeight = target?.targetWeight !== null
+    && target?.targetWeight !== undefined
+    && target?.targetWeight !== ''
+    && Number.isFinite(weight);
+  if (!hasTargetPercent(target)) {
+    if (hasWeight) return `${formatNumber(weight)} kg`;
+    return target?.targetBandLabel || null;
+  }
+  if (!hasWeight) {
+    return `${formatTargetPercent(target.targetPercent)} TM`;
+  }
+  return `${formatNumber(weight)} kg · ${formatTargetPercent(target.targetPercent)}`;
+}
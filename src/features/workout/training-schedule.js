@@ -0,0 +1,107 @@
+export const SCHEDULE_ROTATION_MAX = 14;
+export const SCHEDULE_DEFAULT_INTERVAL_DAYS = 2;
+export const SCHEDULE_INTERVAL_DAY_OPTIONS = ['1', '2', '3', '4', '5', '6', '7'];
+export const SCHEDULE_WEEKDAY_OPTIONS = [
+  { value: 1, label: 'Monday', shortLabel: 'Mon' },
+  { value: 2, label: 'Tuesday', shortLabel: 'Tue' },
+  { value: 3, label: 'Wednesday', shortLabel: 'Wed' },
+  { value: 4, label: 'Thursday', shortLabel: 'Thu' },
+  { value: 5, label: 'Friday', shortLabel: 'Fri' },
+  { value: 6, label: 'Saturday', shortLabel: 'Sat' },
+  { value: 7, label: 'Sunday', shortLabel: 'Sun' },
+];
+
+let scheduleRowSequence = 0;
+
+export function createScheduleRotationRow(routineId = '') {
+  scheduleRowSequence += 1;
+  return {
+    key: `rotation-${scheduleRowSequence}`,
+    routineId: routineId ? String(routineId) : '',
+  };
+}
+
+// Both layouts are kept in the draft so switching modes in the editor does not lose either one.
+export function createScheduleDraft(schedule = null) {
+  const slots = Array.isArray(schedule?.slots) ? schedule.slots : [];
+  const isRotation = schedule?.mode === 'rotation';
+  const weekdayRoutineIds = Object.fromEntries(
+    SCHEDULE_WEEKDAY_OPTIONS.map((option) => [option.value, ''])
+  );
+  if (!isRotation) {
+    slots.forEach((slot) => {
+      weekdayRoutineIds[slot.weekday] = String(slot.routineId);
+    });
+  }
+  return {
+    mode: isRotation ? 'rotation' : 'weekdays',
+    intervalDays: String(schedule?.intervalDays || SCHEDULE_DEFAULT_INTERVAL_DAYS),
+    weekdayRoutineIds,
+    rotation: isRotation && slots.length
+      ? slots.map((slot) => createScheduleRotationRow(slot.routineId))
+      : [createScheduleRotationRow()],
+  };
+}
+
+export function buildSchedulePayload(draft) {
+  if (draft?.mode === 'rotation') {
+    return {
+      mode: 'rotation',
+      intervalDays: Number(draft.intervalDays) || SCHEDULE_DEFAULT_INTERVAL_DAYS,
+      slots: (draft.rotation || [])
+        .filter((row) => row.routineId)
+        .map((row) => ({ routineId: Number(row.routineId) })),
+    };
+  }
+  return {
+    mode: 'weekdays',
+    intervalDays: Number(draft?.intervalDays) || SCHEDULE_DEFAULT_INTERVAL_DAYS,
+    slots: SCHEDULE_WEEKDAY_OPTIONS
+      .filter((option) => draft?.weekdayRoutineIds?.[option.value])
+      .map((option) => ({
+        weekday: option.value,
+        routineId: Number(draft.weekdayRoutineIds[option.value]),
+      })),
+  };
+}
+
+export function formatScheduleWeekday(weekday, { short = false } = {}) {
+  const option = SCHEDULE_WEEKDAY_OPTIONS.find((item) => item.value === Number(weekday));
+  if (!option) return '';
+  return short ? option.shortLabel : option.label;
+}
+
+export function formatScheduleSummary(schedule) {
+  const slots = Array.isArray(schedule?.slots) ? schedule.slots : [];
+  if (!slots.length) return 'No schedule yet.';
+  if (schedule.mode === 'rotation') {
+    const intervalDays = Number(schedule.intervalDays) || SCHEDULE_DEFAULT_INTERVAL_DAYS;
+    const cadence = intervalDays === 1 ? 'every day' : `every ${intervalDays} days`;
+    return `${slots.map((slot) => slot.routineName).join(' → ')} · ${cadence}`;
+  }
+  return slots
+    .map((slot) => `${formatScheduleWeekday(slot.weekday, { short: true })}: ${slot.routineName}`)
+    .join(' · ');
+}
+
+// Due dates are local calendar days (YYYY-MM-DD) computed by the server.
+function parseScheduleDueDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+export function formatScheduleDueWeekday(workout) {
+  const dueDate = parseScheduleDueDate(workout?.dueDate);
+  return dueDate ? formatScheduleWeekday(((dueDate.getDay() + 6) % 7) + 1) : '';
+}
+
+export function formatScheduleDueLabel(workout) {
+  if (!workout) return '';
+  if (workout.status === 'today') return 'Due today';
+  const weekday = formatScheduleDueWeekday(workout);
+  if (workout.status === 'missed') {
+    return weekday ? `Missed ${weekday}` : 'Missed';
+  }
+  return weekday ? `Due ${weekday}` : 'Up next';
+}
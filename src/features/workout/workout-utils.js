@@ -5,3 +5,17 @@ export * from './trend-utils.js';
 export * from './session-keys.js';
 export * from './session-details.js';
 export * from './navigation.js';
+export * from './rest-timer.js';
+export * from './measurement.js';
+export * from './plate-math.js';
+export * from './past-workout.js';
+export * from './last-performance.js';
+export * from './program-plan.js';
+export * from './training-schedule.js';
+export * from './training-max.js';
+export * from './set-target-grid.js';
+export * from './routine-versions.js';
+export * from './routine-sharing.js';
+export * from './print-sheets.js';
+export * from './personal-records.js';
+export * from './exercise-search.js';
@@ -0,0 +1,200 @@
+import { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { apiFetch } from '../api.js';
+import {
+  DEFAULT_MEASUREMENT_MODE,
+  formatDateTime,
+  formatExerciseImpact,
+  formatLoggedSetSummary,
+  formatMeasurementModeLabel,
+  formatMuscleLabel,
+  formatNumber,
+  formatPersonalRecordLabel,
+  formatSetChipLabel,
+  formatSetRpeLabel,
+  normalizeExercisePrimaryMuscles,
+  normalizeMeasurementMode,
+  resolveExerciseImageUrl,
+} from '../features/workout/workout-utils.js';
+
+const HISTORY_PAGE_SIZE = 10;
+
+function ExerciseDetailPage() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [history, setHistory] = useState(null);
+  const [offset, setOffset] = useState(0);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setOffset(0);
+  }, [id]);
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+    setError(null);
+    apiFetch(`/api/exercises/${id}/history?limit=${HISTORY_PAGE_SIZE}&offset=${offset}`)
+      .then((data) => {
+        if (active) setHistory(data || null);
+      })
+      .catch((err) => {
+        if (active) setError(err.message);
+      })
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+    return () => {
+      active = false;
+    };
+  }, [id, offset]);
+
+  const exercise = history?.exercise || null;
+  const sessions = history?.sessions || [];
+  const total = Number(history?.total || 0);
+  const primaryMuscle = exercise ? normalizeExercisePrimaryMuscles(exercise)[0] : null;
+  const measurementMode = normalizeMeasurementMode(exercise?.measurementMode);
+  const pageEnd = Math.min(total, offset + sessions.length);
+
+  const renderSet = (set) => {
+    const rpeLabel = formatSetRpeLabel(set.rpe);
+    return (
+      <li key={set.id} className="exercise-history-set">
+        <span className="muted">{formatSetChipLabel(set.setIndex, set.setType)}</span>
+        <span>{formatLoggedSetSummary(set, exercise)}</span>
+        {rpeLabel ? <span className="muted">{rpeLabel}</span> : null}
+        {set.loggedAs ? <span className="tag">{`Logged as ${set.loggedAs}`}</span> : null}
+      </li>
+    );
+  };
+
+  return (
+    <div className="stack">
+      <div className="split">
+        <button className="button ghost" type="button" onClick={() => navigate('/exercises')}>
+          Back to exercises
+        </button>
+      </div>
+      {error ? <div className="notice">{error}</div> : null}
+      {!exercise && loading ? <div className="card">Loading exercise…</div> : null}
+      {exercise ? (
+        <>
+          <section className="card">
+            <div className="exercise-card-header">
+              <h2 className="section-title exercise-card-title">{exercise.name}</h2>
+              <div className="inline exercise-card-badges">
+                {primaryMuscle ? (
+                  <span className="badge badge-group">{formatMuscleLabel(primaryMuscle)}</span>
+                ) : null}
+                {exercise.archivedAt ? <span className="tag">Archived</span> : null}
+              </div>
+            </div>
+            {measurementMode !== DEFAULT_MEASUREMENT_MODE ? (
+              <div className="muted">Measured as {formatMeasurementModeLabel(measurementMode).toLowerCase()}</div>
+            ) : null}
+            {exercise.mergedIntoId ? (
+              <div className="muted">
+                Merged into {exercise.mergedIntoName || `#${exercise.mergedIntoId}`}
+                {exercise.mergedAt ? ` on ${formatDateTime(exercise.mergedAt)}` : ''}.
+              </div>
+            ) : null}
+            {exercise.notes ? <div>Notes: {exercise.notes}</div> : null}
+            {exercise.images?.length ? (
+              <div className="exercise-detail-images">
+                {exercise.images.map((image) => (
+                  <img key={image} src={resolveExerciseImageUrl(image)} alt={exercise.name} />
+                ))}
+              </div>
+            ) : null}
+            {exercise.instructions?.length ? (
+              <ol className="exercise-detail-instructions" aria-label="Instructions">
+                {exercise.instructions.map((step, index) => (
+                  <li key={`${index}-${step}`}>{step}</li>
+                ))}
+              </ol>
+            ) : null}
+          </section>
+
+          <section className="card">
+            <div className="section-title">Personal bests</div>
+            {history.personalRecords?.length ? (
+              <ul className="exercise-detail-list" aria-label="Personal bests">
+                {history.personalRecords.map((record) => (
+                  <li key={record.id}>
+                    {formatPersonalRecordLabel({ ...record, previousValue: null })}
+                    <span className="muted">{` · ${formatDateTime(record.achievedAt)}`}</span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <div className="muted">No personal bests yet.</div>
+            )}
+          </section>
+
+          <section className="card">
+            <div className="section-title">Routine usage</div>
+            {history.routines?.length ? (
+              <ul className="exercise-detail-list" aria-label="Your routines">
+                {history.routines.map((routine) => (
+                  <li key={routine.id}>{routine.name}</li>
+                ))}
+              </ul>
+            ) : (
+              <div className="muted">Not in any of your routines.</div>
+            )}
+            <div className="muted">{formatExerciseImpact(history.impact)}</div>
+          </section>
+
+          <section className="card">
+            <div className="section-title">History</div>
+            {history.mergedExercises?.length ? (
+              <div className="muted">
+                {`Includes sets logged as ${history.mergedExercises.map((merged) => merged.name).join(', ')}.`}
+              </div>
+            ) : null}
+            {sessions.length ? (
+              <div className="stack">
+                {sessions.map((session) => (
+                  <article key={session.id} className="exercise-history-session">
+                    <div className="split">
+                      <strong>{session.routineName || session.name || 'Workout'}</strong>
+                      <span className="muted">{formatDateTime(session.startedAt)}</span>
+                    </div>
+                    <ul className="exercise-history-sets">{session.sets.map(renderSet)}</ul>
+                    {session.totalVolume > 0 ? (
+                      <div className="muted">{`${formatNumber(session.totalVolume)} kg volume`}</div>
+                    ) : null}
+                  </article>
+                ))}
+                <div className="split">
+                  <button
+                    className="button ghost"
+                    type="button"
+                    disabled={loading || offset === 0}
+                    onClick={() => setOffset(Math.max(0, offset - HISTORY_PAGE_SIZE))}
+                  >
+                    Newer
+                  </button>
+                  <span className="muted">{`Workouts ${offset + 1}–${pageEnd} of ${total}`}</span>
+                  <button
+                    className="button ghost"
+                    type="button"
+                    disabled={loading || pageEnd >= total}
+                    onClick={() => setOffset(offset + HISTORY_PAGE_SIZE)}
+                  >
+                    Older
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="muted">This exercise has not been logged yet.</div>
+            )}
+          </section>
+        </>
+      ) : null}
+    </div>
+  );
+}
+
+export default ExerciseDetailPage;
@@ -1,4 +1,5 @@
 import { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { AnimatePresence, motion } from 'framer-motion';
 import { FaPenToSquare, FaXmark } from 'react-icons/fa6';
 import { apiFetch } from '../api.js';
@@ -13,12 +14,21 @@ import {
   resolveExerciseImageUrl,
   formatDateTime,
   formatExerciseImpact,
+  DEFAULT_MEASUREMENT_MODE,
+  MEASUREMENT_MODE_OPTIONS,
+  normalizeMeasurementMode,
+  formatMeasurementModeLabel,
+  formatLoggedSetSummary,
+  rankExercisesBySearch,
+  formatAliasesForInput,
+  parseAliasesFromInput,
 } from '../features/workout/workout-utils.js';
 import ExternalLibraryModal from '../features/exercises/components/external-library-modal.jsx';
 import { useExercisesData } from '../features/exercises/hooks/use-exercises-data.js';
 import AnimatedModal from '../ui/modal/AnimatedModal.jsx';
 
 function ExercisesPage() {
+  const navigate = useNavigate();
   const { resolvedReducedMotion } = useMotionPreferences();
   const motionConfig = useMemo(
     () => getMotionConfig(resolvedReducedMotion),
@@ -40,6 +50,7 @@ function ExercisesPage() {
     secondaryMuscles: [],
     level: 'beginner',
     category: 'strength',
+    measurementMode: DEFAULT_MEASUREMENT_MODE,
     notes: '',
     images: [],
     instructions: '',
@@ -124,6 +135,7 @@ function ExercisesPage() {
           secondaryMuscles: payload.secondaryMuscles,
           level: payload.level,
           category: payload.category,
+          measurementMode: payload.measurementMode,
           notes: payload.notes,
           instructions: parseInstructionsFromTextarea(payload.instructions),
           images: payload.images || [],
@@ -136,6 +148,7 @@ function ExercisesPage() {
         secondaryMuscles: [],
         level: 'beginner',
         category: 'strength',
+        measurementMode: DEFAULT_MEASUREMENT_MODE,
         notes: '',
         images: [],
         instructions: '',
@@ -163,10 +176,12 @@ function ExercisesPage() {
     setError(null);
     try {
       const nextInstructions = parseInstructionsFromTextarea(editingForm.instructions);
+      const nextAliases = parseAliasesFromInput(editingForm.aliases);
       const payload = {
         ...editingForm,
         primaryMuscles: editingForm.primaryMuscle ? [editingForm.primaryMuscle] : [],
         instructions: nextInstructions,
+        aliases: nextAliases,
       };
       delete payload.primaryMuscle;
       await apiFetch(`/api/exercises/${exerciseId}`, {
@@ -181,6 +196,7 @@ function ExercisesPage() {
                 ...editingForm,
                 primaryMuscles: editingForm.primaryMuscle ? [editingForm.primaryMuscle] : [],
                 instructions: nextInstructions,
+                aliases: nextAliases,
               }
             : exercise
         )
@@ -290,9 +306,11 @@ function ExercisesPage() {
       force: exercise.force || '',
       mechanic: exercise.mechanic || '',
       equipment: exercise.equipment || '',
+      measurementMode: normalizeMeasurementMode(exercise.measurementMode),
       images: Array.isArray(exercise.images) ? exercise.images : [],
       notes: exercise.notes || '',
       instructions: formatInstructionsForTextarea(exercise.instructions),
+      aliases: formatAliasesForInput(exercise.aliases),
     });
   };
 
@@ -319,18 +337,18 @@ function ExercisesPage() {
 
 
   const normalizedQuery = searchQuery.trim().toLowerCase();
-  const filteredExercises = exercises.filter((exercise) => {
-    if (!normalizedQuery) return true;
-    const searchable = [
-      exercise.name,
+  const filteredExercises = rankExercisesBySearch(searchQuery, exercises, {
+    getKeywords: (exercise) => [
       ...normalizeExercisePrimaryMuscles(exercise),
       ...(Array.isArray(exercise.secondaryMuscles) ? exercise.secondaryMuscles : []),
-    ]
-      .filter(Boolean)
-      .join(' ')
-      .toLowerCase();
-    return searchable.includes(normalizedQuery);
+    ],
   });
+  // Exercises the user already has that answer the library search, aliases included, so a second
+  // copy is not added by accident.
+  const libraryCatalogMatches = useMemo(
+    () => (libraryQuery.trim() ? rankExercisesBySearch(libraryQuery, exercises).slice(0, 3) : []),
+    [exercises, libraryQuery]
+  );
   const nameExists = exercises.some(
     (exercise) => exercise.name.toLowerCase() === normalizedQuery
   );
@@ -497,6 +515,20 @@ function ExercisesPage() {
                 ))}
               </select>
             </div>
+            <div>
+              <label htmlFor="new-exercise-measurement-mode">Measured as</label>
+              <select
+                id="new-exercise-measurement-mode"
+                value={form.measurementMode}
+                onChange={(event) => setForm({ ...form, measurementMode: event.target.value })}
+              >
+                {MEASUREMENT_MODE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
             <div>
               <label>Notes</label>
               <textarea
@@ -595,6 +627,7 @@ function ExercisesPage() {
           libraryResults={libraryResults}
           onAddFromLibrary={handleAddFromLibrary}
           formatMuscleLabel={formatMuscleLabel}
+          catalogMatches={libraryCatalogMatches}
         />
       </AnimatePresence>
 
@@ -609,7 +642,14 @@ function ExercisesPage() {
             style={exercise.archivedAt ? { opacity: 0.85 } : undefined}
           >
             <div className="exercise-card-header">
-              <div className="section-title exercise-card-title">{exercise.name}</div>
+              <button
+                className="section-title exercise-card-title exercise-card-title-link"
+                type="button"
+                title="View history"
+                onClick={() => navigate(`/exercises/${exercise.id}`)}
+              >
+                {exercise.name}
+              </button>
               <div className="exercise-card-meta">
                 <div className="inline exercise-card-badges">
                   {normalizeExercisePrimaryMuscles(exercise)[0] ? (
@@ -650,7 +690,13 @@ function ExercisesPage() {
                 style={{ width: '100%', maxHeight: 180, objectFit: 'cover', borderRadius: '12px', marginTop: '0.8rem' }}
               />
             ) : null}
+            {normalizeMeasurementMode(exercise.measurementMode) !== DEFAULT_MEASUREMENT_MODE ? (
+              <div className="muted">Measured as {formatMeasurementModeLabel(exercise.measurementMode).toLowerCase()}</div>
+            ) : null}
             {exercise.notes ? <div className="muted">Notes: {exercise.notes}</div> : null}
+            {exercise.aliases?.length ? (
+              <div className="muted">Also known as {exercise.aliases.join(', ')}</div>
+            ) : null}
             {exercise.mergedIntoId ? (
               <div className="muted">
                 Merged into {exercise.mergedIntoName || `#${exercise.mergedIntoId}`}
@@ -659,7 +705,9 @@ function ExercisesPage() {
             ) : null}
             {exercise.lastSet ? (
               <div className="tag" style={{ marginTop: '0.6rem' }}>
-                Last: {exercise.lastSet.weight} kg × {exercise.lastSet.reps}
+                Last: {normalizeMeasurementMode(exercise.measurementMode) === DEFAULT_MEASUREMENT_MODE
+                  ? `${exercise.lastSet.weight} kg × ${exercise.lastSet.reps}`
+                  : formatLoggedSetSummary(exercise.lastSet, exercise)}
               </div>
             ) : null}
           </motion.div>
@@ -738,6 +786,22 @@ function ExercisesPage() {
                   ))}
                 </select>
               </div>
+              <div>
+                <label htmlFor="edit-exercise-measurement-mode">Measured as</label>
+                <select
+                  id="edit-exercise-measurement-mode"
+                  value={editingForm.measurementMode || DEFAULT_MEASUREMENT_MODE}
+                  onChange={(event) =>
+                    setEditingForm({ ...editingForm, measurementMode: event.target.value })
+                  }
+                >
+                  {MEASUREMENT_MODE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
               <div>
                 <label>Notes</label>
                 <textarea
@@ -748,6 +812,18 @@ function ExercisesPage() {
                   }
                 />
               </div>
+              <div>
+                <label htmlFor="edit-exercise-aliases">Also known as (comma separated)</label>
+                <input
+                  id="edit-exercise-aliases"
+                  className="input"
+                  placeholder="e.g. RDL, stiff-leg deadlift"
+                  value={editingForm.aliases || ''}
+                  onChange={(event) =>
+                    setEditingForm({ ...editingForm, aliases: event.target.value })
+                  }
+                />
+              </div>
               <div>
                 <label>Instructions (one step per line)</label>
                 <textarea
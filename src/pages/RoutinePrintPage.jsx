@@ -0,0 +1,125 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { apiFetch } from '../api.js';
+import {
+  buildRoutinePrintBlocks,
+  formatRoutineTypeLabel,
+} from '../features/routines/routine-utils.js';
+
+function RoutinePrintPage() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [sheet, setSheet] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    setSheet(null);
+    setError(null);
+    apiFetch(`/api/routines/${id}/print`)
+      .then((data) => {
+        if (active) setSheet(data);
+      })
+      .catch((err) => {
+        if (active) setError(err.message);
+      });
+    return () => {
+      active = false;
+    };
+  }, [id]);
+
+  const blocks = useMemo(() => buildRoutinePrintBlocks(sheet), [sheet]);
+  const routine = sheet?.routine || null;
+
+  const renderCard = (card) => (
+    <article key={card.key} className="print-card">
+      <div className="print-card-header">
+        <h3 className="print-card-title">{card.title}</h3>
+        {card.details ? <span className="muted">{card.details}</span> : null}
+      </div>
+      {card.notes ? <div className="muted">{card.notes}</div> : null}
+      <table className="print-set-table" aria-label={`${card.title} sets`}>
+        <thead>
+          <tr>
+            <th scope="col">Set</th>
+            <th scope="col">Target</th>
+            <th scope="col">Weight</th>
+            {card.unilateral ? (
+              <>
+                <th scope="col">Left</th>
+                <th scope="col">Right</th>
+              </>
+            ) : (
+              <th scope="col">{card.metricHeading}</th>
+            )}
+            <th scope="col">Done</th>
+          </tr>
+        </thead>
+        <tbody>
+          {card.sets.map((set) => (
+            <tr key={set.key}>
+              <td>{set.label}</td>
+              <td>{set.target}</td>
+              <td className="print-blank" />
+              <td className="print-blank" />
+              {card.unilateral ? <td className="print-blank" /> : null}
+              <td className="print-blank print-check" />
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {card.lastSets.length || card.bestLabel ? (
+        <div className="print-hints">
+          {card.lastSets.length ? (
+            <div>
+              <span className="muted">{`${card.lastHeading}: `}</span>
+              {card.lastSets.map((item) => `${item.label} ${item.summary}`).join(' · ')}
+            </div>
+          ) : null}
+          {card.bestLabel ? <div className="muted">{card.bestLabel}</div> : null}
+        </div>
+      ) : null}
+    </article>
+  );
+
+  return (
+    <div className="stack print-sheet">
+      <div className="split print-actions">
+        <button className="button ghost" type="button" onClick={() => navigate('/routines')}>
+          Back to routines
+        </button>
+        <button className="button" type="button" disabled={!routine} onClick={() => window.print()}>
+          Print
+        </button>
+      </div>
+      {error ? <div className="notice">{error}</div> : null}
+      {!routine && !error ? <div className="muted">Loading routine…</div> : null}
+      {routine ? (
+        <>
+          <header className="print-sheet-header">
+            <h2 className="section-title">{routine.name}</h2>
+            <div className="muted">
+              {`${formatRoutineTypeLabel(routine.routineType)} · Date: ____________`}
+            </div>
+            {routine.notes ? <div>{routine.notes}</div> : null}
+          </header>
+          {blocks.length ? blocks.map((block) => (
+            <section
+              key={block.key}
+              className={`print-block ${block.isSuperset ? 'print-block-superset' : ''}`}
+            >
+              {block.isSuperset ? (
+                <div className="print-block-label">Superset · alternate sets</div>
+              ) : null}
+              {block.cards.map(renderCard)}
+            </section>
+          )) : (
+            <div className="muted">This routine has no exercises.</div>
+          )}
+        </>
+      ) : null}
+    </div>
+  );
+}
+
+export default RoutinePrintPage;
@@ -1,6 +1,17 @@
 import { useEffect, useMemo, useState } from 'react';
 import { AnimatePresence, motion } from 'framer-motion';
-import { FaArrowDown, FaArrowUp, FaCopy, FaPenToSquare, FaTrashCan, FaXmark } from 'react-icons/fa6';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  FaArrowDown,
+  FaArrowUp,
+  FaClockRotateLeft,
+  FaCopy,
+  FaPenToSquare,
+  FaPrint,
+  FaShareNodes,
+  FaTrashCan,
+  FaXmark,
+} from 'react-icons/fa6';
 import { apiFetch } from '../api.js';
 import { getMotionConfig } from '../motion.js';
 import { useMotionPreferences } from '../motion-preferences.jsx';
@@ -10,8 +21,25 @@ import {
   formatRestTime,
   normalizeSupersetGroup,
   buildWorkoutPreviewBlocks,
+  formatSetMetricValue,
+  measurementModeUsesWeight,
+  resolveTargetMetricValue,
+  formatProgressionRuleLabel,
+  formatScheduleSummary,
+  formatTargetPercentSummary,
+  formatSetTargetSchemeSummary,
+  formatRoutineOriginLabel,
 } from '../features/routines/routine-utils.js';
 import RoutineEditor from '../features/routines/components/routine-editor.jsx';
+import ProgramEditor from '../features/routines/components/program-editor.jsx';
+import ProgramCard from '../features/routines/components/program-card.jsx';
+import ScheduleEditor from '../features/routines/components/schedule-editor.jsx';
+import TrainingMaxesCard from '../features/routines/components/training-maxes-card.jsx';
+import RoutineVersionHistory from '../features/routines/components/routine-version-history.jsx';
+import SharedRoutineBrowser from '../features/routines/components/shared-routine-browser.jsx';
+import { usePrograms } from '../features/routines/hooks/use-programs.js';
+import { useTrainingSchedule } from '../features/routines/hooks/use-training-schedule.js';
+import { useTrainingMaxes } from '../features/routines/hooks/use-training-maxes.js';
 import AnimatedModal from '../ui/modal/AnimatedModal.jsx';
 
 function RoutinesPage() {
@@ -24,6 +52,15 @@ function RoutinesPage() {
   const [expandedRoutineIds, setExpandedRoutineIds] = useState([]);
   const [exercises, setExercises] = useState([]);
   const [routineModal, setRoutineModal] = useState(null);
+  const [historyModal, setHistoryModal] = useState(null);
+  const [sharedModalOpen, setSharedModalOpen] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [programModal, setProgramModal] = useState(null);
+  const { programs, setPrograms, refreshPrograms } = usePrograms();
+  const [scheduleModalOpen, setScheduleModalOpen] = useState(false);
+  const { schedule, refreshSchedule, saveSchedule } = useTrainingSchedule();
+  const { trainingMaxes, saveTrainingMax, removeTrainingMax } = useTrainingMaxes();
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(true);
 
@@ -48,13 +85,28 @@ function RoutinesPage() {
     refresh();
   }, []);
 
+  // Workout details link here with ?history=<routineId>&version=<versionId>.
+  useEffect(() => {
+    const historyRoutineId = Number(searchParams.get('history'));
+    if (loading || !historyRoutineId) return;
+    const routine = routines.find((item) => item.id === historyRoutineId);
+    if (routine) {
+      setHistoryModal({ routine, versionId: Number(searchParams.get('version')) || null });
+    }
+    setSearchParams({}, { replace: true });
+  }, [loading, routines, searchParams, setSearchParams]);
+
   useEffect(() => {
-    if (!routineModal) return undefined;
+    if (!routineModal && !historyModal && !sharedModalOpen && !programModal && !scheduleModalOpen) return undefined;
     if (typeof document === 'undefined') return undefined;
     const previousOverflow = document.body.style.overflow;
     const onKeyDown = (event) => {
       if (event.key === 'Escape') {
         setRoutineModal(null);
+        setHistoryModal(null);
+        setSharedModalOpen(false);
+        setProgramModal(null);
+        setScheduleModalOpen(false);
       }
     };
     document.body.style.overflow = 'hidden';
@@ -63,7 +115,7 @@ function RoutinesPage() {
       document.body.style.overflow = previousOverflow;
       window.removeEventListener('keydown', onKeyDown);
     };
-  }, [routineModal]);
+  }, [routineModal, historyModal, sharedModalOpen, programModal, scheduleModalOpen]);
 
   const handleSave = async (payload) => {
     setError(null);
@@ -78,6 +130,9 @@ function RoutinesPage() {
             routine.id === payload.id ? normalizeRoutineForUi(data.routine) : routine
           ))
         );
+        if (programs.some((program) => program.days.some((day) => day.routineId === payload.id))) {
+          refreshPrograms();
+        }
       } else {
         const data = await apiFetch('/api/routines', {
           method: 'POST',
@@ -91,6 +146,101 @@ function RoutinesPage() {
     }
   };
 
+  const handleRoutineRestored = (routine) => {
+    if (!routine) return;
+    setRoutines((prev) =>
+      prev.map((item) => (item.id === routine.id ? normalizeRoutineForUi(routine) : item))
+    );
+    if (programs.some((program) => program.days.some((day) => day.routineId === routine.id))) {
+      refreshPrograms();
+    }
+  };
+
+  const handleToggleShare = async (routine) => {
+    setError(null);
+    try {
+      const data = await apiFetch(`/api/routines/${routine.id}/share`, {
+        method: routine.sharedAt ? 'DELETE' : 'POST',
+      });
+      setRoutines((prev) =>
+        prev.map((item) => (item.id === routine.id ? normalizeRoutineForUi(data.routine) : item))
+      );
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handlePullOrigin = async (routine) => {
+    const confirmed = window.confirm(
+      `Pull the latest "${routine.origin.name}" from ${routine.origin.authorName}?\n\nYour changes to this copy are replaced; they stay in its version history.`
+    );
+    if (!confirmed) return;
+    setError(null);
+    try {
+      const data = await apiFetch(`/api/routines/${routine.id}/origin/pull`, { method: 'POST' });
+      handleRoutineRestored(data.routine);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSharedRoutineCopied = (routine) => {
+    if (!routine) return;
+    setRoutines((prev) => [normalizeRoutineForUi(routine), ...prev]);
+  };
+
+  const handleSaveProgram = async (payload) => {
+    setError(null);
+    try {
+      const data = await apiFetch(payload.id ? `/api/programs/${payload.id}` : '/api/programs', {
+        method: payload.id ? 'PUT' : 'POST',
+        body: JSON.stringify(payload),
+      });
+      setPrograms((prev) => (
+        payload.id
+          ? prev.map((program) => (program.id === payload.id ? data.program : program))
+          : [data.program, ...prev]
+      ));
+      setProgramModal(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSkipProgramDay = async (program) => {
+    setError(null);
+    try {
+      const data = await apiFetch(`/api/programs/${program.id}/skip`, { method: 'POST' });
+      setPrograms((prev) => prev.map((item) => (item.id === program.id ? data.program : item)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSaveSchedule = async (payload) => {
+    setError(null);
+    try {
+      await saveSchedule(payload);
+      setScheduleModalOpen(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteProgram = async (program) => {
+    const confirmed = window.confirm(
+      `Delete program "${program.name}"?\n\nLogged workouts are kept.`
+    );
+    if (!confirmed) return;
+    setError(null);
+    try {
+      await apiFetch(`/api/programs/${program.id}`, { method: 'DELETE' });
+      setPrograms((prev) => prev.filter((item) => item.id !== program.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const handleDelete = async (routine) => {
     if (!routine?.id) return;
     const routineName = typeof routine.name === 'string' ? routine.name.trim() : '';
@@ -103,6 +253,12 @@ function RoutinesPage() {
     try {
       await apiFetch(`/api/routines/${routine.id}`, { method: 'DELETE' });
       setRoutines((prev) => prev.filter((item) => item.id !== routine.id));
+      if (programs.some((program) => program.days.some((day) => day.routineId === routine.id))) {
+        refreshPrograms();
+      }
+      if ((schedule?.slots || []).some((slot) => slot.routineId === routine.id)) {
+        refreshSchedule();
+      }
     } catch (err) {
       setError(err.message);
     }
@@ -191,13 +347,22 @@ function RoutinesPage() {
           <h2 className="section-title">Routines</h2>
           <p className="muted">Build your templates for effortless workouts.</p>
         </div>
-        <button
-          className="button"
-          type="button"
-          onClick={() => setRoutineModal({ mode: 'create', routine: null })}
-        >
-          Create
-        </button>
+        <div className="inline">
+          <button
+            className="button ghost"
+            type="button"
+            onClick={() => setSharedModalOpen(true)}
+          >
+            Browse shared
+          </button>
+          <button
+            className="button"
+            type="button"
+            onClick={() => setRoutineModal({ mode: 'create', routine: null })}
+          >
+            Create
+          </button>
+        </div>
       </div>
       <AnimatePresence initial={false}>
         {error ? (
@@ -240,19 +405,34 @@ function RoutinesPage() {
                 <div>{`${index + 1}. ${[exercise.equipment, exercise.name].filter(Boolean).join(' ')}`}</div>
                 <div className="inline routine-workout-preview-badges">
                   {exercise.targetSets ? <span className="badge">{exercise.targetSets} sets</span> : null}
-                  {exercise.targetReps ? <span className="badge">{exercise.targetReps} reps</span> : null}
+                  {resolveTargetMetricValue(exercise)
+                    ? <span className="badge">{formatSetMetricValue(resolveTargetMetricValue(exercise), exercise.measurementMode)}</span>
+                    : null}
                   {exercise.targetWeight
+                  && measurementModeUsesWeight(exercise.measurementMode)
                   && exercise.equipment !== 'Bodyweight'
                   && exercise.equipment !== 'Band'
                   && exercise.equipment !== 'Ab wheel'
+                  && !formatSetTargetSchemeSummary(exercise.setTargets)
                     ? <span className="badge">{exercise.targetWeight} kg</span>
                     : null}
+                  {formatSetTargetSchemeSummary(exercise.setTargets)
+                    ? <span className="badge">{formatSetTargetSchemeSummary(exercise.setTargets)}</span>
+                    : null}
+                  {formatTargetPercentSummary(exercise.setTargets)
+                    ? <span className="badge">{formatTargetPercentSummary(exercise.setTargets)}</span>
+                    : null}
                   {exercise.equipment === 'Band' && exercise.targetBandLabel
+                  && !formatSetTargetSchemeSummary(exercise.setTargets)
                     ? <span className="badge">{exercise.targetBandLabel}</span>
                     : null}
                   {exercise.targetRestSeconds
                     ? <span className="badge">Rest {formatRestTime(exercise.targetRestSeconds)}</span>
                     : null}
+                  {exercise.unilateral ? <span className="badge">Left/right</span> : null}
+                  {exercise.progressionRule
+                    ? <span className="badge">{formatProgressionRuleLabel(exercise.progressionRule)}</span>
+                    : null}
                   {showSupersetBadge ? <span className="badge badge-superset">Superset</span> : null}
                 </div>
               </div>
@@ -290,11 +470,26 @@ function RoutinesPage() {
                     {routine.name} ({routine.exercises.length})
                   </div>
                   {routineNotes ? <div className="muted">{routineNotes}</div> : null}
+                  {routine.origin ? (
+                    <div className="inline routine-card-origin">
+                      <span className="muted">{formatRoutineOriginLabel(routine.origin)}</span>
+                      {routine.origin.updateAvailable ? (
+                        <button
+                          className="button ghost"
+                          type="button"
+                          onClick={() => handlePullOrigin(routine)}
+                        >
+                          Pull updates
+                        </button>
+                      ) : null}
+                    </div>
+                  ) : null}
                 </div>
 	                <div className="routine-card-header-right">
 	                  <span className="badge routine-card-type-badge">
 	                    {formatRoutineTypeLabel(routine.routineType)}
 	                  </span>
+	                  {routine.sharedAt ? <span className="badge">Shared</span> : null}
 	                  <div className="inline routine-card-actions">
 	                    <button
 	                      className="button ghost icon-button"
@@ -305,6 +500,34 @@ function RoutinesPage() {
 	                    >
 	                      <FaPenToSquare aria-hidden="true" />
 	                    </button>
+	                    <button
+	                      className="button ghost icon-button"
+	                      type="button"
+	                      aria-label="Version history"
+	                      title="Version history"
+	                      onClick={() => setHistoryModal({ routine, versionId: null })}
+	                    >
+	                      <FaClockRotateLeft aria-hidden="true" />
+	                    </button>
+	                    <button
+	                      className="button ghost icon-button"
+	                      type="button"
+	                      aria-label={routine.sharedAt ? 'Stop sharing routine' : 'Share routine'}
+	                      aria-pressed={Boolean(routine.sharedAt)}
+	                      title={routine.sharedAt ? 'Stop sharing routine' : 'Share routine'}
+	                      onClick={() => handleToggleShare(routine)}
+	                    >
+	                      <FaShareNodes aria-hidden="true" />
+	                    </button>
+	                    <button
+	                      className="button ghost icon-button"
+	                      type="button"
+	                      aria-label="Print routine"
+	                      title="Print routine"
+	                      onClick={() => navigate(`/routines/${routine.id}/print`)}
+	                    >
+	                      <FaPrint aria-hidden="true" />
+	                    </button>
 	                    <button
 	                      className="button ghost icon-button"
 	                      type="button"
@@ -380,6 +603,63 @@ function RoutinesPage() {
         <div className="empty">No routines yet. Create your first template.</div>
       )}
 
+      <div className="split">
+        <div>
+          <h2 className="section-title">Programs</h2>
+          <p className="muted">Run routines over several weeks with planned changes.</p>
+        </div>
+        <button
+          className="button"
+          type="button"
+          disabled={!routines.length}
+          onClick={() => setProgramModal({ program: null })}
+        >
+          New program
+        </button>
+      </div>
+      {programs.length ? (
+        programs.map((program) => (
+          <ProgramCard
+            key={program.id}
+            program={program}
+            onEdit={(item) => setProgramModal({ program: item })}
+            onSkip={handleSkipProgramDay}
+            onDelete={handleDeleteProgram}
+          />
+        ))
+      ) : (
+        <div className="empty">No programs yet.</div>
+      )}
+
+      <div className="split">
+        <div>
+          <h2 className="section-title">Schedule</h2>
+          <p className="muted">Plan routines on weekdays or in a rotation to get a next-workout suggestion.</p>
+        </div>
+        <button
+          className="button ghost"
+          type="button"
+          disabled={!routines.length}
+          onClick={() => setScheduleModalOpen(true)}
+        >
+          Edit schedule
+        </button>
+      </div>
+      <div className="card schedule-card">
+        {formatScheduleSummary(schedule)}
+      </div>
+
+      <div>
+        <h2 className="section-title">Training maxes</h2>
+        <p className="muted">Sets planned as a percentage of a training max get their weight when a workout starts.</p>
+      </div>
+      <TrainingMaxesCard
+        trainingMaxes={trainingMaxes}
+        exercises={exercises}
+        onSave={saveTrainingMax}
+        onRemove={removeTrainingMax}
+      />
+
       <AnimatePresence>
         {routineModal ? (
           <AnimatedModal
@@ -411,6 +691,114 @@ function RoutinesPage() {
           </AnimatedModal>
         ) : null}
       </AnimatePresence>
+      <AnimatePresence>
+        {historyModal ? (
+          <AnimatedModal
+            onClose={() => setHistoryModal(null)}
+            panelClassName="routine-modal routine-history-modal"
+          >
+            <div className="split modal-header">
+              <div className="section-title" style={{ marginBottom: 0 }}>
+                {`Version history · ${historyModal.routine.name}`}
+              </div>
+              <button
+                className="button ghost icon-button"
+                type="button"
+                aria-label="Close version history"
+                title="Close version history"
+                onClick={() => setHistoryModal(null)}
+              >
+                <FaXmark aria-hidden="true" />
+              </button>
+            </div>
+            <RoutineVersionHistory
+              routine={historyModal.routine}
+              initialVersionId={historyModal.versionId}
+              onRestored={handleRoutineRestored}
+            />
+          </AnimatedModal>
+        ) : null}
+      </AnimatePresence>
+      <AnimatePresence>
+        {sharedModalOpen ? (
+          <AnimatedModal
+            onClose={() => setSharedModalOpen(false)}
+            panelClassName="routine-modal shared-routines-modal"
+          >
+            <div className="split modal-header">
+              <div className="section-title" style={{ marginBottom: 0 }}>
+                Shared routines
+              </div>
+              <button
+                className="button ghost icon-button"
+                type="button"
+                aria-label="Close shared routines"
+                title="Close shared routines"
+                onClick={() => setSharedModalOpen(false)}
+              >
+                <FaXmark aria-hidden="true" />
+              </button>
+            </div>
+            <SharedRoutineBrowser onCopied={handleSharedRoutineCopied} />
+          </AnimatedModal>
+        ) : null}
+      </AnimatePresence>
+      <AnimatePresence>
+        {programModal ? (
+          <AnimatedModal
+            onClose={() => setProgramModal(null)}
+            panelClassName="routine-modal program-editor-modal"
+          >
+            <div className="split modal-header">
+              <div className="section-title" style={{ marginBottom: 0 }}>
+                {programModal.program ? 'Edit program' : 'New program'}
+              </div>
+              <button
+                className="button ghost icon-button"
+                type="button"
+                aria-label="Close program editor"
+                title="Close program editor"
+                onClick={() => setProgramModal(null)}
+              >
+                <FaXmark aria-hidden="true" />
+              </button>
+            </div>
+            <ProgramEditor
+              program={programModal.program}
+              routines={routines}
+              onSave={handleSaveProgram}
+            />
+          </AnimatedModal>
+        ) : null}
+      </AnimatePresence>
+      <AnimatePresence>
+        {scheduleModalOpen ? (
+          <AnimatedModal
+            onClose={() => setScheduleModalOpen(false)}
+            panelClassName="routine-modal schedule-editor-modal"
+          >
+            <div className="split modal-header">
+              <div className="section-title" style={{ marginBottom: 0 }}>
+                Edit schedule
+              </div>
+              <button
+                className="button ghost icon-button"
+                type="button"
+                aria-label="Close schedule editor"
+                title="Close schedule editor"
+                onClick={() => setScheduleModalOpen(false)}
+              >
+                <FaXmark aria-hidden="true" />
+              </button>
+            </div>
+            <ScheduleEditor
+              schedule={schedule}
+              routines={routines}
+              onSave={handleSaveSchedule}
+            />
+          </AnimatedModal>
+        ) : null}
+      </AnimatePresence>
     </motion.div>
   );
 }
@@ -0,0 +1,122 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { apiFetch } from '../api.js';
+import {
+  buildSessionPrintBlocks,
+  buildSessionSummary,
+  formatDateTime,
+  formatDurationSeconds,
+  formatNumber,
+  formatSetRpeLabel,
+  resolveSessionDurationSeconds,
+} from '../features/workout/workout-utils.js';
+
+function SessionPrintPage() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [session, setSession] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    setSession(null);
+    setError(null);
+    apiFetch(`/api/sessions/${id}`)
+      .then((data) => {
+        if (active) setSession(data?.session || null);
+      })
+      .catch((err) => {
+        if (active) setError(err.message);
+      });
+    return () => {
+      active = false;
+    };
+  }, [id]);
+
+  const summary = useMemo(() => buildSessionSummary(session), [session]);
+  const blocks = useMemo(() => buildSessionPrintBlocks(summary), [summary]);
+  const durationSeconds = summary ? resolveSessionDurationSeconds(summary) : null;
+
+  const renderCard = (card) => {
+    const showRpeColumn = card.sets.some((set) => formatSetRpeLabel(set.rpe));
+    return (
+      <article key={card.key} className="print-card">
+        <div className="print-card-header">
+          <h3 className="print-card-title">{card.title}</h3>
+          {card.substitutedFor ? (
+            <span className="muted">{`Swapped in for ${card.substitutedFor}`}</span>
+          ) : null}
+          {card.stateLabel ? <span className="muted">{card.stateLabel}</span> : null}
+        </div>
+        {card.sets.length ? (
+          <table className="print-set-table" aria-label={`${card.title} sets`}>
+            <thead>
+              <tr>
+                <th scope="col">Set</th>
+                <th scope="col">Weight</th>
+                <th scope="col">{card.metricHeading}</th>
+                {showRpeColumn ? <th scope="col">RPE</th> : null}
+              </tr>
+            </thead>
+            <tbody>
+              {card.sets.map((set) => (
+                <tr key={set.key}>
+                  <td>{set.label}</td>
+                  <td>{set.weight}</td>
+                  <td>{set.metric}</td>
+                  {showRpeColumn ? (
+                    <td>{formatSetRpeLabel(set.rpe) ? formatNumber(set.rpe) : '—'}</td>
+                  ) : null}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : null}
+      </article>
+    );
+  };
+
+  return (
+    <div className="stack print-sheet">
+      <div className="split print-actions">
+        <button className="button ghost" type="button" onClick={() => navigate('/workout')}>
+          Back to workouts
+        </button>
+        <button className="button" type="button" disabled={!summary} onClick={() => window.print()}>
+          Print
+        </button>
+      </div>
+      {error ? <div className="notice">{error}</div> : null}
+      {!summary && !error ? <div className="muted">Loading workout…</div> : null}
+      {summary ? (
+        <>
+          <header className="print-sheet-header">
+            <h2 className="section-title">{summary.routineName || summary.name || 'Workout'}</h2>
+            <div className="muted">
+              {[
+                formatDateTime(summary.startedAt),
+                durationSeconds !== null ? formatDurationSeconds(durationSeconds) : null,
+                `${formatNumber(summary.totalSets || 0)} sets`,
+                `${formatNumber(summary.totalVolume || 0)} kg volume`,
+              ].filter(Boolean).join(' · ')}
+            </div>
+            {summary.notes ? <div>{`Notes: ${summary.notes}`}</div> : null}
+          </header>
+          {blocks.length ? blocks.map((block) => (
+            <section
+              key={block.key}
+              className={`print-block ${block.isSuperset ? 'print-block-superset' : ''}`}
+            >
+              {block.isSuperset ? <div className="print-block-label">Superset</div> : null}
+              {block.cards.map(renderCard)}
+            </section>
+          )) : (
+            <div className="muted">No exercises were logged.</div>
+          )}
+        </>
+      ) : null}
+    </div>
+  );
+}
+
+export default SessionPrintPage;
@@ -8,6 +8,7 @@ import {
   APP_VERSION,
   formatReleaseTimestamp,
 } from '../features/workout/workout-utils.js';
+import EquipmentInventoryCard from '../features/workout/components/equipment-inventory-card.jsx';
 
 function SettingsPage({ user, onLogout }) {
   const { preference, setPreference, resolvedReducedMotion, motionMode } = useMotionPreferences();
@@ -260,6 +261,8 @@ function SettingsPage({ user, onLogout }) {
         </div>
       </div>
 
+      <EquipmentInventoryCard />
+
       <div className="card">
         <div className="section-title">Motion</div>
         <div className="stack">
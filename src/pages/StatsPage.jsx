@@ -22,9 +22,19 @@ import {
   formatNumber,
   buildLinearTrendline,
   buildMovingAverage,
+  formatSetMetricValue,
+  formatSideAsymmetry,
+  formatSideAsymmetryTotals,
+  measurementModeUsesWeight,
+  resolveMeasurementMetric,
+  resolveSetMetricLabel,
+  ONE_REP_MAX_FORMULA_OPTIONS,
+  REP_MAX_TABLE_REPS,
+  formatOneRepMaxSourceLabel,
 } from '../features/stats/stats-utils.js';
 import StatsKpiGrid from '../features/stats/components/stats-kpi-grid.jsx';
 import { useStatsAnalyticsData } from '../features/stats/hooks/use-stats-analytics-data.js';
+import { usePrograms } from '../features/routines/hooks/use-programs.js';
 
 function StatsPage() {
   const { resolvedReducedMotion } = useMotionPreferences();
@@ -40,12 +50,20 @@ function StatsPage() {
     setSelectedExerciseId,
     statsRoutineType,
     setStatsRoutineType,
+    statsProgramId,
+    setStatsProgramId,
+    statsProgramWeek,
+    setStatsProgramWeek,
     timeseriesBucket,
     setTimeseriesBucket,
     timeseriesWindow,
     setTimeseriesWindow,
     progressionWindow,
     setProgressionWindow,
+    oneRepMaxFormula,
+    setOneRepMaxFormula,
+    projectionReps,
+    setProjectionReps,
     distributionMetric,
     setDistributionMetric,
     distributionWindow,
@@ -71,6 +89,8 @@ function StatsPage() {
     analyticsLoading,
     chartAnimationMode,
   } = useStatsAnalyticsData();
+  const { programs } = usePrograms();
+  const selectedStatsProgram = programs.find((program) => String(program.id) === statsProgramId) || null;
 
   const summary = stats?.summary || {};
   const avgTimeSpentWeekMinutes = Number(summary.timeSpentWeekMinutes || 0);
@@ -114,7 +134,15 @@ function StatsPage() {
       startedAt: point.startedAt,
       topWeight: Number(point.topWeight || 0),
       topReps: Number(point.topReps || 0),
+      topTimeSeconds: Number(point.topTimeSeconds || 0),
+      topDistanceMeters: Number(point.topDistanceMeters || 0),
       topVolume: Number(point.topVolume || 0),
+      topWeightRpe: point.topWeightRpe === null || point.topWeightRpe === undefined
+        ? null
+        : Number(point.topWeightRpe),
+      estimatedOneRepMax: point.estimatedOneRepMax === null || point.estimatedOneRepMax === undefined
+        ? null
+        : Number(point.estimatedOneRepMax),
     }));
     const topWeightTrend = buildLinearTrendline(basePoints, 'topWeight');
     const topWeightMoving = buildMovingAverage(basePoints, 'topWeight', 7);
@@ -124,6 +152,22 @@ function StatsPage() {
       topWeightMoving: topWeightMoving[index],
     }));
   }, [progression]);
+  const progressionHasRpe = progressionData.some((point) => point.topWeightRpe !== null);
+  const progressionMeasurementMode = progression?.exercise?.measurementMode;
+  const progressionMetric = resolveMeasurementMetric(progressionMeasurementMode);
+  const progressionMetricKey = {
+    reps: 'topReps',
+    time: 'topTimeSeconds',
+    distance: 'topDistanceMeters',
+  }[progressionMetric];
+  const progressionMetricName = `Top ${resolveSetMetricLabel(progressionMeasurementMode)}`;
+  const progressionShowsWeight = measurementModeUsesWeight(progressionMeasurementMode);
+  const progressionHasOneRepMax = progressionData.some((point) => point.estimatedOneRepMax !== null);
+  const oneRepMax = progression?.oneRepMax || null;
+  const showsStrengthEstimates = progressionShowsWeight && progressionMetric === 'reps';
+  const oneRepMaxFormulaLabel = ONE_REP_MAX_FORMULA_OPTIONS.find(
+    (option) => option.value === (oneRepMax?.formula || oneRepMaxFormula)
+  )?.label || '';
 
   const distributionData = useMemo(
     () =>
@@ -146,9 +190,11 @@ function StatsPage() {
         volume: Number(row.volume || 0),
         value: Number(row.value || 0),
         share: Number(row.share || 0),
+        asymmetry: row.asymmetry || null,
       })),
     [distributionDrilldown]
   );
+  const distributionDrilldownHasSides = distributionDrilldownData.some((row) => row.asymmetry);
 
   const activeDistributionData = distributionDrilldownMuscle
     ? distributionDrilldownData
@@ -243,6 +289,37 @@ function StatsPage() {
               <option value="rehab">Rehab</option>
               <option value="all">All</option>
             </select>
+            {programs.length ? (
+              <select
+                aria-label="Stats program"
+                value={statsProgramId}
+                onChange={(event) => {
+                  setStatsProgramId(event.target.value);
+                  setStatsProgramWeek('');
+                }}
+              >
+                <option value="">All programs</option>
+                {programs.map((program) => (
+                  <option key={program.id} value={String(program.id)}>
+                    {program.name}
+                  </option>
+                ))}
+              </select>
+            ) : null}
+            {selectedStatsProgram ? (
+              <select
+                aria-label="Stats program week"
+                value={statsProgramWeek}
+                onChange={(event) => setStatsProgramWeek(event.target.value)}
+              >
+                <option value="">All weeks</option>
+                {selectedStatsProgram.weeks.map((week) => (
+                  <option key={week.weekNumber} value={String(week.weekNumber)}>
+                    {week.deload ? `Week ${week.weekNumber} (deload)` : `Week ${week.weekNumber}`}
+                  </option>
+                ))}
+              </select>
+            ) : null}
           </div>
         </div>
       </div>
@@ -386,22 +463,135 @@ function StatsPage() {
                   <YAxis yAxisId="reps" orientation="right" stroke="var(--muted)" />
                   <Tooltip
                     formatter={(value, name) => {
-                      if (name === 'Top reps') return [formatNumber(value), name];
+                      if (name === 'Top set RPE') return [formatNumber(value), name];
+                      if (name === progressionMetricName) {
+                        return [
+                          progressionMetric === 'reps'
+                            ? formatNumber(value)
+                            : formatSetMetricValue(value, progressionMeasurementMode),
+                          name,
+                        ];
+                      }
                       return [`${formatNumber(value)} kg`, name];
                     }}
                   />
                   <Legend />
-                  <Line yAxisId="weight" dataKey="topWeight" name="Top weight" stroke="var(--accent)" strokeWidth={2.4} dot={false} {...chartAnimation} />
-                  <Line yAxisId="weight" dataKey="topWeightMoving" name="7-point average" stroke="#7dc7e4" strokeWidth={2} dot={false} {...chartAnimation} />
-                  <Line yAxisId="weight" dataKey="topWeightTrend" name="Weight trend" stroke="#f4c56a" strokeDasharray="6 6" strokeWidth={2} dot={false} {...chartAnimation} />
-                  <Line yAxisId="reps" dataKey="topReps" name="Top reps" stroke="#9dc07b" strokeWidth={1.8} dot={false} {...chartAnimation} />
+                  {progressionShowsWeight ? (
+                    <Line yAxisId="weight" dataKey="topWeight" name="Top weight" stroke="var(--accent)" strokeWidth={2.4} dot={false} {...chartAnimation} />
+                  ) : null}
+                  {progressionShowsWeight ? (
+                    <Line yAxisId="weight" dataKey="topWeightMoving" name="7-point average" stroke="#7dc7e4" strokeWidth={2} dot={false} {...chartAnimation} />
+                  ) : null}
+                  {progressionShowsWeight ? (
+                    <Line yAxisId="weight" dataKey="topWeightTrend" name="Weight trend" stroke="#f4c56a" strokeDasharray="6 6" strokeWidth={2} dot={false} {...chartAnimation} />
+                  ) : null}
+                  {progressionShowsWeight && progressionHasOneRepMax ? (
+                    <Line yAxisId="weight" dataKey="estimatedOneRepMax" name="Estimated 1RM" stroke="#c9a7f5" strokeWidth={1.8} connectNulls dot={false} {...chartAnimation} />
+                  ) : null}
+                  <Line yAxisId="reps" dataKey={progressionMetricKey} name={progressionMetricName} stroke="#9dc07b" strokeWidth={1.8} dot={false} {...chartAnimation} />
+                  {progressionHasRpe ? (
+                    <Line yAxisId="reps" dataKey="topWeightRpe" name="Top set RPE" stroke="#e48fb5" strokeWidth={1.6} strokeDasharray="3 4" connectNulls dot={false} {...chartAnimation} />
+                  ) : null}
                 </LineChart>
               </ResponsiveContainer>
             </div>
           ) : (
             <div className="muted">No progression data for this window.</div>
           )}
+          {!analyticsLoading && progression?.asymmetry ? (
+            <p className="muted stats-side-asymmetry">
+              {`Left/right: ${formatSideAsymmetryTotals(progression.asymmetry)} · ${formatSideAsymmetry(progression.asymmetry)}`}
+            </p>
+          ) : null}
+        </div>
+      </div>
+
+      <div className="card stats-card">
+        <div className="stats-card-header">
+          <div>
+            <div className="section-title">Strength estimates</div>
+            <p className="muted stats-card-subtitle">
+              {progression?.exercise?.name
+                ? `Estimated 1RM and rep maxes for ${progression.exercise.name} in the progression window.`
+                : 'Estimated 1RM and rep maxes in the progression window.'}
+            </p>
+          </div>
+          <div className="stats-controls">
+            <select
+              aria-label="1RM formula"
+              value={oneRepMaxFormula}
+              onChange={(event) => setOneRepMaxFormula(event.target.value)}
+            >
+              {ONE_REP_MAX_FORMULA_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <select
+              aria-label="Projection reps"
+              value={projectionReps}
+              onChange={(event) => setProjectionReps(event.target.value)}
+            >
+              {Array.from({ length: REP_MAX_TABLE_REPS }, (_, index) => String(index + 1)).map((reps) => (
+                <option key={reps} value={reps}>
+                  {`${reps} ${reps === '1' ? 'rep' : 'reps'}`}
+                </option>
+              ))}
+            </select>
+          </div>
         </div>
+        {analyticsLoading ? (
+          <div className="muted">Loading analytics…</div>
+        ) : !showsStrengthEstimates ? (
+          <div className="muted">Strength estimates need an exercise logged with reps and weight.</div>
+        ) : oneRepMax?.best ? (
+          <div className="stack">
+            <div className="stats-strength-summary">
+              <div>
+                <div className="muted stats-kpi-label">{`Best estimated 1RM · ${oneRepMaxFormulaLabel}`}</div>
+                <div className="stats-strength-value">{`${formatNumber(oneRepMax.best.value)} kg`}</div>
+                <div className="muted">{formatOneRepMaxSourceLabel(oneRepMax.best)}</div>
+              </div>
+              <div>
+                <div className="muted stats-kpi-label">
+                  {`Projected for ${formatNumber(oneRepMax.projection?.targetReps)} reps`}
+                </div>
+                <div className="stats-strength-value">
+                  {oneRepMax.projection?.weight !== null && oneRepMax.projection?.weight !== undefined
+                    ? `${formatNumber(oneRepMax.projection.weight)} kg`
+                    : '—'}
+                </div>
+              </div>
+            </div>
+            <div className="stats-best-lifts-table-wrap">
+              <table className="stats-best-lifts-table" aria-label="Rep maxes">
+                <thead>
+                  <tr>
+                    <th scope="col">Rep max</th>
+                    <th scope="col">Best weight</th>
+                    <th scope="col">From</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {(oneRepMax.repMaxes || []).map((entry) => (
+                    <tr key={entry.reps}>
+                      <th scope="row">{`${entry.reps} RM`}</th>
+                      <td>{entry.weight !== null ? `${formatNumber(entry.weight)} kg` : '—'}</td>
+                      <td>
+                        {entry.weight !== null
+                          ? `${formatNumber(entry.setReps)} reps · ${formatDate(entry.achievedAt)}`
+                          : '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : (
+          <div className="muted">No sets of 12 reps or fewer in this window to estimate from.</div>
+        )}
       </div>
 
       <div className="card-grid two stats-grid">
@@ -501,6 +691,7 @@ function StatsPage() {
                         <th scope="col">Exercise</th>
                         <th scope="col">Sets</th>
                         <th scope="col">Volume</th>
+                        {distributionDrilldownHasSides ? <th scope="col">Left/right</th> : null}
                       </tr>
                     </thead>
                     <tbody>
@@ -509,6 +700,9 @@ function StatsPage() {
                           <th scope="row">{row.label}</th>
                           <td>{formatNumber(row.setCount)}</td>
                           <td>{formatNumber(row.volume)} kg</td>
+                          {distributionDrilldownHasSides ? (
+                            <td>{formatSideAsymmetry(row.asymmetry) || '—'}</td>
+                          ) : null}
                         </tr>
                       ))}
                     </tbody>
@@ -1,6 +1,7 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
 import { AnimatePresence, motion } from 'framer-motion';
 import { createPortal } from 'react-dom';
+import { useNavigate } from 'react-router-dom';
 import {
   FaArrowDown,
   FaArrowUp,
@@ -8,9 +9,14 @@ import {
   FaChevronLeft,
   FaChevronRight,
   FaCircleInfo,
+  FaClockRotateLeft,
   FaFlagCheckered,
   FaForwardStep,
   FaListUl,
+  FaPause,
+  FaPlay,
+  FaPlus,
+  FaRightLeft,
   FaStop,
   FaXmark,
 } from 'react-icons/fa6';
@@ -20,15 +26,26 @@ import { useMotionPreferences } from '../motion-preferences.jsx';
 import { formatDaysAgoLabel } from '../date-labels.js';
 import {
   buildChecklistRows,
+  buildInlineSetRows,
   buildMissingSetPayloads,
+  buildSetPersistOrder,
   formatReadinessError,
+  interleaveInlineSetRows,
+  isInlineSetType,
   resolveExerciseStartAt,
+  resolveInlineSetAnchor,
+  resolveSetTargetMetricValue,
+  resolveTargetMetricValue,
   resolveSetTargetRepsValue,
+  resolveSetTargetWeightValue,
   resolveTargetRepsValue,
   validateWorkoutReadiness,
 } from '../workout-flow.js';
 import {
   TARGET_REP_MAX_OPTIONS,
+  SET_RPE_MAX,
+  SET_RPE_OPTIONS,
+  INLINE_SET_TYPES,
   SESSION_BAND_OPTIONS,
   ONE_WEEK_MS,
   SET_CELEBRATION_MS,
@@ -39,6 +56,7 @@ import {
   TARGET_WEIGHT_STATUS_CLEAR_MS,
   WARMUP_STEP_ID,
   normalizeRoutineType,
+  normalizeRoutineForUi,
   formatRoutineTypeLabel,
   formatMuscleLabel,
   normalizeExerciseMetadataList,
@@ -49,23 +67,29 @@ import {
   sessionHasTrackedProgress,
   formatRestTime,
   formatDurationSeconds,
+  formatSetRpeLabel,
+  formatSetTypeLabel,
+  formatSetChipLabel,
   normalizeEquipmentForComparison,
   normalizeRoutineExerciseId,
   buildSessionExerciseKey,
   resolveSessionExerciseKey,
   buildTargetWeightControlKey,
-  resolveWeightStepForEquipment,
   roundWeight,
   formatTargetWeightInputValue,
   parseTargetWeightInput,
   isWeightedTargetEditable,
+  canSubstituteSessionExercise,
+  isSubstitutedSessionExercise,
   resolveTargetWeightSaveStatusLabel,
   resolveSessionDurationSeconds,
+  resolveSessionActiveSeconds,
+  applySessionPauseChange,
   createWarmupStep,
   countSessionTrainedExercises,
   resolveRecentWorkoutCount,
-  resolveSessionDetailPlaceholderWeight,
-  resolveSessionDetailPlaceholderReps,
+  formatSessionDetailSetWeight,
+  formatSessionDetailSetMetric,
   buildSessionDetailSetRows,
   resolveSessionDetailExerciseState,
   formatSessionDetailExerciseStateLabel,
@@ -73,9 +97,60 @@ import {
   normalizeSupersetGroup,
   buildSupersetPartnerLookup,
   buildWorkoutPreviewBlocks,
+  REST_TIMER_ADJUST_SECONDS,
+  resolveRestTimerDurationSeconds,
+  createRestTimer,
+  extendRestTimer,
+  resolveRestTimerRemainingSeconds,
+  normalizeStoredRestTimer,
+  requestRestNotificationPermission,
+  scheduleRestNotification,
+  showRestNotification,
+  supportsScheduledRestNotifications,
+  cancelRestNotification,
+  DEFAULT_MEASUREMENT_MODE,
+  resolveMeasurementMetric,
+  resolveSetMetricUnit,
+  resolveSetMetricLabel,
+  buildSetMetricSelectOptions,
+  isValidSetMetricValue,
+  resolveSetMetricValue,
+  buildSetMetricPayload,
+  pickSetMetricFields,
+  resolveSetSideValues,
+  isValidSetSideValues,
+  formatSetMetricValue,
+  formatLoggedSetSummary,
+  resolveSetMetricHeading,
+  createHoldTimer,
+  resolveHoldTimerRemainingSeconds,
+  resolveHoldTimerElapsedSeconds,
+  snapToLoadableWeight,
+  resolveNextLoadableWeight,
+  buildPlateBreakdown,
+  formatPlateBreakdown,
+  buildLastPerformanceSetItems,
+  formatLastPerformanceHeading,
+  formatBestSetLabel,
+  exerciseUsesTargetPercent,
+  formatSetTargetLoadLabel,
+  exerciseUsesSetTargetWeights,
+  formatPersonalRecordLabel,
+  mergePersonalRecordsBySetKey,
 } from '../features/workout/workout-utils.js';
 import StartWorkoutRoutineList from '../features/workout/components/start-workout-routine-list.jsx';
+import AddSessionExerciseForm from '../features/workout/components/add-session-exercise-form.jsx';
+import SubstituteExercisePicker from '../features/workout/components/substitute-exercise-picker.jsx';
+import PastWorkoutForm from '../features/workout/components/past-workout-form.jsx';
+import AutoClosedSessionNotice from '../features/workout/components/auto-closed-session-notice.jsx';
+import SessionProgressionSummary from '../features/workout/components/session-progression-summary.jsx';
+import PersonalRecordNotice from '../features/workout/components/personal-record-notice.jsx';
 import { useWorkoutInitialData } from '../features/workout/hooks/use-workout-initial-data.js';
+import { useEquipmentInventory } from '../features/workout/hooks/use-equipment-inventory.js';
+import { useAutoClosedSessions } from '../features/workout/hooks/use-auto-closed-sessions.js';
+import { useLastPerformance } from '../features/workout/hooks/use-last-performance.js';
+import { useScheduleRecommendation } from '../features/workout/hooks/use-schedule-recommendation.js';
+import { usePrograms } from '../features/routines/hooks/use-programs.js';
 import AnimatedModal from '../ui/modal/AnimatedModal.jsx';
 
 const WORKOUT_RUNTIME_STATE_STORAGE_PREFIX = 'trainbook.workoutRuntimeState.';
@@ -125,6 +200,7 @@ function removeWorkoutRuntimeState(sessionId) {
 }
 
 function WorkoutPage() {
+  const navigate = useNavigate();
   const { resolvedReducedMotion } = useMotionPreferences();
   const motionConfig = useMemo(
     () => getMotionConfig(resolvedReducedMotion),
@@ -144,6 +220,10 @@ function WorkoutPage() {
     setError,
     refresh,
   } = useWorkoutInitialData();
+  const { inventory: equipmentInventory } = useEquipmentInventory();
+  const { sessions: autoClosedSessions, reviewSession: reviewAutoClosedSession } = useAutoClosedSessions();
+  const { programs, refreshPrograms } = usePrograms();
+  const { recommendation: scheduleRecommendation, refreshRecommendation } = useScheduleRecommendation();
   const [weightInput, setWeightInput] = useState('');
   const [sessionNotesInput, setSessionNotesInput] = useState('');
   const [recentlyDeletedSet, setRecentlyDeletedSet] = useState(null);
@@ -154,7 +234,24 @@ function WorkoutPage() {
   const [currentExerciseId, setCurrentExerciseId] = useState(null);
   const [exerciseDetailExerciseId, setExerciseDetailExerciseId] = useState(null);
   const [setChecklistByExerciseId, setSetChecklistByExerciseId] = useState({});
+  // Holds the chosen value of each set's primary metric: reps, seconds or metres depending on the exercise mode.
   const [setRepsByExerciseId, setSetRepsByExerciseId] = useState({});
+  const [setRpeByExerciseId, setSetRpeByExerciseId] = useState({});
+  // Per-side reps and weight of unilateral sets, keyed like the other checklist edits.
+  const [setSidesByExerciseId, setSetSidesByExerciseId] = useState({});
+  const [inlineSetsByExerciseId, setInlineSetsByExerciseId] = useState({});
+  const [restTimer, setRestTimer] = useState(null);
+  const [restTimerNowMs, setRestTimerNowMs] = useState(() => Date.now());
+  const [holdTimer, setHoldTimer] = useState(null);
+  const [holdTimerNowMs, setHoldTimerNowMs] = useState(() => Date.now());
+  const [addExerciseOpen, setAddExerciseOpen] = useState(false);
+  const [exerciseCatalog, setExerciseCatalog] = useState(null);
+  const [addExerciseSaving, setAddExerciseSaving] = useState(false);
+  const [pastWorkoutOpen, setPastWorkoutOpen] = useState(false);
+  const [pastWorkoutSaving, setPastWorkoutSaving] = useState(false);
+  const [substituteExercise, setSubstituteExercise] = useState(null);
+  const [substituteAlternatives, setSubstituteAlternatives] = useState(null);
+  const [substituteSaving, setSubstituteSaving] = useState(false);
   const [targetWeightSaveStatusByKey, setTargetWeightSaveStatusByKey] = useState({});
   const [targetWeightInputDraftByKey, setTargetWeightInputDraftByKey] = useState({});
   const [workoutPreviewOpen, setWorkoutPreviewOpen] = useState(false);
@@ -162,6 +259,8 @@ function WorkoutPage() {
   const [isExerciseTransitioning, setIsExerciseTransitioning] = useState(false);
   const [celebratingSetKeys, setCelebratingSetKeys] = useState({});
   const [celebratingExerciseIds, setCelebratingExerciseIds] = useState({});
+  const [personalRecordsBySetKey, setPersonalRecordsBySetKey] = useState({});
+  const [personalRecordNotice, setPersonalRecordNotice] = useState(null);
   const [isProgressPulsing, setIsProgressPulsing] = useState(false);
   const finishExerciseInFlightRef = useRef(false);
   const skipExerciseInFlightRef = useRef(false);
@@ -173,6 +272,7 @@ function WorkoutPage() {
   const targetWeightOptimisticByKeyRef = useRef({});
   const pendingTargetWeightByKeyRef = useRef({});
   const pendingTargetRepsByKeyRef = useRef({});
+  const pendingSetTargetWeightsByKeyRef = useRef({});
   const targetWeightStatusTimersRef = useRef(new Map());
   const revisitedCompletedExerciseKeysRef = useRef(new Set());
   const workoutRuntimeHydratedSessionIdRef = useRef(null);
@@ -234,6 +334,7 @@ function WorkoutPage() {
     targetWeightOptimisticByKeyRef.current = {};
     pendingTargetWeightByKeyRef.current = {};
     pendingTargetRepsByKeyRef.current = {};
+    pendingSetTargetWeightsByKeyRef.current = {};
     setTargetWeightSaveStatusByKey({});
     setTargetWeightInputDraftByKey({});
   };
@@ -294,9 +395,14 @@ function WorkoutPage() {
     });
   }, [routines]);
 
+  const isFreestyleSession = Boolean(activeSession && !activeSession.routineId);
+
   const sessionExercises = useMemo(() => {
     if (!activeSession) return [];
-    const shouldIncludeWarmup = normalizeRoutineType(activeSession.routineType) === 'standard';
+    const shouldIncludeWarmup = (
+      normalizeRoutineType(activeSession.routineType) === 'standard'
+      && Boolean(activeSession.routineId)
+    );
     const fromSession = (activeSession.exercises || [])
       .map((exercise, index) => {
         const routineExerciseId = normalizeRoutineExerciseId(exercise.routineExerciseId);
@@ -363,8 +469,11 @@ function WorkoutPage() {
       sessionExerciseKey: buildSessionExerciseKey(exercise.exerciseId, exercise.id),
       name: exercise.name,
       equipment: exercise.equipment || null,
+      measurementMode: exercise.measurementMode || DEFAULT_MEASUREMENT_MODE,
       targetSets: exercise.targetSets,
       targetReps: exercise.targetReps,
+      targetTimeSeconds: exercise.targetTimeSeconds ?? null,
+      targetDistanceMeters: exercise.targetDistanceMeters ?? null,
       setTargets: Array.isArray(exercise.setTargets) ? exercise.setTargets : [],
       targetWeight: exercise.targetWeight,
       targetBandLabel: exercise.targetBandLabel || null,
@@ -385,6 +494,14 @@ function WorkoutPage() {
     return [warmupStep, ...routineExercises];
   }, [activeSession, routines]);
 
+  const lastPerformanceByKey = useLastPerformance(
+    activeSession?.id,
+    sessionExercises
+      .filter((exercise) => !exercise.isWarmupStep)
+      .map((exercise) => resolveSessionExerciseKey(exercise))
+      .join('|')
+  );
+
   const currentExercise = useMemo(() => {
     if (!sessionExercises.length) return null;
     if (currentExerciseId !== null) {
@@ -483,10 +600,19 @@ function WorkoutPage() {
       setExerciseDetailExerciseId(null);
       setSetChecklistByExerciseId({});
       setSetRepsByExerciseId({});
+      setSetRpeByExerciseId({});
+      setSetSidesByExerciseId({});
       setWorkoutPreviewOpen(false);
       setFinishConfirmOpen(false);
+      setRestTimer((prev) => {
+        if (prev) void cancelRestNotification();
+        return null;
+      });
+      setHoldTimer(null);
       setCelebratingSetKeys({});
       setCelebratingExerciseIds({});
+      setPersonalRecordsBySetKey({});
+      setPersonalRecordNotice(null);
       setIsProgressPulsing(false);
       previousWorkoutProgressCountRef.current = 0;
       return;
@@ -498,7 +624,9 @@ function WorkoutPage() {
         || exercise.status === 'skipped'
         || (exercise.sets || []).length > 0
     );
-    setSessionMode((prev) => (prev === 'workout' ? prev : (hasProgress ? 'workout' : 'preview')));
+    setSessionMode((prev) => (
+      prev === 'workout' ? prev : (hasProgress || isFreestyleSession ? 'workout' : 'preview')
+    ));
     const prioritized = (activeSession.exercises || []).find((exercise) => exercise.status === 'in_progress')
       || (activeSession.exercises || []).find((exercise) => !resolveIsExerciseCompleted(exercise))
       || (activeSession.exercises || [])[0]
@@ -522,6 +650,10 @@ function WorkoutPage() {
       sessionMode,
       setChecklistByExerciseId,
       setRepsByExerciseId,
+      setRpeByExerciseId,
+      setSidesByExerciseId,
+      inlineSetsByExerciseId,
+      restTimer,
     });
   }, [
     activeSession?.id,
@@ -529,6 +661,10 @@ function WorkoutPage() {
     sessionMode,
     setChecklistByExerciseId,
     setRepsByExerciseId,
+    setRpeByExerciseId,
+    setSidesByExerciseId,
+    inlineSetsByExerciseId,
+    restTimer,
   ]);
 
   useEffect(() => {
@@ -546,6 +682,12 @@ function WorkoutPage() {
         Number(exercise.targetSets),
       ])
     );
+    const measurementModeByExerciseKey = new Map(
+      sessionExercises.map((exercise) => [
+        resolveSessionExerciseKey(exercise),
+        exercise.measurementMode,
+      ])
+    );
     const isValidSetIndex = (exerciseKey, rawSetIndex) => {
       const setIndex = Number(rawSetIndex);
       const targetSets = targetSetsByExerciseKey.get(exerciseKey);
@@ -584,7 +726,7 @@ function WorkoutPage() {
       Object.entries(repsBySetIndex).forEach(([rawSetIndex, rawReps]) => {
         const reps = Number(rawReps);
         if (!isValidSetIndex(exerciseKey, rawSetIndex)) return;
-        if (!Number.isInteger(reps) || reps < 1 || reps > 100) return;
+        if (!isValidSetMetricValue(measurementModeByExerciseKey.get(exerciseKey), reps)) return;
         nextReps[rawSetIndex] = reps;
       });
       if (Object.keys(nextReps).length) {
@@ -592,6 +734,73 @@ function WorkoutPage() {
       }
     });
 
+    const nextRpeByExerciseId = {};
+    Object.entries(storedState?.setRpeByExerciseId || {}).forEach(([exerciseKey, rpeBySetIndex]) => {
+      if (!validExerciseKeys.has(exerciseKey) || !rpeBySetIndex || typeof rpeBySetIndex !== 'object') return;
+      const nextRpe = {};
+      Object.entries(rpeBySetIndex).forEach(([rawSetIndex, rawRpe]) => {
+        const rpe = Number(rawRpe);
+        if (!isValidSetIndex(exerciseKey, rawSetIndex)) return;
+        if (!Number.isInteger(rpe * 2) || rpe < 1 || rpe > SET_RPE_MAX) return;
+        nextRpe[rawSetIndex] = rpe;
+      });
+      if (Object.keys(nextRpe).length) {
+        nextRpeByExerciseId[exerciseKey] = nextRpe;
+      }
+    });
+
+    const nextSidesByExerciseId = {};
+    Object.entries(storedState?.setSidesByExerciseId || {}).forEach(([exerciseKey, sidesBySetIndex]) => {
+      if (!validExerciseKeys.has(exerciseKey) || !sidesBySetIndex || typeof sidesBySetIndex !== 'object') return;
+      const nextSides = {};
+      Object.entries(sidesBySetIndex).forEach(([rawSetIndex, sides]) => {
+        if (!isValidSetIndex(exerciseKey, rawSetIndex) || !sides || typeof sides !== 'object') return;
+        const entries = Object.entries(sides).filter(([field, value]) => (
+          ['leftReps', 'leftWeight', 'rightReps', 'rightWeight'].includes(field)
+          && Number.isFinite(Number(value))
+          && Number(value) >= 0
+        ));
+        if (entries.length) {
+          nextSides[rawSetIndex] = Object.fromEntries(entries.map(([field, value]) => [field, Number(value)]));
+        }
+      });
+      if (Object.keys(nextSides).length) {
+        nextSidesByExerciseId[exerciseKey] = nextSides;
+      }
+    });
+
+    const nextInlineSetsByExerciseId = {};
+    Object.entries(storedState?.inlineSetsByExerciseId || {}).forEach(([exerciseKey, inlineSets]) => {
+      if (!validExerciseKeys.has(exerciseKey) || !Array.isArray(inlineSets)) return;
+      const nextInlineSets = inlineSets
+        .filter((entry) => (
+          entry
+          && typeof entry.id === 'string'
+          && INLINE_SET_TYPES.includes(entry.setType)
+          && Number.isInteger(Number(entry.anchorSetIndex))
+          && Number(entry.anchorSetIndex) > 0
+          && Number.isInteger(Number(entry.reps))
+          && Number(entry.reps) >= 1
+          && Number(entry.reps) <= 100
+          && Number.isFinite(Number(entry.weight))
+          && Number(entry.weight) >= 0
+        ))
+        .map((entry) => {
+          const checkedAtMs = new Date(entry.checkedAt || '').getTime();
+          return {
+            id: entry.id,
+            setType: entry.setType,
+            anchorSetIndex: Number(entry.anchorSetIndex),
+            reps: Number(entry.reps),
+            weight: Number(entry.weight),
+            checkedAt: Number.isNaN(checkedAtMs) ? null : new Date(checkedAtMs).toISOString(),
+          };
+        });
+      if (nextInlineSets.length) {
+        nextInlineSetsByExerciseId[exerciseKey] = nextInlineSets;
+      }
+    });
+
     workoutRuntimeHydratedSessionIdRef.current = activeSession.id;
     if (storedState?.sessionMode === 'workout') {
       setSessionMode('workout');
@@ -604,8 +813,63 @@ function WorkoutPage() {
     }
     setSetChecklistByExerciseId(nextChecklistByExerciseId);
     setSetRepsByExerciseId(nextRepsByExerciseId);
+    setSetRpeByExerciseId(nextRpeByExerciseId);
+    setSetSidesByExerciseId(nextSidesByExerciseId);
+    setInlineSetsByExerciseId(nextInlineSetsByExerciseId);
+
+    const storedRestTimer = normalizeStoredRestTimer(storedState?.restTimer);
+    const nextRestTimer = storedRestTimer && validExerciseKeys.has(storedRestTimer.exerciseKey)
+      ? storedRestTimer
+      : null;
+    setRestTimer(nextRestTimer);
+    if (nextRestTimer) {
+      void scheduleRestNotification(nextRestTimer);
+    }
   }, [activeSession?.id, sessionExercises]);
 
+  useEffect(() => {
+    if (!restTimer) return undefined;
+    setRestTimerNowMs(Date.now());
+    const tick = () => {
+      const nowMs = Date.now();
+      setRestTimerNowMs(nowMs);
+      if (resolveRestTimerRemainingSeconds(restTimer, nowMs) > 0) return;
+      setRestTimer(null);
+      // With Notification Triggers the service worker already fired the alert; elsewhere the page
+      // only finds out once it runs again (often when it becomes visible), so it alerts from here.
+      if (!supportsScheduledRestNotifications()) void showRestNotification(restTimer);
+      if (typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function') {
+        navigator.vibrate(200);
+      }
+    };
+    const interval = setInterval(tick, 1000);
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') tick();
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [restTimer]);
+
+  useEffect(() => {
+    if (!holdTimer) return undefined;
+    setHoldTimerNowMs(Date.now());
+    const interval = setInterval(() => {
+      setHoldTimerNowMs(Date.now());
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [holdTimer]);
+
+  useEffect(() => {
+    if (!holdTimer || resolveHoldTimerRemainingSeconds(holdTimer, holdTimerNowMs) > 0) return;
+    if (typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function') {
+      navigator.vibrate(200);
+    }
+    handleFinishHold(holdTimer.durationSeconds);
+  }, [holdTimer, holdTimerNowMs]);
+
   useEffect(() => {
     if (sessionMode !== 'workout') {
       setWorkoutPreviewOpen(false);
@@ -647,6 +911,24 @@ function WorkoutPage() {
       });
       return next;
     });
+    setSetRpeByExerciseId((prev) => {
+      const next = {};
+      Object.entries(prev || {}).forEach(([exerciseId, rpeBySetIndex]) => {
+        if (validExerciseIds.has(exerciseId)) {
+          next[exerciseId] = rpeBySetIndex;
+        }
+      });
+      return next;
+    });
+    setSetSidesByExerciseId((prev) => {
+      const next = {};
+      Object.entries(prev || {}).forEach(([exerciseId, sidesBySetIndex]) => {
+        if (validExerciseIds.has(exerciseId)) {
+          next[exerciseId] = sidesBySetIndex;
+        }
+      });
+      return next;
+    });
     setTargetWeightSaveStatusByKey((prev) => {
       const next = {};
       Object.entries(prev || {}).forEach(([key, status]) => {
@@ -691,6 +973,11 @@ function WorkoutPage() {
         delete pendingTargetRepsByKeyRef.current[key];
       }
     });
+    Object.keys(pendingSetTargetWeightsByKeyRef.current || {}).forEach((key) => {
+      if (!validTargetRepsKeys.has(key.replace(/:\d+$/, ''))) {
+        delete pendingSetTargetWeightsByKeyRef.current[key];
+      }
+    });
     targetWeightSaveQueueRef.current.forEach((_, key) => {
       if (!validTargetWeightKeys.has(key)) {
         targetWeightSaveQueueRef.current.delete(key);
@@ -698,7 +985,7 @@ function WorkoutPage() {
     });
   }, [activeSession?.id]);
 
-  const handleStartSession = async (routineId) => {
+  const handleStartSession = async (routineId, programId = null) => {
     setError(null);
     if (!Number.isFinite(Number(routineId))) {
       setError('Select a routine before starting a workout.');
@@ -707,6 +994,7 @@ function WorkoutPage() {
     try {
       const payload = {
         routineId: Number(routineId),
+        ...(programId ? { programId: Number(programId) } : {}),
       };
       const data = await apiFetch('/api/sessions', {
         method: 'POST',
@@ -721,8 +1009,247 @@ function WorkoutPage() {
       setCurrentExerciseId(null);
       setSetChecklistByExerciseId({});
       setSetRepsByExerciseId({});
+      setSetRpeByExerciseId({});
+      setSetSidesByExerciseId({});
+      setInlineSetsByExerciseId({});
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleStartFreestyleSession = async () => {
+    setError(null);
+    try {
+      const data = await apiFetch('/api/sessions', {
+        method: 'POST',
+        body: JSON.stringify({ freestyle: true, name: 'Freestyle workout' }),
+      });
+      if (activeSession?.id) {
+        removeWorkoutRuntimeState(activeSession.id);
+      }
+      workoutRuntimeHydratedSessionIdRef.current = null;
+      setActiveSession(data.session);
+      setSessionMode('workout');
+      setCurrentExerciseId(null);
+      setSetChecklistByExerciseId({});
+      setSetRepsByExerciseId({});
+      setSetRpeByExerciseId({});
+      setSetSidesByExerciseId({});
+      setInlineSetsByExerciseId({});
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const ensureExerciseCatalog = async () => {
+    if (exerciseCatalog) return exerciseCatalog;
+    const data = await apiFetch('/api/exercises');
+    const exercises = data.exercises || [];
+    setExerciseCatalog(exercises);
+    return exercises;
+  };
+
+  const handleOpenAddExercise = async () => {
+    setAddExerciseOpen(true);
+    try {
+      await ensureExerciseCatalog();
+    } catch (err) {
+      setAddExerciseOpen(false);
+      setError(err.message);
+    }
+  };
+
+  const handleOpenPastWorkout = async () => {
+    setPastWorkoutOpen(true);
+    try {
+      await ensureExerciseCatalog();
+    } catch (err) {
+      setPastWorkoutOpen(false);
+      setError(err.message);
+    }
+  };
+
+  const handleLogPastWorkout = async (payload) => {
+    if (pastWorkoutSaving) return;
+    setError(null);
+    setPastWorkoutSaving(true);
+    try {
+      const { session: loggedSession } = await apiFetch('/api/sessions/past', {
+        method: 'POST',
+        body: JSON.stringify(payload),
+      });
+      const sessionList = await apiFetch('/api/sessions?limit=15');
+      setSessions(sessionList.sessions || []);
+      setPastWorkoutOpen(false);
+      if ((loggedSession?.progressions || []).some((progression) => progression.status === 'applied')) {
+        await refreshRoutinesAfterProgression();
+      }
+      if (loggedSession?.program) {
+        await refreshPrograms();
+      }
+      refreshRecommendation();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPastWorkoutSaving(false);
+    }
+  };
+
+  const handleReviewAutoClosedSession = async (sessionId, endedAt) => {
+    setError(null);
+    try {
+      const reviewed = await reviewAutoClosedSession(sessionId, endedAt);
+      if (!reviewed) return;
+      setSessions((prev) => prev.map((session) => (
+        session.id === reviewed.id
+          ? { ...session, endedAt: reviewed.endedAt, durationSeconds: reviewed.durationSeconds }
+          : session
+      )));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAddSessionExercise = async (payload) => {
+    if (!activeSession || addExerciseSaving) return;
+    setError(null);
+    setAddExerciseSaving(true);
+    try {
+      const data = await apiFetch(`/api/sessions/${activeSession.id}/exercises`, {
+        method: 'POST',
+        body: JSON.stringify(payload),
+      });
+      const catalogExercise = (exerciseCatalog || []).find(
+        (exercise) => Number(exercise.id) === Number(payload.exerciseId)
+      );
+      const addedExercise = {
+        ...(data.exercise || {}),
+        name: data.exercise?.name || catalogExercise?.name || 'Exercise',
+        position: Number.isFinite(data.exercise?.position)
+          ? data.exercise.position
+          : sessionExercises.length,
+      };
+      setActiveSession((prev) => (
+        prev ? { ...prev, exercises: [...(prev.exercises || []), addedExercise] } : prev
+      ));
+      setAddExerciseOpen(false);
+      setSessionMode('workout');
+      if (!currentExercise || resolveIsExerciseCompleted(currentExercise)) {
+        await handleStartExercise(addedExercise.exerciseId, null);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setAddExerciseSaving(false);
+    }
+  };
+
+  const handleOpenSubstituteExercise = async (exercise) => {
+    if (!activeSession || !exercise) return;
+    setError(null);
+    setSubstituteExercise(exercise);
+    setSubstituteAlternatives(null);
+    const routineExerciseId = normalizeRoutineExerciseId(exercise.routineExerciseId);
+    const query = routineExerciseId ? `?routineExerciseId=${routineExerciseId}` : '';
+    try {
+      const data = await apiFetch(
+        `/api/sessions/${activeSession.id}/exercises/${exercise.exerciseId}/alternatives${query}`
+      );
+      setSubstituteAlternatives(data.alternatives || []);
+    } catch (err) {
+      setSubstituteAlternatives([]);
+      setError(err.message);
+    }
+    try {
+      await ensureExerciseCatalog();
+    } catch {
+      // Suggestions still work without the full catalog picker.
+    }
+  };
+
+  const handleSubstituteExercise = async (candidate) => {
+    if (!activeSession || !substituteExercise || !candidate || substituteSaving) return;
+    setError(null);
+    setSubstituteSaving(true);
+    try {
+      let substituteExerciseId = Number(candidate.exerciseId) || null;
+      let addedExercise = null;
+      if (!substituteExerciseId && candidate.forkId) {
+        const added = await apiFetch(
+          `/api/exercise-library/${encodeURIComponent(candidate.forkId)}/add`,
+          { method: 'POST' }
+        );
+        addedExercise = added?.exercise || null;
+        substituteExerciseId = Number(addedExercise?.id) || null;
+      }
+      if (!substituteExerciseId) {
+        throw new Error('Exercise not found.');
+      }
+      const previousKey = resolveSessionExerciseKey(substituteExercise);
+      const routineExerciseId = normalizeRoutineExerciseId(substituteExercise.routineExerciseId);
+      const data = await apiFetch(
+        `/api/sessions/${activeSession.id}/exercises/${substituteExercise.exerciseId}/substitute`,
+        {
+          method: 'POST',
+          body: JSON.stringify({ routineExerciseId, substituteExerciseId }),
+        }
+      );
+      const catalogExercise = addedExercise
+        || (exerciseCatalog || []).find((exercise) => Number(exercise.id) === substituteExerciseId);
+      const plannedExerciseId = Number(substituteExercise.originalExerciseId)
+        || Number(substituteExercise.exerciseId);
+      const restoresPlanned = plannedExerciseId === substituteExerciseId;
+      const nextExercise = data.exercise
+        ? { ...substituteExercise, ...data.exercise }
+        : {
+            ...substituteExercise,
+            exerciseId: substituteExerciseId,
+            sessionExerciseKey: buildSessionExerciseKey(substituteExerciseId, routineExerciseId),
+            name: catalogExercise?.name || candidate.name || substituteExercise.name,
+            force: catalogExercise?.force || null,
+            level: catalogExercise?.level || null,
+            mechanic: catalogExercise?.mechanic || null,
+            category: catalogExercise?.category || null,
+            primaryMuscles: catalogExercise?.primaryMuscles || [],
+            secondaryMuscles: catalogExercise?.secondaryMuscles || [],
+            instructions: catalogExercise?.instructions || [],
+            images: catalogExercise?.images || [],
+            originalExerciseId: restoresPlanned ? null : plannedExerciseId,
+            originalExerciseName: restoresPlanned
+              ? null
+              : substituteExercise.originalExerciseName || substituteExercise.name,
+          };
+      const nextKey = resolveSessionExerciseKey(nextExercise);
+      setActiveSession((prev) => (
+        prev
+          ? {
+              ...prev,
+              exercises: (prev.exercises || []).map((exercise) => (
+                resolveSessionExerciseKey(exercise) === previousKey ? nextExercise : exercise
+              )),
+            }
+          : prev
+      ));
+      clearLocalChecklistForExercise(previousKey);
+      clearLocalSetRepsForExercise(previousKey);
+      clearLocalSetRpeForExercise(previousKey);
+      clearLocalSetSidesForExercise(previousKey);
+      clearLocalInlineSetsForExercise(previousKey);
+      if (currentExerciseId === previousKey) {
+        setCurrentExerciseId(nextKey);
+      }
+      if (addedExercise && exerciseCatalog) {
+        setExerciseCatalog((prev) => (
+          prev && !prev.some((exercise) => Number(exercise.id) === substituteExerciseId)
+            ? [...prev, addedExercise]
+            : prev
+        ));
+      }
+      setSubstituteExercise(null);
     } catch (err) {
       setError(err.message);
+    } finally {
+      setSubstituteSaving(false);
     }
   };
 
@@ -785,6 +1312,66 @@ function WorkoutPage() {
       setFinishConfirmOpen(false);
       setSessionDetail(endedSession || null);
       setExpandedDetailExercises([]);
+      if ((endedSession?.progressions || []).some((progression) => progression.status === 'applied')) {
+        await refreshRoutinesAfterProgression();
+      }
+      if (endedSession?.program) {
+        await refreshPrograms();
+      }
+      refreshRecommendation();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Auto-applied progressions rewrite routine targets on the server, so the start list needs a reload.
+  const refreshRoutinesAfterProgression = async () => {
+    try {
+      const routineData = await apiFetch('/api/routines');
+      setRoutines((routineData.routines || []).map((routine) => normalizeRoutineForUi(routine)));
+    } catch {
+      // Keep the current routines; the next page load picks up the new targets.
+    }
+  };
+
+  const handleChangeSessionProgression = async (progression, action) => {
+    if (!sessionDetail?.id) return;
+    setError(null);
+    try {
+      const data = await apiFetch(
+        `/api/sessions/${sessionDetail.id}/progressions/${progression.id}/${action}`,
+        { method: 'POST' }
+      );
+      if (data?.progression) {
+        setSessionDetail((prev) => (prev ? {
+          ...prev,
+          progressions: (prev.progressions || []).map((entry) => (
+            entry.id === data.progression.id ? data.progression : entry
+          )),
+        } : prev));
+      }
+      if (data?.routine) {
+        const nextRoutine = normalizeRoutineForUi(data.routine);
+        setRoutines((prev) => prev.map((routine) => (
+          Number(routine.id) === Number(nextRoutine.id) ? nextRoutine : routine
+        )));
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleTogglePauseSession = async () => {
+    if (!activeSession) return;
+    setError(null);
+    const timestamp = new Date().toISOString();
+    const change = activeSession.pausedAt ? { resumedAt: timestamp } : { pausedAt: timestamp };
+    try {
+      await apiFetch(`/api/sessions/${activeSession.id}/${change.pausedAt ? 'pause' : 'resume'}`, {
+        method: 'POST',
+        body: JSON.stringify(change),
+      });
+      setActiveSession((prev) => applySessionPauseChange(prev, change));
     } catch (err) {
       setError(err.message);
     }
@@ -834,7 +1421,11 @@ function WorkoutPage() {
   ) => {
     if (!activeSession || !exercise || exercise.isWarmupStep) return true;
     const exerciseKey = resolveSessionExerciseKey(exercise);
-    if (!Object.prototype.hasOwnProperty.call(setChecklistByExerciseId, exerciseKey)) {
+    const inlineSetPayloads = addMissingSets ? buildInlineSetPayloads(exercise) : [];
+    if (
+      !Object.prototype.hasOwnProperty.call(setChecklistByExerciseId, exerciseKey)
+      && !inlineSetPayloads.length
+    ) {
       return true;
     }
 
@@ -846,7 +1437,7 @@ function WorkoutPage() {
     const hasChecklistStateChanges = rows.some(
       (row, index) => row.checked !== Boolean(baselineRows[index]?.checked)
     );
-    if (!hasChecklistStateChanges) {
+    if (!hasChecklistStateChanges && !inlineSetPayloads.length) {
       clearLocalChecklistForExercise(exerciseKey);
       return true;
     }
@@ -869,20 +1460,23 @@ function WorkoutPage() {
         includeUnchecked: false,
       });
 
-      for (const payload of missingSetPayloads) {
-        const reps = resolveSelectedSetReps(exerciseKey, payload.setIndex, payload.reps);
-        if (!Number.isInteger(reps) || reps <= 0) return false;
+      for (const payload of buildSetPersistOrder(missingSetPayloads, inlineSetPayloads)) {
+        const metrics = resolveSetPayloadMetrics(exercise, payload);
+        if (!metrics) return false;
         const saved = await handleAddSet(
           exercise.exerciseId,
           exercise.routineExerciseId || null,
-          reps,
+          metrics,
           payload.weight,
           payload.bandLabel,
           payload.startedAt,
-          payload.completedAt
+          payload.completedAt,
+          payload.inline ? null : resolveSelectedSetRpe(exerciseKey, payload.setIndex),
+          payload.setType
         );
         if (!saved) return false;
       }
+      clearLocalInlineSetsForExercise(exerciseKey);
     }
 
     const hasUncheckedRows = rows.some((row) => !row.checked);
@@ -1028,37 +1622,298 @@ function WorkoutPage() {
     });
   };
 
+  const clearLocalSetRpeForExercise = (exerciseId) => {
+    const key = String(exerciseId);
+    setSetRpeByExerciseId((prev) => {
+      if (!prev || !Object.prototype.hasOwnProperty.call(prev, key)) return prev;
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  };
+
+  const clearLocalSetSidesForExercise = (exerciseId) => {
+    const key = String(exerciseId);
+    setSetSidesByExerciseId((prev) => {
+      if (!prev || !Object.prototype.hasOwnProperty.call(prev, key)) return prev;
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  };
+
   const resolveSelectedSetReps = (exerciseId, setIndex, fallbackReps, setRepsOverridesByExerciseId = {}) => {
     const exerciseKey = String(exerciseId);
     const selected = Number(
       setRepsOverridesByExerciseId?.[exerciseKey]?.[setIndex]
       ?? setRepsByExerciseId?.[exerciseKey]?.[setIndex]
     );
-    if (Number.isInteger(selected) && selected > 0) return selected;
+    if (Number.isFinite(selected) && selected > 0) return selected;
     const fallback = Number(fallbackReps);
-    if (Number.isInteger(fallback) && fallback > 0) return fallback;
+    if (Number.isFinite(fallback) && fallback > 0) return fallback;
     return null;
   };
 
+  const resolveSelectedSetSides = (
+    exerciseId,
+    setIndex,
+    { reps, weight },
+    setSidesOverridesByExerciseId = {}
+  ) => {
+    const exerciseKey = String(exerciseId);
+    return resolveSetSideValues(
+      setSidesOverridesByExerciseId?.[exerciseKey]?.[setIndex]
+      ?? setSidesByExerciseId?.[exerciseKey]?.[setIndex],
+      { reps, weight }
+    );
+  };
+
+  const isUnilateralExercise = (exercise) => (
+    Boolean(exercise?.unilateral) && resolveMeasurementMetric(exercise?.measurementMode) === 'reps'
+  );
+
+  // Inline warm-up and drop rows always count reps; planned rows log the exercise's own metric.
+  const resolveSetPayloadMetrics = (
+    exercise,
+    payload,
+    setRepsOverridesByExerciseId = {},
+    setSidesOverridesByExerciseId = {}
+  ) => {
+    const measurementMode = payload.inline ? DEFAULT_MEASUREMENT_MODE : exercise?.measurementMode;
+    const value = payload.inline
+      ? payload.reps
+      : resolveSelectedSetReps(
+        resolveSessionExerciseKey(exercise),
+        payload.setIndex,
+        resolveSetMetricValue(payload, measurementMode),
+        setRepsOverridesByExerciseId
+      );
+    if (!isValidSetMetricValue(measurementMode, value)) return null;
+    if (!payload.inline && isUnilateralExercise(exercise)) {
+      const sides = resolveSelectedSetSides(
+        resolveSessionExerciseKey(exercise),
+        payload.setIndex,
+        { reps: value, weight: payload.weight },
+        setSidesOverridesByExerciseId
+      );
+      if (!isValidSetSideValues(sides)) return null;
+      return { ...buildSetMetricPayload(measurementMode, value), ...sides };
+    }
+    return buildSetMetricPayload(measurementMode, value);
+  };
+
   const handleSetRepsChange = (exerciseId, setIndex, value) => {
+    const parsed = Number(value);
+    const exerciseKey = String(exerciseId);
+    const exercise = sessionExercises.find((item) => resolveSessionExerciseKey(item) === exerciseKey);
+    if (!isValidSetMetricValue(exercise?.measurementMode, parsed)) return;
+    const setRepsOverridesByExerciseId = {
+      [exerciseKey]: {
+        ...(setRepsByExerciseId?.[exerciseKey] || {}),
+        [setIndex]: parsed,
+      },
+    };
+    setSetRepsByExerciseId((prev) => ({
+      ...(prev || {}),
+      [exerciseKey]: {
+        ...(prev?.[exerciseKey] || {}),
+        [setIndex]: parsed,
+      },
+    }));
+    if (setChecklistByExerciseId?.[exerciseKey]?.[setIndex]) return;
+    handleToggleSetChecklist(exerciseKey, setIndex, null, { setRepsOverridesByExerciseId });
+  };
+
+  const handleSetSideChange = (exerciseId, setIndex, field, value) => {
+    const parsed = Number(value);
+    if (value === '' || !Number.isFinite(parsed) || parsed < 0) return;
+    const exerciseKey = String(exerciseId);
+    const nextSides = {
+      ...(setSidesByExerciseId?.[exerciseKey]?.[setIndex] || {}),
+      [field]: parsed,
+    };
+    const setSidesOverridesByExerciseId = {
+      [exerciseKey]: {
+        ...(setSidesByExerciseId?.[exerciseKey] || {}),
+        [setIndex]: nextSides,
+      },
+    };
+    setSetSidesByExerciseId((prev) => ({
+      ...(prev || {}),
+      [exerciseKey]: {
+        ...(prev?.[exerciseKey] || {}),
+        [setIndex]: nextSides,
+      },
+    }));
+    if (setChecklistByExerciseId?.[exerciseKey]?.[setIndex]) return;
+    handleToggleSetChecklist(exerciseKey, setIndex, null, { setSidesOverridesByExerciseId });
+  };
+
+  const handleStartHold = (exercise, setIndex) => {
+    const exerciseKey = resolveSessionExerciseKey(exercise);
+    const timer = createHoldTimer({
+      exerciseKey,
+      setIndex,
+      durationSeconds: resolveSelectedSetReps(
+        exerciseKey,
+        setIndex,
+        resolveSetTargetMetricValue(exercise, setIndex)
+      ),
+    });
+    if (!timer) return;
+    if (restTimer) stopRestTimer();
+    setHoldTimer(timer);
+  };
+
+  // Logs the seconds actually held; checking the set off also kicks off the rest timer.
+  const handleFinishHold = (heldSeconds) => {
+    if (!holdTimer) return;
+    const { exerciseKey, setIndex } = holdTimer;
+    setHoldTimer(null);
+    if (!Number.isInteger(heldSeconds) || heldSeconds <= 0) return;
+    handleSetRepsChange(exerciseKey, setIndex, heldSeconds);
+  };
+
+  const handleStopHold = () => {
+    handleFinishHold(resolveHoldTimerElapsedSeconds(holdTimer));
+  };
+
+  const resolveSelectedSetRpe = (exerciseId, setIndex, persistedRpe = null) => {
+    const exerciseKey = String(exerciseId);
+    const selected = setRpeByExerciseId?.[exerciseKey]?.[setIndex];
+    const value = Number(selected ?? persistedRpe);
+    if (!Number.isFinite(value) || value <= 0) return null;
+    return value;
+  };
+
+  const handleSetRpeChange = (exerciseId, setIndex, value, persistedSet = null) => {
+    const exerciseKey = String(exerciseId);
+    const parsed = value === '' ? null : Number(value);
+    if (parsed !== null && (!Number.isFinite(parsed) || parsed < 1 || parsed > SET_RPE_MAX)) return;
+    if (persistedSet?.id !== null && persistedSet?.id !== undefined) {
+      void handleUpdateSet(persistedSet.id, { rpe: parsed });
+      return;
+    }
+    setSetRpeByExerciseId((prev) => ({
+      ...(prev || {}),
+      [exerciseKey]: {
+        ...(prev?.[exerciseKey] || {}),
+        [setIndex]: parsed === null ? '' : parsed,
+      },
+    }));
+    if (parsed === null || setChecklistByExerciseId?.[exerciseKey]?.[setIndex]) return;
+    handleToggleSetChecklist(exerciseKey, setIndex, null);
+  };
+
+  const clearLocalInlineSetsForExercise = (exerciseId) => {
+    const key = String(exerciseId);
+    setInlineSetsByExerciseId((prev) => {
+      if (!prev || !Object.prototype.hasOwnProperty.call(prev, key)) return prev;
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  };
+
+  const resolveInlineSetDefaultWeight = (exercise, setType) => {
+    const equipment = String(exercise?.equipment || '').trim();
+    if (equipment === 'Bodyweight' || equipment === 'Band') return 0;
+    const targetWeight = Number(exercise?.targetWeight);
+    if (!Number.isFinite(targetWeight) || targetWeight <= 0) return 0;
+    const ratio = setType === 'warmup' ? 0.5 : 0.8;
+    return snapToLoadableWeight(targetWeight * ratio, equipment, equipmentInventory) ?? 0;
+  };
+
+  const resolvePlateBreakdownLabel = (exercise) => {
+    if (!exercise || exercise.isWarmupStep) return null;
+    if (normalizeEquipmentForComparison(exercise.equipment) !== 'barbell') return null;
+    const targetWeight = Number(exercise.targetWeight);
+    if (!Number.isFinite(targetWeight) || targetWeight <= 0) return null;
+    return formatPlateBreakdown(buildPlateBreakdown(targetWeight, equipmentInventory));
+  };
+
+  const handleAddInlineSet = (exercise, setType) => {
+    if (!exercise || exercise.isWarmupStep || !INLINE_SET_TYPES.includes(setType)) return;
+    const exerciseKey = resolveSessionExerciseKey(exercise);
+    const rows = buildChecklistRows(exercise, setChecklistByExerciseId[exerciseKey] || {});
+    const anchorSetIndex = resolveInlineSetAnchor(rows, setType);
+    const reps = resolveSetTargetRepsValue(exercise, Math.min(anchorSetIndex, rows.length || 1)) || 1;
+    const inlineSet = {
+      id: `inline-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      setType,
+      anchorSetIndex,
+      reps,
+      weight: resolveInlineSetDefaultWeight(exercise, setType),
+      checkedAt: null,
+    };
+    setInlineSetsByExerciseId((prev) => ({
+      ...(prev || {}),
+      [exerciseKey]: [...(prev?.[exerciseKey] || []), inlineSet],
+    }));
+  };
+
+  const updateLocalInlineSet = (exerciseKey, inlineSetId, changes) => {
+    setInlineSetsByExerciseId((prev) => {
+      const current = prev?.[exerciseKey] || [];
+      if (!current.some((entry) => entry.id === inlineSetId)) return prev;
+      return {
+        ...(prev || {}),
+        [exerciseKey]: current.map((entry) => (
+          entry.id === inlineSetId ? { ...entry, ...changes } : entry
+        )),
+      };
+    });
+  };
+
+  const handleToggleInlineSet = (exerciseKey, inlineSetId, currentlyChecked) => {
+    updateLocalInlineSet(exerciseKey, inlineSetId, {
+      checkedAt: currentlyChecked ? null : new Date().toISOString(),
+    });
+  };
+
+  const handleInlineSetRepsChange = (exerciseKey, inlineSetId, value) => {
     const parsed = Number(value);
     if (!Number.isInteger(parsed) || parsed < 1 || parsed > 100) return;
-    const exerciseKey = String(exerciseId);
-    const setRepsOverridesByExerciseId = {
-      [exerciseKey]: {
-        ...(setRepsByExerciseId?.[exerciseKey] || {}),
-        [setIndex]: parsed,
-      },
-    };
-    setSetRepsByExerciseId((prev) => ({
-      ...(prev || {}),
-      [exerciseKey]: {
-        ...(prev?.[exerciseKey] || {}),
-        [setIndex]: parsed,
-      },
-    }));
-    if (setChecklistByExerciseId?.[exerciseKey]?.[setIndex]) return;
-    handleToggleSetChecklist(exerciseKey, setIndex, null, { setRepsOverridesByExerciseId });
+    updateLocalInlineSet(exerciseKey, inlineSetId, { reps: parsed });
+  };
+
+  const handleInlineSetWeightChange = (exerciseKey, inlineSetId, value) => {
+    const parsed = parseTargetWeightInput(value);
+    if (!Number.isFinite(parsed) || parsed < 0) return;
+    updateLocalInlineSet(exerciseKey, inlineSetId, { weight: parsed });
+  };
+
+  const handleRemoveInlineSet = (exerciseKey, inlineSetId) => {
+    setInlineSetsByExerciseId((prev) => {
+      const current = prev?.[exerciseKey] || [];
+      const nextInlineSets = current.filter((entry) => entry.id !== inlineSetId);
+      if (nextInlineSets.length === current.length) return prev;
+      const next = { ...(prev || {}) };
+      if (nextInlineSets.length) {
+        next[exerciseKey] = nextInlineSets;
+      } else {
+        delete next[exerciseKey];
+      }
+      return next;
+    });
+  };
+
+  const buildInlineSetPayloads = (exercise) => {
+    const exerciseKey = resolveSessionExerciseKey(exercise);
+    const bandLabel = exercise?.equipment === 'Band'
+      ? exercise?.targetBandLabel || SESSION_BAND_OPTIONS[0]?.name || null
+      : null;
+    return (inlineSetsByExerciseId[exerciseKey] || [])
+      .filter((entry) => entry.checkedAt)
+      .map((entry) => ({
+        setIndex: entry.anchorSetIndex,
+        setType: entry.setType,
+        reps: entry.reps,
+        weight: entry.weight,
+        bandLabel,
+        startedAt: entry.checkedAt,
+        completedAt: entry.checkedAt,
+      }));
   };
 
   const updateExerciseTargetWeightInRoutines = ({
@@ -1067,6 +1922,8 @@ function WorkoutPage() {
     routineExerciseId,
     equipment,
     targetWeight,
+    setIndex = null,
+    exerciseTargetWeight = targetWeight,
   }) => {
     const numericRoutineId = Number(routineId);
     const numericExerciseId = Number(exerciseId);
@@ -1092,9 +1949,26 @@ function WorkoutPage() {
       const nextExercises = [...(routine.exercises || [])];
       const targetIndex = resolveTargetIndex(nextExercises);
       if (targetIndex < 0) return routine;
+      const targetSetIndex = Number(setIndex);
+      const current = nextExercises[targetIndex];
+      // Exercise-level updates move a ramping scheme as a whole, matching the server.
+      const weightDelta = roundWeight(exerciseTargetWeight) - roundWeight(current.targetWeight);
       nextExercises[targetIndex] = {
-        ...nextExercises[targetIndex],
-        targetWeight,
+        ...current,
+        targetWeight: exerciseTargetWeight,
+        ...(Array.isArray(current.setTargets)
+          ? {
+            setTargets: current.setTargets.map((target) => {
+              if (Number.isInteger(targetSetIndex) && targetSetIndex > 0) {
+                return Number(target?.setIndex) === targetSetIndex ? { ...target, targetWeight } : target;
+              }
+              if (target?.targetWeight === null || target?.targetWeight === undefined || !Number.isFinite(weightDelta)) {
+                return target;
+              }
+              return { ...target, targetWeight: roundWeight(Number(target.targetWeight) + weightDelta) };
+            }),
+          }
+          : {}),
       };
       return {
         ...routine,
@@ -1180,6 +2054,7 @@ function WorkoutPage() {
     if (!numericRoutineId || !numericExerciseId) return;
     const setsByIndex = new Map();
     (sets || []).forEach((set) => {
+      if (isInlineSetType(set?.setType)) return;
       const reps = Number(set?.reps);
       const setIndex = Number(set?.setIndex);
       if (!Number.isInteger(reps) || reps <= 0 || !Number.isInteger(setIndex) || setIndex <= 0) return;
@@ -1208,6 +2083,7 @@ function WorkoutPage() {
     const exercise = (activeSession.exercises || []).find(
       (entry) => resolveSessionExerciseKey(entry) === exerciseKey
     ) || sessionExercises.find((entry) => resolveSessionExerciseKey(entry) === exerciseKey);
+    if (isSubstitutedSessionExercise(exercise)) return;
     const baseSets = exercise?.sets || [];
     const nextSets = baseSets
       .filter((entry) => entry.id !== deletedSetId)
@@ -1221,6 +2097,38 @@ function WorkoutPage() {
       sets: nextSets,
       currentTargetReps: exercise?.targetReps,
     });
+    if (exerciseUsesSetTargetWeights(exercise)) {
+      stageSetTargetWeightsFromSets(exercise, nextSets);
+    }
+  };
+
+  // Ramping schemes keep a weight per set, so a set logged at a different weight updates just
+  // that set of the routine when the workout ends.
+  const stageSetTargetWeightsFromSets = (exercise, sets = []) => {
+    const routineId = Number(activeSession?.routineId);
+    const exerciseId = Number(exercise?.exerciseId);
+    const equipment = String(exercise?.equipment || '').trim() || null;
+    if (!routineId || !exerciseId || !equipment || !isWeightedTargetEditable(exercise)) return;
+    const routineExerciseId = normalizeRoutineExerciseId(exercise.routineExerciseId);
+    (sets || []).forEach((set) => {
+      if (isInlineSetType(set?.setType)) return;
+      const setIndex = Number(set?.setIndex);
+      const weight = roundWeight(set?.weight);
+      if (!Number.isInteger(setIndex) || setIndex <= 0 || !Number.isFinite(weight) || weight <= 0) return;
+      const key = `${buildRoutineTargetRepsKey(routineId, exerciseId, routineExerciseId)}:${setIndex}`;
+      if (roundWeight(resolveSetTargetWeightValue(exercise, setIndex)) === weight) {
+        delete pendingSetTargetWeightsByKeyRef.current[key];
+        return;
+      }
+      pendingSetTargetWeightsByKeyRef.current[key] = {
+        routineId,
+        exerciseId,
+        routineExerciseId,
+        equipment,
+        setIndex,
+        targetWeight: weight,
+      };
+    });
   };
 
   const enqueueTargetWeightSave = (key, task) => {
@@ -1338,9 +2246,51 @@ function WorkoutPage() {
     return true;
   };
 
+  const persistPendingSetTargetWeightsForWorkoutEnd = async () => {
+    const pendingTargets = Object.values(pendingSetTargetWeightsByKeyRef.current || {});
+    for (const pending of pendingTargets) {
+      try {
+        const data = await apiFetch(
+          `/api/routines/${pending.routineId}/exercises/${pending.exerciseId}/target`,
+          {
+            method: 'PUT',
+            body: JSON.stringify({
+              routineExerciseId: pending.routineExerciseId || null,
+              equipment: pending.equipment,
+              setIndex: pending.setIndex,
+              targetWeight: pending.targetWeight,
+            }),
+          }
+        );
+        const persistedWeight = roundWeight(data?.target?.targetWeight ?? pending.targetWeight);
+        if (Number.isFinite(persistedWeight)) {
+          updateExerciseTargetWeightInRoutines({
+            routineId: pending.routineId,
+            exerciseId: pending.exerciseId,
+            routineExerciseId: pending.routineExerciseId,
+            equipment: pending.equipment,
+            setIndex: pending.setIndex,
+            targetWeight: persistedWeight,
+            exerciseTargetWeight: roundWeight(data?.target?.exerciseTargetWeight ?? persistedWeight),
+          });
+        }
+        delete pendingSetTargetWeightsByKeyRef.current[
+          buildRoutineTargetRepsKey(pending.routineId, pending.exerciseId, pending.routineExerciseId)
+          + `:${pending.setIndex}`
+        ];
+      } catch (err) {
+        setError(err.message);
+        return false;
+      }
+    }
+    return true;
+  };
+
   const persistPendingRoutineTargetsForWorkoutEnd = async () => {
     const repsSaved = await persistPendingTargetRepsForWorkoutEnd();
     if (!repsSaved) return false;
+    const setWeightsSaved = await persistPendingSetTargetWeightsForWorkoutEnd();
+    if (!setWeightsSaved) return false;
     for (const exercise of sessionExercises) {
       const saved = await persistPendingTargetWeightForExercise(exercise);
       if (!saved) return false;
@@ -1410,7 +2360,6 @@ function WorkoutPage() {
   const handleAdjustNextTargetWeight = (exercise, direction) => {
     const context = resolveTargetWeightControlContext(exercise);
     if (!context) return;
-    const step = resolveWeightStepForEquipment(context.equipment);
     const currentWeight = roundWeight(
       targetWeightOptimisticByKeyRef.current[context.key] ?? exercise.targetWeight
     );
@@ -1418,7 +2367,7 @@ function WorkoutPage() {
     const nextWeight = roundWeight(
       Math.max(
         TARGET_WEIGHT_MIN,
-        currentWeight + (Number(direction) < 0 ? -step : step)
+        resolveNextLoadableWeight(currentWeight, direction, context.equipment, equipmentInventory)
       )
     );
     if (!Number.isFinite(nextWeight)) return;
@@ -1511,11 +2460,89 @@ function WorkoutPage() {
     exerciseCelebrationTimersRef.current.set(key, timer);
   };
 
+  // The server reports the records a saved set raised; flag its checklist row and say so up top,
+  // since the row itself is usually off screen once the exercise is finished.
+  const celebratePersonalRecords = (set, records) => {
+    if (!set || !records?.length) return;
+    const exerciseKey = set.sessionExerciseKey
+      || buildSessionExerciseKey(set.exerciseId, set.routineExerciseId);
+    const exerciseName = (activeSession?.exercises || []).find(
+      (exercise) => resolveSessionExerciseKey(exercise) === exerciseKey
+    )?.name || null;
+    setPersonalRecordsBySetKey((prev) => mergePersonalRecordsBySetKey(
+      prev,
+      `${exerciseKey}:${set.setIndex}`,
+      records
+    ));
+    setPersonalRecordNotice({
+      exerciseName,
+      labels: records.map(formatPersonalRecordLabel).filter(Boolean),
+    });
+    triggerSetCelebration(exerciseKey, set.setIndex);
+  };
+
+  const stopRestTimer = () => {
+    setRestTimer(null);
+    void cancelRestNotification();
+  };
+
+  const startRestTimerAfterSet = (exerciseKey, setIndex, checklistOverridesByExerciseId = {}) => {
+    const exercise = sessionExercises.find((item) => resolveSessionExerciseKey(item) === exerciseKey);
+    if (!exercise) return;
+    const partner = supersetPartnerByExerciseId.get(exerciseKey) || null;
+    const durationSeconds = resolveRestTimerDurationSeconds({
+      exercise,
+      partner,
+      setIndex,
+      isSetChecked: (pairedExercise, pairedSetIndex) => {
+        const pairedKey = resolveSessionExerciseKey(pairedExercise);
+        const rows = buildChecklistRows(
+          pairedExercise,
+          checklistOverridesByExerciseId[pairedKey] || setChecklistByExerciseId[pairedKey] || {}
+        );
+        return Boolean(rows.find((row) => row.setIndex === pairedSetIndex)?.checked);
+      },
+    });
+    if (!durationSeconds) return;
+    const timer = createRestTimer({
+      exerciseKey,
+      exerciseName: partner ? `${partner.name} + ${exercise.name}` : exercise.name,
+      setIndex,
+      durationSeconds,
+    });
+    requestRestNotificationPermission();
+    setRestTimer(timer);
+    void scheduleRestNotification(timer);
+  };
+
+  const stopRestTimerForSet = (exerciseKey, setIndex) => {
+    if (!restTimer || restTimer.setIndex !== setIndex) return;
+    const partner = supersetPartnerByExerciseId.get(exerciseKey) || null;
+    const partnerKey = partner ? resolveSessionExerciseKey(partner) : null;
+    if (restTimer.exerciseKey !== exerciseKey && restTimer.exerciseKey !== partnerKey) return;
+    stopRestTimer();
+  };
+
+  const handleAdjustRestTimer = (deltaSeconds) => {
+    if (!restTimer) return;
+    const nextTimer = extendRestTimer(restTimer, deltaSeconds);
+    if (!nextTimer || resolveRestTimerRemainingSeconds(nextTimer) <= 0) {
+      stopRestTimer();
+      return;
+    }
+    setRestTimer(nextTimer);
+    void scheduleRestNotification(nextTimer);
+  };
+
   const handleToggleSetChecklist = (
     exerciseId,
     setIndex,
     routineExerciseId = null,
-    { setRepsOverridesByExerciseId = {}, currentlyChecked = null } = {}
+    {
+      setRepsOverridesByExerciseId = {},
+      setSidesOverridesByExerciseId = {},
+      currentlyChecked = null,
+    } = {}
   ) => {
     if (
       exerciseId === WARMUP_STEP_ID
@@ -1538,6 +2565,11 @@ function WorkoutPage() {
     const checklistOverridesByExerciseId = {
       [exerciseKey]: currentChecklist,
     };
+    if (isChecked) {
+      stopRestTimerForSet(exerciseKey, setIndex);
+    } else {
+      startRestTimerAfterSet(exerciseKey, setIndex, checklistOverridesByExerciseId);
+    }
     setSetChecklistByExerciseId((prev) => ({
       ...(prev || {}),
       [exerciseKey]: currentChecklist,
@@ -1573,7 +2605,11 @@ function WorkoutPage() {
       const partnerAllSetsDone = partnerRows.length > 0 && partnerRows.every((row) => row.checked);
       if (!partnerAllSetsDone) return;
     }
-    void handleFinishExercise({ checklistOverridesByExerciseId, setRepsOverridesByExerciseId });
+    void handleFinishExercise({
+      checklistOverridesByExerciseId,
+      setRepsOverridesByExerciseId,
+      setSidesOverridesByExerciseId,
+    });
   };
 
   const handleCompleteWarmupStep = async () => {
@@ -1604,7 +2640,11 @@ function WorkoutPage() {
     setSessionMode('workout');
   };
 
-  const handleFinishExercise = async ({ checklistOverridesByExerciseId = {}, setRepsOverridesByExerciseId = {} } = {}) => {
+  const handleFinishExercise = async ({
+    checklistOverridesByExerciseId = {},
+    setRepsOverridesByExerciseId = {},
+    setSidesOverridesByExerciseId = {},
+  } = {}) => {
     if (!activeSession || !currentExercise) return;
     if (currentExercise.exerciseId === WARMUP_STEP_ID) {
       const done = await handleCompleteWarmupStep();
@@ -1681,22 +2721,28 @@ function WorkoutPage() {
         includeUnchecked: !isCurrentExerciseCompleted && !hasRevisitedCompletedChecklist,
       });
 
-      for (const payload of missingSetPayloads) {
-        const reps = resolveSelectedSetReps(
-          currentExerciseKey,
-          payload.setIndex,
-          payload.reps,
-          setRepsOverridesByExerciseId
+      const currentSetPayloads = buildSetPersistOrder(
+        missingSetPayloads,
+        buildInlineSetPayloads(currentExercise)
+      );
+      for (const payload of currentSetPayloads) {
+        const metrics = resolveSetPayloadMetrics(
+          currentExercise,
+          payload,
+          setRepsOverridesByExerciseId,
+          setSidesOverridesByExerciseId
         );
-        if (!Number.isInteger(reps) || reps <= 0) return;
+        if (!metrics) return;
         const saved = await handleAddSet(
           currentExercise.exerciseId,
           currentExercise.routineExerciseId || null,
-          reps,
+          metrics,
           payload.weight,
           payload.bandLabel,
           payload.startedAt,
-          payload.completedAt
+          payload.completedAt,
+          payload.inline ? null : resolveSelectedSetRpe(currentExerciseKey, payload.setIndex),
+          payload.setType
         );
         if (!saved) return;
       }
@@ -1716,6 +2762,9 @@ function WorkoutPage() {
       );
       clearLocalChecklistForExercise(currentExerciseKey);
       clearLocalSetRepsForExercise(currentExerciseKey);
+      clearLocalSetRpeForExercise(currentExerciseKey);
+      clearLocalSetSidesForExercise(currentExerciseKey);
+      clearLocalInlineSetsForExercise(currentExerciseKey);
 
       if (shouldCompleteSupersetPairInline && currentSupersetPair) {
         const partnerFinishedAt = new Date().toISOString();
@@ -1736,22 +2785,28 @@ function WorkoutPage() {
           includeUnchecked: !isPartnerExerciseCompleted && !hasRevisitedPartnerChecklist,
         });
 
-        for (const payload of partnerMissingSetPayloads) {
-          const reps = resolveSelectedSetReps(
-            partnerExerciseKey,
-            payload.setIndex,
-            payload.reps,
-            setRepsOverridesByExerciseId
+        const partnerSetPayloads = buildSetPersistOrder(
+          partnerMissingSetPayloads,
+          buildInlineSetPayloads(currentSupersetPair)
+        );
+        for (const payload of partnerSetPayloads) {
+          const metrics = resolveSetPayloadMetrics(
+            currentSupersetPair,
+            payload,
+            setRepsOverridesByExerciseId,
+            setSidesOverridesByExerciseId
           );
-          if (!Number.isInteger(reps) || reps <= 0) return;
+          if (!metrics) return;
           const saved = await handleAddSet(
             currentSupersetPair.exerciseId,
             currentSupersetPair.routineExerciseId || null,
-            reps,
+            metrics,
             payload.weight,
             payload.bandLabel,
             payload.startedAt,
-            payload.completedAt
+            payload.completedAt,
+            payload.inline ? null : resolveSelectedSetRpe(partnerExerciseKey, payload.setIndex),
+            payload.setType
           );
           if (!saved) return;
         }
@@ -1773,6 +2828,9 @@ function WorkoutPage() {
         );
         clearLocalChecklistForExercise(partnerExerciseKey);
         clearLocalSetRepsForExercise(partnerExerciseKey);
+        clearLocalSetRpeForExercise(partnerExerciseKey);
+        clearLocalSetSidesForExercise(partnerExerciseKey);
+        clearLocalInlineSetsForExercise(partnerExerciseKey);
       }
 
       if (nextExercise) {
@@ -1785,6 +2843,8 @@ function WorkoutPage() {
         return;
       }
 
+      // Freestyle workouts keep going until the user ends them; the next exercise gets added ad hoc.
+      if (isFreestyleSession) return;
       await handleEndSession(true);
     } finally {
       finishExerciseInFlightRef.current = false;
@@ -1821,21 +2881,23 @@ function WorkoutPage() {
         defaultBandLabel: SESSION_BAND_OPTIONS[0]?.name || null,
         includeUnchecked: false,
       }).filter((payload) => currentCheckedSetIndexes.has(payload.setIndex));
-      for (const payload of currentMissingSetPayloads) {
-        const reps = resolveSelectedSetReps(
-          currentExerciseKey,
-          payload.setIndex,
-          payload.reps
-        );
-        if (!Number.isInteger(reps) || reps <= 0) return;
+      const currentSetPayloads = buildSetPersistOrder(
+        currentMissingSetPayloads,
+        buildInlineSetPayloads(currentExercise)
+      );
+      for (const payload of currentSetPayloads) {
+        const metrics = resolveSetPayloadMetrics(currentExercise, payload);
+        if (!metrics) return;
         const saved = await handleAddSet(
           currentExercise.exerciseId,
           currentExercise.routineExerciseId || null,
-          reps,
+          metrics,
           payload.weight,
           payload.bandLabel,
           payload.startedAt,
-          payload.completedAt
+          payload.completedAt,
+          payload.inline ? null : resolveSelectedSetRpe(currentExerciseKey, payload.setIndex),
+          payload.setType
         );
         if (!saved) return;
       }
@@ -1858,6 +2920,9 @@ function WorkoutPage() {
       );
       clearLocalChecklistForExercise(currentExerciseKey);
       clearLocalSetRepsForExercise(currentExerciseKey);
+      clearLocalSetRpeForExercise(currentExerciseKey);
+      clearLocalSetSidesForExercise(currentExerciseKey);
+      clearLocalInlineSetsForExercise(currentExerciseKey);
       if (shouldSkipSupersetPair && currentSupersetPair) {
         const partnerExerciseKey = resolveSessionExerciseKey(currentSupersetPair);
         const partnerChecklist = setChecklistByExerciseId[partnerExerciseKey] || {};
@@ -1876,21 +2941,23 @@ function WorkoutPage() {
           defaultBandLabel: SESSION_BAND_OPTIONS[0]?.name || null,
           includeUnchecked: false,
         }).filter((payload) => partnerCheckedSetIndexes.has(payload.setIndex));
-        for (const payload of partnerMissingSetPayloads) {
-          const reps = resolveSelectedSetReps(
-            partnerExerciseKey,
-            payload.setIndex,
-            payload.reps
-          );
-          if (!Number.isInteger(reps) || reps <= 0) return;
+        const partnerSetPayloads = buildSetPersistOrder(
+          partnerMissingSetPayloads,
+          buildInlineSetPayloads(currentSupersetPair)
+        );
+        for (const payload of partnerSetPayloads) {
+          const metrics = resolveSetPayloadMetrics(currentSupersetPair, payload);
+          if (!metrics) return;
           const saved = await handleAddSet(
             currentSupersetPair.exerciseId,
             currentSupersetPair.routineExerciseId || null,
-            reps,
+            metrics,
             payload.weight,
             payload.bandLabel,
             payload.startedAt,
-            payload.completedAt
+            payload.completedAt,
+            payload.inline ? null : resolveSelectedSetRpe(partnerExerciseKey, payload.setIndex),
+            payload.setType
           );
           if (!saved) return;
         }
@@ -1911,6 +2978,9 @@ function WorkoutPage() {
         );
         clearLocalChecklistForExercise(partnerExerciseKey);
         clearLocalSetRepsForExercise(partnerExerciseKey);
+        clearLocalSetRpeForExercise(partnerExerciseKey);
+        clearLocalSetSidesForExercise(partnerExerciseKey);
+        clearLocalInlineSetsForExercise(partnerExerciseKey);
       }
       if (nextExercise) {
         const started = await handleStartExercise(
@@ -1921,6 +2991,7 @@ function WorkoutPage() {
         setCurrentExerciseId(resolveSessionExerciseKey(nextExercise));
         return;
       }
+      if (isFreestyleSession) return;
       await handleEndSession(true);
     } finally {
       skipExerciseInFlightRef.current = false;
@@ -1931,11 +3002,13 @@ function WorkoutPage() {
   const handleAddSet = async (
     exerciseId,
     routineExerciseId = null,
-    reps,
+    metrics,
     weight,
     bandLabel = null,
     startedAt = null,
-    completedAt = null
+    completedAt = null,
+    rpe = null,
+    setType = 'working'
   ) => {
     if (!activeSession) return;
     setError(null);
@@ -1945,8 +3018,10 @@ function WorkoutPage() {
         body: JSON.stringify({
           exerciseId,
           routineExerciseId,
-          reps,
+          ...metrics,
           weight,
+          rpe,
+          setType,
           bandLabel,
           startedAt,
           completedAt,
@@ -1995,6 +3070,7 @@ function WorkoutPage() {
         return mergeExerciseProgressIntoSession(merged, data.exerciseProgress || null);
       });
       setRecentlyDeletedSet(null);
+      celebratePersonalRecords(data.set, data.personalRecords);
       return data;
     } catch (err) {
       setError(err.message);
@@ -2002,13 +3078,13 @@ function WorkoutPage() {
     }
   };
 
-  const handleUpdateSet = async (setId, reps, weight, bandLabel = null) => {
+  const handleUpdateSet = async (setId, changes) => {
     if (!activeSession) return;
     setError(null);
     try {
       const data = await apiFetch(`/api/sets/${setId}`, {
         method: 'PUT',
-        body: JSON.stringify({ reps, weight, bandLabel }),
+        body: JSON.stringify(changes),
       });
       stageExerciseTargetRepsWithSet(data.set);
       setActiveSession((prev) => {
@@ -2021,6 +3097,7 @@ function WorkoutPage() {
         }));
         return { ...prev, exercises: nextExercises };
       });
+      celebratePersonalRecords(data.set, data.personalRecords);
     } catch (err) {
       setError(err.message);
     }
@@ -2072,11 +3149,13 @@ function WorkoutPage() {
     await handleAddSet(
       payload.exerciseId,
       payload.routineExerciseId || null,
-      payload.set.reps,
+      pickSetMetricFields(payload.set),
       payload.set.weight,
       payload.set.bandLabel || null,
       payload.set.startedAt || null,
-      payload.set.completedAt || payload.set.createdAt || null
+      payload.set.completedAt || payload.set.createdAt || null,
+      payload.set.rpe ?? null,
+      payload.set.setType || 'working'
     );
   };
 
@@ -2211,6 +3290,7 @@ function WorkoutPage() {
   );
   const shouldPrimaryActionFinishWorkout = (
     sessionMode === 'workout'
+    && !isFreestyleSession
     && currentExercise
     && !currentIsCompleted
     && !nextPendingExerciseAfterPrimaryAction
@@ -2246,6 +3326,8 @@ function WorkoutPage() {
   };
   const resolveTargetWeightControlModel = (exercise) => {
     if (!activeSession || !isWeightedTargetEditable(exercise)) return null;
+    // Percentage sets take their weight from the training max, not the routine's target weight.
+    if (exerciseUsesTargetPercent(exercise)) return null;
     const key = buildTargetWeightControlKey(
       activeSession.routineId,
       exercise.exerciseId,
@@ -2269,13 +3351,17 @@ function WorkoutPage() {
     } = {}
   ) => {
     const displayWeight = resolveExerciseWorkoutTargetWeight(exercise);
+    const targetMetricLabel = formatSetMetricValue(
+      resolveTargetMetricValue(exercise),
+      exercise.measurementMode
+    );
     return (
       <>
         {Number.isFinite(displayWeight)
           ? <span className="badge">{formatNumber(displayWeight)} kg</span>
           : null}
         {includeSets && exercise.targetSets ? <span className="badge">{exercise.targetSets} sets</span> : null}
-        {exercise.targetReps ? <span className="badge">{exercise.targetReps} reps</span> : null}
+        {targetMetricLabel ? <span className="badge">{targetMetricLabel}</span> : null}
         {exercise.targetBandLabel ? <span className="badge">{exercise.targetBandLabel}</span> : null}
         {includeRest && exercise.targetRestSeconds ? <span className="badge">Rest {formatRestTime(exercise.targetRestSeconds)}</span> : null}
         {showSupersetBadge ? <span className="badge badge-superset">Superset</span> : null}
@@ -2558,6 +3644,10 @@ function WorkoutPage() {
         ) : null}
       </AnimatePresence>
 
+      {!loading && !activeSession ? (
+        <AutoClosedSessionNotice sessions={autoClosedSessions} onReview={handleReviewAutoClosedSession} />
+      ) : null}
+
       <AnimatePresence mode="wait" initial={false}>
         {loading ? (
           <motion.div
@@ -2590,7 +3680,7 @@ function WorkoutPage() {
                   Started {formatDateTime(activeSession.startedAt)}
                 </div>
               </div>
-              <div className="tag">Active</div>
+              <div className="tag">{activeSession.pausedAt ? 'Paused' : 'Active'}</div>
             </div>
             <div style={{ marginTop: '0.8rem', marginBottom: '0.8rem' }}>
               <label>Workout notes</label>
@@ -2615,6 +3705,72 @@ function WorkoutPage() {
             </div>
           ) : null}
 
+          {sessionMode === 'workout' ? (
+            <PersonalRecordNotice notice={personalRecordNotice} onDismiss={() => setPersonalRecordNotice(null)} />
+          ) : null}
+
+          {sessionMode === 'workout' && activeSession.pausedAt ? (
+            <div className="card workout-paused-card" role="status">
+              <div>
+                <div className="section-title">Workout paused</div>
+                <div className="muted">
+                  {formatDurationSeconds(resolveSessionActiveSeconds(activeSession))} active · paused at{' '}
+                  {formatDateTime(activeSession.pausedAt)}
+                </div>
+              </div>
+              <button className="button" type="button" onClick={handleTogglePauseSession}>
+                <FaPlay aria-hidden="true" />
+                Resume workout
+              </button>
+            </div>
+          ) : null}
+
+          <AnimatePresence initial={false}>
+            {sessionMode === 'workout' && restTimer ? (
+              <motion.div
+                key="workout-rest-timer"
+                className="card rest-timer-card"
+                role="timer"
+                aria-live="off"
+                aria-label="Rest timer"
+                variants={motionConfig.variants.fadeUp}
+                initial="hidden"
+                animate="visible"
+                exit="exit"
+              >
+                <div className="rest-timer-summary">
+                  <div className="muted stats-kpi-label">
+                    Rest{restTimer.exerciseName ? ` · ${restTimer.exerciseName}` : ''}
+                  </div>
+                  <div className="rest-timer-countdown">
+                    {formatDurationSeconds(resolveRestTimerRemainingSeconds(restTimer, restTimerNowMs))}
+                  </div>
+                </div>
+                <div className="rest-timer-actions">
+                  <button
+                    className="button ghost"
+                    type="button"
+                    aria-label={`Shorten rest by ${REST_TIMER_ADJUST_SECONDS} seconds`}
+                    onClick={() => handleAdjustRestTimer(-REST_TIMER_ADJUST_SECONDS)}
+                  >
+                    −{REST_TIMER_ADJUST_SECONDS}s
+                  </button>
+                  <button
+                    className="button ghost"
+                    type="button"
+                    aria-label={`Extend rest by ${REST_TIMER_ADJUST_SECONDS} seconds`}
+                    onClick={() => handleAdjustRestTimer(REST_TIMER_ADJUST_SECONDS)}
+                  >
+                    +{REST_TIMER_ADJUST_SECONDS}s
+                  </button>
+                  <button className="button secondary" type="button" onClick={stopRestTimer}>
+                    Skip rest
+                  </button>
+                </div>
+              </motion.div>
+            ) : null}
+          </AnimatePresence>
+
           <AnimatePresence mode="wait" initial={false}>
             {sessionMode === 'preview' ? (
               <motion.div
@@ -2659,6 +3815,12 @@ function WorkoutPage() {
                   const targetWeightStatusLabel = resolveTargetWeightSaveStatusLabel(
                     targetWeightControl?.status
                   );
+                  const plateBreakdownLabel = resolvePlateBreakdownLabel(exercise);
+                  const lastPerformance = exercise.isWarmupStep
+                    ? null
+                    : lastPerformanceByKey[resolveSessionExerciseKey(exercise)] || null;
+                  const lastPerformanceSetItems = buildLastPerformanceSetItems(lastPerformance?.lastSession, exercise);
+                  const bestSetLabel = formatBestSetLabel(lastPerformance?.bestSet, exercise);
                   return (
                     <div
                       key={`guided-workout-card-${resolveSessionExerciseKey(exercise)}`}
@@ -2703,6 +3865,17 @@ function WorkoutPage() {
                               </button>
                             </div>
                           ) : null}
+                          {isActiveCard && canSubstituteSessionExercise(exercise) ? (
+                            <button
+                              className="button ghost icon-button guided-workout-info-button"
+                              type="button"
+                              aria-label={`Swap ${exercise.name}`}
+                              title="Swap exercise"
+                              onClick={() => handleOpenSubstituteExercise(exercise)}
+                            >
+                              <FaRightLeft aria-hidden="true" />
+                            </button>
+                          ) : null}
                           {!exercise.isWarmupStep ? (
                             <button
                               className="button ghost icon-button guided-workout-info-button"
@@ -2716,9 +3889,47 @@ function WorkoutPage() {
                           ) : null}
                         </div>
                       </div>
+                      {exercise.originalExerciseId ? (
+                        <div className="muted guided-workout-substitution-note">
+                          Swapped in for {exercise.originalExerciseName || 'the planned exercise'}
+                        </div>
+                      ) : null}
                       <div className="inline">
                         {renderExerciseTargetBadges(exercise, { includeRest: true })}
                       </div>
+                      {plateBreakdownLabel ? (
+                        <div
+                          className="muted guided-plate-breakdown"
+                          aria-label={`Plate loading for ${exercise.name}`}
+                        >
+                          {plateBreakdownLabel}
+                        </div>
+                      ) : null}
+                      {lastPerformanceSetItems.length || bestSetLabel ? (
+                        <div
+                          className="guided-last-performance"
+                          aria-label={`Last performance for ${exercise.name}`}
+                        >
+                          {lastPerformanceSetItems.length ? (
+                            <>
+                              <span className="guided-last-performance-heading muted">
+                                {formatLastPerformanceHeading(lastPerformance.lastSession)}
+                              </span>
+                              <ol className="guided-last-performance-sets">
+                                {lastPerformanceSetItems.map((item) => (
+                                  <li key={item.key} className="guided-last-performance-set">
+                                    <span className="muted">{item.label}</span>
+                                    <span>{item.summary}</span>
+                                  </li>
+                                ))}
+                              </ol>
+                            </>
+                          ) : null}
+                          {bestSetLabel ? (
+                            <span className="guided-last-performance-best muted">{bestSetLabel}</span>
+                          ) : null}
+                        </div>
+                      ) : null}
                       {targetWeightControl ? (
                         <div className="guided-next-target-adjuster">
                           <span className="guided-next-target-label muted">Set new target for next workout</span>
@@ -2779,7 +3990,136 @@ function WorkoutPage() {
                         {exercise.isWarmupStep ? (
                           <div className="muted">Complete this warmup step before your first exercise.</div>
                         ) : checklistRows.length ? (
-                          checklistRows.map((row) => {
+                          interleaveInlineSetRows(
+                            checklistRows,
+                            buildInlineSetRows(
+                              exercise,
+                              inlineSetsByExerciseId[resolveSessionExerciseKey(exercise)]
+                            )
+                          ).map((row) => {
+                            if (row.inline) {
+                              const sessionExerciseKey = resolveSessionExerciseKey(exercise);
+                              const set = row.persistedSet;
+                              const setTypeLabel = formatSetTypeLabel(row.setType);
+                              const showInlineWeightInput = (
+                                exercise.equipment !== 'Bodyweight'
+                                && exercise.equipment !== 'Band'
+                              );
+                              const summary = set
+                                ? formatLoggedSetSummary(set, exercise)
+                                : '';
+                              const toggleInlineRow = () => {
+                                if (row.locked) return;
+                                handleToggleInlineSet(sessionExerciseKey, row.key, row.checked);
+                              };
+                              return (
+                                <div
+                                  key={`${sessionExerciseKey}-${row.key}`}
+                                  className={
+                                    `set-row guided-set-row set-checklist-row set-checklist-row-inline`
+                                    + ` set-checklist-row-${row.setType.replace('_', '-')}`
+                                    + `${row.checked ? ' set-checklist-row-checked' : ''}`
+                                    + `${row.locked ? ' set-checklist-row-locked' : ''}`
+                                  }
+                                  role="button"
+                                  aria-label={`Toggle ${setTypeLabel.toLowerCase()} set for ${exercise.name}`}
+                                  aria-pressed={row.checked}
+                                  aria-disabled={row.locked}
+                                  tabIndex={row.locked ? -1 : 0}
+                                  onClick={toggleInlineRow}
+                                  onKeyDown={(event) => {
+                                    if (row.locked) return;
+                                    if (event.key !== 'Enter' && event.key !== ' ') return;
+                                    event.preventDefault();
+                                    toggleInlineRow();
+                                  }}
+                                >
+                                  <span className="set-checklist-label">{setTypeLabel}</span>
+                                  <div className="guided-set-fields">
+                                    {set ? (
+                                      <span className="guided-set-summary">
+                                        {isExerciseTransitioning ? '' : summary}
+                                      </span>
+                                    ) : (
+                                      <>
+                                        <div className="input-suffix-wrap guided-set-reps-field">
+                                          <select
+                                            className="input-suffix-select guided-set-reps-select"
+                                            value={String(row.reps)}
+                                            onChange={(event) =>
+                                              handleInlineSetRepsChange(
+                                                sessionExerciseKey,
+                                                row.key,
+                                                event.target.value
+                                              )}
+                                            onClick={(event) => event.stopPropagation()}
+                                            onKeyDown={(event) => event.stopPropagation()}
+                                            aria-label={`${setTypeLabel} reps for ${exercise.name}`}
+                                          >
+                                            {TARGET_REP_MAX_OPTIONS.map((value) => (
+                                              <option key={value} value={value}>
+                                                {value}
+                                              </option>
+                                            ))}
+                                          </select>
+                                          <span className="input-suffix" aria-hidden="true">reps</span>
+                                        </div>
+                                        {showInlineWeightInput ? (
+                                          <div className="input-suffix-wrap guided-set-weight-field">
+                                            <input
+                                              className="input guided-set-weight-input"
+                                              type="number"
+                                              inputMode="decimal"
+                                              min="0"
+                                              step="0.5"
+                                              value={row.weight}
+                                              onChange={(event) =>
+                                                handleInlineSetWeightChange(
+                                                  sessionExerciseKey,
+                                                  row.key,
+                                                  event.target.value
+                                                )}
+                                              onClick={(event) => event.stopPropagation()}
+                                              onKeyDown={(event) => event.stopPropagation()}
+                                              aria-label={`${setTypeLabel} weight for ${exercise.name}`}
+                                            />
+                                            <span className="input-suffix" aria-hidden="true">kg</span>
+                                          </div>
+                                        ) : null}
+                                      </>
+                                    )}
+                                    <button
+                                      className="button ghost icon-button guided-set-remove"
+                                      type="button"
+                                      aria-label={`Remove ${setTypeLabel.toLowerCase()} set for ${exercise.name}`}
+                                      title="Remove set"
+                                      onClick={(event) => {
+                                        event.stopPropagation();
+                                        if (set) {
+                                          handleDeleteSet(set.id);
+                                        } else {
+                                          handleRemoveInlineSet(sessionExerciseKey, row.key);
+                                        }
+                                      }}
+                                      onKeyDown={(event) => event.stopPropagation()}
+                                    >
+                                      <FaXmark aria-hidden="true" />
+                                    </button>
+                                  </div>
+                                  <span
+                                    className={
+                                      `set-checklist-status`
+                                      + `${row.checked ? ' set-checklist-status-checked' : ''}`
+                                      + `${row.locked ? ' set-checklist-status-locked' : ''}`
+                                    }
+                                    aria-hidden="true"
+                                  >
+                                    {row.checked ? <FaCheck aria-hidden="true" /> : <span className="set-checklist-status-dot" />}
+                                    {row.locked ? 'Logged' : row.checked ? 'Done' : 'Queued'}
+                                  </span>
+                                </div>
+                              );
+                            }
                             const set = row.persistedSet;
                             const canEditCompletedExercise = (
                               sessionMode === 'workout'
@@ -2793,24 +4133,56 @@ function WorkoutPage() {
                               && !row.persistedSet
                             );
                             const sessionExerciseKey = resolveSessionExerciseKey(exercise);
-                            const targetReps = resolveSetTargetRepsValue(exercise, row.setIndex);
+                            const targetReps = resolveSetTargetMetricValue(exercise, row.setIndex);
                             const selectedSetReps = resolveSelectedSetReps(
                               sessionExerciseKey,
                               row.setIndex,
                               targetReps
                             );
-                            const summary = set
-                              ? (
-                                exercise.equipment === 'Bodyweight'
-                                  ? `${formatNumber(set.reps)} reps`
-                                  : exercise.equipment === 'Band'
-                                    ? `${set.bandLabel || exercise.targetBandLabel || 'Band'} × ${formatNumber(set.reps)} reps`
-                                    : `${formatNumber(set.weight)} kg × ${formatNumber(set.reps)} reps`
-                              )
+                            const summary = set ? formatLoggedSetSummary(set, exercise) : null;
+                            const showSetSideFields = (
+                              showSetRepsSelector
+                              && isUnilateralExercise(exercise)
+                              && Number.isFinite(selectedSetReps)
+                            );
+                            const showSideWeightInputs = (
+                              exercise.equipment !== 'Bodyweight'
+                              && exercise.equipment !== 'Band'
+                            );
+                            const selectedSetSides = showSetSideFields
+                              ? resolveSelectedSetSides(sessionExerciseKey, row.setIndex, {
+                                reps: selectedSetReps,
+                                weight: showSideWeightInputs
+                                  ? resolveSetTargetWeightValue(exercise, row.setIndex) || 0
+                                  : 0,
+                              })
                               : null;
+                            const showHoldControls = (
+                              sessionMode === 'workout'
+                              && resolveMeasurementMetric(exercise.measurementMode) === 'time'
+                              && !row.persistedSet
+                              && !row.checked
+                              && Number.isFinite(selectedSetReps)
+                            );
+                            const isHoldActive = Boolean(
+                              holdTimer
+                              && holdTimer.exerciseKey === sessionExerciseKey
+                              && holdTimer.setIndex === row.setIndex
+                            );
                             const rowMetaText = isExerciseTransitioning ? '' : (summary || '');
+                            const selectedSetRpe = resolveSelectedSetRpe(
+                              sessionExerciseKey,
+                              row.setIndex,
+                              set?.rpe ?? null
+                            );
                             const statusLabel = row.locked ? 'Logged' : row.checked ? 'Done' : 'Queued';
                             const setCelebrationKey = `${sessionExerciseKey}:${row.setIndex}`;
+                            const setPersonalRecordLabels = row.persistedSet
+                              ? personalRecordsBySetKey[setCelebrationKey] || null
+                              : null;
+                            const setTargetLoadLabel = set ? null : formatSetTargetLoadLabel(
+                              (exercise.setTargets || []).find((target) => Number(target.setIndex) === row.setIndex)
+                            );
                             return (
                               <div
                                 key={`${sessionExerciseKey}-${row.setIndex}`}
@@ -2836,33 +4208,170 @@ function WorkoutPage() {
                                   handleToggleSetChecklist(sessionExerciseKey, row.setIndex, null, { currentlyChecked: row.checked });
                                 }}
                               >
-                                <span className="set-checklist-label">Set {row.setIndex}</span>
-                                {showSetRepsSelector && Number.isInteger(selectedSetReps) ? (
-                                  <div className="input-suffix-wrap guided-set-reps-field">
+                                <span className="set-checklist-label">
+                                  {formatSetChipLabel(row.setIndex, row.setType)}
+                                  {setTargetLoadLabel ? (
+                                    <span className="set-checklist-target-load">{setTargetLoadLabel}</span>
+                                  ) : null}
+                                  {setPersonalRecordLabels ? (
+                                    <span className="set-checklist-record" title={setPersonalRecordLabels.join('\n')}>
+                                      PR
+                                    </span>
+                                  ) : null}
+                                </span>
+                                <div className="guided-set-fields">
+                                  {showSetSideFields ? (
+                                    <div className="guided-set-sides">
+                                      {[
+                                        ['left', 'L'],
+                                        ['right', 'R'],
+                                      ].map(([side, sideLabel]) => (
+                                        <div key={side} className="guided-set-side">
+                                          <span className="guided-set-side-label" aria-hidden="true">{sideLabel}</span>
+                                          <div className="input-suffix-wrap guided-set-reps-field">
+                                            <select
+                                              className="input-suffix-select guided-set-reps-select"
+                                              value={String(selectedSetSides[`${side}Reps`])}
+                                              onChange={(event) =>
+                                                handleSetSideChange(
+                                                  sessionExerciseKey,
+                                                  row.setIndex,
+                                                  `${side}Reps`,
+                                                  event.target.value
+                                                )}
+                                              onClick={(event) => event.stopPropagation()}
+                                              onKeyDown={(event) => event.stopPropagation()}
+                                              aria-label={`Set ${row.setIndex} ${side} reps for ${exercise.name}`}
+                                            >
+                                              {['0', ...buildSetMetricSelectOptions(
+                                                exercise.measurementMode,
+                                                selectedSetSides[`${side}Reps`] || null
+                                              )].map((value) => (
+                                                <option key={value} value={value}>
+                                                  {value}
+                                                </option>
+                                              ))}
+                                            </select>
+                                            <span className="input-suffix" aria-hidden="true">reps</span>
+                                          </div>
+                                          {showSideWeightInputs ? (
+                                            <div className="input-suffix-wrap guided-set-weight-field">
+                                              <input
+                                                className="input guided-set-weight-input"
+                                                type="number"
+                                                inputMode="decimal"
+                                                min="0"
+                                                step="0.5"
+                                                value={selectedSetSides[`${side}Weight`]}
+                                                onChange={(event) =>
+                                                  handleSetSideChange(
+                                                    sessionExerciseKey,
+                                                    row.setIndex,
+                                                    `${side}Weight`,
+                                                    event.target.value
+                                                  )}
+                                                onClick={(event) => event.stopPropagation()}
+                                                onKeyDown={(event) => event.stopPropagation()}
+                                                aria-label={`Set ${row.setIndex} ${side} weight for ${exercise.name}`}
+                                              />
+                                              <span className="input-suffix" aria-hidden="true">kg</span>
+                                            </div>
+                                          ) : null}
+                                        </div>
+                                      ))}
+                                    </div>
+                                  ) : showSetRepsSelector && Number.isFinite(selectedSetReps) ? (
+                                    <div className="input-suffix-wrap guided-set-reps-field">
+                                      <select
+                                        className="input-suffix-select guided-set-reps-select"
+                                        value={String(selectedSetReps)}
+                                        onChange={(event) =>
+                                          handleSetRepsChange(
+                                            sessionExerciseKey,
+                                            row.setIndex,
+                                            event.target.value
+                                          )}
+                                        onClick={(event) => event.stopPropagation()}
+                                        onKeyDown={(event) => event.stopPropagation()}
+                                        aria-label={`Set ${row.setIndex} ${resolveSetMetricLabel(exercise.measurementMode)} for ${exercise.name}`}
+                                      >
+                                        {buildSetMetricSelectOptions(exercise.measurementMode, selectedSetReps).map((value) => (
+                                          <option key={value} value={value}>
+                                            {value}
+                                          </option>
+                                        ))}
+                                      </select>
+                                      <span className="input-suffix" aria-hidden="true">
+                                        {resolveSetMetricUnit(exercise.measurementMode)}
+                                      </span>
+                                    </div>
+                                  ) : (
+                                    <span className="guided-set-summary">{rowMetaText}</span>
+                                  )}
+                                  {showHoldControls && isHoldActive ? (
+                                    <>
+                                      <span
+                                        className="guided-set-hold-countdown"
+                                        role="timer"
+                                        aria-label={`Hold time left for set ${row.setIndex} of ${exercise.name}`}
+                                      >
+                                        {formatDurationSeconds(resolveHoldTimerRemainingSeconds(holdTimer, holdTimerNowMs))}
+                                      </span>
+                                      <button
+                                        className="button ghost icon-button guided-set-hold"
+                                        type="button"
+                                        aria-label={`Stop hold for set ${row.setIndex} of ${exercise.name}`}
+                                        title="Stop hold and log the time held"
+                                        onClick={(event) => {
+                                          event.stopPropagation();
+                                          handleStopHold();
+                                        }}
+                                        onKeyDown={(event) => event.stopPropagation()}
+                                      >
+                                        <FaStop aria-hidden="true" />
+                                      </button>
+                                    </>
+                                  ) : showHoldControls ? (
+                                    <button
+                                      className="button ghost icon-button guided-set-hold"
+                                      type="button"
+                                      aria-label={`Start hold for set ${row.setIndex} of ${exercise.name}`}
+                                      title="Start hold countdown"
+                                      onClick={(event) => {
+                                        event.stopPropagation();
+                                        handleStartHold(exercise, row.setIndex);
+                                      }}
+                                      onKeyDown={(event) => event.stopPropagation()}
+                                    >
+                                      <FaPlay aria-hidden="true" />
+                                    </button>
+                                  ) : null}
+                                  <div className="input-suffix-wrap guided-set-rpe-field">
                                     <select
-                                      className="input-suffix-select guided-set-reps-select"
-                                      value={String(selectedSetReps)}
+                                      className="input-suffix-select guided-set-rpe-select"
+                                      value={selectedSetRpe === null ? '' : String(selectedSetRpe)}
                                       onChange={(event) =>
-                                        handleSetRepsChange(
+                                        handleSetRpeChange(
                                           sessionExerciseKey,
                                           row.setIndex,
-                                          event.target.value
+                                          event.target.value,
+                                          set
                                         )}
                                       onClick={(event) => event.stopPropagation()}
                                       onKeyDown={(event) => event.stopPropagation()}
-                                      aria-label={`Set ${row.setIndex} reps for ${exercise.name}`}
+                                      aria-label={`Set ${row.setIndex} RPE for ${exercise.name}`}
+                                      title={formatSetRpeLabel(selectedSetRpe, { includeRir: true }) || 'Rate effort (RPE)'}
                                     >
-                                      {TARGET_REP_MAX_OPTIONS.map((value) => (
+                                      <option value="">–</option>
+                                      {SET_RPE_OPTIONS.map((value) => (
                                         <option key={value} value={value}>
-                                          {value}
+                                          {formatNumber(value)}
                                         </option>
                                       ))}
                                     </select>
-                                    <span className="input-suffix" aria-hidden="true">reps</span>
+                                    <span className="input-suffix" aria-hidden="true">RPE</span>
                                   </div>
-                                ) : (
-                                  <span className="guided-set-summary">{rowMetaText}</span>
-                                )}
+                                </div>
                                 <span
                                   className={
                                     `set-checklist-status`
@@ -2880,6 +4389,24 @@ function WorkoutPage() {
                         ) : (
                           <div className="muted">No target sets configured.</div>
                         )}
+                        {!exercise.isWarmupStep
+                          && checklistRows.length > 0
+                          && sessionMode === 'workout'
+                          && resolveMeasurementMetric(exercise.measurementMode) === 'reps' ? (
+                          <div className="set-checklist-inline-actions">
+                            {INLINE_SET_TYPES.map((setType) => (
+                              <button
+                                key={setType}
+                                className="button ghost set-checklist-inline-add"
+                                type="button"
+                                aria-label={`Add ${formatSetTypeLabel(setType).toLowerCase()} set for ${exercise.name}`}
+                                onClick={() => handleAddInlineSet(exercise, setType)}
+                              >
+                                + {formatSetTypeLabel(setType)}
+                              </button>
+                            ))}
+                          </div>
+                        ) : null}
                       </div>
                     </div>
                   );
@@ -2888,6 +4415,81 @@ function WorkoutPage() {
             ) : null}
           </AnimatePresence>
 
+          {sessionMode === 'workout' && isFreestyleSession ? (
+            <div className="card freestyle-add-exercise-card">
+              {!currentExercise ? (
+                <div className="muted" style={{ marginBottom: '0.6rem' }}>
+                  Add an exercise from the catalog to start logging sets.
+                </div>
+              ) : null}
+              <button className="button secondary" type="button" onClick={handleOpenAddExercise}>
+                <FaPlus aria-hidden="true" />
+                Add exercise
+              </button>
+            </div>
+          ) : null}
+
+          <AnimatePresence>
+            {addExerciseOpen ? (
+              <AnimatedModal onClose={() => setAddExerciseOpen(false)} panelClassName="add-session-exercise-modal">
+                <div className="split modal-header">
+                  <div className="section-title" style={{ marginBottom: 0 }}>
+                    Add exercise
+                  </div>
+                  <button
+                    className="button ghost icon-button"
+                    type="button"
+                    aria-label="Close add exercise"
+                    title="Close add exercise"
+                    onClick={() => setAddExerciseOpen(false)}
+                  >
+                    <FaXmark aria-hidden="true" />
+                  </button>
+                </div>
+                <AddSessionExerciseForm
+                  exercises={exerciseCatalog || []}
+                  excludedExerciseIds={previewExercises.map((exercise) => exercise.exerciseId)}
+                  loading={!exerciseCatalog}
+                  saving={addExerciseSaving}
+                  onSubmit={handleAddSessionExercise}
+                  onCancel={() => setAddExerciseOpen(false)}
+                />
+              </AnimatedModal>
+            ) : null}
+          </AnimatePresence>
+
+          <AnimatePresence>
+            {substituteExercise ? (
+              <AnimatedModal onClose={() => setSubstituteExercise(null)} panelClassName="substitute-exercise-modal">
+                <div className="split modal-header">
+                  <div className="section-title" style={{ marginBottom: 0 }}>
+                    Swap {substituteExercise.name}
+                  </div>
+                  <button
+                    className="button ghost icon-button"
+                    type="button"
+                    aria-label="Close swap exercise"
+                    title="Close swap exercise"
+                    onClick={() => setSubstituteExercise(null)}
+                  >
+                    <FaXmark aria-hidden="true" />
+                  </button>
+                </div>
+                <SubstituteExercisePicker
+                  exercise={substituteExercise}
+                  alternatives={substituteAlternatives || []}
+                  catalog={(exerciseCatalog || []).filter((exercise) => (
+                    !previewExercises.some((entry) => Number(entry.exerciseId) === Number(exercise.id))
+                  ))}
+                  loading={substituteAlternatives === null}
+                  saving={substituteSaving}
+                  onSelect={handleSubstituteExercise}
+                  onCancel={() => setSubstituteExercise(null)}
+                />
+              </AnimatedModal>
+            ) : null}
+          </AnimatePresence>
+
           <AnimatePresence initial={false}>
             {recentlyDeletedSet ? (
               <motion.div
@@ -2948,6 +4550,12 @@ function WorkoutPage() {
                   Skip exercise
                 </button>
               ) : null}
+              {sessionMode === 'workout' && !activeSession.pausedAt ? (
+                <button className="button ghost" type="button" onClick={handleTogglePauseSession}>
+                  <FaPause aria-hidden="true" />
+                  Pause workout
+                </button>
+              ) : null}
               <button
                 className="button ghost"
                 type="button"
@@ -3052,9 +4660,27 @@ function WorkoutPage() {
           <div className="start-workout-routine-list">
             <StartWorkoutRoutineList
               routines={startWorkoutRoutines}
+              programs={programs}
+              scheduleRecommendation={scheduleRecommendation}
               onStartSession={handleStartSession}
             />
           </div>
+          <button
+            className="button ghost start-workout-freestyle-button"
+            type="button"
+            onClick={handleStartFreestyleSession}
+          >
+            <FaPlus aria-hidden="true" />
+            Start freestyle workout
+          </button>
+          <button
+            className="button ghost start-workout-past-button"
+            type="button"
+            onClick={handleOpenPastWorkout}
+          >
+            <FaClockRotateLeft aria-hidden="true" />
+            Log past workout
+          </button>
         </motion.div>
       )}
       </AnimatePresence>
@@ -3135,6 +4761,35 @@ function WorkoutPage() {
               <div className="muted">No workouts logged yet.</div>
             )}
           </div>
+          <AnimatePresence>
+            {pastWorkoutOpen ? (
+              <AnimatedModal onClose={() => setPastWorkoutOpen(false)} panelClassName="past-workout-modal">
+                <div className="split modal-header">
+                  <div className="section-title" style={{ marginBottom: 0 }}>
+                    Log past workout
+                  </div>
+                  <button
+                    className="button ghost icon-button"
+                    type="button"
+                    aria-label="Close log past workout"
+                    title="Close log past workout"
+                    onClick={() => setPastWorkoutOpen(false)}
+                  >
+                    <FaXmark aria-hidden="true" />
+                  </button>
+                </div>
+                <PastWorkoutForm
+                  routines={routines}
+                  programs={programs}
+                  exercises={exerciseCatalog || []}
+                  loading={!exerciseCatalog}
+                  saving={pastWorkoutSaving}
+                  onSubmit={handleLogPastWorkout}
+                  onCancel={() => setPastWorkoutOpen(false)}
+                />
+              </AnimatedModal>
+            ) : null}
+          </AnimatePresence>
           <AnimatePresence>
             {sessionDetailLoading || sessionDetail ? (
               <AnimatedModal onClose={closeSessionDetail} panelClassName="routine-modal">
@@ -3167,6 +4822,24 @@ function WorkoutPage() {
                         {sessionDetailSummary.routineName || 'Workout'}
                       </div>
                       <div className="muted">{formatDateTime(sessionDetailSummary.startedAt)}</div>
+                      {sessionDetailSummary.routineId && sessionDetailSummary.routineVersion ? (
+                        <button
+                          className="button ghost session-detail-routine-version"
+                          type="button"
+                          onClick={() => navigate(
+                            `/routines?history=${sessionDetailSummary.routineId}&version=${sessionDetailSummary.routineVersion.id}`
+                          )}
+                        >
+                          {`Routine version ${sessionDetailSummary.routineVersion.versionNumber}`}
+                        </button>
+                      ) : null}
+                      <button
+                        className="button ghost session-detail-print"
+                        type="button"
+                        onClick={() => navigate(`/workout/sessions/${sessionDetailSummary.id}/print`)}
+                      >
+                        Print workout
+                      </button>
                       {sessionDetailSummary.notes ? (
                         <div className="muted">Notes: {sessionDetailSummary.notes}</div>
                       ) : null}
@@ -3199,6 +4872,10 @@ function WorkoutPage() {
                         <div className="section-title">{formatNumber(sessionDetailAggregateMetrics.totalVolume || 0)} kg</div>
                       </div>
                     </div>
+                    <SessionProgressionSummary
+                      progressions={sessionDetailSummary.progressions}
+                      onChangeStatus={handleChangeSessionProgression}
+                    />
                     <div className="stack">
                       {buildWorkoutPreviewBlocks(sessionDetailSummary.exercises || []).map((block) => {
                         const blockExercises = (sessionDetailSummary.exercises || []).slice(block.startIndex, block.endIndex + 1);
@@ -3214,6 +4891,9 @@ function WorkoutPage() {
                           });
                           const detailSetRows = buildSessionDetailSetRows(exercise, { exerciseState });
                           const setCount = detailSetRows.length;
+                          const showRpeColumn = detailSetRows.some((row) => (
+                            row.kind === 'logged' && formatSetRpeLabel(row.set?.rpe)
+                          ));
                           const exerciseStateLabel = formatSessionDetailExerciseStateLabel(exerciseState);
 
                           return (
@@ -3222,6 +4902,11 @@ function WorkoutPage() {
                                 <div className="section-title session-detail-exercise-title" style={{ fontSize: '1rem' }}>
                                   {exercise.name}
                                   {showDuration && exercise.durationSeconds ? ` · ${formatDurationSeconds(exercise.durationSeconds)}` : ''}
+                                  {exercise.originalExerciseName ? (
+                                    <span className="muted session-detail-substitution-note">
+                                      Swapped in for {exercise.originalExerciseName}
+                                    </span>
+                                  ) : null}
                                 </div>
                                 {setCount > 0 ? (
                                   <button
@@ -3255,7 +4940,8 @@ function WorkoutPage() {
                                         <tr>
                                           <th scope="col">Set</th>
                                           <th scope="col">Weight</th>
-                                          <th scope="col">Reps</th>
+                                          <th scope="col">{resolveSetMetricHeading(exercise.measurementMode)}</th>
+                                          {showRpeColumn ? <th scope="col">RPE</th> : null}
                                         </tr>
                                       </thead>
                                       <tbody>
@@ -3269,29 +4955,19 @@ function WorkoutPage() {
                                             className={`session-detail-set-row${row.kind === 'skipped' ? ' session-detail-set-row-skipped' : ''}`}
                                           >
                                             <td>
-                                              <span className="set-chip">Set {row.setIndex}</span>
-                                            </td>
-                                            <td>
-                                              {row.kind === 'skipped'
-                                                ? '—'
-                                                : row.kind === 'completed_unlogged'
-                                                  ? resolveSessionDetailPlaceholderWeight(exercise)
-                                                : row.set?.bandLabel
-                                                  ? row.set.bandLabel
-                                                  : Number(row.set?.weight) === 0
-                                                    ? 'Bodyweight'
-                                                    : `${formatNumber(row.set?.weight)} kg`}
-                                            </td>
-                                            <td>
-                                              {row.kind === 'skipped'
-                                                ? 'Skipped'
-                                                : row.kind === 'completed_unlogged'
-                                                  ? resolveSessionDetailPlaceholderReps(exercise)
-                                                : `${formatNumber(row.set?.reps)} reps`}
-                                              {row.kind === 'logged' && row.set?.durationSeconds
-                                                ? ` · ${formatDurationSeconds(row.set.durationSeconds)}`
-                                                : ''}
+                                              <span className="set-chip">
+                                                {formatSetChipLabel(row.setIndex, row.set?.setType)}
+                                              </span>
                                             </td>
+                                            <td>{formatSessionDetailSetWeight(row, exercise)}</td>
+                                            <td>{formatSessionDetailSetMetric(row, exercise)}</td>
+                                            {showRpeColumn ? (
+                                              <td>
+                                                {row.kind === 'logged' && formatSetRpeLabel(row.set?.rpe)
+                                                  ? formatNumber(row.set.rpe)
+                                                  : '—'}
+                                              </td>
+                                            ) : null}
                                           </tr>
                                         ))}
                                       </tbody>
@@ -5,6 +5,12 @@ function toIso(value) {
   return date.toISOString();
 }
 
+const INLINE_SET_TYPES = new Set(['warmup', 'drop']);
+
+export function isInlineSetType(setType) {
+  return INLINE_SET_TYPES.has(setType);
+}
+
 function toMs(value) {
   if (!value) return null;
   const ms = new Date(value).getTime();
@@ -31,6 +37,97 @@ export function resolveSetTargetRepsValue(exercise, setIndex) {
   return resolveTargetRepsValue(exercise);
 }
 
+const MEASUREMENT_MODE_METRICS = {
+  reps_weight: 'reps',
+  time: 'time',
+  distance_weight: 'distance',
+  time_weight: 'time',
+};
+const SET_METRIC_FIELDS = {
+  reps: 'reps',
+  time: 'timeSeconds',
+  distance: 'distanceMeters',
+};
+const SET_METRIC_TARGET_FIELDS = {
+  reps: 'targetReps',
+  time: 'targetTimeSeconds',
+  distance: 'targetDistanceMeters',
+};
+const SET_METRIC_READINESS_LABELS = {
+  reps: 'reps',
+  time: 'duration',
+  distance: 'distance',
+};
+
+export function resolveMeasurementMetric(measurementMode) {
+  return MEASUREMENT_MODE_METRICS[measurementMode] || 'reps';
+}
+
+export function resolveSetMetricField(measurementMode) {
+  return SET_METRIC_FIELDS[resolveMeasurementMetric(measurementMode)];
+}
+
+// Pure duration holds (planks) carry no load; every other mode logs weight next to its metric.
+export function measurementModeUsesWeight(measurementMode) {
+  return measurementMode !== 'time';
+}
+
+function toPositiveMetricValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : null;
+}
+
+export function resolveTargetMetricValue(exercise) {
+  const metric = resolveMeasurementMetric(exercise?.measurementMode);
+  if (metric === 'reps') return resolveTargetRepsValue(exercise);
+  return toPositiveMetricValue(exercise?.[SET_METRIC_TARGET_FIELDS[metric]]);
+}
+
+export function resolveSetTargetMetricValue(exercise, setIndex) {
+  const metric = resolveMeasurementMetric(exercise?.measurementMode);
+  if (metric === 'reps') return resolveSetTargetRepsValue(exercise, setIndex);
+  const normalizedSetIndex = Number(setIndex);
+  const match = (exercise?.setTargets || []).find(
+    (target) => Number(target?.setIndex) === normalizedSetIndex
+  );
+  return toPositiveMetricValue(match?.[SET_METRIC_TARGET_FIELDS[metric]])
+    ?? resolveTargetMetricValue(exercise);
+}
+
+export function resolveSetTargetTypeValue(exercise, setIndex) {
+  const normalizedSetIndex = Number(setIndex);
+  const match = (exercise?.setTargets || []).find(
+    (target) => Number(target?.setIndex) === normalizedSetIndex
+  );
+  return match?.setType || 'working';
+}
+
+function toWeightValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+}
+
+// Ramping sets and percentage-based sets carry their own weight (percentages are resolved from
+// the training max when the workout started); every other set uses the exercise's target weight.
+export function resolveSetTargetWeightValue(exercise, setIndex) {
+  const normalizedSetIndex = Number(setIndex);
+  const match = (exercise?.setTargets || []).find(
+    (target) => Number(target?.setIndex) === normalizedSetIndex
+  );
+  return toWeightValue(match?.targetWeight) ?? toWeightValue(exercise?.targetWeight);
+}
+
+// Band exercises can plan a different band per set; unplanned sets use the exercise's band.
+export function resolveSetTargetBandLabel(exercise, setIndex) {
+  const normalizedSetIndex = Number(setIndex);
+  const match = (exercise?.setTargets || []).find(
+    (target) => Number(target?.setIndex) === normalizedSetIndex
+  );
+  return String(match?.targetBandLabel || '').trim() || null;
+}
+
 export function resolveExerciseStartAt(exercise, fallbackIso) {
   const direct = toIso(exercise?.startedAt);
   if (direct) return direct;
@@ -51,13 +148,17 @@ export function validateWorkoutReadiness(exercises) {
       missing.push('sets');
     }
 
-    const reps = resolveTargetRepsValue(exercise);
-    if (!Number.isFinite(reps)) {
-      missing.push('reps');
+    const metricValue = resolveTargetMetricValue(exercise);
+    if (!Number.isFinite(metricValue)) {
+      missing.push(SET_METRIC_READINESS_LABELS[resolveMeasurementMetric(exercise?.measurementMode)]);
     }
 
     const equipment = String(exercise?.equipment || '').trim();
-    const weightRequired = equipment !== 'Bodyweight' && equipment !== 'Band';
+    const weightRequired = (
+      equipment !== 'Bodyweight'
+      && equipment !== 'Band'
+      && measurementModeUsesWeight(exercise?.measurementMode)
+    );
     const hasWeight =
       exercise?.targetWeight !== null
       && exercise?.targetWeight !== undefined
@@ -94,6 +195,7 @@ export function buildChecklistRows(exercise, localCheckedAtBySetIndex = {}) {
   if (!Number.isInteger(targetSets) || targetSets <= 0) return [];
   const persistedBySetIndex = new Map();
   (exercise?.sets || []).forEach((set) => {
+    if (isInlineSetType(set?.setType)) return;
     const setIndex = Number(set?.setIndex);
     if (!Number.isInteger(setIndex) || setIndex <= 0 || persistedBySetIndex.has(setIndex)) return;
     persistedBySetIndex.set(setIndex, set);
@@ -110,6 +212,7 @@ export function buildChecklistRows(exercise, localCheckedAtBySetIndex = {}) {
     );
     rows.push({
       setIndex,
+      setType: persistedSet?.setType || resolveSetTargetTypeValue(exercise, setIndex),
       persistedSet,
       locked: Boolean(persistedSet),
       checked: isForceUnchecked ? false : Boolean(persistedSet || localCheckedAt),
@@ -153,25 +256,15 @@ export function buildMissingSetPayloads({
   const equipment = String(exercise?.equipment || '').trim();
   const isBodyweight = equipment === 'Bodyweight';
   const isBand = equipment === 'Band';
-  const weight = isBodyweight || isBand ? 0 : Number(exercise?.targetWeight);
-  if (
-    !isBodyweight
-    && !isBand
-    && (
-      exercise?.targetWeight === null
-      || exercise?.targetWeight === undefined
-      || exercise?.targetWeight === ''
-      || !Number.isFinite(weight)
-    )
-  ) {
-    return [];
-  }
+  const isUnloaded = isBodyweight || isBand || !measurementModeUsesWeight(exercise?.measurementMode);
+  const metricField = resolveSetMetricField(exercise?.measurementMode);
   const bandLabel = isBand
     ? String(exercise?.targetBandLabel || defaultBandLabel || '').trim() || null
     : null;
 
   const persistedSetIndexes = new Set(
     (exercise?.sets || [])
+      .filter((set) => !isInlineSetType(set?.setType))
       .map((set) => Number(set?.setIndex))
       .filter((setIndex) => Number.isInteger(setIndex) && setIndex > 0)
   );
@@ -181,8 +274,11 @@ export function buildMissingSetPayloads({
     if (persistedSetIndexes.has(setIndex)) continue;
     const checkedAt = toIso(checkedAtBySetIndex?.[setIndex]);
     if (!checkedAt && !includeUnchecked) continue;
-    const reps = resolveSetTargetRepsValue(exercise, setIndex);
-    if (!Number.isFinite(reps)) continue;
+    const metricValue = resolveSetTargetMetricValue(exercise, setIndex);
+    if (!Number.isFinite(metricValue)) continue;
+    const weight = isUnloaded ? 0 : resolveSetTargetWeightValue(exercise, setIndex);
+    if (weight === null) continue;
+    const setBandLabel = isBand ? resolveSetTargetBandLabel(exercise, setIndex) || bandLabel : null;
     const completedAt = checkedAt || interpolateTimestampForSetIndex({
       setIndex,
       targetSetCount: targetSets,
@@ -191,12 +287,90 @@ export function buildMissingSetPayloads({
     });
     payloads.push({
       setIndex,
-      reps,
+      setType: resolveSetTargetTypeValue(exercise, setIndex),
+      [metricField]: metricValue,
       weight,
-      bandLabel,
+      bandLabel: setBandLabel,
       startedAt: completedAt,
       completedAt,
     });
   }
   return payloads;
 }
+
+export function buildInlineSetRows(exercise, localInlineSets = []) {
+  const persistedRows = (exercise?.sets || [])
+    .filter((set) => isInlineSetType(set?.setType))
+    .map((set) => ({
+      key: `set-${set.id}`,
+      setType: set.setType,
+      anchorSetIndex: Number(set.setIndex) || 1,
+      persistedSet: set,
+      locked: true,
+      checked: true,
+      reps: set.reps,
+      weight: set.weight,
+      checkedAt: toIso(set.completedAt || set.createdAt),
+    }));
+  const localRows = (localInlineSets || [])
+    .filter((entry) => isInlineSetType(entry?.setType))
+    .map((entry) => ({
+      key: entry.id,
+      setType: entry.setType,
+      anchorSetIndex: Number(entry.anchorSetIndex) || 1,
+      persistedSet: null,
+      locked: false,
+      checked: Boolean(toIso(entry.checkedAt)),
+      reps: entry.reps,
+      weight: entry.weight,
+      checkedAt: toIso(entry.checkedAt),
+    }));
+  return [...persistedRows, ...localRows];
+}
+
+// Orders planned checklist rows with the warm-up and drop sets that sit around them:
+// warm-ups come before the planned set they lead into, drop sets follow the set they extend.
+export function interleaveInlineSetRows(checklistRows, inlineRows) {
+  const ordered = [];
+  const remaining = [...(inlineRows || [])];
+  const takeInline = (predicate) => {
+    for (let index = 0; index < remaining.length;) {
+      if (predicate(remaining[index])) {
+        ordered.push({ ...remaining[index], inline: true });
+        remaining.splice(index, 1);
+      } else {
+        index += 1;
+      }
+    }
+  };
+  (checklistRows || []).forEach((row) => {
+    takeInline((entry) => entry.setType === 'warmup' && entry.anchorSetIndex <= row.setIndex);
+    ordered.push({ ...row, inline: false });
+    takeInline((entry) => entry.setType === 'drop' && entry.anchorSetIndex <= row.setIndex);
+  });
+  remaining.forEach((entry) => ordered.push({ ...entry, inline: true }));
+  return ordered;
+}
+
+export function resolveInlineSetAnchor(checklistRows, setType) {
+  const rows = checklistRows || [];
+  if (setType === 'warmup') {
+    const nextPending = rows.find((row) => !row.checked);
+    return nextPending ? nextPending.setIndex : rows.length + 1;
+  }
+  const lastChecked = [...rows].reverse().find((row) => row.checked);
+  return lastChecked ? lastChecked.setIndex : 1;
+}
+
+export function buildSetPersistOrder(missingSetPayloads, inlineSetPayloads) {
+  const planned = (missingSetPayloads || []).map((payload) => ({ ...payload, inline: false }));
+  const inline = (inlineSetPayloads || []).map((payload) => ({ ...payload, inline: true }));
+  const rank = (payload) => {
+    if (!payload.inline) return 1;
+    return payload.setType === 'warmup' ? 0 : 2;
+  };
+  return [...planned, ...inline].sort((a, b) => {
+    if (a.setIndex !== b.setIndex) return a.setIndex - b.setIndex;
+    return rank(a) - rank(b);
+  });
+}
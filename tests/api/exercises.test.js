@@ -58,4 +58,210 @@ describe('API integration exercises', () => {
     expect(persistedSource.fork_id).toBeNull();
   });
 
+  it('rebuilds personal records on the target when exercises are merged', async () => {
+    const owner = request.agent(app);
+    await registerUser(owner, 'merge-records-owner');
+    const csrfToken = await fetchCsrfToken(owner);
+
+    const sourceId = (await owner
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Records Source Press', primaryMuscles: ['chest'] })).body.exercise.id;
+    const targetId = (await owner
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Records Target Press', primaryMuscles: ['chest'] })).body.exercise.id;
+    const logPast = (daysAgo, exerciseId, sets) => owner
+      .post('/api/sessions/past')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        freestyle: true,
+        startedAt: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString(),
+        durationMinutes: 20,
+        exercises: [{ exerciseId, equipment: 'Barbell', sets }],
+      });
+    expect((await logPast(4, targetId, [{ reps: 5, weight: 80 }])).status).toBe(200);
+    expect((await logPast(3, sourceId, [{ reps: 3, weight: 90 }])).status).toBe(200);
+    expect((await logPast(2, targetId, [{ reps: 5, weight: 85 }])).status).toBe(200);
+
+    const mergeResponse = await owner
+      .post('/api/exercises/merge')
+      .set('x-csrf-token', csrfToken)
+      .send({ sourceId, targetId });
+    expect(mergeResponse.status).toBe(200);
+
+    const recordsResponse = await owner.get(`/api/personal-records?exerciseId=${targetId}`);
+    const weightHistory = recordsResponse.body.history
+      .filter((record) => record.recordType === 'weight')
+      .map((record) => [record.value, record.previousValue]);
+    expect(weightHistory).toEqual([[80, null], [90, 80]]);
+    const sourceRecords = db
+      .prepare('SELECT COUNT(*) AS count FROM personal_records WHERE exercise_id = ?')
+      .get(sourceId);
+    expect(sourceRecords.count).toBe(0);
+  });
+
+  it('pages through an exercise history that includes merged exercises', async () => {
+    const owner = request.agent(app);
+    await registerUser(owner, 'history-owner');
+    const csrfToken = await fetchCsrfToken(owner);
+    const other = request.agent(app);
+    await registerUser(other, 'history-other');
+    const otherCsrf = await fetchCsrfToken(other);
+
+    const sourceId = (await owner
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'History Source Row', primaryMuscles: ['lats'] })).body.exercise.id;
+    const targetId = (await owner
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'History Target Row',
+        primaryMuscles: ['lats'],
+        notes: 'Pull to the hip.',
+        instructions: ['Brace.', 'Row.'],
+      })).body.exercise.id;
+    const routineResponse = await owner
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Pull Day',
+        exercises: [{ exerciseId: targetId, equipment: 'Barbell', targetSets: 3, targetReps: 8 }],
+      });
+    expect(routineResponse.status).toBe(200);
+    const logPast = (agent, token, daysAgo, exerciseId, sets) => agent
+      .post('/api/sessions/past')
+      .set('x-csrf-token', token)
+      .send({
+        freestyle: true,
+        startedAt: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString(),
+        durationMinutes: 20,
+        exercises: [{ exerciseId, equipment: 'Barbell', sets }],
+      });
+    expect((await logPast(owner, csrfToken, 5, sourceId, [{ reps: 8, weight: 60 }])).status).toBe(200);
+    expect((await logPast(owner, csrfToken, 3, targetId, [{ reps: 8, weight: 65 }])).status).toBe(200);
+    expect((await logPast(owner, csrfToken, 1, targetId, [
+      { reps: 8, weight: 70 },
+      { reps: 6, weight: 75 },
+    ])).status).toBe(200);
+    expect((await logPast(other, otherCsrf, 2, targetId, [{ reps: 5, weight: 200 }])).status).toBe(200);
+
+    const mergeResponse = await owner
+      .post('/api/exercises/merge')
+      .set('x-csrf-token', csrfToken)
+      .send({ sourceId, targetId });
+    expect(mergeResponse.status).toBe(200);
+    // Sets left filed under the merged exercise still belong to the target's history.
+    const oldestSet = db
+      .prepare(
+        `SELECT ss.id FROM session_sets ss
+         JOIN sessions s ON s.id = ss.session_id
+         JOIN users u ON u.id = s.user_id
+         WHERE u.username = ? AND ss.weight = 60`
+      )
+      .get('history-owner');
+    db.prepare('UPDATE session_sets SET exercise_id = ? WHERE id = ?').run(sourceId, oldestSet.id);
+
+    const firstPage = await owner.get(`/api/exercises/${targetId}/history?limit=2`);
+    expect(firstPage.status).toBe(200);
+    expect(firstPage.body.exercise).toMatchObject({
+      name: 'History Target Row',
+      notes: 'Pull to the hip.',
+      instructions: ['Brace.', 'Row.'],
+    });
+    expect(firstPage.body.mergedExercises.map((exercise) => exercise.name)).toEqual(['History Source Row']);
+    expect(firstPage.body.routines.map((routine) => routine.name)).toEqual(['Pull Day']);
+    expect(firstPage.body.impact).toMatchObject({ routineReferences: 1, setUsers: 2 });
+    expect(firstPage.body.total).toBe(3);
+    expect(firstPage.body.sessions).toHaveLength(2);
+    expect(firstPage.body.sessions[0].sets.map((set) => set.weight)).toEqual([70, 75]);
+    expect(firstPage.body.sessions[0].totalVolume).toBe(1010);
+    expect(firstPage.body.personalRecords.find((record) => record.recordType === 'weight')).toMatchObject({
+      value: 75,
+    });
+
+    const secondPage = await owner.get(`/api/exercises/${targetId}/history?limit=2&offset=2`);
+    expect(secondPage.status).toBe(200);
+    expect(secondPage.body.sessions).toHaveLength(1);
+    expect(secondPage.body.sessions[0].sets[0]).toMatchObject({
+      weight: 60,
+      exerciseId: sourceId,
+      loggedAs: 'History Source Row',
+    });
+
+    expect((await owner.get('/api/exercises/999999/history')).status).toBe(404);
+    expect((await owner.get('/api/exercises/abc/history')).status).toBe(400);
+  });
+
+  it('keeps aliases, seeds them from merges and ranks fuzzy catalog searches', async () => {
+    const owner = request.agent(app);
+    await registerUser(owner, 'alias-owner');
+    const csrfToken = await fetchCsrfToken(owner);
+
+    const createResponse = await owner
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Alias Romanian Deadlift',
+        primaryMuscles: ['hamstrings'],
+        aliases: ['Hinge', ' hinge ', 'Alias Romanian Deadlift'],
+      });
+    expect(createResponse.status).toBe(200);
+    const targetId = createResponse.body.exercise.id;
+    expect(createResponse.body.exercise.aliases).toEqual(['Hinge']);
+    const sourceId = (await owner
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Alias Stiff Hinge', primaryMuscles: ['hamstrings'], aliases: ['SLDL variant'] })).body.exercise.id;
+    await owner
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Alias Overhead Press', primaryMuscles: ['shoulders'] });
+
+    const mergeResponse = await owner
+      .post('/api/exercises/merge')
+      .set('x-csrf-token', csrfToken)
+      .send({ sourceId, targetId });
+    expect(mergeResponse.status).toBe(200);
+
+    const exercisesResponse = await owner.get('/api/exercises');
+    const target = exercisesResponse.body.exercises.find((exercise) => exercise.id === targetId);
+    expect(target.aliases).toEqual(['Alias Stiff Hinge', 'Hinge', 'SLDL variant']);
+    const aliasSources = db
+      .prepare('SELECT alias, source FROM exercise_aliases WHERE exercise_id = ? ORDER BY alias ASC')
+      .all(targetId)
+      .map((row) => `${row.alias}:${row.source}`);
+    expect(aliasSources).toEqual(['Alias Stiff Hinge:merge', 'Hinge:user', 'SLDL variant:user']);
+
+    const rdlSearch = await owner.get('/api/exercises?q=alias%20RDL');
+    expect(rdlSearch.body.exercises.map((exercise) => exercise.name)).toEqual(['Alias Romanian Deadlift']);
+    const aliasSearch = await owner.get('/api/exercises?q=sldl%20variant');
+    expect(aliasSearch.body.exercises.map((exercise) => exercise.id)).toEqual([targetId]);
+    const typoSearch = await owner.get('/api/exercises?q=alias%20overhed%20pres');
+    expect(typoSearch.body.exercises[0].name).toBe('Alias Overhead Press');
+
+    const updateResponse = await owner
+      .put(`/api/exercises/${targetId}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Alias Romanian Deadlift', primaryMuscles: ['hamstrings'], aliases: ['alias stiff hinge'] });
+    expect(updateResponse.status).toBe(200);
+    const keptAlias = db
+      .prepare('SELECT alias, source FROM exercise_aliases WHERE exercise_id = ?')
+      .all(targetId)
+      .map((row) => `${row.alias}:${row.source}`);
+    expect(keptAlias).toEqual(['alias stiff hinge:merge']);
+    await owner
+      .put(`/api/exercises/${targetId}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Alias Romanian Deadlift', primaryMuscles: ['hamstrings'] });
+    expect((await owner.get(`/api/exercises/${targetId}/history`)).body.exercise.aliases)
+      .toEqual(['alias stiff hinge']);
+
+    const librarySearch = await owner.get('/api/exercise-library?q=rdl&limit=5');
+    expect(librarySearch.status).toBe(200);
+    expect(librarySearch.body.results[0].name).toBe('Romanian Deadlift');
+    const libraryTypoSearch = await owner.get('/api/exercise-library?q=romanain%20dedlift&limit=5');
+    expect(libraryTypoSearch.body.results.map((item) => item.name)).toContain('Romanian Deadlift');
+  });
 });
@@ -244,11 +244,12 @@ describe('API integration import export', () => {
     const updateSet = await owner
       .put(`/api/sets/${setId}`)
       .set('x-csrf-token', csrfToken)
-      .send({ reps: 6, weight: 102.5 });
+      .send({ reps: 6, weight: 102.5, rpe: 8.5 });
     expect(updateSet.status).toBe(200);
     expect(updateSet.body.set.id).toBe(setId);
     expect(updateSet.body.set.reps).toBe(6);
     expect(updateSet.body.set.weight).toBe(102.5);
+    expect(updateSet.body.set.rpe).toBe(8.5);
 
     const impactBeforeMerge = await owner.get(
       `/api/exercises/${sourceExercise.body.exercise.id}/impact`
@@ -449,11 +450,15 @@ describe('API integration import export', () => {
 
     const exportResponse = await owner.get('/api/export');
     expect(exportResponse.status).toBe(200);
-    expect(exportResponse.body.version).toBe(10);
+    expect(exportResponse.body.version).toBe(14);
     expect(exportResponse.body.exercises.length).toBeGreaterThanOrEqual(1);
     expect(exportResponse.body.sessions.length).toBeGreaterThanOrEqual(1);
     expect(exportResponse.body.routines[0]?.routineType).toBeTypeOf('string');
     expect(exportResponse.body.sessions[0]?.routineType).toBeTypeOf('string');
+    const exportedRpeSets = exportResponse.body.sessions
+      .flatMap((session) => session.sets || [])
+      .filter((set) => set.rpe === 8.5);
+    expect(exportedRpeSets).toHaveLength(1);
 
     const ownerCountsBeforeRoundTrip = {
       exercises: Number(db.prepare('SELECT COUNT(*) AS count FROM exercises').get()?.count || 0),
@@ -526,7 +531,7 @@ describe('API integration import export', () => {
       .send(exportResponse.body);
     expect(validateResponse.status).toBe(200);
     expect(validateResponse.body.valid).toBe(true);
-    expect(validateResponse.body.summary.expectedVersion).toBe(10);
+    expect(validateResponse.body.summary.expectedVersion).toBe(14);
     expect(validateResponse.body.summary.toCreate.routines).toBeGreaterThanOrEqual(1);
     expect(Array.isArray(validateResponse.body.summary.conflicts.existingExerciseNames)).toBe(true);
 
@@ -537,7 +542,7 @@ describe('API integration import export', () => {
     expect(invalidVersionImport.status).toBe(400);
     expect(invalidVersionImport.body.error).toBe('Invalid import file');
     expect(invalidVersionImport.body.validation.valid).toBe(false);
-    expect(invalidVersionImport.body.validation.summary.expectedVersion).toBe(10);
+    expect(invalidVersionImport.body.validation.summary.expectedVersion).toBe(14);
 
     const importResponse = await importer
       .post('/api/import')
@@ -547,12 +552,71 @@ describe('API integration import export', () => {
     expect(importResponse.body.ok).toBe(true);
     expect(importResponse.body.importedCount.routines).toBeGreaterThanOrEqual(1);
     expect(importResponse.body.importedCount.sessions).toBeGreaterThanOrEqual(1);
-    expect(importResponse.body.validationSummary.expectedVersion).toBe(10);
+    expect(importResponse.body.validationSummary.expectedVersion).toBe(14);
     expect(Array.isArray(importResponse.body.warnings)).toBe(true);
 
     const importedSessions = await importer.get('/api/sessions');
     expect(importedSessions.status).toBe(200);
     expect(importedSessions.body.sessions.length).toBeGreaterThanOrEqual(1);
+    const importedRpeSetCount = db
+      .prepare(
+        `SELECT COUNT(*) AS count
+         FROM session_sets ss
+         JOIN sessions s ON s.id = ss.session_id
+         WHERE s.user_id != ? AND ss.rpe = 8.5`
+      )
+      .get(ownerUser.id);
+    expect(Number(importedRpeSetCount.count)).toBe(1);
   }, 10_000);
 
+  it('stores a per-user equipment inventory with defaults and validation', async () => {
+    const owner = request.agent(app);
+    await registerUser(owner, 'inventory-owner');
+    const csrfToken = await fetchCsrfToken(owner);
+
+    const defaults = await owner.get('/api/equipment-inventory');
+    expect(defaults.status).toBe(200);
+    expect(defaults.body.inventory.barWeights).toEqual([10, 15, 20]);
+    expect(defaults.body.inventory.plates[0]).toEqual({ weight: 25, pairs: 4 });
+    expect(defaults.body.inventory.updatedAt).toBeNull();
+
+    const saved = await owner
+      .put('/api/equipment-inventory')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        barWeights: [20, 20],
+        plates: [{ weight: 1.25, pairs: 1 }, { weight: 20, pairs: 2 }, { weight: 1.25, pairs: 1 }],
+        dumbbells: [24, 12],
+      });
+    expect(saved.status).toBe(200);
+    expect(saved.body.inventory.barWeights).toEqual([20]);
+    expect(saved.body.inventory.plates).toEqual([
+      { weight: 20, pairs: 2 },
+      { weight: 1.25, pairs: 2 },
+    ]);
+    expect(saved.body.inventory.dumbbells).toEqual([12, 24]);
+    expect(saved.body.inventory.kettlebells).toEqual([8, 12, 16, 20, 24, 28, 32]);
+
+    const invalid = await owner
+      .put('/api/equipment-inventory')
+      .set('x-csrf-token', csrfToken)
+      .send({ plates: [{ weight: 20, pairs: 0 }] });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toMatch(/Plates must list/);
+
+    const missingBar = await owner
+      .put('/api/equipment-inventory')
+      .set('x-csrf-token', csrfToken)
+      .send({ barWeights: [] });
+    expect(missingBar.status).toBe(400);
+
+    const reloaded = await owner.get('/api/equipment-inventory');
+    expect(reloaded.body.inventory.plates).toEqual(saved.body.inventory.plates);
+    expect(reloaded.body.inventory.updatedAt).toBe(saved.body.inventory.updatedAt);
+
+    const otherUser = request.agent(app);
+    await registerUser(otherUser, 'inventory-other');
+    const otherInventory = await otherUser.get('/api/equipment-inventory');
+    expect(otherInventory.body.inventory.barWeights).toEqual([10, 15, 20]);
+  });
 });
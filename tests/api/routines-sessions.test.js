@@ -1,8 +1,15 @@
 import request from 'supertest';
 import { describe, expect, it } from 'vitest';
+import { runSessionAutoCloseCycle, startSessionAutoClose } from '../../server/session-auto-close.js';
 import { setupApiIntegrationSuite } from '../helpers/api-integration-helpers.js';
 
-const { app, db, fetchCsrfToken, registerUser } = await setupApiIntegrationSuite('routines-sessions');
+const {
+  app,
+  db,
+  fetchCsrfToken,
+  registerUser,
+  runSessionCompletionHooks,
+} = await setupApiIntegrationSuite('routines-sessions');
 const API_INTEGRATION_TEST_TIMEOUT = 20_000;
 
 describe('API integration routines and sessions', () => {
@@ -1362,4 +1369,2717 @@ describe('API integration routines and sessions', () => {
     expect(persistedSync.count).toBe(1);
   }, API_INTEGRATION_TEST_TIMEOUT);
 
+  it('captures per-set RPE through set endpoints, sync batch, detail and progression', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'set-rpe-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const exerciseResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Front Squat', primaryMuscles: ['quadriceps'], notes: '' });
+    expect(exerciseResponse.status).toBe(200);
+    const exerciseId = exerciseResponse.body.exercise.id;
+
+    const routineResponse = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Squat Day',
+        exercises: [
+          {
+            exerciseId,
+            equipment: 'Barbell',
+            targetSets: 3,
+            targetReps: 5,
+            targetWeight: 80,
+            targetRestSeconds: 120,
+            position: 0,
+          },
+        ],
+      });
+    expect(routineResponse.status).toBe(200);
+    const routineId = routineResponse.body.routine.id;
+
+    const sessionResponse = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId });
+    expect(sessionResponse.status).toBe(200);
+    const sessionId = sessionResponse.body.session.id;
+
+    const firstSetResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId, reps: 5, weight: 80, rpe: 7.5 });
+    expect(firstSetResponse.status).toBe(200);
+    expect(firstSetResponse.body.set.rpe).toBe(7.5);
+
+    const invalidSetResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId, reps: 5, weight: 80, rpe: 7.3 });
+    expect(invalidSetResponse.status).toBe(400);
+    expect(invalidSetResponse.body.error).toBe('RPE must be between 1 and 10 in steps of 0.5.');
+    const textRpeResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId, reps: 5, weight: 80, rpe: 'abc' });
+    expect(textRpeResponse.status).toBe(400);
+    expect(textRpeResponse.body.error).toBe('RPE must be between 1 and 10 in steps of 0.5.');
+    const textRirResponse = await agent
+      .put(`/api/sets/${firstSetResponse.body.set.id}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ rir: 'abc' });
+    expect(textRirResponse.status).toBe(400);
+
+    const syncResponse = await agent
+      .post('/api/sync/batch')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        operations: [
+          {
+            operationId: 'sync-set-rpe-1',
+            operationType: 'session_set.create',
+            payload: { sessionId, exerciseId, reps: 5, weight: 85, rir: 1 },
+          },
+          {
+            operationId: 'sync-set-rpe-2',
+            operationType: 'session_set.create',
+            payload: { sessionId, exerciseId, reps: 5, weight: 85, rir: 'abc' },
+          },
+        ],
+      });
+    expect(syncResponse.status).toBe(200);
+    expect(syncResponse.body.results[0].status).toBe('applied');
+    expect(syncResponse.body.results[0].result.set.rpe).toBe(9);
+    expect(syncResponse.body.results[1]).toMatchObject({
+      status: 'rejected',
+      error: 'RPE must be between 1 and 10 in steps of 0.5.',
+    });
+
+    const updateResponse = await agent
+      .put(`/api/sets/${firstSetResponse.body.set.id}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ rpe: 8 });
+    expect(updateResponse.status).toBe(200);
+    expect(updateResponse.body.set.rpe).toBe(8);
+    expect(updateResponse.body.set.reps).toBe(5);
+    expect(updateResponse.body.set.weight).toBe(80);
+
+    const detailResponse = await agent.get(`/api/sessions/${sessionId}`);
+    expect(detailResponse.status).toBe(200);
+    const detailSets = detailResponse.body.session.exercises[0].sets;
+    expect(detailSets.map((set) => set.rpe)).toEqual([8, 9]);
+
+    const progressionResponse = await agent.get(
+      `/api/stats/progression?exerciseId=${exerciseId}&window=30d`
+    );
+    expect(progressionResponse.status).toBe(200);
+    expect(progressionResponse.body.points).toHaveLength(1);
+    expect(progressionResponse.body.points[0]).toMatchObject({
+      topWeight: 85,
+      topWeightRpe: 9,
+      avgRpe: 8.5,
+      maxRpe: 9,
+    });
+  }, API_INTEGRATION_TEST_TIMEOUT);
+
+  it('logs timed and distance sets by exercise measurement mode', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'measurement-mode-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const invalidModeResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Wall Sit', primaryMuscles: ['quadriceps'], measurementMode: 'calories' });
+    expect(invalidModeResponse.status).toBe(400);
+    expect(invalidModeResponse.body.error).toBe(
+      'Measurement mode must be reps_weight, time, distance_weight, or time_weight.'
+    );
+
+    const plankResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Plank', primaryMuscles: ['abdominals'], measurementMode: 'time' });
+    expect(plankResponse.status).toBe(200);
+    expect(plankResponse.body.exercise.measurementMode).toBe('time');
+    const plankId = plankResponse.body.exercise.id;
+
+    const carryResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Farmer Carry', primaryMuscles: ['forearms'], measurementMode: 'distance_weight' });
+    expect(carryResponse.status).toBe(200);
+    const carryId = carryResponse.body.exercise.id;
+
+    const invalidRoutineResponse = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Invalid Core',
+        exercises: [
+          { exerciseId: plankId, equipment: 'Bodyweight', targetSets: 2, targetTimeSeconds: 7200 },
+        ],
+      });
+    expect(invalidRoutineResponse.status).toBe(400);
+    expect(invalidRoutineResponse.body.error).toBe('Target duration must be 1-3600 seconds.');
+
+    const routineResponse = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Core and Carries',
+        exercises: [
+          {
+            exerciseId: plankId,
+            equipment: 'Bodyweight',
+            targetSets: 2,
+            targetTimeSeconds: 45,
+            position: 0,
+          },
+          {
+            exerciseId: carryId,
+            equipment: 'Dumbbell',
+            targetSets: 2,
+            targetDistanceMeters: 30,
+            targetWeight: 32,
+            position: 1,
+          },
+        ],
+      });
+    expect(routineResponse.status).toBe(200);
+    const [plankItem, carryItem] = routineResponse.body.routine.exercises;
+    expect(plankItem).toMatchObject({ measurementMode: 'time', targetTimeSeconds: 45, targetReps: null });
+    expect(plankItem.setTargets.map((target) => target.targetTimeSeconds)).toEqual([45, 45]);
+    expect(carryItem).toMatchObject({ measurementMode: 'distance_weight', targetDistanceMeters: 30 });
+
+    const sessionResponse = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: routineResponse.body.routine.id });
+    expect(sessionResponse.status).toBe(200);
+    const sessionId = sessionResponse.body.session.id;
+
+    const missingDurationResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: plankId, routineExerciseId: plankItem.id, reps: 10 });
+    expect(missingDurationResponse.status).toBe(400);
+    expect(missingDurationResponse.body.error).toBe('Exercise and duration are required.');
+
+    const plankSetResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: plankId, routineExerciseId: plankItem.id, timeSeconds: 45 });
+    expect(plankSetResponse.status).toBe(200);
+    expect(plankSetResponse.body.set).toMatchObject({
+      reps: null,
+      weight: 0,
+      timeSeconds: 45,
+      distanceMeters: null,
+    });
+
+    const missingWeightResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: carryId, routineExerciseId: carryItem.id, distanceMeters: 30 });
+    expect(missingWeightResponse.status).toBe(400);
+    expect(missingWeightResponse.body.error).toBe('Exercise, distance, and weight are required.');
+
+    const syncResponse = await agent
+      .post('/api/sync/batch')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        operations: [
+          {
+            operationId: 'sync-carry-set-1',
+            operationType: 'session_set.create',
+            payload: {
+              sessionId,
+              exerciseId: carryId,
+              routineExerciseId: carryItem.id,
+              distanceMeters: 30,
+              weight: 32,
+            },
+          },
+        ],
+      });
+    expect(syncResponse.status).toBe(200);
+    expect(syncResponse.body.results[0].status).toBe('applied');
+    expect(syncResponse.body.results[0].result.set).toMatchObject({ distanceMeters: 30, weight: 32 });
+
+    const updateResponse = await agent
+      .put(`/api/sets/${plankSetResponse.body.set.id}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ timeSeconds: 60 });
+    expect(updateResponse.status).toBe(200);
+    expect(updateResponse.body.set.timeSeconds).toBe(60);
+
+    const invalidUpdateResponse = await agent
+      .put(`/api/sets/${plankSetResponse.body.set.id}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ timeSeconds: 0 });
+    expect(invalidUpdateResponse.status).toBe(400);
+    expect(invalidUpdateResponse.body.error).toBe('Duration must be 1-3600 seconds.');
+
+    const detailResponse = await agent.get(`/api/sessions/${sessionId}`);
+    expect(detailResponse.status).toBe(200);
+    const [plankDetail, carryDetail] = detailResponse.body.session.exercises;
+    expect(plankDetail.measurementMode).toBe('time');
+    expect(plankDetail.sets.map((set) => set.timeSeconds)).toEqual([60]);
+    expect(carryDetail.sets.map((set) => set.distanceMeters)).toEqual([30]);
+
+    const progressionResponse = await agent.get(
+      `/api/stats/progression?exerciseId=${plankId}&window=30d`
+    );
+    expect(progressionResponse.status).toBe(200);
+    expect(progressionResponse.body.exercise.measurementMode).toBe('time');
+    expect(progressionResponse.body.points[0]).toMatchObject({ topTimeSeconds: 60, topWeight: 0 });
+  }, API_INTEGRATION_TEST_TIMEOUT);
+
+  it('logs unilateral sets per side and reports left/right asymmetry', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'unilateral-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const splitSquatResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Split Squat', primaryMuscles: ['quadriceps'] });
+    expect(splitSquatResponse.status).toBe(200);
+    const splitSquatId = splitSquatResponse.body.exercise.id;
+    const sidePlankResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Side Plank', primaryMuscles: ['abdominals'], measurementMode: 'time' });
+    expect(sidePlankResponse.status).toBe(200);
+    const sidePlankId = sidePlankResponse.body.exercise.id;
+
+    const routineResponse = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Knee Rehab',
+        routineType: 'rehab',
+        exercises: [
+          {
+            exerciseId: splitSquatId,
+            equipment: 'Dumbbell',
+            targetSets: 2,
+            targetReps: 8,
+            targetWeight: 20,
+            unilateral: true,
+            position: 0,
+          },
+          {
+            exerciseId: sidePlankId,
+            equipment: 'Bodyweight',
+            targetSets: 2,
+            targetTimeSeconds: 30,
+            unilateral: true,
+            position: 1,
+          },
+        ],
+      });
+    expect(routineResponse.status).toBe(200);
+    const [splitSquatItem, sidePlankItem] = routineResponse.body.routine.exercises;
+    expect(splitSquatItem.unilateral).toBe(true);
+    expect(sidePlankItem.unilateral).toBe(false);
+
+    const sessionResponse = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: routineResponse.body.routine.id });
+    expect(sessionResponse.status).toBe(200);
+    const sessionId = sessionResponse.body.session.id;
+
+    const firstSetResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({
+        exerciseId: splitSquatId,
+        routineExerciseId: splitSquatItem.id,
+        weight: 20,
+        leftReps: 8,
+        rightReps: 6,
+      });
+    expect(firstSetResponse.status).toBe(200);
+    expect(firstSetResponse.body.set).toMatchObject({
+      reps: 8,
+      weight: 20,
+      leftReps: 8,
+      leftWeight: 20,
+      rightReps: 6,
+      rightWeight: 20,
+    });
+
+    const emptySidesResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: splitSquatId, weight: 20, leftReps: 0, rightReps: 0 });
+    expect(emptySidesResponse.status).toBe(400);
+    expect(emptySidesResponse.body.error).toBe(
+      'Left and right reps must be 0-100 with at least one side above 0.'
+    );
+
+    const timedSidesResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: sidePlankId, timeSeconds: 30, leftReps: 1, rightReps: 1 });
+    expect(timedSidesResponse.status).toBe(400);
+    expect(timedSidesResponse.body.error).toBe(
+      'Left and right sides can only be logged for rep-based exercises.'
+    );
+
+    const syncResponse = await agent
+      .post('/api/sync/batch')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        operations: [
+          {
+            operationId: 'sync-unilateral-set-2',
+            operationType: 'session_set.create',
+            payload: {
+              sessionId,
+              exerciseId: splitSquatId,
+              routineExerciseId: splitSquatItem.id,
+              leftReps: 8,
+              leftWeight: 22,
+              rightReps: 7,
+              rightWeight: 20,
+            },
+          },
+        ],
+      });
+    expect(syncResponse.status).toBe(200);
+    expect(syncResponse.body.results[0].status).toBe('applied');
+    expect(syncResponse.body.results[0].result.set).toMatchObject({ reps: 8, weight: 22, setIndex: 2 });
+
+    const updateResponse = await agent
+      .put(`/api/sets/${firstSetResponse.body.set.id}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ rightReps: 8 });
+    expect(updateResponse.status).toBe(200);
+    expect(updateResponse.body.set).toMatchObject({ leftReps: 8, rightReps: 8, reps: 8, weight: 20 });
+
+    const detailResponse = await agent.get(`/api/sessions/${sessionId}`);
+    expect(detailResponse.status).toBe(200);
+    const splitSquatDetail = detailResponse.body.session.exercises[0];
+    expect(splitSquatDetail.unilateral).toBe(true);
+    expect(splitSquatDetail.sets.map((set) => [set.leftReps, set.rightReps])).toEqual([
+      [8, 8],
+      [8, 7],
+    ]);
+    expect(detailResponse.body.session.exercises[1].unilateral).toBe(false);
+
+    const progressionResponse = await agent.get(
+      `/api/stats/progression?exerciseId=${splitSquatId}&window=30d`
+    );
+    expect(progressionResponse.status).toBe(200);
+    expect(progressionResponse.body.points[0].topVolume).toBe(320);
+    expect(progressionResponse.body.asymmetry).toMatchObject({
+      leftReps: 16,
+      rightReps: 15,
+      leftVolume: 336,
+      rightVolume: 300,
+      basis: 'volume',
+      weakerSide: 'right',
+    });
+    expect(progressionResponse.body.asymmetry.percent).toBeCloseTo(10.71, 1);
+
+    const drilldownResponse = await agent.get(
+      '/api/stats/distribution/drilldown?muscle=quadriceps&metric=volume&window=30d'
+    );
+    expect(drilldownResponse.status).toBe(200);
+    expect(drilldownResponse.body.rows[0]).toMatchObject({ exerciseId: splitSquatId, volume: 636 });
+    expect(drilldownResponse.body.rows[0].asymmetry.weakerSide).toBe('right');
+
+    const exportResponse = await agent.get('/api/export');
+    expect(exportResponse.status).toBe(200);
+    expect(exportResponse.body.routines[0].exercises[0].unilateral).toBe(true);
+    expect(exportResponse.body.sessions[0].sets[0]).toMatchObject({ leftReps: 8, rightReps: 8 });
+  }, API_INTEGRATION_TEST_TIMEOUT);
+
+  it('logs past workouts retroactively with synthesized exercise timestamps', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'past-workout-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const squatResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Past Squat', primaryMuscles: ['quadriceps'] });
+    const squatId = squatResponse.body.exercise.id;
+    const rowResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Past Row', primaryMuscles: ['lats'] });
+    const rowId = rowResponse.body.exercise.id;
+
+    const routineResponse = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Past Legs',
+        exercises: [
+          { exerciseId: squatId, equipment: 'Barbell', targetSets: 2, targetReps: 5, targetWeight: 100, position: 0 },
+          { exerciseId: rowId, equipment: 'Dumbbell', targetSets: 2, targetReps: 10, targetWeight: 30, position: 1 },
+        ],
+      });
+    expect(routineResponse.status).toBe(200);
+    const routine = routineResponse.body.routine;
+    const [squatItem] = routine.exercises;
+
+    const startedAt = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString();
+    const pastResponse = await agent
+      .post('/api/sessions/past')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        routineId: routine.id,
+        startedAt,
+        durationMinutes: 40,
+        notes: 'Logged from paper',
+        exercises: [
+          {
+            exerciseId: squatId,
+            routineExerciseId: squatItem.id,
+            sets: [{ reps: 5, weight: 100 }, { reps: 4, weight: 100, rpe: 9 }],
+          },
+        ],
+      });
+    expect(pastResponse.status).toBe(200);
+    const session = pastResponse.body.session;
+    expect(session.startedAt).toBe(startedAt);
+    expect(session.endedAt).toBe(new Date(Date.parse(startedAt) + 40 * 60 * 1000).toISOString());
+    expect(session.durationSeconds).toBe(40 * 60);
+    expect(session.notes).toBe('Logged from paper');
+
+    const squat = session.exercises.find((exercise) => exercise.exerciseId === squatId);
+    expect(squat.status).toBe('completed');
+    expect(squat.startedAt).toBe(startedAt);
+    expect(squat.durationSeconds).toBe(40 * 60);
+    expect(squat.sets.map((set) => set.reps)).toEqual([5, 4]);
+    expect(squat.sets[1].rpe).toBe(9);
+    expect(squat.sets[0].completedAt).toBe(new Date(Date.parse(startedAt) + 20 * 60 * 1000).toISOString());
+    const row = session.exercises.find((exercise) => exercise.exerciseId === rowId);
+    expect(row.status).toBe('pending');
+
+    const activeResponse = await agent.get('/api/sessions/active');
+    expect(activeResponse.body.session).toBeNull();
+
+    const freestyleStartedAt = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const freestyleResponse = await agent
+      .post('/api/sessions/past')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        freestyle: true,
+        startedAt: freestyleStartedAt,
+        durationMinutes: 30,
+        exercises: [
+          {
+            exerciseId: rowId,
+            equipment: 'Dumbbell',
+            sets: [{ reps: 12, weight: 28 }, { reps: 10, weight: 30 }, { reps: 8, weight: 32 }, { reps: 8, weight: 32 }],
+          },
+        ],
+      });
+    expect(freestyleResponse.status).toBe(200);
+    expect(freestyleResponse.body.session.routineId).toBeNull();
+    expect(freestyleResponse.body.session.name).toBe('Freestyle workout');
+    expect(freestyleResponse.body.session.exercises[0].sets).toHaveLength(4);
+    expect(freestyleResponse.body.session.exercises[0].status).toBe('completed');
+
+    const listResponse = await agent.get('/api/sessions');
+    expect(listResponse.body.sessions.map((item) => item.id)).toEqual([
+      freestyleResponse.body.session.id,
+      session.id,
+    ]);
+
+    const futureResponse = await agent
+      .post('/api/sessions/past')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        routineId: routine.id,
+        startedAt: new Date(Date.now() - 10 * 60 * 1000).toISOString(),
+        durationMinutes: 30,
+        exercises: [{ exerciseId: squatId, sets: [{ reps: 5, weight: 100 }] }],
+      });
+    expect(futureResponse.status).toBe(400);
+    expect(futureResponse.body.error).toBe('A past workout must end before now.');
+
+    const emptyResponse = await agent
+      .post('/api/sessions/past')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: routine.id, startedAt, durationMinutes: 30, exercises: [] });
+    expect(emptyResponse.status).toBe(400);
+    expect(emptyResponse.body.error).toBe('Log at least one set.');
+
+    const tooManySetsResponse = await agent
+      .post('/api/sessions/past')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        routineId: routine.id,
+        startedAt,
+        durationMinutes: 30,
+        exercises: [
+          {
+            exerciseId: squatId,
+            routineExerciseId: squatItem.id,
+            sets: [{ reps: 5, weight: 100 }, { reps: 5, weight: 100 }, { reps: 5, weight: 100 }],
+          },
+        ],
+      });
+    expect(tooManySetsResponse.status).toBe(400);
+    const afterRollback = await agent.get('/api/sessions');
+    expect(afterRollback.body.sessions).toHaveLength(2);
+  });
+
+  it('runs progressions and advances the program for past workouts', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'past-program-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const exerciseResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Past Program Press', primaryMuscles: ['shoulders'] });
+    const pressId = exerciseResponse.body.exercise.id;
+    const createRoutine = async (name) => {
+      const response = await agent
+        .post('/api/routines')
+        .set('x-csrf-token', csrfToken)
+        .send({
+          name,
+          exercises: [{
+            exerciseId: pressId,
+            equipment: 'Barbell',
+            targetSets: 2,
+            targetReps: 8,
+            targetWeight: 40,
+            progressionRule: { type: 'double', repMin: 8, repMax: 10, weightIncrement: 2.5, autoApply: true },
+          }],
+        });
+      return response.body.routine;
+    };
+    const dayA = await createRoutine('Past Day A');
+    const dayB = await createRoutine('Past Day B');
+    const programResponse = await agent
+      .post('/api/programs')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Past block', weeks: [{}], days: [{ routineId: dayA.id }, { routineId: dayB.id }] });
+    const program = programResponse.body.program;
+
+    const logPast = (routine, extra = {}) => agent
+      .post('/api/sessions/past')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        routineId: routine.id,
+        startedAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
+        durationMinutes: 45,
+        exercises: [{
+          exerciseId: pressId,
+          routineExerciseId: routine.exercises[0].id,
+          sets: [{ reps: 10, weight: 40 }, { reps: 10, weight: 40 }],
+        }],
+        ...extra,
+      });
+
+    const wrongDay = await logPast(dayB, { programId: program.id });
+    expect(wrongDay.status).toBe(400);
+    expect(wrongDay.body.error).toBe('Routine is not the next workout in this program.');
+    const missingProgram = await logPast(dayA, { programId: 999999 });
+    expect(missingProgram.status).toBe(404);
+
+    const pastResponse = await logPast(dayA, { programId: program.id });
+    expect(pastResponse.status).toBe(200);
+    expect(pastResponse.body.session.program).toMatchObject({ id: program.id, weekNumber: 1, dayNumber: 1 });
+    expect(pastResponse.body.session.progressions[0]).toMatchObject({
+      status: 'applied',
+      previousTargetWeight: 40,
+      nextTargetWeight: 42.5,
+    });
+
+    const programsResponse = await agent.get('/api/programs');
+    const listed = programsResponse.body.programs.find((item) => item.id === program.id);
+    expect(listed.nextWorkout).toMatchObject({ weekNumber: 1, dayNumber: 2, routineId: dayB.id });
+    const routinesResponse = await agent.get('/api/routines');
+    const updatedDayA = routinesResponse.body.routines.find((routine) => routine.id === dayA.id);
+    expect(updatedDayA.exercises[0].targetWeight).toBe(42.5);
+  });
+
+  it('evaluates progression rules when a workout ends and applies or undoes the new targets', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'progression-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const benchResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Progression Bench', primaryMuscles: ['chest'] });
+    const benchId = benchResponse.body.exercise.id;
+    const rowResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Progression Row', primaryMuscles: ['lats'] });
+    const rowId = rowResponse.body.exercise.id;
+
+    const invalidRule = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Invalid progression',
+        exercises: [{
+          exerciseId: benchId,
+          equipment: 'Bodyweight',
+          targetSets: 2,
+          targetReps: 8,
+          progressionRule: { type: 'double', repMin: 8, repMax: 10, weightIncrement: 2.5 },
+        }],
+      });
+    expect(invalidRule.status).toBe(400);
+    expect(invalidRule.body.error).toBe('Progression rules are only supported for weighted exercises.');
+    const invalidRange = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Invalid range',
+        exercises: [{
+          exerciseId: benchId,
+          equipment: 'Barbell',
+          targetSets: 2,
+          targetReps: 8,
+          progressionRule: { type: 'double', repMin: 10, repMax: 8, weightIncrement: 2.5 },
+        }],
+      });
+    expect(invalidRange.status).toBe(400);
+    expect(invalidRange.body.error).toMatch(/rep range/);
+
+    const routineResponse = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Progression Day',
+        exercises: [
+          {
+            exerciseId: benchId,
+            equipment: 'Barbell',
+            targetSets: 2,
+            targetReps: 8,
+            targetWeight: 60,
+            position: 0,
+            progressionRule: { type: 'double', repMin: 8, repMax: 10, weightIncrement: 2.5, autoApply: true },
+          },
+          {
+            exerciseId: rowId,
+            equipment: 'Barbell',
+            targetSets: 2,
+            targetReps: 5,
+            targetWeight: 50,
+            position: 1,
+            progressionRule: { type: 'reps_then_load', repMin: 5, repMax: 7, weightIncrement: 5 },
+          },
+        ],
+      });
+    expect(routineResponse.status).toBe(200);
+    const routine = routineResponse.body.routine;
+    const [benchSlot, rowSlot] = routine.exercises;
+    expect(benchSlot.progressionRule).toEqual({
+      type: 'double',
+      repMin: 8,
+      repMax: 10,
+      weightIncrement: 2.5,
+      autoApply: true,
+    });
+    expect(rowSlot.progressionRule.autoApply).toBe(false);
+
+    const sessionResponse = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: routine.id });
+    const sessionId = sessionResponse.body.session.id;
+    const logSet = (exerciseId, routineExerciseId, reps, weight) => agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId, routineExerciseId, reps, weight });
+    expect((await logSet(benchId, benchSlot.id, 10, 60)).status).toBe(200);
+    expect((await logSet(benchId, benchSlot.id, 10, 60)).status).toBe(200);
+    expect((await logSet(rowId, rowSlot.id, 5, 50)).status).toBe(200);
+    expect((await logSet(rowId, rowSlot.id, 6, 50)).status).toBe(200);
+
+    const endResponse = await agent
+      .put(`/api/sessions/${sessionId}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ endedAt: new Date().toISOString() });
+    expect(endResponse.status).toBe(200);
+    const [benchProgression, rowProgression] = endResponse.body.session.progressions;
+    expect(benchProgression).toMatchObject({
+      routineExerciseId: benchSlot.id,
+      exerciseName: 'Progression Bench',
+      ruleType: 'double',
+      kind: 'load',
+      status: 'applied',
+      previousTargetWeight: 60,
+      nextTargetWeight: 62.5,
+    });
+    expect(benchProgression.nextSetTargets.map((target) => target.targetReps)).toEqual([8, 8]);
+    expect(rowProgression).toMatchObject({
+      routineExerciseId: rowSlot.id,
+      ruleType: 'reps_then_load',
+      kind: 'reps',
+      status: 'proposed',
+      nextTargetWeight: 50,
+    });
+    expect(rowProgression.nextSetTargets.map((target) => target.targetReps)).toEqual([6, 6]);
+
+    const routineAfterEnd = await agent.get(`/api/routines/${routine.id}`);
+    const benchAfterEnd = routineAfterEnd.body.routine.exercises.find((item) => item.id === benchSlot.id);
+    const rowAfterEnd = routineAfterEnd.body.routine.exercises.find((item) => item.id === rowSlot.id);
+    expect(benchAfterEnd.targetWeight).toBe(62.5);
+    expect(benchAfterEnd.targetReps).toBe(8);
+    expect(rowAfterEnd.setTargets.map((target) => target.targetReps)).toEqual([5, 5]);
+
+    const applyResponse = await agent
+      .post(`/api/sessions/${sessionId}/progressions/${rowProgression.id}/apply`)
+      .set('x-csrf-token', csrfToken)
+      .send({});
+    expect(applyResponse.status).toBe(200);
+    expect(applyResponse.body.progression.status).toBe('applied');
+    const appliedRow = applyResponse.body.routine.exercises.find((item) => item.id === rowSlot.id);
+    expect(appliedRow.setTargets.map((target) => target.targetReps)).toEqual([6, 6]);
+
+    const undoResponse = await agent
+      .post(`/api/sessions/${sessionId}/progressions/${benchProgression.id}/undo`)
+      .set('x-csrf-token', csrfToken)
+      .send({});
+    expect(undoResponse.status).toBe(200);
+    expect(undoResponse.body.progression.status).toBe('reverted');
+    const revertedBench = undoResponse.body.routine.exercises.find((item) => item.id === benchSlot.id);
+    expect(revertedBench.targetWeight).toBe(60);
+    expect(revertedBench.setTargets.map((target) => target.targetReps)).toEqual([8, 8]);
+
+    const repeatUndo = await agent
+      .post(`/api/sessions/${sessionId}/progressions/${benchProgression.id}/undo`)
+      .set('x-csrf-token', csrfToken)
+      .send({});
+    expect(repeatUndo.status).toBe(400);
+    expect(repeatUndo.body.error).toBe('Only applied progressions can be undone.');
+    const missingProgression = await agent
+      .post(`/api/sessions/${sessionId}/progressions/999999/apply`)
+      .set('x-csrf-token', csrfToken)
+      .send({});
+    expect(missingProgression.status).toBe(404);
+
+    const detailResponse = await agent.get(`/api/sessions/${sessionId}`);
+    expect(detailResponse.body.session.progressions.map((progression) => progression.status)).toEqual([
+      'reverted',
+      'applied',
+    ]);
+    const exportResponse = await agent.get('/api/export');
+    const exportedRoutine = exportResponse.body.routines.find((item) => item.id === routine.id);
+    expect(exportedRoutine.exercises[0].progressionRule.type).toBe('double');
+  });
+
+  it('refuses to apply or undo a progression once the slot has moved on', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'stale-progression-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const benchResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Stale Progression Bench', primaryMuscles: ['chest'] });
+    const benchId = benchResponse.body.exercise.id;
+    const routineResponse = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Stale Progression Day',
+        exercises: [{
+          exerciseId: benchId,
+          equipment: 'Barbell',
+          targetSets: 2,
+          targetReps: 8,
+          targetWeight: 100,
+          position: 0,
+          progressionRule: { type: 'double', repMin: 8, repMax: 10, weightIncrement: 2.5, autoApply: true },
+        }],
+      });
+    const routine = routineResponse.body.routine;
+    const [benchSlot] = routine.exercises;
+
+    const runWorkout = async (weight) => {
+      const sessionResponse = await agent
+        .post('/api/sessions')
+        .set('x-csrf-token', csrfToken)
+        .send({ routineId: routine.id });
+      const sessionId = sessionResponse.body.session.id;
+      for (let index = 0; index < 2; index += 1) {
+        await agent
+          .post(`/api/sessions/${sessionId}/sets`)
+          .set('x-csrf-token', csrfToken)
+          .send({ exerciseId: benchId, routineExerciseId: benchSlot.id, reps: 10, weight });
+      }
+      const endResponse = await agent
+        .put(`/api/sessions/${sessionId}`)
+        .set('x-csrf-token', csrfToken)
+        .send({ endedAt: new Date().toISOString() });
+      return { sessionId, progression: endResponse.body.session.progressions[0] };
+    };
+    const setStatus = (workout, action) => agent
+      .post(`/api/sessions/${workout.sessionId}/progressions/${workout.progression.id}/${action}`)
+      .set('x-csrf-token', csrfToken)
+      .send({});
+    const readTargetWeight = async () => (await agent.get(`/api/routines/${routine.id}`))
+      .body.routine.exercises[0].targetWeight;
+
+    const first = await runWorkout(100);
+    const second = await runWorkout(102.5);
+    expect(first.progression).toMatchObject({ previousTargetWeight: 100, nextTargetWeight: 102.5 });
+    expect(second.progression).toMatchObject({ previousTargetWeight: 102.5, nextTargetWeight: 105 });
+
+    const staleUndo = await setStatus(first, 'undo');
+    expect(staleUndo.status).toBe(409);
+    expect(staleUndo.body.error).toBe('Routine targets have changed since this workout.');
+    expect(await readTargetWeight()).toBe(105);
+
+    expect((await setStatus(second, 'undo')).status).toBe(200);
+    expect(await readTargetWeight()).toBe(102.5);
+    expect((await setStatus(first, 'undo')).status).toBe(200);
+    expect(await readTargetWeight()).toBe(100);
+
+    const staleApply = await setStatus(second, 'apply');
+    expect(staleApply.status).toBe(409);
+    expect(await readTargetWeight()).toBe(100);
+  });
+
+  it('returns the last session sets per routine slot and the best set ever for a workout', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'last-performance-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const squatResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'History Squat', primaryMuscles: ['quadriceps'] });
+    const squatId = squatResponse.body.exercise.id;
+    const curlResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'History Curl', primaryMuscles: ['biceps'] });
+    const curlId = curlResponse.body.exercise.id;
+    const routineResponse = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'History Legs',
+        exercises: [
+          { exerciseId: squatId, equipment: 'Barbell', targetSets: 2, targetReps: 5, targetWeight: 100, position: 0 },
+          { exerciseId: curlId, equipment: 'Dumbbell', targetSets: 2, targetReps: 10, targetWeight: 12, position: 1 },
+        ],
+      });
+    const routine = routineResponse.body.routine;
+    const [squatSlot] = routine.exercises;
+
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const logPast = (body) => agent.post('/api/sessions/past').set('x-csrf-token', csrfToken).send(body);
+    const bestResponse = await logPast({
+      routineId: routine.id,
+      startedAt: daysAgo(10),
+      durationMinutes: 30,
+      exercises: [{ exerciseId: squatId, routineExerciseId: squatSlot.id, sets: [{ reps: 3, weight: 110 }] }],
+    });
+    expect(bestResponse.status).toBe(200);
+    const slotResponse = await logPast({
+      routineId: routine.id,
+      startedAt: daysAgo(5),
+      durationMinutes: 30,
+      exercises: [
+        {
+          exerciseId: squatId,
+          routineExerciseId: squatSlot.id,
+          sets: [{ reps: 5, weight: 100 }, { reps: 4, weight: 100 }],
+        },
+      ],
+    });
+    expect(slotResponse.status).toBe(200);
+    const freestyleResponse = await logPast({
+      freestyle: true,
+      startedAt: daysAgo(2),
+      durationMinutes: 20,
+      exercises: [{ exerciseId: squatId, equipment: 'Barbell', sets: [{ reps: 8, weight: 80 }] }],
+    });
+    expect(freestyleResponse.status).toBe(200);
+
+    const sessionResponse = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: routine.id });
+    const sessionId = sessionResponse.body.session.id;
+
+    const lastPerformanceResponse = await agent.get(`/api/sessions/${sessionId}/last-performance`);
+    expect(lastPerformanceResponse.status).toBe(200);
+    expect(lastPerformanceResponse.body.sessionId).toBe(sessionId);
+    const squat = lastPerformanceResponse.body.exercises.find((entry) => entry.exerciseId === squatId);
+    expect(squat.routineExerciseId).toBe(squatSlot.id);
+    expect(squat.lastSession.sessionId).toBe(slotResponse.body.session.id);
+    expect(squat.lastSession.matchedBy).toBe('routineExercise');
+    expect(squat.lastSession.sets.map((set) => [set.setIndex, set.reps, set.weight])).toEqual([
+      [1, 5, 100],
+      [2, 4, 100],
+    ]);
+    expect(squat.bestSet).toMatchObject({
+      reps: 3,
+      weight: 110,
+      sessionId: bestResponse.body.session.id,
+    });
+    const curl = lastPerformanceResponse.body.exercises.find((entry) => entry.exerciseId === curlId);
+    expect(curl.lastSession).toBeNull();
+    expect(curl.bestSet).toBeNull();
+
+    const freestyleSessionResponse = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ freestyle: true });
+    const freestyleSessionId = freestyleSessionResponse.body.session.id;
+    expect(freestyleSessionResponse.status).toBe(200);
+    const addResponse = await agent
+      .post(`/api/sessions/${freestyleSessionId}/exercises`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: squatId, equipment: 'Barbell' });
+    expect(addResponse.status).toBe(200);
+    const freestyleLastResponse = await agent.get(`/api/sessions/${freestyleSessionId}/last-performance`);
+    const [freestyleSquat] = freestyleLastResponse.body.exercises;
+    expect(freestyleSquat.lastSession.sessionId).toBe(freestyleResponse.body.session.id);
+    expect(freestyleSquat.lastSession.matchedBy).toBe('exercise');
+
+    const missingResponse = await agent.get('/api/sessions/999999/last-performance');
+    expect(missingResponse.status).toBe(404);
+  });
+
+  it('builds a printable routine sheet with the last sets for each slot', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'print-sheet-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const pressId = (await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Print Press', primaryMuscles: ['shoulders'] })).body.exercise.id;
+    const rowId = (await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Print Row', primaryMuscles: ['lats'] })).body.exercise.id;
+    const routine = (await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Print Upper',
+        exercises: [
+          { exerciseId: pressId, equipment: 'Barbell', targetSets: 2, targetReps: 5, targetWeight: 50, position: 0 },
+          { exerciseId: rowId, equipment: 'Dumbbell', targetSets: 3, targetReps: 10, targetWeight: 20, position: 1 },
+        ],
+      })).body.routine;
+    const [pressSlot, rowSlot] = routine.exercises;
+
+    const pastResponse = await agent
+      .post('/api/sessions/past')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        routineId: routine.id,
+        startedAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString(),
+        durationMinutes: 30,
+        exercises: [
+          { exerciseId: pressId, routineExerciseId: pressSlot.id, sets: [{ reps: 5, weight: 50 }, { reps: 4, weight: 50 }] },
+        ],
+      });
+    expect(pastResponse.status).toBe(200);
+
+    const sheetResponse = await agent.get(`/api/routines/${routine.id}/print`);
+    expect(sheetResponse.status).toBe(200);
+    expect(sheetResponse.body.routine).toMatchObject({ id: routine.id, name: 'Print Upper' });
+    const [pressHint, rowHint] = sheetResponse.body.lastPerformance;
+    expect(pressHint.routineExerciseId).toBe(pressSlot.id);
+    expect(pressHint.lastSession.sessionId).toBe(pastResponse.body.session.id);
+    expect(pressHint.lastSession.sets.map((set) => [set.reps, set.weight])).toEqual([[5, 50], [4, 50]]);
+    expect(rowHint).toMatchObject({ routineExerciseId: rowSlot.id, lastSession: null, bestSet: null });
+
+    const missingResponse = await agent.get('/api/routines/999999/print');
+    expect(missingResponse.status).toBe(404);
+  }, API_INTEGRATION_TEST_TIMEOUT);
+
+  it('detects personal records as sets are logged, edited and deleted', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'personal-record-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const squatId = (await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Record Squat', primaryMuscles: ['quadriceps'] })).body.exercise.id;
+    const pastResponse = await agent
+      .post('/api/sessions/past')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        freestyle: true,
+        startedAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString(),
+        durationMinutes: 30,
+        exercises: [{ exerciseId: squatId, equipment: 'Barbell', sets: [{ reps: 5, weight: 100 }] }],
+      });
+    expect(pastResponse.status).toBe(200);
+
+    const sessionId = (await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ freestyle: true })).body.session.id;
+    await agent
+      .post(`/api/sessions/${sessionId}/exercises`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: squatId, equipment: 'Barbell' });
+    const logSet = (set) => agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: squatId, ...set });
+
+    const warmupResponse = await logSet({ reps: 10, weight: 120, setType: 'warmup' });
+    expect(warmupResponse.status).toBe(200);
+    expect(warmupResponse.body.personalRecords).toEqual([]);
+    const matchingResponse = await logSet({ reps: 5, weight: 100 });
+    expect(matchingResponse.body.personalRecords).toEqual([]);
+    const recordResponse = await logSet({ reps: 6, weight: 100 });
+    expect(recordResponse.status).toBe(200);
+    const recordSetId = recordResponse.body.set.id;
+    expect(recordResponse.body.personalRecords.map((record) => [
+      record.recordType,
+      record.weight,
+      record.value,
+      record.previousValue,
+    ])).toEqual([
+      ['reps', 100, 6, 5],
+      ['e1rm', null, 120, 116.67],
+      ['volume', null, 1100, 500],
+    ]);
+    expect(recordResponse.body.personalRecords[0].setId).toBe(recordSetId);
+
+    const rpeResponse = await agent
+      .put(`/api/sets/${recordSetId}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ rpe: 9 });
+    expect(rpeResponse.status).toBe(200);
+    expect(rpeResponse.body.set.rpe).toBe(9);
+    expect(rpeResponse.body.personalRecords).toEqual([]);
+    const heavierResponse = await agent
+      .put(`/api/sets/${recordSetId}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ weight: 110 });
+    expect(heavierResponse.body.personalRecords.map((record) => record.recordType)).toEqual([
+      'weight',
+      'e1rm',
+      'volume',
+    ]);
+    expect(heavierResponse.body.personalRecords[0]).toMatchObject({ value: 110, previousValue: 100 });
+
+    const bestOf = (records, recordType, weight = null) => records.find(
+      (record) => record.recordType === recordType && record.weight === weight
+    )?.value ?? null;
+    // A set logged after the rest leaves the stored records alone and only grows the session volume.
+    const historyIds = (await agent.get(`/api/personal-records?exerciseId=${squatId}`)).body.history
+      .map((record) => record.id);
+    const backOffResponse = await logSet({ reps: 3, weight: 50 });
+    expect(backOffResponse.body.personalRecords).toEqual([]);
+    let recordsResponse = await agent.get(`/api/personal-records?exerciseId=${squatId}`);
+    expect(recordsResponse.body.history.map((record) => record.id).slice(0, historyIds.length)).toEqual(historyIds);
+    expect(bestOf(recordsResponse.body.records, 'volume')).toBe(1310);
+    expect(bestOf(recordsResponse.body.records, 'reps', 50)).toBe(3);
+
+    recordsResponse = await agent.get(`/api/personal-records?exerciseId=${squatId}`);
+    expect(recordsResponse.status).toBe(200);
+    expect(bestOf(recordsResponse.body.records, 'weight')).toBe(110);
+    expect(recordsResponse.body.records[0].exerciseName).toBe('Record Squat');
+    expect(recordsResponse.body.history.filter((record) => record.recordType === 'weight')).toHaveLength(2);
+
+    const deleteResponse = await agent
+      .delete(`/api/sets/${recordSetId}`)
+      .set('x-csrf-token', csrfToken);
+    expect(deleteResponse.status).toBe(200);
+    recordsResponse = await agent.get(`/api/personal-records?exerciseId=${squatId}`);
+    expect(bestOf(recordsResponse.body.records, 'weight')).toBe(100);
+    expect(bestOf(recordsResponse.body.records, 'reps', 100)).toBe(5);
+    expect(bestOf(recordsResponse.body.records, 'reps', 110)).toBeNull();
+
+    const deleteSessionResponse = await agent
+      .delete(`/api/sessions/${pastResponse.body.session.id}`)
+      .set('x-csrf-token', csrfToken);
+    expect(deleteSessionResponse.status).toBe(200);
+    recordsResponse = await agent.get('/api/personal-records');
+    expect(recordsResponse.body.history).toBeUndefined();
+    expect(recordsResponse.body.records.every((record) => record.sessionId === sessionId)).toBe(true);
+    expect(recordsResponse.body.records.every((record) => record.previousValue === null)).toBe(true);
+
+    const invalidResponse = await agent.get('/api/personal-records?exerciseId=abc');
+    expect(invalidResponse.status).toBe(400);
+  }, API_INTEGRATION_TEST_TIMEOUT);
+
+  it('celebrates each kind of record once per workout and keeps it on the best set', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'record-ramp-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const pressId = (await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Ramp Press', primaryMuscles: ['shoulders'] })).body.exercise.id;
+    await agent
+      .post('/api/sessions/past')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        freestyle: true,
+        startedAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
+        durationMinutes: 30,
+        exercises: [{ exerciseId: pressId, equipment: 'Barbell', sets: [{ reps: 5, weight: 60 }] }],
+      });
+    const sessionId = (await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ freestyle: true })).body.session.id;
+    await agent
+      .post(`/api/sessions/${sessionId}/exercises`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: pressId, equipment: 'Barbell' });
+    const logSet = (set) => agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: pressId, ...set });
+
+    const firstResponse = await logSet({ reps: 1, weight: 65 });
+    expect(firstResponse.body.personalRecords.map((record) => record.recordType)).toEqual(['weight']);
+    const secondResponse = await logSet({ reps: 1, weight: 70 });
+    expect(secondResponse.body.personalRecords).toEqual([]);
+
+    const recordsResponse = await agent.get(`/api/personal-records?exerciseId=${pressId}`);
+    const weightHistory = recordsResponse.body.history.filter((record) => record.recordType === 'weight');
+    expect(weightHistory.map((record) => [record.value, record.previousValue])).toEqual([[60, null], [70, 60]]);
+    expect(weightHistory[1].setId).toBe(secondResponse.body.set.id);
+  }, API_INTEGRATION_TEST_TIMEOUT);
+
+  it('pauses and resumes active workouts and excludes paused time from durations', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'pause-workout-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const exerciseResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Pause Press', primaryMuscles: ['chest'] });
+    const exerciseId = exerciseResponse.body.exercise.id;
+    const routineResponse = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Pause Day',
+        exercises: [{ exerciseId, equipment: 'Barbell', targetSets: 2, targetReps: 5, targetWeight: 60, position: 0 }],
+      });
+    const routine = routineResponse.body.routine;
+    const [routineItem] = routine.exercises;
+
+    const nowMs = Date.now();
+    const minutesAgo = (minutes) => new Date(nowMs - minutes * 60 * 1000).toISOString();
+    const sessionResponse = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: routine.id, startedAt: minutesAgo(100) });
+    const sessionId = sessionResponse.body.session.id;
+    expect(sessionResponse.body.session.pausedAt).toBeNull();
+    expect(sessionResponse.body.session.pauses).toEqual([]);
+
+    await agent
+      .post(`/api/sessions/${sessionId}/exercises/${exerciseId}/start`)
+      .set('x-csrf-token', csrfToken)
+      .send({ routineExerciseId: routineItem.id, startedAt: minutesAgo(95) });
+
+    const notPausedResponse = await agent
+      .post(`/api/sessions/${sessionId}/resume`)
+      .set('x-csrf-token', csrfToken)
+      .send({});
+    expect(notPausedResponse.status).toBe(400);
+    expect(notPausedResponse.body.error).toBe('Workout is not paused.');
+
+    const pauseResponse = await agent
+      .post(`/api/sessions/${sessionId}/pause`)
+      .set('x-csrf-token', csrfToken)
+      .send({ pausedAt: minutesAgo(90) });
+    expect(pauseResponse.status).toBe(200);
+    expect(pauseResponse.body.session.pausedAt).toBe(minutesAgo(90));
+
+    const activeWhilePaused = await agent.get('/api/sessions/active');
+    expect(activeWhilePaused.body.session.pausedAt).toBe(minutesAgo(90));
+
+    const doublePauseResponse = await agent
+      .post(`/api/sessions/${sessionId}/pause`)
+      .set('x-csrf-token', csrfToken)
+      .send({});
+    expect(doublePauseResponse.status).toBe(400);
+    expect(doublePauseResponse.body.error).toBe('Workout is already paused.');
+
+    const resumeResponse = await agent
+      .post(`/api/sessions/${sessionId}/resume`)
+      .set('x-csrf-token', csrfToken)
+      .send({ resumedAt: minutesAgo(30) });
+    expect(resumeResponse.status).toBe(200);
+    expect(resumeResponse.body.session.pausedAt).toBeNull();
+    expect(resumeResponse.body.session.pauses).toEqual([
+      { pausedAt: minutesAgo(90), resumedAt: minutesAgo(30) },
+    ]);
+
+    await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId, routineExerciseId: routineItem.id, reps: 5, weight: 60 });
+    const completeResponse = await agent
+      .post(`/api/sessions/${sessionId}/exercises/${exerciseId}/complete`)
+      .set('x-csrf-token', csrfToken)
+      .send({ routineExerciseId: routineItem.id, completedAt: minutesAgo(20) });
+    expect(completeResponse.body.exerciseProgress.durationSeconds).toBe(15 * 60);
+
+    const syncPause = await agent
+      .post('/api/sync/batch')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        operations: [
+          {
+            operationId: 'sync-pause-1',
+            operationType: 'session.pause',
+            payload: { sessionId, pausedAt: minutesAgo(10) },
+          },
+        ],
+      });
+    expect(syncPause.body.summary.applied).toBe(1);
+
+    const endResponse = await agent
+      .put(`/api/sessions/${sessionId}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ endedAt: new Date(nowMs).toISOString() });
+    expect(endResponse.status).toBe(200);
+    const endedSession = endResponse.body.session;
+    expect(endedSession.pausedAt).toBeNull();
+    expect(endedSession.pauses[1]).toEqual({
+      pausedAt: minutesAgo(10),
+      resumedAt: new Date(nowMs).toISOString(),
+    });
+    expect(endedSession.durationSeconds).toBe(30 * 60);
+    expect(endedSession.exercises[0].durationSeconds).toBe(15 * 60);
+
+    const listResponse = await agent.get('/api/sessions');
+    expect(listResponse.body.sessions[0].durationSeconds).toBe(30 * 60);
+
+    const afterEndResponse = await agent
+      .post(`/api/sessions/${sessionId}/pause`)
+      .set('x-csrf-token', csrfToken)
+      .send({});
+    expect(afterEndResponse.status).toBe(400);
+    expect(afterEndResponse.body.error).toBe('Workout has already ended.');
+
+    const statsResponse = await agent.get('/api/stats/overview');
+    expect(statsResponse.body.summary.timeSpentWeekMinutes).toBe(30);
+    expect(statsResponse.body.summary.avgSessionTimeWeekMinutes).toBe(30);
+
+    // Pulling the end time back into the last pause only counts the paused time before the new end.
+    const earlierEndResponse = await agent
+      .put(`/api/sessions/${sessionId}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ endedAt: minutesAgo(5) });
+    expect(earlierEndResponse.body.session.durationSeconds).toBe(30 * 60);
+    const clippedStatsResponse = await agent.get('/api/stats/overview');
+    expect(clippedStatsResponse.body.summary.timeSpentWeekMinutes).toBe(30);
+
+    const exportResponse = await agent.get('/api/export');
+    expect(exportResponse.body.sessions[0].pauses).toHaveLength(2);
+  });
+
+  it('auto-closes abandoned workouts at the last set and lets the user review the end time', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'auto-close-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const exerciseResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Forgotten Row', primaryMuscles: ['lats'] });
+    const exerciseId = exerciseResponse.body.exercise.id;
+    const routineResponse = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Forgotten Day',
+        exercises: [{ exerciseId, equipment: 'Dumbbell', targetSets: 3, targetReps: 10, targetWeight: 20, position: 0 }],
+      });
+    const routine = routineResponse.body.routine;
+
+    const nowMs = Date.now();
+    const hoursAgo = (hours) => new Date(nowMs - hours * 60 * 60 * 1000).toISOString();
+    const sessionResponse = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: routine.id, startedAt: hoursAgo(10) });
+    const sessionId = sessionResponse.body.session.id;
+    await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({
+        exerciseId,
+        routineExerciseId: routine.exercises[0].id,
+        reps: 10,
+        weight: 20,
+        completedAt: hoursAgo(9.5),
+      });
+
+    const recentResult = runSessionAutoCloseCycle({ db, idleMs: 12 * 60 * 60 * 1000, now: nowMs });
+    expect(recentResult.closed.some((entry) => entry.sessionId === sessionId)).toBe(false);
+
+    const result = runSessionAutoCloseCycle({ db, idleMs: 6 * 60 * 60 * 1000, now: nowMs });
+    expect(result.closed).toContainEqual(expect.objectContaining({ sessionId, endedAt: hoursAgo(9.5) }));
+
+    const activeResponse = await agent.get('/api/sessions/active');
+    expect(activeResponse.body.session).toBeNull();
+
+    const autoClosedResponse = await agent.get('/api/sessions/auto-closed');
+    expect(autoClosedResponse.body.sessions.map((session) => session.id)).toEqual([sessionId]);
+    expect(autoClosedResponse.body.sessions[0].endedAt).toBe(hoursAgo(9.5));
+    expect(autoClosedResponse.body.sessions[0].autoClosedAt).toBe(new Date(nowMs).toISOString());
+    expect(autoClosedResponse.body.sessions[0].durationSeconds).toBe(30 * 60);
+
+    const futureReview = await agent
+      .post(`/api/sessions/${sessionId}/auto-close/review`)
+      .set('x-csrf-token', csrfToken)
+      .send({ endedAt: new Date(nowMs + 60 * 60 * 1000).toISOString() });
+    expect(futureReview.status).toBe(400);
+    expect(futureReview.body.error).toBe('End time cannot be in the future.');
+
+    const reviewResponse = await agent
+      .post(`/api/sessions/${sessionId}/auto-close/review`)
+      .set('x-csrf-token', csrfToken)
+      .send({ endedAt: hoursAgo(9) });
+    expect(reviewResponse.status).toBe(200);
+    expect(reviewResponse.body.session.endedAt).toBe(hoursAgo(9));
+    expect(reviewResponse.body.session.durationSeconds).toBe(60 * 60);
+    expect(reviewResponse.body.session.autoCloseReviewedAt).toBeTypeOf('string');
+
+    const afterReview = await agent.get('/api/sessions/auto-closed');
+    expect(afterReview.body.sessions).toEqual([]);
+
+    const emptySession = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: routine.id, startedAt: hoursAgo(8) });
+    const emptyResult = runSessionAutoCloseCycle({ db, idleMs: 6 * 60 * 60 * 1000, now: nowMs });
+    expect(emptyResult.discarded).toContain(emptySession.body.session.id);
+    const emptyDetail = await agent.get(`/api/sessions/${emptySession.body.session.id}`);
+    expect(emptyDetail.status).toBe(404);
+
+    const manualSession = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: routine.id });
+    const notAutoClosed = await agent
+      .post(`/api/sessions/${manualSession.body.session.id}/auto-close/review`)
+      .set('x-csrf-token', csrfToken)
+      .send({});
+    expect(notAutoClosed.status).toBe(400);
+    expect(notAutoClosed.body.error).toBe('Workout was not closed automatically.');
+  });
+
+  it('finishes auto-closed workouts like ended ones and keeps pauses inside a reviewed end', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'auto-close-hooks-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const exerciseResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Sweeper Press', primaryMuscles: ['shoulders'] });
+    const exerciseId = exerciseResponse.body.exercise.id;
+    const createRoutine = async (name) => {
+      const response = await agent
+        .post('/api/routines')
+        .set('x-csrf-token', csrfToken)
+        .send({
+          name,
+          exercises: [{
+            exerciseId,
+            equipment: 'Barbell',
+            targetSets: 2,
+            targetReps: 8,
+            targetWeight: 40,
+            progressionRule: { type: 'double', repMin: 8, repMax: 10, weightIncrement: 2.5, autoApply: true },
+          }],
+        });
+      return response.body.routine;
+    };
+    const dayA = await createRoutine('Sweeper Day A');
+    const dayB = await createRoutine('Sweeper Day B');
+    const programResponse = await agent
+      .post('/api/programs')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Sweeper block', weeks: [{}], days: [{ routineId: dayA.id }, { routineId: dayB.id }] });
+    const program = programResponse.body.program;
+
+    const nowMs = Date.now();
+    const hoursAgo = (hours) => new Date(nowMs - hours * 60 * 60 * 1000).toISOString();
+    const sessionResponse = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: dayA.id, programId: program.id, startedAt: hoursAgo(10) });
+    const sessionId = sessionResponse.body.session.id;
+    const routineExerciseId = sessionResponse.body.session.exercises[0].routineExerciseId;
+    for (const completedAt of [hoursAgo(9.55), hoursAgo(9.5)]) {
+      await agent
+        .post(`/api/sessions/${sessionId}/sets`)
+        .set('x-csrf-token', csrfToken)
+        .send({ exerciseId, routineExerciseId, reps: 10, weight: 40, completedAt });
+    }
+    const pauseAt = async (pausedAt, resumedAt) => {
+      await agent.post(`/api/sessions/${sessionId}/pause`).set('x-csrf-token', csrfToken).send({ pausedAt });
+      await agent.post(`/api/sessions/${sessionId}/resume`).set('x-csrf-token', csrfToken).send({ resumedAt });
+    };
+    await pauseAt(hoursAgo(9.8), hoursAgo(9.6));
+    await pauseAt(hoursAgo(9.58), hoursAgo(9.56));
+
+    const result = runSessionAutoCloseCycle({
+      db,
+      idleMs: 6 * 60 * 60 * 1000,
+      now: nowMs,
+      onSessionClosed: runSessionCompletionHooks,
+    });
+    expect(result.closed).toContainEqual(expect.objectContaining({ sessionId, endedAt: hoursAgo(9.5) }));
+
+    const closedResponse = await agent.get(`/api/sessions/${sessionId}`);
+    expect(closedResponse.body.session.progressions[0]).toMatchObject({
+      status: 'applied',
+      previousTargetWeight: 40,
+      nextTargetWeight: 42.5,
+    });
+    const programsResponse = await agent.get('/api/programs');
+    expect(programsResponse.body.programs[0].nextWorkout).toMatchObject({ dayNumber: 2, routineId: dayB.id });
+
+    const reviewResponse = await agent
+      .post(`/api/sessions/${sessionId}/auto-close/review`)
+      .set('x-csrf-token', csrfToken)
+      .send({ endedAt: hoursAgo(9.7) });
+    expect(reviewResponse.status).toBe(200);
+    expect(reviewResponse.body.session.pauses).toEqual([{ pausedAt: hoursAgo(9.8), resumedAt: hoursAgo(9.7) }]);
+    expect(reviewResponse.body.session.durationSeconds).toBe(12 * 60);
+  });
+
+  it('keeps closing other abandoned workouts when one of them fails to close', async () => {
+    const nowMs = Date.now();
+    const hoursAgo = (hours) => new Date(nowMs - hours * 60 * 60 * 1000).toISOString();
+    const startIdleWorkout = async (username) => {
+      const agent = request.agent(app);
+      await registerUser(agent, username);
+      const csrfToken = await fetchCsrfToken(agent);
+      const exerciseResponse = await agent
+        .post('/api/exercises')
+        .set('x-csrf-token', csrfToken)
+        .send({ name: `${username} Curl`, primaryMuscles: ['biceps'] });
+      const exerciseId = exerciseResponse.body.exercise.id;
+      const routineResponse = await agent
+        .post('/api/routines')
+        .set('x-csrf-token', csrfToken)
+        .send({
+          name: `${username} Day`,
+          exercises: [{ exerciseId, equipment: 'Dumbbell', targetSets: 1, targetReps: 10, targetWeight: 12, position: 0 }],
+        });
+      const routine = routineResponse.body.routine;
+      const sessionResponse = await agent
+        .post('/api/sessions')
+        .set('x-csrf-token', csrfToken)
+        .send({ routineId: routine.id, startedAt: hoursAgo(10) });
+      const sessionId = sessionResponse.body.session.id;
+      await agent
+        .post(`/api/sessions/${sessionId}/sets`)
+        .set('x-csrf-token', csrfToken)
+        .send({
+          exerciseId,
+          routineExerciseId: routine.exercises[0].id,
+          reps: 10,
+          weight: 12,
+          completedAt: hoursAgo(9.5),
+        });
+      return { agent, sessionId };
+    };
+    const broken = await startIdleWorkout('auto-close-broken-user');
+    const healthy = await startIdleWorkout('auto-close-healthy-user');
+
+    const warnings = [];
+    const controller = startSessionAutoClose({
+      db,
+      idleMs: 6 * 60 * 60 * 1000,
+      now: () => nowMs,
+      logger: { info() {}, warn: (...args) => warnings.push(args) },
+      onSessionClosed: (sessionId) => {
+        if (sessionId === broken.sessionId) throw new Error('Hook failed.');
+        runSessionCompletionHooks(sessionId);
+      },
+    });
+    controller.stop();
+
+    expect(warnings).toContainEqual([
+      `Could not close abandoned workout ${broken.sessionId}.`,
+      expect.objectContaining({ message: 'Hook failed.' }),
+    ]);
+    expect((await broken.agent.get('/api/sessions/active')).body.session.id).toBe(broken.sessionId);
+    expect((await healthy.agent.get('/api/sessions/active')).body.session).toBeNull();
+
+    const retry = runSessionAutoCloseCycle({
+      db,
+      idleMs: 6 * 60 * 60 * 1000,
+      now: nowMs,
+      onSessionClosed: runSessionCompletionHooks,
+    });
+    expect(retry.failed).toEqual([]);
+    expect(retry.closed).toContainEqual(expect.objectContaining({ sessionId: broken.sessionId }));
+  });
+
+  it('runs freestyle workouts with exercises appended mid-session and through sync batch', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'freestyle-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const curlResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Freestyle Curl', primaryMuscles: ['biceps'], notes: '' });
+    expect(curlResponse.status).toBe(200);
+    const curlId = curlResponse.body.exercise.id;
+    const dipResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Freestyle Dip', primaryMuscles: ['triceps'], notes: '' });
+    expect(dipResponse.status).toBe(200);
+    const dipId = dipResponse.body.exercise.id;
+
+    const sessionResponse = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ freestyle: true, name: 'Freestyle workout' });
+    expect(sessionResponse.status).toBe(200);
+    expect(sessionResponse.body.session.routineId).toBeNull();
+    expect(sessionResponse.body.session.exercises).toEqual([]);
+    const sessionId = sessionResponse.body.session.id;
+
+    const addCurlResponse = await agent
+      .post(`/api/sessions/${sessionId}/exercises`)
+      .set('x-csrf-token', csrfToken)
+      .send({
+        exerciseId: curlId,
+        equipment: 'Dumbbell',
+        targetSets: 2,
+        targetReps: 12,
+        targetRestSeconds: 60,
+        targetWeight: 14,
+      });
+    expect(addCurlResponse.status).toBe(200);
+    expect(addCurlResponse.body.exercise).toMatchObject({
+      exerciseId: curlId,
+      routineExerciseId: null,
+      name: 'Freestyle Curl',
+      equipment: 'Dumbbell',
+      targetSets: 2,
+      targetReps: 12,
+      targetWeight: 14,
+      position: 0,
+      status: 'pending',
+    });
+    expect(addCurlResponse.body.exercise.setTargets).toHaveLength(2);
+
+    const duplicateAddResponse = await agent
+      .post(`/api/sessions/${sessionId}/exercises`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: curlId, equipment: 'Dumbbell', targetSets: 1, targetReps: 10 });
+    expect(duplicateAddResponse.status).toBe(400);
+    expect(duplicateAddResponse.body.error).toBe('Exercise is already in this workout.');
+
+    const missingEquipmentResponse = await agent
+      .post(`/api/sessions/${sessionId}/exercises`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: dipId, targetSets: 1, targetReps: 10 });
+    expect(missingEquipmentResponse.status).toBe(400);
+
+    for (const reps of [12, 11]) {
+      const setResponse = await agent
+        .post(`/api/sessions/${sessionId}/sets`)
+        .set('x-csrf-token', csrfToken)
+        .send({ exerciseId: curlId, reps, weight: 14 });
+      expect(setResponse.status).toBe(200);
+    }
+    const extraSetResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: curlId, reps: 10, weight: 14 });
+    expect(extraSetResponse.status).toBe(400);
+    expect(extraSetResponse.body.error).toBe('Target set count reached for this exercise.');
+
+    const syncOperation = {
+      operationId: 'freestyle-add-dip-1',
+      operationType: 'session_exercise.add',
+      payload: {
+        sessionId,
+        exerciseId: dipId,
+        equipment: 'Bodyweight',
+        targetSets: 3,
+        targetReps: 8,
+        targetRestSeconds: 90,
+      },
+    };
+    const syncApplyResponse = await agent
+      .post('/api/sync/batch')
+      .set('x-csrf-token', csrfToken)
+      .send({ operations: [syncOperation] });
+    expect(syncApplyResponse.status).toBe(200);
+    expect(syncApplyResponse.body.summary.applied).toBe(1);
+    expect(syncApplyResponse.body.results[0].result.exercise).toMatchObject({
+      exerciseId: dipId,
+      position: 1,
+      targetSets: 3,
+    });
+
+    const syncDuplicateResponse = await agent
+      .post('/api/sync/batch')
+      .set('x-csrf-token', csrfToken)
+      .send({ operations: [syncOperation] });
+    expect(syncDuplicateResponse.status).toBe(200);
+    expect(syncDuplicateResponse.body.summary.duplicates).toBe(1);
+
+    const detailResponse = await agent.get(`/api/sessions/${sessionId}`);
+    expect(detailResponse.status).toBe(200);
+    const detailExercises = detailResponse.body.session.exercises;
+    expect(detailExercises.map((exercise) => exercise.name)).toEqual(['Freestyle Curl', 'Freestyle Dip']);
+    expect(detailExercises[0].status).toBe('completed');
+    expect(detailExercises[0].sets).toHaveLength(2);
+    expect(detailExercises[1]).toMatchObject({ status: 'pending', equipment: 'Bodyweight', targetReps: 8 });
+
+    const endResponse = await agent
+      .put(`/api/sessions/${sessionId}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ endedAt: new Date().toISOString() });
+    expect(endResponse.status).toBe(200);
+
+    const addAfterEndResponse = await agent
+      .post(`/api/sessions/${sessionId}/exercises`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: dipId, equipment: 'Bodyweight', targetSets: 1, targetReps: 10 });
+    expect(addAfterEndResponse.status).toBe(400);
+    expect(addAfterEndResponse.body.error).toBe('Workout has already ended.');
+  }, API_INTEGRATION_TEST_TIMEOUT);
+
+  it('swaps pending exercises mid-workout and attributes sets to the performed exercise', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'substitute-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const createExercise = async (payload) => {
+      const response = await agent
+        .post('/api/exercises')
+        .set('x-csrf-token', csrfToken)
+        .send({ notes: '', ...payload });
+      expect(response.status).toBe(200);
+      return response.body.exercise.id;
+    };
+    const squatId = await createExercise({
+      name: 'Swap Back Squat',
+      primaryMuscles: ['quadriceps'],
+      mechanic: 'compound',
+      equipment: 'barbell',
+    });
+    const hackSquatId = await createExercise({
+      name: 'Swap Hack Squat',
+      primaryMuscles: ['quadriceps'],
+      mechanic: 'compound',
+      equipment: 'barbell',
+    });
+    const legCurlId = await createExercise({
+      name: 'Swap Leg Curl',
+      primaryMuscles: ['hamstrings'],
+      mechanic: 'isolation',
+      equipment: 'machine',
+    });
+    const nordicCurlId = await createExercise({
+      name: 'Swap Nordic Curl',
+      primaryMuscles: ['hamstrings'],
+      mechanic: 'isolation',
+      equipment: 'body only',
+    });
+
+    const routineResponse = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Swap Legs',
+        exercises: [
+          {
+            exerciseId: squatId,
+            equipment: 'Barbell',
+            targetSets: 3,
+            targetReps: 5,
+            targetRestSeconds: 120,
+            targetWeight: 100,
+            position: 0,
+          },
+          {
+            exerciseId: legCurlId,
+            equipment: 'Machine',
+            targetSets: 2,
+            targetReps: 10,
+            targetRestSeconds: 60,
+            targetWeight: 40,
+            position: 1,
+          },
+        ],
+      });
+    expect(routineResponse.status).toBe(200);
+    const routineId = routineResponse.body.routine.id;
+    const [squatSlot, legCurlSlot] = routineResponse.body.routine.exercises;
+
+    const sessionResponse = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId });
+    expect(sessionResponse.status).toBe(200);
+    const sessionId = sessionResponse.body.session.id;
+
+    const alternativesResponse = await agent
+      .get(`/api/sessions/${sessionId}/exercises/${squatId}/alternatives`)
+      .query({ routineExerciseId: squatSlot.id, limit: 25 });
+    expect(alternativesResponse.status).toBe(200);
+    expect(alternativesResponse.body.exercise).toMatchObject({
+      id: squatId,
+      primaryMuscles: ['quadriceps'],
+      mechanic: 'compound',
+      equipment: 'barbell',
+    });
+    const { alternatives } = alternativesResponse.body;
+    expect(alternatives[0]).toMatchObject({
+      exerciseId: hackSquatId,
+      inCatalog: true,
+      matches: { primaryMuscles: true, mechanic: true, equipment: true },
+    });
+    expect(alternatives.some((item) => item.exerciseId === legCurlId)).toBe(false);
+    expect(alternatives.some((item) => item.exerciseId === squatId)).toBe(false);
+    expect(alternatives.every((item) => item.primaryMuscles.includes('quadriceps'))).toBe(true);
+    expect(alternatives.some((item) => !item.inCatalog && item.forkId)).toBe(true);
+
+    const substituteResponse = await agent
+      .post(`/api/sessions/${sessionId}/exercises/${squatId}/substitute`)
+      .set('x-csrf-token', csrfToken)
+      .send({ routineExerciseId: squatSlot.id, substituteExerciseId: hackSquatId });
+    expect(substituteResponse.status).toBe(200);
+    expect(substituteResponse.body.exercise).toMatchObject({
+      exerciseId: hackSquatId,
+      routineExerciseId: squatSlot.id,
+      sessionExerciseKey: `routine:${squatSlot.id}`,
+      name: 'Swap Hack Squat',
+      equipment: 'Barbell',
+      targetSets: 3,
+      targetReps: 5,
+      targetWeight: 100,
+      targetRestSeconds: 120,
+      originalExerciseId: squatId,
+      originalExerciseName: 'Swap Back Squat',
+    });
+    expect(substituteResponse.body.exerciseProgress).toMatchObject({
+      exerciseId: hackSquatId,
+      originalExerciseId: squatId,
+    });
+
+    const plannedSetResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: squatId, routineExerciseId: squatSlot.id, reps: 5, weight: 100 });
+    expect(plannedSetResponse.status).toBe(404);
+
+    const firstSetResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: hackSquatId, routineExerciseId: squatSlot.id, reps: 5, weight: 100 });
+    expect(firstSetResponse.status).toBe(200);
+    expect(firstSetResponse.body.set.sessionExerciseKey).toBe(`routine:${squatSlot.id}`);
+    const secondSetResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: hackSquatId, reps: 5, weight: 105 });
+    expect(secondSetResponse.status).toBe(200);
+    expect(secondSetResponse.body.set.routineExerciseId).toBe(squatSlot.id);
+    expect(secondSetResponse.body.set.setIndex).toBe(2);
+
+    const lockedSwapResponse = await agent
+      .post(`/api/sessions/${sessionId}/exercises/${hackSquatId}/substitute`)
+      .set('x-csrf-token', csrfToken)
+      .send({ routineExerciseId: squatSlot.id, substituteExerciseId: squatId });
+    expect(lockedSwapResponse.status).toBe(400);
+    expect(lockedSwapResponse.body.error).toBe('Only exercises without logged sets can be swapped.');
+
+    const syncOperation = {
+      operationId: 'substitute-leg-curl-1',
+      operationType: 'session_exercise.substitute',
+      payload: {
+        sessionId,
+        exerciseId: legCurlId,
+        routineExerciseId: legCurlSlot.id,
+        substituteExerciseId: nordicCurlId,
+      },
+    };
+    const syncResponse = await agent
+      .post('/api/sync/batch')
+      .set('x-csrf-token', csrfToken)
+      .send({ operations: [syncOperation] });
+    expect(syncResponse.status).toBe(200);
+    expect(syncResponse.body.summary.applied).toBe(1);
+    expect(syncResponse.body.results[0].result.exercise).toMatchObject({
+      exerciseId: nordicCurlId,
+      originalExerciseId: legCurlId,
+    });
+
+    const swapBackResponse = await agent
+      .post(`/api/sessions/${sessionId}/exercises/${nordicCurlId}/substitute`)
+      .set('x-csrf-token', csrfToken)
+      .send({ routineExerciseId: legCurlSlot.id, substituteExerciseId: legCurlId });
+    expect(swapBackResponse.status).toBe(200);
+    expect(swapBackResponse.body.exercise).toMatchObject({
+      exerciseId: legCurlId,
+      name: 'Swap Leg Curl',
+      originalExerciseId: null,
+      originalExerciseName: null,
+    });
+
+    const endResponse = await agent
+      .put(`/api/sessions/${sessionId}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ endedAt: new Date().toISOString() });
+    expect(endResponse.status).toBe(200);
+
+    const detailResponse = await agent.get(`/api/sessions/${sessionId}`);
+    expect(detailResponse.status).toBe(200);
+    const [squatDetail, legCurlDetail] = detailResponse.body.session.exercises;
+    expect(squatDetail).toMatchObject({
+      exerciseId: hackSquatId,
+      name: 'Swap Hack Squat',
+      originalExerciseName: 'Swap Back Squat',
+    });
+    expect(squatDetail.sets.map((set) => set.weight)).toEqual([100, 105]);
+    expect(legCurlDetail).toMatchObject({ exerciseId: legCurlId, originalExerciseId: null });
+
+    const performedProgression = await agent
+      .get('/api/stats/progression')
+      .query({ exerciseId: hackSquatId });
+    expect(performedProgression.status).toBe(200);
+    expect(performedProgression.body.points).toHaveLength(1);
+    expect(performedProgression.body.points[0].topWeight).toBe(105);
+    const plannedProgression = await agent
+      .get('/api/stats/progression')
+      .query({ exerciseId: squatId });
+    expect(plannedProgression.status).toBe(200);
+    expect(plannedProgression.body.points).toHaveLength(0);
+
+    const exportResponse = await agent.get('/api/export');
+    expect(exportResponse.status).toBe(200);
+    const exportedProgress = exportResponse.body.sessions
+      .find((session) => session.id === sessionId)
+      .exerciseProgress.find((progress) => progress.routineExerciseId === squatSlot.id);
+    expect(exportedProgress).toMatchObject({ exerciseId: hackSquatId, originalExerciseId: squatId });
+  }, API_INTEGRATION_TEST_TIMEOUT);
+
+  it('runs multi-week programs with week modifiers, a next-day pointer and program stats filters', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'program-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const exerciseResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Program Squat', primaryMuscles: ['quadriceps'] });
+    const squatId = exerciseResponse.body.exercise.id;
+    const createRoutine = async (name) => {
+      const response = await agent
+        .post('/api/routines')
+        .set('x-csrf-token', csrfToken)
+        .send({
+          name,
+          exercises: [{ exerciseId: squatId, equipment: 'Barbell', targetSets: 2, targetReps: 5, targetWeight: 100 }],
+        });
+      return response.body.routine;
+    };
+    const dayA = await createRoutine('Program Day A');
+    const dayB = await createRoutine('Program Day B');
+
+    const invalidProgram = await agent
+      .post('/api/programs')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Empty block', weeks: [{}], days: [] });
+    expect(invalidProgram.status).toBe(400);
+    expect(invalidProgram.body.error).toBe('Programs need 1-14 workout days.');
+    const foreignRoutine = await agent
+      .post('/api/programs')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Foreign', weeks: [{}], days: [{ routineId: 999999 }] });
+    expect(foreignRoutine.status).toBe(404);
+
+    const createResponse = await agent
+      .post('/api/programs')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Strength block',
+        weeks: [{}, { volumePercent: 150, intensityPercent: 105 }, { deload: true }],
+        days: [{ routineId: dayA.id, label: 'Heavy' }, { routineId: dayB.id }],
+      });
+    expect(createResponse.status).toBe(200);
+    const program = createResponse.body.program;
+    expect(program.weekCount).toBe(3);
+    expect(program.weeks[2]).toEqual({ weekNumber: 3, volumePercent: 50, intensityPercent: 80, deload: true });
+    expect(program.nextWorkout).toMatchObject({ weekNumber: 1, dayNumber: 1, routineId: dayA.id, label: 'Heavy' });
+
+    const wrongDay = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: dayB.id, programId: program.id });
+    expect(wrongDay.status).toBe(400);
+    expect(wrongDay.body.error).toBe('Routine is not the next workout in this program.');
+
+    const runProgramWorkout = async (routineId, reps) => {
+      const started = await agent
+        .post('/api/sessions')
+        .set('x-csrf-token', csrfToken)
+        .send({ routineId, programId: program.id });
+      expect(started.status).toBe(200);
+      const session = started.body.session;
+      await agent
+        .post(`/api/sessions/${session.id}/sets`)
+        .set('x-csrf-token', csrfToken)
+        .send({ exerciseId: squatId, routineExerciseId: session.exercises[0].routineExerciseId, reps, weight: 100 });
+      const ended = await agent
+        .put(`/api/sessions/${session.id}`)
+        .set('x-csrf-token', csrfToken)
+        .send({ endedAt: new Date().toISOString() });
+      return ended.body.session;
+    };
+
+    const weekOneSession = await runProgramWorkout(dayA.id, 5);
+    expect(weekOneSession.program).toMatchObject({ id: program.id, weekNumber: 1, dayNumber: 1, deload: false });
+    expect(weekOneSession.exercises[0]).toMatchObject({ targetSets: 2, targetWeight: 100 });
+
+    const skipResponse = await agent
+      .post(`/api/programs/${program.id}/skip`)
+      .set('x-csrf-token', csrfToken)
+      .send({});
+    expect(skipResponse.body.program.nextWorkout).toMatchObject({ weekNumber: 2, dayNumber: 1 });
+
+    const weekTwoSession = await runProgramWorkout(dayA.id, 8);
+    expect(weekTwoSession.exercises[0]).toMatchObject({ targetSets: 3, targetWeight: 105 });
+    expect(weekTwoSession.exercises[0].setTargets.map((target) => target.setIndex)).toEqual([1, 2, 3]);
+
+    const programsResponse = await agent.get('/api/programs');
+    const listed = programsResponse.body.programs.find((item) => item.id === program.id);
+    expect(listed.completedWorkouts).toBe(2);
+    expect(listed.nextWorkout).toMatchObject({ weekNumber: 2, dayNumber: 2, routineId: dayB.id });
+
+    await runProgramWorkout(dayB.id, 5);
+    const deloadStart = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: dayA.id, programId: program.id });
+    const deloadExercise = deloadStart.body.session.exercises[0];
+    expect(deloadStart.body.session.program.deload).toBe(true);
+    expect(deloadExercise).toMatchObject({ targetSets: 1, targetWeight: 80 });
+    await agent.delete(`/api/sessions/${deloadStart.body.session.id}`).set('x-csrf-token', csrfToken);
+
+    const weekTwoStats = await agent.get(`/api/stats/timeseries?bucket=week&window=30d&programId=${program.id}&programWeek=2`);
+    expect(weekTwoStats.status).toBe(200);
+    expect(weekTwoStats.body).toMatchObject({ programId: program.id, programWeek: 2 });
+    expect(weekTwoStats.body.summary).toMatchObject({ totalSets: 2, totalSessions: 2 });
+    const programOverview = await agent.get(`/api/stats/overview?programId=${program.id}`);
+    expect(programOverview.body.summary.totalSessions).toBe(3);
+
+    const updateResponse = await agent
+      .put(`/api/programs/${program.id}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Short block', weeks: [{}], days: [{ routineId: dayA.id }] });
+    expect(updateResponse.status).toBe(200);
+    expect(updateResponse.body.program).toMatchObject({ name: 'Short block', currentWeek: 1, currentDay: 1 });
+
+    await agent.delete(`/api/routines/${dayA.id}`).set('x-csrf-token', csrfToken);
+    const afterRoutineDelete = await agent.get('/api/programs');
+    expect(afterRoutineDelete.body.programs[0]).toMatchObject({ days: [], nextWorkout: null });
+
+    const deleteResponse = await agent.delete(`/api/programs/${program.id}`).set('x-csrf-token', csrfToken);
+    expect(deleteResponse.status).toBe(200);
+    expect((await agent.get('/api/programs')).body.programs).toEqual([]);
+  }, API_INTEGRATION_TEST_TIMEOUT);
+
+  it('stores a training schedule and recommends the next due workout', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'schedule-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const exerciseResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Schedule Deadlift', primaryMuscles: ['hamstrings'] });
+    const deadliftId = exerciseResponse.body.exercise.id;
+    const createRoutine = async (name) => {
+      const response = await agent
+        .post('/api/routines')
+        .set('x-csrf-token', csrfToken)
+        .send({
+          name,
+          exercises: [{ exerciseId: deadliftId, equipment: 'Barbell', targetSets: 1, targetReps: 5, targetWeight: 120 }],
+        });
+      return response.body.routine;
+    };
+    const routineA = await createRoutine('Split A');
+    const routineB = await createRoutine('Split B');
+
+    expect((await agent.get('/api/schedule')).body.schedule).toEqual({
+      mode: 'weekdays',
+      intervalDays: 2,
+      updatedAt: null,
+      slots: [],
+    });
+    expect((await agent.get('/api/schedule/next')).body).toEqual({ mode: 'weekdays', next: null, missed: [] });
+
+    const invalidSchedule = await agent
+      .put('/api/schedule')
+      .set('x-csrf-token', csrfToken)
+      .send({ mode: 'weekdays', slots: [{ weekday: 1, routineId: routineA.id }, { weekday: 1, routineId: routineB.id }] });
+    expect(invalidSchedule.status).toBe(400);
+    expect(invalidSchedule.body.error).toBe('Each weekday can only hold one routine.');
+    const foreignRoutine = await agent
+      .put('/api/schedule')
+      .set('x-csrf-token', csrfToken)
+      .send({ mode: 'rotation', slots: [{ routineId: 999999 }] });
+    expect(foreignRoutine.status).toBe(404);
+
+    const todayWeekday = ((new Date().getUTCDay() + 6) % 7) + 1;
+    const weekdayResponse = await agent
+      .put('/api/schedule')
+      .set('x-csrf-token', csrfToken)
+      .send({ mode: 'weekdays', slots: [{ weekday: todayWeekday, routineId: routineB.id }] });
+    expect(weekdayResponse.status).toBe(200);
+    expect(weekdayResponse.body.schedule.slots).toEqual([
+      expect.objectContaining({ position: 1, weekday: todayWeekday, routineId: routineB.id, routineName: 'Split B' }),
+    ]);
+    const weekdayNext = await agent.get('/api/schedule/next?tzOffset=0');
+    expect(weekdayNext.body.next).toMatchObject({ routineId: routineB.id, status: 'today' });
+
+    const rotationResponse = await agent
+      .put('/api/schedule')
+      .set('x-csrf-token', csrfToken)
+      .send({ mode: 'rotation', intervalDays: 3, slots: [{ routineId: routineA.id }, { routineId: routineB.id }] });
+    expect(rotationResponse.body.schedule).toMatchObject({ mode: 'rotation', intervalDays: 3 });
+    expect((await agent.get('/api/schedule/next')).body.next).toMatchObject({ routineId: routineA.id, status: 'today' });
+
+    const started = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: routineA.id });
+    const session = started.body.session;
+    await agent
+      .post(`/api/sessions/${session.id}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: deadliftId, routineExerciseId: session.exercises[0].routineExerciseId, reps: 5, weight: 120 });
+    await agent
+      .put(`/api/sessions/${session.id}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ endedAt: new Date().toISOString() });
+
+    const rotationNext = await agent.get('/api/schedule/next');
+    expect(rotationNext.body.mode).toBe('rotation');
+    expect(rotationNext.body.next).toMatchObject({ routineId: routineB.id, position: 2, status: 'upcoming' });
+    expect(rotationNext.body.missed).toEqual([]);
+
+    const invalidOffset = await agent.get('/api/schedule/next?tzOffset=abc');
+    expect(invalidOffset.status).toBe(400);
+    expect(invalidOffset.body.error).toBe('Invalid timezone offset.');
+
+    await agent.delete(`/api/routines/${routineB.id}`).set('x-csrf-token', csrfToken);
+    expect((await agent.get('/api/schedule')).body.schedule.slots).toEqual([
+      expect.objectContaining({ position: 1, routineId: routineA.id }),
+    ]);
+  }, API_INTEGRATION_TEST_TIMEOUT);
+
+  it('snapshots percentage set targets from training maxes when a workout starts', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'training-max-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const exerciseResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Wendler Squat', primaryMuscles: ['quadriceps'] });
+    const squatId = exerciseResponse.body.exercise.id;
+    const percentSetTargets = [
+      { setIndex: 1, targetReps: 5, targetPercent: 65 },
+      { setIndex: 2, targetReps: 5, targetPercent: 75 },
+      { setIndex: 3, targetReps: 5, targetPercent: 85 },
+    ];
+
+    const invalidPercent = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Invalid percent',
+        exercises: [{
+          exerciseId: squatId,
+          equipment: 'Barbell',
+          targetSets: 1,
+          setTargets: [{ setIndex: 1, targetReps: 5, targetPercent: 7 }],
+        }],
+      });
+    expect(invalidPercent.status).toBe(400);
+    expect(invalidPercent.body.error).toBe('Training max percentages must be 10-150% in steps of 0.5.');
+    const bodyweightPercent = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Bodyweight percent',
+        exercises: [{
+          exerciseId: squatId,
+          equipment: 'Bodyweight',
+          targetSets: 1,
+          setTargets: [{ setIndex: 1, targetReps: 5, targetPercent: 70 }],
+        }],
+      });
+    expect(bodyweightPercent.status).toBe(400);
+
+    const routineResponse = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: '5/3/1 Squat',
+        exercises: [{ exerciseId: squatId, equipment: 'Barbell', targetSets: 3, targetWeight: 60, setTargets: percentSetTargets }],
+      });
+    expect(routineResponse.status).toBe(200);
+    const routine = routineResponse.body.routine;
+    expect(routine.exercises[0].setTargets.map((target) => target.targetPercent)).toEqual([65, 75, 85]);
+
+    const withoutTrainingMax = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: routine.id });
+    const fallbackExercise = withoutTrainingMax.body.session.exercises[0];
+    expect(fallbackExercise.targetWeight).toBe(60);
+    expect(fallbackExercise.setTargets.map((target) => [target.targetPercent, target.targetWeight])).toEqual([
+      [65, null],
+      [75, null],
+      [85, null],
+    ]);
+    await agent
+      .put(`/api/sessions/${withoutTrainingMax.body.session.id}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ endedAt: new Date().toISOString() });
+
+    const invalidTrainingMax = await agent
+      .put(`/api/training-maxes/${squatId}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ weight: 0 });
+    expect(invalidTrainingMax.status).toBe(400);
+    expect(invalidTrainingMax.body.error).toBe('Training max must be above 0 and at most 1000 kg.');
+    const missingExercise = await agent
+      .put('/api/training-maxes/999999')
+      .set('x-csrf-token', csrfToken)
+      .send({ weight: 100 });
+    expect(missingExercise.status).toBe(404);
+
+    const saved = await agent
+      .put(`/api/training-maxes/${squatId}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ weight: 102.5 });
+    expect(saved.status).toBe(200);
+    expect(saved.body.trainingMax).toMatchObject({ exerciseId: squatId, exerciseName: 'Wendler Squat', weight: 102.5 });
+    expect((await agent.get('/api/training-maxes')).body.trainingMaxes).toEqual([
+      expect.objectContaining({ exerciseId: squatId, weight: 102.5 }),
+    ]);
+
+    const started = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: routine.id });
+    const sessionId = started.body.session.id;
+    const expectedTargets = [
+      [65, 67.5],
+      [75, 77.5],
+      [85, 87.5],
+    ];
+    const startedExercise = started.body.session.exercises[0];
+    // Weights snap to what the default plate inventory can load on a 20 kg bar.
+    expect(startedExercise.setTargets.map((target) => [target.targetPercent, target.targetWeight])).toEqual(expectedTargets);
+    expect(startedExercise.targetWeight).toBe(87.5);
+
+    await agent
+      .put(`/api/training-maxes/${squatId}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ weight: 110 });
+    const detail = await agent.get(`/api/sessions/${sessionId}`);
+    expect(detail.body.session.exercises[0].setTargets.map((target) => [target.targetPercent, target.targetWeight]))
+      .toEqual(expectedTargets);
+
+    const removed = await agent.delete(`/api/training-maxes/${squatId}`).set('x-csrf-token', csrfToken);
+    expect(removed.status).toBe(200);
+    const removedAgain = await agent.delete(`/api/training-maxes/${squatId}`).set('x-csrf-token', csrfToken);
+    expect(removedAgain.status).toBe(404);
+    expect(removedAgain.body.error).toBe('Training max not found.');
+  }, API_INTEGRATION_TEST_TIMEOUT);
+
+  it('stores per-set weight targets and writes in-workout updates back per set', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'ramping-sets-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const exerciseResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Ramping Deadlift', primaryMuscles: ['hamstrings'] });
+    const deadliftId = exerciseResponse.body.exercise.id;
+
+    const invalidWeight = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Invalid ramp',
+        exercises: [{
+          exerciseId: deadliftId,
+          equipment: 'Barbell',
+          targetSets: 1,
+          setTargets: [{ setIndex: 1, targetReps: 5, targetWeight: -20 }],
+        }],
+      });
+    expect(invalidWeight.status).toBe(400);
+    expect(invalidWeight.body.error).toBe('Set target weights must be greater than zero.');
+
+    const routineResponse = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Top set and back-offs',
+        exercises: [
+          {
+            exerciseId: deadliftId,
+            equipment: 'Barbell',
+            targetSets: 3,
+            targetWeight: 60,
+            setTargets: [
+              { setIndex: 1, targetReps: 3, targetWeight: 140 },
+              { setIndex: 2, targetReps: 6, targetWeight: 120, targetBandLabel: 'Light' },
+              { setIndex: 3, targetReps: 6, targetWeight: 120 },
+            ],
+          },
+        ],
+      });
+    expect(routineResponse.status).toBe(200);
+    const routine = routineResponse.body.routine;
+    const routineExercise = routine.exercises[0];
+    // The heaviest set becomes the exercise's target weight; bands only stick to band exercises.
+    expect(routineExercise.targetWeight).toBe(140);
+    expect(routineExercise.setTargets.map((target) => [target.targetReps, target.targetWeight, target.targetBandLabel]))
+      .toEqual([
+        [3, 140, null],
+        [6, 120, null],
+        [6, 120, null],
+      ]);
+
+    const started = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: routine.id });
+    expect(started.body.session.exercises[0].setTargets.map((target) => target.targetWeight)).toEqual([140, 120, 120]);
+
+    const perSet = await agent
+      .put(`/api/routines/${routine.id}/exercises/${deadliftId}/target`)
+      .set('x-csrf-token', csrfToken)
+      .send({ routineExerciseId: routineExercise.id, equipment: 'Barbell', setIndex: 2, targetWeight: 125 });
+    expect(perSet.status).toBe(200);
+    expect(perSet.body.target).toMatchObject({ setIndex: 2, targetWeight: 125, exerciseTargetWeight: 140 });
+
+    const shifted = await agent
+      .put(`/api/routines/${routine.id}/exercises/${deadliftId}/target`)
+      .set('x-csrf-token', csrfToken)
+      .send({ routineExerciseId: routineExercise.id, equipment: 'Barbell', targetWeight: 145 });
+    expect(shifted.body.target).toMatchObject({ setIndex: null, targetWeight: 145 });
+
+    const repsUpdate = await agent
+      .put(`/api/routines/${routine.id}/exercises/${deadliftId}/target-reps`)
+      .set('x-csrf-token', csrfToken)
+      .send({ routineExerciseId: routineExercise.id, targetReps: 5 });
+    expect(repsUpdate.status).toBe(200);
+
+    const updated = (await agent.get(`/api/routines/${routine.id}`)).body.routine.exercises[0];
+    expect(updated.targetWeight).toBe(145);
+    expect(updated.setTargets.map((target) => [target.targetReps, target.targetWeight])).toEqual([
+      [5, 145],
+      [5, 130],
+      [5, 125],
+    ]);
+    const snapshot = (await agent.get(`/api/sessions/${started.body.session.id}`)).body.session.exercises[0];
+    expect(snapshot.setTargets.map((target) => target.targetWeight)).toEqual([140, 120, 120]);
+  }, API_INTEGRATION_TEST_TIMEOUT);
+
+  it('records routine versions on every change, compares them, and restores an older one', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'routine-versions-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const squatId = (await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Versioned Squat', primaryMuscles: ['quadriceps'] })).body.exercise.id;
+    const rowId = (await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Versioned Row', primaryMuscles: ['lats'] })).body.exercise.id;
+
+    const created = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Full Body',
+        exercises: [
+          { exerciseId: squatId, equipment: 'Barbell', position: 0, targetSets: 3, targetReps: 5, targetWeight: 100 },
+          { exerciseId: rowId, equipment: 'Dumbbell', position: 1, targetSets: 3, targetReps: 10, targetWeight: 30 },
+        ],
+      });
+    const routine = created.body.routine;
+    const [squatSlot, rowSlot] = routine.exercises;
+
+    const edited = await agent
+      .put(`/api/routines/${routine.id}`)
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Squat Focus',
+        exercises: [{ ...squatSlot, targetWeight: 105 }],
+      });
+    expect(edited.status).toBe(200);
+
+    const started = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId: routine.id });
+    const sessionId = started.body.session.id;
+    expect(started.body.session.routineVersion).toEqual({ id: expect.any(Number), versionNumber: 2 });
+
+    const targetUpdate = () => agent
+      .put(`/api/routines/${routine.id}/exercises/${squatId}/target`)
+      .set('x-csrf-token', csrfToken)
+      .send({ routineExerciseId: squatSlot.id, equipment: 'Barbell', targetWeight: 110 });
+    expect((await targetUpdate()).status).toBe(200);
+    // Writing back the same weight again does not add an identical version.
+    expect((await targetUpdate()).status).toBe(200);
+
+    const versionsResponse = await agent.get(`/api/routines/${routine.id}/versions`);
+    expect(versionsResponse.status).toBe(200);
+    const versions = versionsResponse.body.versions;
+    expect(versions.map((version) => [version.versionNumber, version.reason, version.exerciseCount, version.sessionCount]))
+      .toEqual([
+        [3, 'workout_target', 1, 0],
+        [2, 'edited', 1, 1],
+        [1, 'created', 2, 0],
+      ]);
+    const firstVersion = versions[2];
+
+    const version = await agent.get(`/api/routines/${routine.id}/versions/${firstVersion.id}`);
+    expect(version.body.version.snapshot.name).toBe('Full Body');
+    expect(version.body.version.snapshot.exercises.map((item) => [item.name, item.targetWeight])).toEqual([
+      ['Versioned Squat', 100],
+      ['Versioned Row', 30],
+    ]);
+
+    const compared = await agent.get(`/api/routines/${routine.id}/versions/compare?from=${firstVersion.id}`);
+    expect(compared.status).toBe(200);
+    expect(compared.body.to.versionNumber).toBe(3);
+    expect(compared.body.diff.changes).toEqual([{ field: 'name', from: 'Full Body', to: 'Squat Focus' }]);
+    expect(compared.body.diff.added).toEqual([]);
+    expect(compared.body.diff.removed.map((item) => item.name)).toEqual(['Versioned Row']);
+    expect(compared.body.diff.changed).toHaveLength(1);
+    expect(compared.body.diff.changed[0].changes).toContainEqual({ field: 'targetWeight', from: 100, to: 110 });
+
+    const blocked = await agent
+      .post(`/api/routines/${routine.id}/versions/${firstVersion.id}/restore`)
+      .set('x-csrf-token', csrfToken);
+    expect(blocked.status).toBe(409);
+
+    await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId: squatId, routineExerciseId: squatSlot.id, reps: 5, weight: 105 });
+    await agent
+      .put(`/api/sessions/${sessionId}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ endedAt: new Date().toISOString() });
+    const restored = await agent
+      .post(`/api/routines/${routine.id}/versions/${firstVersion.id}/restore`)
+      .set('x-csrf-token', csrfToken);
+    expect(restored.status).toBe(200);
+    expect(restored.body.version).toMatchObject({ versionNumber: 4, reason: 'restored', restoredFromVersionNumber: 1 });
+    expect(restored.body.routine.name).toBe('Full Body');
+    // The removed slot comes back with its own id.
+    expect(restored.body.routine.exercises.map((item) => [item.id, item.targetWeight])).toEqual([
+      [squatSlot.id, 100],
+      [rowSlot.id, 30],
+    ]);
+
+    const sessionDetail = await agent.get(`/api/sessions/${sessionId}`);
+    expect(sessionDetail.body.session.routineVersion.versionNumber).toBe(2);
+
+    const duplicate = await agent
+      .post(`/api/routines/${routine.id}/duplicate`)
+      .set('x-csrf-token', csrfToken);
+    const duplicateVersions = (await agent.get(`/api/routines/${duplicate.body.routine.id}/versions`)).body.versions;
+    expect(duplicateVersions.map((item) => [item.versionNumber, item.reason])).toEqual([[1, 'duplicated']]);
+    const foreignVersion = await agent.get(`/api/routines/${routine.id}/versions/${duplicateVersions[0].id}`);
+    expect(foreignVersion.status).toBe(404);
+    expect(foreignVersion.body.error).toBe('Routine version not found.');
+  }, API_INTEGRATION_TEST_TIMEOUT);
+  it('shares routines across users, copies them with their targets, and pulls author updates', async () => {
+    const author = request.agent(app);
+    await registerUser(author, 'routine-share-author');
+    const authorCsrf = await fetchCsrfToken(author);
+    const partner = request.agent(app);
+    await registerUser(partner, 'routine-share-partner');
+    const partnerCsrf = await fetchCsrfToken(partner);
+
+    const pressId = (await author
+      .post('/api/exercises')
+      .set('x-csrf-token', authorCsrf)
+      .send({ name: 'Shared Press', primaryMuscles: ['shoulders'] })).body.exercise.id;
+    const chinId = (await author
+      .post('/api/exercises')
+      .set('x-csrf-token', authorCsrf)
+      .send({ name: 'Shared Chin-up', primaryMuscles: ['lats'] })).body.exercise.id;
+    const curlId = (await author
+      .post('/api/exercises')
+      .set('x-csrf-token', authorCsrf)
+      .send({ name: 'Shared Curl', primaryMuscles: ['biceps'] })).body.exercise.id;
+
+    const created = await author
+      .post('/api/routines')
+      .set('x-csrf-token', authorCsrf)
+      .send({
+        name: 'Partner Upper',
+        notes: 'Heavy day',
+        exercises: [
+          {
+            exerciseId: pressId,
+            equipment: 'Barbell',
+            position: 0,
+            targetSets: 2,
+            targetRestSeconds: 150,
+            setTargets: [
+              { setIndex: 1, targetReps: 3, targetWeight: 60 },
+              { setIndex: 2, targetReps: 6, targetWeight: 50 },
+            ],
+            supersetGroup: null,
+          },
+          { exerciseId: chinId, equipment: 'Bodyweight', position: 1, targetSets: 3, targetReps: 8, supersetGroup: 'A' },
+          { exerciseId: curlId, equipment: 'Dumbbell', position: 2, targetSets: 3, targetReps: 12, targetWeight: 12, supersetGroup: 'A' },
+        ],
+      });
+    const routine = created.body.routine;
+
+    const notShared = await partner
+      .post(`/api/shared-routines/${routine.id}/copy`)
+      .set('x-csrf-token', partnerCsrf);
+    expect(notShared.status).toBe(404);
+    expect(notShared.body.error).toBe('Shared routine not found.');
+    const foreignShare = await partner
+      .post(`/api/routines/${routine.id}/share`)
+      .set('x-csrf-token', partnerCsrf);
+    expect(foreignShare.status).toBe(404);
+
+    const shared = await author
+      .post(`/api/routines/${routine.id}/share`)
+      .set('x-csrf-token', authorCsrf);
+    expect(shared.status).toBe(200);
+    expect(shared.body.routine.sharedAt).toEqual(expect.any(String));
+
+    const browse = await partner.get('/api/shared-routines');
+    expect(browse.status).toBe(200);
+    const listed = browse.body.routines.find((item) => item.id === routine.id);
+    expect(listed).toMatchObject({
+      name: 'Partner Upper',
+      authorName: 'routine-share-author',
+      isOwn: false,
+      copiedRoutineId: null,
+    });
+    expect(listed.exercises).toHaveLength(3);
+    expect(listed).not.toHaveProperty('lastUsedAt');
+
+    const copied = await partner
+      .post(`/api/shared-routines/${routine.id}/copy`)
+      .set('x-csrf-token', partnerCsrf);
+    expect(copied.status).toBe(200);
+    const copy = copied.body.routine;
+    expect(copy.id).not.toBe(routine.id);
+    expect(copy).toMatchObject({
+      name: 'Partner Upper',
+      notes: 'Heavy day',
+      sharedAt: null,
+      origin: {
+        routineId: routine.id,
+        name: 'Partner Upper',
+        authorName: 'routine-share-author',
+        available: true,
+        updateAvailable: false,
+      },
+    });
+    const describePlan = (item) => [
+      item.exerciseId,
+      item.targetRestSeconds,
+      item.supersetGroup,
+      item.setTargets.map((target) => [target.targetReps, target.targetWeight]),
+    ];
+    expect(copy.exercises.map(describePlan)).toEqual(routine.exercises.map(describePlan));
+    expect(copy.exercises.map(describePlan).slice(0, 2)).toEqual([
+      [pressId, 150, null, [[3, 60], [6, 50]]],
+      [chinId, 0, 'A', [[8, null], [8, null], [8, null]]],
+    ]);
+    expect(copy.exercises.map((item) => item.targetWeight)).toEqual([60, null, 12]);
+    expect((await partner.get(`/api/routines/${copy.id}/versions`)).body.versions.map((item) => item.reason))
+      .toEqual(['copied']);
+    expect((await partner.get('/api/shared-routines')).body.routines.find((item) => item.id === routine.id).copiedRoutineId)
+      .toBe(copy.id);
+
+    const upToDate = await partner
+      .post(`/api/routines/${copy.id}/origin/pull`)
+      .set('x-csrf-token', partnerCsrf);
+    expect(upToDate.status).toBe(200);
+    expect(upToDate.body.updated).toBe(false);
+
+    const [pressSlot, chinSlot] = routine.exercises;
+    await author
+      .put(`/api/routines/${routine.id}`)
+      .set('x-csrf-token', authorCsrf)
+      .send({
+        name: 'Partner Upper',
+        notes: 'Heavy day',
+        exercises: [
+          {
+            ...pressSlot,
+            setTargets: [
+              { setIndex: 1, targetReps: 3, targetWeight: 62.5 },
+              { setIndex: 2, targetReps: 6, targetWeight: 52.5 },
+            ],
+          },
+          { ...chinSlot, supersetGroup: null },
+        ],
+      });
+    const outdated = (await partner.get('/api/routines')).body.routines.find((item) => item.id === copy.id);
+    expect(outdated.origin.updateAvailable).toBe(true);
+
+    const pulled = await partner
+      .post(`/api/routines/${copy.id}/origin/pull`)
+      .set('x-csrf-token', partnerCsrf);
+    expect(pulled.status).toBe(200);
+    expect(pulled.body.updated).toBe(true);
+    expect(pulled.body.routine.origin.updateAvailable).toBe(false);
+    // Slots the copy already had keep their ids; the dropped curl slot is archived.
+    expect(pulled.body.routine.exercises.map((item) => [
+      item.id,
+      item.setTargets.map((target) => target.targetWeight),
+    ])).toEqual([
+      [copy.exercises[0].id, [62.5, 52.5]],
+      [copy.exercises[1].id, [null, null, null]],
+    ]);
+    expect((await partner.get(`/api/routines/${copy.id}/versions`)).body.versions.map((item) => item.reason))
+      .toEqual(['pulled', 'copied']);
+
+    await author
+      .delete(`/api/routines/${routine.id}/share`)
+      .set('x-csrf-token', authorCsrf);
+    expect((await partner.get('/api/shared-routines')).body.routines.some((item) => item.id === routine.id)).toBe(false);
+    const unshared = (await partner.get('/api/routines')).body.routines.find((item) => item.id === copy.id);
+    expect(unshared.origin).toMatchObject({ available: false, updateAvailable: false });
+    const pullUnshared = await partner
+      .post(`/api/routines/${copy.id}/origin/pull`)
+      .set('x-csrf-token', partnerCsrf);
+    expect(pullUnshared.status).toBe(400);
+    expect(pullUnshared.body.error).toBe('The original routine is no longer shared.');
+
+    await author
+      .delete(`/api/routines/${routine.id}`)
+      .set('x-csrf-token', authorCsrf);
+    const orphaned = (await partner.get('/api/routines')).body.routines.find((item) => item.id === copy.id);
+    expect(orphaned.origin).toBeNull();
+    expect(orphaned.exercises).toHaveLength(2);
+  }, API_INTEGRATION_TEST_TIMEOUT);
+
+  it('reads pasted routine text against the catalog and writes routines back as text', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'routine-text-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const benchId = (await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Text Bench Press', primaryMuscles: ['chest'] })).body.exercise.id;
+    const plankId = (await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Text Plank Hold', primaryMuscles: ['abdominals'], measurementMode: 'time' })).body.exercise.id;
+
+    const empty = await agent
+      .post('/api/routines/text/parse')
+      .set('x-csrf-token', csrfToken)
+      .send({ text: '   ' });
+    expect(empty.status).toBe(400);
+    expect(empty.body.error).toBe('Paste a routine to read.');
+
+    const parsed = await agent
+      .post('/api/routines/text/parse')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        text: [
+          'Text Day',
+          'Barbell text bench pres 3x8 @ 60kg, rest 90s',
+          'Text plank hold 2x45',
+          'Text Zercher Walk 2x8',
+          'Cool down',
+        ].join('\n'),
+      });
+    expect(parsed.status).toBe(200);
+    expect(parsed.body.name).toBe('Text Day');
+    expect(parsed.body.errors).toEqual([
+      { line: 5, text: 'Cool down', message: 'Add sets and reps, for example "3x8".' },
+    ]);
+    const [bench, plank, unknown] = parsed.body.exercises;
+    expect(bench).toMatchObject({
+      exerciseId: benchId,
+      exerciseName: 'Text Bench Press',
+      equipment: 'Barbell',
+      targetSets: 3,
+      targetReps: 8,
+      targetWeight: 60,
+      targetRestSeconds: 90,
+    });
+    // One weight for every set stays the exercise weight.
+    expect(bench.setTargets.map((target) => target.targetWeight)).toEqual([null, null, null]);
+    expect(plank).toMatchObject({ exerciseId: plankId, targetReps: null, targetTimeSeconds: 45 });
+    expect(unknown).toMatchObject({ name: 'Text Zercher Walk', exerciseId: null });
+
+    const text = await agent
+      .post('/api/routines/text/serialize')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Text Day',
+        exercises: [
+          { ...bench, position: 0 },
+          { ...plank, equipment: 'Bodyweight', position: 1 },
+          { exerciseId: null, position: 2 },
+        ],
+      });
+    expect(text.status).toBe(200);
+    expect(text.body.text).toBe([
+      'Text Day',
+      'Barbell Text Bench Press 3x8 @ 60 kg, rest 90s',
+      'Bodyweight Text Plank Hold 2x45s',
+      '',
+    ].join('\n'));
+  }, API_INTEGRATION_TEST_TIMEOUT);
 });
@@ -321,4 +321,178 @@ describe('API integration stats', () => {
       statsResponse.body.weeklyVolume.some((row) => Number(row.volume) === 500)
     ).toBe(true);
   });
+  it('counts only working sets in stats unless another set type is requested', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'set-type-stats-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const exerciseResponse = await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Set Type Squat', primaryMuscles: ['quadriceps'], notes: '' });
+    expect(exerciseResponse.status).toBe(200);
+    const exerciseId = exerciseResponse.body.exercise.id;
+
+    const routineResponse = await agent
+      .post('/api/routines')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        name: 'Set Type Day',
+        exercises: [
+          {
+            exerciseId,
+            equipment: 'Barbell',
+            targetSets: 1,
+            targetReps: 5,
+            targetRestSeconds: 90,
+            targetWeight: 100,
+            setTargets: [{ setIndex: 1, targetReps: 5, setType: 'failure' }],
+            position: 0,
+          },
+        ],
+      });
+    expect(routineResponse.status).toBe(200);
+    expect(routineResponse.body.routine.exercises[0].setTargets[0].setType).toBe('failure');
+    const routineId = routineResponse.body.routine.id;
+    const routineExerciseId = routineResponse.body.routine.exercises[0].id;
+
+    const sessionResponse = await agent
+      .post('/api/sessions')
+      .set('x-csrf-token', csrfToken)
+      .send({ routineId, name: 'Set Type Workout' });
+    expect(sessionResponse.status).toBe(200);
+    const sessionId = sessionResponse.body.session.id;
+
+    const warmupResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId, routineExerciseId, reps: 5, weight: 40, setType: 'warmup' });
+    expect(warmupResponse.status).toBe(200);
+    expect(warmupResponse.body.set.setType).toBe('warmup');
+
+    const workingResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId, routineExerciseId, reps: 5, weight: 100, setType: 'failure' });
+    expect(workingResponse.status).toBe(200);
+    expect(workingResponse.body.set.setIndex).toBe(1);
+
+    const dropResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId, routineExerciseId, reps: 8, weight: 70, setType: 'drop' });
+    expect(dropResponse.status).toBe(200);
+    expect(dropResponse.body.set.setIndex).toBe(1);
+
+    const invalidTypeResponse = await agent
+      .post(`/api/sessions/${sessionId}/sets`)
+      .set('x-csrf-token', csrfToken)
+      .send({ exerciseId, routineExerciseId, reps: 5, weight: 100, setType: 'cluster' });
+    expect(invalidTypeResponse.status).toBe(400);
+
+    const convertResponse = await agent
+      .put(`/api/sets/${warmupResponse.body.set.id}`)
+      .set('x-csrf-token', csrfToken)
+      .send({ setType: 'working' });
+    expect(convertResponse.status).toBe(400);
+
+    const detailResponse = await agent.get(`/api/sessions/${sessionId}`);
+    expect(detailResponse.status).toBe(200);
+    const detailSets = detailResponse.body.session.exercises[0].sets;
+    expect(detailSets.map((set) => set.setType)).toEqual(['warmup', 'failure', 'drop']);
+
+    const workingOverview = await agent.get('/api/stats/overview');
+    expect(workingOverview.status).toBe(200);
+    expect(workingOverview.body.setType).toBe('non_warmup');
+    expect(workingOverview.body.summary.totalSets).toBe(2);
+    expect(workingOverview.body.summary.volumeWeek).toBe(1060);
+
+    const nonWarmupOverview = await agent.get('/api/stats/overview?setType=non-warmup');
+    expect(nonWarmupOverview.body.setType).toBe('non_warmup');
+    expect(nonWarmupOverview.body.summary.totalSets).toBe(2);
+
+    const failureOverview = await agent.get('/api/stats/overview?setType=failure');
+    expect(failureOverview.body.setType).toBe('failure');
+    expect(failureOverview.body.summary.totalSets).toBe(1);
+
+    const strictWorkingOverview = await agent.get('/api/stats/overview?setType=working');
+    expect(strictWorkingOverview.body.setType).toBe('working');
+    expect(strictWorkingOverview.body.summary.totalSets).toBe(0);
+
+    const allOverview = await agent.get('/api/stats/overview?setType=all');
+    expect(allOverview.status).toBe(200);
+    expect(allOverview.body.setType).toBe('all');
+    expect(allOverview.body.summary.totalSets).toBe(3);
+    expect(allOverview.body.summary.volumeWeek).toBe(1260);
+
+    const warmupTimeseries = await agent.get('/api/stats/timeseries?bucket=week&window=90d&setType=warmup');
+    expect(warmupTimeseries.status).toBe(200);
+    expect(warmupTimeseries.body.setType).toBe('warmup');
+    expect(warmupTimeseries.body.summary.totalSets).toBe(1);
+
+    const workingDistribution = await agent.get('/api/stats/distribution?metric=volume&window=30d');
+    expect(workingDistribution.status).toBe(200);
+    expect(workingDistribution.body.total).toBe(1060);
+
+    const progressionResponse = await agent.get(
+      `/api/stats/progression?exerciseId=${exerciseId}&window=90d&setType=warmup`
+    );
+    expect(progressionResponse.status).toBe(200);
+    expect(progressionResponse.body.points[0].topWeight).toBe(40);
+  });
+
+  it('estimates one-rep maxes, rep maxes and projected working weights per exercise', async () => {
+    const agent = request.agent(app);
+    await registerUser(agent, 'one-rep-max-stats-user');
+    const csrfToken = await fetchCsrfToken(agent);
+
+    const exerciseId = (await agent
+      .post('/api/exercises')
+      .set('x-csrf-token', csrfToken)
+      .send({ name: 'Estimate Bench', primaryMuscles: ['chest'] })).body.exercise.id;
+    const logPast = (daysAgo, sets) => agent
+      .post('/api/sessions/past')
+      .set('x-csrf-token', csrfToken)
+      .send({
+        freestyle: true,
+        startedAt: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString(),
+        durationMinutes: 30,
+        exercises: [{ exerciseId, equipment: 'Barbell', sets }],
+      });
+    const olderResponse = await logPast(10, [{ reps: 5, weight: 100 }, { reps: 8, weight: 90 }]);
+    expect(olderResponse.status).toBe(200);
+    const newerResponse = await logPast(3, [{ reps: 3, weight: 105 }, { reps: 12, weight: 80 }]);
+    expect(newerResponse.status).toBe(200);
+
+    const epleyResponse = await agent.get(`/api/stats/progression?exerciseId=${exerciseId}&window=90d`);
+    expect(epleyResponse.status).toBe(200);
+    expect(epleyResponse.body.points.map((point) => point.estimatedOneRepMax)).toEqual([116.67, 115.5]);
+    expect(epleyResponse.body.oneRepMax.formula).toBe('epley');
+    expect(epleyResponse.body.oneRepMax.best).toMatchObject({
+      value: 116.67,
+      weight: 100,
+      reps: 5,
+      sessionId: olderResponse.body.session.id,
+    });
+    expect(epleyResponse.body.oneRepMax.projection).toEqual({ targetReps: 5, weight: 100 });
+    const repMaxes = epleyResponse.body.oneRepMax.repMaxes;
+    expect(repMaxes).toHaveLength(15);
+    expect(repMaxes.map((entry) => entry.weight)).toEqual([
+      105, 105, 105, 100, 100, 90, 90, 90, 80, 80, 80, 80, null, null, null,
+    ]);
+    expect(repMaxes[3]).toMatchObject({ reps: 4, setReps: 5, sessionId: olderResponse.body.session.id });
+
+    const brzyckiResponse = await agent.get(
+      `/api/stats/progression?exerciseId=${exerciseId}&window=90d&formula=brzycki&targetReps=8`
+    );
+    expect(brzyckiResponse.body.oneRepMax.formula).toBe('brzycki');
+    expect(brzyckiResponse.body.oneRepMax.best).toMatchObject({ value: 115.2, weight: 80, reps: 12 });
+    expect(brzyckiResponse.body.oneRepMax.projection).toEqual({ targetReps: 8, weight: 93 });
+
+    const fallbackResponse = await agent.get(
+      `/api/stats/progression?exerciseId=${exerciseId}&window=90d&formula=guess&targetReps=40`
+    );
+    expect(fallbackResponse.body.oneRepMax.formula).toBe('epley');
+    expect(fallbackResponse.body.oneRepMax.projection.targetReps).toBe(5);
+  });
 });
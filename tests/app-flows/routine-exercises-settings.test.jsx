@@ -295,6 +295,46 @@ describe('App UI flows', () => {
     expect(lastReorderPayload.exerciseOrder).toEqual([3, 1, 2]);
   });
 
+  it('searches the routine exercise picker by shorthand, alias and misspelling', async () => {
+    const exercises = [
+      { id: 11, name: 'Romanian Deadlift', primaryMuscles: ['hamstrings'], aliases: [] },
+      { id: 12, name: 'Overhead Press', primaryMuscles: ['shoulders'], aliases: ['Military Press'] },
+      { id: 13, name: 'Back Squat', primaryMuscles: ['quadriceps'], aliases: [] },
+    ];
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines' && method === 'GET') return { routines: [] };
+      if (path === '/api/exercises') return { exercises };
+      throw new Error(`Unhandled path: ${path}`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/routines');
+
+    await user.click(await screen.findByRole('button', { name: 'Create' }));
+    const searchInput = screen.getByRole('searchbox', { name: 'Search exercises' });
+    const exerciseSelect = screen.getByRole('combobox', { name: 'Exercise' });
+
+    await user.type(searchInput, 'military');
+    expect(within(exerciseSelect).getAllByRole('option').map((option) => option.textContent))
+      .toEqual(['Exercise', '— Matches —', 'Overhead Press']);
+
+    await user.clear(searchInput);
+    await user.type(searchInput, 'RDL{Enter}');
+    expect(exerciseSelect).toHaveValue('11');
+    expect(searchInput).toHaveValue('');
+
+    await user.type(searchInput, 'sqaut');
+    expect(within(exerciseSelect).getAllByRole('option').map((option) => option.textContent))
+      .toEqual(['Exercise', '— Matches —', 'Romanian Deadlift', 'Back Squat']);
+    await user.selectOptions(exerciseSelect, '13');
+    expect(exerciseSelect).toHaveValue('13');
+    expect(searchInput).toHaveValue('');
+    expect(within(exerciseSelect).getByRole('option', { name: '— Quadriceps —' })).toBeInTheDocument();
+  });
+
   it('hides target weight when routine equipment is bodyweight', async () => {
     const exercise = { id: 11, name: 'Push Up', primaryMuscles: ['chest'] };
 
@@ -521,6 +561,635 @@ describe('App UI flows', () => {
     expect(state.savedPayload?.exercises?.[1]?.targetRestSeconds).toBe(90);
   });
 
+  it('saves a weekday training schedule from the routines page', async () => {
+    const routines = [
+      { id: 41, name: 'Split A', notes: null, exercises: [] },
+      { id: 42, name: 'Split B', notes: null, exercises: [] },
+    ];
+    let schedulePayload = null;
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines' && method === 'GET') return { routines };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/schedule' && method === 'GET') {
+        return { schedule: { mode: 'weekdays', intervalDays: 2, updatedAt: null, slots: [] } };
+      }
+      if (path === '/api/schedule' && method === 'PUT') {
+        schedulePayload = JSON.parse(options.body);
+        return {
+          schedule: {
+            ...schedulePayload,
+            updatedAt: new Date().toISOString(),
+            slots: schedulePayload.slots.map((slot, index) => ({
+              ...slot,
+              id: index + 1,
+              position: index + 1,
+              routineName: routines.find((routine) => routine.id === slot.routineId)?.name,
+            })),
+          },
+        };
+      }
+      throw new Error(`Unhandled path: ${path}`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/routines');
+
+    expect(await screen.findByText('No schedule yet.')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Edit schedule' }));
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Monday routine' }), '41');
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Thursday routine' }), '42');
+    await user.click(screen.getByRole('button', { name: 'Save schedule' }));
+
+    expect(await screen.findByText('Mon: Split A · Thu: Split B')).toBeInTheDocument();
+    expect(schedulePayload).toEqual({
+      mode: 'weekdays',
+      intervalDays: 2,
+      slots: [
+        { weekday: 1, routineId: 41 },
+        { weekday: 4, routineId: 42 },
+      ],
+    });
+    await waitFor(() => {
+      expect(screen.queryByRole('button', { name: 'Save schedule' })).not.toBeInTheDocument();
+    });
+  });
+
+  it('plans training max percentages and manages training maxes from the routines page', async () => {
+    const exercises = [{ id: 11, name: 'Back Squat', primaryMuscles: ['quadriceps'] }];
+    const hydrateRoutine = (payload) => ({
+      id: 601,
+      name: payload.name,
+      notes: null,
+      exercises: payload.exercises.map((item, index) => ({
+        ...item,
+        id: 6010 + index,
+        name: 'Back Squat',
+        primaryMuscles: ['quadriceps'],
+      })),
+    });
+    const state = {
+      savedPayload: null,
+      trainingMaxRequests: [],
+      trainingMaxes: [],
+      routines: [
+        hydrateRoutine({
+          name: 'Squat Day',
+          exercises: [{
+            exerciseId: 11,
+            equipment: 'Barbell',
+            position: 0,
+            targetSets: 3,
+            targetReps: 5,
+            targetRestSeconds: 120,
+            targetWeight: 100,
+            notes: null,
+            supersetGroup: null,
+          }],
+        }),
+      ],
+    };
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines' && method === 'GET') return { routines: state.routines };
+      if (path === '/api/exercises') return { exercises };
+      if (path === '/api/training-maxes' && method === 'GET') return { trainingMaxes: state.trainingMaxes };
+      if (path === '/api/routines/601' && method === 'PUT') {
+        state.savedPayload = JSON.parse(options.body);
+        const routine = hydrateRoutine(state.savedPayload);
+        state.routines = [routine];
+        return { routine };
+      }
+      if (path === '/api/training-maxes/11') {
+        state.trainingMaxRequests.push({ method, body: options.body ? JSON.parse(options.body) : null });
+        if (method === 'DELETE') return { ok: true };
+        const { weight } = JSON.parse(options.body);
+        return { trainingMax: { exerciseId: 11, exerciseName: 'Back Squat', weight, updatedAt: new Date().toISOString() } };
+      }
+      throw new Error(`Unhandled path: ${path}`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/routines');
+
+    await user.click(await screen.findByRole('button', { name: 'Edit routine' }));
+    await user.click(screen.getByRole('button', { name: '% of training max' }));
+    expect(screen.getByRole('spinbutton', { name: 'Set 3 percent of training max' })).toHaveValue(75);
+    await user.clear(screen.getByRole('spinbutton', { name: 'Set 1 percent of training max' }));
+    await user.type(screen.getByRole('spinbutton', { name: 'Set 1 percent of training max' }), '65');
+    await user.clear(screen.getByRole('spinbutton', { name: 'Set 3 percent of training max' }));
+    await user.type(screen.getByRole('spinbutton', { name: 'Set 3 percent of training max' }), '200');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+    expect(await screen.findByText('Training max percentages must be 10-150% in steps of 0.5.')).toBeInTheDocument();
+    expect(state.savedPayload).toBeNull();
+
+    await user.clear(screen.getByRole('spinbutton', { name: 'Set 3 percent of training max' }));
+    await user.type(screen.getByRole('spinbutton', { name: 'Set 3 percent of training max' }), '85');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+    await waitFor(() => {
+      expect(state.savedPayload?.exercises?.[0]?.setTargets?.map((target) => target.targetPercent)).toEqual([65, 75, 85]);
+    });
+    expect(state.savedPayload.exercises[0].targetWeight).toBe(100);
+    await user.click(await screen.findByRole('button', { name: 'Show exercises (1)' }));
+    expect(await screen.findByText('65/75/85% TM')).toBeInTheDocument();
+
+    expect(screen.getByText('No training maxes yet.')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Add training max' }));
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Training max exercise' }), '11');
+    await user.type(screen.getByRole('spinbutton', { name: 'Training max weight' }), '140');
+    await user.click(screen.getByRole('button', { name: 'Save training max' }));
+    expect(await screen.findByText('Back Squat · 140 kg')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Remove training max for Back Squat' }));
+    expect(await screen.findByText('No training maxes yet.')).toBeInTheDocument();
+    expect(state.trainingMaxRequests).toEqual([
+      { method: 'PUT', body: { weight: 140 } },
+      { method: 'DELETE', body: null },
+    ]);
+  });
+
+  it('plans ramping per-set weights and reps from the routines page', async () => {
+    const exercises = [{ id: 12, name: 'Deadlift', primaryMuscles: ['hamstrings'] }];
+    const hydrateRoutine = (payload) => ({
+      id: 602,
+      name: payload.name,
+      notes: null,
+      exercises: payload.exercises.map((item, index) => ({
+        ...item,
+        id: 6020 + index,
+        name: 'Deadlift',
+        primaryMuscles: ['hamstrings'],
+      })),
+    });
+    const state = {
+      savedPayload: null,
+      routines: [
+        hydrateRoutine({
+          name: 'Pull Day',
+          exercises: [{
+            exerciseId: 12,
+            equipment: 'Barbell',
+            position: 0,
+            targetSets: 2,
+            targetReps: 5,
+            targetRestSeconds: 180,
+            targetWeight: 120,
+            notes: null,
+            supersetGroup: null,
+          }],
+        }),
+      ],
+    };
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines' && method === 'GET') return { routines: state.routines };
+      if (path === '/api/exercises') return { exercises };
+      if (path === '/api/training-maxes' && method === 'GET') return { trainingMaxes: [] };
+      if (path === '/api/routines/602' && method === 'PUT') {
+        state.savedPayload = JSON.parse(options.body);
+        const routine = hydrateRoutine(state.savedPayload);
+        state.routines = [routine];
+        return { routine };
+      }
+      throw new Error(`Unhandled path: ${path}`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/routines');
+
+    await user.click(await screen.findByRole('button', { name: 'Edit routine' }));
+    await user.click(screen.getByRole('button', { name: 'Per-set targets' }));
+    expect(screen.getByRole('spinbutton', { name: 'Set 2 weight' })).toHaveValue(120);
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Set 1 reps' }), '3');
+    await user.clear(screen.getByRole('spinbutton', { name: 'Set 1 weight' }));
+    await user.type(screen.getByRole('spinbutton', { name: 'Set 1 weight' }), '140');
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Set 2 reps' }), '6');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+
+    await waitFor(() => {
+      expect(state.savedPayload?.exercises?.[0]?.setTargets?.map((target) => [target.targetReps, target.targetWeight]))
+        .toEqual([[3, 140], [6, 120]]);
+    });
+    expect(state.savedPayload.exercises[0].targetWeight).toBe(140);
+    await user.click(await screen.findByRole('button', { name: 'Show exercises (1)' }));
+    expect(await screen.findByText('3×140 / 6×120 kg')).toBeInTheDocument();
+  });
+
+  it('browses, compares, and restores routine versions from a workout link', async () => {
+    const buildRoutine = (name, targetWeight) => ({
+      id: 603,
+      name,
+      notes: null,
+      exercises: [{
+        id: 6030,
+        exerciseId: 13,
+        name: 'Bench Press',
+        primaryMuscles: ['chest'],
+        equipment: 'Barbell',
+        position: 0,
+        targetSets: 1,
+        targetReps: 5,
+        targetRestSeconds: 120,
+        targetWeight,
+        setTargets: [{ setIndex: 1, targetReps: 5, targetWeight: null }],
+        notes: null,
+        supersetGroup: null,
+      }],
+    });
+    const buildVersion = (id, versionNumber, reason, extra = {}) => ({
+      id,
+      routineId: 603,
+      versionNumber,
+      reason,
+      restoredFromVersionNumber: null,
+      exerciseCount: 1,
+      sessionCount: 0,
+      createdAt: '2026-03-01T10:00:00.000Z',
+      ...extra,
+    });
+    const state = {
+      restoreCalls: 0,
+      routines: [buildRoutine('Push Day', 85)],
+      versions: [
+        buildVersion(32, 2, 'workout_target'),
+        buildVersion(31, 1, 'created', { sessionCount: 1 }),
+      ],
+    };
+    const snapshots = {
+      31: { name: 'Push Day', notes: null, routineType: 'standard', exercises: [{ ...buildRoutine('Push Day', 80).exercises[0] }] },
+      32: { name: 'Push Day', notes: null, routineType: 'standard', exercises: [{ ...buildRoutine('Push Day', 85).exercises[0] }] },
+    };
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines' && method === 'GET') return { routines: state.routines };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/training-maxes') return { trainingMaxes: [] };
+      if (path === '/api/routines/603/versions') return { versions: state.versions };
+      const versionMatch = /^\/api\/routines\/603\/versions\/(\d+)$/.exec(path);
+      if (versionMatch) {
+        const version = state.versions.find((item) => item.id === Number(versionMatch[1]));
+        return { version: { ...version, snapshot: snapshots[version.id] } };
+      }
+      if (path === '/api/routines/603/versions/compare?from=31&to=32') {
+        return {
+          from: state.versions[1],
+          to: state.versions[0],
+          diff: {
+            changes: [],
+            added: [],
+            removed: [],
+            changed: [{
+              id: 6030,
+              exerciseId: 13,
+              name: 'Bench Press',
+              equipment: 'Barbell',
+              changes: [{ field: 'targetWeight', from: 80, to: 85 }],
+            }],
+            reordered: false,
+          },
+        };
+      }
+      if (path === '/api/routines/603/versions/31/restore' && method === 'POST') {
+        state.restoreCalls += 1;
+        const version = buildVersion(33, 3, 'restored', { restoredFromVersionNumber: 1 });
+        snapshots[33] = snapshots[31];
+        state.versions = [version, ...state.versions];
+        state.routines = [buildRoutine('Push Day', 80)];
+        return { routine: state.routines[0], version };
+      }
+      if (path.startsWith('/api/routines/603/versions/compare?')) {
+        return {
+          from: state.versions[1],
+          to: state.versions[0],
+          diff: { changes: [], added: [], removed: [], changed: [], reordered: false },
+        };
+      }
+      throw new Error(`Unhandled path: ${path}`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/routines?history=603&version=31');
+
+    expect(await screen.findByText('Version history · Push Day')).toBeInTheDocument();
+    const firstVersion = await screen.findByRole('button', { name: /^Version 1\D/ });
+    expect(firstVersion).toHaveAttribute('aria-pressed', 'true');
+    expect(firstVersion).toHaveTextContent('Created');
+    expect(firstVersion).toHaveTextContent('1 workout');
+    expect(await screen.findByText('Barbell Bench Press · 5')).toBeInTheDocument();
+    expect(await screen.findByText('Changes from version 1 to version 2')).toBeInTheDocument();
+    expect(screen.getByText('Weight: 80 kg → 85 kg')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Restore this version' }));
+    await waitFor(() => {
+      expect(state.restoreCalls).toBe(1);
+    });
+    const restoredVersion = await screen.findByRole('button', { name: /^Version 3 · Current/ });
+    expect(restoredVersion).toHaveAttribute('aria-pressed', 'true');
+    expect(restoredVersion).toHaveTextContent('Restored version 1');
+    expect(screen.queryByRole('button', { name: 'Restore this version' })).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Close version history' }));
+    await user.click(await screen.findByRole('button', { name: 'Show exercises (1)' }));
+    expect(await screen.findByText('80 kg')).toBeInTheDocument();
+  });
+
+  it('shares a routine, copies a shared one, and pulls updates from its author', async () => {
+    const buildRoutine = (id, name, targetWeight, extra = {}) => ({
+      id,
+      name,
+      notes: null,
+      sharedAt: null,
+      origin: null,
+      exercises: [{
+        id: id * 10,
+        exerciseId: 13,
+        name: 'Overhead Press',
+        primaryMuscles: ['shoulders'],
+        equipment: 'Barbell',
+        position: 0,
+        targetSets: 1,
+        targetReps: 5,
+        targetRestSeconds: 120,
+        targetWeight,
+        setTargets: [{ setIndex: 1, targetReps: 5, targetWeight: null }],
+        notes: null,
+        supersetGroup: null,
+      }],
+      ...extra,
+    });
+    const origin = {
+      routineId: 700,
+      name: 'Press Day',
+      authorName: 'sam',
+      available: true,
+      updateAvailable: true,
+    };
+    const state = {
+      routines: [
+        buildRoutine(702, 'Legs', 100),
+        buildRoutine(703, 'Press Day', 50, { origin }),
+      ],
+      calls: [],
+    };
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines' && method === 'GET') return { routines: state.routines };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/training-maxes') return { trainingMaxes: [] };
+      if (path === '/api/shared-routines') {
+        return {
+          routines: [{
+            ...buildRoutine(701, 'Sam Pull', 80),
+            authorName: 'sam',
+            isOwn: false,
+            copiedRoutineId: null,
+            sharedAt: '2026-03-01T10:00:00.000Z',
+          }],
+        };
+      }
+      if (path === '/api/shared-routines/701/copy' && method === 'POST') {
+        state.calls.push('copy');
+        return {
+          routine: buildRoutine(704, 'Sam Pull', 80, {
+            origin: { ...origin, routineId: 701, name: 'Sam Pull', updateAvailable: false },
+          }),
+        };
+      }
+      if (path === '/api/routines/702/share' && method === 'POST') {
+        state.calls.push('share');
+        return { routine: buildRoutine(702, 'Legs', 100, { sharedAt: '2026-03-02T10:00:00.000Z' }) };
+      }
+      if (path === '/api/routines/703/origin/pull' && method === 'POST') {
+        state.calls.push('pull');
+        return {
+          routine: buildRoutine(703, 'Press Day', 52.5, { origin: { ...origin, updateAvailable: false } }),
+          updated: true,
+        };
+      }
+      throw new Error(`Unhandled path: ${path}`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/routines');
+
+    expect(await screen.findByText('Copied from Press Day by sam')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Pull updates' }));
+    await waitFor(() => {
+      expect(screen.queryByRole('button', { name: 'Pull updates' })).not.toBeInTheDocument();
+    });
+
+    const shareButtons = screen.getAllByRole('button', { name: 'Share routine' });
+    await user.click(shareButtons[0]);
+    expect(await screen.findByRole('button', { name: 'Stop sharing routine' })).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByText('Shared')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Browse shared' }));
+    expect(await screen.findByText('Shared by sam · Standard')).toBeInTheDocument();
+    expect(screen.getByText('Barbell Overhead Press · 5')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Copy Sam Pull' }));
+    expect(await screen.findByText('In your routines')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Copy Sam Pull' })).toHaveTextContent('Copy again');
+    await user.click(screen.getByRole('button', { name: 'Close shared routines' }));
+
+    expect(await screen.findByText('Copied from Sam Pull by sam')).toBeInTheDocument();
+    expect(state.calls).toEqual(['pull', 'share', 'copy']);
+  });
+
+  it('pastes a routine as text, maps unmatched names, and copies it back as text', async () => {
+    const exercises = [
+      { id: 21, name: 'Back Squat', primaryMuscles: ['quadriceps'] },
+      { id: 22, name: 'Walking Lunge', primaryMuscles: ['quadriceps'] },
+    ];
+    const state = { parsedText: null, serializePayload: null, savedPayload: null };
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines' && method === 'GET') return { routines: [] };
+      if (path === '/api/exercises') return { exercises };
+      if (path === '/api/routines/text/parse' && method === 'POST') {
+        state.parsedText = JSON.parse(options.body).text;
+        return {
+          name: 'Leg Day',
+          notes: null,
+          exercises: [
+            {
+              line: 2,
+              text: 'Barbell back squat 3x5 @ 100kg',
+              name: 'Barbell back squat',
+              exerciseId: 21,
+              exerciseName: 'Back Squat',
+              candidates: [{ id: 21, name: 'Back Squat' }],
+              equipment: 'Barbell',
+              targetSets: 3,
+              targetReps: 5,
+              targetWeight: 100,
+              targetRestSeconds: 120,
+              supersetGroup: null,
+              unilateral: false,
+              setTargets: [1, 2, 3].map((setIndex) => ({ setIndex, targetReps: 5, targetWeight: null, setType: 'working' })),
+            },
+            {
+              line: 3,
+              text: 'Zercher walk 2x10',
+              name: 'Zercher walk',
+              exerciseId: null,
+              exerciseName: null,
+              candidates: [{ id: 22, name: 'Walking Lunge' }],
+              equipment: null,
+              targetSets: 2,
+              targetReps: 10,
+              targetWeight: null,
+              targetRestSeconds: null,
+              supersetGroup: null,
+              unilateral: false,
+              setTargets: [1, 2].map((setIndex) => ({ setIndex, targetReps: 10, targetWeight: null, setType: 'working' })),
+            },
+          ],
+          errors: [{ line: 4, text: 'Cool down', message: 'Add sets and reps, for example "3x8".' }],
+          warnings: [],
+        };
+      }
+      if (path === '/api/routines/text/serialize' && method === 'POST') {
+        state.serializePayload = JSON.parse(options.body);
+        return { text: 'Leg Day\nBarbell Back Squat 3x5 @ 100 kg, rest 2 min\n' };
+      }
+      if (path === '/api/routines' && method === 'POST') {
+        state.savedPayload = JSON.parse(options.body);
+        return { routine: { id: 701, ...state.savedPayload, exercises: [] } };
+      }
+      throw new Error(`Unhandled path: ${path}`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/routines');
+
+    await user.click(await screen.findByRole('button', { name: 'Create' }));
+    await user.click(await screen.findByRole('button', { name: 'Paste routine' }));
+    await user.click(screen.getByRole('textbox', { name: 'Routine text' }));
+    await user.paste('Leg Day\nBarbell back squat 3x5 @ 100kg\nZercher walk 2x10\nCool down');
+    await user.click(screen.getByRole('button', { name: 'Read text' }));
+
+    expect(await screen.findByText('Line 4: Add sets and reps, for example "3x8".')).toBeInTheDocument();
+    expect(state.parsedText).toContain('Zercher walk 2x10');
+    expect(screen.getByText('1 name needs an exercise. Lines left without one are skipped.')).toBeInTheDocument();
+    expect(screen.getByRole('combobox', { name: 'Exercise for "Barbell back squat"' })).toHaveValue('21');
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Exercise for "Zercher walk"' }), '22');
+    expect(screen.getByText('Every line matched an exercise.')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Use these exercises' }));
+
+    expect(await screen.findByText('Exercise (2/2)')).toBeInTheDocument();
+    expect(screen.queryByRole('textbox', { name: 'Routine text' })).not.toBeInTheDocument();
+    expect(screen.getByPlaceholderText('Push Day')).toHaveValue('Leg Day');
+    expect(screen.getAllByRole('combobox', { name: 'Exercise' }).map((select) => select.value)).toEqual(['21', '22']);
+    expect(screen.getAllByRole('spinbutton', { name: 'Weight' })[0]).toHaveValue(100);
+
+    await user.click(screen.getByRole('button', { name: 'Copy as text' }));
+    expect(await screen.findByText('Copied the routine as text.')).toBeInTheDocument();
+    expect(state.serializePayload.name).toBe('Leg Day');
+    expect(state.serializePayload.exercises.map((item) => item.exerciseId)).toEqual([21, 22]);
+    await expect(navigator.clipboard.readText()).resolves.toBe('Leg Day\nBarbell Back Squat 3x5 @ 100 kg, rest 2 min\n');
+
+    // The lunge line had no equipment in the text, so it is picked before saving.
+    await user.selectOptions(screen.getAllByRole('combobox', { name: 'Equipment' })[1], 'equipment:Bodyweight');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+    await waitFor(() => {
+      expect(state.savedPayload?.exercises?.map((item) => [item.exerciseId, item.targetSets, item.targetReps]))
+        .toEqual([[21, 3, 5], [22, 2, 10]]);
+    });
+    expect(state.savedPayload.exercises[0]).toMatchObject({ equipment: 'Barbell', targetWeight: 100, targetRestSeconds: 120 });
+  });
+
+  it('prints a routine card with blank set boxes and last workout hints', async () => {
+    const printSpy = vi.spyOn(window, 'print').mockImplementation(() => {});
+    const routine = {
+      id: 801,
+      name: 'Press Day',
+      notes: 'Pause every rep',
+      routineType: 'standard',
+      exercises: [
+        {
+          id: 8010,
+          exerciseId: 12,
+          name: 'Overhead Press',
+          primaryMuscles: ['shoulders'],
+          equipment: 'Barbell',
+          position: 0,
+          targetSets: 2,
+          targetReps: 5,
+          targetRestSeconds: 120,
+          targetWeight: 50,
+          setTargets: [
+            { id: 1, setIndex: 1, targetReps: 5, setType: 'working' },
+            { id: 2, setIndex: 2, targetReps: 5, setType: 'working' },
+          ],
+        },
+      ],
+    };
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines' && method === 'GET') return { routines: [routine] };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/routines/801/print' && method === 'GET') {
+        return {
+          routine,
+          lastPerformance: [
+            {
+              exerciseId: 12,
+              routineExerciseId: 8010,
+              lastSession: {
+                sessionId: 5,
+                startedAt: '2026-03-02T10:00:00.000Z',
+                matchedBy: 'routineExercise',
+                sets: [
+                  { id: 51, setIndex: 1, setType: 'working', reps: 5, weight: 45 },
+                  { id: 52, setIndex: 2, setType: 'working', reps: 4, weight: 45 },
+                ],
+              },
+              bestSet: null,
+            },
+          ],
+        };
+      }
+      throw new Error(`Unhandled path: ${path}`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/routines');
+
+    await user.click(await screen.findByRole('button', { name: 'Print routine' }));
+
+    const table = await screen.findByRole('table', { name: 'Barbell Overhead Press sets' });
+    expect(screen.getByRole('heading', { name: 'Press Day' })).toBeInTheDocument();
+    expect(screen.getByText('Pause every rep')).toBeInTheDocument();
+    expect(screen.getByText('Rest 02:00')).toBeInTheDocument();
+    const rows = within(table).getAllByRole('row').slice(1);
+    expect(rows.map((row) => within(row).getAllByRole('cell').map((cell) => cell.textContent))).toEqual([
+      ['Set 1', '5 @ 50 kg', '', '', ''],
+      ['Set 2', '5 @ 50 kg', '', '', ''],
+    ]);
+    expect(screen.getByText('Set 1 45 kg × 5 reps · Set 2 45 kg × 4 reps')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Print' }));
+    expect(printSpy).toHaveBeenCalledTimes(1);
+    await user.click(screen.getByRole('button', { name: 'Back to routines' }));
+    expect(await screen.findByRole('button', { name: 'Print routine' })).toBeInTheDocument();
+  });
+
   it('supports exercise create and update', async () => {
     const state = {
       exercises: [],
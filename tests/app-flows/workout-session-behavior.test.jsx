@@ -708,6 +708,1199 @@ describe('App UI flows', () => {
     expect(restoredRepsSelect).toHaveValue('7');
   });
 
+  it('saves the selected RPE with each checked set when finishing an exercise', async () => {
+    const now = new Date().toISOString();
+    const savedSets = [];
+    const activeSession = {
+      id: 781,
+      routineId: 31,
+      routineName: 'Leg Day',
+      name: 'Leg Day',
+      startedAt: now,
+      endedAt: null,
+      notes: null,
+      exercises: [
+        {
+          exerciseId: 101,
+          name: 'Back Squat',
+          equipment: 'Barbell',
+          targetSets: 2,
+          targetReps: 5,
+          targetRestSeconds: 120,
+          targetWeight: 100,
+          targetBandLabel: null,
+          status: 'in_progress',
+          position: 0,
+          sets: [],
+        },
+        {
+          exerciseId: 103,
+          name: 'Leg Extension',
+          equipment: 'Machine',
+          targetSets: 1,
+          targetReps: 10,
+          targetRestSeconds: 60,
+          targetWeight: 45,
+          targetBandLabel: null,
+          status: 'pending',
+          position: 1,
+          sets: [],
+        },
+      ],
+    };
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') return { routines: [] };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/sessions/active') return { session: activeSession };
+      if (path === '/api/sessions?limit=15') return { sessions: [] };
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      if (path === '/api/sessions/781/sets' && method === 'POST') {
+        const payload = JSON.parse(options.body);
+        savedSets.push(payload);
+        return {
+          set: {
+            id: savedSets.length,
+            sessionId: 781,
+            exerciseId: payload.exerciseId,
+            setIndex: savedSets.length,
+            reps: payload.reps,
+            weight: payload.weight,
+            rpe: payload.rpe,
+            completedAt: payload.completedAt || now,
+            createdAt: now,
+          },
+          exerciseProgress: { exerciseId: payload.exerciseId, status: 'in_progress', startedAt: now },
+        };
+      }
+      if (path === '/api/sessions/781/exercises/101/complete' && method === 'POST') {
+        return { exerciseProgress: { exerciseId: 101, status: 'completed', startedAt: now, completedAt: now } };
+      }
+      if (path === '/api/sessions/781/exercises/103/start' && method === 'POST') {
+        return { exerciseProgress: { exerciseId: 103, status: 'in_progress', startedAt: now } };
+      }
+      throw new Error(`Unhandled path: ${path} (${method})`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/workout');
+
+    const setToggle = await screen.findByRole('button', { name: /Toggle set 1 for Back Squat/i });
+    const rpeSelect = await screen.findByRole('combobox', { name: /Set 1 RPE for Back Squat/i });
+    await user.selectOptions(rpeSelect, '8.5');
+    await waitFor(() => expect(setToggle).toHaveAttribute('aria-pressed', 'true'));
+
+    await user.click(screen.getByRole('button', { name: 'Finish exercise' }));
+
+    await waitFor(() => {
+      expect(savedSets).toHaveLength(2);
+    });
+    expect(savedSets[0]).toMatchObject({ exerciseId: 101, reps: 5, weight: 100, rpe: 8.5 });
+    expect(savedSets[1]).toMatchObject({ exerciseId: 101, rpe: null });
+  });
+
+  it('celebrates personal records returned for saved sets', async () => {
+    const now = new Date().toISOString();
+    let savedSetCount = 0;
+    const activeSession = {
+      id: 781,
+      routineId: 31,
+      routineName: 'Leg Day',
+      name: 'Leg Day',
+      startedAt: now,
+      endedAt: null,
+      notes: null,
+      exercises: [
+        {
+          exerciseId: 101,
+          name: 'Back Squat',
+          equipment: 'Barbell',
+          targetSets: 2,
+          targetReps: 5,
+          targetRestSeconds: 120,
+          targetWeight: 100,
+          targetBandLabel: null,
+          status: 'in_progress',
+          position: 0,
+          sets: [],
+        },
+        {
+          exerciseId: 103,
+          name: 'Leg Extension',
+          equipment: 'Machine',
+          targetSets: 1,
+          targetReps: 10,
+          targetRestSeconds: 60,
+          targetWeight: 45,
+          targetBandLabel: null,
+          status: 'pending',
+          position: 1,
+          sets: [],
+        },
+      ],
+    };
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') return { routines: [] };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/sessions/active') return { session: activeSession };
+      if (path === '/api/sessions?limit=15') return { sessions: [] };
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      if (path === '/api/sessions/781/sets' && method === 'POST') {
+        const payload = JSON.parse(options.body);
+        savedSetCount += 1;
+        return {
+          set: {
+            id: savedSetCount,
+            sessionId: 781,
+            exerciseId: payload.exerciseId,
+            setIndex: savedSetCount,
+            reps: payload.reps,
+            weight: payload.weight,
+            completedAt: payload.completedAt || now,
+            createdAt: now,
+          },
+          exerciseProgress: { exerciseId: payload.exerciseId, status: 'in_progress', startedAt: now },
+          personalRecords: savedSetCount === 1
+            ? [
+              { recordType: 'weight', weight: null, value: 100, previousValue: 95, setId: 1 },
+              { recordType: 'reps', weight: 100, value: 5, previousValue: 4, setId: 1 },
+            ]
+            : [],
+        };
+      }
+      if (path === '/api/sessions/781/exercises/101/complete' && method === 'POST') {
+        return { exerciseProgress: { exerciseId: 101, status: 'completed', startedAt: now, completedAt: now } };
+      }
+      if (path === '/api/sessions/781/exercises/103/start' && method === 'POST') {
+        return { exerciseProgress: { exerciseId: 103, status: 'in_progress', startedAt: now } };
+      }
+      throw new Error(`Unhandled path: ${path} (${method})`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/workout');
+
+    await screen.findByRole('button', { name: /Toggle set 1 for Back Squat/i });
+    await user.click(screen.getByRole('button', { name: 'Finish exercise' }));
+
+    const notice = await screen.findByRole('status');
+    expect(within(notice).getByText('New personal record · Back Squat')).toBeInTheDocument();
+    expect(within(notice).getByText('Heaviest weight: 100 kg (was 95 kg)')).toBeInTheDocument();
+    expect(within(notice).getByText('Most reps at 100 kg: 5 reps (was 4 reps)')).toBeInTheDocument();
+    expect(await screen.findByText('Machine Leg Extension')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Previous exercise' }));
+    expect(await screen.findByText('Barbell Back Squat')).toBeInTheDocument();
+    const recordBadge = screen.getByText('PR');
+    expect(recordBadge).toHaveAttribute('title', expect.stringContaining('Heaviest weight: 100 kg (was 95 kg)'));
+    expect(screen.getByRole('button', { name: /Toggle set 1 for Back Squat/i })).toContainElement(recordBadge);
+
+    await user.click(screen.getByRole('button', { name: 'Dismiss personal record' }));
+    expect(screen.queryByText('New personal record · Back Squat')).not.toBeInTheDocument();
+  });
+
+  it('times a hold for a duration exercise and logs the seconds held', async () => {
+    const now = new Date().toISOString();
+    const savedSets = [];
+    const activeSession = {
+      id: 782,
+      routineId: 32,
+      routineName: 'Core Day',
+      name: 'Core Day',
+      startedAt: now,
+      endedAt: null,
+      notes: null,
+      exercises: [
+        {
+          exerciseId: 111,
+          name: 'Plank',
+          equipment: 'Bodyweight',
+          measurementMode: 'time',
+          targetSets: 2,
+          targetReps: null,
+          targetTimeSeconds: 45,
+          targetRestSeconds: 60,
+          targetWeight: null,
+          targetBandLabel: null,
+          status: 'in_progress',
+          position: 0,
+          sets: [],
+        },
+        {
+          exerciseId: 112,
+          name: 'Dead Bug',
+          equipment: 'Bodyweight',
+          targetSets: 1,
+          targetReps: 10,
+          targetRestSeconds: 60,
+          targetWeight: null,
+          targetBandLabel: null,
+          status: 'pending',
+          position: 1,
+          sets: [],
+        },
+      ],
+    };
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') return { routines: [] };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/sessions/active') return { session: activeSession };
+      if (path === '/api/sessions?limit=15') return { sessions: [] };
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      if (path === '/api/sessions/782/sets' && method === 'POST') {
+        const payload = JSON.parse(options.body);
+        savedSets.push(payload);
+        return {
+          set: {
+            id: savedSets.length,
+            sessionId: 782,
+            exerciseId: payload.exerciseId,
+            setIndex: savedSets.length,
+            reps: null,
+            weight: payload.weight,
+            timeSeconds: payload.timeSeconds,
+            distanceMeters: null,
+            completedAt: payload.completedAt || now,
+            createdAt: now,
+          },
+          exerciseProgress: { exerciseId: payload.exerciseId, status: 'in_progress', startedAt: now },
+        };
+      }
+      if (path === '/api/sessions/782/exercises/111/complete' && method === 'POST') {
+        return { exerciseProgress: { exerciseId: 111, status: 'completed', startedAt: now, completedAt: now } };
+      }
+      if (path === '/api/sessions/782/exercises/112/start' && method === 'POST') {
+        return { exerciseProgress: { exerciseId: 112, status: 'in_progress', startedAt: now } };
+      }
+      throw new Error(`Unhandled path: ${path} (${method})`);
+    });
+
+    const realNow = Date.now.bind(Date);
+    let offsetMs = 0;
+    vi.spyOn(Date, 'now').mockImplementation(() => realNow() + offsetMs);
+
+    const user = userEvent.setup();
+    renderAppAt('/workout');
+
+    const durationSelect = await screen.findByRole('combobox', { name: /Set 1 duration for Plank/i });
+    expect(durationSelect).toHaveValue('45');
+    expect(screen.queryByRole('spinbutton', { name: /weight/i })).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Start hold for set 1 of Plank' }));
+    expect(
+      await screen.findByRole('timer', { name: 'Hold time left for set 1 of Plank' })
+    ).toHaveTextContent('00:45');
+
+    offsetMs = 32_000;
+    await user.click(screen.getByRole('button', { name: 'Stop hold for set 1 of Plank' }));
+
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: /Toggle set 1 for Plank/i })).toHaveAttribute('aria-pressed', 'true');
+    });
+    expect(screen.getByRole('combobox', { name: /Set 1 duration for Plank/i })).toHaveValue('32');
+    expect(screen.queryByRole('timer', { name: /Hold time left/i })).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Finish exercise' }));
+
+    await waitFor(() => {
+      expect(savedSets).toHaveLength(2);
+    });
+    expect(savedSets[0]).toMatchObject({ exerciseId: 111, timeSeconds: 32, weight: 0 });
+    expect(savedSets[0].reps).toBeUndefined();
+    expect(savedSets[1]).toMatchObject({ exerciseId: 111, timeSeconds: 45, weight: 0 });
+  });
+
+  it('logs reps and weight per side for a unilateral exercise', async () => {
+    const now = new Date().toISOString();
+    const savedSets = [];
+    const activeSession = {
+      id: 783,
+      routineId: 33,
+      routineName: 'Knee Rehab',
+      name: 'Knee Rehab',
+      startedAt: now,
+      endedAt: null,
+      notes: null,
+      exercises: [
+        {
+          exerciseId: 121,
+          name: 'Split Squat',
+          equipment: 'Dumbbell',
+          targetSets: 2,
+          targetReps: 8,
+          targetRestSeconds: 60,
+          targetWeight: 20,
+          targetBandLabel: null,
+          unilateral: true,
+          status: 'in_progress',
+          position: 0,
+          sets: [],
+        },
+        {
+          exerciseId: 122,
+          name: 'Glute Bridge',
+          equipment: 'Bodyweight',
+          targetSets: 1,
+          targetReps: 12,
+          targetRestSeconds: 60,
+          targetWeight: null,
+          targetBandLabel: null,
+          status: 'pending',
+          position: 1,
+          sets: [],
+        },
+      ],
+    };
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') return { routines: [] };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/sessions/active') return { session: activeSession };
+      if (path === '/api/sessions?limit=15') return { sessions: [] };
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      if (path === '/api/sessions/783/sets' && method === 'POST') {
+        const payload = JSON.parse(options.body);
+        savedSets.push(payload);
+        return {
+          set: {
+            id: savedSets.length,
+            sessionId: 783,
+            exerciseId: payload.exerciseId,
+            setIndex: savedSets.length,
+            reps: payload.reps,
+            weight: payload.weight,
+            leftReps: payload.leftReps,
+            leftWeight: payload.leftWeight,
+            rightReps: payload.rightReps,
+            rightWeight: payload.rightWeight,
+            completedAt: payload.completedAt || now,
+            createdAt: now,
+          },
+          exerciseProgress: { exerciseId: payload.exerciseId, status: 'in_progress', startedAt: now },
+        };
+      }
+      if (path === '/api/sessions/783/exercises/121/complete' && method === 'POST') {
+        return { exerciseProgress: { exerciseId: 121, status: 'completed', startedAt: now, completedAt: now } };
+      }
+      if (path === '/api/sessions/783/exercises/122/start' && method === 'POST') {
+        return { exerciseProgress: { exerciseId: 122, status: 'in_progress', startedAt: now } };
+      }
+      throw new Error(`Unhandled path: ${path} (${method})`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/workout');
+
+    const rightRepsSelect = await screen.findByRole('combobox', { name: 'Set 1 right reps for Split Squat' });
+    expect(screen.getByRole('combobox', { name: 'Set 1 left reps for Split Squat' })).toHaveValue('8');
+    expect(screen.getByRole('spinbutton', { name: 'Set 1 right weight for Split Squat' })).toHaveValue(20);
+    expect(screen.queryByRole('combobox', { name: /Set 1 reps for Split Squat/i })).not.toBeInTheDocument();
+
+    await user.selectOptions(rightRepsSelect, '6');
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: /Toggle set 1 for Split Squat/i })).toHaveAttribute('aria-pressed', 'true');
+    });
+    await user.type(
+      screen.getByRole('spinbutton', { name: 'Set 1 left weight for Split Squat' }),
+      '{backspace}5'
+    );
+    expect(screen.getByRole('spinbutton', { name: 'Set 1 left weight for Split Squat' })).toHaveValue(25);
+
+    await user.click(screen.getByRole('button', { name: 'Finish exercise' }));
+
+    await waitFor(() => {
+      expect(savedSets).toHaveLength(2);
+    });
+    expect(savedSets[0]).toMatchObject({
+      exerciseId: 121,
+      reps: 8,
+      leftReps: 8,
+      leftWeight: 25,
+      rightReps: 6,
+      rightWeight: 20,
+    });
+    expect(savedSets[1]).toMatchObject({
+      exerciseId: 121,
+      leftReps: 8,
+      leftWeight: 20,
+      rightReps: 8,
+      rightWeight: 20,
+    });
+  });
+
+  it('steps next target weights through the saved plate inventory and shows plates per side', async () => {
+    const now = new Date().toISOString();
+    const activeSession = {
+      id: 784,
+      routineId: 34,
+      routineName: 'Garage Day',
+      name: 'Garage Day',
+      startedAt: now,
+      endedAt: null,
+      notes: null,
+      exercises: [
+        {
+          exerciseId: 131,
+          name: 'Back Squat',
+          equipment: 'Barbell',
+          targetSets: 2,
+          targetReps: 5,
+          targetRestSeconds: 120,
+          targetWeight: 60,
+          targetBandLabel: null,
+          status: 'in_progress',
+          position: 0,
+          sets: [],
+        },
+      ],
+    };
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') return { routines: [] };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/sessions/active') return { session: activeSession };
+      if (path === '/api/sessions?limit=15') return { sessions: [] };
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      if (path === '/api/equipment-inventory') {
+        return {
+          inventory: {
+            barWeights: [20],
+            plates: [{ weight: 20, pairs: 1 }, { weight: 10, pairs: 1 }],
+            dumbbells: [],
+            kettlebells: [],
+          },
+        };
+      }
+      throw new Error(`Unhandled path: ${path} (${method})`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/workout');
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Plate loading for Back Squat')).toHaveTextContent('20 per side on 20 kg bar');
+    });
+    const targetInput = screen.getByRole('textbox', { name: /Set next target weight for Back Squat/i });
+    expect(targetInput).toHaveValue('60');
+
+    await user.click(screen.getByRole('button', { name: 'Increase next target weight for Back Squat' }));
+    expect(targetInput).toHaveValue('80');
+    await user.click(screen.getByRole('button', { name: 'Decrease next target weight for Back Squat' }));
+    await user.click(screen.getByRole('button', { name: 'Decrease next target weight for Back Squat' }));
+    expect(targetInput).toHaveValue('40');
+  });
+
+  it('shows the last session sets and best set on workout exercise cards', async () => {
+    const now = new Date().toISOString();
+    const activeSession = {
+      id: 785,
+      routineId: 36,
+      routineName: 'Leg Day',
+      name: 'Leg Day',
+      startedAt: now,
+      endedAt: null,
+      notes: null,
+      exercises: [
+        {
+          exerciseId: 132,
+          routineExerciseId: 901,
+          name: 'Front Squat',
+          equipment: 'Barbell',
+          targetSets: 2,
+          targetReps: 5,
+          targetRestSeconds: 120,
+          targetWeight: 100,
+          targetBandLabel: null,
+          status: 'in_progress',
+          position: 0,
+          sets: [],
+        },
+      ],
+    };
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') return { routines: [] };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/sessions/active') return { session: activeSession };
+      if (path === '/api/sessions?limit=15') return { sessions: [] };
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      if (path === '/api/sessions/785/last-performance') {
+        return {
+          sessionId: 785,
+          exercises: [
+            {
+              exerciseId: 132,
+              routineExerciseId: 901,
+              sessionExerciseKey: 'routine:901',
+              lastSession: {
+                sessionId: 700,
+                startedAt: '2026-03-05T07:00:00.000Z',
+                matchedBy: 'routineExercise',
+                sets: [
+                  { id: 1, setIndex: 1, setType: 'working', reps: 5, weight: 100 },
+                  { id: 2, setIndex: 2, setType: 'working', reps: 4, weight: 100 },
+                ],
+              },
+              bestSet: {
+                id: 3, setIndex: 1, setType: 'working', reps: 3, weight: 110, sessionId: 650, startedAt: '2026-02-20T07:00:00.000Z',
+              },
+            },
+          ],
+        };
+      }
+      throw new Error(`Unhandled path: ${path} (${method})`);
+    });
+
+    renderAppAt('/workout');
+
+    const lastPerformance = await screen.findByLabelText('Last performance for Front Squat');
+    const setItems = within(lastPerformance).getAllByRole('listitem');
+    expect(setItems).toHaveLength(2);
+    expect(setItems[0]).toHaveTextContent('Set 1100 kg × 5 reps');
+    expect(setItems[1]).toHaveTextContent('Set 2100 kg × 4 reps');
+    expect(lastPerformance).toHaveTextContent(/Last time/);
+    expect(lastPerformance).toHaveTextContent(/Best · 110 kg × 3 reps/);
+  });
+
+  it('shows auto-closed workouts on the start screen and saves an adjusted end time', async () => {
+    const autoClosedSession = {
+      id: 995,
+      routineId: 35,
+      routineName: 'Pull Day',
+      startedAt: '2026-03-05T07:00:00.000Z',
+      endedAt: '2026-03-05T07:40:00.000Z',
+      autoClosedAt: '2026-03-05T14:00:00.000Z',
+      exercises: [],
+    };
+    let reviewPayload = null;
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') return { routines: [] };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/sessions/active') return { session: null };
+      if (path === '/api/sessions/auto-closed') return { sessions: [autoClosedSession] };
+      if (path === '/api/sessions?limit=15') return { sessions: [autoClosedSession] };
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      if (path === '/api/sessions/995/auto-close/review' && method === 'POST') {
+        reviewPayload = JSON.parse(options.body);
+        return { session: { ...autoClosedSession, endedAt: reviewPayload.endedAt, durationSeconds: 3600 } };
+      }
+      throw new Error(`Unhandled path: ${path} (${method})`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/workout');
+
+    expect(await screen.findByText('Workouts closed automatically')).toBeInTheDocument();
+    const endInput = screen.getByLabelText('End time for Pull Day');
+    await user.clear(endInput);
+    await user.type(endInput, '2026-03-05T09:15');
+    await user.click(screen.getByRole('button', { name: 'Save end time' }));
+
+    await waitFor(() => {
+      expect(screen.queryByText('Workouts closed automatically')).not.toBeInTheDocument();
+    });
+    expect(reviewPayload).toEqual({ endedAt: new Date(2026, 2, 5, 9, 15).toISOString() });
+  });
+
+  it('logs a past workout from the start screen with every set in one form', async () => {
+    const routine = {
+      id: 35,
+      name: 'Pull Day',
+      exercises: [
+        {
+          id: 3501,
+          exerciseId: 141,
+          name: 'Barbell Row',
+          equipment: 'Barbell',
+          targetSets: 2,
+          targetReps: 8,
+          targetWeight: 60,
+          targetBandLabel: null,
+          position: 0,
+        },
+      ],
+    };
+    let pastPayload = null;
+    let sessions = [];
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') return { routines: [routine] };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/sessions/active') return { session: null };
+      if (path === '/api/sessions?limit=15') return { sessions };
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      if (path === '/api/sessions/past' && method === 'POST') {
+        pastPayload = JSON.parse(options.body);
+        sessions = [{
+          id: 990,
+          routineId: 35,
+          routineName: 'Pull Day',
+          startedAt: pastPayload.startedAt,
+          endedAt: pastPayload.startedAt,
+          totalSets: 2,
+        }];
+        return { session: sessions[0] };
+      }
+      throw new Error(`Unhandled path: ${path} (${method})`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/workout');
+
+    await user.click(await screen.findByRole('button', { name: 'Log past workout' }));
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Routine for past workout' }), '35');
+    const startInput = screen.getByLabelText('Past workout start time');
+    await user.clear(startInput);
+    await user.type(startInput, '2026-03-05T07:30');
+    const durationInput = screen.getByRole('spinbutton', { name: 'Past workout duration' });
+    await user.clear(durationInput);
+    await user.type(durationInput, '50');
+    const secondSetReps = screen.getByRole('spinbutton', { name: 'Set 2 reps for Barbell Row' });
+    await user.clear(secondSetReps);
+    await user.type(secondSetReps, '6');
+    await user.click(screen.getByRole('button', { name: 'Add set' }));
+    await user.click(screen.getByRole('button', { name: 'Remove set 3 for Barbell Row' }));
+    await user.click(screen.getByRole('button', { name: 'Save workout' }));
+
+    await waitFor(() => {
+      expect(screen.queryByRole('button', { name: 'Save workout' })).not.toBeInTheDocument();
+    });
+    expect(pastPayload).toEqual({
+      routineId: 35,
+      startedAt: new Date(2026, 2, 5, 7, 30).toISOString(),
+      durationMinutes: 50,
+      notes: null,
+      exercises: [
+        {
+          exerciseId: 141,
+          routineExerciseId: 3501,
+          sets: [{ reps: 8, weight: 60 }, { reps: 6, weight: 60 }],
+        },
+      ],
+    });
+    await waitFor(() => {
+      expect(screen.queryByText('No workouts logged yet.')).not.toBeInTheDocument();
+    });
+  });
+
+  it('pins the next program workout on the start screen and starts it with the program', async () => {
+    const now = new Date().toISOString();
+    const routine = {
+      id: 36,
+      name: 'Upper A',
+      exercises: [
+        {
+          id: 3601,
+          exerciseId: 151,
+          name: 'Bench Press',
+          equipment: 'Barbell',
+          targetSets: 3,
+          targetReps: 5,
+          targetWeight: 80,
+          targetBandLabel: null,
+          position: 0,
+        },
+      ],
+    };
+    const program = {
+      id: 7,
+      name: 'Strength block',
+      weeks: [
+        { weekNumber: 1, volumePercent: 100, intensityPercent: 100, deload: false },
+        { weekNumber: 2, volumePercent: 120, intensityPercent: 105, deload: false },
+      ],
+      days: [{ id: 71, dayNumber: 1, routineId: 36, routineName: 'Upper A', label: 'Heavy upper' }],
+      nextWorkout: {
+        weekNumber: 2,
+        dayNumber: 1,
+        routineId: 36,
+        routineName: 'Upper A',
+        label: 'Heavy upper',
+        volumePercent: 120,
+        intensityPercent: 105,
+        deload: false,
+      },
+    };
+    let startPayload = null;
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') return { routines: [routine] };
+      if (path === '/api/programs') return { programs: [program] };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/sessions/active') return { session: null };
+      if (path === '/api/sessions?limit=15') return { sessions: [] };
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      if (path === '/api/sessions' && method === 'POST') {
+        startPayload = JSON.parse(options.body);
+        return {
+          session: {
+            id: 601,
+            routineId: 36,
+            routineName: 'Upper A',
+            name: 'Upper A',
+            startedAt: now,
+            endedAt: null,
+            notes: null,
+            program: { id: 7, name: 'Strength block', weekNumber: 2, dayNumber: 1 },
+            exercises: [],
+          },
+        };
+      }
+      throw new Error(`Unhandled path: ${path} (${method})`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/workout');
+
+    const programButton = await screen.findByRole('button', { name: 'Strength block: Upper A' });
+    expect(within(programButton).getByText('Heavy upper')).toBeInTheDocument();
+    expect(within(programButton).getByText('Today')).toBeInTheDocument();
+    expect(within(programButton).getByText('Week 2 · Day 1 · 120% volume · 105% load')).toBeInTheDocument();
+
+    await user.click(programButton);
+
+    await waitFor(() => {
+      expect(startPayload).toMatchObject({ routineId: 36, programId: 7 });
+    });
+  });
+
+  it('puts the scheduled workout first on the start screen with missed workouts listed', async () => {
+    const routineA = { id: 37, name: 'Split A', exercises: [] };
+    const routineB = { id: 38, name: 'Split B', exercises: [] };
+    const routineC = { id: 39, name: 'Split C', exercises: [] };
+    let startPayload = null;
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') return { routines: [routineA, routineB, routineC] };
+      if (path.startsWith('/api/schedule/next?tzOffset=')) {
+        return {
+          mode: 'weekdays',
+          next: { routineId: 39, routineName: 'Split C', weekday: 5, position: 3, dueDate: '2026-03-13', status: 'today' },
+          missed: [
+            { routineId: 38, routineName: 'Split B', weekday: 3, position: 2, dueDate: '2026-03-11', status: 'missed' },
+          ],
+        };
+      }
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/sessions/active') return { session: null };
+      if (path === '/api/sessions?limit=15') return { sessions: [] };
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      if (path === '/api/sessions' && method === 'POST') {
+        startPayload = JSON.parse(options.body);
+        return {
+          session: {
+            id: 602,
+            routineId: 39,
+            routineName: 'Split C',
+            name: 'Split C',
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            notes: null,
+            exercises: [],
+          },
+        };
+      }
+      throw new Error(`Unhandled path: ${path} (${method})`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/workout');
+
+    const scheduledButton = await screen.findByRole('button', { name: 'Scheduled: Split C' });
+    const startButtons = screen.getAllByRole('button', { name: /Split [ABC]$/ });
+    expect(startButtons[0]).toBe(scheduledButton);
+    expect(within(scheduledButton).getByText('— Due today')).toBeInTheDocument();
+    expect(within(scheduledButton).getByText('Today')).toBeInTheDocument();
+    expect(within(scheduledButton).getByText('Also missed: Split B (Wednesday)')).toBeInTheDocument();
+
+    await user.click(scheduledButton);
+
+    await waitFor(() => {
+      expect(startPayload).toEqual({ routineId: 39 });
+    });
+  });
+
+  it('logs in-line warm-up sets ahead of working sets when finishing an exercise', async () => {
+    const now = new Date().toISOString();
+    const savedSets = [];
+    const activeSession = {
+      id: 782,
+      routineId: 31,
+      routineName: 'Leg Day',
+      name: 'Leg Day',
+      startedAt: now,
+      endedAt: null,
+      notes: null,
+      exercises: [
+        {
+          exerciseId: 101,
+          name: 'Back Squat',
+          equipment: 'Barbell',
+          targetSets: 1,
+          targetReps: 5,
+          targetRestSeconds: 120,
+          targetWeight: 100,
+          targetBandLabel: null,
+          status: 'in_progress',
+          position: 0,
+          sets: [],
+        },
+        {
+          exerciseId: 103,
+          name: 'Leg Extension',
+          equipment: 'Machine',
+          targetSets: 1,
+          targetReps: 10,
+          targetRestSeconds: 60,
+          targetWeight: 45,
+          targetBandLabel: null,
+          status: 'pending',
+          position: 1,
+          sets: [],
+        },
+      ],
+    };
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') return { routines: [] };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/sessions/active') return { session: activeSession };
+      if (path === '/api/sessions?limit=15') return { sessions: [] };
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      if (path === '/api/sessions/782/sets' && method === 'POST') {
+        const payload = JSON.parse(options.body);
+        savedSets.push(payload);
+        return {
+          set: {
+            id: savedSets.length,
+            sessionId: 782,
+            exerciseId: payload.exerciseId,
+            setIndex: 1,
+            setType: payload.setType,
+            reps: payload.reps,
+            weight: payload.weight,
+            rpe: payload.rpe,
+            completedAt: payload.completedAt || now,
+            createdAt: now,
+          },
+          exerciseProgress: { exerciseId: payload.exerciseId, status: 'in_progress', startedAt: now },
+        };
+      }
+      if (path === '/api/sessions/782/exercises/101/complete' && method === 'POST') {
+        return { exerciseProgress: { exerciseId: 101, status: 'completed', startedAt: now, completedAt: now } };
+      }
+      if (path === '/api/sessions/782/exercises/103/start' && method === 'POST') {
+        return { exerciseProgress: { exerciseId: 103, status: 'in_progress', startedAt: now } };
+      }
+      throw new Error(`Unhandled path: ${path} (${method})`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/workout');
+
+    await user.click(await screen.findByRole('button', { name: /Add warm-up set for Back Squat/i }));
+    const warmupToggle = await screen.findByRole('button', { name: /Toggle warm-up set for Back Squat/i });
+    expect(screen.getByRole('spinbutton', { name: /Warm-up weight for Back Squat/i })).toHaveValue(50);
+    await user.click(warmupToggle);
+    await waitFor(() => expect(warmupToggle).toHaveAttribute('aria-pressed', 'true'));
+
+    await user.click(screen.getByRole('button', { name: 'Finish exercise' }));
+
+    await waitFor(() => {
+      expect(savedSets).toHaveLength(2);
+    });
+    expect(savedSets[0]).toMatchObject({ exerciseId: 101, reps: 5, weight: 50, setType: 'warmup', rpe: null });
+    expect(savedSets[1]).toMatchObject({ exerciseId: 101, reps: 5, weight: 100, setType: 'working' });
+  });
+
+  it('swaps the current exercise for a suggested alternative and logs sets against it', async () => {
+    const now = new Date().toISOString();
+    const savedSets = [];
+    const substitutePayloads = [];
+    const activeSession = {
+      id: 783,
+      routineId: 32,
+      routineName: 'Leg Day',
+      name: 'Leg Day',
+      startedAt: now,
+      endedAt: null,
+      notes: null,
+      exercises: [
+        {
+          exerciseId: 101,
+          routineExerciseId: 501,
+          name: 'Back Squat',
+          equipment: 'Barbell',
+          targetSets: 2,
+          targetReps: 5,
+          targetRestSeconds: 120,
+          targetWeight: 100,
+          targetBandLabel: null,
+          status: 'in_progress',
+          position: 0,
+          sets: [],
+        },
+        {
+          exerciseId: 103,
+          routineExerciseId: 502,
+          name: 'Leg Extension',
+          equipment: 'Machine',
+          targetSets: 1,
+          targetReps: 10,
+          targetRestSeconds: 60,
+          targetWeight: 45,
+          targetBandLabel: null,
+          status: 'pending',
+          position: 1,
+          sets: [],
+        },
+      ],
+    };
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') return { routines: [] };
+      if (path === '/api/exercises') {
+        return { exercises: [{ id: 105, name: 'Hack Squat', primaryMuscles: ['quadriceps'] }] };
+      }
+      if (path === '/api/sessions/active') return { session: activeSession };
+      if (path === '/api/sessions?limit=15') return { sessions: [] };
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      if (path === '/api/sessions/783/exercises/101/alternatives?routineExerciseId=501') {
+        return {
+          exercise: { id: 101, name: 'Back Squat', primaryMuscles: ['quadriceps'] },
+          alternatives: [
+            {
+              exerciseId: 105,
+              forkId: null,
+              name: 'Hack Squat',
+              primaryMuscles: ['quadriceps'],
+              mechanic: 'compound',
+              equipment: 'machine',
+              score: 6,
+              matches: { primaryMuscles: true, mechanic: true, equipment: false },
+              inCatalog: true,
+            },
+          ],
+        };
+      }
+      if (path === '/api/sessions/783/exercises/101/substitute' && method === 'POST') {
+        const payload = JSON.parse(options.body);
+        substitutePayloads.push(payload);
+        return {
+          exercise: {
+            ...activeSession.exercises[0],
+            exerciseId: 105,
+            sessionExerciseKey: 'routine:501',
+            name: 'Hack Squat',
+            originalExerciseId: 101,
+            originalExerciseName: 'Back Squat',
+          },
+          exerciseProgress: { exerciseId: 105, routineExerciseId: 501, status: 'in_progress' },
+        };
+      }
+      if (path === '/api/sessions/783/sets' && method === 'POST') {
+        const payload = JSON.parse(options.body);
+        savedSets.push(payload);
+        return {
+          set: {
+            id: savedSets.length,
+            sessionId: 783,
+            exerciseId: payload.exerciseId,
+            routineExerciseId: payload.routineExerciseId,
+            setIndex: 1,
+            setType: payload.setType,
+            reps: payload.reps,
+            weight: payload.weight,
+            completedAt: payload.completedAt || now,
+            createdAt: now,
+          },
+          exerciseProgress: { exerciseId: payload.exerciseId, routineExerciseId: 501, status: 'completed' },
+        };
+      }
+      if (path === '/api/sessions/783/exercises/105/complete' && method === 'POST') {
+        return {
+          exerciseProgress: {
+            exerciseId: 105,
+            routineExerciseId: 501,
+            status: 'completed',
+            startedAt: now,
+            completedAt: now,
+          },
+        };
+      }
+      if (path === '/api/sessions/783/exercises/103/start' && method === 'POST') {
+        return { exerciseProgress: { exerciseId: 103, routineExerciseId: 502, status: 'in_progress', startedAt: now } };
+      }
+      throw new Error(`Unhandled path: ${path} (${method})`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/workout');
+
+    await user.click(await screen.findByRole('button', { name: 'Swap Back Squat' }));
+    await user.click(await screen.findByRole('button', { name: 'Swap to Hack Squat' }));
+
+    await waitFor(() => {
+      expect(substitutePayloads).toEqual([{ routineExerciseId: 501, substituteExerciseId: 105 }]);
+    });
+    expect(await screen.findByText('Swapped in for Back Squat')).toBeInTheDocument();
+    expect(
+      screen.queryByRole('button', { name: /Increase next target weight for Hack Squat/i })
+    ).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /Toggle set 1 for Hack Squat/i }));
+    await user.click(screen.getByRole('button', { name: 'Finish exercise' }));
+
+    await waitFor(() => {
+      expect(savedSets).toHaveLength(2);
+    });
+    savedSets.forEach((payload) => {
+      expect(payload).toMatchObject({ exerciseId: 105, routineExerciseId: 501, reps: 5, weight: 100 });
+    });
+    expect(
+      apiFetch.mock.calls.some(([path]) => String(path).startsWith('/api/routines/32/'))
+    ).toBe(false);
+  });
+
+  it('starts a freestyle workout and logs sets for exercises added mid-session', async () => {
+    const now = new Date().toISOString();
+    const state = { activeSession: null };
+    const addExercisePayloads = [];
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') return { routines: [] };
+      if (path === '/api/exercises') {
+        return {
+          exercises: [
+            { id: 201, name: 'Cable Fly', primaryMuscles: ['chest'] },
+            { id: 202, name: 'Hammer Curl', primaryMuscles: ['biceps'] },
+          ],
+        };
+      }
+      if (path === '/api/sessions/active') return { session: state.activeSession };
+      if (path === '/api/sessions?limit=15') return { sessions: [] };
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      if (path === '/api/sessions' && method === 'POST') {
+        expect(JSON.parse(options.body)).toMatchObject({ freestyle: true });
+        state.activeSession = {
+          id: 901,
+          routineId: null,
+          routineType: 'standard',
+          routineName: null,
+          name: 'Freestyle workout',
+          startedAt: now,
+          endedAt: null,
+          notes: null,
+          exercises: [],
+        };
+        return { session: state.activeSession };
+      }
+      if (path === '/api/sessions/901/exercises' && method === 'POST') {
+        const payload = JSON.parse(options.body);
+        addExercisePayloads.push(payload);
+        return {
+          exercise: {
+            exerciseId: payload.exerciseId,
+            routineExerciseId: null,
+            sessionExerciseKey: `exercise:${payload.exerciseId}`,
+            name: 'Hammer Curl',
+            equipment: payload.equipment,
+            targetSets: payload.targetSets,
+            targetReps: payload.targetReps,
+            setTargets: [],
+            targetRestSeconds: payload.targetRestSeconds,
+            targetWeight: payload.targetWeight,
+            targetBandLabel: null,
+            supersetGroup: null,
+            position: 0,
+            status: 'pending',
+            sets: [],
+          },
+          exerciseProgress: { exerciseId: payload.exerciseId, status: 'pending' },
+        };
+      }
+      if (path === '/api/sessions/901/exercises/202/start' && method === 'POST') {
+        return { exerciseProgress: { exerciseId: 202, status: 'in_progress', startedAt: now } };
+      }
+      throw new Error(`Unhandled path: ${path} (${method})`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/workout');
+
+    await user.click(await screen.findByRole('button', { name: /Start freestyle workout/i }));
+    await user.click(await screen.findByRole('button', { name: 'Add exercise' }));
+    const exerciseSelect = await screen.findByRole('combobox', { name: 'Exercise to add' });
+    await waitFor(() => expect(exerciseSelect).not.toBeDisabled());
+    await user.selectOptions(exerciseSelect, '202');
+    await user.selectOptions(
+      screen.getByRole('combobox', { name: 'Equipment for added exercise' }),
+      'equipment:Dumbbell'
+    );
+    await user.type(screen.getByRole('spinbutton', { name: 'Weight for added exercise' }), '16');
+    await user.click(screen.getByRole('button', { name: 'Add to workout' }));
+
+    await waitFor(() => {
+      expect(addExercisePayloads).toHaveLength(1);
+    });
+    expect(addExercisePayloads[0]).toMatchObject({
+      exerciseId: 202,
+      equipment: 'Dumbbell',
+      targetSets: 2,
+      targetReps: 8,
+      targetWeight: 16,
+    });
+    expect(await screen.findByRole('button', { name: /Toggle set 2 for Hammer Curl/i })).toBeInTheDocument();
+    expect(
+      apiFetch.mock.calls.some(
+        ([path, options]) => path === '/api/sessions/901/exercises/202/start' && options?.method === 'POST'
+      )
+    ).toBe(true);
+    expect(screen.queryByRole('button', { name: 'Begin workout' })).not.toBeInTheDocument();
+  });
+
   it('opens workout exercise list from an icon button in workout mode', async () => {
     const now = new Date().toISOString();
     const activeSession = {
@@ -781,6 +1974,72 @@ describe('App UI flows', () => {
     });
   });
 
+  it('pauses and resumes the active workout from the action bar', async () => {
+    const startedAt = new Date(Date.now() - 30 * 60 * 1000).toISOString();
+    const pauseCalls = [];
+    const activeSession = {
+      id: 779,
+      routineId: 31,
+      routineName: 'Leg Day',
+      name: 'Leg Day',
+      startedAt,
+      endedAt: null,
+      pausedAt: null,
+      pauses: [],
+      notes: null,
+      exercises: [
+        {
+          exerciseId: 101,
+          name: 'Back Squat',
+          equipment: 'Barbell',
+          targetSets: 2,
+          targetReps: 5,
+          targetRestSeconds: 120,
+          targetWeight: 100,
+          targetBandLabel: null,
+          status: 'in_progress',
+          position: 0,
+          sets: [],
+        },
+      ],
+    };
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') return { routines: [] };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/sessions/active') return { session: activeSession };
+      if (path === '/api/sessions?limit=15') return { sessions: [] };
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      if (path === '/api/sessions/779/pause' || path === '/api/sessions/779/resume') {
+        pauseCalls.push({ path, body: JSON.parse(options.body) });
+        return { session: activeSession };
+      }
+      throw new Error(`Unhandled path: ${path}`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/workout');
+
+    await user.click(await screen.findByRole('button', { name: 'Pause workout' }));
+
+    const pausedCard = await screen.findByRole('status');
+    expect(within(pausedCard).getByText('Workout paused')).toBeInTheDocument();
+    expect(pauseCalls[0].path).toBe('/api/sessions/779/pause');
+    expect(typeof pauseCalls[0].body.pausedAt).toBe('string');
+    expect(screen.queryByRole('button', { name: 'Pause workout' })).not.toBeInTheDocument();
+
+    await user.click(within(pausedCard).getByRole('button', { name: 'Resume workout' }));
+
+    await waitFor(() => {
+      expect(screen.queryByText('Workout paused')).not.toBeInTheDocument();
+    });
+    expect(pauseCalls[1].path).toBe('/api/sessions/779/resume');
+    expect(typeof pauseCalls[1].body.resumedAt).toBe('string');
+    expect(screen.getByRole('button', { name: 'Pause workout' })).toBeInTheDocument();
+  });
+
   it('lets you move back and forward between exercises while in workout mode', async () => {
     const now = new Date().toISOString();
     const activeSession = {
@@ -1137,6 +2396,94 @@ describe('App UI flows', () => {
     expect(screen.queryByRole('button', { name: 'Skip exercise' })).not.toBeInTheDocument();
   });
 
+  it('shows applied progressions in the finish summary and undoes them', async () => {
+    const now = new Date().toISOString();
+    const activeWorkout = {
+      id: 903,
+      routineId: 77,
+      routineName: 'Push Day',
+      name: 'Push Day',
+      startedAt: now,
+      endedAt: null,
+      notes: null,
+      exercises: [
+        {
+          exerciseId: 101,
+          routineExerciseId: 501,
+          name: 'Bench Press',
+          equipment: 'Barbell',
+          targetSets: 2,
+          targetReps: 10,
+          targetRestSeconds: 90,
+          targetWeight: 60,
+          targetBandLabel: null,
+          status: 'completed',
+          position: 0,
+          sets: [
+            { id: 1, setIndex: 1, reps: 10, weight: 60, bandLabel: null, startedAt: now, completedAt: now, createdAt: now },
+            { id: 2, setIndex: 2, reps: 10, weight: 60, bandLabel: null, startedAt: now, completedAt: now, createdAt: now },
+          ],
+        },
+      ],
+    };
+    const appliedProgression = {
+      id: 41,
+      sessionId: 903,
+      routineExerciseId: 501,
+      exerciseId: 101,
+      exerciseName: 'Bench Press',
+      ruleType: 'double',
+      kind: 'load',
+      status: 'applied',
+      previousTargetWeight: 60,
+      nextTargetWeight: 65,
+      previousSetTargets: [{ setIndex: 1, targetReps: 10 }, { setIndex: 2, targetReps: 10 }],
+      nextSetTargets: [{ setIndex: 1, targetReps: 8 }, { setIndex: 2, targetReps: 8 }],
+    };
+    let routineListCalls = 0;
+    let undoCalls = 0;
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') {
+        routineListCalls += 1;
+        return { routines: [] };
+      }
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/sessions/active') return { session: activeWorkout };
+      if (path === '/api/sessions?limit=15') return { sessions: [] };
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      if (path === '/api/sessions/903' && method === 'PUT') {
+        return {
+          session: { ...activeWorkout, endedAt: now, progressions: [appliedProgression] },
+        };
+      }
+      if (path === '/api/sessions/903/progressions/41/undo' && method === 'POST') {
+        undoCalls += 1;
+        return { progression: { ...appliedProgression, status: 'reverted' }, routine: null };
+      }
+      throw new Error(`Unhandled path: ${path} (${method})`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/workout');
+
+    await user.click(await screen.findByRole('button', { name: 'End workout' }));
+    const detailTitle = await screen.findByText('Workout details');
+    const detailScope = within(detailTitle.closest('.modal-panel'));
+
+    expect(await detailScope.findByText('Routine progression')).toBeInTheDocument();
+    expect(detailScope.getByText('60 → 65 kg, reps reset to 8 · Applied')).toBeInTheDocument();
+    await waitFor(() => expect(routineListCalls).toBe(2));
+
+    await user.click(detailScope.getByRole('button', { name: 'Undo progression for Bench Press' }));
+    expect(await detailScope.findByText('60 → 65 kg, reps reset to 8 · Undone')).toBeInTheDocument();
+    expect(detailScope.getByRole('button', { name: 'Apply progression for Bench Press' })).toBeInTheDocument();
+    expect(undoCalls).toBe(1);
+  });
+
   it('cancels a preview session without saving it', async () => {
     const now = new Date().toISOString();
     const routine = {
@@ -1546,6 +2893,100 @@ describe('App UI flows', () => {
   });
 
 
+  it('prints a finished workout from the session detail modal', async () => {
+    const printSpy = vi.spyOn(window, 'print').mockImplementation(() => {});
+    const startedAt = '2026-01-15T10:00:00.000Z';
+    const endedAt = '2026-01-15T10:30:00.000Z';
+    const sessionDetail = {
+      id: 711,
+      routineId: 91,
+      routineType: 'standard',
+      routineName: 'Upper Body',
+      name: 'Upper Body',
+      startedAt,
+      endedAt,
+      durationSeconds: 1800,
+      notes: 'Felt strong',
+      exercises: [
+        {
+          exerciseId: 901,
+          name: 'Bench Press',
+          equipment: 'Barbell',
+          targetSets: 2,
+          targetReps: 8,
+          targetWeight: 60,
+          status: 'completed',
+          position: 0,
+          sets: [
+            { id: 1, setIndex: 1, reps: 8, weight: 60, rpe: 8, bandLabel: null, createdAt: startedAt },
+            { id: 2, setIndex: 2, reps: 7, weight: 60, bandLabel: null, createdAt: startedAt },
+          ],
+        },
+        {
+          exerciseId: 902,
+          name: 'Cable Row',
+          equipment: 'Machine',
+          targetSets: 2,
+          targetReps: 10,
+          status: 'skipped',
+          position: 1,
+          sets: [],
+        },
+      ],
+    };
+
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      const method = (options.method || 'GET').toUpperCase();
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') return { routines: [] };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/sessions/active') return { session: null };
+      if (path === '/api/sessions?limit=15') {
+        return {
+          sessions: [
+            {
+              id: 711,
+              routineId: 91,
+              routineName: 'Upper Body',
+              name: 'Upper Body',
+              startedAt,
+              endedAt,
+              notes: null,
+              totalSets: 2,
+              totalReps: 15,
+              totalVolume: 900,
+            },
+          ],
+        };
+      }
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      if (path === '/api/sessions/711' && method === 'GET') return { session: sessionDetail };
+      throw new Error(`Unhandled path: ${path} (${method})`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/workout');
+
+    await user.click(await screen.findByRole('button', { name: /Upper Body/i }));
+    await user.click(await screen.findByRole('button', { name: 'Print workout' }));
+
+    const benchTable = await screen.findByRole('table', { name: 'Barbell Bench Press sets' });
+    expect(screen.getByRole('heading', { name: 'Upper Body' })).toBeInTheDocument();
+    expect(screen.getByText('Notes: Felt strong')).toBeInTheDocument();
+    const benchRows = within(benchTable).getAllByRole('row').slice(1);
+    expect(benchRows.map((row) => within(row).getAllByRole('cell').map((cell) => cell.textContent))).toEqual([
+      ['Set 1', '60 kg', '8 reps', '8'],
+      ['Set 2', '60 kg', '7 reps', '—'],
+    ]);
+    const cableRowCard = screen.getByRole('heading', { name: 'Machine Cable Row' }).closest('.print-card');
+    expect(within(cableRowCard).getByText('Skipped')).toBeInTheDocument();
+    expect(within(cableRowCard).queryByRole('table')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Print' }));
+    expect(printSpy).toHaveBeenCalledTimes(1);
+  });
+
   it('persists skipped-exercise checklist edits when navigating away', async () => {
     const now = new Date().toISOString();
     const startPayloads = [];
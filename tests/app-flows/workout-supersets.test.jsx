@@ -370,6 +370,80 @@ describe('App UI flows', () => {
     expect(screen.getByText('Barbell Pendlay Row')).toBeInTheDocument();
   });
 
+  it('starts the rest timer only after the second exercise of a superset pair', async () => {
+    const now = new Date().toISOString();
+    const activeSession = {
+      id: 779,
+      routineId: 44,
+      routineName: 'Superset Day',
+      name: 'Superset Day',
+      startedAt: now,
+      endedAt: null,
+      notes: null,
+      exercises: [
+        {
+          exerciseId: 101,
+          name: 'Bench Press',
+          equipment: 'Barbell',
+          targetSets: 2,
+          targetReps: 8,
+          targetRestSeconds: 60,
+          targetWeight: 80,
+          targetBandLabel: null,
+          status: 'in_progress',
+          position: 0,
+          supersetGroup: 'g1',
+          sets: [],
+        },
+        {
+          exerciseId: 102,
+          name: 'Pendlay Row',
+          equipment: 'Barbell',
+          targetSets: 2,
+          targetReps: 8,
+          targetRestSeconds: 90,
+          targetWeight: 60,
+          targetBandLabel: null,
+          status: 'pending',
+          position: 1,
+          supersetGroup: 'g1',
+          sets: [],
+        },
+      ],
+    };
+
+    apiFetch.mockImplementation(async (path) => {
+      if (path === '/api/auth/me') return { user: { id: 1, username: 'coach' } };
+      if (path === '/api/routines') return { routines: [] };
+      if (path === '/api/exercises') return { exercises: [] };
+      if (path === '/api/sessions/active') return { session: activeSession };
+      if (path === '/api/sessions?limit=15') return { sessions: [] };
+      if (path === '/api/weights?limit=6') return { weights: [] };
+      if (path === '/api/bands') return { bands: [] };
+      throw new Error(`Unhandled path: ${path}`);
+    });
+
+    const user = userEvent.setup();
+    renderAppAt('/workout');
+
+    await user.click(await screen.findByRole('button', { name: /Toggle set 1 for Bench Press/i }));
+    expect(screen.queryByRole('timer', { name: 'Rest timer' })).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /Toggle set 1 for Pendlay Row/i }));
+    const restTimer = await screen.findByRole('timer', { name: 'Rest timer' });
+    expect(within(restTimer).getByText(/01:(30|29)/)).toBeInTheDocument();
+
+    await waitFor(() => {
+      const storedState = JSON.parse(window.localStorage.getItem('trainbook.workoutRuntimeState.779'));
+      expect(storedState?.restTimer).toMatchObject({ setIndex: 1, durationSeconds: 90 });
+    });
+
+    await user.click(within(restTimer).getByRole('button', { name: 'Skip rest' }));
+    await waitFor(() => {
+      expect(screen.queryByRole('timer', { name: 'Rest timer' })).not.toBeInTheDocument();
+    });
+  });
+
   it('moves to the exercise after a superset when both superset exercises are done', async () => {
     const now = new Date().toISOString();
     const startCalls = [];
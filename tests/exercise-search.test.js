@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { rankExerciseSearch, scoreExerciseSearch } from '../server/exercise-search.js';
+
+const catalog = [
+  { name: 'Barbell Bench Press', aliases: [] },
+  { name: 'Bench Press', aliases: ['Flat Bench'] },
+  { name: 'Bench Dips', aliases: [] },
+  { name: 'Incline Dumbbell Press', aliases: [] },
+  { name: 'Overhead Press', aliases: ['Military Press'] },
+  { name: 'Romanian Deadlift', aliases: [] },
+  { name: 'Bulgarian Split Squat', aliases: [] },
+  { name: 'Back Squat', aliases: [] },
+  { name: 'Push-Up', aliases: [] },
+];
+
+function search(query, options = {}) {
+  return rankExerciseSearch(query, catalog, { getAliases: (item) => item.aliases, ...options })
+    .map((item) => item.name);
+}
+
+describe('exercise search', () => {
+  it('ranks exact names and prefixes ahead of names that merely contain the words', () => {
+    expect(search('bench')).toEqual(['Bench Dips', 'Bench Press', 'Barbell Bench Press']);
+    expect(search('bench press')[0]).toBe('Bench Press');
+    expect(search('squat')).toEqual(['Back Squat', 'Bulgarian Split Squat']);
+  });
+
+  it('expands common gym abbreviations and matches initials', () => {
+    expect(search('RDL')).toEqual(['Romanian Deadlift']);
+    expect(search('ohp')[0]).toBe('Overhead Press');
+    expect(search('bss')).toEqual(['Bulgarian Split Squat']);
+    expect(search('db press')[0]).toBe('Incline Dumbbell Press');
+  });
+
+  it('tolerates typos in longer words but not in short ones', () => {
+    expect(search('romanain dedlift')).toEqual(['Romanian Deadlift']);
+    expect(search('benhc pres')).toContain('Bench Press');
+    expect(search('bulgarain')).toEqual(['Bulgarian Split Squat']);
+    expect(search('sqt')).toEqual([]);
+    expect(search('pushup')).toEqual(['Push-Up']);
+  });
+
+  it('finds exercises by alias just below a match on their own name', () => {
+    expect(search('military')).toEqual(['Overhead Press']);
+    expect(search('flat bench')).toEqual(['Bench Press']);
+    expect(scoreExerciseSearch('flat bench', { name: 'Flat Bench' }))
+      .toBeGreaterThan(scoreExerciseSearch('flat bench', { name: 'Bench Press', aliases: ['Flat Bench'] }));
+  });
+
+  it('falls back to keywords and keeps every item for an empty query', () => {
+    const items = [
+      { name: 'Fly', aliases: [], muscles: ['chest'] },
+      { name: 'Chest Press', aliases: [], muscles: ['chest'] },
+    ];
+    const ranked = rankExerciseSearch('chest', items, { getKeywords: (item) => item.muscles });
+    expect(ranked.map((item) => item.name)).toEqual(['Chest Press', 'Fly']);
+    expect(rankExerciseSearch('  ', items)).toBe(items);
+  });
+});
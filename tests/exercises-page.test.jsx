@@ -2,9 +2,11 @@
 import React from 'react';
 import { render, screen, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 
 import ExercisesPage from '../src/pages/ExercisesPage.jsx';
+import ExerciseDetailPage from '../src/pages/ExerciseDetailPage.jsx';
 import { apiFetch } from '../src/api.js';
 import { MotionPreferenceProvider } from '../src/motion-preferences.jsx';
 
@@ -15,11 +17,40 @@ vi.mock('../src/api.js', () => ({
 function renderExercisesPage() {
   return render(
     <MotionPreferenceProvider>
-      <ExercisesPage />
+      <MemoryRouter initialEntries={['/exercises']}>
+        <Routes>
+          <Route path="/exercises" element={<ExercisesPage />} />
+          <Route path="/exercises/:id" element={<ExerciseDetailPage />} />
+        </Routes>
+      </MemoryRouter>
     </MotionPreferenceProvider>
   );
 }
 
+function buildHistorySession(index) {
+  return {
+    id: 500 + index,
+    name: null,
+    routineId: 7,
+    routineName: 'Push Day',
+    startedAt: new Date(Date.UTC(2026, 1, 28 - index, 9)).toISOString(),
+    endedAt: null,
+    totalVolume: 500,
+    sets: [
+      {
+        id: 900 + index,
+        exerciseId: index === 11 ? 5 : 1,
+        loggedAs: index === 11 ? 'Flat Bench' : null,
+        setIndex: 1,
+        setType: 'working',
+        reps: 5,
+        weight: 100 - index,
+        rpe: index === 0 ? 8 : null,
+      },
+    ],
+  };
+}
+
 function createApiFixture() {
   const exercises = [
     {
@@ -30,6 +61,7 @@ function createApiFixture() {
       notes: 'Control eccentric.',
       images: ['bench-press.png'],
       instructions: ['Set shoulders', 'Press'],
+      aliases: ['Flat Bench'],
       archivedAt: null,
       mergedIntoId: null,
       mergedIntoName: null,
@@ -226,6 +258,25 @@ function createApiFixture() {
       return { exercise: { ...exercise } };
     }
 
+    if (method === 'GET' && pathname === '/api/exercises/1/history') {
+      const limit = Number(params.get('limit'));
+      const offset = Number(params.get('offset'));
+      const sessions = Array.from({ length: 12 }, (_, index) => buildHistorySession(index));
+      return {
+        exercise: { ...exercises[0], equipment: 'Barbell', measurementMode: 'reps_weight' },
+        mergedExercises: [{ id: 5, name: 'Flat Bench', mergedAt: '2026-02-01T10:00:00.000Z' }],
+        impact: impactById[1],
+        routines: [{ id: 7, name: 'Push Day' }],
+        personalRecords: [
+          { id: 1, recordType: 'weight', weight: null, value: 100, previousValue: 95, achievedAt: '2026-02-28T09:00:00.000Z' },
+        ],
+        total: sessions.length,
+        limit,
+        offset,
+        sessions: sessions.slice(offset, offset + limit),
+      };
+    }
+
     throw new Error(`Unhandled ${method} ${path}`);
   });
 
@@ -260,7 +311,7 @@ describe('ExercisesPage', () => {
     expect(newExerciseCard).toBeTruthy();
 
     await user.selectOptions(
-      within(newExerciseCard).getByRole('combobox'),
+      within(newExerciseCard).getAllByRole('combobox')[0],
       'shoulders'
     );
     await user.click(screen.getByRole('button', { name: 'Save exercise' }));
@@ -269,6 +320,77 @@ describe('ExercisesPage', () => {
     expect(apiFetch).toHaveBeenCalledWith('/api/exercises', expect.objectContaining({ method: 'POST' }));
   });
 
+  it('opens the exercise history with bests, routine usage and paged sessions', async () => {
+    const user = userEvent.setup();
+    createApiFixture();
+
+    renderExercisesPage();
+
+    await user.click(await screen.findByRole('button', { name: 'Bench Press' }));
+
+    expect(await screen.findByRole('heading', { name: 'Bench Press' })).toBeInTheDocument();
+    expect(screen.getByText('Notes: Control eccentric.')).toBeInTheDocument();
+    expect(within(screen.getByRole('list', { name: 'Instructions' })).getAllByRole('listitem')).toHaveLength(2);
+    expect(within(screen.getByRole('list', { name: 'Personal bests' })).getByText(/Heaviest weight: 100 kg$/))
+      .toBeInTheDocument();
+    expect(within(screen.getByRole('list', { name: 'Your routines' })).getByText('Push Day')).toBeInTheDocument();
+    expect(screen.getByText('2 routine links (1 users), 15 logged sets (1 users)')).toBeInTheDocument();
+    expect(screen.getByText('Includes sets logged as Flat Bench.')).toBeInTheDocument();
+    expect(screen.getByText('Workouts 1–10 of 12')).toBeInTheDocument();
+    expect(screen.getByText('RPE 8')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Newer' })).toBeDisabled();
+
+    await user.click(screen.getByRole('button', { name: 'Older' }));
+
+    expect(await screen.findByText('Workouts 11–12 of 12')).toBeInTheDocument();
+    expect(screen.getByText('Logged as Flat Bench')).toBeInTheDocument();
+    expect(screen.getByText('89 kg × 5 reps')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Older' })).toBeDisabled();
+    expect(apiFetch).toHaveBeenCalledWith('/api/exercises/1/history?limit=10&offset=10');
+
+    await user.click(screen.getByRole('button', { name: 'Back to exercises' }));
+    expect(await screen.findByRole('button', { name: 'Back Squat' })).toBeInTheDocument();
+  });
+
+  it('finds exercises by alias or misspelling and edits their aliases', async () => {
+    const user = userEvent.setup();
+    createApiFixture();
+
+    renderExercisesPage();
+
+    expect(await screen.findByText('Also known as Flat Bench')).toBeInTheDocument();
+    const searchInput = screen.getByPlaceholderText('Search by name or muscle group');
+
+    await user.type(searchInput, 'flat');
+    expect(screen.getByRole('button', { name: 'Bench Press' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Back Squat' })).not.toBeInTheDocument();
+
+    await user.clear(searchInput);
+    await user.type(searchInput, 'bnech');
+    expect(screen.getByRole('button', { name: 'Bench Press' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Back Squat' })).not.toBeInTheDocument();
+
+    await user.clear(searchInput);
+    await user.click(screen.getAllByLabelText('Edit')[1]);
+    const aliasesInput = await screen.findByLabelText('Also known as (comma separated)');
+    await user.type(aliasesInput, 'Low bar, low bar ,  ');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+
+    await waitFor(() => {
+      const putCall = apiFetch.mock.calls.find(([path, options]) => path === '/api/exercises/2' && options?.method === 'PUT');
+      expect(JSON.parse(putCall[1].body).aliases).toEqual(['Low bar']);
+    });
+    expect(await screen.findByText('Also known as Low bar')).toBeInTheDocument();
+
+    await user.type(searchInput, 'low bar');
+    expect(screen.getByRole('button', { name: 'Back Squat' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Bench Press' })).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Add from external library' }));
+    await user.type(screen.getByPlaceholderText('e.g. bench press'), 'flat bench');
+    expect(await screen.findByText('Already in your exercises: Bench Press')).toBeInTheDocument();
+  });
+
   it('supports external library search and add', async () => {
     const user = userEvent.setup();
     createApiFixture();
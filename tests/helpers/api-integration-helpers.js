@@ -17,7 +17,7 @@ async function initSharedContext() {
     fs.rmSync(SHARED_TEST_DB_PATH, { force: true });
   }
 
-  const [{ app }, { default: db }] = await Promise.all([
+  const [{ app, runSessionCompletionHooks }, { default: db }] = await Promise.all([
     import('../../server/index.js'),
     import('../../server/db.js'),
   ]);
@@ -44,6 +44,7 @@ async function initSharedContext() {
     db,
     fetchCsrfToken,
     registerUser,
+    runSessionCompletionHooks,
     testDbPath: SHARED_TEST_DB_PATH,
   };
 }
@@ -52,7 +53,14 @@ export async function setupApiIntegrationSuite(suiteId) {
   if (!sharedContextPromise) {
     sharedContextPromise = initSharedContext();
   }
-  const { app, db, fetchCsrfToken, registerUser, testDbPath } = await sharedContextPromise;
+  const {
+    app,
+    db,
+    fetchCsrfToken,
+    registerUser,
+    runSessionCompletionHooks,
+    testDbPath,
+  } = await sharedContextPromise;
 
   function resetDatabase() {
     db.exec(`
@@ -83,6 +91,7 @@ export async function setupApiIntegrationSuite(suiteId) {
     fetchCsrfToken,
     registerUser,
     resetDatabase,
+    runSessionCompletionHooks,
     testDbPath,
   };
 }
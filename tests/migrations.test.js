@@ -50,6 +50,45 @@ describe('migrations', () => {
       expect(hasColumn(db, 'session_exercise_progress', 'status')).toBe(true);
       expect(hasColumn(db, 'session_exercise_progress', 'snapshot_name')).toBe(true);
       expect(hasColumn(db, 'session_exercise_set_targets', 'target_reps')).toBe(true);
+      expect(hasColumn(db, 'session_exercise_set_targets', 'target_time_seconds')).toBe(true);
+      expect(hasColumn(db, 'routine_exercise_set_targets', 'target_distance_meters')).toBe(true);
+      expect(hasColumn(db, 'session_sets', 'time_seconds')).toBe(true);
+      expect(hasColumn(db, 'session_sets', 'distance_meters')).toBe(true);
+      expect(hasColumn(db, 'exercises', 'measurement_mode')).toBe(true);
+      expect(hasColumn(db, 'routine_exercises', 'unilateral')).toBe(true);
+      expect(hasColumn(db, 'session_exercise_progress', 'snapshot_unilateral')).toBe(true);
+      expect(hasColumn(db, 'session_sets', 'left_reps')).toBe(true);
+      expect(hasColumn(db, 'session_sets', 'right_weight')).toBe(true);
+      expect(hasColumn(db, 'user_equipment_inventory', 'plates_json')).toBe(true);
+      expect(hasColumn(db, 'session_pauses', 'resumed_at')).toBe(true);
+      expect(hasColumn(db, 'sessions', 'auto_closed_at')).toBe(true);
+      expect(hasColumn(db, 'routine_exercises', 'progression_rule_json')).toBe(true);
+      expect(hasColumn(db, 'session_progressions', 'next_set_targets_json')).toBe(true);
+      expect(hasColumn(db, 'programs', 'current_week')).toBe(true);
+      expect(hasColumn(db, 'program_weeks', 'intensity_percent')).toBe(true);
+      expect(hasColumn(db, 'program_days', 'routine_id')).toBe(true);
+      expect(hasColumn(db, 'sessions', 'program_week')).toBe(true);
+      expect(hasColumn(db, 'training_schedules', 'interval_days')).toBe(true);
+      expect(hasColumn(db, 'training_schedule_slots', 'weekday')).toBe(true);
+      expect(hasColumn(db, 'training_maxes', 'weight')).toBe(true);
+      expect(hasColumn(db, 'routine_exercise_set_targets', 'target_percent')).toBe(true);
+      expect(hasColumn(db, 'session_exercise_set_targets', 'target_percent')).toBe(true);
+      expect(hasColumn(db, 'session_exercise_set_targets', 'target_weight')).toBe(true);
+      expect(hasColumn(db, 'routine_exercise_set_targets', 'target_weight')).toBe(true);
+      expect(hasColumn(db, 'routine_exercise_set_targets', 'target_band_label')).toBe(true);
+      expect(hasColumn(db, 'session_exercise_set_targets', 'target_band_label')).toBe(true);
+      expect(hasColumn(db, 'routine_versions', 'snapshot_json')).toBe(true);
+      expect(hasColumn(db, 'routine_versions', 'restored_from_version_id')).toBe(true);
+      expect(hasColumn(db, 'sessions', 'routine_version_id')).toBe(true);
+      expect(hasColumn(db, 'routines', 'shared_at')).toBe(true);
+      expect(hasColumn(db, 'routines', 'origin_routine_id')).toBe(true);
+      expect(hasColumn(db, 'routines', 'origin_version_id')).toBe(true);
+      expect(hasColumn(db, 'routine_exercises', 'origin_routine_exercise_id')).toBe(true);
+      expect(hasColumn(db, 'personal_records', 'record_type')).toBe(true);
+      expect(hasColumn(db, 'personal_records', 'previous_value')).toBe(true);
+      expect(hasColumn(db, 'personal_records', 'set_id')).toBe(true);
+      expect(hasColumn(db, 'exercise_aliases', 'alias')).toBe(true);
+      expect(hasColumn(db, 'exercise_aliases', 'source')).toBe(true);
       expect(hasColumn(db, 'exercises', 'fork_id')).toBe(true);
       expect(hasColumn(db, 'exercises', 'primary_muscles_json')).toBe(true);
       expect(hasColumn(db, 'exercises', 'secondary_muscles_json')).toBe(true);
@@ -61,4 +100,41 @@ describe('migrations', () => {
       fs.rmSync(tempDir, { recursive: true, force: true });
     }
   });
+
+  it('seeds exercise aliases from merged exercise names', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trainbook-migrations-'));
+    const earlierDir = path.join(tempDir, 'earlier');
+    fs.mkdirSync(earlierDir);
+    fs.readdirSync(MIGRATIONS_DIR)
+      .filter((name) => name.endsWith('.sql') && name < '0030')
+      .forEach((name) => fs.copyFileSync(path.join(MIGRATIONS_DIR, name), path.join(earlierDir, name)));
+
+    const db = new DatabaseSync(path.join(tempDir, 'aliases.sqlite'));
+    try {
+      runMigrations(db, { migrationsDir: earlierDir });
+      const insertExercise = db.prepare(
+        `INSERT INTO exercises (id, name, merged_into_id, merged_at, archived_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, '2026-01-01T00:00:00.000Z', '2026-01-01T00:00:00.000Z')`
+      );
+      insertExercise.run(1, 'Romanian Deadlift', null, null, null);
+      insertExercise.run(2, 'RDL', 3, '2026-02-01T00:00:00.000Z', '2026-02-01T00:00:00.000Z');
+      insertExercise.run(3, 'Stiff Leg RDL', 1, '2026-03-01T00:00:00.000Z', '2026-03-01T00:00:00.000Z');
+      insertExercise.run(4, 'romanian deadlift (old)', 1, null, '2026-03-01T00:00:00.000Z');
+
+      runMigrations(db, { migrationsDir: MIGRATIONS_DIR });
+
+      const aliases = db
+        .prepare('SELECT exercise_id, alias, source FROM exercise_aliases ORDER BY alias ASC')
+        .all()
+        .map((row) => ({ ...row }));
+      expect(aliases).toEqual([
+        { exercise_id: 1, alias: 'RDL', source: 'merge' },
+        { exercise_id: 1, alias: 'Stiff Leg RDL', source: 'merge' },
+        { exercise_id: 1, alias: 'romanian deadlift (old)', source: 'merge' },
+      ]);
+    } finally {
+      db.close?.();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
 });
@@ -0,0 +1,216 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildProgressionOneRepMax,
+  buildRepMaxTable,
+  computePersonalRecordEvents,
+  computePersonalRecordEventsForNewSet,
+  estimateOneRepMax,
+  projectWeightForReps,
+  summarizePersonalRecords,
+} from '../server/personal-records.js';
+
+let nextSetId = 1;
+
+function buildSet(sessionId, weight, reps, setType = 'working') {
+  const id = nextSetId;
+  nextSetId += 1;
+  return {
+    id,
+    sessionId,
+    setType,
+    weight,
+    reps,
+    completedAt: `2026-01-0${sessionId}T10:${String(id).padStart(2, '0')}:00.000Z`,
+  };
+}
+
+function pickEvents(events, recordType) {
+  return events
+    .filter((event) => event.recordType === recordType)
+    .map(({ weight, value, previousValue, setId }) => ({ weight, value, previousValue, setId }));
+}
+
+describe('personal records', () => {
+  it('estimates one-rep maxes with Epley and skips long sets', () => {
+    expect(estimateOneRepMax(100, 1)).toBe(100);
+    expect(estimateOneRepMax(100, 5)).toBe(116.67);
+    expect(estimateOneRepMax(100, 13)).toBeNull();
+    expect(estimateOneRepMax(0, 5)).toBeNull();
+    expect(estimateOneRepMax(100, 2.5)).toBeNull();
+  });
+
+  it('estimates and projects with the Brzycki and Lombardi formulas', () => {
+    expect(estimateOneRepMax(100, 5, 'brzycki')).toBe(112.5);
+    expect(estimateOneRepMax(100, 5, 'lombardi')).toBe(117.46);
+    expect(estimateOneRepMax(100, 1, 'lombardi')).toBe(100);
+    expect(estimateOneRepMax(100, 5, 'unknown')).toBe(116.67);
+    expect(projectWeightForReps(112.5, 5, 'brzycki')).toBe(100);
+    expect(projectWeightForReps(120, 3)).toBe(109);
+    expect(projectWeightForReps(120, 16)).toBeNull();
+    expect(projectWeightForReps(null, 5)).toBeNull();
+  });
+
+  it('builds a rep-max table where longer sets stand in for shorter ones', () => {
+    nextSetId = 1;
+    const table = buildRepMaxTable([
+      buildSet(1, 140, 1, 'warmup'),
+      buildSet(1, 100, 8),
+      buildSet(2, 110, 3),
+      buildSet(2, 60, 20),
+    ]);
+
+    expect(table).toHaveLength(15);
+    expect(table.map((entry) => entry.weight)).toEqual([
+      110, 110, 110, 100, 100, 100, 100, 100, 60, 60, 60, 60, 60, 60, 60,
+    ]);
+    expect(table[4]).toMatchObject({ reps: 5, setReps: 8, sessionId: 1 });
+  });
+
+  it('summarizes estimated maxes per session and projects the best one', () => {
+    nextSetId = 1;
+    const summary = buildProgressionOneRepMax([
+      buildSet(1, 140, 1, 'warmup'),
+      buildSet(1, 100, 5),
+      buildSet(2, 105, 5),
+      buildSet(2, 100, 3),
+    ], { targetReps: 3 });
+
+    expect(summary.formula).toBe('epley');
+    expect([...summary.bySessionId.entries()]).toEqual([[1, 116.67], [2, 122.5]]);
+    expect(summary.best).toMatchObject({ value: 122.5, weight: 105, reps: 5, sessionId: 2 });
+    expect(summary.projection).toEqual({ targetReps: 3, weight: 111.5 });
+    expect(buildProgressionOneRepMax([], { targetReps: 40 }).projection).toEqual({ targetReps: 5, weight: null });
+  });
+
+  it('records baselines, then only values that beat the previous best', () => {
+    nextSetId = 1;
+    const sets = [
+      buildSet(1, 20, 10, 'warmup'),
+      buildSet(1, 80, 5),
+      buildSet(1, 80, 5),
+      buildSet(2, 80, 6),
+      buildSet(2, 85, 3),
+      buildSet(3, 80, 6),
+    ];
+    const events = computePersonalRecordEvents(sets);
+
+    expect(pickEvents(events, 'weight')).toEqual([
+      { weight: null, value: 80, previousValue: null, setId: 2 },
+      { weight: null, value: 85, previousValue: 80, setId: 5 },
+    ]);
+    expect(pickEvents(events, 'reps')).toEqual([
+      { weight: 80, value: 5, previousValue: null, setId: 2 },
+      { weight: 80, value: 6, previousValue: 5, setId: 4 },
+      { weight: 85, value: 3, previousValue: null, setId: 5 },
+    ]);
+    expect(pickEvents(events, 'e1rm')).toEqual([
+      { weight: null, value: 93.33, previousValue: null, setId: 2 },
+      { weight: null, value: 96, previousValue: 93.33, setId: 4 },
+    ]);
+  });
+
+  it('credits session volume to the set that passed the old best', () => {
+    nextSetId = 1;
+    const sets = [
+      buildSet(1, 100, 5),
+      buildSet(1, 100, 5),
+      buildSet(2, 100, 5),
+      buildSet(2, 100, 5),
+      buildSet(2, 100, 1),
+      buildSet(2, 100, 4),
+      buildSet(3, 100, 5),
+    ];
+    const events = computePersonalRecordEvents(sets);
+
+    expect(pickEvents(events, 'volume')).toEqual([
+      { weight: null, value: 1000, previousValue: null, setId: 1 },
+      { weight: null, value: 1500, previousValue: 1000, setId: 5 },
+    ]);
+  });
+
+  it('keeps one record of each kind per session on its best set', () => {
+    nextSetId = 1;
+    const sets = [
+      buildSet(1, 60, 5),
+      buildSet(1, 80, 5),
+      buildSet(1, 100, 5),
+      buildSet(2, 105, 3),
+      buildSet(2, 110, 3),
+      buildSet(2, 100, 5),
+    ];
+    const events = computePersonalRecordEvents(sets);
+
+    expect(pickEvents(events, 'weight')).toEqual([
+      { weight: null, value: 100, previousValue: null, setId: 3 },
+      { weight: null, value: 110, previousValue: 100, setId: 5 },
+    ]);
+    expect(pickEvents(events, 'e1rm')).toEqual([
+      { weight: null, value: 116.67, previousValue: null, setId: 3 },
+      { weight: null, value: 121, previousValue: 116.67, setId: 5 },
+    ]);
+    expect(pickEvents(events, 'reps').filter((event) => event.weight === 100)).toEqual([
+      { weight: 100, value: 5, previousValue: null, setId: 3 },
+    ]);
+
+    const stored = computePersonalRecordEvents(sets.slice(0, 4))
+      .map((event, index) => ({ ...event, id: index + 1 }));
+    const { events: created, updates } = computePersonalRecordEventsForNewSet(stored, sets.slice(3, 5), sets[4]);
+    expect(created.map((event) => event.recordType)).toEqual(['reps', 'e1rm']);
+    expect(updates.filter((event) => event.recordType === 'weight')).toEqual([
+      expect.objectContaining({ value: 110, previousValue: 100, setId: 5 }),
+    ]);
+  });
+
+  it('checks a newly appended set against stored records like a full replay would', () => {
+    nextSetId = 1;
+    const sets = [
+      buildSet(1, 60, 10, 'warmup'),
+      buildSet(1, 100, 5),
+      buildSet(1, 100, 5),
+      buildSet(2, 100, 5),
+      buildSet(2, 0, 12),
+      buildSet(2, 100, 5),
+      buildSet(2, 100, 1),
+      buildSet(2, 105, 4),
+      buildSet(3, 90, 8),
+      buildSet(3, 100, 6),
+    ];
+    const stored = [];
+    sets.forEach((set, index) => {
+      const sessionSets = sets.slice(0, index + 1).filter((item) => item.sessionId === set.sessionId);
+      const { events, updates } = computePersonalRecordEventsForNewSet(stored, sessionSets, set);
+      updates.forEach((event) => {
+        stored[event.id - 1] = event;
+      });
+      events.forEach((event) => stored.push({ ...event, id: stored.length + 1 }));
+    });
+
+    expect(stored.map(({ id, ...event }) => event)).toEqual(computePersonalRecordEvents(sets));
+  });
+
+  it('tracks bodyweight reps without weight or volume records', () => {
+    nextSetId = 1;
+    const events = computePersonalRecordEvents([
+      buildSet(1, null, 8),
+      buildSet(2, 0, 10),
+    ]);
+
+    expect(events.map((event) => event.recordType)).toEqual(['reps', 'reps']);
+    expect(events[1]).toMatchObject({ weight: 0, value: 10, previousValue: 8 });
+  });
+
+  it('summarizes the current best of each record', () => {
+    nextSetId = 1;
+    const events = computePersonalRecordEvents([
+      buildSet(1, 80, 5),
+      buildSet(2, 90, 2),
+      buildSet(3, 80, 7),
+    ]);
+    const summary = summarizePersonalRecords(events);
+
+    expect(summary.find((record) => record.recordType === 'weight')).toMatchObject({ value: 90 });
+    expect(summary.find((record) => record.recordType === 'reps' && record.weight === 80))
+      .toMatchObject({ value: 7, previousValue: 5 });
+    expect(summary.filter((record) => record.recordType === 'reps')).toHaveLength(2);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import {
+  advanceProgramPointer,
+  applyProgramWeekModifiers,
+  normalizeProgramDefinition,
+  resolveProgramNextDay,
+} from '../server/program-plan.js';
+
+describe('program plan', () => {
+  it('normalizes program definitions and fills in deload defaults', () => {
+    const definition = normalizeProgramDefinition({
+      name: '  Block  ',
+      weeks: [{}, { volumePercent: '120' }, { deload: true, intensityPercent: 90 }],
+      days: [{ routineId: '4', label: ' ' }, { routineId: 5, label: 'Pull' }],
+    });
+    expect(definition.name).toBe('Block');
+    expect(definition.weekCount).toBe(3);
+    expect(definition.weeks.map((week) => [week.volumePercent, week.intensityPercent, week.deload])).toEqual([
+      [100, 100, false],
+      [120, 100, false],
+      [50, 90, true],
+    ]);
+    expect(definition.days).toEqual([
+      { dayNumber: 1, routineId: 4, label: null },
+      { dayNumber: 2, routineId: 5, label: 'Pull' },
+    ]);
+    expect(normalizeProgramDefinition({ name: 'Weeks only', weekCount: 2, days: [{ routineId: 1 }] }).weeks).toHaveLength(2);
+    expect(() => normalizeProgramDefinition({ name: '', weeks: [{}], days: [{ routineId: 1 }] })).toThrow('Program name is required.');
+    expect(() => normalizeProgramDefinition({ name: 'A', weekCount: 17, days: [{ routineId: 1 }] })).toThrow(/1-16 weeks/);
+    expect(() => normalizeProgramDefinition({ name: 'A', weeks: [{ volumePercent: 5 }], days: [{ routineId: 1 }] }))
+      .toThrow('Week 1 volume must be a whole percentage from 10 to 200.');
+    expect(() => normalizeProgramDefinition({ name: 'A', weeks: [{}], days: [{}] })).toThrow('Each program day needs a routine.');
+  });
+
+  it('scales set counts and target weights for a week', () => {
+    const setTargets = [
+      { setIndex: 1, targetReps: 5, setType: 'working' },
+      { setIndex: 2, targetReps: 5, setType: 'working' },
+      { setIndex: 3, targetReps: 5, setType: 'failure' },
+    ];
+    const heavier = applyProgramWeekModifiers(
+      { targetSets: 3, targetWeight: 82.5, setTargets },
+      { volumePercent: 150, intensityPercent: 105 }
+    );
+    expect(heavier.targetSets).toBe(5);
+    expect(heavier.targetWeight).toBe(86.5);
+    expect(heavier.setTargets.map((target) => [target.setIndex, target.setType])).toEqual([
+      [1, 'working'],
+      [2, 'working'],
+      [3, 'failure'],
+      [4, 'working'],
+      [5, 'working'],
+    ]);
+
+    const deload = applyProgramWeekModifiers(
+      { targetSets: 3, targetWeight: null, setTargets },
+      { volumePercent: 10, intensityPercent: 50 }
+    );
+    expect(deload.targetSets).toBe(1);
+    expect(deload.targetWeight).toBeNull();
+    expect(deload.setTargets).toHaveLength(1);
+
+    const ramped = applyProgramWeekModifiers(
+      {
+        targetSets: 2,
+        targetWeight: 100,
+        setTargets: [
+          { setIndex: 1, targetReps: 3, targetWeight: 100, setType: 'working' },
+          { setIndex: 2, targetReps: 8, targetWeight: 80, setType: 'working' },
+        ],
+      },
+      { volumePercent: 100, intensityPercent: 90 }
+    );
+    expect(ramped.targetWeight).toBe(90);
+    expect(ramped.setTargets.map((target) => target.targetWeight)).toEqual([90, 72]);
+  });
+
+  it('walks the pointer through days and weeks until the program is complete', () => {
+    const program = { weekCount: 2, currentWeek: 1, currentDay: 2, completedAt: null };
+    expect(resolveProgramNextDay(program, 2)).toEqual({ weekNumber: 1, dayNumber: 2 });
+    expect(resolveProgramNextDay({ ...program, currentDay: 5 }, 2)).toEqual({ weekNumber: 1, dayNumber: 2 });
+    expect(resolveProgramNextDay({ ...program, completedAt: '2026-01-01T00:00:00.000Z' }, 2)).toBeNull();
+    expect(advanceProgramPointer(program, 2)).toEqual({ currentWeek: 2, currentDay: 1, completed: false });
+    expect(advanceProgramPointer({ ...program, currentDay: 1 }, 2)).toEqual({ currentWeek: 1, currentDay: 2, completed: false });
+    expect(advanceProgramPointer({ ...program, currentWeek: 2 }, 2)).toEqual({ currentWeek: 2, currentDay: 2, completed: true });
+  });
+});
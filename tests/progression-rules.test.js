@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import {
+  evaluateProgressionRule,
+  normalizeProgressionRule,
+} from '../server/progression-rules.js';
+
+const setTargets = [
+  { setIndex: 1, targetReps: 8, setType: 'working' },
+  { setIndex: 2, targetReps: 8, setType: 'working' },
+];
+
+const loggedSets = (reps, weight = 60) => reps.map((value, index) => ({
+  setIndex: index + 1,
+  setType: 'working',
+  reps: value,
+  weight,
+}));
+
+describe('progression rules', () => {
+  it('normalizes and validates rules', () => {
+    expect(normalizeProgressionRule(null)).toEqual({ valid: true, rule: null, error: null });
+    expect(normalizeProgressionRule({ type: '' }).rule).toBeNull();
+    expect(normalizeProgressionRule({
+      type: 'double', repMin: '8', repMax: 12, weightIncrement: '2.5', autoApply: 'yes',
+    }).rule).toEqual({ type: 'double', repMin: 8, repMax: 12, weightIncrement: 2.5, autoApply: false });
+    expect(normalizeProgressionRule({ type: 'linear' }).valid).toBe(false);
+    expect(normalizeProgressionRule({ type: 'double', repMin: 8, repMax: 8, weightIncrement: 2.5 }).valid).toBe(false);
+    expect(normalizeProgressionRule({ type: 'double', repMin: 8, repMax: 12, weightIncrement: 0 }).valid).toBe(false);
+  });
+
+  it('adds load and resets reps once every set reaches the top of the range', () => {
+    const rule = { type: 'double', repMin: 8, repMax: 10, weightIncrement: 2.5 };
+    expect(evaluateProgressionRule(rule, { targetWeight: 60, setTargets, sets: loggedSets([10, 9]) })).toBeNull();
+    expect(evaluateProgressionRule(rule, { targetWeight: 60, setTargets, sets: loggedSets([10, 10], 57.5) })).toBeNull();
+    expect(evaluateProgressionRule(rule, { targetWeight: 60, setTargets, sets: loggedSets([10]) })).toBeNull();
+
+    const outcome = evaluateProgressionRule(rule, {
+      targetWeight: 60,
+      setTargets,
+      sets: [
+        { setIndex: 1, setType: 'warmup', reps: 5, weight: 30 },
+        ...loggedSets([11, 10]),
+      ],
+    });
+    expect(outcome.kind).toBe('load');
+    expect(outcome.nextTargetWeight).toBe(62.5);
+    expect(outcome.nextSetTargets.map((target) => target.targetReps)).toEqual([8, 8]);
+    expect(outcome.nextSetTargets[0].setType).toBe('working');
+  });
+
+  it('adds a rep per set until the ceiling and then adds load', () => {
+    const rule = { type: 'reps_then_load', repMin: 8, repMax: 10, weightIncrement: 5 };
+    expect(evaluateProgressionRule(rule, { targetWeight: 60, setTargets, sets: loggedSets([8, 7]) })).toBeNull();
+
+    const moreReps = evaluateProgressionRule(rule, { targetWeight: 60, setTargets, sets: loggedSets([8, 8]) });
+    expect(moreReps.kind).toBe('reps');
+    expect(moreReps.nextTargetWeight).toBe(60);
+    expect(moreReps.nextSetTargets.map((target) => target.targetReps)).toEqual([9, 9]);
+
+    const atCeiling = [
+      { setIndex: 1, targetReps: 10, setType: 'working' },
+      { setIndex: 2, targetReps: 10, setType: 'working' },
+    ];
+    const moreLoad = evaluateProgressionRule(rule, { targetWeight: 60, setTargets: atCeiling, sets: loggedSets([10, 10]) });
+    expect(moreLoad.kind).toBe('load');
+    expect(moreLoad.nextTargetWeight).toBe(65);
+    expect(moreLoad.nextSetTargets.map((target) => target.targetReps)).toEqual([8, 8]);
+  });
+
+  it('counts unilateral sets by their weaker side', () => {
+    const rule = { type: 'double', repMin: 8, repMax: 10, weightIncrement: 2 };
+    const sides = (leftReps, rightReps) => [1, 2].map((setIndex) => ({
+      setIndex,
+      setType: 'working',
+      leftReps,
+      leftWeight: 20,
+      rightReps,
+      rightWeight: 20,
+    }));
+    expect(evaluateProgressionRule(rule, { targetWeight: 20, setTargets, sets: sides(10, 9) })).toBeNull();
+    expect(evaluateProgressionRule(rule, { targetWeight: 20, setTargets, sets: sides(10, 10) }).nextTargetWeight).toBe(22);
+  });
+
+  it('checks ramping sets against their own weight and moves the whole scheme', () => {
+    const rule = { type: 'double', repMin: 8, repMax: 10, weightIncrement: 2.5 };
+    const ramp = [
+      { setIndex: 1, targetReps: 8, targetWeight: 100, setType: 'working' },
+      { setIndex: 2, targetReps: 8, targetWeight: 90, setType: 'working' },
+    ];
+    const logged = (weights) => weights.map((weight, index) => ({
+      setIndex: index + 1,
+      setType: 'working',
+      reps: 10,
+      weight,
+    }));
+    expect(evaluateProgressionRule(rule, { targetWeight: 100, setTargets: ramp, sets: logged([100, 85]) })).toBeNull();
+    const outcome = evaluateProgressionRule(rule, { targetWeight: 100, setTargets: ramp, sets: logged([100, 90]) });
+    expect(outcome.nextTargetWeight).toBe(102.5);
+    expect(outcome.nextSetTargets.map((target) => [target.targetReps, target.targetWeight])).toEqual([
+      [8, 102.5],
+      [8, 92.5],
+    ]);
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, expect, it } from 'vitest';
+import {
+  matchExerciseName,
+  parseRoutineText,
+  resolveRoutineTextExercises,
+  serializeRoutineText,
+} from '../server/routine-text.js';
+
+const catalog = [
+  { id: 1, name: 'Bench Press', equipment: 'barbell' },
+  { id: 2, name: 'Barbell Row', equipment: 'barbell' },
+  { id: 3, name: 'Pull-ups', equipment: 'body only' },
+  { id: 4, name: 'Plank', equipment: 'body only' },
+  { id: 5, name: 'Lateral Raise', equipment: 'dumbbell' },
+  { id: 6, name: 'Lateral Lunge', equipment: 'dumbbell' },
+];
+
+describe('routine text', () => {
+  it('reads names, set schemes, loads, rest times and superset markers', () => {
+    const parsed = parseRoutineText([
+      '# Upper A',
+      'Notes: Heavy day',
+      'A1: Bench press 3x8 @ 60kg, rest 90s',
+      'A2) Barbell row 3x8 @ 50 kg, rest 1:30',
+      '- Squat 5/3/1 @ 100/110/120 kg; rest 3 min',
+      'Lateral raise 2x12 @ 62,5%, each side',
+      'Pull-ups 3 x 8 @ bw',
+      'Plank 2x45s',
+    ].join('\n'));
+
+    expect(parsed.name).toBe('Upper A');
+    expect(parsed.notes).toBe('Heavy day');
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.exercises.map((item) => [item.name, item.equipment, item.supersetGroup, item.targetRestSeconds]))
+      .toEqual([
+        ['Bench press', null, 'A', 90],
+        ['row', 'Barbell', 'A', 90],
+        ['Squat', null, null, 180],
+        ['Lateral raise', null, null, null],
+        ['Pull-ups', 'Bodyweight', null, null],
+        ['Plank', null, null, null],
+      ]);
+    expect(parsed.exercises[0].setTargets).toEqual([
+      { targetReps: 8, targetWeight: 60 },
+      { targetReps: 8, targetWeight: 60 },
+      { targetReps: 8, targetWeight: 60 },
+    ]);
+    expect(parsed.exercises[2].setTargets.map((set) => [set.targetReps, set.targetWeight]))
+      .toEqual([[5, 100], [3, 110], [1, 120]]);
+    expect(parsed.exercises[3]).toMatchObject({ unilateral: true });
+    expect(parsed.exercises[3].setTargets[0]).toEqual({ targetReps: 12, targetPercent: 62.5 });
+    expect(parsed.exercises[5].setTargets[0]).toEqual({ targetTimeSeconds: 45 });
+  });
+
+  it('reports lines it cannot read and supersets that are not adjacent pairs', () => {
+    const parsed = parseRoutineText([
+      'Legs',
+      'A1 Squat 5x5',
+      'A1 Leg press 3x10 @ 100/120 kg',
+      'B1 Lunge 3x10',
+      'Calf raise 3x15',
+      'B2 Leg curl 3x12',
+      'Hip thrust 3x10, tempo 3-1-1',
+      'Finish with a walk',
+    ].join('\n'));
+
+    expect(parsed.errors.map((error) => [error.line, error.message])).toEqual([
+      [2, 'Use 1-3 sets.'],
+      [3, 'Give one load for all sets or one per set.'],
+      [7, 'Could not read "tempo 3-1-1".'],
+      [8, 'Add sets and reps, for example "3x8".'],
+    ]);
+    expect(parsed.exercises.map((item) => [item.name, item.supersetGroup])).toEqual([
+      ['Lunge', null],
+      ['Calf raise', null],
+      ['Leg curl', null],
+    ]);
+    expect(parsed.warnings).toEqual([
+      'Superset B needs exactly two exercises next to each other, so they were kept as separate exercises.',
+    ]);
+  });
+
+  it('matches exercise names fuzzily and leaves close calls for manual mapping', () => {
+    expect(matchExerciseName('bench pres', catalog).exercise?.id).toBe(1);
+    expect(matchExerciseName('Pull ups', catalog).exercise?.id).toBe(3);
+    const ambiguous = matchExerciseName('Lateral', catalog);
+    expect(ambiguous.exercise).toBeNull();
+    expect(ambiguous.candidates.map((item) => item.id).sort()).toEqual([5, 6]);
+    expect(matchExerciseName('Turkish get-up', catalog)).toMatchObject({ exercise: null, candidates: [] });
+
+    const [bench, row, missing] = resolveRoutineTextExercises(
+      parseRoutineText('Bench press 3x8\nBarbell row 3x8\nZercher carry 2x40m').exercises,
+      catalog
+    );
+    expect(bench).toMatchObject({ exerciseId: 1, exerciseName: 'Bench Press', equipment: 'Barbell' });
+    expect(row).toMatchObject({ exerciseId: 2, equipment: 'Barbell' });
+    expect(missing).toMatchObject({ exerciseId: null, equipment: null });
+    expect(missing.setTargets[0]).toEqual({ targetDistanceMeters: 40 });
+  });
+
+  it('writes routines that read back the same', () => {
+    const text = serializeRoutineText({
+      name: 'Upper A',
+      notes: 'Heavy day',
+      exercises: [
+        {
+          name: 'Bench Press',
+          equipment: 'Barbell',
+          supersetGroup: 'g1',
+          targetRestSeconds: 90,
+          setTargets: [
+            { targetReps: 3, targetWeight: 62.5 },
+            { targetReps: 6, targetWeight: 52.5 },
+          ],
+        },
+        {
+          name: 'Barbell Row',
+          equipment: 'Barbell',
+          supersetGroup: 'g1',
+          targetWeight: 50,
+          setTargets: [{ targetReps: 8 }, { targetReps: 8 }],
+        },
+        { name: 'Plank', equipment: 'Bodyweight', setTargets: [{ targetTimeSeconds: 45 }] },
+        {
+          name: 'Face Pull',
+          equipment: 'Band',
+          targetBandLabel: 'Red',
+          unilateral: true,
+          setTargets: [{ targetReps: 15 }, { targetReps: 15 }],
+        },
+      ],
+    });
+    expect(text).toBe([
+      'Upper A',
+      'Notes: Heavy day',
+      'A1: Barbell Bench Press 3/6 @ 62.5/52.5 kg, rest 90s',
+      'A2: Barbell Row 2x8 @ 50 kg',
+      'Bodyweight Plank 1x45s',
+      'Band Face Pull 2x15 @ Red, each side',
+      '',
+    ].join('\n'));
+
+    const reparsed = parseRoutineText(text);
+    expect(reparsed.errors).toEqual([]);
+    expect(reparsed.exercises.map((item) => [item.equipment, item.writtenName, item.supersetGroup])).toEqual([
+      ['Barbell', 'Barbell Bench Press', 'A'],
+      ['Barbell', 'Barbell Row', 'A'],
+      ['Bodyweight', 'Bodyweight Plank', null],
+      ['Band', 'Band Face Pull', null],
+    ]);
+    expect(resolveRoutineTextExercises(reparsed.exercises, catalog).slice(0, 2).map((item) => item.exerciseId))
+      .toEqual([1, 2]);
+    expect(reparsed.exercises[0].setTargets).toEqual([
+      { targetReps: 3, targetWeight: 62.5 },
+      { targetReps: 6, targetWeight: 52.5 },
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildRoutineSnapshot,
+  diffRoutineSnapshots,
+  hasRoutineSnapshotChanges,
+  parseRoutineSnapshot,
+} from '../server/routine-versions.js';
+
+const buildRoutine = (overrides = {}) => ({
+  id: 7,
+  name: 'Upper',
+  notes: null,
+  routineType: 'standard',
+  updatedAt: '2026-03-01T10:00:00.000Z',
+  exercises: [
+    {
+      id: 70,
+      exerciseId: 1,
+      name: 'Bench Press',
+      primaryMuscles: ['chest'],
+      equipment: 'Barbell',
+      position: 0,
+      targetSets: 2,
+      targetReps: 5,
+      targetWeight: 80,
+      setTargets: [
+        { id: 701, setIndex: 1, targetReps: 5, setType: 'working' },
+        { id: 702, setIndex: 2, targetReps: 5, setType: 'working' },
+      ],
+    },
+    {
+      id: 71,
+      exerciseId: 2,
+      name: 'Barbell Row',
+      equipment: 'Barbell',
+      position: 1,
+      targetSets: 1,
+      targetReps: 8,
+      targetWeight: 60,
+      setTargets: [{ id: 711, setIndex: 1, targetReps: 8, setType: 'working' }],
+    },
+  ],
+  ...overrides,
+});
+
+describe('routine versions', () => {
+  it('snapshots what a routine plans and ignores storage ids', () => {
+    const snapshot = buildRoutineSnapshot(buildRoutine());
+    expect(snapshot.exercises[0]).not.toHaveProperty('primaryMuscles');
+    expect(snapshot.exercises[0].setTargets[0]).not.toHaveProperty('id');
+    expect(parseRoutineSnapshot(JSON.stringify(snapshot))).toEqual(snapshot);
+    expect(parseRoutineSnapshot('not json')).toBeNull();
+
+    const resaved = buildRoutine({ updatedAt: '2026-03-02T10:00:00.000Z' });
+    resaved.exercises[0].setTargets = resaved.exercises[0].setTargets.map((target) => ({ ...target, id: target.id + 100 }));
+    expect(hasRoutineSnapshotChanges(snapshot, buildRoutineSnapshot(resaved))).toBe(false);
+  });
+
+  it('matches slots by id to report added, removed, changed and reordered exercises', () => {
+    const before = buildRoutineSnapshot(buildRoutine());
+    const routine = buildRoutine({ name: 'Upper A' });
+    routine.exercises = [
+      { ...routine.exercises[1], exerciseId: 3, name: 'Pendlay Row', targetWeight: 65 },
+      { ...routine.exercises[0], position: 1 },
+      { id: 72, exerciseId: 4, name: 'Dip', equipment: 'Bodyweight', position: 2, setTargets: [] },
+    ];
+    const diff = diffRoutineSnapshots(before, buildRoutineSnapshot(routine));
+    expect(diff.changes).toEqual([{ field: 'name', from: 'Upper', to: 'Upper A' }]);
+    expect(diff.added.map((item) => item.name)).toEqual(['Dip']);
+    expect(diff.removed).toEqual([]);
+    expect(diff.changed).toEqual([
+      {
+        id: 71,
+        exerciseId: 3,
+        name: 'Pendlay Row',
+        equipment: 'Barbell',
+        changes: [
+          { field: 'exercise', from: 'Barbell Row', to: 'Pendlay Row' },
+          { field: 'targetWeight', from: 60, to: 65 },
+        ],
+      },
+    ]);
+    expect(diff.reordered).toBe(true);
+
+    const trimmed = buildRoutine();
+    trimmed.exercises = trimmed.exercises.slice(0, 1);
+    const removal = diffRoutineSnapshots(before, buildRoutineSnapshot(trimmed));
+    expect(removal.removed.map((item) => item.id)).toEqual([71]);
+    expect(removal.reordered).toBe(false);
+  });
+});
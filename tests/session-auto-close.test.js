@@ -0,0 +1,48 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  resolveSessionAutoCloseConfig,
+  startSessionAutoClose,
+} from '../server/session-auto-close.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('automatic session closing', () => {
+  it('resolves sweeper configuration from environment values', () => {
+    const defaults = resolveSessionAutoCloseConfig({ env: {} });
+    expect(defaults.enabled).toBe(true);
+    expect(defaults.idleMs).toBe(6 * HOUR_MS);
+    expect(defaults.checkIntervalMs).toBe(15 * 60 * 1000);
+
+    const custom = resolveSessionAutoCloseConfig({
+      env: {
+        SESSION_AUTO_CLOSE_ENABLED: 'off',
+        SESSION_AUTO_CLOSE_IDLE_HOURS: '3',
+        SESSION_AUTO_CLOSE_CHECK_INTERVAL_MINUTES: 'abc',
+      },
+    });
+    expect(custom.enabled).toBe(false);
+    expect(custom.idleMs).toBe(3 * HOUR_MS);
+    expect(custom.checkIntervalMs).toBe(15 * 60 * 1000);
+  });
+
+  it('can be disabled and logs warnings when a cycle fails', () => {
+    expect(startSessionAutoClose({ enabled: false })).toBeNull();
+
+    const logger = { info: vi.fn(), warn: vi.fn() };
+    const timer = { unref: vi.fn() };
+    vi.spyOn(global, 'setInterval').mockReturnValue(timer);
+    const clearIntervalSpy = vi.spyOn(global, 'clearInterval').mockImplementation(() => {});
+
+    const controller = startSessionAutoClose({ enabled: true, db: null, logger });
+
+    expect(timer.unref).toHaveBeenCalledTimes(1);
+    expect(logger.warn).toHaveBeenCalledWith('Automatic workout close cycle failed.', expect.any(Error));
+    expect(controller.runOnce()).toBeNull();
+    controller.stop();
+    expect(clearIntervalSpy).toHaveBeenCalledTimes(1);
+  });
+});
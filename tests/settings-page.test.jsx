@@ -198,4 +198,53 @@ describe('SettingsPage', () => {
     expect(await screen.findByText(/Imported 1 exercises, 1 routines, 1 workouts, 1 bodyweight entries\./))
       .toBeInTheDocument();
   });
+
+  it('loads, validates and saves the equipment inventory', async () => {
+    const user = userEvent.setup();
+    let savedPayload = null;
+    apiFetch.mockImplementation(async (path, options = {}) => {
+      if (path === '/api/equipment-inventory' && options.method === 'PUT') {
+        savedPayload = JSON.parse(options.body);
+        return { inventory: savedPayload };
+      }
+      if (path === '/api/equipment-inventory') {
+        return {
+          inventory: {
+            barWeights: [20],
+            plates: [{ weight: 20, pairs: 2 }, { weight: 2.5, pairs: 1 }],
+            dumbbells: [10, 12.5],
+            kettlebells: [16],
+          },
+        };
+      }
+      throw new Error(`Unexpected path ${path}`);
+    });
+
+    renderSettingsPage();
+
+    const platesInput = screen.getByLabelText('Plates (kg x pairs)');
+    await waitFor(() => {
+      expect(platesInput).toHaveValue('20x2, 2.5x1');
+    });
+    expect(screen.getByLabelText('Dumbbells (kg)')).toHaveValue('10, 12.5');
+
+    await user.clear(platesInput);
+    await user.type(platesInput, '20x2, heavy');
+    await user.click(screen.getByRole('button', { name: 'Save equipment' }));
+    expect(screen.getByText('Plates must be listed as weight x pairs, e.g. 25x4, 1.25x2.')).toBeInTheDocument();
+    expect(savedPayload).toBeNull();
+
+    await user.clear(platesInput);
+    await user.type(platesInput, '20x2, 5x2, 1.25');
+    await user.click(screen.getByRole('button', { name: 'Save equipment' }));
+
+    expect(await screen.findByText('Equipment saved.')).toBeInTheDocument();
+    expect(savedPayload).toEqual({
+      barWeights: [20],
+      dumbbells: [10, 12.5],
+      kettlebells: [16],
+      plates: [{ weight: 20, pairs: 2 }, { weight: 5, pairs: 2 }, { weight: 1.25, pairs: 1 }],
+    });
+    expect(platesInput).toHaveValue('20x2, 5x2, 1.25x1');
+  });
 });
@@ -1,7 +1,7 @@
 // @vitest-environment jsdom
 import React from 'react';
 import { BrowserRouter } from 'react-router-dom';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 import App from '../src/App.jsx';
@@ -23,7 +23,7 @@ function renderAppAt(pathname) {
   );
 }
 
-function buildStatsFixture({ bodyweightPoints = [], fallbackWeights = [] } = {}) {
+function buildStatsFixture({ bodyweightPoints = [], fallbackWeights = [], programs = null } = {}) {
   const exercises = [
     { id: 1, name: 'Bench Press', primaryMuscles: ['chest'] },
     { id: 2, name: 'Back Squat', primaryMuscles: ['quadriceps'] },
@@ -117,6 +117,7 @@ function buildStatsFixture({ bodyweightPoints = [], fallbackWeights = [] } = {})
       };
     }
     if (pathname === '/api/weights') return { weights: fallbackWeights };
+    if (pathname === '/api/programs' && programs) return { programs };
     if (pathname === '/api/exercises') return { exercises };
 
     if (pathname === '/api/stats/timeseries') {
@@ -164,6 +165,23 @@ function buildStatsFixture({ bodyweightPoints = [], fallbackWeights = [] } = {})
         exercise: { id: exerciseId, name: exercises.find((item) => item.id === exerciseId)?.name || 'Exercise' },
         windowDays: Number((params.get('window') || '90d').replace('d', '')),
         points: progressionByExerciseId[exerciseId] || [],
+        oneRepMax: exerciseId === 1
+          ? {
+            formula: params.get('formula') || 'epley',
+            best: { value: 116.67, weight: 100, reps: 5, sessionId: 101, startedAt: '2026-01-02T09:00:00.000Z' },
+            repMaxes: Array.from({ length: 15 }, (_, index) => ({
+              reps: index + 1,
+              weight: index < 5 ? 100 : null,
+              setReps: index < 5 ? 5 : null,
+              sessionId: index < 5 ? 101 : null,
+              achievedAt: index < 5 ? '2026-01-02T09:00:00.000Z' : null,
+            })),
+            projection: {
+              targetReps: Number(params.get('targetReps') || 5),
+              weight: params.get('targetReps') === '8' ? 90 : 100,
+            },
+          }
+          : { formula: 'epley', best: null, repMaxes: [], projection: { targetReps: 5, weight: null } },
       };
     }
 
@@ -296,12 +314,43 @@ describe('Stats page', () => {
     await waitFor(() => {
       expect(
         apiFetch.mock.calls.some(([path]) =>
-          path === '/api/stats/progression?exerciseId=2&window=90d&routineType=all'
+          path === '/api/stats/progression?exerciseId=2&window=90d&routineType=all&formula=epley&targetReps=5'
         )
       ).toBe(true);
     });
   });
 
+  it('shows estimated 1RM, rep maxes and a projected weight for the selected exercise', async () => {
+    buildStatsFixture();
+    const user = userEvent.setup();
+    renderAppAt('/stats');
+
+    expect(await screen.findByText('Strength estimates')).toBeInTheDocument();
+    expect(await screen.findByText('116,7 kg')).toBeInTheDocument();
+    expect(screen.getByText('Best estimated 1RM · Epley')).toBeInTheDocument();
+    expect(screen.getByText('Projected for 5 reps')).toBeInTheDocument();
+    const repMaxTable = screen.getByRole('table', { name: 'Rep maxes' });
+    expect(within(repMaxTable).getAllByRole('row')).toHaveLength(16);
+    expect(within(repMaxTable).getByRole('rowheader', { name: '5 RM' })).toBeInTheDocument();
+
+    await user.selectOptions(screen.getByLabelText('1RM formula'), 'brzycki');
+    await user.selectOptions(screen.getByLabelText('Projection reps'), '8');
+
+    await waitFor(() => {
+      expect(
+        apiFetch.mock.calls.some(([path]) =>
+          path === '/api/stats/progression?exerciseId=1&window=90d&routineType=all&formula=brzycki&targetReps=8'
+        )
+      ).toBe(true);
+    });
+    expect(await screen.findByText('Projected for 8 reps')).toBeInTheDocument();
+    expect(screen.getByText('Best estimated 1RM · Brzycki')).toBeInTheDocument();
+    expect(screen.getByText('90 kg')).toBeInTheDocument();
+
+    await user.selectOptions(screen.getByLabelText('Progression exercise'), '2');
+    expect(await screen.findByText('No sets of 12 reps or fewer in this window to estimate from.')).toBeInTheDocument();
+  });
+
   it('refetches stats and analytics when routine type changes', async () => {
     buildStatsFixture();
     const user = userEvent.setup();
@@ -327,6 +376,45 @@ describe('Stats page', () => {
     });
   });
 
+  it('filters stats by program and program week', async () => {
+    buildStatsFixture({
+      programs: [
+        {
+          id: 4,
+          name: 'Strength block',
+          weeks: [
+            { weekNumber: 1, volumePercent: 100, intensityPercent: 100, deload: false },
+            { weekNumber: 2, volumePercent: 50, intensityPercent: 80, deload: true },
+          ],
+          days: [],
+          nextWorkout: null,
+        },
+      ],
+    });
+    const user = userEvent.setup();
+    renderAppAt('/stats');
+
+    await screen.findByText('Workload over time');
+    expect(screen.queryByLabelText('Stats program week')).not.toBeInTheDocument();
+    await user.selectOptions(await screen.findByLabelText('Stats program'), '4');
+
+    await waitFor(() => {
+      expect(
+        apiFetch.mock.calls.some(([path]) => path === '/api/stats/overview?routineType=all&programId=4')
+      ).toBe(true);
+    });
+    expect(screen.getByRole('option', { name: 'Week 2 (deload)' })).toBeInTheDocument();
+    await user.selectOptions(screen.getByLabelText('Stats program week'), '2');
+
+    await waitFor(() => {
+      expect(
+        apiFetch.mock.calls.some(
+          ([path]) => path === '/api/stats/timeseries?bucket=week&window=180d&routineType=all&programId=4&programWeek=2'
+        )
+      ).toBe(true);
+    });
+  });
+
   it('shows empty bodyweight state when no points are available', async () => {
     buildStatsFixture({ bodyweightPoints: [], fallbackWeights: [] });
     renderAppAt('/stats');
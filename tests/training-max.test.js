@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import {
+  normalizeTrainingMaxWeight,
+  parseTargetPercentValue,
+  resolvePercentSetTargets,
+  snapToLoadableWeight,
+} from '../server/training-max.js';
+
+const inventory = {
+  barWeights: [15, 20],
+  plates: [
+    { weight: 10, pairs: 2 },
+    { weight: 5, pairs: 1 },
+    { weight: 2.5, pairs: 1 },
+  ],
+  dumbbells: [10, 12.5, 15],
+  kettlebells: [],
+};
+
+describe('training max', () => {
+  it('validates percentages and training max weights', () => {
+    expect(parseTargetPercentValue('')).toEqual({ targetPercent: null, valid: true });
+    expect(parseTargetPercentValue('72.5')).toEqual({ targetPercent: 72.5, valid: true });
+    expect(parseTargetPercentValue(72.3).valid).toBe(false);
+    expect(parseTargetPercentValue(5).valid).toBe(false);
+    expect(parseTargetPercentValue(151).valid).toBe(false);
+    expect(normalizeTrainingMaxWeight('142.5')).toBe(142.5);
+    expect(() => normalizeTrainingMaxWeight(-5)).toThrow('Training max must be above 0 and at most 1000 kg.');
+    expect(() => normalizeTrainingMaxWeight('')).toThrow(/Training max/);
+  });
+
+  it('snaps weights to what the inventory can load', () => {
+    // Heaviest bar plus plate pairs: 20, 25, 30, ... 75.
+    expect(snapToLoadableWeight(52, 'Barbell', inventory)).toBe(50);
+    expect(snapToLoadableWeight(54, 'Barbell', inventory)).toBe(55);
+    expect(snapToLoadableWeight(90, 'Barbell', inventory)).toBe(75);
+    expect(snapToLoadableWeight(13.4, 'Dumbbell', inventory)).toBe(12.5);
+    expect(snapToLoadableWeight(13.4, 'Kettlebell', inventory)).toBe(13);
+    expect(snapToLoadableWeight(47.6, 'Machine', inventory)).toBe(48);
+  });
+
+  it('resolves percentage set targets against a training max', () => {
+    const setTargets = [
+      { setIndex: 1, targetReps: 5, targetPercent: 65 },
+      { setIndex: 2, targetReps: 5, targetPercent: 75 },
+      { setIndex: 3, targetReps: 8, targetPercent: null },
+    ];
+    expect(resolvePercentSetTargets(setTargets, { trainingMax: 60, equipment: 'Barbell', inventory })).toEqual({
+      setTargets: [
+        { setIndex: 1, targetReps: 5, targetPercent: 65, targetWeight: 40 },
+        { setIndex: 2, targetReps: 5, targetPercent: 75, targetWeight: 45 },
+        { setIndex: 3, targetReps: 8, targetPercent: null, targetWeight: null },
+      ],
+      topWeight: 45,
+    });
+    expect(resolvePercentSetTargets(setTargets, { trainingMax: null, equipment: 'Barbell', inventory })).toEqual({
+      setTargets: setTargets.map((target) => ({ ...target, targetWeight: null })),
+      topWeight: null,
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest';
+import {
+  normalizeScheduleDefinition,
+  normalizeTimezoneOffset,
+  resolveScheduleRecommendation,
+} from '../server/training-schedule.js';
+
+const weekdaySchedule = {
+  mode: 'weekdays',
+  slots: [
+    { position: 1, weekday: 1, routineId: 1, routineName: 'A' },
+    { position: 2, weekday: 3, routineId: 2, routineName: 'B' },
+    { position: 3, weekday: 5, routineId: 3, routineName: 'C' },
+  ],
+};
+
+describe('training schedule', () => {
+  it('normalizes weekday and rotation schedules', () => {
+    expect(normalizeScheduleDefinition({
+      slots: [{ weekday: 5, routineId: '3' }, { weekday: 1, routineId: 1 }],
+    })).toEqual({
+      mode: 'weekdays',
+      intervalDays: 2,
+      slots: [
+        { position: 1, weekday: 1, routineId: 1 },
+        { position: 2, weekday: 5, routineId: 3 },
+      ],
+    });
+    expect(normalizeScheduleDefinition({
+      mode: 'rotation',
+      intervalDays: 3,
+      slots: [{ routineId: 1 }, { routineId: 2 }, { routineId: 1 }],
+    }).slots).toEqual([
+      { position: 1, weekday: null, routineId: 1 },
+      { position: 2, weekday: null, routineId: 2 },
+      { position: 3, weekday: null, routineId: 1 },
+    ]);
+    expect(() => normalizeScheduleDefinition({ mode: 'daily' })).toThrow(/weekdays or rotation/);
+    expect(() => normalizeScheduleDefinition({ slots: [{ weekday: 8, routineId: 1 }] })).toThrow(/Monday/);
+    expect(() => normalizeScheduleDefinition({
+      slots: [{ weekday: 2, routineId: 1 }, { weekday: 2, routineId: 2 }],
+    })).toThrow('Each weekday can only hold one routine.');
+    expect(() => normalizeScheduleDefinition({ mode: 'rotation', slots: [{ routineId: null }] }))
+      .toThrow('Each scheduled workout needs a routine.');
+    expect(() => normalizeScheduleDefinition({ intervalDays: 9 })).toThrow(/1-7/);
+    expect(normalizeTimezoneOffset('-120')).toBe(-120);
+    expect(() => normalizeTimezoneOffset('abc')).toThrow('Invalid timezone offset.');
+  });
+
+  it('recommends today, then missed, then upcoming weekday workouts', () => {
+    const now = new Date('2026-03-13T10:00:00.000Z');
+    const mondayA = { routineId: 1, startedAt: '2026-03-09T07:00:00.000Z' };
+
+    const dueToday = resolveScheduleRecommendation(weekdaySchedule, [mondayA], { now });
+    expect(dueToday.next).toMatchObject({ routineId: 3, routineName: 'C', dueDate: '2026-03-13', status: 'today' });
+    expect(dueToday.missed).toEqual([
+      { routineId: 2, routineName: 'B', weekday: 3, position: 2, dueDate: '2026-03-11', status: 'missed' },
+    ]);
+
+    const fridayC = { routineId: 3, startedAt: '2026-03-13T07:00:00.000Z' };
+    expect(resolveScheduleRecommendation(weekdaySchedule, [fridayC, mondayA], { now }).next)
+      .toMatchObject({ routineId: 2, status: 'missed' });
+
+    // Trained just after local midnight on Wednesday in UTC+2.
+    const wednesdayB = { routineId: 2, startedAt: '2026-03-10T23:30:00.000Z' };
+    const caughtUp = resolveScheduleRecommendation(
+      weekdaySchedule,
+      [fridayC, wednesdayB, mondayA],
+      { now, timezoneOffsetMinutes: -120 }
+    );
+    expect(caughtUp.missed).toEqual([]);
+    expect(caughtUp.next).toMatchObject({ routineId: 1, dueDate: '2026-03-16', status: 'upcoming' });
+
+    expect(resolveScheduleRecommendation({ mode: 'weekdays', slots: [] }, [], { now }))
+      .toEqual({ next: null, missed: [] });
+  });
+
+  it('follows rotation order and counts missed intervals', () => {
+    const schedule = {
+      mode: 'rotation',
+      intervalDays: 2,
+      slots: [
+        { position: 1, weekday: null, routineId: 1, routineName: 'A' },
+        { position: 2, weekday: null, routineId: 2, routineName: 'B' },
+        { position: 3, weekday: null, routineId: 1, routineName: 'A' },
+        { position: 4, weekday: null, routineId: 3, routineName: 'C' },
+      ],
+    };
+    const sessions = [
+      { routineId: 1, startedAt: '2026-03-06T07:00:00.000Z' },
+      { routineId: 2, startedAt: '2026-03-04T07:00:00.000Z' },
+      { routineId: 1, startedAt: '2026-03-02T07:00:00.000Z' },
+    ];
+
+    const onTrack = resolveScheduleRecommendation(schedule, sessions, { now: new Date('2026-03-07T10:00:00.000Z') });
+    expect(onTrack.next).toMatchObject({ routineId: 3, position: 4, dueDate: '2026-03-08', status: 'upcoming' });
+    expect(onTrack.missed).toEqual([]);
+
+    const behind = resolveScheduleRecommendation(schedule, sessions, { now: new Date('2026-03-13T10:00:00.000Z') });
+    expect(behind.missed.map((workout) => [workout.position, workout.dueDate])).toEqual([
+      [4, '2026-03-08'],
+      [1, '2026-03-10'],
+      [2, '2026-03-12'],
+    ]);
+    expect(behind.next).toMatchObject({ routineId: 3, status: 'missed' });
+
+    expect(resolveScheduleRecommendation(schedule, [], { now: new Date('2026-03-13T10:00:00.000Z') }).next)
+      .toMatchObject({ routineId: 1, position: 1, dueDate: '2026-03-13', status: 'today' });
+  });
+});
@@ -5,6 +5,10 @@ import {
   formatReadinessError,
   interpolateTimestampForSetIndex,
   resolveExerciseStartAt,
+  resolveSetTargetBandLabel,
+  resolveSetTargetMetricValue,
+  resolveSetTargetWeightValue,
+  resolveTargetMetricValue,
   resolveTargetRepsValue,
   validateWorkoutReadiness,
 } from '../src/workout-flow.js';
@@ -144,6 +148,52 @@ describe('workout-flow helpers', () => {
   });
 
 
+  it('resolves timed and distance targets and builds payloads with the mode metric', () => {
+    const plank = {
+      exerciseId: 51,
+      name: 'Plank',
+      equipment: 'Bodyweight',
+      measurementMode: 'time',
+      targetSets: 2,
+      targetTimeSeconds: 45,
+      targetWeight: null,
+      setTargets: [{ setIndex: 2, targetTimeSeconds: 60 }],
+      sets: [],
+    };
+    expect(resolveTargetMetricValue(plank)).toBe(45);
+    expect(resolveSetTargetMetricValue(plank, 1)).toBe(45);
+    expect(resolveSetTargetMetricValue(plank, 2)).toBe(60);
+    expect(resolveTargetMetricValue({ measurementMode: 'distance_weight', targetDistanceMeters: 0 })).toBeNull();
+
+    const readiness = validateWorkoutReadiness([
+      { ...plank, targetTimeSeconds: null },
+      {
+        exerciseId: 52,
+        name: 'Sled Push',
+        equipment: 'Machine',
+        measurementMode: 'distance_weight',
+        targetSets: 2,
+        targetDistanceMeters: 20,
+        targetWeight: null,
+      },
+    ]);
+    expect(readiness.issues).toEqual([
+      { exerciseId: 51, name: 'Plank', missing: ['duration'] },
+      { exerciseId: 52, name: 'Sled Push', missing: ['weight'] },
+    ]);
+
+    const payloads = buildMissingSetPayloads({
+      exercise: plank,
+      checkedAtBySetIndex: { 2: '2026-02-10T10:04:00.000Z' },
+      exerciseStartedAt: '2026-02-10T10:00:00.000Z',
+      exerciseFinishedAt: '2026-02-10T10:06:00.000Z',
+    });
+    expect(payloads).toEqual([
+      expect.objectContaining({ setIndex: 2, timeSeconds: 60, weight: 0 }),
+    ]);
+    expect(payloads[0]).not.toHaveProperty('reps');
+  });
+
   it('builds missing set payloads for unchecked sets when includeUnchecked is enabled', () => {
     const payloads = buildMissingSetPayloads({
       exercise: {
@@ -177,6 +227,84 @@ describe('workout-flow helpers', () => {
     ]);
   });
 
+  it('uses per-set weights resolved from training max percentages', () => {
+    const exercise = {
+      exerciseId: 44,
+      equipment: 'Barbell',
+      targetSets: 3,
+      targetReps: 5,
+      targetWeight: 87.5,
+      setTargets: [
+        { setIndex: 1, targetReps: 5, targetPercent: 65, targetWeight: 67.5 },
+        { setIndex: 2, targetReps: 5, targetPercent: 75, targetWeight: 77.5 },
+        { setIndex: 3, targetReps: 5, targetPercent: 85, targetWeight: null },
+      ],
+      sets: [],
+    };
+    expect(resolveSetTargetWeightValue(exercise, 1)).toBe(67.5);
+    expect(resolveSetTargetWeightValue(exercise, 3)).toBe(87.5);
+
+    const payloads = buildMissingSetPayloads({
+      exercise,
+      exerciseStartedAt: '2026-02-10T10:00:00.000Z',
+      exerciseFinishedAt: '2026-02-10T10:06:00.000Z',
+      includeUnchecked: true,
+    });
+    expect(payloads.map((payload) => [payload.setIndex, payload.weight])).toEqual([
+      [1, 67.5],
+      [2, 77.5],
+      [3, 87.5],
+    ]);
+  });
+
+  it('logs each ramping set at its planned weight or band', () => {
+    const ramp = {
+      exerciseId: 45,
+      equipment: 'Barbell',
+      targetSets: 2,
+      targetReps: 5,
+      targetWeight: 140,
+      setTargets: [
+        { setIndex: 1, targetReps: 3, targetWeight: 140 },
+        { setIndex: 2, targetReps: 6, targetWeight: 120 },
+      ],
+      sets: [],
+    };
+    expect(buildMissingSetPayloads({
+      exercise: ramp,
+      exerciseStartedAt: '2026-02-10T10:00:00.000Z',
+      exerciseFinishedAt: '2026-02-10T10:06:00.000Z',
+      includeUnchecked: true,
+    }).map((payload) => [payload.setIndex, payload.reps, payload.weight])).toEqual([
+      [1, 3, 140],
+      [2, 6, 120],
+    ]);
+
+    const bands = {
+      exerciseId: 46,
+      equipment: 'Band',
+      targetSets: 2,
+      targetReps: 12,
+      targetBandLabel: 'Light',
+      setTargets: [
+        { setIndex: 1, targetReps: 12, targetBandLabel: 'Heavy' },
+        { setIndex: 2, targetReps: 12, targetBandLabel: null },
+      ],
+      sets: [],
+    };
+    expect(resolveSetTargetBandLabel(bands, 1)).toBe('Heavy');
+    expect(resolveSetTargetBandLabel(bands, 2)).toBeNull();
+    expect(buildMissingSetPayloads({
+      exercise: bands,
+      exerciseStartedAt: '2026-02-10T10:00:00.000Z',
+      exerciseFinishedAt: '2026-02-10T10:06:00.000Z',
+      includeUnchecked: true,
+    }).map((payload) => [payload.weight, payload.bandLabel])).toEqual([
+      [0, 'Heavy'],
+      [0, 'Light'],
+    ]);
+  });
+
   it('resolves exercise start timestamp from progress, sets, or fallback', () => {
     expect(resolveExerciseStartAt({ startedAt: '2026-02-10T10:00:00.000Z' })).toBe(
       '2026-02-10T10:00:00.000Z'
@@ -1,40 +1,123 @@
-import { describe, expect, it } from 'vitest';
+import { afterEach, describe, expect, it, vi } from 'vitest';
 
 import {
   ROUTINE_BAND_OPTIONS,
+  applySessionPauseChange,
+  buildLastPerformanceByKey,
+  buildLastPerformanceSetItems,
   buildLinearTrendline,
+  buildSetMetricSelectOptions,
   buildMovingAverage,
+  buildPastWorkoutExerciseRows,
+  buildPastWorkoutPayload,
+  buildPlateBreakdown,
+  buildProgramPayload,
+  buildProgramStatsQuery,
+  buildRoutinePrintBlocks,
+  buildSchedulePayload,
+  buildProgressionRulePayload,
   buildSessionDetailSetRows,
+  buildSessionPrintBlocks,
   buildSupersetPartnerLookup,
+  canSubstituteSessionExercise,
+  createHoldTimer,
+  createProgramDraft,
+  createProgressionRuleDraft,
+  createRestTimer,
+  createScheduleDraft,
+  createSetTargetGridDraft,
+  createTargetPercentDraft,
   decodeRoutineEquipmentValue,
+  exerciseUsesSetTargetWeights,
+  exerciseUsesTargetPercent,
+  extendRestTimer,
+  formatBestSetLabel,
   formatDate,
+  formatDateTimeLocalInputValue,
   formatDateTime,
   formatDurationMinutes,
   formatDurationSeconds,
   formatExerciseImpact,
   formatInstructionsForTextarea,
+  formatInventoryPlates,
+  formatLoggedSetSummary,
+  formatMeasurementModeLabel,
   formatMuscleLabel,
   formatNumber,
+  formatAliasesForInput,
+  formatOneRepMaxSourceLabel,
+  formatPersonalRecordLabel,
+  formatPlateBreakdown,
+  formatProgramNextWorkoutLabel,
+  formatProgramWeekModifiers,
+  formatProgressionChange,
+  formatProgressionRuleLabel,
+  formatRoutineOriginLabel,
+  formatRoutineVersionChange,
+  formatRoutineVersionExercise,
+  formatRoutineVersionReason,
+  formatRoutineVersionSetTargets,
+  formatScheduleDueLabel,
+  formatScheduleSummary,
   formatSessionDetailExerciseStateLabel,
+  formatSetMetricLabel,
+  formatSetTargetLoadLabel,
+  formatSetTargetSchemeSummary,
+  formatSharedRoutineAuthor,
+  formatSideAsymmetry,
+  formatSideAsymmetryTotals,
+  formatTargetPercentSummary,
   formatTargetWeightInputValue,
   formatReleaseTimestamp,
+  hasRoutineVersionDiff,
+  isSubstitutedSessionExercise,
+  isValidSetMetricValue,
+  isValidSetSideValues,
+  isWeightedTargetEditable,
+  listPastWorkoutPrograms,
+  mergePersonalRecordsBySetKey,
+  parseAliasesFromInput,
   normalizeExerciseMetadataList,
   normalizeExercisePrimaryMuscles,
   normalizeRoutineForUi,
+  normalizeStoredRestTimer,
   parseInstructionsFromTextarea,
+  parseInventoryPlates,
+  parseInventoryWeightList,
   parseReleaseTimestamp,
+  parseSetTargetWeightInput,
+  parseTargetPercentInput,
   parseTargetWeightInput,
+  parseTrainingMaxInput,
   resolveAutoTargetRepMax,
   resolveExerciseImageUrl,
+  resolveLoggedSetReps,
+  resolveNextLoadableWeight,
+  resolveLoggedSetVolume,
+  resolveSetSideValues,
+  resolveHoldTimerElapsedSeconds,
+  resolveHoldTimerRemainingSeconds,
   resolveRoutineRestOptionValue,
+  resolveRestTimerDurationSeconds,
+  resolveRestTimerRemainingSeconds,
   resolveRouteOrder,
   resolveSessionDetailExerciseState,
   resolveSessionDetailPlaceholderReps,
   resolveSessionDetailPlaceholderWeight,
+  resolveSessionActiveSeconds,
+  resolveSessionDurationSeconds,
+  resolveSetMetricHeading,
   resolveTargetRepBounds,
   resolveTargetWeightSaveStatusLabel,
   resolveTopLevelPath,
+  resizeProgramWeekDrafts,
+  resizeSetPercentDrafts,
+  resizeSetTargetGridRows,
+  scheduleRestNotification,
   sessionHasTrackedProgress,
+  showRestNotification,
+  snapToLoadableWeight,
+  toggleProgramWeekDeload,
 } from '../src/features/workout/workout-utils.js';
 
 describe('workout-utils helper coverage', () => {
@@ -242,3 +325,723 @@ describe('workout-utils helper coverage', () => {
     expect(resolveRouteOrder('/nope')).toBe(0);
   });
 });
+
+describe('rest timer helpers', () => {
+  const bench = { exerciseId: 1, name: 'Bench Press', targetRestSeconds: 60 };
+  const row = { exerciseId: 2, name: 'Pendlay Row', targetRestSeconds: 90 };
+
+  it('rests after solo sets and only after both sides of a superset are checked', () => {
+    expect(resolveRestTimerDurationSeconds({ exercise: bench, setIndex: 1 })).toBe(60);
+    expect(resolveRestTimerDurationSeconds({ exercise: { ...bench, targetRestSeconds: null }, setIndex: 1 })).toBeNull();
+    expect(resolveRestTimerDurationSeconds({
+      exercise: bench,
+      partner: row,
+      setIndex: 1,
+      isSetChecked: () => false,
+    })).toBeNull();
+    expect(resolveRestTimerDurationSeconds({
+      exercise: bench,
+      partner: row,
+      setIndex: 1,
+      isSetChecked: (exercise, setIndex) => exercise === row && setIndex === 1,
+    })).toBe(90);
+  });
+
+  it('counts down, extends and restores persisted timers', () => {
+    const nowMs = Date.parse('2026-01-01T10:00:00.000Z');
+    const timer = createRestTimer({
+      exerciseKey: '1:10',
+      exerciseName: 'Bench Press',
+      setIndex: 2,
+      durationSeconds: 60,
+      nowMs,
+    });
+    expect(timer.endsAt).toBe('2026-01-01T10:01:00.000Z');
+    expect(resolveRestTimerRemainingSeconds(timer, nowMs + 20500)).toBe(40);
+    expect(createRestTimer({ exerciseKey: '1:10', durationSeconds: 0, nowMs })).toBeNull();
+
+    const extended = extendRestTimer(timer, 15, nowMs);
+    expect(extended.endsAt).toBe('2026-01-01T10:01:15.000Z');
+    expect(extendRestTimer(timer, -120, nowMs).endsAt).toBe('2026-01-01T10:00:00.000Z');
+
+    expect(normalizeStoredRestTimer(JSON.parse(JSON.stringify(timer)), nowMs + 1000)).toEqual(timer);
+    expect(normalizeStoredRestTimer(timer, nowMs + 61000)).toBeNull();
+    expect(normalizeStoredRestTimer({ ...timer, endsAt: 'nope' }, nowMs)).toBeNull();
+  });
+
+  describe('rest notifications', () => {
+    const timer = { exerciseName: 'Bench Press', endsAt: '2026-01-01T10:01:00.000Z' };
+
+    function stubBrowser({ withTriggers }) {
+      const registration = { active: { postMessage: vi.fn() }, showNotification: vi.fn(async () => undefined) };
+      vi.stubGlobal('window', {
+        Notification: { permission: 'granted' },
+        ...(withTriggers ? { TimestampTrigger: function TimestampTrigger() {} } : {}),
+      });
+      vi.stubGlobal('navigator', { serviceWorker: { getRegistration: async () => registration } });
+      return registration;
+    }
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('schedules through the service worker only with Notification Triggers', async () => {
+      const registration = stubBrowser({ withTriggers: true });
+      expect(await scheduleRestNotification(timer)).toBe(true);
+      expect(registration.active.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'rest-timer:schedule',
+        endsAt: timer.endsAt,
+        body: 'Time for your next set of Bench Press.',
+      }));
+    });
+
+    it('leaves the alert to the page when triggers are missing', async () => {
+      const registration = stubBrowser({ withTriggers: false });
+      expect(await scheduleRestNotification(timer)).toBe(false);
+      expect(registration.active.postMessage).not.toHaveBeenCalled();
+      expect(await showRestNotification(timer)).toBe(true);
+      expect(registration.showNotification).toHaveBeenCalledWith('Rest complete', expect.objectContaining({
+        tag: 'trainbook-rest-timer',
+        body: 'Time for your next set of Bench Press.',
+      }));
+    });
+  });
+
+  it('only swaps untouched exercises and keeps routine targets off swapped ones', () => {
+    const planned = { exerciseId: 5, equipment: 'Barbell', targetWeight: 80, status: 'in_progress', sets: [] };
+    expect(canSubstituteSessionExercise(planned)).toBe(true);
+    expect(canSubstituteSessionExercise({ ...planned, sets: [{ id: 1 }] })).toBe(false);
+    expect(canSubstituteSessionExercise({ ...planned, status: 'skipped' })).toBe(false);
+    expect(canSubstituteSessionExercise({ ...planned, isWarmupStep: true })).toBe(false);
+
+    const swapped = { ...planned, exerciseId: 7, originalExerciseId: 5 };
+    expect(isSubstitutedSessionExercise(planned)).toBe(false);
+    expect(isSubstitutedSessionExercise(swapped)).toBe(true);
+    expect(isWeightedTargetEditable(planned)).toBe(true);
+    expect(isWeightedTargetEditable(swapped)).toBe(false);
+  });
+});
+
+describe('measurement mode helpers', () => {
+  it('validates, formats and summarizes sets per measurement mode', () => {
+    expect(formatMeasurementModeLabel('time_weight')).toBe('Duration × weight');
+    expect(formatMeasurementModeLabel('calories')).toBe('Reps × weight');
+    expect(resolveSetMetricHeading('distance_weight')).toBe('Distance');
+
+    expect(isValidSetMetricValue('time', '45')).toBe(true);
+    expect(isValidSetMetricValue('time', '4000')).toBe(false);
+    expect(isValidSetMetricValue('distance_weight', '12.5')).toBe(true);
+    expect(isValidSetMetricValue('reps_weight', '7.5')).toBe(false);
+    expect(buildSetMetricSelectOptions('time', '75')).toContain('75');
+
+    const plank = { equipment: 'Bodyweight', measurementMode: 'time' };
+    const carry = { equipment: 'Dumbbell', measurementMode: 'distance_weight' };
+    expect(formatLoggedSetSummary({ timeSeconds: 45, weight: 0 }, plank)).toBe('45 s');
+    expect(formatLoggedSetSummary({ distanceMeters: 30, weight: 32 }, carry)).toBe('32 kg × 30 m');
+    expect(formatSetMetricLabel({ reps: 5, weight: 20 }, 'distance_weight')).toBe('5 reps');
+    expect(formatSetMetricLabel({ reps: null, timeSeconds: null }, 'time')).toBeNull();
+  });
+
+  it('counts hold timers down and clamps elapsed time to the target', () => {
+    const nowMs = Date.parse('2026-01-01T10:00:00.000Z');
+    const timer = createHoldTimer({ exerciseKey: '3:12', setIndex: 1, durationSeconds: 45, nowMs });
+    expect(timer.endsAt).toBe('2026-01-01T10:00:45.000Z');
+    expect(resolveHoldTimerRemainingSeconds(timer, nowMs + 10200)).toBe(35);
+    expect(resolveHoldTimerElapsedSeconds(timer, nowMs + 10200)).toBe(10);
+    expect(resolveHoldTimerElapsedSeconds(timer, nowMs + 90000)).toBe(45);
+    expect(createHoldTimer({ exerciseKey: '3:12', setIndex: 1, durationSeconds: 0, nowMs })).toBeNull();
+  });
+
+  it('resolves, summarizes and totals left/right sides of unilateral sets', () => {
+    const sides = resolveSetSideValues({ rightReps: 6 }, { reps: 8, weight: 20 });
+    expect(sides).toEqual({ leftReps: 8, leftWeight: 20, rightReps: 6, rightWeight: 20 });
+    expect(isValidSetSideValues(sides)).toBe(true);
+    expect(isValidSetSideValues({ ...sides, leftReps: 0, rightReps: 0 })).toBe(false);
+    expect(isValidSetSideValues({ ...sides, leftReps: 7.5 })).toBe(false);
+
+    const splitSquat = { equipment: 'Dumbbell', measurementMode: 'reps_weight' };
+    const set = { reps: 8, weight: 22, leftReps: 8, leftWeight: 22, rightReps: 6, rightWeight: 20 };
+    expect(formatLoggedSetSummary(set, splitSquat)).toBe('L 22 kg × 8 · R 20 kg × 6');
+    expect(formatLoggedSetSummary(set, { ...splitSquat, equipment: 'Bodyweight' })).toBe('L 8 reps · R 6 reps');
+    expect(resolveLoggedSetReps(set)).toBe(14);
+    expect(resolveLoggedSetVolume(set)).toBe(296);
+    expect(resolveLoggedSetVolume({ reps: 5, weight: 100 })).toBe(500);
+
+    const asymmetry = {
+      leftReps: 16,
+      rightReps: 15,
+      leftVolume: 336,
+      rightVolume: 300,
+      basis: 'volume',
+      percent: 10,
+      weakerSide: 'right',
+    };
+    expect(formatSideAsymmetry(asymmetry)).toBe('Right 10% behind');
+    expect(formatSideAsymmetry({ ...asymmetry, percent: 0, weakerSide: null })).toBe('Even');
+    expect(formatSideAsymmetryTotals(asymmetry)).toBe('Left 336 kg · Right 300 kg');
+    expect(formatSideAsymmetryTotals({ ...asymmetry, basis: 'reps' })).toBe('Left 16 reps · Right 15 reps');
+  });
+});
+
+describe('plate math helpers', () => {
+  it('snaps and steps target weights to what the inventory can load', () => {
+    expect(snapToLoadableWeight(61, 'Barbell')).toBe(60);
+    expect(resolveNextLoadableWeight(60, 1, 'Barbell')).toBe(62.5);
+    expect(resolveNextLoadableWeight(61.25, -1, 'Barbell')).toBe(60);
+    expect(resolveNextLoadableWeight(20, -1, 'Barbell')).toBe(17.5);
+    expect(snapToLoadableWeight(21, 'Dumbbell')).toBe(20);
+    expect(resolveNextLoadableWeight(16, 1, 'Kettlebell')).toBe(20);
+    expect(resolveNextLoadableWeight(50, 1, 'Weight vest')).toBe(51);
+
+    const homeGym = { barWeights: [20], plates: [{ weight: 20, pairs: 1 }, { weight: 10, pairs: 1 }] };
+    expect(resolveNextLoadableWeight(60, 1, 'Barbell', homeGym)).toBe(80);
+    expect(snapToLoadableWeight(45, 'Barbell', homeGym)).toBe(40);
+  });
+
+  it('breaks barbell loads down into plates per side', () => {
+    expect(formatPlateBreakdown(buildPlateBreakdown(100))).toBe('25 + 15 per side on 20 kg bar');
+    expect(formatPlateBreakdown(buildPlateBreakdown(20))).toBe('Empty bar on 20 kg bar');
+    expect(buildPlateBreakdown(15)).toBeNull();
+
+    const breakdown = buildPlateBreakdown(70, { barWeights: [20], plates: [{ weight: 20, pairs: 1 }] });
+    expect(breakdown).toEqual({ barWeight: 20, plates: [{ weight: 20, count: 1 }], remainder: 5 });
+    expect(formatPlateBreakdown(breakdown)).toBe('20 per side on 20 kg bar (5 kg per side short)');
+  });
+
+  it('parses and formats inventory text fields', () => {
+    expect(parseInventoryPlates('25x4, 1.25')).toEqual({
+      plates: [{ weight: 25, pairs: 4 }, { weight: 1.25, pairs: 1 }],
+      valid: true,
+    });
+    expect(parseInventoryPlates('25x0').valid).toBe(false);
+    expect(formatInventoryPlates([{ weight: 2.5, pairs: 2 }])).toBe('2.5x2');
+    expect(parseInventoryWeightList('10, 15 20')).toEqual({ weights: [10, 15, 20], valid: true });
+    expect(parseInventoryWeightList('10, heavy').valid).toBe(false);
+  });
+});
+
+describe('past workout helpers', () => {
+  const routine = {
+    id: 7,
+    exercises: [
+      { id: 71, exerciseId: 1, name: 'Squat', equipment: 'Barbell', targetSets: 2, targetReps: 5, targetWeight: 100 },
+      { id: 72, exerciseId: 2, name: 'Plank', equipment: 'Bodyweight', measurementMode: 'time', targetSets: 1, targetTimeSeconds: 45 },
+    ],
+  };
+
+  it('pre-fills one set row per planned set from routine targets', () => {
+    const rows = buildPastWorkoutExerciseRows(routine);
+    expect(rows.map((row) => row.routineExerciseId)).toEqual([71, 72]);
+    expect(rows[0].sets.map(({ value, weight }) => ({ value, weight }))).toEqual([
+      { value: '5', weight: '100' },
+      { value: '5', weight: '100' },
+    ]);
+    expect(rows[1].sets[0]).toMatchObject({ value: '45', weight: '' });
+    expect(formatDateTimeLocalInputValue(new Date(2026, 2, 5, 7, 4))).toBe('2026-03-05T07:04');
+  });
+
+  it('builds the past workout payload and skips blank sets', () => {
+    const rows = buildPastWorkoutExerciseRows(routine);
+    rows[0].sets[1].value = '';
+    const { payload, error } = buildPastWorkoutPayload({
+      routineValue: '7',
+      startedAtInput: '2026-03-05T07:00',
+      durationMinutes: '45',
+      notes: '  ',
+      exerciseRows: rows,
+    });
+    expect(error).toBeNull();
+    expect(payload).toEqual({
+      routineId: 7,
+      startedAt: new Date(2026, 2, 5, 7, 0).toISOString(),
+      durationMinutes: 45,
+      notes: null,
+      exercises: [
+        { exerciseId: 1, routineExerciseId: 71, sets: [{ reps: 5, weight: 100 }] },
+        { exerciseId: 2, routineExerciseId: 72, sets: [{ timeSeconds: 45, weight: 0 }] },
+      ],
+    });
+
+    rows[0].sets[0].weight = '';
+    expect(buildPastWorkoutPayload({
+      routineValue: '7',
+      startedAtInput: '2026-03-05T07:00',
+      durationMinutes: '45',
+      exerciseRows: rows,
+    }).error).toBe('Check the weight for Squat.');
+    expect(buildPastWorkoutPayload({
+      routineValue: 'freestyle',
+      startedAtInput: '2026-03-05T07:00',
+      durationMinutes: '45',
+      exerciseRows: [],
+    }).error).toBe('Log at least one set.');
+  });
+
+  it('offers the programs whose next workout is the picked routine', () => {
+    const programs = [
+      { id: 3, nextWorkout: { routineId: 7, weekNumber: 1, dayNumber: 2 } },
+      { id: 4, nextWorkout: { routineId: 8, weekNumber: 1, dayNumber: 1 } },
+      { id: 5, nextWorkout: null },
+    ];
+    expect(listPastWorkoutPrograms(programs, '7').map((program) => program.id)).toEqual([3]);
+    expect(listPastWorkoutPrograms(programs, 'freestyle')).toEqual([]);
+
+    const rows = buildPastWorkoutExerciseRows(routine);
+    const { payload } = buildPastWorkoutPayload({
+      routineValue: '7',
+      startedAtInput: '2026-03-05T07:00',
+      durationMinutes: '45',
+      exerciseRows: rows,
+      programValue: '3',
+    });
+    expect(payload.programId).toBe(3);
+    expect(buildPastWorkoutPayload({
+      routineValue: '7',
+      startedAtInput: '2026-03-05T07:00',
+      durationMinutes: '45',
+      exerciseRows: rows,
+      programValue: '',
+    }).payload).not.toHaveProperty('programId');
+  });
+});
+
+describe('session pause helpers', () => {
+  const startedAt = '2026-03-05T07:00:00.000Z';
+  const at = (minutes) => new Date(Date.parse(startedAt) + minutes * 60 * 1000).toISOString();
+
+  it('tracks pauses locally and freezes active time while paused', () => {
+    const paused = applySessionPauseChange({ id: 1, startedAt, pauses: [] }, { pausedAt: at(20) });
+    expect(paused.pausedAt).toBe(at(20));
+    expect(resolveSessionActiveSeconds(paused, Date.parse(at(50)))).toBe(20 * 60);
+
+    const resumed = applySessionPauseChange(paused, { resumedAt: at(30) });
+    expect(resumed.pausedAt).toBeNull();
+    expect(resumed.pauses).toEqual([{ pausedAt: at(20), resumedAt: at(30) }]);
+    expect(resolveSessionActiveSeconds(resumed, Date.parse(at(50)))).toBe(40 * 60);
+  });
+
+  it('subtracts pauses when deriving a finished session duration', () => {
+    expect(resolveSessionDurationSeconds({
+      startedAt,
+      endedAt: at(60),
+      pauses: [{ pausedAt: at(10), resumedAt: at(25) }],
+    })).toBe(45 * 60);
+  });
+});
+
+describe('last performance helpers', () => {
+  const exercise = { exerciseId: 5, routineExerciseId: 12, equipment: 'Barbell', measurementMode: 'reps_weight' };
+
+  it('indexes entries by session exercise key', () => {
+    const byKey = buildLastPerformanceByKey([
+      { exerciseId: 5, routineExerciseId: 12, lastSession: null, bestSet: null },
+      { exerciseId: 7, routineExerciseId: null, sessionExerciseKey: 'exercise:7', lastSession: null, bestSet: null },
+    ]);
+    expect(Object.keys(byKey).sort()).toEqual(['exercise:7', 'routine:12']);
+    expect(buildLastPerformanceByKey(null)).toEqual({});
+  });
+
+  it('formats the previous sets and the best set', () => {
+    const items = buildLastPerformanceSetItems({
+      sets: [
+        { id: 1, setIndex: 1, setType: 'warmup', reps: 8, weight: 40 },
+        { id: 2, setIndex: 1, setType: 'working', reps: 5, weight: 100 },
+      ],
+    }, exercise);
+    expect(items.map((item) => [item.label, item.summary])).toEqual([
+      ['Warm-up', '40 kg × 8 reps'],
+      ['Set 1', '100 kg × 5 reps'],
+    ]);
+    expect(buildLastPerformanceSetItems(null, exercise)).toEqual([]);
+    expect(formatBestSetLabel({ reps: 3, weight: 110, startedAt: null }, exercise)).toBe('Best · 110 kg × 3 reps (—)');
+    expect(formatBestSetLabel(null, exercise)).toBeNull();
+  });
+});
+
+describe('progression rule helpers', () => {
+  it('round-trips a rule through the editor draft', () => {
+    const rule = { type: 'double', repMin: 8, repMax: 12, weightIncrement: 5, autoApply: true };
+    const draft = createProgressionRuleDraft(rule);
+    expect(draft).toEqual({
+      progressionType: 'double',
+      progressionRepMin: '8',
+      progressionRepMax: '12',
+      progressionWeightIncrement: '5',
+      progressionAutoApply: true,
+    });
+    expect(buildProgressionRulePayload(draft)).toEqual({ rule, error: null });
+    expect(buildProgressionRulePayload(createProgressionRuleDraft(null))).toEqual({ rule: null, error: null });
+    expect(buildProgressionRulePayload({ ...draft, progressionRepMax: '8' }).error).toMatch(/rep range/);
+    expect(buildProgressionRulePayload({ ...draft, progressionWeightIncrement: '0' }).error).toMatch(/increment/);
+  });
+
+  it('formats rule badges and proposed changes', () => {
+    expect(formatProgressionRuleLabel({ type: 'reps_then_load', repMin: 6, repMax: 10, weightIncrement: 5 }))
+      .toBe('Add reps, then load 6–10 · +5 kg');
+    expect(formatProgressionRuleLabel(null)).toBeNull();
+    expect(formatProgressionChange({
+      kind: 'load',
+      previousTargetWeight: 60,
+      nextTargetWeight: 65,
+      nextSetTargets: [{ setIndex: 1, targetReps: 8 }],
+    })).toBe('60 → 65 kg, reps reset to 8');
+    expect(formatProgressionChange({
+      kind: 'reps',
+      previousSetTargets: [{ setIndex: 1, targetReps: 6 }],
+      nextSetTargets: [{ setIndex: 1, targetReps: 7 }],
+    })).toBe('6 → 7 reps per set');
+  });
+});
+
+describe('program plan helpers', () => {
+  it('builds program payloads from editor drafts', () => {
+    const draft = createProgramDraft({
+      name: 'Strength block',
+      notes: null,
+      weeks: [
+        { weekNumber: 1, volumePercent: 100, intensityPercent: 100, deload: false },
+        { weekNumber: 2, volumePercent: 120, intensityPercent: 105, deload: false },
+      ],
+      days: [{ id: 1, dayNumber: 1, routineId: 4, routineName: 'Upper', label: 'Heavy' }],
+    });
+    const weeks = resizeProgramWeekDrafts(draft.weeks, 3);
+    weeks[2] = toggleProgramWeekDeload(weeks[2]);
+    expect(weeks[1].volumePercent).toBe('120');
+    expect(weeks[2]).toMatchObject({ volumePercent: '50', intensityPercent: '80', deload: true });
+    expect(toggleProgramWeekDeload(weeks[2])).toMatchObject({ volumePercent: '50', deload: false });
+    expect(resizeProgramWeekDrafts(weeks, 1)).toHaveLength(1);
+
+    const { payload, error } = buildProgramPayload({
+      ...draft,
+      weeks,
+      days: [...draft.days, { key: 'day-empty', routineId: '', label: '' }],
+    });
+    expect(error).toBeNull();
+    expect(payload).toEqual({
+      name: 'Strength block',
+      notes: null,
+      weeks: [
+        { volumePercent: 100, intensityPercent: 100, deload: false },
+        { volumePercent: 120, intensityPercent: 105, deload: false },
+        { volumePercent: 50, intensityPercent: 80, deload: true },
+      ],
+      days: [{ routineId: 4, label: 'Heavy' }],
+    });
+    expect(buildProgramPayload({ ...draft, name: ' ' }).error).toBe('Program name is required.');
+    expect(buildProgramPayload(createProgramDraft({ name: 'Empty' })).error)
+      .toBe('Add at least one routine to the program.');
+  });
+
+  it('formats program labels and stats filters', () => {
+    expect(formatProgramWeekModifiers({ volumePercent: 50, intensityPercent: 80, deload: true }))
+      .toBe('Deload · 50% volume · 80% load');
+    expect(formatProgramWeekModifiers({ volumePercent: 100, intensityPercent: 100, deload: false })).toBe('');
+    expect(formatProgramNextWorkoutLabel({
+      nextWorkout: {
+        weekNumber: 2,
+        dayNumber: 1,
+        routineName: 'Upper',
+        label: 'Heavy',
+        volumePercent: 100,
+        intensityPercent: 105,
+        deload: false,
+      },
+    })).toBe('Week 2 · Day 1 · Heavy (Upper) · 105% load');
+    expect(formatProgramNextWorkoutLabel({ nextWorkout: null, completedAt: '2026-01-01T00:00:00.000Z' }))
+      .toBe('Completed');
+    expect(buildProgramStatsQuery('', '')).toBe('');
+    expect(buildProgramStatsQuery('4', '')).toBe('&programId=4');
+    expect(buildProgramStatsQuery('4', '2')).toBe('&programId=4&programWeek=2');
+  });
+});
+
+describe('training schedule helpers', () => {
+  it('round-trips weekday and rotation schedules through the editor draft', () => {
+    const weekdaySchedule = {
+      mode: 'weekdays',
+      intervalDays: 2,
+      slots: [
+        { position: 1, weekday: 1, routineId: 4, routineName: 'Split A' },
+        { position: 2, weekday: 4, routineId: 5, routineName: 'Split B' },
+      ],
+    };
+    const weekdayDraft = createScheduleDraft(weekdaySchedule);
+    expect(weekdayDraft.weekdayRoutineIds).toMatchObject({ 1: '4', 2: '', 4: '5' });
+    expect(buildSchedulePayload(weekdayDraft)).toEqual({
+      mode: 'weekdays',
+      intervalDays: 2,
+      slots: [{ weekday: 1, routineId: 4 }, { weekday: 4, routineId: 5 }],
+    });
+
+    const rotationDraft = createScheduleDraft({
+      mode: 'rotation',
+      intervalDays: 3,
+      slots: [{ position: 1, routineId: 4 }, { position: 2, routineId: 5 }],
+    });
+    expect(buildSchedulePayload({
+      ...rotationDraft,
+      rotation: [...rotationDraft.rotation, { key: 'rotation-empty', routineId: '' }],
+    })).toEqual({
+      mode: 'rotation',
+      intervalDays: 3,
+      slots: [{ routineId: 4 }, { routineId: 5 }],
+    });
+    expect(buildSchedulePayload({ ...weekdayDraft, mode: 'rotation' }).slots).toEqual([]);
+  });
+
+  it('formats schedule summaries and due labels', () => {
+    expect(formatScheduleSummary(null)).toBe('No schedule yet.');
+    expect(formatScheduleSummary({
+      mode: 'weekdays',
+      slots: [{ weekday: 1, routineName: 'Split A' }, { weekday: 5, routineName: 'Split B' }],
+    })).toBe('Mon: Split A · Fri: Split B');
+    expect(formatScheduleSummary({
+      mode: 'rotation',
+      intervalDays: 2,
+      slots: [{ routineName: 'Split A' }, { routineName: 'Split B' }],
+    })).toBe('Split A → Split B · every 2 days');
+    expect(formatScheduleDueLabel({ status: 'today', dueDate: '2026-03-13' })).toBe('Due today');
+    expect(formatScheduleDueLabel({ status: 'missed', dueDate: '2026-03-11' })).toBe('Missed Wednesday');
+    expect(formatScheduleDueLabel({ status: 'upcoming', dueDate: '2026-03-16' })).toBe('Due Monday');
+    expect(formatScheduleDueLabel(null)).toBe('');
+  });
+});
+
+describe('training max helpers', () => {
+  it('drafts and validates percentage set targets', () => {
+    const setTargets = [
+      { setIndex: 1, targetReps: 5, targetPercent: 65 },
+      { setIndex: 2, targetReps: 5, targetPercent: 72.5 },
+    ];
+    expect(exerciseUsesTargetPercent({ setTargets })).toBe(true);
+    expect(exerciseUsesTargetPercent({ setTargets: [{ setIndex: 1, targetPercent: null }] })).toBe(false);
+    expect(createTargetPercentDraft(setTargets)).toEqual({ percentLoad: true, setPercents: ['65', '72.5'] });
+    expect(createTargetPercentDraft(null)).toEqual({ percentLoad: false, setPercents: [] });
+    expect(resizeSetPercentDrafts(['65', '75'], 3)).toEqual(['65', '75', '75']);
+    expect(resizeSetPercentDrafts(['65', '75'], '1')).toEqual(['65']);
+    expect(resizeSetPercentDrafts([], 2)).toEqual(['75', '75']);
+    expect(parseTargetPercentInput('72,5')).toEqual({ percent: 72.5, valid: true });
+    expect(parseTargetPercentInput('72.3').valid).toBe(false);
+    expect(parseTargetPercentInput('').valid).toBe(false);
+    expect(parseTrainingMaxInput('142.5')).toEqual({ weight: 142.5, valid: true });
+    expect(parseTrainingMaxInput('0').valid).toBe(false);
+  });
+
+  it('formats percentage summaries and checklist load hints', () => {
+    expect(formatTargetPercentSummary([
+      { targetPercent: 65 },
+      { targetPercent: 75 },
+      { targetPercent: 85 },
+    ])).toBe('65/75/85% TM');
+    expect(formatTargetPercentSummary([{ targetPercent: 80 }, { targetPercent: 80 }])).toBe('80% TM');
+    expect(formatTargetPercentSummary([{ targetReps: 5 }])).toBeNull();
+    expect(formatSetTargetLoadLabel({ targetPercent: 65, targetWeight: 70 })).toBe('70 kg · 65%');
+    expect(formatSetTargetLoadLabel({ targetPercent: 65, targetWeight: null })).toBe('65% TM');
+    expect(formatSetTargetLoadLabel({ targetReps: 5 })).toBeNull();
+  });
+});
+
+describe('per-set target helpers', () => {
+  it('drafts the per-set grid from ramping set targets', () => {
+    const ramp = [
+      { setIndex: 1, targetReps: 3, targetWeight: 140 },
+      { setIndex: 2, targetReps: 6, targetWeight: 122.5 },
+    ];
+    expect(exerciseUsesSetTargetWeights({ setTargets: ramp })).toBe(true);
+    expect(exerciseUsesSetTargetWeights({ setTargets: [{ targetPercent: 70, targetWeight: 70 }] })).toBe(false);
+    expect(createSetTargetGridDraft(ramp)).toEqual({
+      perSetTargets: true,
+      setRows: [
+        { reps: '3', weight: '140', bandLabel: '' },
+        { reps: '6', weight: '122.5', bandLabel: '' },
+      ],
+    });
+    expect(createSetTargetGridDraft([{ targetReps: 8 }, { targetReps: 8 }])).toEqual({ perSetTargets: false, setRows: [] });
+    expect(createSetTargetGridDraft([{ targetReps: 10 }, { targetReps: 8 }]).perSetTargets).toBe(true);
+    expect(resizeSetTargetGridRows([{ reps: '3', weight: '140', bandLabel: '' }], 2)).toEqual([
+      { reps: '3', weight: '140', bandLabel: '' },
+      { reps: '3', weight: '140', bandLabel: '' },
+    ]);
+    expect(resizeSetTargetGridRows([], '2', { reps: '8', weight: '60' })).toEqual([
+      { reps: '8', weight: '60', bandLabel: '' },
+      { reps: '8', weight: '60', bandLabel: '' },
+    ]);
+    expect(parseSetTargetWeightInput('')).toEqual({ weight: null, valid: true });
+    expect(parseSetTargetWeightInput('97,5')).toEqual({ weight: 97.5, valid: true });
+    expect(parseSetTargetWeightInput('0').valid).toBe(false);
+  });
+
+  it('formats ramping schemes and per-set checklist hints', () => {
+    expect(formatSetTargetSchemeSummary([
+      { targetReps: 3, targetWeight: 140 },
+      { targetReps: 6, targetWeight: 120 },
+    ])).toBe('3×140 / 6×120 kg');
+    expect(formatSetTargetSchemeSummary([
+      { targetReps: 12, targetBandLabel: 'Heavy' },
+      { targetReps: 15, targetBandLabel: 'Light' },
+    ])).toBe('12×Heavy / 15×Light');
+    expect(formatSetTargetSchemeSummary([{ targetReps: 5, targetPercent: 70, targetWeight: 70 }])).toBeNull();
+    expect(formatSetTargetLoadLabel({ targetReps: 6, targetWeight: 120 })).toBe('120 kg');
+    expect(formatSetTargetLoadLabel({ targetReps: 12, targetBandLabel: 'Heavy' })).toBe('Heavy');
+  });
+});
+
+describe('routine version helpers', () => {
+  it('labels versions and formats diff changes', () => {
+    expect(formatRoutineVersionReason({ reason: 'workout_target' })).toBe('Target updated in a workout');
+    expect(formatRoutineVersionReason({ reason: 'restored', restoredFromVersionNumber: 2 })).toBe('Restored version 2');
+    expect(formatRoutineVersionChange({ field: 'targetWeight', from: 100, to: 110 })).toBe('Weight: 100 kg → 110 kg');
+    expect(formatRoutineVersionChange({ field: 'targetRestSeconds', from: null, to: 90 })).toBe('Rest: — → 01:30');
+    expect(formatRoutineVersionChange({ field: 'routineType', from: 'standard', to: 'rehab' })).toBe('Type: Standard → Rehab');
+    expect(formatRoutineVersionChange({ field: 'unilateral', from: false, to: true })).toBe('Left/right: Off → On');
+    expect(hasRoutineVersionDiff({ changes: [], added: [], removed: [], changed: [], reordered: false })).toBe(false);
+    expect(hasRoutineVersionDiff({ changes: [], added: [], removed: [], changed: [], reordered: true })).toBe(true);
+  });
+
+  it('summarizes set targets stored in a version', () => {
+    expect(formatRoutineVersionSetTargets([
+      { targetReps: 3, targetWeight: 140 },
+      { targetReps: 6, targetPercent: 70, targetWeight: 98 },
+      { targetReps: 12, targetBandLabel: 'Heavy' },
+    ])).toBe('3 @ 140 kg / 6 @ 70% / 12 @ Heavy');
+    expect(formatRoutineVersionSetTargets([{ targetTimeSeconds: 45 }])).toBe('45 s');
+    expect(formatRoutineVersionSetTargets([])).toBe('—');
+    expect(formatRoutineVersionExercise({
+      equipment: 'Barbell',
+      name: 'Squat',
+      setTargets: [{ targetReps: 5, targetWeight: 100 }],
+    })).toBe('Barbell Squat · 5 @ 100 kg');
+  });
+});
+
+describe('routine sharing helpers', () => {
+  it('labels shared routines and the origin of copies', () => {
+    expect(formatSharedRoutineAuthor({ authorName: 'sam', isOwn: false })).toBe('Shared by sam');
+    expect(formatSharedRoutineAuthor({ authorName: 'coach', isOwn: true })).toBe('Shared by you');
+    expect(formatRoutineOriginLabel(null)).toBe('');
+    expect(formatRoutineOriginLabel({ name: 'Upper', authorName: 'sam', available: true }))
+      .toBe('Copied from Upper by sam');
+    expect(formatRoutineOriginLabel({ name: 'Upper', authorName: 'sam', available: false }))
+      .toBe('Copied from Upper by sam · no longer shared');
+  });
+});
+
+describe('print sheet helpers', () => {
+  it('lays out routine cards with set targets, supersets, and last performance hints', () => {
+    const blocks = buildRoutinePrintBlocks({
+      routine: {
+        id: 3,
+        name: 'Upper',
+        exercises: [
+          {
+            id: 31,
+            name: 'Bench Press',
+            equipment: 'Barbell',
+            targetWeight: 80,
+            targetRestSeconds: 90,
+            supersetGroup: 'g1',
+            setTargets: [
+              { setIndex: 1, targetReps: 5, setType: 'working' },
+              { setIndex: 2, targetReps: 3, targetWeight: 85, setType: 'working' },
+            ],
+          },
+          {
+            id: 32,
+            name: 'Pull Up',
+            equipment: 'Bodyweight',
+            supersetGroup: 'g1',
+            unilateral: true,
+            setTargets: [
+              { setIndex: 1, targetReps: 8, setType: 'working' },
+              { setIndex: 2, targetReps: 8, setType: 'working' },
+            ],
+          },
+          { id: 33, name: 'Plank', measurementMode: 'time', targetSets: 1, targetTimeSeconds: 45, setTargets: [] },
+        ],
+      },
+      lastPerformance: [
+        {
+          routineExerciseId: 31,
+          lastSession: { startedAt: '2026-03-02T10:00:00.000Z', sets: [{ id: 1, setIndex: 1, reps: 5, weight: 80 }] },
+          bestSet: null,
+        },
+      ],
+    });
+
+    expect(blocks.map((block) => [block.isSuperset, block.cards.length])).toEqual([[true, 2], [false, 1]]);
+    const [bench, pullUp] = blocks[0].cards;
+    expect(bench.title).toBe('Barbell Bench Press');
+    expect(bench.details).toBe('Rest 01:30');
+    expect(bench.sets.map((set) => [set.label, set.target])).toEqual([
+      ['Set 1', '5 @ 80 kg'],
+      ['Set 2', '3 @ 85 kg'],
+    ]);
+    expect(bench.lastHeading).toMatch(/^Last time · /);
+    expect(bench.lastSets.map((item) => item.summary)).toEqual(['80 kg × 5 reps']);
+    expect(pullUp.details).toBe('Log left and right');
+    expect(pullUp.unilateral).toBe(true);
+    expect(pullUp.lastSets).toEqual([]);
+    expect(blocks[1].cards[0].sets.map((set) => set.target)).toEqual(['45 s']);
+    expect(blocks[1].cards[0].metricHeading).toBe(resolveSetMetricHeading('time'));
+  });
+
+  it('lists logged, skipped, and swapped exercises of a workout', () => {
+    const blocks = buildSessionPrintBlocks({
+      endedAt: '2026-03-02T11:00:00.000Z',
+      exercises: [
+        {
+          exerciseId: 1,
+          name: 'Front Squat',
+          equipment: 'Barbell',
+          originalExerciseName: 'Back Squat',
+          sets: [{ id: 11, setIndex: 1, reps: 5, weight: 90, rpe: 8 }],
+        },
+        { exerciseId: 2, name: 'Lunge', equipment: 'Dumbbell', sets: [] },
+      ],
+    });
+
+    const [squat] = blocks[0].cards;
+    const [lunge] = blocks[1].cards;
+    expect(squat.substitutedFor).toBe('Back Squat');
+    expect(squat.sets).toEqual([
+      expect.objectContaining({ label: 'Set 1', weight: '90 kg', metric: '5 reps', rpe: 8 }),
+    ]);
+    expect(lunge.sets).toEqual([]);
+    expect(lunge.stateLabel).toBe('Skipped');
+  });
+});
+
+describe('personal record helpers', () => {
+  it('labels records with the value they beat', () => {
+    expect(formatPersonalRecordLabel({ recordType: 'weight', value: 110, previousValue: 100 }))
+      .toBe('Heaviest weight: 110 kg (was 100 kg)');
+    expect(formatPersonalRecordLabel({ recordType: 'reps', weight: 100, value: 6, previousValue: 5 }))
+      .toBe('Most reps at 100 kg: 6 reps (was 5 reps)');
+    expect(formatPersonalRecordLabel({ recordType: 'reps', weight: 0, value: 12, previousValue: null }))
+      .toBe('Most reps: 12 reps');
+    expect(formatPersonalRecordLabel({ recordType: 'e1rm', value: 120, previousValue: null }))
+      .toBe('Best estimated 1RM: 120 kg');
+    expect(formatPersonalRecordLabel({ recordType: 'unknown', value: 1 })).toBeNull();
+  });
+
+  it('keeps record labels per checklist set', () => {
+    const records = [{ recordType: 'volume', value: 1500, previousValue: 1000 }];
+    const bySetKey = mergePersonalRecordsBySetKey({}, 'exercise:101:2', records);
+    expect(bySetKey['exercise:101:2']).toHaveLength(1);
+    expect(bySetKey['exercise:101:2'][0]).toMatch(/^Best session volume: /);
+    expect(mergePersonalRecordsBySetKey(bySetKey, 'exercise:101:3', [])).toBe(bySetKey);
+  });
+  it('describes the set a one-rep max was estimated from', () => {
+    expect(formatOneRepMaxSourceLabel({ weight: 100, reps: 5, startedAt: null })).toMatch(/^100 kg × 5 · /);
+    expect(formatOneRepMaxSourceLabel(null)).toBeNull();
+  });
+});
+
+describe('exercise alias input helpers', () => {
+  it('round-trips aliases through the comma separated input', () => {
+    expect(parseAliasesFromInput(' RDL, rdl ,, Stiff leg ')).toEqual(['RDL', 'Stiff leg']);
+    expect(formatAliasesForInput(['RDL', 'Stiff leg'])).toBe('RDL, Stiff leg');
+    expect(formatAliasesForInput(undefined)).toBe('');
+  });
+});